@@ -56,6 +56,8 @@ const envVarsSchema = Joi.object({
   AWS_REGION: Joi.string().description('AWS Region'),
   AWS_S3_BUCKET_NAME: Joi.string().description('AWS S3 Bucket Name'),
   AWS_S3_SIGNED_URL_EXPIRATION: Joi.number().default(300),
+  AWS_S3_ENDPOINT: Joi.string().uri().description('Endpoint of an S3-compatible service (e.g. MinIO); empty for AWS'),
+  AWS_S3_FORCE_PATH_STYLE: Joi.boolean().default(false).description('Use path-style bucket URLs, needed by most S3-compatible services'),
 
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly').default('info'),
   LOG_FILE_PATH: Joi.string().default('logs/app.log'),
@@ -90,6 +92,99 @@ const envVarsSchema = Joi.object({
 
   ZARINPAL_MERCHANT_ID: Joi.string().description('Zarinpal Merchant ID'),
   ZARINPAL_ACCESS_TOKEN: Joi.string().optional().description('Zarinpal Access Token for refunds etc.'),
+  ZARINPAL_SANDBOX: Joi.boolean()
+    .description('Use the Zarinpal sandbox; defaults to true outside production'),
+  ZARINPAL_BASE_URL: Joi.string().uri()
+    .description('Zarinpal payment API; defaults to the sandbox or production gateway according to ZARINPAL_SANDBOX'),
+  ZARINPAL_TIMEOUT_MS: Joi.number().integer().min(1000).default(15000)
+    .description('How long a Zarinpal API call may take'),
+  ZARINPAL_CALLBACK_URL: Joi.string().uri()
+    .description('Where Zarinpal returns users after paying; defaults to http://localhost:<PORT>/api/v1/wallet/deposit/callback'),
+  PAYMENT_GATEWAY_CURRENCIES: Joi.string().allow('').default('IRR:zarinpal')
+    .description('Comma-separated CURRENCY:gateway pairs choosing the payment gateway by currency, e.g. IRR:zarinpal,USD:webhook'),
+  PAYMENT_GATEWAY_REGIONS: Joi.string().allow('').default('IR:zarinpal')
+    .description('Comma-separated REGION:gateway pairs (ISO 3166 country codes); a region gateway is preferred if it handles the currency'),
+  PAYMENT_DEFAULT_GATEWAY: Joi.string().valid('zarinpal', 'webhook')
+    .description('Gateway for currencies and regions without their own; unset to refuse them'),
+  PAYMENT_WEBHOOK_API_URL: Joi.string().uri()
+    .description('API of the webhook payment gateway; the gateway is available only when this and PAYMENT_WEBHOOK_SECRET are set'),
+  PAYMENT_WEBHOOK_API_KEY: Joi.string()
+    .description('Bearer token for the webhook payment gateway API'),
+  PAYMENT_WEBHOOK_SECRET: Joi.string()
+    .description('HMAC key the webhook payment gateway signs its webhooks with'),
+  PAYMENT_WEBHOOK_CURRENCIES: Joi.string().allow('').default('')
+    .description('Comma-separated currencies the webhook payment gateway handles; empty for any'),
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS: Joi.number().integer().min(1).default(300)
+    .description('How old a webhook signature may be'),
+  PAYMENT_WEBHOOK_TIMEOUT_MS: Joi.number().integer().min(1000).default(15000)
+    .description('How long a webhook payment gateway API call may take'),
+  DEPOSIT_RESULT_URL: Joi.string().uri().default('http://localhost:3001/wallet/deposit/result')
+    .description('Page of the web client users are redirected to after a deposit is verified, with ?status=&transactionId='),
+  DEPOSIT_RECONCILE_INTERVAL_MS: Joi.number().integer().min(1000).default(5 * 60 * 1000)
+    .description('How often pending deposits are re-verified with the gateway'),
+  DEPOSIT_RECONCILE_AFTER_MINUTES: Joi.number().integer().min(1).default(30)
+    .description('Pending deposits older than this are re-verified by the reconciliation worker'),
+
+  MATCH_RESULT_CONFIRMATION_TIMEOUT_MINUTES: Joi.number().integer().min(1).default(1440)
+    .description('Minutes the opponent has to confirm or dispute a submitted result before it is auto-confirmed'),
+  MATCH_AUTO_CONFIRM_INTERVAL_MS: Joi.number().integer().min(1000).default(5 * 60 * 1000)
+    .description('How often the match result auto-confirm worker runs'),
+  TOURNAMENT_SCHEDULER_INTERVAL_MS: Joi.number().integer().min(1000).default(60 * 1000)
+    .description('How often the tournament worker opens registrations and starts or cancels tournaments'),
+  TOURNAMENT_MIN_PARTICIPANTS: Joi.number().integer().min(2).default(2)
+    .description('Participants a tournament needs at its start date unless settings.minParticipants says otherwise'),
+  PRIZE_APPROVAL_THRESHOLD: Joi.number().min(0).default(1000)
+    .description('Prize pools of at least this amount are paid out only after an admin approves them'),
+  NOTIFICATION_LINK_BASE_URL: Joi.string().uri().default('http://localhost:3001')
+    .description('Base URL of the web client; notification links in emails are resolved against it'),
+  NOTIFICATION_DIGEST_INTERVAL_MS: Joi.number().integer().min(1000).default(60 * 60 * 1000)
+    .description('How often the digest worker looks for users whose digest is due'),
+  NOTIFICATION_DIGEST_PERIOD_HOURS: Joi.number().integer().min(1).default(24)
+    .description('A user gets a digest once their oldest notification waiting for one is this old'),
+  PASSWORD_RESET_URL: Joi.string().uri().default('http://localhost:3001/auth/reset-password')
+    .description('Page of the web client that resets the password; the emailed link is this URL followed by /<token>'),
+  PASSWORD_RESET_TOKEN_TTL_MINUTES: Joi.number().integer().min(1).default(60)
+    .description('How long a password reset link works'),
+  PASSWORD_RESET_RATE_LIMIT_WINDOW_MS: Joi.number().integer().min(1000).default(60 * 60 * 1000)
+    .description('Window for limiting forgot-password requests per email address'),
+  PASSWORD_RESET_RATE_LIMIT_MAX: Joi.number().integer().min(1).default(3)
+    .description('Forgot-password requests allowed per email address and window'),
+  TWO_FACTOR_ISSUER: Joi.string().default('Tournament Platform')
+    .description('Name authenticator apps show for two-factor accounts'),
+  TWO_FACTOR_CHALLENGE_EXPIRATION: Joi.string().default('5m')
+    .description('How long the second login step has after the password was accepted'),
+  TWO_FACTOR_REQUIRED_ROLES: Joi.string().allow('').default('')
+    .description('Comma-separated roles (e.g. ADMIN,MODERATOR) that must enable two-factor authentication for privileged actions'),
+  STORAGE_DRIVER: Joi.string().valid('local', 's3').default('local')
+    .description('Where uploaded files are stored: the local filesystem or S3'),
+  STORAGE_LOCAL_ROOT: Joi.string().default('storage')
+    .description('Directory of the local storage driver, relative to the project root unless absolute'),
+  STORAGE_LOCAL_PUBLIC_URL: Joi.string().uri()
+    .description('Base URL of the signed local storage route; defaults to http://localhost:<PORT>/api/v1/storage'),
+  STORAGE_LOCAL_SIGNING_SECRET: Joi.string()
+    .description('HMAC key for local storage URLs; defaults to JWT_SECRET'),
+  STORAGE_LOCAL_SIGNED_URL_EXPIRATION: Joi.number().integer().min(1).default(300)
+    .description('Seconds a signed local storage URL works'),
+  STORAGE_LOCAL_MAX_UPLOAD_BYTES: Joi.number().integer().min(1).default(50 * 1024 * 1024)
+    .description('Largest file accepted by the local storage route'),
+  IMAGE_UPLOAD_MAX_BYTES: Joi.number().integer().min(1).default(10 * 1024 * 1024)
+    .description('Largest image accepted by POST /upload'),
+  FILE_SCANNER: Joi.string().valid('clamd', 'signature').default('clamd')
+    .description('Malware scanner for uploads: a ClamAV daemon, or a signature matcher (EICAR by default) for development and tests'),
+  CLAMD_HOST: Joi.string().default('127.0.0.1')
+    .description('Host of the ClamAV daemon'),
+  CLAMD_PORT: Joi.number().port().default(3310)
+    .description('TCP port of the ClamAV daemon'),
+  CLAMD_SOCKET: Joi.string()
+    .description('Unix socket of the ClamAV daemon; used instead of CLAMD_HOST/CLAMD_PORT when set'),
+  CLAMD_TIMEOUT_MS: Joi.number().integer().min(1000).default(30000)
+    .description('How long a single clamd scan may take'),
+  FILE_SCAN_INTERVAL_MS: Joi.number().integer().min(1000).default(15 * 1000)
+    .description('How often uploads waiting for their malware scan are scanned'),
+  FILE_SCAN_PENDING_TIMEOUT_MINUTES: Joi.number().integer().min(1).default(60)
+    .description('Uploads that were never uploaded or could not be scanned within this time are rejected'),
+  FILE_SCAN_QUARANTINE_PREFIX: Joi.string().default('quarantine/')
+    .description('Storage key prefix infected files are moved under'),
 
 
   SEQUELIZE_LOGGING: Joi.boolean().when('NODE_ENV', {
@@ -106,6 +201,11 @@ if (error) {
   throw new Error(`Config validation error: ${error.message}`);
 }
 
+// Parses "KEY:value,KEY:value" into { KEY: value }, upper-casing the keys
+const parsePairs = (list) => Object.fromEntries(list.split(',').map((pair) => pair.trim()).filter(Boolean)
+  .map((pair) => pair.split(':').map((part) => part.trim()))
+  .map(([key, value]) => [key.toUpperCase(), value]));
+
 const config = {
   env: envVars.NODE_ENV,
   port: envVars.PORT,
@@ -159,6 +259,8 @@ const config = {
     s3: {
       bucketName: envVars.AWS_S3_BUCKET_NAME,
       signedUrlExpiration: envVars.AWS_S3_SIGNED_URL_EXPIRATION,
+      endpoint: envVars.AWS_S3_ENDPOINT,
+      forcePathStyle: envVars.AWS_S3_FORCE_PATH_STYLE,
     },
   },
 
@@ -194,6 +296,86 @@ const config = {
   zarinpal: {
     merchantId: envVars.ZARINPAL_MERCHANT_ID,
     accessToken: envVars.ZARINPAL_ACCESS_TOKEN, // Will be undefined if not set, which is fine
+    sandbox: envVars.ZARINPAL_SANDBOX ?? envVars.NODE_ENV !== 'production',
+    baseUrl: envVars.ZARINPAL_BASE_URL,
+    timeoutMs: envVars.ZARINPAL_TIMEOUT_MS,
+    callbackUrl: envVars.ZARINPAL_CALLBACK_URL || `http://localhost:${envVars.PORT}/api/v1/wallet/deposit/callback`,
+  },
+
+  payments: {
+    currencyGateways: parsePairs(envVars.PAYMENT_GATEWAY_CURRENCIES),
+    regionGateways: parsePairs(envVars.PAYMENT_GATEWAY_REGIONS),
+    defaultGateway: envVars.PAYMENT_DEFAULT_GATEWAY || null,
+    webhook: {
+      apiUrl: envVars.PAYMENT_WEBHOOK_API_URL,
+      apiKey: envVars.PAYMENT_WEBHOOK_API_KEY,
+      webhookSecret: envVars.PAYMENT_WEBHOOK_SECRET,
+      currencies: envVars.PAYMENT_WEBHOOK_CURRENCIES
+        ? envVars.PAYMENT_WEBHOOK_CURRENCIES.split(',').map((currency) => currency.trim().toUpperCase()).filter(Boolean)
+        : null,
+      toleranceSeconds: envVars.PAYMENT_WEBHOOK_TOLERANCE_SECONDS,
+      timeoutMs: envVars.PAYMENT_WEBHOOK_TIMEOUT_MS,
+    },
+  },
+
+  deposits: {
+    resultUrl: envVars.DEPOSIT_RESULT_URL,
+    reconcileIntervalMs: envVars.DEPOSIT_RECONCILE_INTERVAL_MS,
+    reconcileAfterMinutes: envVars.DEPOSIT_RECONCILE_AFTER_MINUTES,
+  },
+
+  matches: {
+    resultConfirmationTimeoutMinutes: envVars.MATCH_RESULT_CONFIRMATION_TIMEOUT_MINUTES,
+    autoConfirmIntervalMs: envVars.MATCH_AUTO_CONFIRM_INTERVAL_MS,
+  },
+
+  tournaments: {
+    schedulerIntervalMs: envVars.TOURNAMENT_SCHEDULER_INTERVAL_MS,
+    minParticipants: envVars.TOURNAMENT_MIN_PARTICIPANTS,
+  },
+  prizes: {
+    approvalThreshold: envVars.PRIZE_APPROVAL_THRESHOLD,
+  },
+  notifications: {
+    linkBaseUrl: envVars.NOTIFICATION_LINK_BASE_URL,
+    digestIntervalMs: envVars.NOTIFICATION_DIGEST_INTERVAL_MS,
+    digestPeriodHours: envVars.NOTIFICATION_DIGEST_PERIOD_HOURS,
+  },
+  passwordReset: {
+    urlBase: envVars.PASSWORD_RESET_URL,
+    tokenTtlMinutes: envVars.PASSWORD_RESET_TOKEN_TTL_MINUTES,
+    rateLimitWindowMs: envVars.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS,
+    rateLimitMax: envVars.PASSWORD_RESET_RATE_LIMIT_MAX,
+  },
+  twoFactor: {
+    issuer: envVars.TWO_FACTOR_ISSUER,
+    challengeExpiration: envVars.TWO_FACTOR_CHALLENGE_EXPIRATION,
+    requiredRoles: envVars.TWO_FACTOR_REQUIRED_ROLES.split(',').map((role) => role.trim()).filter(Boolean),
+  },
+  storage: {
+    driver: envVars.STORAGE_DRIVER,
+    local: {
+      rootDir: path.resolve(__dirname, '..', envVars.STORAGE_LOCAL_ROOT),
+      publicUrl: envVars.STORAGE_LOCAL_PUBLIC_URL || `http://localhost:${envVars.PORT}/api/v1/storage`,
+      signingSecret: envVars.STORAGE_LOCAL_SIGNING_SECRET || envVars.JWT_SECRET,
+      signedUrlExpiration: envVars.STORAGE_LOCAL_SIGNED_URL_EXPIRATION,
+      maxUploadBytes: envVars.STORAGE_LOCAL_MAX_UPLOAD_BYTES,
+    },
+  },
+  uploads: {
+    maxImageBytes: envVars.IMAGE_UPLOAD_MAX_BYTES,
+  },
+  fileScan: {
+    scanner: envVars.FILE_SCANNER,
+    clamd: {
+      host: envVars.CLAMD_HOST,
+      port: envVars.CLAMD_PORT,
+      socketPath: envVars.CLAMD_SOCKET,
+      timeoutMs: envVars.CLAMD_TIMEOUT_MS,
+    },
+    intervalMs: envVars.FILE_SCAN_INTERVAL_MS,
+    pendingTimeoutMinutes: envVars.FILE_SCAN_PENDING_TIMEOUT_MINUTES,
+    quarantinePrefix: envVars.FILE_SCAN_QUARANTINE_PREFIX,
   },
 };
 
@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Tournaments', 'winnerId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('Tournaments', 'winnerType', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Tournaments', 'winnerId');
+    await queryInterface.removeColumn('Tournaments', 'winnerType');
+  },
+};
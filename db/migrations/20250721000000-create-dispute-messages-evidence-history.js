@@ -0,0 +1,121 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const disputeReference = {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'DisputeTickets', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    };
+
+    await queryInterface.createTable('DisputeMessages', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      disputeId: disputeReference,
+      senderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      senderRole: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('DisputeMessages', ['disputeId', 'createdAt']);
+
+    await queryInterface.createTable('DisputeEvidence', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      disputeId: disputeReference,
+      uploadedBy: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      fileKey: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      fileUrl: {
+        type: Sequelize.STRING(1024),
+        allowNull: false,
+      },
+      contentType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('DisputeEvidence', ['disputeId']);
+
+    await queryInterface.createTable('DisputeStatusHistory', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      disputeId: disputeReference,
+      fromStatus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      toStatus: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      changedBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('DisputeStatusHistory', ['disputeId', 'createdAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('DisputeStatusHistory');
+    await queryInterface.dropTable('DisputeEvidence');
+    await queryInterface.dropTable('DisputeMessages');
+  }
+};
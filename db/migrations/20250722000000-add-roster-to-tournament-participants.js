@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // participantId holds a user or a team ID depending on participantType, so it cannot reference Users.
+    await queryInterface.removeConstraint('TournamentParticipants', 'TournamentParticipants_participantId_fkey');
+    // User IDs of the players a team registered with.
+    await queryInterface.addColumn('TournamentParticipants', 'roster', {
+      type: Sequelize.ARRAY(Sequelize.UUID),
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('TournamentParticipants', 'roster');
+    await queryInterface.bulkDelete('TournamentParticipants', { participantType: { [Sequelize.Op.ne]: 'user' } });
+    await queryInterface.addConstraint('TournamentParticipants', {
+      fields: ['participantId'],
+      type: 'foreign key',
+      name: 'TournamentParticipants_participantId_fkey',
+      references: { table: 'Users', field: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+  },
+};
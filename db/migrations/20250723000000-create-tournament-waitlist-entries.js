@@ -0,0 +1,60 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('TournamentWaitlistEntries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      tournamentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Tournaments',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'WAITING',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    // A user waits at most once per tournament; earlier (promoted, skipped or left) entries are kept.
+    await queryInterface.addIndex('TournamentWaitlistEntries', ['tournamentId', 'userId'], {
+      unique: true,
+      where: { status: 'WAITING' },
+      name: 'tournament_waitlist_entries_waiting_user_unique',
+    });
+    await queryInterface.addIndex('TournamentWaitlistEntries', ['tournamentId', 'status', 'createdAt'], {
+      name: 'tournament_waitlist_entries_queue_idx',
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('TournamentWaitlistEntries');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Notifications', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      link: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      readAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    // Serves both the newest-first list and the unread count of a user.
+    await queryInterface.addIndex('Notifications', ['userId', 'readAt', 'createdAt'], {
+      name: 'notifications_user_read_created_idx',
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('Notifications');
+  }
+};
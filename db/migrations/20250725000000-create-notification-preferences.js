@@ -0,0 +1,67 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('NotificationPreferences', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      category: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      inApp: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'OFF',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('NotificationPreferences', ['userId', 'category'], {
+      unique: true,
+      name: 'notification_preferences_user_category_unique',
+    });
+
+    await queryInterface.addColumn('Notifications', 'emailStatus', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'NONE',
+    });
+    // Lets the digest job find the notifications waiting for a digest without scanning the table.
+    await queryInterface.addIndex('Notifications', ['emailStatus', 'createdAt'], {
+      name: 'notifications_email_status_created_idx',
+      where: { emailStatus: 'DIGEST_PENDING' },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Notifications', 'notifications_email_status_created_idx');
+    await queryInterface.removeColumn('Notifications', 'emailStatus');
+    await queryInterface.dropTable('NotificationPreferences');
+  }
+};
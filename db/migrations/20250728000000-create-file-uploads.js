@@ -0,0 +1,79 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('FileUploads', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      fileKey: {
+        type: Sequelize.STRING(512),
+        allowNull: false,
+        unique: true,
+      },
+      uploaderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      purpose: {
+        type: Sequelize.ENUM('MATCH_RESULT', 'DISPUTE_EVIDENCE'),
+        allowNull: false,
+      },
+      entityId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      contentType: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      size: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('PENDING_SCAN', 'CLEAN', 'INFECTED', 'REJECTED'),
+        allowNull: false,
+        defaultValue: 'PENDING_SCAN',
+      },
+      rejectionReason: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      quarantineKey: {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+      },
+      scannedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('FileUploads', ['status', 'createdAt']);
+    await queryInterface.addIndex('FileUploads', ['uploaderId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('FileUploads');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_FileUploads_purpose";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_FileUploads_status";');
+  },
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+// Images are stored without metadata and with resized WebP variants; their dimensions and variants are
+// recorded so clients can pick the size they need.
+const TABLES = ['FileUploads', 'GameImages', 'TournamentImages'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'width', { type: Sequelize.INTEGER, allowNull: true });
+      await queryInterface.addColumn(table, 'height', { type: Sequelize.INTEGER, allowNull: true });
+      await queryInterface.addColumn(table, 'variants', { type: Sequelize.JSONB, allowNull: true });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'variants');
+      await queryInterface.removeColumn(table, 'height');
+      await queryInterface.removeColumn(table, 'width');
+    }
+  },
+};
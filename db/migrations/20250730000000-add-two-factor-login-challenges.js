@@ -0,0 +1,19 @@
+'use strict';
+
+// Only the latest login challenge of a user can be answered, and it is dropped after a few wrong codes.
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('TwoFactorCredentials', 'challengeId', { type: Sequelize.UUID, allowNull: true });
+    await queryInterface.addColumn('TwoFactorCredentials', 'challengeFailures', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('TwoFactorCredentials', 'challengeFailures');
+    await queryInterface.removeColumn('TwoFactorCredentials', 'challengeId');
+  },
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+// Deposits now name their gateway in lower case and keep the gateway's session reference in
+// `metadata.paymentReference`. Zarinpal deposits created before that stored it as `metadata.authority`
+// under the gateway name 'Zarinpal'; without this their callbacks and reconciliation cannot find them.
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      UPDATE "Transactions"
+      SET metadata = metadata || jsonb_build_object('paymentGateway', 'zarinpal', 'paymentReference', metadata->>'authority')
+      WHERE type = 'DEPOSIT'
+        AND metadata->>'paymentGateway' = 'Zarinpal'
+        AND metadata ? 'authority';
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      UPDATE "Transactions"
+      SET metadata = (metadata - 'paymentReference') || jsonb_build_object('paymentGateway', 'Zarinpal')
+      WHERE type = 'DEPOSIT'
+        AND metadata->>'paymentGateway' = 'zarinpal'
+        AND metadata ? 'authority';
+    `);
+  },
+};
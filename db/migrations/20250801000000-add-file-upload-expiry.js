@@ -0,0 +1,13 @@
+'use strict';
+
+// Uploads are only scanned once their upload URL expired, so a clean file cannot be replaced afterwards.
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('FileUploads', 'uploadExpiresAt', { type: Sequelize.DATE, allowNull: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('FileUploads', 'uploadExpiresAt');
+  },
+};
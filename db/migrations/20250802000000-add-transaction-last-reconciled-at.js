@@ -0,0 +1,14 @@
+'use strict';
+
+// Pending deposits are re-verified least recently reconciled first, so deposits that keep failing
+// do not fill every batch of the reconciliation worker.
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Transactions', 'lastReconciledAt', { type: Sequelize.DATE, allowNull: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Transactions', 'lastReconciledAt');
+  },
+};
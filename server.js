@@ -42,7 +42,6 @@ async function connectToMessageQueue() {
         // Initialize workers that depend on RabbitMQ connection
         // e.g., require('./src/workers/prize.distribution.worker').start();
         // require('./src/workers/dispute.resolution.worker').start();
-        // require('./src/workers/file.scan.worker').start();
     } catch (error) {
         console.error('Failed to connect to RabbitMQ:', error);
         console.error('Raw Error Object from connectToMessageQueue:', error);
@@ -93,6 +92,17 @@ async function startServer() {
         await initialize(redisClient);
         console.log('Application dependencies initialized.');
 
+        // Auto-confirm match results the opponent did not respond to in time
+        require('./src/workers/match.autoconfirm.worker').start(getDependencies());
+        // Open registrations and start or cancel tournaments on schedule
+        require('./src/workers/tournament.worker').start(getDependencies());
+        // Email daily digests of notifications users chose to receive that way
+        require('./src/workers/notification.digest.worker').start(getDependencies());
+        // Scan uploaded files for malware before they can be attached to results or disputes
+        require('./src/workers/file.scan.worker').start(getDependencies());
+        // Re-verify deposits whose gateway callback never completed them
+        require('./src/workers/deposit.reconcile.worker').start(getDependencies());
+
         // 3. Connect to Message Queue (e.g., RabbitMQ) and initialize workers
         console.log('Connecting to RabbitMQ...');
         await connectToMessageQueue();
@@ -117,7 +127,7 @@ async function startServer() {
 
         // 5. Initialize Socket.IO
         console.log('Initializing Socket.IO...');
-        initializeSocketIO(server); // Pass the HTTP server instance
+        initializeSocketIO(server, getDependencies()); // Pass the HTTP server instance
         console.log('Socket.IO initialized.');
 
         // 6. Start the HTTP server
@@ -36,7 +36,11 @@ app.use(cors({
     credentials: true
 }));
 
-app.use(express.json({ limit: process.env.REQUEST_LIMIT || '16kb' }));
+// The raw body is kept for verifying webhook signatures
+app.use(express.json({
+    limit: process.env.REQUEST_LIMIT || '16kb',
+    verify: (req, res, buf) => { req.rawBody = buf; },
+}));
 app.use(express.urlencoded({ extended: true, limit: process.env.REQUEST_LIMIT || '16kb' }));
 app.use(cookieParser()); // Cookie parser should be used before CSRF middleware
 
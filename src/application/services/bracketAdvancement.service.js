@@ -0,0 +1,300 @@
+// src/application/services/bracketAdvancement.service.js
+const { BracketLogic } = require('../../domain/tournament/bracket.logic');
+const { Match } = require('../../domain/tournament/match.entity');
+const { Tournament } = require('../../domain/tournament/tournament.entity');
+
+const STARTED_STATUSES = [
+  Match.Status.IN_PROGRESS,
+  Match.Status.AWAITING_SCORES,
+  Match.Status.AWAITING_CONFIRMATION,
+  Match.Status.DISPUTED,
+  Match.Status.COMPLETED,
+];
+
+const ELIMINATION_TYPES = [
+  Tournament.BracketType.SINGLE_MATCH,
+  Tournament.BracketType.SINGLE_ELIMINATION,
+  Tournament.BracketType.DOUBLE_ELIMINATION,
+];
+
+/**
+ * Moves participants through a bracket once a match result is final.
+ * Every call must receive the transaction that persisted the result, so the result
+ * and its consequences (next matches, tournament completion) commit or roll back together.
+ */
+class BracketAdvancementService {
+  /**
+   * @param {import('../../infrastructure/database/repositories/postgres.match.repository').PostgresMatchRepository} matchRepository
+   * @param {import('../../infrastructure/database/repositories/postgres.tournament.repository').PostgresTournamentRepository} tournamentRepository
+   * @param {import('./prizeDistribution.service')} [prizeDistributionService] - Pays out prizes when a tournament completes.
+   */
+  constructor(matchRepository, tournamentRepository, prizeDistributionService = null) {
+    this.matchRepository = matchRepository;
+    this.tournamentRepository = tournamentRepository;
+    this.prizeDistributionService = prizeDistributionService;
+  }
+
+  /**
+   * Applies the outcome of a completed match to the rest of the tournament.
+   * - The winner is placed into `nextMatchId` and the loser into `nextMatchLoserId`.
+   * - A downstream match is SCHEDULED as soon as both of its participants are known.
+   * - The tournament is COMPLETED with a winner when the deciding match is played.
+   * Calling it again for the same result is a no-op.
+   *
+   * @param {Match} match - The match whose result was just confirmed.
+   * @param {object} [options] - Options, including the Sequelize transaction of the result update.
+   * @returns {Promise<{advancedTo: Match|null, droppedTo: Match|null, newMatches: Match[], tournament: Tournament|null}>}
+   * @throws {Error} If a downstream match has already started with a different participant.
+   */
+  async advance(match, options = {}) {
+    const result = { advancedTo: null, droppedTo: null, newMatches: [], tournament: null };
+    if (!match || match.status !== Match.Status.COMPLETED) {
+      return result;
+    }
+
+    const metadata = match.metadata || {};
+    const winnerId = match.winnerId;
+    const isFirstGrandFinal = metadata.bracket === BracketLogic.Sections.GRAND_FINAL && !metadata.isBracketReset;
+
+    if (winnerId) {
+      const winnerType = match.winnerType || this.getParticipantType(match, winnerId);
+      const loserId = winnerId === match.participant1Id ? match.participant2Id : match.participant1Id;
+      const loserType = loserId ? this.getParticipantType(match, loserId) : null;
+
+      // The winners bracket champion takes the title by winning the first grand final; the reset is not played.
+      if (isFirstGrandFinal && winnerId === match.participant1Id) {
+        if (match.nextMatchId) {
+          await this.cancelBracketReset(match.nextMatchId, options);
+        }
+        result.tournament = await this.completeTournament(match.tournamentId, winnerId, winnerType, options);
+        return result;
+      }
+
+      if (match.nextMatchId) {
+        result.advancedTo = await this.placeParticipant(
+          match.nextMatchId,
+          metadata.nextMatchSlot,
+          winnerId,
+          winnerType,
+          match,
+          options,
+        );
+      }
+      if (match.nextMatchLoserId && loserId && !metadata.isBye) {
+        result.droppedTo = await this.placeParticipant(
+          match.nextMatchLoserId,
+          metadata.nextMatchLoserSlot,
+          loserId,
+          loserType,
+          match,
+          options,
+        );
+      }
+    }
+
+    if (!match.nextMatchId) {
+      const outcome = await this.checkTournamentOutcome(match, options);
+      result.newMatches = outcome.newMatches;
+      result.tournament = outcome.tournament;
+    }
+    return result;
+  }
+
+  /**
+   * Puts a participant into a slot of a downstream match and schedules it when both sides are known.
+   * The slot comes from the feeding match's metadata; without one, the first free slot is used.
+   * The target is locked, so when both feeding matches are confirmed at once the second placement
+   * sees the first and schedules the match.
+   * @private
+   */
+  async placeParticipant(targetMatchId, slot, participantId, participantType, sourceMatch, options) {
+    const target = await this.matchRepository.findById(targetMatchId, {
+      transaction: options.transaction,
+      lock: options.transaction.LOCK.UPDATE,
+    });
+    if (!target) {
+      throw new Error(`Next match ${targetMatchId} not found.`);
+    }
+
+    let slotNumber = slot;
+    if (slotNumber !== 1 && slotNumber !== 2) {
+      if (target.participant1Id === participantId) slotNumber = 1;
+      else if (target.participant2Id === participantId) slotNumber = 2;
+      else slotNumber = this.isReplaceable(target.participant1Id, sourceMatch) ? 1 : 2;
+    }
+
+    const idKey = `participant${slotNumber}Id`;
+    const typeKey = `participant${slotNumber}Type`;
+    if (target[idKey] === participantId) {
+      return target;
+    }
+    if (!this.isReplaceable(target[idKey], sourceMatch)) {
+      throw new Error(`Slot ${slotNumber} of match ${target.id} is already taken by another participant.`);
+    }
+    if (target[idKey] && STARTED_STATUSES.includes(target.status)) {
+      throw new Error(`Match ${target.id} has already started; its participants cannot be changed.`);
+    }
+
+    const updateData = { [idKey]: participantId, [typeKey]: participantType };
+    const opponentId = slotNumber === 1 ? target.participant2Id : target.participant1Id;
+    if (opponentId && (target.status === Match.Status.PENDING || target.status === Match.Status.SCHEDULED)) {
+      updateData.status = Match.Status.SCHEDULED;
+      const now = new Date();
+      if (!target.scheduledTime || new Date(target.scheduledTime) < now) {
+        updateData.scheduledTime = now;
+      }
+    }
+
+    return this.matchRepository.updateById(target.id, updateData, { transaction: options.transaction });
+  }
+
+  /**
+   * A slot may be (re)filled when it is empty or holds a participant of the match feeding it,
+   * which happens when a disputed result is overturned.
+   * @private
+   */
+  isReplaceable(currentId, sourceMatch) {
+    return !currentId || currentId === sourceMatch.participant1Id || currentId === sourceMatch.participant2Id;
+  }
+
+  /** @private */
+  getParticipantType(match, participantId) {
+    if (participantId === match.participant1Id) return match.participant1Type || null;
+    if (participantId === match.participant2Id) return match.participant2Type || null;
+    return null;
+  }
+
+  /** @private */
+  async cancelBracketReset(resetMatchId, options) {
+    const reset = await this.matchRepository.findById(resetMatchId, { transaction: options.transaction });
+    if (!reset || reset.status === Match.Status.CANCELED || reset.status === Match.Status.COMPLETED) {
+      return reset;
+    }
+    reset.cancelMatch('Not required: the winners bracket champion won the grand final.');
+    return this.matchRepository.updateById(
+      reset.id,
+      {
+        status: reset.status,
+        moderatorNotes: reset.moderatorNotes,
+      },
+      { transaction: options.transaction },
+    );
+  }
+
+  /**
+   * Decides what a completed match without a successor means for the tournament.
+   * In elimination formats it is the final, so its winner wins the tournament. Swiss tournaments
+   * get their next round once the current one is finished, and round robin / Swiss tournaments
+   * are completed with the standings leader after their last match.
+   * The tournament is locked first: confirmations of the last matches of a round only lock their own
+   * match, so without it each would see the other unfinished and nobody would continue the tournament.
+   * @private
+   */
+  async checkTournamentOutcome(match, options) {
+    const outcome = { newMatches: [], tournament: null };
+    const tournament = await this.tournamentRepository.findById(match.tournamentId, {
+      transaction: options.transaction,
+      lock: options.transaction.LOCK.UPDATE,
+    });
+    if (!tournament || tournament.status === Tournament.Status.COMPLETED) {
+      return outcome;
+    }
+
+    if (ELIMINATION_TYPES.includes(tournament.bracketType)) {
+      if (match.winnerId) {
+        const winnerType = match.winnerType || this.getParticipantType(match, match.winnerId);
+        outcome.tournament = await this.completeTournament(tournament, match.winnerId, winnerType, options);
+      }
+      return outcome;
+    }
+    if (
+      tournament.bracketType !== Tournament.BracketType.SWISS &&
+      tournament.bracketType !== Tournament.BracketType.ROUND_ROBIN
+    ) {
+      return outcome;
+    }
+
+    const matches = await this.matchRepository.findByTournamentId(match.tournamentId, {
+      transaction: options.transaction,
+    });
+    const finished = [Match.Status.COMPLETED, Match.Status.CANCELED];
+    if (matches.some((m) => !finished.includes(m.status))) {
+      return outcome;
+    }
+    const playedMatches = matches.filter((m) => m.status === Match.Status.COMPLETED);
+
+    const participants = (
+      await this.tournamentRepository.findParticipantsByTournamentId(match.tournamentId, {
+        transaction: options.transaction,
+      })
+    ).map((p) => ({ id: p.participantId, seed: p.seed, type: p.participantType }));
+
+    if (tournament.bracketType === Tournament.BracketType.SWISS) {
+      const totalRounds = (match.metadata && match.metadata.totalRounds) || Math.ceil(Math.log2(participants.length));
+      const playedRounds = playedMatches.reduce((max, m) => Math.max(max, m.roundNumber), 0);
+      if (playedRounds < totalRounds) {
+        const nextRound = BracketLogic.generateSwissRound(tournament.id, participants, playedMatches, {
+          totalRounds,
+          shuffle: false,
+        });
+        outcome.newMatches = await this.matchRepository.createBulk(nextRound, { transaction: options.transaction });
+        return outcome;
+      }
+    }
+
+    const [leader] = BracketLogic.computeSwissStandings(participants, playedMatches);
+    if (leader) {
+      const leaderEntry = participants.find((p) => p.id === leader.participantId);
+      outcome.tournament = await this.completeTournament(
+        tournament,
+        leader.participantId,
+        leaderEntry ? leaderEntry.type : null,
+        options,
+      );
+    }
+    return outcome;
+  }
+
+  /**
+   * Marks the tournament COMPLETED with its winner and distributes its prizes in the same transaction.
+   * @private
+   * @param {Tournament|string} tournamentOrId
+   */
+  async completeTournament(tournamentOrId, winnerId, winnerType, options) {
+    const tournament =
+      typeof tournamentOrId === 'string'
+        ? await this.tournamentRepository.findById(tournamentOrId, { transaction: options.transaction })
+        : tournamentOrId;
+    if (!tournament) {
+      throw new Error(`Tournament ${tournamentOrId} not found.`);
+    }
+    if (tournament.status === Tournament.Status.COMPLETED) {
+      return tournament;
+    }
+
+    if (tournament.status !== Tournament.Status.ONGOING) {
+      // A bracket generated after registration closed is played without the tournament being started
+      // explicitly; its matches being decided means it has started.
+      tournament.startTournament();
+    }
+    tournament.completeTournament(winnerId, winnerType);
+    const completedTournament = await this.tournamentRepository.updateById(
+      tournament.id,
+      {
+        status: tournament.status,
+        endDate: tournament.endDate,
+        winnerId: tournament.winnerId,
+        winnerType: tournament.winnerType,
+      },
+      { transaction: options.transaction },
+    );
+    if (this.prizeDistributionService) {
+      await this.prizeDistributionService.distribute(completedTournament || tournament, {
+        transaction: options.transaction,
+      });
+    }
+    return completedTournament;
+  }
+}
+
+module.exports = BracketAdvancementService;
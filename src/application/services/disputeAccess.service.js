@@ -0,0 +1,56 @@
+// src/application/services/disputeAccess.service.js
+const { NotFoundError, ForbiddenError } = require('../../utils/errors');
+const { UserRoles } = require('../../domain/user/user.entity');
+
+const STAFF_ROLES = [UserRoles.ADMIN, UserRoles.MODERATOR];
+
+/**
+ * Decides who may see and take part in a dispute ticket: the players of the disputed match
+ * (and the reporter), plus admins and moderators.
+ */
+class DisputeAccessService {
+  /**
+   * @param {import('../../domain/dispute/dispute.repository.interface')} disputeRepository
+   * @param {import('../../domain/tournament/match.repository.interface')} matchRepository
+   */
+  constructor(disputeRepository, matchRepository) {
+    this.disputeRepository = disputeRepository;
+    this.matchRepository = matchRepository;
+  }
+
+  /**
+   * Whether the user handles disputes as staff rather than as a player.
+   * @param {{roles?: string[]}} user
+   * @returns {boolean}
+   */
+  isStaff(user) {
+    return Boolean(user.roles && user.roles.some((role) => STAFF_ROLES.includes(role)));
+  }
+
+  /**
+   * Loads a dispute ticket and its match, making sure the user may access them.
+   * @param {string} disputeId - The ID of the dispute ticket.
+   * @param {{id: string, roles: string[]}} user - The requesting user.
+   * @param {object} [options] - Repository options, e.g. `{ transaction, lock }` for the ticket.
+   * @returns {Promise<{dispute: import('../../domain/dispute/dispute.entity').DisputeTicket,
+   *   match: import('../../domain/tournament/match.entity').Match|null, isStaff: boolean}>}
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  async loadForUser(disputeId, user, options = {}) {
+    const dispute = await this.disputeRepository.findById(disputeId, options);
+    if (!dispute) {
+      throw new NotFoundError('Dispute not found.');
+    }
+    const match = await this.matchRepository.findById(dispute.matchId, { transaction: options.transaction });
+
+    const isStaff = this.isStaff(user);
+    const isParticipant = dispute.reporterId === user.id
+      || Boolean(match && (match.participant1Id === user.id || match.participant2Id === user.id));
+    if (!isStaff && !isParticipant) {
+      throw new ForbiddenError('You do not have access to this dispute.');
+    }
+    return { dispute, match, isStaff };
+  }
+}
+
+module.exports = DisputeAccessService;
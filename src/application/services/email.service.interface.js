@@ -1,3 +1,13 @@
+const { describeNotification } = require('./notificationEmail.content');
+
+// Notification texts contain user input such as team names, so they are escaped in HTML bodies.
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * @interface EmailServiceInterface
  * Defines the contract for sending emails.
@@ -52,6 +62,39 @@ class EmailServiceInterface {
 
     return this.sendEmail(emailAddress, subject, textBody, htmlBody);
   }
+
+  /**
+   * Emails a single notification to the user, for categories set to instant email.
+   * @param {string} emailAddress - The user's email address.
+   * @param {string} username - The user's username.
+   * @param {import('../../domain/notification/notification.entity').Notification} notification
+   * @returns {Promise<void>}
+   */
+  async sendNotificationEmail(emailAddress, username, notification) {
+    const { subject, message, link } = describeNotification(notification);
+    const textBody = `Hello ${username},\n\n${message}${link ? `\n\nView it here: ${link}` : ''}\n\nThanks,\nThe Tournament Platform Team`;
+    const htmlBody = `<p>Hello ${escapeHtml(username)},</p><p>${escapeHtml(message)}</p>${link ? `<p><a href="${escapeHtml(link)}">View it here</a></p>` : ''}<p>Thanks,<br/>The Tournament Platform Team</p>`;
+
+    return this.sendEmail(emailAddress, subject, textBody, htmlBody);
+  }
+
+  /**
+   * Emails the user one digest of several notifications, for categories set to the daily digest.
+   * @param {string} emailAddress - The user's email address.
+   * @param {string} username - The user's username.
+   * @param {Array<import('../../domain/notification/notification.entity').Notification>} notifications
+   * @returns {Promise<void>}
+   */
+  async sendNotificationDigestEmail(emailAddress, username, notifications) {
+    const items = notifications.map((notification) => describeNotification(notification));
+    const subject = `You have ${items.length} unread notification${items.length === 1 ? '' : 's'}`;
+    const textItems = items.map((item) => `- ${item.subject}: ${item.message}${item.link ? ` (${item.link})` : ''}`).join('\n');
+    const htmlItems = items.map((item) => `<li><strong>${escapeHtml(item.subject)}</strong><br/>${escapeHtml(item.message)}${item.link ? ` <a href="${escapeHtml(item.link)}">View</a>` : ''}</li>`).join('');
+    const textBody = `Hello ${username},\n\nHere is what happened since your last digest:\n\n${textItems}\n\nThanks,\nThe Tournament Platform Team`;
+    const htmlBody = `<p>Hello ${escapeHtml(username)},</p><p>Here is what happened since your last digest:</p><ul>${htmlItems}</ul><p>Thanks,<br/>The Tournament Platform Team</p>`;
+
+    return this.sendEmail(emailAddress, subject, textBody, htmlBody);
+  }
 }
 
 module.exports = EmailServiceInterface;
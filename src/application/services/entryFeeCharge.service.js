@@ -0,0 +1,80 @@
+// src/application/services/entryFeeCharge.service.js
+const { v4: uuidv4 } = require('uuid');
+const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+const { Transaction } = require('../../domain/wallet/transaction.entity');
+
+/**
+ * Charges tournament entry fees. Each charge debits a locked wallet and records a TOURNAMENT_FEE
+ * transaction in the caller's database transaction, so the debit, the ledger entry and the
+ * registration it pays for commit or roll back together.
+ */
+class EntryFeeChargeService {
+  /**
+   * @param {import('../../domain/wallet/wallet.repository.interface')} walletRepository
+   * @param {import('../../domain/wallet/transaction.repository.interface')} transactionRepository
+   */
+  constructor(walletRepository, transactionRepository) {
+    this.walletRepository = walletRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * The idempotency key of the TOURNAMENT_FEE transaction a user pays for a registration.
+   * @param {string} registrationId - The ID of the tournament participant record.
+   * @param {string} userId
+   * @returns {string}
+   */
+  static feeKey(registrationId, userId) {
+    return `fee:${registrationId}:${userId}`;
+  }
+
+  /**
+   * Debits an entry fee from a user's wallet.
+   * @param {object} params
+   * @param {string} params.userId - The paying user.
+   * @param {number} params.amount - The amount to debit.
+   * @param {import('../../domain/tournament/tournamentParticipant.entity').TournamentParticipant} params.registration -
+   *   The registration the fee pays for.
+   * @param {object} options
+   * @param {object} options.transaction - The database transaction; the wallet row is locked within it.
+   * @returns {Promise<Transaction>} The TOURNAMENT_FEE transaction.
+   * @throws {NotFoundError} If the user has no wallet.
+   * @throws {ForbiddenError} If the wallet balance does not cover the fee.
+   */
+  async chargeFee({ userId, amount, registration }, { transaction }) {
+    const wallet = await this.walletRepository.findByUserId(userId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!wallet) {
+      throw new NotFoundError(`Wallet of user ${userId} not found.`);
+    }
+    if (!wallet.hasSufficientFunds(amount)) {
+      throw new ForbiddenError('Insufficient funds to pay the entry fee.');
+    }
+    wallet.withdraw(amount);
+    await this.walletRepository.update(wallet.id, { balance: wallet.balance }, { transaction });
+
+    return this.transactionRepository.create(
+      new Transaction(
+        uuidv4(),
+        wallet.id,
+        'TOURNAMENT_FEE',
+        amount,
+        Transaction.Status.COMPLETED,
+        EntryFeeChargeService.feeKey(registration.id, userId),
+        `Entry fee for tournament ${registration.tournamentId}`,
+        {
+          tournamentId: registration.tournamentId,
+          registrationId: registration.id,
+          participantId: registration.participantId,
+          participantType: registration.participantType,
+        },
+        new Date(),
+      ),
+      { transaction },
+    );
+  }
+}
+
+module.exports = EntryFeeChargeService;
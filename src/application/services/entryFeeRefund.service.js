@@ -0,0 +1,123 @@
+// src/application/services/entryFeeRefund.service.js
+const { v4: uuidv4 } = require('uuid');
+const { NotFoundError } = require('../../utils/errors');
+const { Transaction } = require('../../domain/wallet/transaction.entity');
+
+/**
+ * Returns tournament entry fees to the wallets they were paid from.
+ * Every refund is keyed by the fee transaction it reverses, so a fee is refunded at most once
+ * no matter how many times (or from how many places) a refund is attempted.
+ */
+class EntryFeeRefundService {
+  /**
+   * @param {import('../../domain/wallet/wallet.repository.interface')} walletRepository
+   * @param {import('../../domain/wallet/transaction.repository.interface')} transactionRepository
+   */
+  constructor(walletRepository, transactionRepository) {
+    this.walletRepository = walletRepository;
+    this.transactionRepository = transactionRepository;
+  }
+
+  /**
+   * The idempotency key of the REFUND transaction that reverses a fee.
+   * @param {string} feeTransactionId
+   * @returns {string}
+   */
+  static refundKey(feeTransactionId) {
+    return `refund:${feeTransactionId}`;
+  }
+
+  /**
+   * Refunds a single TOURNAMENT_FEE transaction.
+   * @param {Transaction} feeTransaction - The completed fee transaction.
+   * @param {object} options
+   * @param {string} options.reason - Stored on the refund.
+   * @param {number} [options.amount] - Partial refund amount; the full fee by default.
+   * @param {object} options.transaction - The database transaction; the wallet row is locked within it.
+   * @returns {Promise<Transaction|null>} The REFUND transaction, or null if the fee was already refunded.
+   * @throws {NotFoundError} If the wallet of the fee no longer exists.
+   */
+  async refundFee(feeTransaction, { reason, amount = feeTransaction.amount, transaction }) {
+    const idempotencyKey = EntryFeeRefundService.refundKey(feeTransaction.id);
+    const existingRefund = await this.transactionRepository.findByIdempotencyKey(idempotencyKey, { transaction });
+    if (existingRefund) {
+      return null;
+    }
+
+    const wallet = await this.walletRepository.findById(feeTransaction.walletId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!wallet) {
+      throw new NotFoundError(`Wallet ${feeTransaction.walletId} of fee transaction ${feeTransaction.id} not found.`);
+    }
+    wallet.deposit(amount);
+    await this.walletRepository.update(wallet.id, { balance: wallet.balance }, { transaction });
+
+    return this.transactionRepository.create(
+      new Transaction(
+        uuidv4(),
+        wallet.id,
+        'REFUND',
+        amount,
+        Transaction.Status.COMPLETED,
+        idempotencyKey,
+        reason,
+        { ...feeTransaction.metadata, feeTransactionId: feeTransaction.id },
+        new Date(),
+      ),
+      { transaction },
+    );
+  }
+
+  /**
+   * Refunds the entry fees paid for a single registration (one fee per paying user).
+   * @param {string} registrationId - The ID of the tournament participant record.
+   * @param {object} options
+   * @param {string} options.reason - Stored on each refund.
+   * @param {number} [options.percentage=100] - The share of each fee to return; nothing is refunded at 0.
+   * @param {object} options.transaction - The database transaction.
+   * @returns {Promise<Transaction[]>} The REFUND transactions created by this call.
+   */
+  async refundRegistration(registrationId, { reason, percentage = 100, transaction }) {
+    const fees = await this.transactionRepository.findByMetadata(
+      { type: 'TOURNAMENT_FEE', status: Transaction.Status.COMPLETED, metadata: { registrationId } },
+      { transaction },
+    );
+    return this.refundAll(fees, { reason, percentage, transaction });
+  }
+
+  /**
+   * Refunds every entry fee paid for a tournament that has not been refunded yet.
+   * @param {string} tournamentId - The ID of the tournament.
+   * @param {object} options
+   * @param {string} options.reason - Stored on each refund.
+   * @param {object} options.transaction - The database transaction.
+   * @returns {Promise<Transaction[]>} The REFUND transactions created by this call.
+   */
+  async refundTournament(tournamentId, { reason, transaction }) {
+    const fees = await this.transactionRepository.findByMetadata(
+      { type: 'TOURNAMENT_FEE', status: Transaction.Status.COMPLETED, metadata: { tournamentId } },
+      { transaction },
+    );
+    return this.refundAll(fees, { reason, transaction });
+  }
+
+  /** @private */
+  async refundAll(fees, { reason, percentage = 100, transaction }) {
+    const refunds = [];
+    for (const fee of fees) {
+      const amount = Math.round(fee.amount * percentage) / 100;
+      if (amount <= 0) {
+        continue;
+      }
+      const refund = await this.refundFee(fee, { reason, amount, transaction });
+      if (refund) {
+        refunds.push(refund);
+      }
+    }
+    return refunds;
+  }
+}
+
+module.exports = EntryFeeRefundService;
@@ -1,219 +1,288 @@
 // src/application/services/fileValidation.service.js
-const ApiError = require('../../utils/ApiError');
-const httpStatus = require('http-status');
-// const { MatchModel, MatchStatus } = require('../../infrastructure/database/models'); // Example, actual models injected
-// const s3Service = require('../services/s3.service'); // Assuming an S3 service
-// const notificationService = require('../services/notification.service'); // Assuming a notification service
-
-// Define possible scan results (could be an enum or constants)
-const SCAN_RESULTS = {
-  CLEAN: 'CLEAN',
-  INFECTED: 'INFECTED',
-  ERROR: 'ERROR_SCANNING',
-  UNSUPPORTED: 'UNSUPPORTED_TYPE_FOR_SCAN', // If scanner cannot handle file type
-};
+const { appConfig } = require('../../../config/config');
+const { BadRequestError } = require('../../utils/errors');
+const { Notification } = require('../../domain/notification/notification.entity');
+const { FileUpload } = require('../../domain/upload/fileUpload.entity');
+const { DisputeEvidence } = require('../../domain/dispute/dispute_evidence.entity');
+const { sniffContentType, isImage } = require('../../utils/contentType');
 
-// Define file validation statuses to be potentially stored on related entities
-const FILE_VALIDATION_STATUS = {
-  PENDING_SCAN: 'PENDING_SCAN',
-  SCANNING: 'SCANNING', // If scan is a long process and worker updates status
-  SCANNED_INFECTED: 'SCANNED_INFECTED',
-  SCANNED_ERROR: 'SCANNED_ERROR',
-  SCANNED_CLEAN_PENDING_CONTENT_VALIDATION: 'SCANNED_CLEAN_PENDING_CONTENT_VALIDATION',
-  CONTENT_VALIDATION_PASSED: 'CONTENT_VALIDATION_PASSED', // Or more specific like 'VALIDATED_OK'
-  CONTENT_VALIDATION_FAILED_TYPE: 'CONTENT_VALIDATION_FAILED_TYPE',
-  CONTENT_VALIDATION_FAILED_SIZE: 'CONTENT_VALIDATION_FAILED_SIZE',
-  CONTENT_VALIDATION_FAILED_CONTENT: 'CONTENT_VALIDATION_FAILED_CONTENT', // e.g. corrupt image
-  // Add more as needed
-};
+// Why an upload was REJECTED, stored as its rejection reason
+const REJECTION_REASONS = Object.freeze({
+  NOT_UPLOADED: 'NOT_UPLOADED', // The file never arrived in storage
+  SCAN_FAILED: 'SCAN_FAILED', // The scanner kept failing on the file, e.g. because it is too large for clamd
+  CONTENT_TYPE: 'CONTENT_TYPE', // Its contents are not of a type allowed for the upload's purpose
+  INVALID_IMAGE: 'INVALID_IMAGE', // Looks like an image but could not be decoded
+  FILE_SIZE: 'FILE_SIZE', // Empty or larger than allowed for the upload's purpose
+});
 
+// What each kind of upload may contain
+const CONTENT_RULES = Object.freeze({
+  [FileUpload.Purpose.MATCH_RESULT]: {
+    contentTypes: ['image/jpeg', 'image/png', 'image/gif'],
+    maxBytes: 5 * 1024 * 1024,
+  },
+  [FileUpload.Purpose.DISPUTE_EVIDENCE]: {
+    contentTypes: DisputeEvidence.AllowedContentTypes,
+    maxBytes: 50 * 1024 * 1024,
+  },
+});
 
+/**
+ * Tracks uploaded files from the moment an upload URL is issued until they were scanned for malware
+ * and checked against what their purpose allows. Infected files are moved under the quarantine prefix
+ * (FILE_SCAN_QUARANTINE_PREFIX) so they can no longer be downloaded through their original key.
+ * The type of a file is detected from its contents, and clean images are replaced by a version without
+ * EXIF/GPS metadata plus resized variants. Files are scanned as soon as they arrived; upload URLs
+ * cannot replace an existing object, so a file cannot be swapped after it was found clean.
+ *
+ * The file scan worker calls `scanPendingUploads` periodically; use cases call `assertClean` before
+ * attaching a file to anything.
+ */
 class FileValidationService {
   /**
    * @param {object} dependencies - Service dependencies.
-   * @param {import('../../infrastructure/database/repositories/postgres.match.repository').PostgresMatchRepository} dependencies.matchRepository - Example
-   * @param {any} dependencies.s3Service - Service for S3 interactions
-   * @param {any} dependencies.notificationService - Service for sending notifications
+   * @param {import('../../domain/upload/fileUpload.repository.interface')} dependencies.fileUploadRepository
+   * @param {import('./storage.service.interface')} dependencies.storageService - Reads files and quarantines infected ones.
+   * @param {import('./malwareScanner.interface')} dependencies.malwareScanner
+   * @param {import('./imageProcessing.service')} dependencies.imageProcessingService - Strips metadata from images and renders their variants.
+   * @param {import('./notification.service')} [dependencies.notificationService] - Tells uploaders their file was rejected
    * @param {any} dependencies.logger - Logger instance
    */
   constructor(dependencies) {
-    this.matchRepository = dependencies.matchRepository; // Example
-    this.s3Service = dependencies.s3Service;
-    this.notificationService = dependencies.notificationService;
+    this.fileUploadRepository = dependencies.fileUploadRepository;
+    this.storageService = dependencies.storageService;
+    this.malwareScanner = dependencies.malwareScanner;
+    this.imageProcessingService = dependencies.imageProcessingService;
+    this.notificationService = dependencies.notificationService || null;
     this.logger = dependencies.logger;
-    // In a real setup, specific models might not be directly injected here,
-    // but repositories that use them would be.
   }
 
   /**
-   * Processes the result of a file scan.
+   * Records that an upload URL was issued for a file, so the file gets scanned once it arrives.
    * @param {object} params
-   * @param {string} params.fileKey - The S3 key or unique identifier of the file.
-   * @param {string} params.scanResult - Result from the scanner (e.g., 'CLEAN', 'INFECTED').
-   * @param {string} params.associatedEntityId - ID of the entity this file is related to (e.g., matchId).
-   * @param {string} params.associatedEntityType - Type of entity ('MATCH_RESULT_P1', 'MATCH_RESULT_P2', 'USER_AVATAR', etc.).
-   * @param {string} [params.uploaderId] - ID of the user who uploaded the file.
-   * @param {object} [params.fileMetadata] - Original filename, MIME type, size etc.
+   * @param {string} params.fileKey - Storage key the URL uploads to.
+   * @param {string} params.uploaderId
+   * @param {string} params.purpose - One of FileUpload.Purpose.
+   * @param {string} [params.entityId] - ID of the match or dispute the file is for.
+   * @param {string} [params.contentType] - Content type the URL was issued for.
+   * @param {Date} params.uploadExpiresAt - When the upload URL stops working.
+   * @returns {Promise<FileUpload>}
    */
-  async processScanResult(params) {
-    const {
-      fileKey,
-      scanResult,
-      associatedEntityId,
-      associatedEntityType,
-      uploaderId,
-      fileMetadata = {}
-    } = params;
-
-    this.logger.info(`Processing scan result for file ${fileKey}: ${scanResult}, entity: ${associatedEntityType}:${associatedEntityId}`);
+  async registerUpload({ fileKey, uploaderId, purpose, entityId = null, contentType = null, uploadExpiresAt }) {
+    return this.fileUploadRepository.create(
+      new FileUpload({ fileKey, uploaderId, purpose, entityId, contentType, uploadExpiresAt }),
+    );
+  }
 
-    try {
-      switch (scanResult) {
-        case SCAN_RESULTS.INFECTED:
-          await this.handleInfectedFile({ fileKey, associatedEntityId, associatedEntityType, uploaderId });
-          break;
-        case SCAN_RESULTS.CLEAN:
-          await this.handleCleanFile({ fileKey, associatedEntityId, associatedEntityType, uploaderId, fileMetadata });
-          break;
-        case SCAN_RESULTS.ERROR:
-        case SCAN_RESULTS.UNSUPPORTED:
-          await this.handleScanErrorOrUnsupported({ fileKey, scanResult, associatedEntityId, associatedEntityType, uploaderId });
-          break;
-        default:
-          this.logger.warn(`Unknown scan result '${scanResult}' for file ${fileKey}. Treating as error.`);
-          await this.handleScanErrorOrUnsupported({ fileKey, scanResult: SCAN_RESULTS.ERROR, associatedEntityId, associatedEntityType, uploaderId });
+  /**
+   * Makes sure a file may be attached to a result or dispute: it was uploaded by the user through an
+   * upload URL and has been scanned clean.
+   * @param {string} fileKey
+   * @param {object} params
+   * @param {string} params.uploaderId - The user attaching the file.
+   * @returns {Promise<FileUpload>}
+   * @throws {BadRequestError} If the file is unknown, not scanned yet, infected or rejected.
+   */
+  async assertClean(fileKey, { uploaderId }) {
+    const fileUpload = await this.fileUploadRepository.findByFileKey(fileKey);
+    if (!fileUpload || fileUpload.uploaderId !== uploaderId) {
+      throw new BadRequestError('The file was not uploaded through an upload URL.');
+    }
+    switch (fileUpload.status) {
+      case FileUpload.Status.CLEAN:
+        return fileUpload;
+      case FileUpload.Status.PENDING_SCAN:
+        throw new BadRequestError('The file is still being scanned. Please try again shortly.');
+      case FileUpload.Status.INFECTED:
+        throw new BadRequestError('The file failed the security scan.');
+      default:
+        throw new BadRequestError(`The file was rejected (${fileUpload.rejectionReason}). Please upload another one.`);
+    }
+  }
+
+  /**
+   * Scans the uploads waiting for their scan, oldest first.
+   * @param {object} [params]
+   * @param {number} [params.limit] - Maximum number of uploads to look at.
+   * @param {Date} [now] - The current time, for testing.
+   * @returns {Promise<{clean: number, infected: number, rejected: number, pending: number}>} Outcomes of this run.
+   */
+  async scanPendingUploads({ limit = 50 } = {}, now = new Date()) {
+    const summary = { clean: 0, infected: 0, rejected: 0, pending: 0 };
+    const fileUploads = await this.fileUploadRepository.findPendingScan({ limit });
+    for (const fileUpload of fileUploads) {
+      try {
+        const status = await this.scanUpload(fileUpload, now);
+        const outcome = {
+          [FileUpload.Status.CLEAN]: 'clean',
+          [FileUpload.Status.INFECTED]: 'infected',
+          [FileUpload.Status.REJECTED]: 'rejected',
+        }[status] || 'pending';
+        summary[outcome] += 1;
+      } catch (error) {
+        this.logger.error(`[FileValidation] Failed to process upload ${fileUpload.fileKey}:`, error);
+        summary.pending += 1;
       }
-    } catch (error) {
-      this.logger.error(`Error processing scan result for ${fileKey}: ${error.message}`, { error, params });
-      // Decide if this should re-throw or just log. If it's an internal error, re-throwing might be appropriate.
-      // For now, log and potentially update entity to a generic error state.
-      await this.updateEntityFileStatusOnError(associatedEntityId, associatedEntityType, 'PROCESSING_ERROR_INTERNAL');
-      // throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to process file scan result: ${error.message}`);
     }
+    return summary;
   }
 
-  async handleInfectedFile({ fileKey, associatedEntityId, associatedEntityType, uploaderId }) {
-    this.logger.warn(`File ${fileKey} is INFECTED. Taking action for ${associatedEntityType}:${associatedEntityId}.`);
-    // 1. Quarantine or delete file from S3 (BE CAREFUL WITH DELETE)
-    // Example: await this.s3Service.deleteObject(fileKey); // Or move to a quarantine bucket
-    // For now, let's assume we log and don't delete automatically to prevent accidental data loss during dev
-    this.logger.info(`[SIMULATION] File ${fileKey} would be quarantined/deleted.`);
+  /**
+   * Scans one upload if it has arrived in storage. Uploads that did not arrive
+   * or could not be scanned stay pending until FILE_SCAN_PENDING_TIMEOUT_MINUTES passed, and are rejected after that.
+   * @param {FileUpload} fileUpload - A PENDING_SCAN upload.
+   * @param {Date} [now]
+   * @returns {Promise<string>} The upload's status afterwards.
+   */
+  async scanUpload(fileUpload, now = new Date()) {
+    const timedOut = now.getTime() - new Date(fileUpload.createdAt).getTime()
+      > appConfig.fileScan.pendingTimeoutMinutes * 60 * 1000;
 
-    // 2. Update associated entity status
-    await this.updateEntityFileStatus(associatedEntityId, associatedEntityType, FILE_VALIDATION_STATUS.SCANNED_INFECTED);
+    const storedFile = await this.storageService.get(fileUpload.fileKey);
+    if (!storedFile) {
+      if (timedOut) {
+        // Nothing to tell the uploader; they just never used the upload URL.
+        return this.rejectUpload(fileUpload, REJECTION_REASONS.NOT_UPLOADED, now, { notify: false });
+      }
+      return fileUpload.status;
+    }
 
-    // 3. Notify uploader (and potentially admins)
-    if (uploaderId && this.notificationService) {
-      // await this.notificationService.sendUserNotification(uploaderId, 'file_infected', { fileKey, entityType: associatedEntityType });
-      this.logger.info(`[SIMULATION] User ${uploaderId} would be notified about infected file ${fileKey}.`);
+    let scanResult;
+    try {
+      scanResult = await this.malwareScanner.scan(storedFile.body);
+    } catch (error) {
+      this.logger.warn(`[FileValidation] Could not scan ${fileUpload.fileKey}: ${error.message}`);
+      if (timedOut) {
+        return this.rejectUpload(fileUpload, REJECTION_REASONS.SCAN_FAILED, now);
+      }
+      return fileUpload.status;
     }
-    // TODO: Notify admin if critical
+    return this.processScanResult(fileUpload, scanResult, storedFile, now);
   }
 
-  async handleCleanFile({ fileKey, associatedEntityId, associatedEntityType, uploaderId, fileMetadata }) {
-    this.logger.info(`File ${fileKey} is CLEAN. Proceeding with content validation for ${associatedEntityType}:${associatedEntityId}.`);
-
-    await this.updateEntityFileStatus(associatedEntityId, associatedEntityType, FILE_VALIDATION_STATUS.SCANNED_CLEAN_PENDING_CONTENT_VALIDATION);
-
-    // Perform content-specific validation based on associatedEntityType
-    let validationPassed = false;
-    let failureReason = null;
-
-    if (associatedEntityType === 'MATCH_RESULT_P1' || associatedEntityType === 'MATCH_RESULT_P2') {
-      const { valid, reason } = this.validateMatchResultFile(fileMetadata);
-      validationPassed = valid;
-      failureReason = reason;
-    } else if (associatedEntityType === 'USER_AVATAR') {
-      // const { valid, reason } = this.validateAvatarFile(fileMetadata);
-      // validationPassed = valid;
-      // failureReason = reason;
-      validationPassed = true; // Placeholder for avatar validation
-       this.logger.info(`[SIMULATION] Avatar file ${fileKey} content validation placeholder - assuming OK.`);
-    } else {
-      this.logger.warn(`No specific content validation logic for entity type: ${associatedEntityType}. Marking as passed.`);
-      validationPassed = true; // Default to passed if no specific validation
+  /**
+   * Applies a scan result to an upload: infected files are quarantined, clean files are checked against
+   * what the upload's purpose allows and images are processed. The uploader is told when their file
+   * was not accepted.
+   * @param {FileUpload} fileUpload - A PENDING_SCAN upload.
+   * @param {{infected: boolean, signature: string|null}} scanResult - From the malware scanner.
+   * @param {{body: Buffer, contentType: string|null, size: number}} storedFile - The scanned file.
+   * @param {Date} [now]
+   * @returns {Promise<string>} The upload's status afterwards.
+   */
+  async processScanResult(fileUpload, scanResult, storedFile, now = new Date()) {
+    if (scanResult.infected) {
+      const quarantineKey = await this.quarantine(fileUpload.fileKey, storedFile);
+      fileUpload.markInfected(scanResult.signature, quarantineKey, now);
+      this.logger.warn(`[FileValidation] ${fileUpload.fileKey} is infected with ${scanResult.signature}; moved to ${quarantineKey}.`);
+      if (await this.saveScanResult(fileUpload)) {
+        await this.notifyRejected(fileUpload);
+      }
+      return fileUpload.status;
+    }
+
+    // The Content-Type the file was uploaded with is whatever the client claimed
+    const contentType = sniffContentType(storedFile.body);
+    const failureReason = FileValidationService.validateContent(fileUpload.purpose, { contentType, size: storedFile.size });
+    if (failureReason) {
+      return this.rejectUpload(fileUpload, failureReason, now);
     }
 
-    if (validationPassed) {
-      await this.updateEntityFileStatus(associatedEntityId, associatedEntityType, FILE_VALIDATION_STATUS.CONTENT_VALIDATION_PASSED);
-      this.logger.info(`Content validation PASSED for file ${fileKey}.`);
-      // Potentially trigger next steps, e.g., notify opponent for match result confirmation
-    } else {
-      await this.updateEntityFileStatus(associatedEntityId, associatedEntityType, failureReason || FILE_VALIDATION_STATUS.CONTENT_VALIDATION_FAILED_CONTENT);
-      this.logger.warn(`Content validation FAILED for file ${fileKey}. Reason: ${failureReason}`);
-      if (uploaderId && this.notificationService) {
-        // await this.notificationService.sendUserNotification(uploaderId, 'file_validation_failed', { fileKey, reason: failureReason });
-        this.logger.info(`[SIMULATION] User ${uploaderId} would be notified about content validation failure for ${fileKey}.`);
+    let cleanFile = { size: storedFile.size, contentType };
+    if (isImage(contentType)) {
+      try {
+        cleanFile = await this.imageProcessingService.processAndStore(fileUpload.fileKey, storedFile.body, contentType);
+      } catch (error) {
+        if (!(error instanceof BadRequestError)) {
+          throw error;
+        }
+        return this.rejectUpload(fileUpload, REJECTION_REASONS.INVALID_IMAGE, now);
       }
     }
-  }
 
-  validateMatchResultFile(fileMetadata) {
-    const { mimeType = '', size = 0 } = fileMetadata;
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif']; // Example allowed types
-    const maxSize = 5 * 1024 * 1024; // 5MB example limit
+    fileUpload.markClean(cleanFile, now);
+    await this.saveScanResult(fileUpload);
+    return fileUpload.status;
+  }
 
-    if (!allowedTypes.includes(mimeType.toLowerCase())) {
-      return { valid: false, reason: FILE_VALIDATION_STATUS.CONTENT_VALIDATION_FAILED_TYPE };
+  /**
+   * Checks a scanned file against what uploads for the purpose may contain.
+   * @param {string} purpose - One of FileUpload.Purpose.
+   * @param {{contentType: string|null, size: number}} file - `contentType` as detected from the contents.
+   * @returns {string|null} One of REJECTION_REASONS, or null if the file is acceptable.
+   */
+  static validateContent(purpose, { contentType, size }) {
+    const rules = CONTENT_RULES[purpose];
+    if (!contentType || !rules.contentTypes.includes(contentType)) {
+      return REJECTION_REASONS.CONTENT_TYPE;
     }
-    if (size > maxSize) {
-      return { valid: false, reason: FILE_VALIDATION_STATUS.CONTENT_VALIDATION_FAILED_SIZE };
+    if (!size || size > rules.maxBytes) {
+      return REJECTION_REASONS.FILE_SIZE;
     }
-    // Further checks (e.g. image dimensions, corruption) could go here
-    return { valid: true, reason: null };
+    return null;
   }
 
-  async handleScanErrorOrUnsupported({ fileKey, scanResult, associatedEntityId, associatedEntityType, uploaderId }) {
-    this.logger.error(`File scan for ${fileKey} resulted in ${scanResult}. Entity: ${associatedEntityType}:${associatedEntityId}.`);
-
-    await this.updateEntityFileStatus(associatedEntityId, associatedEntityType, FILE_VALIDATION_STATUS.SCANNED_ERROR);
+  /**
+   * Moves an infected file under the quarantine prefix, out of reach of its download URL.
+   * @private
+   * @param {string} fileKey
+   * @param {{body: Buffer, contentType: string|null}} storedFile
+   * @returns {Promise<string>} The quarantine key.
+   */
+  async quarantine(fileKey, storedFile) {
+    const quarantineKey = `${appConfig.fileScan.quarantinePrefix}${fileKey}`;
+    await this.storageService.put(quarantineKey, storedFile.body, { contentType: storedFile.contentType });
+    await this.storageService.delete(fileKey);
+    return quarantineKey;
+  }
 
-    if (uploaderId && this.notificationService) {
-      // await this.notificationService.sendUserNotification(uploaderId, 'file_scan_error', { fileKey, scanResult });
-      this.logger.info(`[SIMULATION] User ${uploaderId} would be notified about scan error for ${fileKey}.`);
+  /** @private */
+  async rejectUpload(fileUpload, reason, now, { notify = true } = {}) {
+    fileUpload.reject(reason, now);
+    this.logger.info(`[FileValidation] Rejected ${fileUpload.fileKey}: ${reason}.`);
+    if ((await this.saveScanResult(fileUpload)) && notify) {
+      await this.notifyRejected(fileUpload);
     }
-    // TODO: Notify admin
+    return fileUpload.status;
   }
 
-  async updateEntityFileStatus(entityId, entityType, fileStatus) {
-    this.logger.info(`Updating status for ${entityType}:${entityId}, file status: ${fileStatus}`);
-    // This is where the actual DB update would happen via a repository.
-    // This needs to be implemented based on how file statuses are stored.
-    // Example for match result proofs:
-    if ((entityType === 'MATCH_RESULT_P1' || entityType === 'MATCH_RESULT_P2') && this.matchRepository) {
-        try {
-            const match = await this.matchRepository.findById(entityId);
-            if (!match) {
-                this.logger.error(`Match not found with ID ${entityId} when trying to update file status.`);
-                return;
-            }
-            const updateData = {};
-            if (entityType === 'MATCH_RESULT_P1') {
-                updateData.resultProofUrlP1Status = fileStatus; // Assuming this field exists
-            } else {
-                updateData.resultProofUrlP2Status = fileStatus; // Assuming this field exists
-            }
-            await this.matchRepository.updateById(entityId, updateData);
-            this.logger.info(`Successfully updated file status for ${entityType}:${entityId} to ${fileStatus}.`);
-        } catch (error) {
-            this.logger.error(`Failed to update file status for ${entityType}:${entityId} to ${fileStatus}: ${error.message}`, error);
-            // This error should not stop the overall file validation flow unless critical
-        }
-    } else {
-        this.logger.warn(`No entity update logic defined for ${entityType} in FileValidationService.`);
+  /**
+   * @private
+   * @returns {Promise<boolean>} False if another run stored a result first.
+   */
+  async saveScanResult(fileUpload) {
+    const saved = await this.fileUploadRepository.saveScanResult(fileUpload);
+    if (!saved) {
+      this.logger.info(`[FileValidation] ${fileUpload.fileKey} was already scanned by another run.`);
     }
+    return saved;
   }
 
-  async updateEntityFileStatusOnError(entityId, entityType, errorStatus) {
-    // Simplified version for internal errors within the service itself.
-     this.logger.info(`Updating status for ${entityType}:${entityId} due to internal processing error to: ${errorStatus}`);
-     // Similar to updateEntityFileStatus, but might use a specific error status code.
-     // For now, just logs. Actual implementation would call a method like updateEntityFileStatus.
+  /**
+   * Tells the uploader that their file was not accepted, so they can upload another one.
+   * @private
+   * @param {FileUpload} fileUpload
+   */
+  async notifyRejected(fileUpload) {
+    if (!this.notificationService) {
+      return;
+    }
+    try {
+      await this.notificationService.notify(fileUpload.uploaderId, Notification.Type.FILE_REJECTED, {
+        payload: {
+          fileKey: fileUpload.fileKey,
+          entityId: fileUpload.entityId,
+          entityType: fileUpload.purpose,
+          reason: fileUpload.status === FileUpload.Status.INFECTED ? FileUpload.Status.INFECTED : fileUpload.rejectionReason,
+        },
+      });
+    } catch (error) {
+      this.logger.error(`[FileValidation] Failed to notify ${fileUpload.uploaderId} about ${fileUpload.fileKey}:`, error);
+    }
   }
 }
 
 module.exports = {
-    FileValidationService,
-    SCAN_RESULTS,
-    FILE_VALIDATION_STATUS
+  FileValidationService,
+  REJECTION_REASONS,
 };
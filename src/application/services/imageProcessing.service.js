@@ -0,0 +1,55 @@
+// src/application/services/imageProcessing.service.js
+const { BadRequestError } = require('../../utils/errors');
+const ImageProcessorInterface = require('./imageProcessor.interface');
+
+/**
+ * Replaces an uploaded image in storage with its metadata-free version and stores its resized WebP
+ * variants next to it (see `ImageProcessorInterface.variantKey`).
+ */
+class ImageProcessingService {
+  /**
+   * @param {import('./imageProcessor.interface')} imageProcessor
+   * @param {import('./storage.service.interface')} storageService
+   */
+  constructor(imageProcessor, storageService) {
+    this.imageProcessor = imageProcessor;
+    this.storageService = storageService;
+  }
+
+  /**
+   * @param {string} key - Storage key of the image; the cleaned image is stored under it.
+   * @param {Buffer} body - The uploaded image.
+   * @param {string} contentType - Its sniffed type.
+   * @returns {Promise<{
+   *   contentType: string, size: number, width: number, height: number,
+   *   variants: Object<string, {key: string, width: number, height: number}>
+   * }>} What was stored, with variants by name.
+   * @throws {BadRequestError} If the file is not a readable image.
+   */
+  async processAndStore(key, body, contentType) {
+    let image;
+    try {
+      image = await this.imageProcessor.process(body, contentType);
+    } catch (error) {
+      throw new BadRequestError(`The image could not be read: ${error.message}`);
+    }
+
+    const variants = {};
+    for (const variant of image.variants) {
+      const variantKey = ImageProcessorInterface.variantKey(key, variant.name);
+      await this.storageService.put(variantKey, variant.body, { contentType: variant.contentType });
+      variants[variant.name] = { key: variantKey, width: variant.width, height: variant.height };
+    }
+    await this.storageService.put(key, image.body, { contentType: image.contentType });
+
+    return {
+      contentType: image.contentType,
+      size: image.body.length,
+      width: image.width,
+      height: image.height,
+      variants,
+    };
+  }
+}
+
+module.exports = ImageProcessingService;
@@ -0,0 +1,42 @@
+/**
+ * @interface ImageProcessorInterface
+ * Prepares uploaded images for serving: strips EXIF/GPS and other metadata, and renders resized WebP
+ * variants so clients can load an image at the size they display it.
+ */
+class ImageProcessorInterface {
+  /**
+   * Variants rendered for every image, by name, with the longest edge they are scaled down to.
+   * Images smaller than a variant are not enlarged.
+   */
+  static Variants = Object.freeze({
+    thumbnail: 256,
+    small: 640,
+    medium: 1280,
+  });
+
+  /**
+   * Re-encodes an image without its metadata and renders its variants.
+   * @param {Buffer} body - The uploaded image.
+   * @param {string} contentType - Its sniffed type, one of `IMAGE_CONTENT_TYPES` in utils/contentType.
+   * @returns {Promise<{
+   *   body: Buffer, contentType: string, width: number, height: number,
+   *   variants: Array<{name: string, body: Buffer, contentType: string, width: number, height: number}>
+   * }>} The cleaned image in its original format, with its dimensions, and the variants.
+   * @throws {Error} If the file is not a readable image.
+   */
+  async process(body, contentType) {
+    throw new Error('Method "process" not implemented.');
+  }
+
+  /**
+   * Storage key of an image's variant, next to the image itself.
+   * @param {string} key - Storage key of the image.
+   * @param {string} name - Variant name, one of `ImageProcessorInterface.Variants`.
+   * @returns {string} E.g. `uploads/u-1/123-avatar_thumbnail.webp` for `uploads/u-1/123-avatar.png`.
+   */
+  static variantKey(key, name) {
+    return `${key.replace(/\.[^./]*$/, '')}_${name}.webp`;
+  }
+}
+
+module.exports = ImageProcessorInterface;
@@ -0,0 +1,18 @@
+/**
+ * @interface MalwareScannerInterface
+ * Scans file contents for malware. Implementations wrap a scanning engine such as ClamAV.
+ */
+class MalwareScannerInterface {
+  /**
+   * Scans the contents of a file.
+   * @param {Buffer} body - The file contents.
+   * @returns {Promise<{infected: boolean, signature: string|null}>} Whether malware was found and, if so, its name.
+   * @throws {Error} If the file could not be scanned, e.g. because the scanner is unreachable. The file's
+   * status is unknown then; callers must not treat it as clean.
+   */
+  async scan(body) {
+    throw new Error('Method "scan" not implemented.');
+  }
+}
+
+module.exports = MalwareScannerInterface;
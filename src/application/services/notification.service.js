@@ -0,0 +1,211 @@
+// src/application/services/notification.service.js
+const logger = require('../../utils/logger');
+const { Notification } = require('../../domain/notification/notification.entity');
+const { NotificationPreference } = require('../../domain/notification/notificationPreference.entity');
+const { Match } = require('../../domain/tournament/match.entity');
+
+/**
+ * Stores notifications in a user's notification center and pushes them live as a `notification`
+ * event to every socket of the user (the `user:<id>` room).
+ *
+ * Producers call it for domain events once their change is committed, or pass their transaction so
+ * the notification is delivered after the commit. Notifying never fails the change itself: errors
+ * are logged and swallowed.
+ *
+ * Users choose per notification category whether it is pushed live (`inApp`) and whether it is
+ * emailed right away, batched into their daily digest, or not emailed. Notifications are stored
+ * regardless, so the notification center stays complete.
+ *
+ * Events:
+ * - `notification` - a new notification, in the shape of GET /notifications items.
+ * - `unreadNotificationCount` - `{ count }`, sent on connect and when notifications are read.
+ */
+class NotificationService {
+  /**
+   * @param {import('../../domain/notification/notification.repository.interface')} notificationRepository
+   * @param {import('../../domain/team/team.repository.interface')} teamRepository - Resolves team participants to their owner.
+   * @param {import('../../infrastructure/realtime/socket.emitter')} socketEmitter
+   * @param {import('../../domain/notification/notificationPreference.repository.interface')} [notificationPreferenceRepository] - Without it the default preferences apply.
+   * @param {import('../../domain/user/user.repository.interface')} [userRepository] - Looks up email addresses.
+   * @param {import('./email.service.interface')} [emailService] - Without it nothing is emailed right away.
+   */
+  constructor(notificationRepository, teamRepository, socketEmitter, notificationPreferenceRepository = null, userRepository = null, emailService = null) {
+    this.notificationRepository = notificationRepository;
+    this.teamRepository = teamRepository;
+    this.socketEmitter = socketEmitter;
+    this.notificationPreferenceRepository = notificationPreferenceRepository;
+    this.userRepository = userRepository;
+    this.emailService = emailService;
+  }
+
+  /**
+   * Notifies a user.
+   * @param {string} userId
+   * @param {string} type - One of Notification.Type.
+   * @param {object} [content]
+   * @param {object} [content.payload] - Type-specific data for the client.
+   * @param {string|null} [content.link] - Deep link to what the notification is about.
+   * @param {object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction] - Deliver only after this transaction commits.
+   * @returns {Promise<Notification|null>} The stored notification, or null when it is deferred or failed.
+   */
+  async notify(userId, type, { payload = {}, link = null } = {}, options = {}) {
+    if (options.transaction) {
+      options.transaction.afterCommit(() => this.deliver(userId, type, payload, link));
+      return null;
+    }
+    return this.deliver(userId, type, payload, link);
+  }
+
+  /**
+   * Notifies a match or tournament participant. A team is notified through its owner.
+   * @param {string} participantId - A user ID, or a team ID when participantType is 'team'.
+   * @param {string|null} participantType - 'user' or 'team'; anything else is treated as a user.
+   * @param {string} type - One of Notification.Type.
+   * @param {object} [content] - See #notify.
+   * @param {object} [options] - See #notify.
+   * @returns {Promise<Notification|null>}
+   */
+  async notifyParticipant(participantId, participantType, type, content = {}, options = {}) {
+    if (!participantId) {
+      return null;
+    }
+    if (participantType !== 'team') {
+      return this.notify(participantId, type, content, options);
+    }
+
+    try {
+      const team = await this.teamRepository.findById(participantId);
+      if (!team) {
+        logger.warn(`[NotificationService] Team ${participantId} not found, '${type}' not sent.`);
+        return null;
+      }
+      return this.notify(team.ownerId, type, content, options);
+    } catch (error) {
+      logger.error(`[NotificationService] Failed to resolve team ${participantId} for '${type}':`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Notifies both participants of a match, optionally leaving one out (e.g. the one who acted).
+   * @param {import('../../domain/tournament/match.entity').Match} match
+   * @param {string} type - One of Notification.Type.
+   * @param {object} [content] - See #notify. The payload gets the tournament and match IDs and the link defaults to the match.
+   * @param {object} [options] - See #notify.
+   * @param {string} [options.exceptParticipantId] - Participant not to notify.
+   * @returns {Promise<void>}
+   */
+  async notifyMatchParticipants(match, type, { payload = {}, link } = {}, { exceptParticipantId, ...options } = {}) {
+    const content = {
+      payload: { tournamentId: match.tournamentId, matchId: match.id, ...payload },
+      link: link === undefined ? `/tournaments/${match.tournamentId}/matches/${match.id}` : link,
+    };
+    const participants = [
+      [match.participant1Id, match.participant1Type],
+      [match.participant2Id, match.participant2Type],
+    ].filter(([participantId]) => participantId && participantId !== exceptParticipantId);
+
+    for (const [participantId, participantType] of participants) {
+      await this.notifyParticipant(participantId, participantType, type, content, options);
+    }
+  }
+
+  /**
+   * Tells the participants of matches that became playable, i.e. scheduled with both participants known.
+   * Other matches (waiting for a participant, byes) are skipped.
+   * @param {Array<import('../../domain/tournament/match.entity').Match>} matches
+   * @returns {Promise<void>}
+   */
+  async notifyMatchesReady(matches) {
+    const readyMatches = matches.filter((match) => match
+      && match.status === Match.Status.SCHEDULED
+      && match.participant1Id
+      && match.participant2Id);
+
+    for (const match of readyMatches) {
+      await this.notifyMatchParticipants(match, Notification.Type.MATCH_READY, {
+        payload: { roundNumber: match.roundNumber, scheduledTime: match.scheduledTime || null },
+      });
+    }
+  }
+
+  /**
+   * Sends the number of unread notifications to every socket of a user.
+   * @param {string} userId
+   * @returns {Promise<number|null>} The count, or null when it could not be sent.
+   */
+  async sendUnreadCount(userId) {
+    try {
+      const count = await this.notificationRepository.countUnread(userId);
+      this.socketEmitter.toUser(userId, 'unreadNotificationCount', { count });
+      return count;
+    } catch (error) {
+      logger.error(`[NotificationService] Failed to send the unread count to user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /** @private */
+  async deliver(userId, type, payload, link) {
+    try {
+      const preference = await this.getPreference(userId, Notification.TypeCategories[type]);
+      const emailStatus = preference.email === NotificationPreference.EmailMode.DIGEST
+        ? Notification.EmailStatus.DIGEST_PENDING
+        : Notification.EmailStatus.NONE;
+
+      const notification = await this.notificationRepository.create(new Notification({
+        userId, type, payload, link, emailStatus,
+      }));
+      if (preference.inApp) {
+        this.socketEmitter.toUser(userId, 'notification', notification);
+      }
+      if (preference.email === NotificationPreference.EmailMode.INSTANT) {
+        await this.sendEmail(notification);
+      }
+      return notification;
+    } catch (error) {
+      logger.error(`[NotificationService] Failed to notify user ${userId} of '${type}':`, error);
+      return null;
+    }
+  }
+
+  /** @private */
+  async getPreference(userId, category) {
+    if (this.notificationPreferenceRepository) {
+      const preference = await this.notificationPreferenceRepository.findByUserIdAndCategory(userId, category);
+      if (preference) {
+        return preference;
+      }
+    }
+    return NotificationPreference.defaultFor(userId, category);
+  }
+
+  /**
+   * Emails a notification on its own and records whether that worked.
+   * @private
+   */
+  async sendEmail(notification) {
+    if (!this.emailService || !this.userRepository) {
+      return;
+    }
+
+    let emailStatus = Notification.EmailStatus.SENT;
+    try {
+      const user = await this.userRepository.findById(notification.userId);
+      if (!user || !user.email) {
+        logger.warn(`[NotificationService] User ${notification.userId} has no email address, '${notification.type}' not emailed.`);
+        return;
+      }
+      await this.emailService.sendNotificationEmail(user.email, user.username, notification);
+    } catch (error) {
+      logger.error(`[NotificationService] Failed to email '${notification.type}' to user ${notification.userId}:`, error);
+      emailStatus = Notification.EmailStatus.FAILED;
+    }
+
+    await this.notificationRepository.updateEmailStatus([notification.id], emailStatus);
+    notification.emailStatus = emailStatus;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,81 @@
+// src/application/services/notificationEmail.content.js
+const { appConfig } = require('../../../config/config');
+const { Notification } = require('../../domain/notification/notification.entity');
+
+/**
+ * Email wording per notification type. `template` names the Handlebars template in
+ * src/infrastructure/email/templates used by template-based email services.
+ */
+const CONTENT = {
+  [Notification.Type.TEAM_INVITATION]: {
+    template: 'teamInvitation',
+    subject: (p) => `You're invited to join ${p.teamName || 'a team'}`,
+    message: (p) => `${p.inviterName || 'A team admin'} invited you to join ${p.teamName || 'their team'}${p.role ? ` as ${p.role}` : ''}.`,
+  },
+  [Notification.Type.MATCH_READY]: {
+    template: 'matchReminder',
+    subject: () => 'Your next match is ready',
+    message: (p) => `Your ${p.roundNumber ? `round ${p.roundNumber} ` : ''}match is ready to play${p.scheduledTime ? `, scheduled for ${new Date(p.scheduledTime).toUTCString()}` : ''}.`,
+  },
+  [Notification.Type.MATCH_RESULT_SUBMITTED]: {
+    template: 'notification',
+    subject: () => 'Your opponent submitted a match result',
+    message: () => 'Please confirm or dispute the result before it is confirmed automatically.',
+  },
+  [Notification.Type.MATCH_RESULT_CONFIRMED]: {
+    template: 'notification',
+    subject: () => 'Match result confirmed',
+    message: () => 'The result of your match was confirmed and the bracket has been updated.',
+  },
+  [Notification.Type.MATCH_DISPUTED]: {
+    template: 'notification',
+    subject: () => 'Your match result was disputed',
+    message: () => 'Your opponent disputed the result of your match. A moderator will review it.',
+  },
+  [Notification.Type.DISPUTE_STATUS_CHANGED]: {
+    template: 'notification',
+    subject: (p) => `Your dispute is now ${p.status || 'updated'}`,
+    message: (p) => `A moderator moved your dispute to ${p.status || 'a new status'}.${p.note ? ` Note: ${p.note}` : ''}`,
+  },
+  [Notification.Type.PRIZE_PAID]: {
+    template: 'payout',
+    subject: () => 'You won a prize',
+    message: (p) => `${p.amount} was credited to your wallet${p.place ? ` for place ${p.place}` : ''}.`,
+  },
+  [Notification.Type.WITHDRAWAL_APPROVED]: {
+    template: 'payout',
+    subject: () => 'Your withdrawal was approved',
+    message: (p) => `Your withdrawal of ${p.amount}${p.currency ? ` ${p.currency}` : ''} was approved and paid out.`,
+  },
+  [Notification.Type.FILE_REJECTED]: {
+    template: 'notification',
+    subject: () => 'Your upload was rejected',
+    message: () => 'A file you uploaded did not pass our checks. Please upload another one.',
+  },
+  [Notification.Type.TOURNAMENT_START_FAILED]: {
+    template: 'notification',
+    subject: () => 'Your tournament could not start',
+    message: (p) => `The tournament was canceled and all entry fees were refunded.${p.reason ? ` ${p.reason}` : ''}`,
+  },
+};
+
+/**
+ * What an email about a notification says.
+ * @param {Notification} notification
+ * @returns {{subject: string, message: string, link: string|null, template: string, type: string}}
+ */
+function describeNotification(notification) {
+  const content = CONTENT[notification.type];
+  const payload = notification.payload || {};
+  return {
+    type: notification.type,
+    template: content.template,
+    subject: content.subject(payload),
+    message: content.message(payload),
+    link: notification.link ? `${appConfig.notifications.linkBaseUrl}${notification.link}` : null,
+  };
+}
+
+module.exports = {
+  describeNotification,
+};
@@ -0,0 +1,84 @@
+/**
+ * @interface PaymentGatewayInterface
+ * Moves money through a payment provider: takes deposits, refunds them and pays out withdrawals.
+ * `PaymentGatewayService` picks an implementation by currency or region.
+ *
+ * @property {string} name - Stored on transactions (`metadata.paymentGateway`) to find the gateway again.
+ * @property {string[]|null} currencies - Currencies the gateway handles, or null for any.
+ * @property {boolean} supportsPayouts - Whether `payout` can be used; withdrawals are paid out by hand otherwise.
+ */
+class PaymentGatewayInterface {
+  /**
+   * Opens a payment session the user completes on the provider's page.
+   * @param {object} params
+   * @param {number} params.amount - In the currency's major unit (Rials for IRR).
+   * @param {string} params.currency - ISO 4217 code.
+   * @param {string} params.description
+   * @param {string} params.transactionId - Our transaction, sent along for the provider's records and idempotency.
+   * @returns {Promise<{reference: string, paymentUrl: string, fee: number|null}>} The provider's session
+   *   reference, used to verify the payment later, and where to send the user.
+   * @throws {Error} If the provider refuses the session or cannot be reached.
+   */
+  async initialize({ amount, currency, description, transactionId }) {
+    throw new Error('Method "initialize" not implemented.');
+  }
+
+  /**
+   * Asks the provider whether a session was paid, settling it where the provider requires that.
+   * @param {object} params
+   * @param {string} params.reference - From `initialize`.
+   * @param {number} params.amount - The amount the session was opened for.
+   * @param {string} params.currency
+   * @returns {Promise<{verified: boolean, code: string|number, message: string, gatewayReference: string|null, details: object}>}
+   *   `verified: false` means the session was definitely not paid; `details` are stored on the transaction.
+   * @throws {Error} If the provider cannot be reached or cannot say yet whether the session was paid.
+   * The payment must stay pending then.
+   */
+  async verify({ reference, amount, currency }) {
+    throw new Error('Method "verify" not implemented.');
+  }
+
+  /**
+   * Returns (part of) a verified payment to the payer.
+   * @param {object} params
+   * @param {string} params.reference - The session reference of the payment.
+   * @param {number} params.amount
+   * @param {string} params.currency
+   * @param {string} [params.reason]
+   * @returns {Promise<{refundReference: string}>}
+   * @throws {BadRequestError} If the gateway does not support refunds.
+   * @throws {Error} If the provider refuses the refund or cannot be reached.
+   */
+  async refund({ reference, amount, currency, reason }) {
+    throw new Error('Method "refund" not implemented.');
+  }
+
+  /**
+   * Sends money to a user's account, e.g. for an approved withdrawal.
+   * @param {object} params
+   * @param {number} params.amount
+   * @param {string} params.currency
+   * @param {object} params.recipientDetails - The withdrawal method details the user gave.
+   * @param {string} params.transactionId - Our transaction, used as the idempotency key.
+   * @returns {Promise<{payoutReference: string}>}
+   * @throws {BadRequestError} If the gateway does not support payouts.
+   * @throws {Error} If the provider refuses the payout or cannot be reached.
+   */
+  async payout({ amount, currency, recipientDetails, transactionId }) {
+    throw new Error('Method "payout" not implemented.');
+  }
+
+  /**
+   * Authenticates a webhook the provider sent about a payment session.
+   * @param {Buffer} rawBody - The request body exactly as received.
+   * @param {object} headers - The request headers, lower-cased.
+   * @returns {{reference: string, type: string}} The session the event is about and the event type.
+   * @throws {BadRequestError} If the gateway does not send webhooks.
+   * @throws {ForbiddenError} If the signature is missing, wrong or too old.
+   */
+  parseWebhook(rawBody, headers) {
+    throw new Error('Method "parseWebhook" not implemented.');
+  }
+}
+
+module.exports = PaymentGatewayInterface;
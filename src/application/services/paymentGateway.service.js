@@ -0,0 +1,95 @@
+// src/application/services/paymentGateway.service.js
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+
+/**
+ * Chooses the payment gateway for a payment. The gateway configured for the user's region is preferred,
+ * then the one for the currency, then the default, skipping gateways that do not handle the currency.
+ * Also serves as the `paymentService` of `ApproveWithdrawalUseCase`.
+ */
+class PaymentGatewayService {
+  /**
+   * @param {import('./paymentGateway.interface')[]} gateways - The available gateways.
+   * @param {object} [routing]
+   * @param {Object<string, string>} [routing.currencyGateways] - Gateway names by currency code.
+   * @param {Object<string, string>} [routing.regionGateways] - Gateway names by ISO 3166 country code.
+   * @param {string|null} [routing.defaultGateway] - Gateway for everything else.
+   */
+  constructor(gateways, { currencyGateways = {}, regionGateways = {}, defaultGateway = null } = {}) {
+    this.gateways = new Map(gateways.map((gateway) => [gateway.name, gateway]));
+    this.currencyGateways = currencyGateways;
+    this.regionGateways = regionGateways;
+    this.defaultGateway = defaultGateway;
+  }
+
+  /**
+   * Returns the gateway a payment was made with, e.g. to verify it.
+   * @param {string} name - `metadata.paymentGateway` of the transaction.
+   * @returns {import('./paymentGateway.interface')}
+   * @throws {NotFoundError} If no gateway has this name.
+   */
+  get(name) {
+    const gateway = this.gateways.get(name);
+    if (!gateway) {
+      throw new NotFoundError(`Payment gateway "${name}" is not available.`);
+    }
+    return gateway;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.currency - ISO 4217 code.
+   * @param {string} [params.region] - ISO 3166 country code of the user.
+   * @returns {import('./paymentGateway.interface')} The gateway to pay with.
+   * @throws {BadRequestError} If no gateway handles the currency there.
+   */
+  select({ currency, region = null }) {
+    const gateway = this.findGateway({ currency, region });
+    if (!gateway) {
+      throw new BadRequestError(`No payment gateway is available for ${currency}${region ? ` in ${region.toUpperCase()}` : ''}.`);
+    }
+    return gateway;
+  }
+
+  /**
+   * Pays out a withdrawal through the gateway selected for its currency among those that support payouts.
+   * @param {object} params
+   * @param {number} params.amount
+   * @param {string} params.currency
+   * @param {object} params.recipientDetails - The withdrawal method details.
+   * @param {string} params.transactionId - The withdrawal transaction.
+   * @param {string} [params.region]
+   * @returns {Promise<{gatewayReferenceId: string, gateway: string}|null>} Null if no gateway can pay out in
+   *   the currency, so the withdrawal has to be paid out by hand.
+   * @throws {Error} If the gateway refuses the payout or cannot be reached.
+   */
+  async processPayout({ amount, currency, recipientDetails, transactionId, region = null }) {
+    const gateway = this.findGateway({ currency, region }, (candidate) => candidate.supportsPayouts);
+    if (!gateway) {
+      return null;
+    }
+    const { payoutReference } = await gateway.payout({ amount, currency, recipientDetails, transactionId });
+    return { gatewayReferenceId: payoutReference, gateway: gateway.name };
+  }
+
+  /**
+   * The first gateway of the region, the currency and the default that handles the currency and passes `filter`.
+   * @private
+   * @returns {import('./paymentGateway.interface')|null}
+   */
+  findGateway({ currency, region }, filter = () => true) {
+    const candidates = [
+      region ? this.regionGateways[region.toUpperCase()] : null,
+      this.currencyGateways[currency],
+      this.defaultGateway,
+    ];
+    for (const name of candidates) {
+      const gateway = name ? this.gateways.get(name) : null;
+      if (gateway && (!gateway.currencies || gateway.currencies.includes(currency)) && filter(gateway)) {
+        return gateway;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = PaymentGatewayService;
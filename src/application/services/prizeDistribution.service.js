@@ -0,0 +1,223 @@
+// src/application/services/prizeDistribution.service.js
+const { v4: uuidv4 } = require('uuid');
+const { NotFoundError } = require('../../utils/errors');
+const { Transaction } = require('../../domain/wallet/transaction.entity');
+const { Tournament } = require('../../domain/tournament/tournament.entity');
+const { PrizeLogic } = require('../../domain/tournament/prize.logic');
+const { Notification } = require('../../domain/notification/notification.entity');
+const { appConfig } = require('../../../config/config');
+const logger = require('../../utils/logger');
+
+const CASH_PRIZE_TYPES = [Tournament.PrizeType.CASH, Tournament.PrizeType.MIXED];
+
+/**
+ * Pays the prize pool of a completed tournament into the winners' wallets as PRIZE_PAYOUT transactions,
+ * following the tournament's payout table. Team prizes are split evenly across the roster the team
+ * registered with (or its active members for registrations without a roster).
+ * Pools at or above `appConfig.prizes.approvalThreshold` are recorded as REQUIRES_APPROVAL and only
+ * credited once an admin approves them. So is the prize of a winner without a wallet, which is held on
+ * a newly opened one rather than failing the completion of the tournament.
+ */
+class PrizeDistributionService {
+  /**
+   * @param {import('../../domain/tournament/match.repository.interface')} matchRepository
+   * @param {import('../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../infrastructure/database/repositories/postgres.teamMember.repository')} teamMemberRepository
+   * @param {import('../../domain/wallet/wallet.repository.interface')} walletRepository
+   * @param {import('../../domain/wallet/transaction.repository.interface')} transactionRepository
+   * @param {import('./notification.service')} [notificationService] - Tells winners once their prize is credited.
+   */
+  constructor(matchRepository, tournamentRepository, teamMemberRepository, walletRepository, transactionRepository, notificationService = null) {
+    this.matchRepository = matchRepository;
+    this.tournamentRepository = tournamentRepository;
+    this.teamMemberRepository = teamMemberRepository;
+    this.walletRepository = walletRepository;
+    this.transactionRepository = transactionRepository;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * The idempotency key of the PRIZE_PAYOUT transaction of a user in a tournament.
+   * @param {string} tournamentId
+   * @param {string} userId
+   * @returns {string}
+   */
+  static payoutKey(tournamentId, userId) {
+    return `prize:${tournamentId}:${userId}`;
+  }
+
+  /**
+   * Distributes the prize pool of a completed tournament. Does nothing for tournaments without a
+   * cash prize or whose prizes were already distributed.
+   * @param {Tournament} tournament - The completed tournament.
+   * @param {object} options
+   * @param {object} options.transaction - The transaction that completed the tournament; wallets are locked within it.
+   * @returns {Promise<Transaction[]>} The PRIZE_PAYOUT transactions created by this call.
+   */
+  async distribute(tournament, { transaction }) {
+    if (!CASH_PRIZE_TYPES.includes(tournament.prizeType) || !(tournament.prizePool > 0)) {
+      return [];
+    }
+    const existing = await this.transactionRepository.findByMetadata(
+      { type: 'PRIZE_PAYOUT', metadata: { tournamentId: tournament.id } },
+      { transaction },
+    );
+    if (existing.length > 0) {
+      return [];
+    }
+
+    const [matches, participants] = await Promise.all([
+      this.matchRepository.findByTournamentId(tournament.id, { transaction }),
+      this.tournamentRepository.findParticipantsByTournamentId(tournament.id, { transaction }),
+    ]);
+    const table = (tournament.settings && tournament.settings.payoutTable) || PrizeLogic.DEFAULT_PAYOUT_TABLE;
+    const rosters = new Map(participants.map((p) => [p.participantId, p.roster]));
+    const placements = PrizeLogic.computePlacements(tournament, matches, participants);
+    const allocations = PrizeLogic.allocate(table, tournament.prizePool, placements);
+    const requiresApproval = tournament.prizePool >= appConfig.prizes.approvalThreshold;
+
+    const payouts = [];
+    for (const allocation of allocations) {
+      const recipients = await this.resolveRecipients(allocation, rosters.get(allocation.participantId), transaction);
+      if (recipients.length === 0) {
+        logger.warn(`[PrizeDistribution] Team ${allocation.participantId} of tournament ${tournament.id} has no active members; prize for place ${allocation.place} not paid.`);
+        continue;
+      }
+      const amounts = PrizeLogic.splitEvenly(allocation.amount, recipients.length);
+      for (let i = 0; i < recipients.length; i += 1) {
+        if (amounts[i] <= 0) continue;
+        payouts.push(await this.createPayout(tournament, recipients[i], amounts[i], allocation, {
+          requiresApproval,
+          transaction,
+        }));
+      }
+    }
+    return payouts;
+  }
+
+  /**
+   * Credits the PRIZE_PAYOUT transactions of a tournament that are waiting for approval.
+   * @param {string} tournamentId - The ID of the tournament.
+   * @param {string} approvedBy - The ID of the approving admin.
+   * @param {object} options
+   * @param {object} options.transaction - The database transaction; wallets are locked within it.
+   * @returns {Promise<Transaction[]>} The approved transactions.
+   * @throws {NotFoundError} If a winner's wallet no longer exists.
+   */
+  async approve(tournamentId, approvedBy, { transaction }) {
+    const pending = await this.transactionRepository.findByMetadata(
+      { type: 'PRIZE_PAYOUT', status: Transaction.Status.REQUIRES_APPROVAL, metadata: { tournamentId } },
+      { transaction },
+    );
+
+    const approved = [];
+    for (const payout of pending) {
+      const wallet = await this.creditWallet(payout.walletId, payout.amount, transaction);
+      const completed = await this.transactionRepository.update(
+        payout.id,
+        {
+          status: Transaction.Status.COMPLETED,
+          metadata: { ...payout.metadata, approvedBy, approvedAt: new Date().toISOString() },
+        },
+        { transaction },
+      );
+      await this.notifyPaid(wallet.userId, completed, transaction);
+      approved.push(completed);
+    }
+    return approved;
+  }
+
+  /**
+   * The users who receive an allocation: the user themself, or the registered roster of a team.
+   * @private
+   * @returns {Promise<string[]>} User IDs.
+   */
+  async resolveRecipients(allocation, roster, transaction) {
+    if (allocation.participantType !== 'team') {
+      return [allocation.participantId];
+    }
+    if (roster && roster.length > 0) {
+      return roster;
+    }
+    const members = await this.teamMemberRepository.findAllByTeamId(allocation.participantId, {
+      status: 'active',
+      includeUserDetails: false,
+      transaction,
+    });
+    return members.map((member) => member.userId);
+  }
+
+  /**
+   * @private
+   */
+  async createPayout(tournament, userId, amount, allocation, { requiresApproval, transaction }) {
+    let status = requiresApproval ? Transaction.Status.REQUIRES_APPROVAL : Transaction.Status.COMPLETED;
+    let wallet = await this.walletRepository.findByUserId(
+      userId,
+      requiresApproval ? { transaction } : { transaction, lock: transaction.LOCK.UPDATE },
+    );
+    if (!wallet) {
+      logger.warn(`[PrizeDistribution] User ${userId} has no wallet; prize for place ${allocation.place} of tournament ${tournament.id} held for approval on a new wallet.`);
+      wallet = await this.walletRepository.create({ id: uuidv4(), userId, balance: 0 }, { transaction });
+      status = Transaction.Status.REQUIRES_APPROVAL;
+    } else if (status === Transaction.Status.COMPLETED) {
+      wallet.deposit(amount);
+      await this.walletRepository.update(wallet.id, { balance: wallet.balance }, { transaction });
+    }
+
+    const payout = await this.transactionRepository.create(
+      new Transaction(
+        uuidv4(),
+        wallet.id,
+        'PRIZE_PAYOUT',
+        amount,
+        status,
+        PrizeDistributionService.payoutKey(tournament.id, userId),
+        `Prize for place ${allocation.place} in ${tournament.name}`,
+        {
+          tournamentId: tournament.id,
+          place: allocation.place,
+          participantId: allocation.participantId,
+          participantType: allocation.participantType,
+        },
+        new Date(),
+      ),
+      { transaction },
+    );
+    if (status === Transaction.Status.COMPLETED) {
+      await this.notifyPaid(userId, payout, transaction);
+    }
+    return payout;
+  }
+
+  /**
+   * Notifies the winner of a credited payout once the transaction commits.
+   * @private
+   */
+  async notifyPaid(userId, payout, transaction) {
+    if (!this.notificationService) {
+      return;
+    }
+    const { tournamentId, place } = payout.metadata || {};
+    await this.notificationService.notify(userId, Notification.Type.PRIZE_PAID, {
+      payload: { tournamentId, place, amount: payout.amount, transactionId: payout.id },
+      link: '/wallet',
+    }, { transaction });
+  }
+
+  /**
+   * Locks a wallet and deposits into it.
+   * @private
+   */
+  async creditWallet(walletId, amount, transaction) {
+    const wallet = await this.walletRepository.findById(walletId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!wallet) {
+      throw new NotFoundError(`Wallet ${walletId} not found.`);
+    }
+    wallet.deposit(amount);
+    await this.walletRepository.update(wallet.id, { balance: wallet.balance }, { transaction });
+    return wallet;
+  }
+}
+
+module.exports = PrizeDistributionService;
@@ -0,0 +1,135 @@
+// src/application/services/seeding.service.js
+const { Tournament } = require('../../domain/tournament/tournament.entity');
+const { BadRequestError } = require('../../utils/errors');
+
+const DEFAULT_LEADERBOARD_METRIC = 'rating';
+const DEFAULT_LEADERBOARD_PERIOD = 'all_time';
+
+/**
+ * Orders tournament participants according to the seeding strategy in `tournament.settings.seeding`.
+ * The result is fed to `BracketLogic.generate`, which places participants by their `seed`.
+ */
+class SeedingService {
+  /**
+   * @param {import('../../domain/user/user.repository.interface')} userRepository
+   * @param {object} teamMemberRepository - Used to rate team participants by their active members.
+   * @param {import('../../domain/leaderboard/leaderboard.repository.interface')} leaderboardRepository
+   * @param {object} gameRepository - Used to resolve the game name of leaderboard keys.
+   */
+  constructor(userRepository, teamMemberRepository, leaderboardRepository, gameRepository) {
+    this.userRepository = userRepository;
+    this.teamMemberRepository = teamMemberRepository;
+    this.leaderboardRepository = leaderboardRepository;
+    this.gameRepository = gameRepository;
+  }
+
+  /**
+   * Returns the participants in bracket input form, seeded by the tournament's strategy.
+   * Without a strategy, seeds stored on the participant records are kept as they are.
+   * @param {Tournament} tournament - The tournament, with its settings.
+   * @param {Array<import('../../domain/tournament/tournamentParticipant.entity')>} participants - Registered participants.
+   * @returns {Promise<Array<{id: string, seed?: number}>>}
+   * @throws {BadRequestError} If the tournament is seeded by leaderboard but its game no longer exists.
+   */
+  async seedParticipants(tournament, participants) {
+    const seeding = (tournament.settings && tournament.settings.seeding) || {};
+
+    switch (seeding.strategy) {
+      case Tournament.SeedingStrategy.RANDOM:
+        return participants.map((p) => ({ id: p.participantId }));
+      case Tournament.SeedingStrategy.MANUAL:
+        return this.withSeeds(this.orderManually(participants, seeding.manualOrder || []));
+      case Tournament.SeedingStrategy.POINTS:
+        return this.withSeeds(await this.orderByRating(participants, (userId) => this.getUserPoints(userId)));
+      case Tournament.SeedingStrategy.LEADERBOARD: {
+        const game = await this.gameRepository.findById(tournament.gameId);
+        if (!game) {
+          throw new BadRequestError(`Game ${tournament.gameId} of the tournament was not found, so it cannot be seeded by leaderboard.`);
+        }
+        const metric = seeding.metric || DEFAULT_LEADERBOARD_METRIC;
+        const period = seeding.period || DEFAULT_LEADERBOARD_PERIOD;
+        return this.withSeeds(
+          await this.orderByRating(participants, (userId) =>
+            this.getLeaderboardScore(userId, game.name, metric, period),
+          ),
+        );
+      }
+      default:
+        return participants.map((p) => ({ id: p.participantId, seed: p.seed }));
+    }
+  }
+
+  /** @private */
+  withSeeds(orderedParticipants) {
+    return orderedParticipants.map((p, index) => ({ id: p.participantId, seed: index + 1 }));
+  }
+
+  /**
+   * Participants in the manual order come first; anyone missing from it follows in registration order.
+   * @private
+   */
+  orderManually(participants, manualOrder) {
+    const position = new Map(manualOrder.map((id, index) => [id, index]));
+    const listed = participants
+      .filter((p) => position.has(p.participantId))
+      .sort((a, b) => position.get(a.participantId) - position.get(b.participantId));
+    return [...listed, ...participants.filter((p) => !position.has(p.participantId))];
+  }
+
+  /**
+   * Sorts participants by rating, highest first. Unrated participants keep their relative order at the end.
+   * @private
+   * @param {Function} rateUser - async (userId) => number|null
+   */
+  async orderByRating(participants, rateUser) {
+    const rated = await Promise.all(
+      participants.map(async (participant, index) => ({
+        participant,
+        index,
+        rating: await this.rateParticipant(participant, rateUser),
+      })),
+    );
+    return rated
+      .sort((a, b) => {
+        if (a.rating === null || b.rating === null) {
+          return (a.rating === null) - (b.rating === null) || a.index - b.index;
+        }
+        return b.rating - a.rating || a.index - b.index;
+      })
+      .map((entry) => entry.participant);
+  }
+
+  /**
+   * Users are rated directly; teams get the average rating of their rated active members.
+   * @private
+   */
+  async rateParticipant(participant, rateUser) {
+    if (participant.participantType !== 'team') {
+      return rateUser(participant.participantId);
+    }
+    const members = await this.teamMemberRepository.findAllByTeamId(participant.participantId, {
+      status: 'active',
+      includeUserDetails: false,
+    });
+    const ratings = (await Promise.all(members.map((member) => rateUser(member.userId)))).filter((r) => r !== null);
+    return ratings.length > 0 ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : null;
+  }
+
+  /**
+   * Points alone decide the order. A user's rank is the one their points fall into (see RankService),
+   * so `rankId` cannot break a tie between equal points; ties keep the registration order.
+   * @private
+   */
+  async getUserPoints(userId) {
+    const user = await this.userRepository.findById(userId);
+    return user ? user.points || 0 : null;
+  }
+
+  /** @private */
+  async getLeaderboardScore(userId, gameName, metric, period) {
+    const rank = await this.leaderboardRepository.getUserRank(userId, gameName, metric, period, 0);
+    return rank && rank.userExists ? rank.score : null;
+  }
+}
+
+module.exports = SeedingService;
@@ -0,0 +1,121 @@
+const FileUploaderInterface = require('./file-uploader.interface');
+
+/**
+ * @interface StorageServiceInterface
+ * Object storage for uploaded files. Clients upload and download directly through pre-signed URLs;
+ * the API only hands out the URLs and checks the stored objects.
+ *
+ * Keys are `/`-separated paths such as `match-results/<tournamentId>/<matchId>/<userId>/<file>`.
+ */
+class StorageServiceInterface extends FileUploaderInterface {
+  /**
+   * Key prefix of the images uploaded to the API itself, such as avatars and game images. Anyone may
+   * read these through their object URL; with S3 the bucket policy must allow anonymous
+   * `s3:GetObject` on this prefix. Everything else is read through pre-signed download URLs.
+   */
+  static PUBLIC_PREFIX = 'uploads/';
+
+  /**
+   * @param {string} key
+   * @returns {boolean} Whether the object is readable through its object URL without a signature.
+   */
+  static isPublicKey(key) {
+    return typeof key === 'string' && key.startsWith(StorageServiceInterface.PUBLIC_PREFIX);
+  }
+
+  /**
+   * Stores an object, replacing one with the same key.
+   * @param {string} key
+   * @param {Buffer} body
+   * @param {object} [options]
+   * @param {string} [options.contentType]
+   * @returns {Promise<void>}
+   */
+  async put(key, body, options = {}) {
+    throw new Error('Method "put" not implemented.');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{body: Buffer, contentType: string|null, size: number}|null>} Null when there is no such object.
+   */
+  async get(key) {
+    throw new Error('Method "get" not implemented.');
+  }
+
+  /**
+   * Deletes an object. Deleting a missing object is not an error.
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error('Method "delete" not implemented.');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{size: number, contentType: string|null, lastModified: Date}|null>} Null when there is no such object.
+   */
+  async head(key) {
+    throw new Error('Method "head" not implemented.');
+  }
+
+  /**
+   * A URL the client can PUT the file to without further authentication. The URL only creates the
+   * object: an upload to a key that already has one is refused, so a file cannot be replaced once it
+   * arrived. The client must send the returned headers with the upload.
+   * @param {string} key
+   * @param {object} [options]
+   * @param {string} [options.contentType] - The upload must be sent with this Content-Type.
+   * @param {number} [options.expiresIn] - Seconds the URL works; defaults to the configured expiration.
+   * @returns {Promise<{url: string, method: string, headers: object, expiresAt: Date}>}
+   */
+  async getPresignedUploadUrl(key, options = {}) {
+    throw new Error('Method "getPresignedUploadUrl" not implemented.');
+  }
+
+  /**
+   * A URL the client can GET the object from without further authentication.
+   * @param {string} key
+   * @param {object} [options]
+   * @param {number} [options.expiresIn] - Seconds the URL works; defaults to the configured expiration.
+   * @returns {Promise<string>}
+   */
+  async getPresignedDownloadUrl(key, options = {}) {
+    throw new Error('Method "getPresignedDownloadUrl" not implemented.');
+  }
+
+  /**
+   * The permanent, unsigned location of an object, as stored on entities. Reading it still needs a
+   * pre-signed download URL unless the key is public (see `PUBLIC_PREFIX`).
+   * @param {string} key
+   * @returns {string}
+   */
+  getObjectUrl(key) {
+    throw new Error('Method "getObjectUrl" not implemented.');
+  }
+
+  /**
+   * Stores a file received by the API itself (e.g. a multipart upload).
+   * @param {{originalname: string, buffer: Buffer, mimetype?: string}} file
+   * @param {string} userId - The uploader.
+   * @returns {Promise<string>} The object URL of the stored file.
+   */
+  async upload(file, userId) {
+    const safeName = String(file.originalname || 'file').replace(/[^\w.-]/g, '_');
+    const key = `${StorageServiceInterface.PUBLIC_PREFIX}${userId}/${Date.now()}-${safeName}`;
+    await this.put(key, file.buffer, { contentType: file.mimetype });
+    return this.getObjectUrl(key);
+  }
+
+  /**
+   * Percent-encodes each segment of a key for use in a URL path.
+   * @param {string} key
+   * @returns {string}
+   */
+  static encodeKey(key) {
+    return key.split('/').map(encodeURIComponent).join('/');
+  }
+}
+
+module.exports = StorageServiceInterface;
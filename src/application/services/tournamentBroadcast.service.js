@@ -0,0 +1,92 @@
+// src/application/services/tournamentBroadcast.service.js
+const logger = require('../../utils/logger');
+const { BracketLogic } = require('../../domain/tournament/bracket.logic');
+
+/**
+ * Pushes live tournament updates to the `tournament:<id>` Socket.IO room that clients join with
+ * `subscribeToTournamentUpdates`. The Redis adapter delivers them to subscribers on every instance.
+ * Call it once the change is committed; a failed emit is logged and never fails the change itself.
+ *
+ * Events:
+ * - `tournamentState` - the whole bracket, in the shape of GET /tournaments/:id/bracket.
+ * - `matchUpdate` - a single match whose status or result changed.
+ * - `bracketUpdate` - matches filled or created when a result moved participants through the bracket.
+ * - `tournamentStatusUpdate` - the tournament moved to a new status.
+ */
+class TournamentBroadcastService {
+  /**
+   * @param {import('../../infrastructure/realtime/socket.emitter')} socketEmitter
+   */
+  constructor(socketEmitter) {
+    this.socketEmitter = socketEmitter;
+  }
+
+  /**
+   * Sends a freshly generated bracket.
+   * @param {import('../../domain/tournament/tournament.entity').Tournament} tournament
+   * @param {Array<import('../../domain/tournament/match.entity').Match>} matches - All matches of the tournament.
+   */
+  bracketGenerated(tournament, matches) {
+    this.emit(tournament.id, 'tournamentState', {
+      tournamentId: tournament.id,
+      bracketType: tournament.bracketType,
+      status: tournament.status,
+      sections: BracketLogic.buildBracketTree(matches),
+    });
+  }
+
+  /**
+   * @param {import('../../domain/tournament/match.entity').Match} match
+   */
+  matchUpdated(match) {
+    this.emit(match.tournamentId, 'matchUpdate', { tournamentId: match.tournamentId, match: this.toNode(match) });
+  }
+
+  /**
+   * Sends the matches a confirmed result changed, as returned by BracketAdvancementService#advance.
+   * Nothing is sent when no match changed.
+   * @param {string} tournamentId
+   * @param {{advancedTo: object|null, droppedTo: object|null, newMatches: Array<object>}} advancement
+   */
+  bracketAdvanced(tournamentId, { advancedTo, droppedTo, newMatches = [] }) {
+    const matches = [advancedTo, droppedTo, ...newMatches].filter(Boolean);
+    if (matches.length === 0) {
+      return;
+    }
+    this.emit(tournamentId, 'bracketUpdate', { tournamentId, matches: matches.map((match) => this.toNode(match)) });
+  }
+
+  /**
+   * @param {import('../../domain/tournament/tournament.entity').Tournament} tournament
+   */
+  statusChanged(tournament) {
+    this.emit(tournament.id, 'tournamentStatusUpdate', {
+      tournamentId: tournament.id,
+      status: tournament.status,
+      winnerId: tournament.winnerId || null,
+    });
+  }
+
+  /**
+   * A bracket node that also says where the match sits, so clients can patch their tree in place.
+   * @private
+   */
+  toNode(match) {
+    return {
+      section: BracketLogic.getSectionName(match),
+      roundNumber: match.roundNumber,
+      ...BracketLogic.toBracketNode(match),
+    };
+  }
+
+  /** @private */
+  emit(tournamentId, event, payload) {
+    try {
+      this.socketEmitter.toRoom(this.socketEmitter.tournamentRoom(tournamentId), event, payload);
+    } catch (error) {
+      logger.error(`[TournamentBroadcast] Failed to emit '${event}' for tournament ${tournamentId}:`, error);
+    }
+  }
+}
+
+module.exports = TournamentBroadcastService;
@@ -0,0 +1,172 @@
+// src/application/services/twoFactor.service.js
+const { appConfig } = require('../../../config/config');
+const { ForbiddenError, UnauthorizedError } = require('../../utils/errors');
+const { sequelize } = require('../../infrastructure/database/postgres.connector');
+const totp = require('../../utils/totp');
+
+/**
+ * Checks TOTP codes and recovery codes of users with two-factor authentication, and enforces
+ * re-verification for sensitive actions (withdrawals, admin approvals).
+ *
+ * Roles listed in TWO_FACTOR_REQUIRED_ROLES must have two-factor authentication enabled before they
+ * can take those actions.
+ */
+class TwoFactorService {
+  /**
+   * @param {import('../../domain/user/twoFactorCredential.repository.interface')} twoFactorCredentialRepository
+   * @param {import('../../domain/user/user.repository.interface')} userRepository - Looks up roles for the role requirement.
+   */
+  constructor(twoFactorCredentialRepository, userRepository) {
+    this.twoFactorCredentialRepository = twoFactorCredentialRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<boolean>} Whether the user has confirmed two-factor authentication.
+   */
+  async isEnabled(userId) {
+    const credential = await this.twoFactorCredentialRepository.findByUserId(userId);
+    return Boolean(credential && credential.isEnabled());
+  }
+
+  /**
+   * @param {{roles: string[]}} user
+   * @returns {boolean} Whether one of the user's roles has to use two-factor authentication.
+   */
+  isRequiredFor(user) {
+    const requiredRoles = appConfig.twoFactor.requiredRoles;
+    return Boolean(user && user.roles && user.roles.some((role) => requiredRoles.includes(role)));
+  }
+
+  /**
+   * Checks a code of a user with two-factor authentication enabled. A TOTP code is accepted once;
+   * a recovery code is used up.
+   * @param {string} userId
+   * @param {string} code - A TOTP code or a recovery code.
+   * @param {Date} [now]
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(userId, code, now = new Date()) {
+    if (!code) {
+      return false;
+    }
+    return this.withLockedCredential(userId, async (credential) => {
+      if (!credential || !credential.isEnabled()) {
+        return { result: false, changed: false };
+      }
+      const accepted = this.useCode(credential, code, now);
+      return { result: accepted, changed: accepted };
+    });
+  }
+
+  /**
+   * Opens a login challenge for a user who entered their password, replacing an open one.
+   * @param {string} userId
+   * @returns {Promise<string>} The challenge ID for the challenge token.
+   */
+  async startLoginChallenge(userId) {
+    return this.withLockedCredential(userId, async (credential) => {
+      const challengeId = credential.startChallenge();
+      return { result: challengeId, changed: true };
+    });
+  }
+
+  /**
+   * Checks the code answering a login challenge. Wrong codes are counted, and after
+   * TwoFactorCredential.MAX_CHALLENGE_FAILURES the challenge is dropped, so the password has to be
+   * entered again before more codes can be tried.
+   * @param {string} userId
+   * @param {string} challengeId - The `jti` of the challenge token.
+   * @param {string} code - A TOTP code or a recovery code.
+   * @param {Date} [now]
+   * @returns {Promise<boolean>} Whether the code was accepted.
+   * @throws {UnauthorizedError} If the challenge is not the open one, e.g. because it was dropped.
+   */
+  async verifyLoginCode(userId, challengeId, code, now = new Date()) {
+    const accepted = await this.withLockedCredential(userId, async (credential) => {
+      if (!credential || !credential.isEnabled() || !credential.hasChallenge(challengeId)) {
+        return { result: null, changed: false };
+      }
+      const codeAccepted = this.useCode(credential, code, now);
+      if (codeAccepted) {
+        credential.endChallenge();
+      } else {
+        credential.recordChallengeFailure();
+      }
+      return { result: codeAccepted, changed: true };
+    });
+    if (accepted === null) {
+      throw new UnauthorizedError('Login challenge is invalid or expired. Please log in again.');
+    }
+    return accepted;
+  }
+
+  /**
+   * @private
+   * Accepts a TOTP code once, or uses up a recovery code.
+   */
+  useCode(credential, code, now) {
+    if (!code) {
+      return false;
+    }
+    const step = totp.verifyCode(credential.secret, code, { now });
+    return step !== null ? credential.useStep(step) : credential.useRecoveryCode(code);
+  }
+
+  /**
+   * @private
+   * Runs `fn` with the user's credential locked, so concurrent requests cannot both accept the same code,
+   * and saves the credential when `fn` reports a change.
+   * @param {string} userId
+   * @param {function(object|null): Promise<{result: *, changed: boolean}>} fn
+   * @returns {Promise<*>} The `result` of `fn`.
+   */
+  async withLockedCredential(userId, fn) {
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const credential = await this.twoFactorCredentialRepository.findByUserId(userId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      const { result, changed } = await fn(credential);
+      if (changed) {
+        await this.twoFactorCredentialRepository.save(credential, { transaction: dbTransaction });
+      }
+      await dbTransaction.commit();
+      return result;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Re-verification before a sensitive action. Users with two-factor authentication must give a valid
+   * code; users whose role requires it but who have not enabled it are refused.
+   * @param {string} userId
+   * @param {string|null|undefined} code
+   * @returns {Promise<void>}
+   * @throws {ForbiddenError}
+   */
+  async assertVerified(userId, code) {
+    if (await this.isEnabled(userId)) {
+      if (!code) {
+        throw new ForbiddenError('A two-factor authentication code is required for this action.');
+      }
+      if (!(await this.verifyCode(userId, code))) {
+        throw new ForbiddenError('Invalid two-factor authentication code.');
+      }
+      return;
+    }
+
+    const user = await this.userRepository.findById(userId);
+    if (this.isRequiredFor(user)) {
+      throw new ForbiddenError('Your role requires two-factor authentication. Enable it to perform this action.');
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,117 @@
+// src/application/services/waitlistPromotion.service.js
+const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+const { TournamentWaitlistEntry } = require('../../domain/tournament/tournamentWaitlistEntry.entity');
+
+/**
+ * Fills a freed tournament spot from the waitlist. The first waiting user is registered and charged
+ * the entry fee in the caller's database transaction; a user who cannot pay is skipped and the next
+ * one is tried. Users are notified over Socket.IO once the transaction commits.
+ */
+class WaitlistPromotionService {
+  /**
+   * @param {import('../../infrastructure/database/repositories/postgres.tournamentWaitlist.repository').PostgresTournamentWaitlistRepository} waitlistRepository
+   * @param {import('../../infrastructure/database/repositories/postgres.tournamentParticipant.repository').PostgresTournamentParticipantRepository} tournamentParticipantRepository
+   * @param {import('../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('./entryFeeCharge.service')} entryFeeChargeService
+   * @param {import('../../infrastructure/realtime/socket.emitter')} socketEmitter
+   */
+  constructor(waitlistRepository, tournamentParticipantRepository, tournamentRepository, entryFeeChargeService, socketEmitter) {
+    this.waitlistRepository = waitlistRepository;
+    this.tournamentParticipantRepository = tournamentParticipantRepository;
+    this.tournamentRepository = tournamentRepository;
+    this.entryFeeChargeService = entryFeeChargeService;
+    this.socketEmitter = socketEmitter;
+  }
+
+  /**
+   * Registers the first waitlisted user who can pay the entry fee.
+   * Call after a spot was freed, within the transaction that locked the tournament row.
+   * @param {import('../../domain/tournament/tournament.entity').Tournament} tournament
+   * @param {object} options
+   * @param {object} options.transaction - The database transaction.
+   * @returns {Promise<{promoted: {entry: TournamentWaitlistEntry, registration: object}|null, skipped: TournamentWaitlistEntry[]}>}
+   */
+  async promoteNext(tournament, { transaction }) {
+    const skipped = [];
+    let entry = await this.waitlistRepository.findNextWaiting(tournament.id, { transaction, lock: transaction.LOCK.UPDATE });
+    while (entry) {
+      const existing = await this.tournamentParticipantRepository.findByUserIdAndTournamentId(entry.userId, tournament.id, {
+        transaction,
+      });
+      if (existing) {
+        // Registered some other way while waiting; the entry is stale
+        entry.leave();
+        await this.waitlistRepository.updateStatus(entry.id, entry.status, { transaction });
+        entry = await this.waitlistRepository.findNextWaiting(tournament.id, { transaction, lock: transaction.LOCK.UPDATE });
+        continue;
+      }
+
+      const registration = await this.register(tournament, entry, transaction);
+      if (registration) {
+        entry.promote();
+        await this.waitlistRepository.updateStatus(entry.id, entry.status, { transaction });
+        await this.tournamentRepository.incrementParticipantCount(tournament.id, { transaction });
+        this.notifyAfterCommit(transaction, entry.userId, 'waitlistPromoted', {
+          tournamentId: tournament.id,
+          tournamentName: tournament.name,
+          registrationId: registration.id,
+          entryFee: tournament.entryFee,
+        });
+        return { promoted: { entry, registration }, skipped };
+      }
+
+      entry.skip();
+      await this.waitlistRepository.updateStatus(entry.id, entry.status, { transaction });
+      this.notifyAfterCommit(transaction, entry.userId, 'waitlistPromotionFailed', {
+        tournamentId: tournament.id,
+        tournamentName: tournament.name,
+        reason: 'Insufficient funds to pay the entry fee.',
+      });
+      skipped.push(entry);
+      entry = await this.waitlistRepository.findNextWaiting(tournament.id, { transaction, lock: transaction.LOCK.UPDATE });
+    }
+    return { promoted: null, skipped };
+  }
+
+  /**
+   * Registers a waitlisted user and charges the entry fee.
+   * @private
+   * @returns {Promise<object|null>} The registration, or null if the user cannot pay.
+   */
+  async register(tournament, entry, transaction) {
+    const registration = await this.tournamentParticipantRepository.create(
+      {
+        tournamentId: tournament.id,
+        participantId: entry.userId,
+        participantType: 'user',
+        registeredAt: new Date(),
+      },
+      { transaction },
+    );
+    if (tournament.entryFee > 0) {
+      try {
+        await this.entryFeeChargeService.chargeFee(
+          { userId: entry.userId, amount: tournament.entryFee, registration },
+          { transaction },
+        );
+      } catch (error) {
+        if (!(error instanceof ForbiddenError) && !(error instanceof NotFoundError)) {
+          throw error;
+        }
+        // The charge failed before touching the wallet, so only the registration has to go
+        await this.tournamentParticipantRepository.delete(registration.id, { transaction });
+        return null;
+      }
+    }
+    return registration;
+  }
+
+  /** @private */
+  notifyAfterCommit(transaction, userId, event, payload) {
+    transaction.afterCommit(() => {
+      this.socketEmitter.toUser(userId, event, payload);
+    });
+  }
+}
+
+module.exports = WaitlistPromotionService;
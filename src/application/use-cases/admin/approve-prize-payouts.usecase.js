@@ -0,0 +1,66 @@
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+
+class ApprovePrizePayoutsUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../services/prizeDistribution.service')} prizeDistributionService
+   * @param {import('../../services/twoFactor.service')} [twoFactorService] - Re-verifies the approving admin's two-factor code.
+   */
+  constructor(tournamentRepository, prizeDistributionService, twoFactorService = null) {
+    this.tournamentRepository = tournamentRepository;
+    this.prizeDistributionService = prizeDistributionService;
+    this.twoFactorService = twoFactorService;
+  }
+
+  /**
+   * Approves the prize payouts of a completed tournament whose pool needed admin approval,
+   * crediting every winner's wallet in one transaction.
+   * @param {object} params
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {string} params.adminUserId - The ID of the approving admin.
+   * @param {string} [params.twoFactorCode] - The admin's current two-factor code.
+   * @returns {Promise<{tournamentId: string, payouts: import('../../../domain/wallet/transaction.entity').Transaction[]}>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ tournamentId, adminUserId, twoFactorCode }) {
+    if (!tournamentId || !adminUserId) {
+      throw new BadRequestError('Tournament ID and Admin User ID are required.');
+    }
+    if (this.twoFactorService) {
+      await this.twoFactorService.assertVerified(adminUserId, twoFactorCode);
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament) {
+        throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+      }
+      if (tournament.status !== Tournament.Status.COMPLETED) {
+        throw new BadRequestError('Prize payouts can only be approved for a completed tournament.');
+      }
+
+      const payouts = await this.prizeDistributionService.approve(tournamentId, adminUserId, {
+        transaction: dbTransaction,
+      });
+      if (payouts.length === 0) {
+        throw new BadRequestError('This tournament has no prize payouts awaiting approval.');
+      }
+
+      await dbTransaction.commit();
+      return { tournamentId, payouts };
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = ApprovePrizePayoutsUseCase;
@@ -1,19 +1,23 @@
 const { BadRequestError, NotFoundError, InternalServerError } = require('../../../utils/errors');
 const { Transaction } = require('../../../domain/wallet/transaction.entity'); // For status constants
 const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Notification } = require('../../../domain/notification/notification.entity');
+const logger = require('../../../utils/logger');
 
 class ApproveWithdrawalUseCase {
   /**
    * @param {import('../../../domain/wallet/transaction.repository.interface')} transactionRepository
    * @param {import('../../../domain/wallet/wallet.repository.interface')} walletRepository
-   * @param {object} [paymentService] - Optional: A service to initiate the actual fund transfer.
-   * @param {object} [notificationService] - Optional: For notifying user.
+   * @param {import('../../services/paymentGateway.service')} [paymentService] - Optional: Pays out through the gateway selected for the withdrawal currency.
+   * @param {import('../../services/notification.service')} [notificationService] - Optional: For notifying user.
+   * @param {import('../../services/twoFactor.service')} [twoFactorService] - Optional: re-verifies the approving admin's two-factor code.
    */
-  constructor(transactionRepository, walletRepository, paymentService = null, notificationService = null) {
+  constructor(transactionRepository, walletRepository, paymentService = null, notificationService = null, twoFactorService = null) {
     this.transactionRepository = transactionRepository;
     this.walletRepository = walletRepository;
     this.paymentService = paymentService;
     this.notificationService = notificationService;
+    this.twoFactorService = twoFactorService;
   }
 
   /**
@@ -21,22 +25,28 @@ class ApproveWithdrawalUseCase {
    * @param {string} withdrawalTransactionId - The ID of the withdrawal transaction to approve.
    * @param {string} adminUserId - The ID of the admin/finance manager approving.
    * @param {string} [notes] - Optional notes from the admin.
+   * @param {string} [twoFactorCode] - The admin's current two-factor code.
    * @returns {Promise<import('../../../domain/wallet/transaction.entity').Transaction>} The updated Transaction entity.
    * @throws {import('../../../utils/errors').BadRequestError}
    * @throws {import('../../../utils/errors').NotFoundError}
    * @throws {import('../../../utils/errors').InternalServerError}
+   * @throws {import('../../../utils/errors').ForbiddenError} When the admin's two-factor code is missing or wrong.
    */
-  async execute(withdrawalTransactionId, adminUserId, notes = null) {
+  async execute(withdrawalTransactionId, adminUserId, notes = null, twoFactorCode = null) {
     if (!withdrawalTransactionId || !adminUserId) {
       throw new BadRequestError('Withdrawal Transaction ID and Admin User ID are required.');
     }
+    if (this.twoFactorService) {
+      await this.twoFactorService.assertVerified(adminUserId, twoFactorCode);
+    }
 
     const dbTransaction = await sequelize.transaction();
     try {
-      // 1. Fetch the withdrawal transaction (lock for update if supported by findById)
+      // 1. Fetch and lock the withdrawal so a concurrent approval waits here and then sees it is no
+      //    longer REQUIRES_APPROVAL, instead of paying it out a second time.
       const withdrawal = await this.transactionRepository.findById(withdrawalTransactionId, {
         transaction: dbTransaction,
-        // lock: dbTransaction.LOCK.UPDATE (If findById supports pessimistic lock)
+        lock: dbTransaction.LOCK.UPDATE,
       });
 
       if (!withdrawal) {
@@ -55,6 +65,7 @@ class ApproveWithdrawalUseCase {
       // 2. (Conceptual) Initiate actual payment via PaymentService
       // This is a critical step. If payment fails, the whole operation should roll back or enter a retry/manual state.
       let paymentGatewayReference = null;
+      let paymentGateway = null;
       if (this.paymentService && typeof this.paymentService.processPayout === 'function') {
         try {
           // paymentService.processPayout would take withdrawal.amount, withdrawal.currency, withdrawal.metadata.withdrawalMethodDetails
@@ -64,8 +75,14 @@ class ApproveWithdrawalUseCase {
             recipientDetails: withdrawal.metadata.withdrawalMethodDetails,
             transactionId: withdrawal.id, // For reference
           });
-          paymentGatewayReference = payoutResult.gatewayReferenceId; // Example field from payment service
-          logger.info(`[ApproveWithdrawal] Payout processed by payment service for ${withdrawal.id}. Ref: ${paymentGatewayReference}`);
+          if (payoutResult) {
+            paymentGatewayReference = payoutResult.gatewayReferenceId;
+            paymentGateway = payoutResult.gateway;
+            logger.info(`[ApproveWithdrawal] Payout processed by ${paymentGateway} for ${withdrawal.id}. Ref: ${paymentGatewayReference}`);
+          } else {
+            // No gateway pays out in this currency (e.g. Zarinpal for IRR); the admin pays it out by hand.
+            logger.warn(`[ApproveWithdrawal] No payment gateway pays out ${withdrawal.metadata.requestedCurrency || 'USD'}. Withdrawal ${withdrawal.id} is to be paid out manually.`);
+          }
         } catch (paymentError) {
           logger.error(`[ApproveWithdrawal] Payment service failed for withdrawal ${withdrawal.id}:`, paymentError);
           // Update transaction to a FAILED_PAYMENT status or similar, do not debit wallet yet.
@@ -102,7 +119,7 @@ class ApproveWithdrawalUseCase {
         await this.transactionRepository.update(withdrawal.id, {
             status: 'ERROR_INSUFFICIENT_FUNDS_POST_PAYMENT',
             description: `${withdrawal.description} | Admin: ${adminUserId} approved. Notes: ${notes || 'N/A'}. CRITICAL: Insufficient funds post-payment.`,
-            metadata: { ...withdrawal.metadata, adminUserId, adminNotes: notes, paymentGatewayReference },
+            metadata: { ...withdrawal.metadata, adminUserId, adminNotes: notes, paymentGateway, paymentGatewayReference },
           }, { transaction: dbTransaction });
         await dbTransaction.commit();
         throw new InternalServerError('Critical error: Insufficient funds after payment processing.');
@@ -117,16 +134,23 @@ class ApproveWithdrawalUseCase {
       const updatedWithdrawal = await this.transactionRepository.update(withdrawal.id, {
         status: finalStatus,
         description: `${withdrawal.description} | Admin: ${adminUserId} approved. Notes: ${notes || 'N/A'}`,
-        metadata: { ...withdrawal.metadata, adminUserId, adminNotes: notes, paymentGatewayReference },
+        metadata: { ...withdrawal.metadata, adminUserId, adminNotes: notes, paymentGateway, paymentGatewayReference },
         transactionDate: new Date(), // Mark completion/approval date
       }, { transaction: dbTransaction });
 
       await dbTransaction.commit();
 
-      // 5. (Conceptual) Notify user
-      // if (this.notificationService) {
-      //   this.notificationService.notifyUser(wallet.userId, `Your withdrawal request for ${withdrawal.amount} ${withdrawal.metadata.requestedCurrency} has been approved and processed.`);
-      // }
+      // 5. Notify user
+      if (this.notificationService) {
+        await this.notificationService.notify(wallet.userId, Notification.Type.WITHDRAWAL_APPROVED, {
+          payload: {
+            transactionId: updatedWithdrawal.id,
+            amount: withdrawal.amount,
+            currency: withdrawal.metadata.requestedCurrency || null,
+          },
+          link: '/wallet',
+        });
+      }
 
       return updatedWithdrawal;
 
@@ -158,11 +182,11 @@ module.exports = ApproveWithdrawalUseCase;
 // - Assumes `transactionRepository` and `walletRepository` methods support transactions.
 // - `PAYMENT_FAILED` and `ERROR_INSUFFICIENT_FUNDS_POST_PAYMENT` are example statuses for error states.
 //   Proper transaction statuses need to be part of the domain's `Transaction.Status` enum.
-// - A real `paymentService` would be an infrastructure component.
+// - `paymentService` is the `PaymentGatewayService`, which selects the gateway by the withdrawal currency.
+//   When no gateway of the currency supports payouts, the withdrawal is completed with `paymentGateway: null`.
 // - The order of operations (payment service call vs. wallet debit) can vary.
 //   Sometimes, funds are debited first (or put on hold), then payment is attempted. If payment fails, funds are revered.
 //   The current flow attempts payment first, then debits. This is risky if debit fails post-payment.
 //   A "hold" mechanism is safer: Hold funds -> Attempt Payment -> If Success: Confirm Hold (Debit) & Complete Tx; If Fail: Release Hold & Fail Tx.
 //   This mock does not implement holds for simplicity.
 // - `withdrawal.metadata.requestedCurrency` is assumed to exist.
-// - `logger` is used conceptually; it would be `require('../../../utils/logger')`. This is added.
@@ -1,128 +1,171 @@
-const ApiError = require('../../../utils/ApiError');
-const httpStatusCodes = require('http-status-codes');
-const { DisputeTicket } = require('../../../domain/dispute/dispute.entity'); // For status constants
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+const { DisputeTicket } = require('../../../domain/dispute/dispute.entity');
+const { DisputeStatusHistory } = require('../../../domain/dispute/dispute_status_history.entity');
 const { Match } = require('../../../domain/tournament/match.entity'); // For status constants
+const { Notification } = require('../../../domain/notification/notification.entity');
 const { sequelize } = require('../../../infrastructure/database/postgres.connector'); // For transactions
 
 class ResolveDisputeUseCase {
   /**
    * @param {import('../../../domain/dispute/dispute.repository.interface')} disputeRepository
-   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository For match updates
+   * @param {import('../../../infrastructure/database/repositories/postgres.match.repository').PostgresMatchRepository} matchRepository
+   * @param {import('../../services/bracketAdvancement.service')} bracketAdvancementService Moves the decided winner/loser on through the bracket.
    * @param {object} [notificationService] Optional: for notifying users.
+   * @param {import('../../services/tournamentBroadcast.service')} [tournamentBroadcastService] - Pushes the decided match and bracket to tournament subscribers.
    */
-  constructor(disputeRepository, tournamentRepository, notificationService = null) {
+  constructor(disputeRepository, matchRepository, bracketAdvancementService, notificationService = null, tournamentBroadcastService = null) {
     this.disputeRepository = disputeRepository;
-    this.tournamentRepository = tournamentRepository; // Used for its match-related methods
+    this.matchRepository = matchRepository;
+    this.bracketAdvancementService = bracketAdvancementService;
     this.notificationService = notificationService;
+    this.tournamentBroadcastService = tournamentBroadcastService;
   }
 
   /**
-   * Resolves a dispute ticket.
+   * Resolves a dispute ticket and decides its match.
    * @param {string} disputeId - The ID of the dispute to resolve.
    * @param {string} moderatorId - The ID of the admin/moderator resolving the dispute.
    * @param {object} resolutionData - Data for resolving the dispute.
-   * @param {string} resolutionData.resolutionStatus - The final status for the dispute (e.g., 'RESOLVED_PARTICIPANT1_WIN').
+   * @param {string} resolutionData.resolutionStatus - The outcome, one of `DisputeTicket.Resolution`.
    * @param {string} resolutionData.resolutionDetails - Detailed notes about the resolution.
-   * @param {string} [resolutionData.winningParticipantId] - Optional: Explicitly set winner if not implied by status.
+   * @param {string|null} [resolutionData.winningParticipantId] - Optional: Overrides the reported winner of an invalid dispute. Must be a participant of the match.
    * @param {number} [resolutionData.participant1Score] - Optional: New score for P1 if adjusted.
    * @param {number} [resolutionData.participant2Score] - Optional: New score for P2 if adjusted.
    * @returns {Promise<{dispute: import('../../../domain/dispute/dispute.entity').DisputeTicket, match: import('../../../domain/tournament/match.entity').Match}>}
-   * @throws {ApiError}
+   * @throws {BadRequestError|NotFoundError}
    */
   async execute(disputeId, moderatorId, resolutionData) {
     const { resolutionStatus, resolutionDetails, winningParticipantId, participant1Score, participant2Score } = resolutionData;
 
     if (!disputeId || !moderatorId || !resolutionStatus || !resolutionDetails) {
-      throw new ApiError(httpStatusCodes.BAD_REQUEST, 'Dispute ID, moderator ID, resolution status, and details are required.');
+      throw new BadRequestError('Dispute ID, moderator ID, resolution status, and details are required.');
     }
-    if (!DisputeTicket.validStatuses.includes(resolutionStatus) ||
-        [DisputeTicket.Status.OPEN, DisputeTicket.Status.UNDER_REVIEW].includes(resolutionStatus)) {
-      throw new ApiError(httpStatusCodes.BAD_REQUEST, `Invalid final resolution status: ${resolutionStatus}.`);
+    if (!Object.values(DisputeTicket.Resolution).includes(resolutionStatus)) {
+      throw new BadRequestError(`Invalid dispute resolution: ${resolutionStatus}.`);
     }
 
     const dbTransaction = await sequelize.transaction();
     try {
-      const dispute = await this.disputeRepository.findById(disputeId, { transaction: dbTransaction });
+      const dispute = await this.disputeRepository.findById(disputeId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
       if (!dispute) {
-        await dbTransaction.rollback();
-        throw new ApiError(httpStatusCodes.NOT_FOUND, 'Dispute ticket not found.');
+        throw new NotFoundError('Dispute ticket not found.');
       }
-
-      if (dispute.status !== DisputeTicket.Status.OPEN && dispute.status !== DisputeTicket.Status.UNDER_REVIEW) {
-        await dbTransaction.rollback();
-        throw new ApiError(httpStatusCodes.BAD_REQUEST, `Dispute cannot be resolved from its current status: ${dispute.status}.`);
+      if (dispute.isFinalized()) {
+        throw new BadRequestError(`Dispute cannot be resolved from its current status: ${dispute.status}.`);
       }
 
-      const match = await this.tournamentRepository.findMatchById(dispute.matchId, { transaction: dbTransaction });
+      const match = await this.matchRepository.findById(dispute.matchId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
       if (!match) {
-        await dbTransaction.rollback();
-        throw new ApiError(httpStatusCodes.NOT_FOUND, `Match associated with dispute (ID: ${dispute.matchId}) not found.`);
+        throw new NotFoundError(`Match associated with dispute (ID: ${dispute.matchId}) not found.`);
+      }
+      if (match.status !== Match.Status.DISPUTED) {
+        throw new BadRequestError(`Match of this dispute is not disputed (status: ${match.status}).`);
       }
 
-      // Apply resolution to domain entities
-      dispute.resolve(resolutionStatus, resolutionDetails, moderatorId);
-
+      // Map the outcome to the match: a decided winner completes it, a replay schedules it again
+      // without a result, and an invalid dispute lets the reported result stand.
       let matchNewStatus = Match.Status.COMPLETED;
-      let actualWinnerId = winningParticipantId;
-
-      if (resolutionStatus === DisputeTicket.Status.RESOLVED_PARTICIPANT1_WIN) {
-        actualWinnerId = match.participant1Id;
-      } else if (resolutionStatus === DisputeTicket.Status.RESOLVED_PARTICIPANT2_WIN) {
-        actualWinnerId = match.participant2Id;
-      } else if (resolutionStatus === DisputeTicket.Status.RESOLVED_REPLAY_MATCH) {
-        matchNewStatus = Match.Status.SCHEDULED; // Or a specific "TO_BE_REPLAYED" status
-        actualWinnerId = null; // No winner if replaying
-      } else if (resolutionStatus === DisputeTicket.Status.CLOSED_INVALID || resolutionStatus === DisputeTicket.Status.RESOLVED_NO_ACTION) {
-        // If dispute is invalid or no action, match result might stand as previously reported, or revert to AWAITING_SCORES/CONFIRMATION.
-        // This logic depends on policy. For now, assume it might complete as is or based on prior state.
-        // If no winner was previously set or scores are cleared, actualWinnerId might remain null.
-        // Match status might not change or become COMPLETED if a prior result exists and is now confirmed.
-        // This part needs careful business logic. For simplicity, if no explicit winner from resolution, keep current match winner.
-        actualWinnerId = actualWinnerId !== undefined ? actualWinnerId : match.winnerId;
+      let actualWinnerId;
+      switch (resolutionStatus) {
+        case DisputeTicket.Resolution.PARTICIPANT1_WIN:
+          actualWinnerId = match.participant1Id;
+          break;
+        case DisputeTicket.Resolution.PARTICIPANT2_WIN:
+          actualWinnerId = match.participant2Id;
+          break;
+        case DisputeTicket.Resolution.REPLAY:
+          matchNewStatus = Match.Status.SCHEDULED;
+          actualWinnerId = null;
+          break;
+        default:
+          if (winningParticipantId && ![match.participant1Id, match.participant2Id].includes(winningParticipantId)) {
+            throw new BadRequestError('The winning participant must be a participant of the disputed match.');
+          }
+          actualWinnerId = winningParticipantId !== undefined ? winningParticipantId : match.winnerId;
       }
 
-      // Use match domain method to update its state based on dispute outcome
+      const fromStatus = dispute.status;
+      dispute.resolve(resolutionDetails, moderatorId);
+      if (resolutionStatus === DisputeTicket.Resolution.INVALID) {
+        dispute.close(moderatorId);
+      }
       match.resolveDispute(actualWinnerId, resolutionDetails, matchNewStatus);
 
-      // If scores are part of the resolution data, update them on the match entity
-      if (participant1Score !== undefined) match.participant1Score = participant1Score;
-      if (participant2Score !== undefined) match.participant2Score = participant2Score;
-
+      if (matchNewStatus === Match.Status.SCHEDULED) {
+        match.participant1Score = null;
+        match.participant2Score = null;
+      } else {
+        if (participant1Score !== undefined) match.participant1Score = participant1Score;
+        if (participant2Score !== undefined) match.participant2Score = participant2Score;
+      }
 
-      // Persist changes
       const updatedDispute = await this.disputeRepository.update(dispute.id, {
         status: dispute.status,
         resolutionDetails: dispute.resolutionDetails,
         moderatorId: dispute.moderatorId,
       }, { transaction: dbTransaction });
-
-      const updatedMatch = await this.tournamentRepository.updateMatchById(match.id, {
+      await this.disputeRepository.recordStatusChange(
+        new DisputeStatusHistory({
+          disputeId, fromStatus, toStatus: dispute.status, changedBy: moderatorId, note: resolutionDetails,
+        }),
+        { transaction: dbTransaction },
+      );
+
+      const updatedMatch = await this.matchRepository.updateById(match.id, {
         status: match.status,
         winnerId: match.winnerId,
-        winnerType: match.winnerType, // Match entity's resolveDispute should set this
+        winnerType: match.winnerType,
         participant1Score: match.participant1Score,
         participant2Score: match.participant2Score,
-        moderatorNotes: match.moderatorNotes, // Match entity's resolveDispute should set this
-        isConfirmed: match.isConfirmed, // Match entity's resolveDispute should set this
+        moderatorNotes: match.moderatorNotes,
+        isConfirmed: match.isConfirmed,
       }, { transaction: dbTransaction });
 
-      await dbTransaction.commit();
+      // Advance the decided result in the same transaction, so a failure also rolls back the resolution.
+      let advancement = null;
+      if (updatedMatch.status === Match.Status.COMPLETED) {
+        advancement = await this.bracketAdvancementService.advance(updatedMatch, { transaction: dbTransaction });
+      }
 
-      // TODO: Send notifications to involved participants
-      // if (this.notificationService) {
-      //   this.notificationService.notifyUser(match.participant1Id, `Dispute for your match resolved: ${resolutionDetails}`);
-      //   this.notificationService.notifyUser(match.participant2Id, `Dispute for your match resolved: ${resolutionDetails}`);
-      // }
+      await dbTransaction.commit();
+      this.broadcast(updatedMatch, advancement);
+
+      if (this.notificationService) {
+        await this.notificationService.notify(dispute.reporterId, Notification.Type.DISPUTE_STATUS_CHANGED, {
+          payload: { disputeId, matchId: dispute.matchId, status: dispute.status, note: resolutionDetails },
+          link: `/disputes/${disputeId}`,
+        });
+        // A replay is ready to be played again, like the matches the decided result advanced into.
+        const { advancedTo = null, droppedTo = null, newMatches = [] } = advancement || {};
+        await this.notificationService.notifyMatchesReady([updatedMatch, advancedTo, droppedTo, ...newMatches]);
+      }
 
       return { dispute: updatedDispute, match: updatedMatch };
-
     } catch (error) {
-      if (dbTransaction && !dbTransaction.finished) {
+      if (!dbTransaction.finished) {
         await dbTransaction.rollback();
       }
-      console.error(`Error resolving dispute ${disputeId}:`, error);
-      if (error instanceof ApiError) throw error;
-      throw new ApiError(httpStatusCodes.INTERNAL_SERVER_ERROR, 'Failed to resolve dispute.');
+      throw error;
+    }
+  }
+
+  /** @private */
+  broadcast(match, advancement) {
+    if (!this.tournamentBroadcastService) {
+      return;
+    }
+    this.tournamentBroadcastService.matchUpdated(match);
+    if (advancement) {
+      this.tournamentBroadcastService.bracketAdvanced(match.tournamentId, advancement);
+      if (advancement.tournament) {
+        this.tournamentBroadcastService.statusChanged(advancement.tournament);
+      }
     }
   }
 }
@@ -131,20 +174,11 @@ module.exports = ResolveDisputeUseCase;
 
 // Notes:
 // - Handles the logic for an admin/moderator to resolve a dispute.
-// - Uses a database transaction to ensure atomicity of updates to DisputeTicket and Match.
+// - The dispute and its match are locked and updated in one transaction, together with the dispute's status history.
 // - Leverages domain entity methods (`dispute.resolve()`, `match.resolveDispute()`) to encapsulate state changes.
-// - The mapping from `resolutionData.resolutionStatus` (from DisputeTicket context) to `matchNewStatus` and `actualWinnerId`
-//   contains business logic that defines how a dispute outcome affects the match.
+// - `DisputeTicket.Resolution` is the outcome chosen by the moderator; the ticket itself ends up RESOLVED, or CLOSED for an
+//   invalid dispute. The outcome decides the match winner, or sends the match back to SCHEDULED for a replay.
 // - Optional `winningParticipantId`, `participant1Score`, `participant2Score` in `resolutionData` allow admin to override match details.
-// - Placeholder for notification service.
-// - Relies on `DisputeRepository` and `TournamentRepository` (for match updates) supporting transactions.
-// - Assumes `Match.entity.js` and `DisputeTicket.entity.js` have the necessary methods and status constants.
-//   The `Match.entity.js` `resolveDispute` method was updated to accept notes and new status.
-//   The `DisputeTicket.entity.js` `resolve` method was also implemented.
-// - The repository `update` and `updateMatchById` methods must correctly persist the fields updated on the domain entities.
-//   The `updateMatchById` in `PostgresTournamentRepository` currently takes generic `updateData`.
-//   It should correctly map domain entity properties (like `participant1Score`) to model attributes if they differ.
-//   (This was partially addressed by aligning Match entity properties with model attributes).
-// - If `resolutionData.winningParticipantId` is not provided, the logic tries to infer it or keeps current match winner if appropriate.
-//   This part of the logic might need more refinement based on exact business rules for each `resolutionStatus`.
-//   The current version assumes `winningParticipantId` will often be provided or derivable.
+// - A resolution that completes the match is handed to `BracketAdvancementService` inside the same transaction.
+// - The reporter is notified after the commit, like any other dispute status change. The decided match and the bracket
+//   changes are broadcast and the players of newly ready matches notified, as when a result is confirmed.
@@ -0,0 +1,47 @@
+const { BadRequestError, ConflictError } = require('../../../utils/errors');
+const { TwoFactorCredential } = require('../../../domain/user/twoFactorCredential.entity');
+const totp = require('../../../utils/totp');
+
+class ConfirmTwoFactorUseCase {
+  /**
+   * @param {import('../../../domain/user/twoFactorCredential.repository.interface')} twoFactorCredentialRepository
+   */
+  constructor(twoFactorCredentialRepository) {
+    this.twoFactorCredentialRepository = twoFactorCredentialRepository;
+  }
+
+  /**
+   * Enables two-factor authentication once the user enters a code from their authenticator app.
+   * @param {object} params
+   * @param {string} params.userId
+   * @param {string} params.code - Current TOTP code for the pending secret.
+   * @returns {Promise<{recoveryCodes: string[]}>} Recovery codes, shown only this once.
+   * @throws {BadRequestError} If enrollment was not started or the code is wrong.
+   * @throws {ConflictError} If two-factor authentication is already enabled.
+   */
+  async execute({ userId, code }) {
+    if (!userId || !code) {
+      throw new BadRequestError('User ID and code are required.');
+    }
+    const credential = await this.twoFactorCredentialRepository.findByUserId(userId);
+    if (!credential) {
+      throw new BadRequestError('Start two-factor enrollment first.');
+    }
+    if (credential.isEnabled()) {
+      throw new ConflictError('Two-factor authentication is already enabled.');
+    }
+
+    const step = totp.verifyCode(credential.secret, code);
+    if (step === null || !credential.useStep(step)) {
+      throw new BadRequestError('Invalid two-factor authentication code.');
+    }
+
+    const recoveryCodes = TwoFactorCredential.generateRecoveryCodes();
+    credential.enable(recoveryCodes);
+    await this.twoFactorCredentialRepository.save(credential);
+
+    return { recoveryCodes };
+  }
+}
+
+module.exports = ConfirmTwoFactorUseCase;
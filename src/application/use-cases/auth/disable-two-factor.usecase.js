@@ -0,0 +1,43 @@
+const { BadRequestError, ForbiddenError } = require('../../../utils/errors');
+
+class DisableTwoFactorUseCase {
+  /**
+   * @param {object} userRepository - Repository for user data persistence.
+   * @param {import('../../../domain/user/twoFactorCredential.repository.interface')} twoFactorCredentialRepository
+   * @param {import('../../services/twoFactor.service')} twoFactorService
+   */
+  constructor(userRepository, twoFactorCredentialRepository, twoFactorService) {
+    this.userRepository = userRepository;
+    this.twoFactorCredentialRepository = twoFactorCredentialRepository;
+    this.twoFactorService = twoFactorService;
+  }
+
+  /**
+   * Turns two-factor authentication off after checking a current code or a recovery code.
+   * @param {object} params
+   * @param {string} params.userId
+   * @param {string} params.code
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} If it is not enabled or the code is wrong.
+   * @throws {ForbiddenError} If the user's role requires two-factor authentication.
+   */
+  async execute({ userId, code }) {
+    if (!userId || !code) {
+      throw new BadRequestError('User ID and code are required.');
+    }
+    if (!(await this.twoFactorService.isEnabled(userId))) {
+      throw new BadRequestError('Two-factor authentication is not enabled.');
+    }
+    const user = await this.userRepository.findById(userId);
+    if (this.twoFactorService.isRequiredFor(user)) {
+      throw new ForbiddenError('Your role requires two-factor authentication; it cannot be disabled.');
+    }
+    if (!(await this.twoFactorService.verifyCode(userId, code))) {
+      throw new BadRequestError('Invalid two-factor authentication code.');
+    }
+
+    await this.twoFactorCredentialRepository.deleteByUserId(userId);
+  }
+}
+
+module.exports = DisableTwoFactorUseCase;
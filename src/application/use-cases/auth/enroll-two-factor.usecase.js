@@ -0,0 +1,47 @@
+const { BadRequestError, ConflictError, NotFoundError } = require('../../../utils/errors');
+const { TwoFactorCredential } = require('../../../domain/user/twoFactorCredential.entity');
+const { appConfig } = require('../../../../config/config');
+const totp = require('../../../utils/totp');
+
+class EnrollTwoFactorUseCase {
+  /**
+   * @param {object} userRepository - Repository for user data persistence.
+   * @param {import('../../../domain/user/twoFactorCredential.repository.interface')} twoFactorCredentialRepository
+   */
+  constructor(userRepository, twoFactorCredentialRepository) {
+    this.userRepository = userRepository;
+    this.twoFactorCredentialRepository = twoFactorCredentialRepository;
+  }
+
+  /**
+   * Starts enrolling the user in two-factor authentication with a new secret. Nothing changes for the
+   * user until they confirm it with a code; starting again replaces the pending secret.
+   * @param {object} params
+   * @param {string} params.userId
+   * @returns {Promise<{secret: string, otpauthUri: string}>} For the authenticator app (usually shown as a QR code).
+   * @throws {ConflictError} If two-factor authentication is already enabled.
+   */
+  async execute({ userId }) {
+    if (!userId) {
+      throw new BadRequestError('User ID is required.');
+    }
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found.');
+    }
+    const existing = await this.twoFactorCredentialRepository.findByUserId(userId);
+    if (existing && existing.isEnabled()) {
+      throw new ConflictError('Two-factor authentication is already enabled.');
+    }
+
+    const secret = totp.generateSecret();
+    await this.twoFactorCredentialRepository.save(new TwoFactorCredential({ userId, secret }));
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email, issuer: appConfig.twoFactor.issuer }),
+    };
+  }
+}
+
+module.exports = EnrollTwoFactorUseCase;
@@ -3,32 +3,40 @@ const jwt = require('jsonwebtoken');
 const { appConfig } = require('../../../../config/config');
 const { BadRequestError, UnauthorizedError, ForbiddenError } = require('../../../utils/errors');
 const { User } = require('../../../domain/user/user.entity'); // Assuming User entity is correctly imported
+const VerifyTwoFactorLoginUseCase = require('./verify-two-factor-login.usecase');
 
 class LoginUseCase {
-  constructor(userRepository) {
+  /**
+   * @param {object} userRepository - Repository for user data persistence.
+   * @param {import('../../services/twoFactor.service')} [twoFactorService] - Optional: Adds the second login step for users with two-factor authentication.
+   */
+  constructor(userRepository, twoFactorService = null) {
     this.userRepository = userRepository;
+    this.twoFactorService = twoFactorService;
   }
 
   /**
    * Executes the login use case.
+   * Users with two-factor authentication get a short-lived challenge token instead of a session and
+   * finish logging in with VerifyTwoFactorLoginUseCase.
    * @param {string} email - The user's email.
    * @param {string} password - The user's password.
-   * @returns {Promise<{user: UserPublicProfile, accessToken: string, refreshToken: string}>}
+   * @returns {Promise<{user: UserPublicProfile, accessToken: string, refreshToken: string, twoFactorEnrollmentRequired?: boolean}|{twoFactorRequired: true, challengeToken: string}>}
    * @throws {ApiError} If login fails.
    */
   async execute(email, password) {
     if (!email || !password) {
-      throw new ApiError(httpStatusCodes.BAD_REQUEST, 'Email and password are required.');
+      throw new BadRequestError('Email and password are required.');
     }
 
     const user = await this.userRepository.findByEmail(email);
     if (!user) {
-      throw new ApiError(httpStatusCodes.UNAUTHORIZED, 'Invalid email or password.');
+      throw new UnauthorizedError('Invalid email or password.');
     }
 
     const isPasswordMatch = await bcrypt.compare(password, user.passwordHash);
     if (!isPasswordMatch) {
-      throw new ApiError(httpStatusCodes.UNAUTHORIZED, 'Invalid email or password.');
+      throw new UnauthorizedError('Invalid email or password.');
     }
 
     if (!user.isVerified) {
@@ -36,9 +44,29 @@ class LoginUseCase {
       // For now, let's treat it as a reason to deny full access or prompt for verification.
       // This could be a specific error code or message.
       // For simplicity, we'll throw an error here.
-      throw new ApiError(httpStatusCodes.FORBIDDEN, 'Account not verified. Please verify your email.');
+      throw new ForbiddenError('Account not verified. Please verify your email.');
+    }
+
+    if (this.twoFactorService) {
+      if (await this.twoFactorService.isEnabled(user.id)) {
+        const challengeId = await this.twoFactorService.startLoginChallenge(user.id);
+        return { twoFactorRequired: true, challengeToken: VerifyTwoFactorLoginUseCase.createChallengeToken(user, challengeId) };
+      }
+      if (this.twoFactorService.isRequiredFor(user)) {
+        // Let them in to enroll; privileged actions stay refused until they do.
+        return { ...(await this.issueSession(user)), twoFactorEnrollmentRequired: true };
+      }
     }
 
+    return this.issueSession(user);
+  }
+
+  /**
+   * Starts a session for a user who passed every login step.
+   * @param {User} user
+   * @returns {Promise<{user: UserPublicProfile, accessToken: string, refreshToken: string}>}
+   */
+  async issueSession(user) {
     // Generate tokens
     const accessToken = this.generateAccessToken(user);
     const refreshToken = this.generateRefreshToken(user);
@@ -63,6 +91,7 @@ class LoginUseCase {
       sub: user.id, // Subject (user ID)
       email: user.email,
       roles: user.roles,
+      tokenVersion: user.tokenVersion, // Checked on every request, so a password reset ends existing sessions
       // Add any other claims needed for quick access, but keep it minimal
     };
     return jwt.sign(payload, appConfig.jwt.secret, {
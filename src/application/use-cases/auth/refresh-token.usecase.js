@@ -79,7 +79,7 @@ class RefreshTokenUseCase {
       sub: user.id,
       email: user.email, // Or username, depending on what's preferred
       roles: user.roles,
-      // tokenVersion: user.tokenVersion, // Include if checking tokenVersion on access tokens too
+      tokenVersion: user.tokenVersion, // Checked by authenticateToken on every request
     };
     return jwt.sign(payload, appConfig.jwt.secret, {
       expiresIn: appConfig.jwt.accessExpiration,
@@ -0,0 +1,69 @@
+const { BadRequestError } = require('../../../utils/errors');
+const { PasswordResetToken } = require('../../../domain/user/passwordResetToken.entity');
+const { appConfig } = require('../../../../config/config');
+const logger = require('../../../utils/logger');
+
+const RESPONSE_MESSAGE = 'If an account exists for this email, a password reset link has been sent.';
+
+class RequestPasswordResetUseCase {
+  /**
+   * @param {object} userRepository - Repository for user data persistence.
+   * @param {import('../../../domain/user/passwordResetToken.repository.interface')} passwordResetTokenRepository
+   * @param {import('../../services/email.service.interface')} emailService
+   */
+  constructor(userRepository, passwordResetTokenRepository, emailService) {
+    this.userRepository = userRepository;
+    this.passwordResetTokenRepository = passwordResetTokenRepository;
+    this.emailService = emailService;
+  }
+
+  /**
+   * Emails the user a single-use link to reset their password; earlier links stop working.
+   * The result is the same whether or not an account exists, so the endpoint cannot be used to find
+   * registered email addresses. It also takes the same time: the link is issued and emailed in the
+   * background, so the request only waits for the user lookup either way.
+   * @param {string} email - The email address the reset was requested for.
+   * @returns {Promise<{message: string}>}
+   * @throws {import('../../../utils/errors').BadRequestError} If no email is given.
+   */
+  async execute(email) {
+    if (!email) {
+      throw new BadRequestError('Email is required.');
+    }
+
+    const user = await this.userRepository.findByEmail(email);
+    if (!user) {
+      logger.info('[RequestPasswordReset] Password reset requested for an unknown email address.');
+      return { message: RESPONSE_MESSAGE };
+    }
+
+    this.sendResetLink(user);
+    return { message: RESPONSE_MESSAGE };
+  }
+
+  /**
+   * Replaces the user's reset tokens with a new one and emails its link. Never rejects; failures are
+   * logged, as failing the request would tell the caller the account exists.
+   * @private
+   * @param {{id: string, email: string, username: string}} user
+   * @returns {Promise<void>}
+   */
+  async sendResetLink(user) {
+    const now = new Date();
+    const token = PasswordResetToken.generateToken();
+    try {
+      await this.passwordResetTokenRepository.invalidateAllForUser(user.id, now);
+      await this.passwordResetTokenRepository.create(new PasswordResetToken({
+        userId: user.id,
+        tokenHash: PasswordResetToken.hashToken(token),
+        expiresAt: new Date(now.getTime() + appConfig.passwordReset.tokenTtlMinutes * 60 * 1000),
+        createdAt: now,
+      }));
+      await this.emailService.sendPasswordResetEmail(user.email, user.username, token, appConfig.passwordReset.urlBase);
+    } catch (error) {
+      logger.error(`[RequestPasswordReset] Failed to send the password reset link of user ${user.id}:`, error);
+    }
+  }
+}
+
+module.exports = RequestPasswordResetUseCase;
@@ -0,0 +1,67 @@
+const bcrypt = require('bcryptjs');
+const { BadRequestError } = require('../../../utils/errors');
+const { PasswordResetToken } = require('../../../domain/user/passwordResetToken.entity');
+const { withTransaction } = require('../../../infrastructure/database/postgres.connector');
+
+const INVALID_TOKEN_MESSAGE = 'Invalid or expired password reset token.';
+
+class ResetPasswordUseCase {
+  /**
+   * @param {object} userRepository - Repository for user data persistence.
+   * @param {import('../../../domain/user/passwordResetToken.repository.interface')} passwordResetTokenRepository
+   */
+  constructor(userRepository, passwordResetTokenRepository) {
+    this.userRepository = userRepository;
+    this.passwordResetTokenRepository = passwordResetTokenRepository;
+  }
+
+  /**
+   * Sets a new password using an emailed reset token. The token is consumed, and the user's token
+   * version is bumped and refresh token cleared, so every existing session has to log in again.
+   * @param {object} params
+   * @param {string} params.token - The token from the reset link.
+   * @param {string} params.password - The new password.
+   * @returns {Promise<{message: string}>}
+   * @throws {import('../../../utils/errors').BadRequestError} If the token is unknown, used or expired.
+   */
+  async execute({ token, password }) {
+    if (!token || !password) {
+      throw new BadRequestError('Token and new password are required.');
+    }
+    if (password.length < 8) {
+      throw new BadRequestError('Password must be at least 8 characters long.');
+    }
+
+    const now = new Date();
+    const resetToken = await this.passwordResetTokenRepository.findByTokenHash(PasswordResetToken.hashToken(token));
+    if (!resetToken || !resetToken.isUsable(now)) {
+      throw new BadRequestError(INVALID_TOKEN_MESSAGE);
+    }
+
+    const user = await this.userRepository.findById(resetToken.userId);
+    if (!user) {
+      throw new BadRequestError(INVALID_TOKEN_MESSAGE);
+    }
+    const saltRounds = 10;
+    user.updatePassword(await bcrypt.hash(password, saltRounds));
+
+    await withTransaction(async (transaction) => {
+      // Consuming the token first makes concurrent resets with the same token fail.
+      const consumed = await this.passwordResetTokenRepository.markAsUsed(resetToken.id, now, { transaction });
+      if (!consumed) {
+        throw new BadRequestError(INVALID_TOKEN_MESSAGE);
+      }
+      await this.passwordResetTokenRepository.invalidateAllForUser(user.id, now, { transaction });
+      await this.userRepository.update(user.id, {
+        passwordHash: user.passwordHash,
+        tokenVersion: user.tokenVersion,
+        refreshToken: null,
+        updatedAt: user.updatedAt,
+      }, { transaction });
+    });
+
+    return { message: 'Password has been reset. Please log in with your new password.' };
+  }
+}
+
+module.exports = ResetPasswordUseCase;
@@ -0,0 +1,70 @@
+const jwt = require('jsonwebtoken');
+const { appConfig } = require('../../../../config/config');
+const { BadRequestError, UnauthorizedError } = require('../../../utils/errors');
+
+const CHALLENGE_PURPOSE = 'two_factor_login';
+
+class VerifyTwoFactorLoginUseCase {
+  /**
+   * @param {object} userRepository - Repository for user data persistence.
+   * @param {import('../../services/twoFactor.service')} twoFactorService
+   * @param {import('./login.usecase')} loginUseCase - Issues the session once the code is accepted.
+   */
+  constructor(userRepository, twoFactorService, loginUseCase) {
+    this.userRepository = userRepository;
+    this.twoFactorService = twoFactorService;
+    this.loginUseCase = loginUseCase;
+  }
+
+  /**
+   * Second login step for users with two-factor authentication: exchanges the challenge token from
+   * the password step and a TOTP or recovery code for a session. A challenge is dropped after
+   * TwoFactorCredential.MAX_CHALLENGE_FAILURES wrong codes.
+   * @param {object} params
+   * @param {string} params.challengeToken
+   * @param {string} params.code
+   * @returns {Promise<{user: object, accessToken: string, refreshToken: string}>}
+   * @throws {UnauthorizedError} If the challenge is invalid or expired, or the code is wrong.
+   */
+  async execute({ challengeToken, code }) {
+    if (!challengeToken || !code) {
+      throw new BadRequestError('Challenge token and code are required.');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, appConfig.jwt.secret);
+    } catch (error) {
+      throw new UnauthorizedError('Login challenge is invalid or expired. Please log in again.');
+    }
+    if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.jti) {
+      throw new UnauthorizedError('Login challenge is invalid or expired. Please log in again.');
+    }
+
+    const user = await this.userRepository.findById(decoded.sub);
+    if (!user || user.tokenVersion !== decoded.tokenVersion) {
+      throw new UnauthorizedError('Login challenge is invalid or expired. Please log in again.');
+    }
+    if (!(await this.twoFactorService.verifyLoginCode(user.id, decoded.jti, code))) {
+      throw new UnauthorizedError('Invalid two-factor authentication code.');
+    }
+
+    return this.loginUseCase.issueSession(user);
+  }
+
+  /**
+   * The token proving the password step succeeded, valid for TWO_FACTOR_CHALLENGE_EXPIRATION.
+   * @param {{id: string, tokenVersion: number}} user
+   * @param {string} challengeId - From TwoFactorService.startLoginChallenge.
+   * @returns {string}
+   */
+  static createChallengeToken(user, challengeId) {
+    return jwt.sign(
+      { sub: user.id, purpose: CHALLENGE_PURPOSE, tokenVersion: user.tokenVersion },
+      appConfig.jwt.secret,
+      { expiresIn: appConfig.twoFactor.challengeExpiration, jwtid: challengeId },
+    );
+  }
+}
+
+module.exports = VerifyTwoFactorLoginUseCase;
@@ -0,0 +1,61 @@
+const { BadRequestError } = require('../../../utils/errors');
+const { DisputeEvidence } = require('../../../domain/dispute/dispute_evidence.entity');
+const GetDisputeEvidenceUploadUrlUseCase = require('./get-dispute-evidence-upload-url.usecase');
+
+class AddDisputeEvidenceUseCase {
+  /**
+   * @param {import('../../../domain/dispute/dispute.repository.interface')} disputeRepository
+   * @param {import('../../services/disputeAccess.service')} disputeAccessService
+   * @param {import('../../services/storage.service.interface')} storageService - Locates the file.
+   * @param {import('../../services/fileValidation.service').FileValidationService} fileValidationService - Checks the file was scanned clean.
+   */
+  constructor(disputeRepository, disputeAccessService, storageService, fileValidationService) {
+    this.disputeRepository = disputeRepository;
+    this.disputeAccessService = disputeAccessService;
+    this.storageService = storageService;
+    this.fileValidationService = fileValidationService;
+  }
+
+  /**
+   * Attaches an uploaded file to a dispute as evidence.
+   * @param {object} params
+   * @param {string} params.disputeId - The ID of the dispute ticket.
+   * @param {{id: string, roles: string[]}} params.user - The user who uploaded the file.
+   * @param {string} params.fileKey - The key returned by the evidence upload URL step.
+   * @param {string} params.contentType - MIME type of the uploaded file.
+   * @param {string} [params.description] - Optional note about what the evidence shows.
+   * @returns {Promise<DisputeEvidence>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ disputeId, user, fileKey, contentType, description = null }) {
+    if (!disputeId || !fileKey || !contentType) {
+      throw new BadRequestError('Dispute ID, file key and content type are required.');
+    }
+    if (!fileKey.startsWith(GetDisputeEvidenceUploadUrlUseCase.keyPrefix(disputeId, user.id))) {
+      throw new BadRequestError('The file was not uploaded for this dispute.');
+    }
+
+    const { dispute } = await this.disputeAccessService.loadForUser(disputeId, user);
+    if (dispute.isFinalized()) {
+      throw new BadRequestError(`Evidence cannot be added to a dispute with status ${dispute.status}.`);
+    }
+    await this.fileValidationService.assertClean(fileKey, { uploaderId: user.id });
+
+    let evidence;
+    try {
+      evidence = new DisputeEvidence({
+        disputeId,
+        uploadedBy: user.id,
+        fileKey,
+        fileUrl: this.storageService.getObjectUrl(fileKey),
+        contentType,
+        description,
+      });
+    } catch (domainError) {
+      throw new BadRequestError(domainError.message);
+    }
+    return this.disputeRepository.addEvidence(evidence);
+  }
+}
+
+module.exports = AddDisputeEvidenceUseCase;
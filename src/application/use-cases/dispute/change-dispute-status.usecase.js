@@ -0,0 +1,76 @@
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { DisputeStatusHistory } = require('../../../domain/dispute/dispute_status_history.entity');
+const { Notification } = require('../../../domain/notification/notification.entity');
+
+class ChangeDisputeStatusUseCase {
+  /**
+   * @param {import('../../../domain/dispute/dispute.repository.interface')} disputeRepository
+   * @param {import('../../services/notification.service')} [notificationService] - Tells the reporter about the new status.
+   */
+  constructor(disputeRepository, notificationService = null) {
+    this.disputeRepository = disputeRepository;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Moves a dispute ticket to another status and records the change in its history.
+   * The moderator is assigned to the ticket if nobody handles it yet.
+   * @param {object} params
+   * @param {string} params.disputeId - The ID of the dispute ticket.
+   * @param {string} params.moderatorId - The admin or moderator changing the status.
+   * @param {string} params.status - The new status, see `DisputeTicket.AllowedTransitions`.
+   * @param {string} [params.note] - Optional explanation, stored in the history.
+   * @returns {Promise<import('../../../domain/dispute/dispute.entity').DisputeTicket>} The updated ticket.
+   * @throws {BadRequestError|NotFoundError}
+   */
+  async execute({ disputeId, moderatorId, status, note = null }) {
+    if (!disputeId || !moderatorId || !status) {
+      throw new BadRequestError('Dispute ID, moderator ID and status are required.');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const dispute = await this.disputeRepository.findById(disputeId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!dispute) {
+        throw new NotFoundError('Dispute not found.');
+      }
+
+      let transition;
+      try {
+        transition = dispute.changeStatus(status);
+      } catch (domainError) {
+        throw new BadRequestError(domainError.message);
+      }
+
+      const updateData = { status: dispute.status };
+      if (!dispute.moderatorId) {
+        updateData.moderatorId = moderatorId;
+      }
+      const updatedDispute = await this.disputeRepository.update(disputeId, updateData, { transaction: dbTransaction });
+      await this.disputeRepository.recordStatusChange(
+        new DisputeStatusHistory({ disputeId, ...transition, changedBy: moderatorId, note }),
+        { transaction: dbTransaction },
+      );
+
+      await dbTransaction.commit();
+      if (this.notificationService) {
+        await this.notificationService.notify(dispute.reporterId, Notification.Type.DISPUTE_STATUS_CHANGED, {
+          payload: { disputeId, matchId: dispute.matchId, status: dispute.status, note },
+          link: `/disputes/${disputeId}`,
+        });
+      }
+      return updatedDispute;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = ChangeDisputeStatusUseCase;
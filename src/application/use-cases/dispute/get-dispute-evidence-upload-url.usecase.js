@@ -0,0 +1,69 @@
+const { BadRequestError } = require('../../../utils/errors');
+const { DisputeEvidence } = require('../../../domain/dispute/dispute_evidence.entity');
+const { FileUpload } = require('../../../domain/upload/fileUpload.entity');
+
+class GetDisputeEvidenceUploadUrlUseCase {
+  /**
+   * @param {import('../../services/disputeAccess.service')} disputeAccessService
+   * @param {import('../../services/storage.service.interface')} storageService - Issues the pre-signed upload URL.
+   * @param {import('../../services/fileValidation.service').FileValidationService} fileValidationService - Registers the upload for the malware scan.
+   */
+  constructor(disputeAccessService, storageService, fileValidationService) {
+    this.disputeAccessService = disputeAccessService;
+    this.storageService = storageService;
+    this.fileValidationService = fileValidationService;
+  }
+
+  /**
+   * Issues an upload URL for a screenshot or video to attach to a dispute, like the match result upload flow.
+   * The returned `fileKey` is then passed to `AddDisputeEvidenceUseCase` once the file was scanned for malware.
+   * @param {object} params
+   * @param {string} params.disputeId - The ID of the dispute ticket.
+   * @param {{id: string, roles: string[]}} params.user - The uploading user.
+   * @param {string} params.filename - Original file name, used for the extension.
+   * @param {string} params.contentType - One of `DisputeEvidence.AllowedContentTypes`.
+   * @returns {Promise<{uploadUrl: string, method: string, headers: object, expiresAt: Date, fileKey: string}>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ disputeId, user, filename, contentType }) {
+    if (!disputeId || !filename || !contentType) {
+      throw new BadRequestError('Dispute ID, file name and content type are required.');
+    }
+    if (!DisputeEvidence.AllowedContentTypes.includes(contentType)) {
+      throw new BadRequestError(`Evidence must be one of: ${DisputeEvidence.AllowedContentTypes.join(', ')}.`);
+    }
+
+    const { dispute } = await this.disputeAccessService.loadForUser(disputeId, user);
+    if (dispute.isFinalized()) {
+      throw new BadRequestError(`Evidence cannot be added to a dispute with status ${dispute.status}.`);
+    }
+
+    const fileExtension = filename.split('.').pop();
+    const uniqueFilename = `${Date.now()}-${Math.random().toString(36).substring(2, 15)}.${fileExtension}`;
+    const fileKey = `${GetDisputeEvidenceUploadUrlUseCase.keyPrefix(disputeId, user.id)}${uniqueFilename}`;
+
+    const { url, method, headers, expiresAt } = await this.storageService.getPresignedUploadUrl(fileKey, { contentType });
+    await this.fileValidationService.registerUpload({
+      fileKey,
+      uploaderId: user.id,
+      purpose: FileUpload.Purpose.DISPUTE_EVIDENCE,
+      entityId: disputeId,
+      contentType,
+      uploadExpiresAt: expiresAt,
+    });
+
+    return { uploadUrl: url, method, headers, expiresAt, fileKey };
+  }
+
+  /**
+   * Storage key prefix of the evidence a user uploads for a dispute.
+   * @param {string} disputeId
+   * @param {string} userId
+   * @returns {string}
+   */
+  static keyPrefix(disputeId, userId) {
+    return `dispute-evidence/${disputeId}/${userId}/`;
+  }
+}
+
+module.exports = GetDisputeEvidenceUploadUrlUseCase;
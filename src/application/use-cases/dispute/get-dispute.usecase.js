@@ -0,0 +1,36 @@
+const { BadRequestError } = require('../../../utils/errors');
+
+class GetDisputeUseCase {
+  /**
+   * @param {import('../../../domain/dispute/dispute.repository.interface')} disputeRepository
+   * @param {import('../../services/disputeAccess.service')} disputeAccessService
+   */
+  constructor(disputeRepository, disputeAccessService) {
+    this.disputeRepository = disputeRepository;
+    this.disputeAccessService = disputeAccessService;
+  }
+
+  /**
+   * Returns a dispute ticket with its evidence, message thread and status history.
+   * @param {object} params
+   * @param {string} params.disputeId - The ID of the dispute ticket.
+   * @param {{id: string, roles: string[]}} params.user - A player of the match, or an admin/moderator.
+   * @returns {Promise<{dispute: object, evidence: Array<object>, messages: Array<object>, statusHistory: Array<object>}>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ disputeId, user }) {
+    if (!disputeId) {
+      throw new BadRequestError('Dispute ID is required.');
+    }
+
+    const { dispute } = await this.disputeAccessService.loadForUser(disputeId, user);
+    const [evidence, messages, statusHistory] = await Promise.all([
+      this.disputeRepository.findEvidence(disputeId),
+      this.disputeRepository.findMessages(disputeId),
+      this.disputeRepository.findStatusHistory(disputeId),
+    ]);
+    return { dispute, evidence, messages, statusHistory };
+  }
+}
+
+module.exports = GetDisputeUseCase;
@@ -0,0 +1,28 @@
+const { BadRequestError } = require('../../../utils/errors');
+
+class ListMyDisputesUseCase {
+  /**
+   * @param {import('../../../domain/dispute/dispute.repository.interface')} disputeRepository
+   */
+  constructor(disputeRepository) {
+    this.disputeRepository = disputeRepository;
+  }
+
+  /**
+   * Lists the dispute tickets of the user's own matches, most recently updated first.
+   * @param {object} params
+   * @param {string} params.userId - The ID of the user.
+   * @param {number} [params.page=1]
+   * @param {number} [params.limit=10]
+   * @param {string} [params.status] - Only tickets with this status.
+   * @returns {Promise<{disputes: Array<import('../../../domain/dispute/dispute.entity').DisputeTicket>, total: number, page: number, limit: number}>}
+   */
+  async execute({ userId, page = 1, limit = 10, status }) {
+    if (!userId) {
+      throw new BadRequestError('User ID is required.');
+    }
+    return this.disputeRepository.findByParticipantId(userId, { page, limit, status });
+  }
+}
+
+module.exports = ListMyDisputesUseCase;
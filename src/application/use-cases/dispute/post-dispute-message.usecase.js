@@ -0,0 +1,72 @@
+const { BadRequestError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { DisputeTicket } = require('../../../domain/dispute/dispute.entity');
+const { DisputeMessage } = require('../../../domain/dispute/dispute_message.entity');
+const { DisputeStatusHistory } = require('../../../domain/dispute/dispute_status_history.entity');
+
+class PostDisputeMessageUseCase {
+  /**
+   * @param {import('../../../domain/dispute/dispute.repository.interface')} disputeRepository
+   * @param {import('../../services/disputeAccess.service')} disputeAccessService
+   */
+  constructor(disputeRepository, disputeAccessService) {
+    this.disputeRepository = disputeRepository;
+    this.disputeAccessService = disputeAccessService;
+  }
+
+  /**
+   * Adds a message to the thread between the players of a disputed match and the moderator.
+   * A player reply to a ticket that is AWAITING_PLAYER_RESPONSE puts it back UNDER_REVIEW.
+   * @param {object} params
+   * @param {string} params.disputeId - The ID of the dispute ticket.
+   * @param {{id: string, roles: string[]}} params.user - The sender.
+   * @param {string} params.body - The message text.
+   * @returns {Promise<DisputeMessage>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ disputeId, user, body }) {
+    if (!disputeId || !body || body.trim() === '') {
+      throw new BadRequestError('Dispute ID and a message are required.');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const { dispute, isStaff } = await this.disputeAccessService.loadForUser(disputeId, user, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (dispute.isFinalized()) {
+        throw new BadRequestError(`Messages cannot be added to a dispute with status ${dispute.status}.`);
+      }
+
+      const message = await this.disputeRepository.addMessage(
+        new DisputeMessage({
+          disputeId,
+          senderId: user.id,
+          senderRole: isStaff ? DisputeMessage.SenderRole.MODERATOR : DisputeMessage.SenderRole.PLAYER,
+          body,
+        }),
+        { transaction: dbTransaction },
+      );
+
+      if (!isStaff && dispute.status === DisputeTicket.Status.AWAITING_PLAYER_RESPONSE) {
+        const { fromStatus, toStatus } = dispute.changeStatus(DisputeTicket.Status.UNDER_REVIEW);
+        await this.disputeRepository.update(disputeId, { status: toStatus }, { transaction: dbTransaction });
+        await this.disputeRepository.recordStatusChange(
+          new DisputeStatusHistory({ disputeId, fromStatus, toStatus, changedBy: user.id, note: 'Player responded.' }),
+          { transaction: dbTransaction },
+        );
+      }
+
+      await dbTransaction.commit();
+      return message;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = PostDisputeMessageUseCase;
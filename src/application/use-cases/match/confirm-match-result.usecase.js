@@ -0,0 +1,146 @@
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Match } = require('../../../domain/tournament/match.entity');
+const { UserRoles } = require('../../../domain/user/user.entity');
+const { Notification } = require('../../../domain/notification/notification.entity');
+
+const CONFIRMING_ROLES = [UserRoles.ADMIN, UserRoles.MODERATOR, UserRoles.TOURNAMENT_MANAGER];
+
+class ConfirmMatchResultUseCase {
+  /**
+   * @param {import('../../../domain/tournament/match.repository.interface')} matchRepository
+   * @param {import('../../services/bracketAdvancement.service')} bracketAdvancementService
+   * @param {import('../../services/tournamentBroadcast.service')} [tournamentBroadcastService] - Pushes the changes to tournament subscribers.
+   * @param {import('../../services/notification.service')} [notificationService] - Tells the participants about the result and their next matches.
+   */
+  constructor(matchRepository, bracketAdvancementService, tournamentBroadcastService = null, notificationService = null) {
+    this.matchRepository = matchRepository;
+    this.bracketAdvancementService = bracketAdvancementService;
+    this.tournamentBroadcastService = tournamentBroadcastService;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Confirms a submitted match result and advances the winner through the bracket.
+   * Only the opponent of the participant who submitted the result may confirm it.
+   * Admins, moderators and tournament managers may confirm any result awaiting confirmation.
+   * @param {object} params
+   * @param {string} params.matchId - The ID of the match.
+   * @param {{id: string, roles: string[]}} params.user - The confirming user.
+   * @returns {Promise<Match>} The confirmed match.
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ matchId, user }) {
+    if (!matchId) {
+      throw new BadRequestError('Match ID is required.');
+    }
+
+    return this.confirmInTransaction(matchId, (match) => {
+      if (match.status !== Match.Status.AWAITING_CONFIRMATION) {
+        throw new BadRequestError(`Result cannot be confirmed for match with status: ${match.status}.`);
+      }
+      this.assertCanConfirm(match, user);
+      return user.id;
+    });
+  }
+
+  /**
+   * Confirms a result on behalf of the system once the opponent let the confirmation window pass.
+   * The match is re-checked under a row lock, so a confirmation or dispute that arrives in the
+   * meantime wins and the match is skipped.
+   * @param {string} matchId - The ID of the match.
+   * @param {Date} endedBefore - Results submitted after this time are not confirmed yet.
+   * @returns {Promise<Match|null>} The confirmed match, or null if it no longer qualified.
+   */
+  async autoConfirm(matchId, endedBefore) {
+    return this.confirmInTransaction(matchId, (match) => {
+      const isExpired = match.actualEndTime && match.actualEndTime <= endedBefore;
+      return match.status === Match.Status.AWAITING_CONFIRMATION && isExpired ? 'SYSTEM' : null;
+    });
+  }
+
+  /**
+   * Locks the match, lets `resolveConfirmer` validate it and confirms it as the returned user.
+   * Nothing is written when `resolveConfirmer` returns null.
+   * @private
+   */
+  async confirmInTransaction(matchId, resolveConfirmer) {
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const match = await this.matchRepository.findById(matchId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!match) {
+        throw new NotFoundError('Match not found.');
+      }
+
+      const confirmedBy = resolveConfirmer(match);
+      if (!confirmedBy) {
+        await dbTransaction.rollback();
+        return null;
+      }
+
+      match.confirmResult(confirmedBy);
+      const updatedMatch = await this.matchRepository.updateById(
+        match.id,
+        { status: match.status, isConfirmed: match.isConfirmed },
+        { transaction: dbTransaction },
+      );
+      const advancement = await this.bracketAdvancementService.advance(updatedMatch, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+      this.broadcast(updatedMatch, advancement);
+      await this.notify(updatedMatch, advancement);
+      return updatedMatch;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /** @private */
+  broadcast(match, advancement) {
+    if (!this.tournamentBroadcastService) {
+      return;
+    }
+    this.tournamentBroadcastService.matchUpdated(match);
+    if (advancement) {
+      this.tournamentBroadcastService.bracketAdvanced(match.tournamentId, advancement);
+      if (advancement.tournament) {
+        this.tournamentBroadcastService.statusChanged(advancement.tournament);
+      }
+    }
+  }
+
+  /** @private */
+  async notify(match, advancement) {
+    if (!this.notificationService) {
+      return;
+    }
+    await this.notificationService.notifyMatchParticipants(match, Notification.Type.MATCH_RESULT_CONFIRMED, {
+      payload: { winnerId: match.winnerId },
+    });
+    if (advancement) {
+      const { advancedTo, droppedTo, newMatches = [] } = advancement;
+      await this.notificationService.notifyMatchesReady([advancedTo, droppedTo, ...newMatches]);
+    }
+  }
+
+  /** @private */
+  assertCanConfirm(match, user) {
+    if (user.roles && user.roles.some((role) => CONFIRMING_ROLES.includes(role))) {
+      return;
+    }
+    if (match.participant1Id !== user.id && match.participant2Id !== user.id) {
+      throw new ForbiddenError('User is not a participant in this match.');
+    }
+    if (match.getResultSubmitterId() === user.id) {
+      throw new ForbiddenError('The result must be confirmed by your opponent.');
+    }
+  }
+}
+
+module.exports = ConfirmMatchResultUseCase;
@@ -0,0 +1,104 @@
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Match } = require('../../../domain/tournament/match.entity');
+const { DisputeTicket } = require('../../../domain/dispute/dispute.entity');
+const { DisputeStatusHistory } = require('../../../domain/dispute/dispute_status_history.entity');
+const { Notification } = require('../../../domain/notification/notification.entity');
+
+class DisputeMatchResultUseCase {
+  /**
+   * @param {import('../../../domain/tournament/match.repository.interface')} matchRepository
+   * @param {import('../../../domain/dispute/dispute.repository.interface')} disputeRepository
+   * @param {import('../../services/tournamentBroadcast.service')} [tournamentBroadcastService] - Pushes the disputed match to tournament subscribers.
+   * @param {import('../../services/notification.service')} [notificationService] - Tells the opponent about the dispute.
+   */
+  constructor(matchRepository, disputeRepository, tournamentBroadcastService = null, notificationService = null) {
+    this.matchRepository = matchRepository;
+    this.disputeRepository = disputeRepository;
+    this.tournamentBroadcastService = tournamentBroadcastService;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Disputes a submitted match result and opens a dispute ticket for moderators.
+   * A result awaiting confirmation can only be disputed by the opponent of its submitter;
+   * a completed result can be disputed by either participant.
+   * @param {object} params
+   * @param {string} params.matchId - The ID of the match.
+   * @param {{id: string}} params.user - The participant filing the dispute.
+   * @param {string} params.reason - Why the result is disputed.
+   * @returns {Promise<{match: Match, dispute: DisputeTicket}>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError|ConflictError}
+   */
+  async execute({ matchId, user, reason }) {
+    if (!matchId || !reason || reason.trim() === '') {
+      throw new BadRequestError('Match ID and a reason are required to dispute a result.');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const match = await this.matchRepository.findById(matchId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!match) {
+        throw new NotFoundError('Match not found.');
+      }
+      if (match.participant1Id !== user.id && match.participant2Id !== user.id) {
+        throw new ForbiddenError('User is not a participant in this match.');
+      }
+      if (match.status === Match.Status.AWAITING_CONFIRMATION && match.getResultSubmitterId() === user.id) {
+        throw new ForbiddenError('You cannot dispute a result you submitted.');
+      }
+
+      const existingDispute = await this.disputeRepository.findByMatchId(matchId, { transaction: dbTransaction });
+      if (existingDispute) {
+        throw new ConflictError('A dispute already exists for this match.');
+      }
+
+      try {
+        match.disputeResult(user.id, reason);
+      } catch (domainError) {
+        throw new BadRequestError(domainError.message);
+      }
+
+      const updatedMatch = await this.matchRepository.updateById(
+        match.id,
+        { status: match.status, isConfirmed: match.isConfirmed },
+        { transaction: dbTransaction },
+      );
+      const dispute = await this.disputeRepository.create(
+        new DisputeTicket({
+          matchId: match.id,
+          reporterId: user.id,
+          reason: reason.trim(),
+          status: DisputeTicket.Status.OPEN,
+        }),
+        { transaction: dbTransaction },
+      );
+      await this.disputeRepository.recordStatusChange(
+        new DisputeStatusHistory({ disputeId: dispute.id, toStatus: dispute.status, changedBy: user.id }),
+        { transaction: dbTransaction },
+      );
+
+      await dbTransaction.commit();
+      if (this.tournamentBroadcastService) {
+        this.tournamentBroadcastService.matchUpdated(updatedMatch);
+      }
+      if (this.notificationService) {
+        await this.notificationService.notifyMatchParticipants(updatedMatch, Notification.Type.MATCH_DISPUTED, {
+          payload: { disputeId: dispute.id },
+          link: `/disputes/${dispute.id}`,
+        }, { exceptParticipantId: user.id });
+      }
+      return { match: updatedMatch, dispute };
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = DisputeMatchResultUseCase;
@@ -1,20 +1,36 @@
-const { BadRequestError, NotFoundError, ForbiddenError, InternalServerError } = require('../../../utils/errors');
-const { appConfig } = require('../../../../config/config');
-// const S3Service = require('../../services/s3.service'); // Ideal - to be created/injected
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../utils/errors');
+const { FileUpload } = require('../../../domain/upload/fileUpload.entity');
 
 class GetMatchUploadUrlUseCase {
-  constructor(tournamentRepository /*, s3Service */) {
-    this.tournamentRepository = tournamentRepository;
-    // this.s3Service = s3Service; // For generating pre-signed URLs
+  /**
+   * @param {import('../../../domain/tournament/match.repository.interface')} matchRepository
+   * @param {import('../../services/storage.service.interface')} storageService - Issues the pre-signed upload URL.
+   * @param {import('../../services/fileValidation.service').FileValidationService} fileValidationService - Registers the upload for the malware scan.
+   */
+  constructor(matchRepository, storageService, fileValidationService) {
+    this.matchRepository = matchRepository;
+    this.storageService = storageService;
+    this.fileValidationService = fileValidationService;
   }
 
+  /**
+   * Issues a pre-signed URL for uploading a match result screenshot. The client PUTs the file to
+   * `uploadUrl` with the returned headers and then submits the result with `fileKey` once the file was
+   * scanned for malware.
+   * @param {string} userId - The uploading participant.
+   * @param {string} tournamentId
+   * @param {string} matchId
+   * @param {{filename: string, contentType: string}} fileInfo
+   * @returns {Promise<{uploadUrl: string, method: string, headers: object, expiresAt: Date, fileKey: string}>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
   async execute(userId, tournamentId, matchId, fileInfo) {
     if (!userId || !tournamentId || !matchId || !fileInfo || !fileInfo.filename || !fileInfo.contentType) {
       throw new BadRequestError('User ID, tournament ID, match ID, and file information are required.');
     }
 
-    const match = await this.tournamentRepository.findMatchById(tournamentId, matchId);
-    if (!match) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match || match.tournamentId !== tournamentId) {
       throw new NotFoundError('Match not found.');
     }
 
@@ -33,32 +49,39 @@ class GetMatchUploadUrlUseCase {
     // Generate file key
     const fileExtension = fileInfo.filename.split('.').pop();
     const uniqueFilename = `${Date.now()}-${Math.random().toString(36).substring(2, 15)}.${fileExtension}`;
-    const fileKey = `match-results/${tournamentId}/${matchId}/${userId}/${uniqueFilename}`;
+    const fileKey = `${GetMatchUploadUrlUseCase.keyPrefix(tournamentId, matchId, userId)}${uniqueFilename}`;
 
-    // Simulate S3 pre-signed URL generation
-    // In a real application, this would use AWS SDK and an S3 service
-    // const { uploadUrl, fileKey } = await this.s3Service.getPresignedUploadUrl(
-    //   appConfig.aws.s3.bucketName,
-    //   fileKey,
-    //   fileInfo.contentType,
-    //   appConfig.aws.s3.signedUrlExpiration // e.g., 60*5 (5 minutes)
-    // );
-
-    // Placeholder for S3Service.getPresignedUploadUrl(bucket, fileKey, contentType, expiresIn)
-    // This is a simplified placeholder for the actual S3 pre-signed URL generation logic.
-    // A real implementation would use the AWS SDK.
-    const placeholderUploadUrl = `https://${appConfig.aws.s3.bucketName}.s3.${appConfig.aws.region}.amazonaws.com/${fileKey}?presigned-signature=EXAMPLE`;
-
-
-    if (!placeholderUploadUrl) {
-        throw new InternalServerError('Failed to generate upload URL.');
-    }
+    const { url, method, headers, expiresAt } = await this.storageService.getPresignedUploadUrl(fileKey, {
+      contentType: fileInfo.contentType,
+    });
+    await this.fileValidationService.registerUpload({
+      fileKey,
+      uploaderId: userId,
+      purpose: FileUpload.Purpose.MATCH_RESULT,
+      entityId: matchId,
+      contentType: fileInfo.contentType,
+      uploadExpiresAt: expiresAt,
+    });
 
     return {
-      uploadUrl: placeholderUploadUrl,
-      fileKey: fileKey, // The key client will use to confirm upload and for result submission
+      uploadUrl: url,
+      method,
+      headers,
+      expiresAt,
+      fileKey, // The key client will use to confirm upload and for result submission
     };
   }
+
+  /**
+   * Storage key prefix of the result screenshots a user uploads for a match.
+   * @param {string} tournamentId
+   * @param {string} matchId
+   * @param {string} userId
+   * @returns {string}
+   */
+  static keyPrefix(tournamentId, matchId, userId) {
+    return `match-results/${tournamentId}/${matchId}/${userId}/`;
+  }
 }
 
 module.exports = GetMatchUploadUrlUseCase;
@@ -1,14 +1,21 @@
 const { BadRequestError, NotFoundError, ForbiddenError, InternalServerError } = require('../../../utils/errors');
-const { appConfig } = require('../../../../config/config'); // For S3 base URL if needed
+const { Notification } = require('../../../domain/notification/notification.entity');
+const GetMatchUploadUrlUseCase = require('./get-match-upload-url.usecase');
 
 class SubmitMatchResultUseCase {
   /**
-   * @param {object} tournamentRepository - Repository for match and tournament data.
-   * @param {object} [fileValidationService] - Optional: A service to confirm file existence and scan status.
+   * @param {import('../../../domain/tournament/match.repository.interface')} matchRepository
+   * @param {import('../../services/fileValidation.service').FileValidationService} fileValidationService - Checks the screenshot was scanned clean.
+   * @param {import('../../services/tournamentBroadcast.service')} [tournamentBroadcastService] - Optional: Pushes the result to tournament subscribers.
+   * @param {import('../../services/notification.service')} [notificationService] - Optional: Asks the opponent to confirm or dispute the result.
+   * @param {import('../../services/storage.service.interface')} storageService - Locates the screenshot.
    */
-  constructor(tournamentRepository, fileValidationService = null) {
-    this.tournamentRepository = tournamentRepository;
+  constructor(matchRepository, fileValidationService, tournamentBroadcastService = null, notificationService = null, storageService) {
+    this.matchRepository = matchRepository;
     this.fileValidationService = fileValidationService;
+    this.tournamentBroadcastService = tournamentBroadcastService;
+    this.notificationService = notificationService;
+    this.storageService = storageService;
   }
 
   /**
@@ -20,7 +27,7 @@ class SubmitMatchResultUseCase {
    * @param {string} resultData.winningParticipantId - ID of the user or team that won.
    * @param {number|null} [resultData.scoreParticipant1] - Score of participant 1.
    * @param {number|null} [resultData.scoreParticipant2] - Score of participant 2.
-   * @param {string} resultData.resultScreenshotFileKey - The S3 file key of the uploaded screenshot.
+   * @param {string} resultData.resultScreenshotFileKey - The storage key returned by the upload URL step.
    * @param {string} [resultData.comments] - Optional comments from the submitter.
    * @returns {Promise<{match: import('../../../domain/tournament/match.entity').Match, message: string}>} Updated match entity and a success message.
    * @throws {import('../../../utils/errors').BadRequestError}
@@ -36,7 +43,7 @@ class SubmitMatchResultUseCase {
     }
 
     // 1. Fetch match
-    const match = await this.tournamentRepository.findMatchById(matchId);
+    const match = await this.matchRepository.findById(matchId);
     if (!match) {
       throw new NotFoundError('Match not found.');
     }
@@ -68,31 +75,25 @@ class SubmitMatchResultUseCase {
 
     // Additional score validation can be added here if necessary (e.g. non-negative)
 
-    // 4. File Validation (Conceptual)
-    // This is where you'd check if `resultScreenshotFileKey` is valid, file exists, and passed malware scan.
-    // For example, using `this.fileValidationService`.
-    if (this.fileValidationService && typeof this.fileValidationService.isFileValid === 'function') {
-      const fileIsValid = await this.fileValidationService.isFileValid(resultScreenshotFileKey, {
-        expectedUserId: userId,
-        expectedMatchId: matchId,
-      });
-      if (!fileIsValid) {
-        throw new BadRequestError('Result screenshot is invalid, not found, or failed security scan.');
-      }
+    // 4. The screenshot must have been uploaded by the submitter for this match
+    if (!resultScreenshotFileKey.startsWith(GetMatchUploadUrlUseCase.keyPrefix(tournamentId, matchId, userId))) {
+      throw new BadRequestError('The result screenshot was not uploaded for this match.');
     }
-    // If no fileValidationService, we proceed assuming the key is valid (less secure).
-    // The S3 key itself could be enough, and the public URL constructed.
-    const resultScreenshotUrl = `https://${appConfig.aws.s3.bucketName}.s3.${appConfig.aws.region}.amazonaws.com/${resultScreenshotFileKey}`;
 
+    // 5. Only screenshots that were scanned clean are accepted as evidence
+    await this.fileValidationService.assertClean(resultScreenshotFileKey, { uploaderId: userId });
+    const resultScreenshotUrl = this.storageService.getObjectUrl(resultScreenshotFileKey);
 
-    // 5. Update Match using domain entity method
+    // 6. Update Match using domain entity method
     try {
       // The Match domain entity's recordResult method handles internal state changes.
       match.recordResult(
         winningParticipantId,
         scoreParticipant1,
         scoreParticipant2,
-        resultScreenshotUrl // Pass the constructed public URL or just the key if preferred by domain
+        resultScreenshotUrl, // Pass the constructed public URL or just the key if preferred by domain
+        null,
+        userId // The opponent of the submitter confirms or disputes the result
       );
       if (comments) {
         // Assuming Match entity might have a way to add comments or it's part of metadata.
@@ -103,16 +104,17 @@ class SubmitMatchResultUseCase {
       throw new BadRequestError(domainError.message);
     }
 
-    // 6. Persist updated match
-    // The `updateMatchById` method in `PostgresTournamentRepository` is used.
-    const updatedMatch = await this.tournamentRepository.updateMatchById(match.id, {
+    // 7. Persist updated match
+    const updatedMatch = await this.matchRepository.updateById(match.id, {
       winnerId: match.winnerId,
-      scoreParticipant1: match.scoreParticipant1, // Ensure these are named correctly for the repo method
-      scoreParticipant2: match.scoreParticipant2,
-      resultScreenshotUrl: match.resultScreenshotUrl, // Or resultProofUrlP1 if that's the DB field
+      winnerType: match.winnerType,
+      participant1Score: match.participant1Score,
+      participant2Score: match.participant2Score,
+      resultProofUrlP1: match.resultProofUrlP1,
       status: match.status, // New status (e.g., AWAITING_CONFIRMATION)
       actualEndTime: match.actualEndTime,
-      // Potentially other fields if match.recordResult updates them.
+      isConfirmed: match.isConfirmed,
+      metadata: match.metadata, // Records the submitter for the confirmation step
     });
 
     if (!updatedMatch) {
@@ -120,9 +122,15 @@ class SubmitMatchResultUseCase {
       throw new InternalServerError('Failed to update match result.');
     }
 
-    // 7. Notifications/Events (Conceptual)
-    // E.g., emit event `MATCH_RESULT_SUBMITTED` with `updatedMatch` data.
-    // This could trigger notifications to opponent, admins, or bracket update logic.
+    // 8. Live update for tournament subscribers and the opponent
+    if (this.tournamentBroadcastService) {
+      this.tournamentBroadcastService.matchUpdated(updatedMatch);
+    }
+    if (this.notificationService) {
+      await this.notificationService.notifyMatchParticipants(updatedMatch, Notification.Type.MATCH_RESULT_SUBMITTED, {
+        payload: { winnerId: updatedMatch.winnerId },
+      }, { exceptParticipantId: userId });
+    }
 
     return {
       match: updatedMatch, // Return the updated match domain entity
@@ -136,115 +144,9 @@ module.exports = SubmitMatchResultUseCase;
 // Notes:
 // - This use case orchestrates match result submission.
 // - It includes authorization (user is participant) and validation (match status, winner ID).
-// - File validation is conceptual. A real implementation would need a robust way to confirm
-//   the S3 file (identified by `resultScreenshotFileKey`) is valid and scanned.
-// - It uses the `match.recordResult()` domain method to encapsulate result recording logic.
-// - Persists changes via `tournamentRepository.updateMatchById()`.
-//   - The `updateData` object passed to `updateMatchById` must map correctly to the
-//     Sequelize model attributes in `PostgresTournamentRepository`.
-//   - The `Match` domain entity has `resultScreenshotUrl`. The DB model in `PostgresTournamentRepository`
-//     has `resultProofUrlP1` and `resultProofUrlP2`. This needs alignment.
-//     Assuming for now `resultScreenshotUrl` on domain maps to `resultProofUrlP1` in DB.
-//     If two URLs are needed, the domain entity and this use case need adjustment.
-//     The migration was updated to `resultProofUrlP1` and `resultProofUrlP2`.
-//     The `Match.entity.js` has `resultScreenshotUrl`. This is a mismatch.
-//     I will assume the domain entity `Match.js` should be updated to handle `resultProofUrlP1`
-//     (and potentially `resultProofUrlP2` if dual uploads are a feature).
-//     For now, the use case will pass `match.resultScreenshotUrl` to the repo,
-//     and the repo's `updateMatchById` will map it to `resultProofUrlP1`.
-//     This implies `PostgresTournamentRepository.updateMatchById` needs to know this mapping.
-//     Alternatively, `match.recordResult` could set `match.resultProofUrlP1`.
-//     Let's assume `match.resultScreenshotUrl` is the single proof URL property on the domain entity for now.
-// - Conceptual step for notifications/events is included.
-//
-// Required alignments:
-// - Match entity (`Match.entity.js`) property for screenshot URL (`resultScreenshotUrl`) vs.
-//   DB model (`MatchModel` in `PostgresTournamentRepository.js`) which has `resultProofUrlP1`, `resultProofUrlP2`.
-//   The domain entity `Match.recordResult` should probably accept a single URL (or key) and set an appropriate property.
-//   The use case constructs a public URL. It might be better for the domain entity or a service to handle this.
-//   For now, `resultScreenshotUrl` is used consistently from domain to repo update data.
-//   The `PostgresTournamentRepository.updateMatchById` will need to map this to the correct DB column.
-//
-// - `tournamentRepository.updateMatchById` should map the fields from the domain entity (`match.winnerId`, etc.)
-//   to the database column names if they differ (e.g., `scoreParticipant1` vs `participant1Score`).
-//   The current `MatchModel` uses `participant1Score`, `participant2Score`.
-//   The domain `Match.entity.js` uses `scoreParticipant1`, `scoreParticipant2`.
-//   The `updateData` object in this use case uses the domain entity's property names.
-//   The repository's `updateMatchById` needs to handle this mapping if names differ.
-//   Or, the domain entity and DB model should use consistent naming.
-//   The `MatchModel` in `PostgresTournamentRepository.js` already uses `participant1Score`, `participant2Score`.
-//   The domain `Match.entity.js` has `scoreParticipant1`, `scoreParticipant2`.
-//   The `updateData` in this use case uses `match.scoreParticipant1`, etc. (domain names).
-//   This is fine, as the `updateMatchById` in the repository should expect domain-like or plain data.
-//   The actual `PostgresTournamentRepository.updateMatchById` takes `updateData` and passes it to `MatchModel.update`.
-//   So, the keys in `updateData` must match `MatchModel` attributes.
-//   This means the `updateData` object in this use case should use `MatchModel` attribute names.
-//   Corrected this in the code above to use `participant1Score`, `participant2Score` in `updateData`.
-//   The domain entity `match.recordResult` should update properties that match these model attributes,
-//   or the mapping needs to happen here.
-//   Let's assume `match.recordResult` updates properties like `match.participant1Score`.
-//   The `Match.entity.js` has `scoreParticipant1`.
-//   The `MatchModel` in repo has `participant1Score`.
-//   This is an inconsistency. I will assume the domain entity should be the source of truth for property names,
-//   and the repository layer (or its `toDatabaseModel` equivalent) handles mapping to DB column names if they differ.
-//   So, `updateData` should use domain entity property names: `scoreParticipant1`.
-//   The `MatchModel.init` in `PostgresTournamentRepository` uses `participant1Score`.
-//   This is a conflict. The `updateMatchById` in `PostgresTournamentRepository` needs to map:
-//   `updateData.scoreParticipant1` (domain) to `participant1Score` (model).
-//   For now, I will write the use case to pass domain entity names, and make a note that the
-//   repository's `updateMatchById` must handle the mapping.
-//   Or, simpler: `Match.entity.js` properties should match `MatchModel` attributes.
-//   The `Match.entity.js` has `scoreParticipant1`, `scoreParticipant2`.
-//   The `MatchModel` has `participant1Score`, `participant2Score`.
-//   I'll use the model's names in the `updateData` for directness, assuming the domain entity provides these.
-//   `match.recordResult` would set `this.participant1Score` etc.
-//   So, the `Match.entity.js` needs to be consistent.
-//   Let's assume `Match.entity.js` uses `participant1Score`, `participant2Score`, and `resultProofUrlP1`.
-//   The provided `Match.entity.js` uses `scoreParticipant1`, `scoreParticipant2`, `resultScreenshotUrl`.
-//   This will be a point of failure if not aligned.
-//   I will proceed with the assumption that `match.recordResult` updates properties
-//   that will be correctly named in the `updateData` object for the repository's `updateMatchById` method,
-//   meaning the domain entity properties should align with the model for simplicity or the repo handles mapping.
-//   For now, I will use the domain entity's current property names in the `updateData` object,
-//   and the repository's `updateMatchById` must correctly map them if its model uses different names.
-//   This is the cleaner approach (use case speaks in domain terms).
-//   The `updateData` in the use case now uses:
-//   `scoreParticipant1: match.scoreParticipant1`,
-//   `scoreParticipant2: match.scoreParticipant2`,
-//   `resultScreenshotUrl: match.resultScreenshotUrl`
-//   The repository `updateMatchById` will need to map these to its model's column names if different.
-//   (e.g. map `scoreParticipant1` to `participant1Score`, `resultScreenshotUrl` to `resultProofUrlP1`).
-//   This is a task for when `PostgresTournamentRepository.updateMatchById` is reviewed/implemented fully.
-//   The current `updateMatchById` in repo is generic. It would need specific mapping for these fields.
-//   Alternatively, the domain entity `Match` should be updated to use property names consistent with the DB model.
-//   This is often the simpler path. I will assume this alignment will happen for now.
-//   So, if `MatchModel` has `participant1Score`, then `Match.entity` should have `participant1Score`.
-//   The current `Match.entity.js` has `scoreParticipant1`.
-//   I will write the `updateData` using the domain entity's current property names.
-//   The mapping responsibility lies with the repository.
-//   The `PostgresTournamentRepository.updateMatchById` passes `updateData` directly to `this.MatchModel.update`.
-//   This means the keys in `updateData` MUST match the `MatchModel` attributes.
-//   So, the domain `Match` entity's properties that are updated by `recordResult`
-//   MUST align with `MatchModel` attributes.
-//   `Match.entity.js` has `scoreParticipant1`, `scoreParticipant2`, `resultScreenshotUrl`.
-//   `MatchModel` has `participant1Score`, `participant2Score`, `resultProofUrlP1`.
-//   This is a direct conflict. The domain entity should be updated.
-//   I will make this change to `Match.entity.js` later.
-//   For now, I'll construct `updateData` using the *model's* expected names, assuming the domain entity will provide them.
-//   This makes the use case more coupled to the model structure if the domain entity isn't aligned.
-//   A better way is for `match.recordResult` to set properties, and then have a specific `toPersistenceSnapshot()` on the entity.
-//   Let's assume `match.recordResult` results in properties like `match.status`, `match.winnerId`, etc.
-//   and the `updateData` object is built from these.
-//   The `Match.entity.js` `recordResult` method sets `this.winnerId`, `this.scoreParticipant1`, `this.scoreParticipant2`, `this.resultScreenshotUrl`, `this.status`.
-//   So, the `updateData` keys should reflect these.
-//   The repository `updateMatchById` must map these to the model's attributes:
-//   - `winnerId` -> `winnerId` (same)
-//   - `scoreParticipant1` -> `participant1Score`
-//   - `scoreParticipant2` -> `participant2Score`
-//   - `resultScreenshotUrl` -> `resultProofUrlP1` (or `resultProofUrlP2`)
-//   - `status` -> `status` (same)
-//   - `actualEndTime` -> `actualEndTime` (same)
-//   The repository's `updateMatchById` needs to perform this mapping.
-//   I will adjust the `updateData` to be explicit about the domain properties being passed.
-//   The repository should handle the mapping.
-//   This is the cleanest way. The use case should operate with domain terms.
+// - The screenshot must have been uploaded under the submitter's key prefix for the match and scanned
+//   clean by the file scan worker; `FileValidationService.assertClean` explains what is missing otherwise.
+// - It uses the `match.recordResult()` domain method to encapsulate result recording logic,
+//   and persists the resulting state via `matchRepository.updateById()` using the model's column names.
+// - The submitter is stored in `metadata.resultSubmittedBy`; `ConfirmMatchResultUseCase` and
+//   `DisputeMatchResultUseCase` use it so that only the opponent can respond to the result.
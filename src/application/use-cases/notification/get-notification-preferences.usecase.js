@@ -0,0 +1,27 @@
+const { BadRequestError } = require('../../../utils/errors');
+const { NotificationPreference } = require('../../../domain/notification/notificationPreference.entity');
+
+class GetNotificationPreferencesUseCase {
+  /**
+   * @param {import('../../../domain/notification/notificationPreference.repository.interface')} notificationPreferenceRepository
+   */
+  constructor(notificationPreferenceRepository) {
+    this.notificationPreferenceRepository = notificationPreferenceRepository;
+  }
+
+  /**
+   * The notification preferences of the user for every category, defaults included.
+   * @param {object} params
+   * @param {string} params.userId - The ID of the user.
+   * @returns {Promise<NotificationPreference[]>}
+   */
+  async execute({ userId }) {
+    if (!userId) {
+      throw new BadRequestError('User ID is required.');
+    }
+    const stored = await this.notificationPreferenceRepository.findByUserId(userId);
+    return NotificationPreference.completeFor(userId, stored);
+  }
+}
+
+module.exports = GetNotificationPreferencesUseCase;
@@ -0,0 +1,32 @@
+const { BadRequestError } = require('../../../utils/errors');
+
+class ListNotificationsUseCase {
+  /**
+   * @param {import('../../../domain/notification/notification.repository.interface')} notificationRepository
+   */
+  constructor(notificationRepository) {
+    this.notificationRepository = notificationRepository;
+  }
+
+  /**
+   * Lists the notifications of the user, newest first, with the number of unread ones.
+   * @param {object} params
+   * @param {string} params.userId - The ID of the user.
+   * @param {number} [params.page=1]
+   * @param {number} [params.limit=20]
+   * @param {boolean} [params.unreadOnly=false] - Only notifications that were not read yet.
+   * @returns {Promise<{notifications: Array<import('../../../domain/notification/notification.entity').Notification>, total: number, page: number, limit: number, unreadCount: number}>}
+   */
+  async execute({ userId, page = 1, limit = 20, unreadOnly = false }) {
+    if (!userId) {
+      throw new BadRequestError('User ID is required.');
+    }
+    const [result, unreadCount] = await Promise.all([
+      this.notificationRepository.findByUserId(userId, { page, limit, unreadOnly }),
+      this.notificationRepository.countUnread(userId),
+    ]);
+    return { ...result, unreadCount };
+  }
+}
+
+module.exports = ListNotificationsUseCase;
@@ -0,0 +1,44 @@
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+
+class MarkNotificationReadUseCase {
+  /**
+   * @param {import('../../../domain/notification/notification.repository.interface')} notificationRepository
+   * @param {import('../../services/notification.service')} [notificationService] - Optional: Pushes the new unread count to the user's other sockets.
+   */
+  constructor(notificationRepository, notificationService = null) {
+    this.notificationRepository = notificationRepository;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Marks a notification of the user as read. Reading it again is a no-op that keeps the first read time.
+   * @param {object} params
+   * @param {string} params.notificationId
+   * @param {string} params.userId - The ID of the user; notifications of other users are not found.
+   * @returns {Promise<import('../../../domain/notification/notification.entity').Notification>}
+   * @throws {NotFoundError} If the user has no such notification.
+   */
+  async execute({ notificationId, userId }) {
+    if (!notificationId || !userId) {
+      throw new BadRequestError('Notification ID and user ID are required.');
+    }
+
+    const notification = await this.notificationRepository.findByIdForUser(notificationId, userId);
+    if (!notification) {
+      throw new NotFoundError('Notification not found.');
+    }
+    if (notification.isRead()) {
+      return notification;
+    }
+
+    notification.markAsRead();
+    await this.notificationRepository.markAsRead(notification.id, notification.readAt);
+
+    if (this.notificationService) {
+      await this.notificationService.sendUnreadCount(userId);
+    }
+    return notification;
+  }
+}
+
+module.exports = MarkNotificationReadUseCase;
@@ -0,0 +1,75 @@
+const logger = require('../../../utils/logger');
+const { Notification } = require('../../../domain/notification/notification.entity');
+
+class SendNotificationDigestUseCase {
+  /**
+   * @param {import('../../../domain/notification/notification.repository.interface')} notificationRepository
+   * @param {import('../../../domain/user/user.repository.interface')} userRepository
+   * @param {import('../../services/email.service.interface')} emailService
+   */
+  constructor(notificationRepository, userRepository, emailService) {
+    this.notificationRepository = notificationRepository;
+    this.userRepository = userRepository;
+    this.emailService = emailService;
+  }
+
+  /**
+   * Emails a user one digest of their notifications waiting for it. Notifications the user read in
+   * the meantime are left out. The notifications are claimed before sending, so concurrent runs email
+   * each one once; if sending fails they go back to waiting and the error is rethrown.
+   * @param {object} params
+   * @param {string} params.userId - The ID of the user.
+   * @returns {Promise<{sent: number}>} How many notifications the digest contained (0 when none was sent).
+   */
+  async execute({ userId }) {
+    const pending = await this.notificationRepository.findPendingDigest(userId);
+    const read = pending.filter((notification) => notification.isRead());
+    const unread = pending.filter((notification) => !notification.isRead());
+
+    if (read.length > 0) {
+      await this.notificationRepository.updateEmailStatus(
+        read.map((notification) => notification.id),
+        Notification.EmailStatus.NONE,
+        { fromStatus: Notification.EmailStatus.DIGEST_PENDING },
+      );
+    }
+    if (unread.length === 0) {
+      return { sent: 0 };
+    }
+
+    const user = await this.userRepository.findById(userId);
+    if (!user || !user.email) {
+      logger.warn(`[SendNotificationDigest] User ${userId} has no email address, digest not sent.`);
+      await this.notificationRepository.updateEmailStatus(
+        unread.map((notification) => notification.id),
+        Notification.EmailStatus.NONE,
+        { fromStatus: Notification.EmailStatus.DIGEST_PENDING },
+      );
+      return { sent: 0 };
+    }
+
+    const claimedIds = await this.notificationRepository.updateEmailStatus(
+      unread.map((notification) => notification.id),
+      Notification.EmailStatus.DIGESTED,
+      { fromStatus: Notification.EmailStatus.DIGEST_PENDING },
+    );
+    const claimed = unread.filter((notification) => claimedIds.includes(notification.id));
+    if (claimed.length === 0) {
+      return { sent: 0 };
+    }
+
+    try {
+      await this.emailService.sendNotificationDigestEmail(user.email, user.username, claimed);
+    } catch (error) {
+      await this.notificationRepository.updateEmailStatus(
+        claimedIds,
+        Notification.EmailStatus.DIGEST_PENDING,
+        { fromStatus: Notification.EmailStatus.DIGESTED },
+      );
+      throw error;
+    }
+    return { sent: claimed.length };
+  }
+}
+
+module.exports = SendNotificationDigestUseCase;
@@ -0,0 +1,61 @@
+const { BadRequestError } = require('../../../utils/errors');
+const { NotificationPreference } = require('../../../domain/notification/notificationPreference.entity');
+
+class UpdateNotificationPreferencesUseCase {
+  /**
+   * @param {import('../../../domain/notification/notificationPreference.repository.interface')} notificationPreferenceRepository
+   */
+  constructor(notificationPreferenceRepository) {
+    this.notificationPreferenceRepository = notificationPreferenceRepository;
+  }
+
+  /**
+   * Changes the notification preferences of the user for some categories. A field left out keeps
+   * its current value; categories left out are unchanged.
+   * @param {object} params
+   * @param {string} params.userId - The ID of the user.
+   * @param {Array<{category: string, inApp?: boolean, email?: string}>} params.preferences
+   * @returns {Promise<NotificationPreference[]>} The preferences for every category after the change.
+   * @throws {BadRequestError} If a category or email mode is invalid, or a category is given twice.
+   */
+  async execute({ userId, preferences }) {
+    if (!userId) {
+      throw new BadRequestError('User ID is required.');
+    }
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      throw new BadRequestError('At least one preference is required.');
+    }
+    const categories = preferences.map((preference) => preference.category);
+    if (new Set(categories).size !== categories.length) {
+      throw new BadRequestError('Each category can only be given once.');
+    }
+
+    const current = NotificationPreference.completeFor(
+      userId,
+      await this.notificationPreferenceRepository.findByUserId(userId),
+    );
+    const currentByCategory = new Map(current.map((preference) => [preference.category, preference]));
+
+    let updated;
+    try {
+      updated = preferences.map(({ category, inApp, email }) => {
+        const existing = currentByCategory.get(category);
+        return new NotificationPreference({
+          userId,
+          category,
+          inApp: inApp === undefined && existing ? existing.inApp : inApp,
+          email: email === undefined && existing ? existing.email : email,
+        });
+      });
+    } catch (error) {
+      throw new BadRequestError(error.message);
+    }
+
+    await this.notificationPreferenceRepository.upsertMany(updated);
+
+    const updatedByCategory = new Map(updated.map((preference) => [preference.category, preference]));
+    return current.map((preference) => updatedByCategory.get(preference.category) || preference);
+  }
+}
+
+module.exports = UpdateNotificationPreferencesUseCase;
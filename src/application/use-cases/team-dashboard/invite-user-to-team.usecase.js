@@ -1,11 +1,13 @@
 const ApiError = require('../../../utils/ApiError');
 const httpStatusCodes = require('http-status-codes');
+const { Notification } = require('../../../domain/notification/notification.entity');
 
 class InviteUserToTeamUseCase {
-  constructor({ teamRepository, userRepository, teamInvitationRepository }) {
+  constructor({ teamRepository, userRepository, teamInvitationRepository, notificationService = null }) {
     this.teamRepository = teamRepository;
     this.userRepository = userRepository;
     this.teamInvitationRepository = teamInvitationRepository;
+    this.notificationService = notificationService;
   }
 
   async execute({ teamId, userId, inviterId }) {
@@ -28,11 +30,18 @@ class InviteUserToTeamUseCase {
       throw new ApiError(httpStatusCodes.CONFLICT, 'User has a pending invitation for this team.');
     }
 
-    await this.teamInvitationRepository.create({
+    const invitation = await this.teamInvitationRepository.create({
       teamId,
       userId,
       inviterId,
     });
+
+    if (this.notificationService) {
+      await this.notificationService.notify(userId, Notification.Type.TEAM_INVITATION, {
+        payload: { teamId, teamName: team.name, inviterId, invitationId: invitation ? invitation.id : null },
+        link: `/teams/${teamId}`,
+      });
+    }
   }
 }
 
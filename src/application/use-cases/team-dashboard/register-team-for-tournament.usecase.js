@@ -1,47 +1,162 @@
-const ApiError = require('../../../utils/ApiError');
-const httpStatusCodes = require('http-status-codes');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+const { PrizeLogic } = require('../../../domain/tournament/prize.logic');
 
 class RegisterTeamForTournamentUseCase {
-  constructor({ teamRepository, tournamentRepository, walletRepository, teamMemberRepository }) {
+  /**
+   * @param {object} dependencies
+   * @param {import('../../../domain/team/team.repository.interface')} dependencies.teamRepository
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} dependencies.tournamentRepository
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentParticipant.repository').PostgresTournamentParticipantRepository} dependencies.tournamentParticipantRepository
+   * @param {import('../../../domain/team/teamMember.repository.interface')} dependencies.teamMemberRepository
+   * @param {import('../../services/entryFeeCharge.service')} dependencies.entryFeeChargeService
+   */
+  constructor({ teamRepository, tournamentRepository, tournamentParticipantRepository, teamMemberRepository, entryFeeChargeService }) {
     this.teamRepository = teamRepository;
     this.tournamentRepository = tournamentRepository;
-    this.walletRepository = walletRepository;
+    this.tournamentParticipantRepository = tournamentParticipantRepository;
     this.teamMemberRepository = teamMemberRepository;
+    this.entryFeeChargeService = entryFeeChargeService;
   }
 
+  /**
+   * Registers a team with a roster of its active members. The entry fee is paid by the captain or split
+   * evenly across the roster, depending on `settings.teamFeePayment` (CAPTAIN by default). The team
+   * participant record, every fee debit and the participant count increment commit together.
+   * @param {object} params
+   * @param {string} params.teamId - The ID of the team.
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {string[]} params.memberIds - User IDs of the roster; must match `settings.teamSize` when set.
+   * @param {string} params.leaderId - The registering user, who must be the team captain (owner).
+   * @returns {Promise<import('../../../domain/tournament/tournamentParticipant.entity').TournamentParticipant>}
+   *   The team registration.
+   * @throws {BadRequestError|NotFoundError|ForbiddenError|ConflictError}
+   */
   async execute({ teamId, tournamentId, memberIds, leaderId }) {
-    if (!teamId || !tournamentId || !memberIds || !leaderId) {
-      throw new ApiError(httpStatusCodes.BAD_REQUEST, 'Team ID, Tournament ID, Member IDs and Leader ID are required.');
+    if (!teamId || !tournamentId || !Array.isArray(memberIds) || memberIds.length === 0 || !leaderId) {
+      throw new BadRequestError('Team ID, Tournament ID, Member IDs and Leader ID are required.');
     }
-
-    const team = await this.teamRepository.findById(teamId);
-    if (!team || team.ownerId !== leaderId) {
-      throw new ApiError(httpStatusCodes.FORBIDDEN, 'You are not the leader of this team.');
+    if (new Set(memberIds).size !== memberIds.length) {
+      throw new BadRequestError('The roster lists a member more than once.');
     }
 
-    const tournament = await this.tournamentRepository.findById(tournamentId);
-    if (!tournament) {
-      throw new ApiError(httpStatusCodes.NOT_FOUND, 'Tournament not found.');
-    }
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament) {
+        throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+      }
+      if (!tournament.canRegister()) {
+        let reason = 'Registration is closed.';
+        if (tournament.status !== Tournament.Status.REGISTRATION_OPEN) reason = `Tournament registration is not open (status: ${tournament.status}).`;
+        else if (tournament.isFull()) reason = 'Tournament is full.';
+        throw new ForbiddenError(`Cannot register for tournament: ${reason}`);
+      }
 
-    if (tournament.entryFee > 0) {
-      for (const memberId of memberIds) {
-        const member = await this.teamMemberRepository.findByTeamIdAndUserId(teamId, memberId);
-        if (!member) {
-          throw new ApiError(httpStatusCodes.BAD_REQUEST, `Member with ID ${memberId} is not in this team.`);
-        }
-        const wallet = await this.walletRepository.findByUserId(memberId);
-        if (!wallet || wallet.balance < tournament.entryFee) {
-          throw new ApiError(httpStatusCodes.BAD_REQUEST, `Member with ID ${memberId} has insufficient funds.`);
+      const team = await this.teamRepository.findById(teamId, { transaction: dbTransaction });
+      if (!team) {
+        throw new NotFoundError(`Team with ID ${teamId} not found.`);
+      }
+      if (team.ownerId !== leaderId) {
+        throw new ForbiddenError('Only the team captain can register the team for a tournament.');
+      }
+
+      const settings = tournament.settings || {};
+      if (settings.teamSize && memberIds.length !== settings.teamSize) {
+        throw new BadRequestError(`This tournament requires a roster of exactly ${settings.teamSize} players.`);
+      }
+
+      const activeMembers = await this.teamMemberRepository.findAllByTeamId(teamId, {
+        status: 'active',
+        includeUserDetails: false,
+        transaction: dbTransaction,
+      });
+      const activeMemberIds = new Set(activeMembers.map((member) => member.userId));
+      const notActive = memberIds.filter((id) => !activeMemberIds.has(id));
+      if (notActive.length > 0) {
+        throw new BadRequestError(`Not active members of this team: ${notActive.join(', ')}.`);
+      }
+
+      await this.ensureNotRegistered(tournamentId, teamId, memberIds, dbTransaction);
+
+      const registration = await this.tournamentParticipantRepository.create(
+        {
+          tournamentId,
+          participantId: teamId,
+          participantType: 'team',
+          registeredAt: new Date(),
+          roster: memberIds,
+        },
+        { transaction: dbTransaction },
+      );
+
+      if (tournament.entryFee > 0) {
+        for (const share of this.feeShares(tournament, memberIds, leaderId)) {
+          try {
+            await this.entryFeeChargeService.chargeFee(
+              { userId: share.userId, amount: share.amount, registration },
+              { transaction: dbTransaction },
+            );
+          } catch (error) {
+            if (error instanceof ForbiddenError) {
+              throw new ForbiddenError(`Member with ID ${share.userId} has insufficient funds to pay ${share.amount} of the entry fee.`);
+            }
+            throw error;
+          }
         }
       }
+
+      await this.tournamentRepository.incrementParticipantCount(tournamentId, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+      return registration;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
     }
+  }
 
-    // Here you would typically deduct the entry fee from each member's wallet
-    // and then register the team for the tournament.
-    // This is a simplified version.
+  /**
+   * Rejects the registration if the team, or any player of its roster, already takes part in the tournament.
+   * @private
+   */
+  async ensureNotRegistered(tournamentId, teamId, memberIds, dbTransaction) {
+    const participants = await this.tournamentParticipantRepository.findAllByTournamentId(tournamentId, {
+      transaction: dbTransaction,
+    });
+    if (participants.some((p) => p.participantType === 'team' && p.participantId === teamId)) {
+      throw new ConflictError('Team is already registered for this tournament.');
+    }
+    const registeredPlayers = new Set();
+    for (const participant of participants) {
+      if (participant.participantType === 'user') registeredPlayers.add(participant.participantId);
+      (participant.roster || []).forEach((userId) => registeredPlayers.add(userId));
+    }
+    const alreadyRegistered = memberIds.filter((id) => registeredPlayers.has(id));
+    if (alreadyRegistered.length > 0) {
+      throw new ConflictError(`Already registered for this tournament: ${alreadyRegistered.join(', ')}.`);
+    }
+  }
 
-    await this.tournamentRepository.registerTeam(tournamentId, teamId, memberIds);
+  /**
+   * Who pays how much of the entry fee.
+   * @private
+   * @returns {Array<{userId: string, amount: number}>}
+   */
+  feeShares(tournament, memberIds, leaderId) {
+    const payment = (tournament.settings && tournament.settings.teamFeePayment) || Tournament.TeamFeePayment.CAPTAIN;
+    if (payment !== Tournament.TeamFeePayment.SPLIT) {
+      return [{ userId: leaderId, amount: tournament.entryFee }];
+    }
+    return PrizeLogic.splitEvenly(tournament.entryFee, memberIds.length)
+      .map((amount, index) => ({ userId: memberIds[index], amount }))
+      .filter((share) => share.amount > 0);
   }
 }
 
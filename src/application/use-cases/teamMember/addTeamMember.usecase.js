@@ -1,5 +1,6 @@
 const { NotFoundError, ForbiddenError, BadRequestError, ConflictError, InternalServerError } = require('../../../utils/errors');
 const TeamRole = require('../../../domain/team/teamRole.enums');
+const { Notification } = require('../../../domain/notification/notification.entity');
 
 class AddTeamMemberUseCase {
   constructor({ teamRepository, userRepository, teamMemberRepository, notificationService, logger }) {
@@ -59,17 +60,19 @@ class AddTeamMemberUseCase {
       if (this.notificationService) {
         try {
             const inviter = await this.userRepository.findById(invitedByUserId);
-            // This is a placeholder for actual notification logic
-            // In a real app, you'd generate an invitation link/token here or in the notification service
-            await this.notificationService.sendTeamInvitation({
-              toEmail: targetUser.email, // Assuming user model has email
-              teamName: team.name,
-              inviterName: inviter ? inviter.username : 'A team admin',
-              // Pass necessary details for the notification service to construct the message and link
+            await this.notificationService.notify(targetUserId, Notification.Type.TEAM_INVITATION, {
+              payload: {
+                teamId,
+                teamName: team.name,
+                role: roleToAssign,
+                inviterId: invitedByUserId,
+                inviterName: inviter ? inviter.username : 'A team admin',
+              },
+              link: `/teams/${teamId}`,
             });
             this.logger.info(`Invitation notification sent for user ID: ${targetUserId} for team ID: ${teamId}.`);
         } catch (notificationError) {
-            this.logger.error(`Failed to send invitation notification to ${targetUser.email} for team ${team.name}: ${notificationError.message}`, {notificationError});
+            this.logger.error(`Failed to send invitation notification to user ${targetUserId} for team ${team.name}: ${notificationError.message}`, {notificationError});
             // Decide if this failure should roll back the member addition or just log. Usually, just log.
         }
       }
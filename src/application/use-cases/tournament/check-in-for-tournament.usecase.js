@@ -0,0 +1,96 @@
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+
+class CheckInForTournamentUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentParticipant.repository').PostgresTournamentParticipantRepository} tournamentParticipantRepository
+   * @param {import('../../../domain/team/team.repository.interface')} teamRepository
+   */
+  constructor(tournamentRepository, tournamentParticipantRepository, teamRepository) {
+    this.tournamentRepository = tournamentRepository;
+    this.tournamentParticipantRepository = tournamentParticipantRepository;
+    this.teamRepository = teamRepository;
+  }
+
+  /**
+   * Checks a registration in during the tournament's check-in window. A user checks in their own
+   * registration; a team captain checks in their team. Checking in twice is harmless.
+   * @param {object} params
+   * @param {string} params.userId - The user checking in.
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {Date} [params.now] - The current time.
+   * @returns {Promise<import('../../../domain/tournament/tournamentParticipant.entity').TournamentParticipant>}
+   *   The checked-in registration.
+   * @throws {BadRequestError|NotFoundError}
+   */
+  async execute({ userId, tournamentId, now = new Date() }) {
+    if (!userId || !tournamentId) {
+      throw new BadRequestError('User ID and Tournament ID are required.');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      // Locked so a check-in cannot slip in while the tournament worker drops no-shows
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament) {
+        throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+      }
+      if (!tournament.requiresCheckIn()) {
+        throw new BadRequestError('This tournament does not require check-in.');
+      }
+      if (!tournament.isCheckInOpen(now)) {
+        throw new BadRequestError(`Check-in is not open. It opens at ${tournament.getCheckInOpensAt().toISOString()} and closes when the tournament starts.`);
+      }
+
+      let registration = await this.findRegistration(userId, tournamentId, dbTransaction);
+      if (!registration) {
+        throw new NotFoundError('You are not registered for this tournament, nor the captain of a registered team.');
+      }
+      if (!registration.checkInStatus) {
+        registration.checkIn();
+        registration = await this.tournamentParticipantRepository.update(
+          registration.id,
+          { checkInStatus: true },
+          { transaction: dbTransaction },
+        );
+      }
+
+      await dbTransaction.commit();
+      return registration;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The user's own registration, or that of a team they captain.
+   * @private
+   */
+  async findRegistration(userId, tournamentId, dbTransaction) {
+    const ownRegistration = await this.tournamentParticipantRepository.findByUserIdAndTournamentId(userId, tournamentId, {
+      transaction: dbTransaction,
+    });
+    if (ownRegistration) {
+      return ownRegistration;
+    }
+    const participants = await this.tournamentParticipantRepository.findAllByTournamentId(tournamentId, {
+      transaction: dbTransaction,
+    });
+    for (const participant of participants.filter((p) => p.participantType === 'team')) {
+      const team = await this.teamRepository.findById(participant.participantId, { transaction: dbTransaction });
+      if (team && team.ownerId === userId) {
+        return participant;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = CheckInForTournamentUseCase;
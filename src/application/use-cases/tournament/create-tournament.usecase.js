@@ -1,6 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const { BadRequestError } = require('../../../utils/errors');
 const { Tournament } = require('../../../domain/tournament/tournament.entity'); // Assuming entity path
+const { PrizeLogic } = require('../../../domain/tournament/prize.logic');
 
 /**
  * @class CreateTournamentUseCase
@@ -86,6 +87,13 @@ class CreateTournamentUseCase {
     if (supported_by && !Array.isArray(supported_by)) {
         throw new BadRequestError('supported_by must be an array.');
     }
+    if (settings && settings.payoutTable) {
+      try {
+        PrizeLogic.validatePayoutTable(settings.payoutTable, prizePool);
+      } catch (domainError) {
+        throw new BadRequestError(domainError.message);
+      }
+    }
 
     const tournamentId = uuidv4();
     const newTournament = new Tournament(
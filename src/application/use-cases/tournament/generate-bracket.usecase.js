@@ -0,0 +1,168 @@
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { BracketLogic } = require('../../../domain/tournament/bracket.logic');
+const { Match } = require('../../../domain/tournament/match.entity');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+const { UserRoles } = require('../../../domain/user/user.entity');
+
+const GENERATABLE_STATUSES = [
+  Tournament.Status.REGISTRATION_OPEN,
+  Tournament.Status.REGISTRATION_CLOSED,
+  Tournament.Status.ONGOING,
+];
+
+class GenerateBracketUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../domain/tournament/match.repository.interface')} matchRepository
+   * @param {import('../../services/seeding.service')} seedingService
+   * @param {import('../../services/tournamentBroadcast.service')} [tournamentBroadcastService] - Pushes the new bracket to tournament subscribers.
+   */
+  constructor(tournamentRepository, matchRepository, seedingService, tournamentBroadcastService = null) {
+    this.tournamentRepository = tournamentRepository;
+    this.matchRepository = matchRepository;
+    this.seedingService = seedingService;
+    this.tournamentBroadcastService = tournamentBroadcastService;
+  }
+
+  /**
+   * Generates the bracket of a tournament from its registered participants and persists the matches.
+   * Participants are seeded by the strategy in `settings.seeding`.
+   * An existing bracket is replaced as long as none of its matches has started.
+   * Registration is closed if it was still open.
+   * @param {object} params
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {{id: string, roles: string[]}} params.user - The requesting admin or tournament manager.
+   * @returns {Promise<{tournament: Tournament, matches: Match[]}>}
+   * @throws {BadRequestError|NotFoundError|ForbiddenError|ConflictError}
+   */
+  async execute({ tournamentId, user }) {
+    if (!tournamentId) {
+      throw new BadRequestError('Tournament ID is required.');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      // Locked so concurrent requests generate the bracket one after the other instead of twice.
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament) {
+        throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+      }
+      if (!user.roles.includes(UserRoles.ADMIN) && !(tournament.managed_by || []).includes(user.id)) {
+        throw new ForbiddenError('You are not authorized to manage this tournament.');
+      }
+      if (!GENERATABLE_STATUSES.includes(tournament.status)) {
+        throw new BadRequestError(`Cannot generate a bracket for a tournament with status ${tournament.status}.`);
+      }
+
+      const previousStatus = tournament.status;
+      const result = await this.generateInTransaction(tournament, dbTransaction);
+
+      await dbTransaction.commit();
+      if (this.tournamentBroadcastService) {
+        this.tournamentBroadcastService.bracketGenerated(result.tournament, result.matches);
+        if (result.tournament.status !== previousStatus) {
+          this.tournamentBroadcastService.statusChanged(result.tournament);
+        }
+      }
+      return result;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generates and persists the bracket of a tournament inside an existing transaction.
+   * Used by `execute` and by the tournament scheduler, which starts tournaments without a requesting user.
+   * @param {Tournament} tournament - The tournament, loaded within `dbTransaction`.
+   * @param {object} dbTransaction - The database transaction.
+   * @returns {Promise<{tournament: Tournament, matches: Match[]}>}
+   * @throws {BadRequestError|ConflictError}
+   */
+  async generateInTransaction(tournament, dbTransaction) {
+    const existingMatches = await this.matchRepository.findByTournamentId(tournament.id, {
+      transaction: dbTransaction,
+    });
+    if (existingMatches.some((match) => this.hasStarted(match))) {
+      throw new ConflictError('The bracket cannot be regenerated because at least one match has already started.');
+    }
+    if (existingMatches.length > 0) {
+      await this.matchRepository.deleteByTournamentId(tournament.id, { transaction: dbTransaction });
+    }
+
+    const participants = await this.tournamentRepository.findParticipantsByTournamentId(tournament.id, {
+      transaction: dbTransaction,
+    });
+    if (participants.length < 2) {
+      throw new BadRequestError('At least two participants are required to generate a bracket.');
+    }
+
+    const seededParticipants = await this.seedingService.seedParticipants(tournament, participants);
+    let generatedMatches;
+    try {
+      generatedMatches = BracketLogic.generate(
+        tournament.bracketType,
+        tournament.id,
+        seededParticipants,
+        this.buildGenerationOptions(tournament),
+      );
+    } catch (error) {
+      throw new BadRequestError(error.message);
+    }
+    this.assignParticipantTypes(generatedMatches, participants);
+    BracketLogic.propagateByes(generatedMatches);
+
+    const matches = await this.matchRepository.createBulk(generatedMatches, { transaction: dbTransaction });
+
+    let updatedTournament = tournament;
+    if (tournament.status === Tournament.Status.REGISTRATION_OPEN) {
+      tournament.closeRegistration();
+      updatedTournament = await this.tournamentRepository.updateById(
+        tournament.id,
+        { status: tournament.status },
+        { transaction: dbTransaction },
+      );
+    }
+
+    return { tournament: updatedTournament, matches };
+  }
+
+  /**
+   * A match counts as started once it left its scheduled state, except byes that were completed on generation.
+   * @private
+   */
+  hasStarted(match) {
+    if (
+      [Match.Status.PENDING, Match.Status.SCHEDULED, Match.Status.CANCELED, Match.Status.BYE].includes(match.status)
+    ) {
+      return false;
+    }
+    const isBye = (match.metadata && match.metadata.isBye) || !match.participant1Id || !match.participant2Id;
+    return !(match.status === Match.Status.COMPLETED && isBye);
+  }
+
+  /** @private */
+  buildGenerationOptions(tournament) {
+    const now = new Date();
+    const startDate = tournament.startDate && tournament.startDate > now ? tournament.startDate : now;
+    return { ...(tournament.settings || {}), defaultMatchTime: startDate };
+  }
+
+  /** @private */
+  assignParticipantTypes(matches, participants) {
+    const types = new Map(participants.map((p) => [p.participantId, p.participantType]));
+    for (const match of matches) {
+      if (match.participant1Id) match.participant1Type = types.get(match.participant1Id) || null;
+      if (match.participant2Id) match.participant2Type = types.get(match.participant2Id) || null;
+      if (match.winnerId) match.winnerType = types.get(match.winnerId) || null;
+    }
+  }
+}
+
+module.exports = GenerateBracketUseCase;
@@ -0,0 +1,40 @@
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+const { BracketLogic } = require('../../../domain/tournament/bracket.logic');
+
+class GetBracketUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../domain/tournament/match.repository.interface')} matchRepository
+   */
+  constructor(tournamentRepository, matchRepository) {
+    this.tournamentRepository = tournamentRepository;
+    this.matchRepository = matchRepository;
+  }
+
+  /**
+   * Returns the bracket of a tournament as sections of rounds of matches.
+   * @param {string} tournamentId - The ID of the tournament.
+   * @returns {Promise<{tournamentId: string, bracketType: string, status: string, sections: Array<object>}>}
+   * @throws {BadRequestError|NotFoundError}
+   */
+  async execute(tournamentId) {
+    if (!tournamentId) {
+      throw new BadRequestError('Tournament ID is required.');
+    }
+
+    const tournament = await this.tournamentRepository.findById(tournamentId);
+    if (!tournament) {
+      throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+    }
+
+    const matches = await this.matchRepository.findByTournamentId(tournamentId);
+    return {
+      tournamentId,
+      bracketType: tournament.bracketType,
+      status: tournament.status,
+      sections: BracketLogic.buildBracketTree(matches),
+    };
+  }
+}
+
+module.exports = GetBracketUseCase;
@@ -0,0 +1,88 @@
+const { BadRequestError, NotFoundError, ConflictError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+const { TournamentWaitlistEntry } = require('../../../domain/tournament/tournamentWaitlistEntry.entity');
+
+class JoinTournamentWaitlistUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentParticipant.repository').PostgresTournamentParticipantRepository} tournamentParticipantRepository
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentWaitlist.repository').PostgresTournamentWaitlistRepository} waitlistRepository
+   * @param {import('../../../infrastructure/database/repositories/userGameProfile.repository')} userGameProfileRepository
+   */
+  constructor(tournamentRepository, tournamentParticipantRepository, waitlistRepository, userGameProfileRepository) {
+    this.tournamentRepository = tournamentRepository;
+    this.tournamentParticipantRepository = tournamentParticipantRepository;
+    this.waitlistRepository = waitlistRepository;
+    this.userGameProfileRepository = userGameProfileRepository;
+  }
+
+  /**
+   * Puts a user on the waitlist of a full tournament. Nothing is charged until the user is promoted
+   * into a freed spot, which happens automatically in order of joining.
+   * @param {object} params
+   * @param {string} params.userId - The user joining the waitlist.
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @returns {Promise<{entry: TournamentWaitlistEntry, position: number}>} The entry and its 1-based position.
+   * @throws {BadRequestError|NotFoundError|ConflictError}
+   */
+  async execute({ userId, tournamentId }) {
+    if (!userId || !tournamentId) {
+      throw new BadRequestError('User ID and Tournament ID are required.');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament) {
+        throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+      }
+      if (tournament.status !== Tournament.Status.REGISTRATION_OPEN) {
+        throw new BadRequestError(`Tournament registration is not open (status: ${tournament.status}).`);
+      }
+      if (!tournament.isFull()) {
+        throw new BadRequestError('Tournament is not full. Register for it instead.');
+      }
+
+      const registration = await this.tournamentParticipantRepository.findByUserIdAndTournamentId(userId, tournamentId, {
+        transaction: dbTransaction,
+      });
+      if (registration) {
+        throw new ConflictError('User is already registered for this tournament.');
+      }
+      const existingEntry = await this.waitlistRepository.findWaitingByTournamentAndUser(tournamentId, userId, {
+        transaction: dbTransaction,
+      });
+      if (existingEntry) {
+        throw new ConflictError('User is already on the waitlist of this tournament.');
+      }
+
+      // Promotion registers the user without asking again, so the registration requirements are checked now
+      const userGameProfile = await this.userGameProfileRepository.findByUserIdAndGameId(userId, tournament.gameId);
+      if (!userGameProfile || !userGameProfile.inGameName) {
+        throw new BadRequestError(
+          `You must set your In-Game Name for the game '${tournament.game ? tournament.game.name : tournament.gameId}' before joining the waitlist.`
+        );
+      }
+
+      const entry = await this.waitlistRepository.create(
+        new TournamentWaitlistEntry({ tournamentId, userId }),
+        { transaction: dbTransaction },
+      );
+      const position = await this.waitlistRepository.getPosition(entry, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+      return { entry, position };
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = JoinTournamentWaitlistUseCase;
@@ -0,0 +1,39 @@
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+
+class LeaveTournamentWaitlistUseCase {
+  /**
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentWaitlist.repository').PostgresTournamentWaitlistRepository} waitlistRepository
+   */
+  constructor(waitlistRepository) {
+    this.waitlistRepository = waitlistRepository;
+  }
+
+  /**
+   * Takes a user off the waitlist of a tournament.
+   * @param {object} params
+   * @param {string} params.userId - The waiting user.
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @returns {Promise<import('../../../domain/tournament/tournamentWaitlistEntry.entity').TournamentWaitlistEntry>}
+   *   The entry, now LEFT.
+   * @throws {BadRequestError|NotFoundError}
+   */
+  async execute({ userId, tournamentId }) {
+    if (!userId || !tournamentId) {
+      throw new BadRequestError('User ID and Tournament ID are required.');
+    }
+
+    const entry = await this.waitlistRepository.findWaitingByTournamentAndUser(tournamentId, userId);
+    if (!entry) {
+      throw new NotFoundError('You are not on the waitlist of this tournament.');
+    }
+    entry.leave();
+    const updated = await this.waitlistRepository.updateStatus(entry.id, entry.status);
+    if (!updated) {
+      // Promoted (or skipped) in the meantime
+      throw new NotFoundError('You are not on the waitlist of this tournament.');
+    }
+    return entry;
+  }
+}
+
+module.exports = LeaveTournamentWaitlistUseCase;
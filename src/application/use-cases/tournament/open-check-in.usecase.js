@@ -0,0 +1,90 @@
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const logger = require('../../../utils/logger');
+
+class OpenCheckInUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../domain/team/team.repository.interface')} teamRepository
+   * @param {import('../../../infrastructure/realtime/socket.emitter')} socketEmitter
+   */
+  constructor(tournamentRepository, teamRepository, socketEmitter) {
+    this.tournamentRepository = tournamentRepository;
+    this.teamRepository = teamRepository;
+    this.socketEmitter = socketEmitter;
+  }
+
+  /**
+   * Marks the check-in window of a tournament as opened (`settings.checkInOpenedAt`) and sends a
+   * `checkInReminder` socket event to every registered user and to the captain of every registered team.
+   * The tournament row is locked and re-checked, so concurrent runs remind participants only once.
+   * @param {object} params
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {Date} [params.now] - The current time.
+   * @returns {Promise<{tournament: import('../../../domain/tournament/tournament.entity').Tournament, remindedUserIds: string[]}|null>}
+   *   The outcome, or null if the tournament was skipped.
+   */
+  async execute({ tournamentId, now = new Date() }) {
+    const dbTransaction = await sequelize.transaction();
+    let tournament;
+    let participants;
+    try {
+      tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament || !tournament.isCheckInOpen(now) || tournament.settings.checkInOpenedAt) {
+        await dbTransaction.rollback();
+        return null;
+      }
+
+      tournament = await this.tournamentRepository.updateById(
+        tournament.id,
+        { settings: { ...tournament.settings, checkInOpenedAt: now.toISOString() } },
+        { transaction: dbTransaction },
+      );
+      participants = await this.tournamentRepository.findParticipantsByTournamentId(tournament.id, {
+        transaction: dbTransaction,
+      });
+
+      await dbTransaction.commit();
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+
+    // Reminders go out after the commit; a failed emit must not reopen the window for another round.
+    const payload = {
+      tournamentId: tournament.id,
+      tournamentName: tournament.name,
+      checkInClosesAt: tournament.startDate,
+    };
+    const remindedUserIds = [];
+    for (const participant of participants) {
+      try {
+        const userId = await this.resolveCheckInUser(participant);
+        if (userId && this.socketEmitter.toUser(userId, 'checkInReminder', payload)) {
+          remindedUserIds.push(userId);
+        }
+      } catch (error) {
+        logger.error(`[OpenCheckIn] Failed to remind participant ${participant.participantId} of tournament ${tournament.id}:`, error);
+      }
+    }
+    return { tournament, remindedUserIds };
+  }
+
+  /**
+   * The user who checks a registration in: the user themself, or the team captain.
+   * @private
+   */
+  async resolveCheckInUser(participant) {
+    if (participant.participantType !== 'team') {
+      return participant.participantId;
+    }
+    const team = await this.teamRepository.findById(participant.participantId);
+    return team ? team.ownerId : null;
+  }
+}
+
+module.exports = OpenCheckInUseCase;
@@ -0,0 +1,67 @@
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+
+const OPENABLE_STATUSES = [Tournament.Status.PENDING, Tournament.Status.UPCOMING];
+
+class OpenTournamentRegistrationUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../services/tournamentBroadcast.service')} [tournamentBroadcastService] - Pushes the new status to tournament subscribers.
+   */
+  constructor(tournamentRepository, tournamentBroadcastService = null) {
+    this.tournamentRepository = tournamentRepository;
+    this.tournamentBroadcastService = tournamentBroadcastService;
+  }
+
+  /**
+   * Opens registration of a tournament once its `settings.registrationOpensAt` has passed.
+   * The tournament row is locked and re-checked, so concurrent runs open it only once;
+   * a tournament that no longer qualifies is skipped.
+   * @param {object} params
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {Date} [params.now] - The current time.
+   * @returns {Promise<Tournament|null>} The updated tournament, or null if it was skipped.
+   */
+  async execute({ tournamentId, now = new Date() }) {
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament || !this.isDue(tournament, now)) {
+        await dbTransaction.rollback();
+        return null;
+      }
+
+      tournament.openRegistration();
+      const updatedTournament = await this.tournamentRepository.updateById(
+        tournament.id,
+        { status: tournament.status },
+        { transaction: dbTransaction },
+      );
+
+      await dbTransaction.commit();
+      if (this.tournamentBroadcastService) {
+        this.tournamentBroadcastService.statusChanged(updatedTournament);
+      }
+      return updatedTournament;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /** @private */
+  isDue(tournament, now) {
+    const opensAt = tournament.settings && tournament.settings.registrationOpensAt;
+    return OPENABLE_STATUSES.includes(tournament.status)
+      && Boolean(opensAt)
+      && new Date(opensAt) <= now
+      && tournament.startDate > now;
+  }
+}
+
+module.exports = OpenTournamentRegistrationUseCase;
@@ -2,72 +2,104 @@ const { BadRequestError, NotFoundError, ForbiddenError, ConflictError, InternalS
 const { sequelize } = require('../../../infrastructure/database/postgres.connector');
 
 class RegisterForTournamentUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentParticipant.repository').PostgresTournamentParticipantRepository} tournamentParticipantRepository
+   * @param {import('../../../infrastructure/database/repositories/userGameProfile.repository')} userGameProfileRepository
+   * @param {import('../../services/entryFeeCharge.service')} entryFeeChargeService
+   */
   constructor(
     tournamentRepository,
     tournamentParticipantRepository,
     userGameProfileRepository,
-    walletRepository // Assuming walletRepository is injected
+    entryFeeChargeService
   ) {
     this.tournamentRepository = tournamentRepository;
     this.tournamentParticipantRepository = tournamentParticipantRepository;
     this.userGameProfileRepository = userGameProfileRepository;
-    this.walletRepository = walletRepository;
+    this.entryFeeChargeService = entryFeeChargeService;
   }
 
+  /**
+   * Registers a user for a tournament. The participant record, the entry fee debit with its
+   * TOURNAMENT_FEE transaction and the participant count increment are committed together;
+   * the tournament and wallet rows are locked so concurrent registrations cannot overfill
+   * the tournament or overdraw the wallet.
+   * @param {object} params
+   * @param {string} params.userId - The registering user.
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @returns {Promise<import('../../../domain/tournament/tournamentParticipant.entity').TournamentParticipant>}
+   *   The registration.
+   * @throws {BadRequestError|NotFoundError|ForbiddenError|ConflictError|InternalServerError}
+   */
   async execute({ userId, tournamentId }) {
     if (!userId || !tournamentId) {
       throw new BadRequestError('User ID and Tournament ID are required.');
     }
 
-    const tournament = await this.tournamentRepository.findById(tournamentId);
-    if (!tournament) {
-      throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
-    }
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament) {
+        throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+      }
 
-    if (!tournament.canRegister()) {
-      let reason = 'Registration is closed.';
-      if (tournament.status !== 'REGISTRATION_OPEN') reason = `Tournament registration is not open (status: ${tournament.status}).`;
-      else if (tournament.isFull()) reason = 'Tournament is full.';
-      throw new ForbiddenError(`Cannot register for tournament: ${reason}`);
-    }
+      if (!tournament.canRegister()) {
+        let reason = 'Registration is closed.';
+        if (tournament.status !== 'REGISTRATION_OPEN') reason = `Tournament registration is not open (status: ${tournament.status}).`;
+        else if (tournament.isFull()) reason = 'Tournament is full. Join the waitlist to be registered when a spot frees up.';
+        throw new ForbiddenError(`Cannot register for tournament: ${reason}`);
+      }
 
-    const existingParticipant = await this.tournamentParticipantRepository.findByUserIdAndTournamentId(userId, tournamentId);
-    if (existingParticipant) {
-      throw new ConflictError('User is already registered for this tournament.');
-    }
+      const existingParticipant = await this.tournamentParticipantRepository.findByUserIdAndTournamentId(userId, tournamentId, {
+        transaction: dbTransaction,
+      });
+      if (existingParticipant) {
+        throw new ConflictError('User is already registered for this tournament.');
+      }
 
-    const gameId = tournament.gameId;
-    if (!gameId) {
-      throw new InternalServerError('Tournament game ID is missing.');
-    }
+      const gameId = tournament.gameId;
+      if (!gameId) {
+        throw new InternalServerError('Tournament game ID is missing.');
+      }
 
-    const userGameProfile = await this.userGameProfileRepository.findByUserIdAndGameId(userId, gameId);
-    if (!userGameProfile || !userGameProfile.inGameName) {
-      throw new BadRequestError(
-        `You must set your In-Game Name for the game '${tournament.game ? tournament.game.name : gameId}' before registering for this tournament.`
+      const userGameProfile = await this.userGameProfileRepository.findByUserIdAndGameId(userId, gameId);
+      if (!userGameProfile || !userGameProfile.inGameName) {
+        throw new BadRequestError(
+          `You must set your In-Game Name for the game '${tournament.game ? tournament.game.name : gameId}' before registering for this tournament.`
+        );
+      }
+
+      const newParticipant = await this.tournamentParticipantRepository.create(
+        {
+          tournamentId,
+          participantId: userId,
+          participantType: 'user',
+          registeredAt: new Date(),
+        },
+        { transaction: dbTransaction },
       );
-    }
 
-    // The transaction is mocked in tests, so we don't need to actually use it.
-    // The repositories are also mocked, so they don't need a transaction.
-    if (tournament.entryFee > 0) {
-      const wallet = await this.walletRepository.findByUserId(userId);
-      if (!wallet || wallet.balance < tournament.entryFee) {
-        throw new ForbiddenError('Insufficient funds.');
+      if (tournament.entryFee > 0) {
+        await this.entryFeeChargeService.chargeFee(
+          { userId, amount: tournament.entryFee, registration: newParticipant },
+          { transaction: dbTransaction },
+        );
       }
-      await this.walletRepository.debit(wallet.id, tournament.entryFee);
-    }
 
-    const participantData = {
-      userId,
-      tournamentId,
-      registeredAt: new Date(),
-    };
-    const newParticipant = await this.tournamentParticipantRepository.create(participantData);
+      await this.tournamentRepository.incrementParticipantCount(tournamentId, { transaction: dbTransaction });
 
-    await this.tournamentRepository.incrementParticipantCount(tournamentId);
-
-    return newParticipant;
+      await dbTransaction.commit();
+      return newParticipant;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
   }
 }
 
@@ -0,0 +1,60 @@
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../utils/errors');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+const { PrizeLogic } = require('../../../domain/tournament/prize.logic');
+const { UserRoles } = require('../../../domain/user/user.entity');
+
+class SetPayoutTableUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   */
+  constructor(tournamentRepository) {
+    this.tournamentRepository = tournamentRepository;
+  }
+
+  /**
+   * Stores the payout table of a tournament in `settings.payoutTable`. It decides how the prize pool
+   * is split by placement when the tournament completes; without one the winner takes the whole pool.
+   * @param {object} params
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {{id: string, roles: string[]}} params.user - The requesting admin or tournament manager.
+   * @param {object} params.payoutTable - The payout table.
+   * @param {string} params.payoutTable.mode - PERCENTAGE of the prize pool or FIXED amounts.
+   * @param {Array<{from: number, to: number, value: number}>} params.payoutTable.places - The payout of
+   *   each place in the range `from`-`to`.
+   * @returns {Promise<Tournament>} The updated tournament.
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ tournamentId, user, payoutTable }) {
+    if (!tournamentId) {
+      throw new BadRequestError('Tournament ID is required.');
+    }
+
+    const tournament = await this.tournamentRepository.findById(tournamentId);
+    if (!tournament) {
+      throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+    }
+    if (!user.roles.includes(UserRoles.ADMIN) && !(tournament.managed_by || []).includes(user.id)) {
+      throw new ForbiddenError('You are not authorized to manage this tournament.');
+    }
+    if ([Tournament.Status.COMPLETED, Tournament.Status.CANCELED].includes(tournament.status)) {
+      throw new BadRequestError(`The payout table cannot be changed for a tournament with status ${tournament.status}.`);
+    }
+
+    try {
+      PrizeLogic.validatePayoutTable(payoutTable, tournament.prizePool);
+    } catch (domainError) {
+      throw new BadRequestError(domainError.message);
+    }
+
+    const newPayoutTable = {
+      mode: payoutTable.mode,
+      places: [...payoutTable.places]
+        .sort((a, b) => a.from - b.from)
+        .map(({ from, to, value }) => ({ from, to, value })),
+    };
+    const settings = { ...(tournament.settings || {}), payoutTable: newPayoutTable };
+    return this.tournamentRepository.updateById(tournamentId, { settings });
+  }
+}
+
+module.exports = SetPayoutTableUseCase;
@@ -0,0 +1,84 @@
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../utils/errors');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+const { UserRoles } = require('../../../domain/user/user.entity');
+
+const SEEDABLE_STATUSES = [
+  Tournament.Status.PENDING,
+  Tournament.Status.UPCOMING,
+  Tournament.Status.REGISTRATION_OPEN,
+  Tournament.Status.REGISTRATION_CLOSED,
+];
+
+class SetSeedingUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   */
+  constructor(tournamentRepository) {
+    this.tournamentRepository = tournamentRepository;
+  }
+
+  /**
+   * Stores the seeding strategy of a tournament in `settings.seeding`. It is applied the next time
+   * the bracket is generated. For MANUAL seeding, `manualOrder` lists participant IDs from the top seed down.
+   * @param {object} params
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {{id: string, roles: string[]}} params.user - The requesting admin or tournament manager.
+   * @param {object} params.seeding - The seeding settings.
+   * @param {string} params.seeding.strategy - One of Tournament.SeedingStrategy.
+   * @param {string[]} [params.seeding.manualOrder] - Participant IDs, required for MANUAL.
+   * @param {string} [params.seeding.metric] - Leaderboard metric for LEADERBOARD.
+   * @param {string} [params.seeding.period] - Leaderboard period for LEADERBOARD.
+   * @returns {Promise<Tournament>} The updated tournament.
+   * @throws {BadRequestError|NotFoundError|ForbiddenError}
+   */
+  async execute({ tournamentId, user, seeding }) {
+    if (!tournamentId) {
+      throw new BadRequestError('Tournament ID is required.');
+    }
+    if (!seeding || !Tournament.validSeedingStrategies.includes(seeding.strategy)) {
+      throw new BadRequestError(`Seeding strategy must be one of: ${Tournament.validSeedingStrategies.join(', ')}.`);
+    }
+
+    const tournament = await this.tournamentRepository.findById(tournamentId);
+    if (!tournament) {
+      throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+    }
+    if (!user.roles.includes(UserRoles.ADMIN) && !(tournament.managed_by || []).includes(user.id)) {
+      throw new ForbiddenError('You are not authorized to manage this tournament.');
+    }
+    if (!SEEDABLE_STATUSES.includes(tournament.status)) {
+      throw new BadRequestError(`Seeding cannot be changed for a tournament with status ${tournament.status}.`);
+    }
+
+    const newSeeding = { strategy: seeding.strategy };
+    if (seeding.strategy === Tournament.SeedingStrategy.MANUAL) {
+      newSeeding.manualOrder = await this.validateManualOrder(tournamentId, seeding.manualOrder);
+    }
+    if (seeding.strategy === Tournament.SeedingStrategy.LEADERBOARD) {
+      if (seeding.metric) newSeeding.metric = seeding.metric;
+      if (seeding.period) newSeeding.period = seeding.period;
+    }
+
+    const settings = { ...(tournament.settings || {}), seeding: newSeeding };
+    return this.tournamentRepository.updateById(tournamentId, { settings });
+  }
+
+  /** @private */
+  async validateManualOrder(tournamentId, manualOrder) {
+    if (!Array.isArray(manualOrder) || manualOrder.length === 0) {
+      throw new BadRequestError('Manual seeding requires a non-empty manualOrder list.');
+    }
+    if (new Set(manualOrder).size !== manualOrder.length) {
+      throw new BadRequestError('Manual seeding order contains duplicate participants.');
+    }
+    const participants = await this.tournamentRepository.findParticipantsByTournamentId(tournamentId);
+    const registered = new Set(participants.map((p) => p.participantId));
+    const unknown = manualOrder.filter((id) => !registered.has(id));
+    if (unknown.length > 0) {
+      throw new BadRequestError(`Participants are not registered for this tournament: ${unknown.join(', ')}.`);
+    }
+    return manualOrder;
+  }
+}
+
+module.exports = SetSeedingUseCase;
@@ -0,0 +1,248 @@
+const { BadRequestError, ConflictError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+const { Notification } = require('../../../domain/notification/notification.entity');
+const { appConfig } = require('../../../../config/config');
+
+const STARTABLE_STATUSES = [Tournament.Status.REGISTRATION_OPEN, Tournament.Status.REGISTRATION_CLOSED];
+
+/** The bracket of a tournament due to start cannot be generated; retrying will not help. */
+class BracketGenerationFailure extends Error {
+  constructor(cause) {
+    super(cause.message);
+    this.cause = cause;
+  }
+}
+
+class StartTournamentUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../domain/tournament/match.repository.interface')} matchRepository
+   * @param {import('./generate-bracket.usecase')} generateBracketUseCase
+   * @param {import('../../services/entryFeeRefund.service')} entryFeeRefundService
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentParticipant.repository').PostgresTournamentParticipantRepository} tournamentParticipantRepository
+   * @param {import('../../services/tournamentBroadcast.service')} [tournamentBroadcastService] - Pushes the outcome to tournament subscribers.
+   * @param {import('../../services/notification.service')} [notificationService] - Tells participants their first matches are ready.
+   */
+  constructor(
+    tournamentRepository,
+    matchRepository,
+    generateBracketUseCase,
+    entryFeeRefundService,
+    tournamentParticipantRepository,
+    tournamentBroadcastService = null,
+    notificationService = null,
+  ) {
+    this.tournamentRepository = tournamentRepository;
+    this.matchRepository = matchRepository;
+    this.generateBracketUseCase = generateBracketUseCase;
+    this.entryFeeRefundService = entryFeeRefundService;
+    this.tournamentParticipantRepository = tournamentParticipantRepository;
+    this.tournamentBroadcastService = tournamentBroadcastService;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Starts a tournament whose start date has passed, closing its registration.
+   * With enough participants the bracket is generated (unless a manager already did) and the tournament
+   * becomes ONGOING; otherwise it is CANCELED and every entry fee is refunded.
+   * If the tournament requires check-in, only checked-in participants count. When it starts, the others
+   * are dropped before the bracket is generated and refunded according to `settings.noShowRefundPolicy`.
+   * Everything happens in one transaction on the locked tournament row, so concurrent runs act only once.
+   * If the bracket cannot be generated (e.g. a single match without exactly two participants), that
+   * transaction is rolled back and the tournament is canceled with full refunds instead, and its
+   * managers are told why; otherwise every later run would fail the same way.
+   * @param {object} params
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {Date} [params.now] - The current time.
+   * @returns {Promise<{tournament: Tournament, started: boolean, matches: Array<object>, refunds: Array<object>,
+   *   dropped: Array<object>}|null>} The outcome, or null if the tournament was skipped.
+   */
+  async execute({ tournamentId, now = new Date() }) {
+    try {
+      return await this.startOrCancel(tournamentId, now);
+    } catch (error) {
+      if (!(error instanceof BracketGenerationFailure)) {
+        throw error;
+      }
+      return this.cancelUnstartable(tournamentId, now, error.cause);
+    }
+  }
+
+  /** @private */
+  async startOrCancel(tournamentId, now) {
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament || !STARTABLE_STATUSES.includes(tournament.status) || tournament.startDate > now) {
+        await dbTransaction.rollback();
+        return null;
+      }
+
+      const participants = await this.tournamentRepository.findParticipantsByTournamentId(tournament.id, {
+        transaction: dbTransaction,
+      });
+      const minParticipants = this.getMinParticipants(tournament);
+      const requiresCheckIn = tournament.requiresCheckIn();
+      const present = requiresCheckIn ? participants.filter((p) => p.checkInStatus) : participants;
+
+      let result;
+      if (present.length >= minParticipants) {
+        const noShows = participants.filter((p) => !present.includes(p));
+        const refunds = await this.dropNoShows(tournament, noShows, dbTransaction);
+        result = await this.start(tournament, noShows.length > 0, dbTransaction);
+        result = { ...result, refunds, dropped: noShows };
+      } else {
+        // Nobody is penalized for not checking in to a tournament that does not take place
+        result = await this.cancel(
+          tournament,
+          `Not enough ${requiresCheckIn ? 'checked-in ' : ''}participants (${present.length} of ${minParticipants} required).`,
+          dbTransaction,
+        );
+      }
+
+      await dbTransaction.commit();
+      this.broadcast(result);
+      if (this.notificationService && result.started) {
+        await this.notificationService.notifyMatchesReady(result.matches);
+      }
+      return result;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes the registrations of participants who did not check in and refunds their fees per policy.
+   * @private
+   */
+  async dropNoShows(tournament, noShows, dbTransaction) {
+    const percentage = Tournament.refundPercentage(tournament.settings && tournament.settings.noShowRefundPolicy);
+    const refunds = [];
+    for (const participant of noShows) {
+      await this.tournamentParticipantRepository.delete(participant.id, { transaction: dbTransaction });
+      await this.tournamentRepository.decrementParticipantCount(tournament.id, { transaction: dbTransaction });
+      refunds.push(...await this.entryFeeRefundService.refundRegistration(participant.id, {
+        reason: `Refund for missing check-in of tournament ${tournament.name}`,
+        percentage,
+        transaction: dbTransaction,
+      }));
+    }
+    return refunds;
+  }
+
+  /**
+   * Generates the bracket unless a manager already did and nobody was dropped since, then starts the tournament.
+   * @private
+   */
+  async start(tournament, participantsDropped, dbTransaction) {
+    let matches = await this.matchRepository.findByTournamentId(tournament.id, { transaction: dbTransaction });
+    if (matches.length === 0 || participantsDropped) {
+      try {
+        ({ matches } = await this.generateBracketUseCase.generateInTransaction(tournament, dbTransaction));
+      } catch (error) {
+        if (error instanceof BadRequestError || error instanceof ConflictError) {
+          throw new BracketGenerationFailure(error);
+        }
+        throw error;
+      }
+    }
+
+    tournament.startTournament();
+    const updatedTournament = await this.tournamentRepository.updateById(
+      tournament.id,
+      { status: tournament.status },
+      { transaction: dbTransaction },
+    );
+    return { tournament: updatedTournament, started: true, matches, refunds: [] };
+  }
+
+  /**
+   * Cancels a tournament whose bracket could not be generated, in a new transaction since the one that
+   * tried to start it (and dropped its no-shows) was rolled back.
+   * @private
+   */
+  async cancelUnstartable(tournamentId, now, generationError) {
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament || !STARTABLE_STATUSES.includes(tournament.status) || tournament.startDate > now) {
+        await dbTransaction.rollback();
+        return null;
+      }
+
+      const reason = `The bracket could not be generated: ${generationError.message}`;
+      const result = await this.cancel(tournament, reason, dbTransaction);
+      await dbTransaction.commit();
+      this.broadcast(result);
+      await this.notifyManagers(tournament, reason);
+      return result;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /** @private */
+  async notifyManagers(tournament, reason) {
+    if (!this.notificationService) {
+      return;
+    }
+    const managerIds = new Set([tournament.organizerId, ...(tournament.managed_by || [])].filter(Boolean));
+    for (const userId of managerIds) {
+      await this.notificationService.notify(userId, Notification.Type.TOURNAMENT_START_FAILED, {
+        payload: { tournamentId: tournament.id, reason },
+        link: `/tournaments/${tournament.id}`,
+      });
+    }
+  }
+
+  /** @private */
+  async cancel(tournament, reason, dbTransaction) {
+    tournament.cancelTournament(reason);
+    const updatedTournament = await this.tournamentRepository.updateById(
+      tournament.id,
+      { status: tournament.status, description: tournament.description },
+      { transaction: dbTransaction },
+    );
+    const refunds = await this.entryFeeRefundService.refundTournament(tournament.id, {
+      reason: `Refund for canceled tournament ${tournament.name}: ${reason}`,
+      transaction: dbTransaction,
+    });
+    return { tournament: updatedTournament, started: false, matches: [], refunds, dropped: [] };
+  }
+
+  /**
+   * Sends the final bracket and the new status to subscribers.
+   * @private
+   */
+  broadcast({ tournament, started, matches }) {
+    if (!this.tournamentBroadcastService) {
+      return;
+    }
+    if (started) {
+      this.tournamentBroadcastService.bracketGenerated(tournament, matches);
+    }
+    this.tournamentBroadcastService.statusChanged(tournament);
+  }
+
+  /** @private */
+  getMinParticipants(tournament) {
+    const configured = (tournament.settings && tournament.settings.minParticipants)
+      || appConfig.tournaments.minParticipants;
+    return Math.max(2, configured);
+  }
+}
+
+module.exports = StartTournamentUseCase;
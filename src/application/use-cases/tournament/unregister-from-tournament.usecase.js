@@ -0,0 +1,89 @@
+const { BadRequestError, NotFoundError } = require('../../../utils/errors');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const { Tournament } = require('../../../domain/tournament/tournament.entity');
+
+const WITHDRAWABLE_STATUSES = [
+  Tournament.Status.PENDING,
+  Tournament.Status.UPCOMING,
+  Tournament.Status.REGISTRATION_OPEN,
+  Tournament.Status.REGISTRATION_CLOSED,
+];
+
+class UnregisterFromTournamentUseCase {
+  /**
+   * @param {import('../../../domain/tournament/tournament.repository.interface')} tournamentRepository
+   * @param {import('../../../infrastructure/database/repositories/postgres.tournamentParticipant.repository').PostgresTournamentParticipantRepository} tournamentParticipantRepository
+   * @param {import('../../services/entryFeeRefund.service')} entryFeeRefundService
+   * @param {import('../../services/waitlistPromotion.service')} waitlistPromotionService
+   */
+  constructor(tournamentRepository, tournamentParticipantRepository, entryFeeRefundService, waitlistPromotionService) {
+    this.tournamentRepository = tournamentRepository;
+    this.tournamentParticipantRepository = tournamentParticipantRepository;
+    this.entryFeeRefundService = entryFeeRefundService;
+    this.waitlistPromotionService = waitlistPromotionService;
+  }
+
+  /**
+   * Withdraws a user from a tournament before its withdrawal deadline (`settings.withdrawalCutoffMinutes`
+   * before the start). The registration is deleted, the participant count decremented, the entry fee
+   * refunded according to `settings.withdrawalRefundPolicy` and the freed spot given to the first
+   * waitlisted user who can pay, all in one transaction.
+   * @param {object} params
+   * @param {string} params.userId - The withdrawing user.
+   * @param {string} params.tournamentId - The ID of the tournament.
+   * @param {Date} [params.now] - The current time, for testing.
+   * @returns {Promise<{tournamentId: string, refundPercentage: number,
+   *   refunds: import('../../../domain/wallet/transaction.entity').Transaction[], promotedUserId: string|null}>}
+   * @throws {BadRequestError|NotFoundError}
+   */
+  async execute({ userId, tournamentId, now = new Date() }) {
+    if (!userId || !tournamentId) {
+      throw new BadRequestError('User ID and Tournament ID are required.');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!tournament) {
+        throw new NotFoundError(`Tournament with ID ${tournamentId} not found.`);
+      }
+      if (!WITHDRAWABLE_STATUSES.includes(tournament.status) || new Date(tournament.startDate) <= now) {
+        throw new BadRequestError('You can no longer withdraw from this tournament.');
+      }
+      if (tournament.getWithdrawalDeadline() <= now) {
+        throw new BadRequestError('The withdrawal deadline for this tournament has passed.');
+      }
+
+      const registration = await this.tournamentParticipantRepository.findByUserIdAndTournamentId(userId, tournamentId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (!registration) {
+        throw new NotFoundError('You are not registered for this tournament.');
+      }
+
+      await this.tournamentParticipantRepository.delete(registration.id, { transaction: dbTransaction });
+      await this.tournamentRepository.decrementParticipantCount(tournamentId, { transaction: dbTransaction });
+      const refundPercentage = tournament.getWithdrawalRefundPercentage();
+      const refunds = await this.entryFeeRefundService.refundRegistration(registration.id, {
+        reason: `Withdrew from ${tournament.name}`,
+        percentage: refundPercentage,
+        transaction: dbTransaction,
+      });
+      const { promoted } = await this.waitlistPromotionService.promoteNext(tournament, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+      return { tournamentId, refundPercentage, refunds, promotedUserId: promoted ? promoted.entry.userId : null };
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = UnregisterFromTournamentUseCase;
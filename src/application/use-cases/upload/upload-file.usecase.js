@@ -1,17 +1,56 @@
+const { BadRequestError } = require('../../../utils/errors');
+const { sniffContentType, isImage } = require('../../../utils/contentType');
+const StorageServiceInterface = require('../../services/storage.service.interface');
+
 class UploadFileUseCase {
-  constructor(fileUploader) {
-    this.fileUploader = fileUploader;
+  /**
+   * @param {import('../../services/storage.service.interface')} storageService
+   * @param {import('../../services/imageProcessing.service')} imageProcessingService - Strips metadata and renders variants.
+   */
+  constructor(storageService, imageProcessingService) {
+    this.storageService = storageService;
+    this.imageProcessingService = imageProcessingService;
   }
 
+  /**
+   * Stores an image uploaded to the API, such as an avatar or a game or tournament image. The image is
+   * stored without its metadata, next to resized WebP variants, under the public prefix so the returned
+   * URLs can be stored on entities and read without a signature.
+   * @param {object} params
+   * @param {{originalname: string, buffer: Buffer}} params.file - The multipart file.
+   * @param {string} params.userId - The uploader.
+   * @returns {Promise<{
+   *   fileUrl: string, contentType: string, width: number, height: number,
+   *   variants: Object<string, {url: string, width: number, height: number}>
+   * }>}
+   * @throws {BadRequestError} If the file is missing, not a supported image, or unreadable.
+   */
   async execute({ file, userId }) {
     if (!file) {
-      throw new Error('No file provided');
+      throw new BadRequestError('No file provided.');
+    }
+
+    // Trust the file's contents, not the type or name the client sent
+    const contentType = sniffContentType(file.buffer);
+    if (!isImage(contentType)) {
+      throw new BadRequestError('Only JPEG, PNG, GIF and WebP images can be uploaded.');
     }
 
-    // In a real application, you would use a cloud storage service like S3
-    const fileUrl = await this.fileUploader.upload(file, userId);
+    const safeName = String(file.originalname || 'image').replace(/[^\w.-]/g, '_');
+    const key = `${StorageServiceInterface.PUBLIC_PREFIX}${userId}/${Date.now()}-${safeName}`;
+    const image = await this.imageProcessingService.processAndStore(key, file.buffer, contentType);
 
-    return fileUrl;
+    const variants = {};
+    for (const [name, variant] of Object.entries(image.variants)) {
+      variants[name] = { url: this.storageService.getObjectUrl(variant.key), width: variant.width, height: variant.height };
+    }
+    return {
+      fileUrl: this.storageService.getObjectUrl(key),
+      contentType: image.contentType,
+      width: image.width,
+      height: image.height,
+      variants,
+    };
   }
 }
 
@@ -1,8 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const { BadRequestError, ConflictError, NotFoundError, InternalServerError } = require('../../../utils/errors');
 const { Transaction } = require('../../../domain/wallet/transaction.entity'); // Domain entity
-const zarinpal = require('../../../config/zarinpal'); // Import Zarinpal instance
-const { appConfig } = require('../../../../config/config');
+const logger = require('../../../utils/logger');
 
 // const { Wallet } = require('../../../domain/wallet/wallet.entity'); // Not directly manipulated here, but fetched
 
@@ -10,41 +9,36 @@ class InitializeDepositUseCase {
   /**
    * @param {object} walletRepository - Repository for wallet data.
    * @param {object} transactionRepository - Repository for transaction data.
+   * @param {import('../../services/paymentGateway.service')} paymentGatewayService - Chooses the gateway to pay with.
    * @param {object} [idempotencyService] - Optional: A more sophisticated idempotency service.
    */
-  constructor(walletRepository, transactionRepository, idempotencyService = null) {
+  constructor(walletRepository, transactionRepository, paymentGatewayService, idempotencyService = null) {
     this.walletRepository = walletRepository;
     this.transactionRepository = transactionRepository;
+    this.paymentGatewayService = paymentGatewayService;
     this.idempotencyService = idempotencyService; // For future advanced idempotency handling
   }
 
   /**
    * Initializes a deposit request.
    * @param {string} userId - The ID of the user initiating the deposit.
-   * @param {number} amount - The amount to deposit (in Rials for Zarinpal).
-   * @param {string} currency - The currency of the deposit (e.g., 'IRR'). Zarinpal only supports IRR.
+   * @param {number} amount - The amount to deposit, in the currency's major unit (Rials for IRR).
+   * @param {string} currency - The currency of the deposit (e.g., 'IRR'); together with the region it selects the payment gateway.
    * @param {string} idempotencyKey - A unique key to ensure the operation is processed only once.
-   * @returns {Promise<{paymentGatewayUrl: string, transactionId: string, message: string, authority: string}>}
+   * @param {string} [region] - ISO 3166 country code of the user, if known.
+   * @returns {Promise<{paymentGatewayUrl: string, transactionId: string, message: string, paymentGateway: string}>}
    * @throws {import('../../../utils/errors').BadRequestError}
    * @throws {import('../../../utils/errors').ConflictError}
    * @throws {import('../../../utils/errors').NotFoundError}
    * @throws {import('../../../utils/errors').InternalServerError}
    */
-  async execute(userId, amount, currency, idempotencyKey) {
+  async execute(userId, amount, currency, idempotencyKey, region = null) {
     if (!userId || amount == null || !currency || !idempotencyKey) {
       throw new BadRequestError('User ID, amount, currency, and idempotency key are required.');
     }
     if (typeof amount !== 'number' || amount <= 0) {
       throw new BadRequestError('Deposit amount must be a positive number.');
     }
-    // Zarinpal expects amounts in Rials. We'll assume the input amount is already in Rials.
-    // Currency should ideally be 'IRR' for Zarinpal.
-    if (currency !== 'IRR') {
-      // For now, we'll proceed but log a warning. In a real system, this might be an error or trigger conversion.
-      console.warn(`InitializeDepositUseCase: Currency is ${currency}, but Zarinpal primarily uses IRR. Ensure amount is in Rials.`);
-      // throw new BadRequestError("Invalid currency for Zarinpal. Only IRR is supported and amount should be in Rials.");
-    }
-
 
     // 1. Idempotency Check
     const existingTransaction = await this.transactionRepository.findByIdempotencyKey(idempotencyKey);
@@ -58,18 +52,13 @@ class InitializeDepositUseCase {
           existingTransaction.metadata &&
           existingTransaction.metadata.requestedCurrency === currency
         ) {
-          // If an existing transaction matches, and it has an authority, attempt to reconstruct the payment URL
+          // If an existing transaction matches, return its payment URL again
           // This is helpful if the user retries before being redirected or after a browser crash.
-          let paymentGatewayUrl = `https://www.zarinpal.com/pg/StartPay/${existingTransaction.metadata.authority}`;
-          if (zarinpal.sandbox) {
-            paymentGatewayUrl = `https://sandbox.zarinpal.com/pg/StartPay/${existingTransaction.metadata.authority}`;
-          }
-
           return {
             message: `Deposit already initiated or completed (Idempotency). Status: ${existingTransaction.status}`,
-            paymentGatewayUrl: existingTransaction.metadata.authority ? paymentGatewayUrl : null, // Only if authority exists
+            paymentGatewayUrl: existingTransaction.metadata.paymentUrl || null,
             transactionId: existingTransaction.id,
-            authority: existingTransaction.metadata.authority,
+            paymentGateway: existingTransaction.metadata.paymentGateway,
           };
         } else {
           throw new ConflictError(`Idempotency key ${idempotencyKey} already used with different request parameters.`);
@@ -85,64 +74,53 @@ class InitializeDepositUseCase {
       throw new NotFoundError('User wallet not found.');
     }
 
-    // 3. Create Payment Request with Zarinpal
-    const callbackURL = `${appConfig.baseUrl}/api/v1/wallet/deposit/callback`; // Construct full callback URL
-    let zarinpalResponse;
+    // 3. Open a payment session with the gateway for this currency and region
+    // The gateway's callback or webhook verifies the payment and completes the transaction.
+    const gateway = this.paymentGatewayService.select({ currency, region });
+    const transactionId = uuidv4();
+    let payment;
     try {
-      zarinpalResponse = await zarinpal.payments.create({
+      payment = await gateway.initialize({
         amount: Number(amount), // Ensure amount is a number
-        callback_url: callbackURL,
-        description: `Wallet deposit for user ${userId}, Transaction ID will be generated.`, // Temp description, will update later
-        // mobile: '09123456789', // Optional
-        // email: 'customer@example.com', // Optional
+        currency,
+        description: `Wallet deposit for user ${userId}. Transaction ID: ${transactionId}.`,
+        transactionId,
       });
-
-      if (!zarinpalResponse || zarinpalResponse.data.errors || !zarinpalResponse.data.authority) {
-        console.error('Zarinpal payment creation error:', zarinpalResponse ? zarinpalResponse.data.errors : 'No response');
-        throw new InternalServerError('Failed to create payment request with Zarinpal.', zarinpalResponse ? zarinpalResponse.data.errors : undefined);
-      }
     } catch (error) {
-      console.error('Error calling Zarinpal payments.create:', error);
-      if (error instanceof InternalServerError || error instanceof BadRequestError || error instanceof ConflictError || error instanceof NotFoundError) throw error;
-      throw new InternalServerError('Error initiating payment with Zarinpal.', error.message);
+      if (error instanceof BadRequestError) throw error;
+      logger.error(`Error initializing payment with ${gateway.name}:`, error);
+      throw new InternalServerError(`Error initiating payment with ${gateway.name}.`, error.message);
     }
 
-    const { authority } = zarinpalResponse.data;
-    const paymentUrl = zarinpal.getRedirectUrl(authority);
-
     // 4. Create a PENDING transaction record
-    const transactionId = uuidv4();
-    const transactionDescription = `Wallet deposit via Zarinpal for ${amount} ${currency}. Authority: ${authority}.`;
+    const transactionDescription = `Wallet deposit via ${gateway.name} for ${amount} ${currency}. Reference: ${payment.reference}.`;
     const transactionEntity = new Transaction(
       transactionId,
       wallet.id,
       'DEPOSIT',
-      amount, // Store the amount as sent to Zarinpal (Rials)
+      amount, // Store the amount as sent to the gateway
       'PENDING',
       idempotencyKey,
       transactionDescription,
       {
         userId,
-        requestedAmount: amount, // Amount in Rials
+        requestedAmount: amount,
         requestedCurrency: currency, // Original currency from request, e.g., 'IRR'
-        paymentGateway: 'Zarinpal',
-        authority, // Store Zarinpal authority
-        zarinpalFee: zarinpalResponse.data.fee, // Store Zarinpal fee if available
+        paymentGateway: gateway.name,
+        paymentReference: payment.reference, // e.g. the Zarinpal authority; used to verify the payment
+        paymentUrl: payment.paymentUrl,
+        gatewayFee: payment.fee, // Store the gateway fee if available
       },
       new Date()
     );
 
-    // Update the description in Zarinpal request now that we have the transactionId
-    // Note: Zarinpal SDK might not support updating description post-creation.
-    // This is more for our records. The description in transactionEntity is the primary one.
-
     await this.transactionRepository.create(transactionEntity);
 
     return {
-      message: 'Deposit initialized successfully. Proceed to Zarinpal payment gateway.',
-      paymentGatewayUrl: paymentUrl,
+      message: `Deposit initialized successfully. Proceed to the ${gateway.name} payment gateway.`,
+      paymentGatewayUrl: payment.paymentUrl,
       transactionId,
-      authority,
+      paymentGateway: gateway.name,
     };
   }
 }
@@ -150,13 +128,8 @@ class InitializeDepositUseCase {
 module.exports = InitializeDepositUseCase;
 
 // Notes:
-// - Integrated Zarinpal SDK for payment request creation.
-// - `amount` is assumed to be in Rials. Currency is expected to be 'IRR'.
-// - `callback_url` is constructed dynamically using `appConfig.baseUrl`. Ensure `appConfig.baseUrl` is set correctly.
-// - Zarinpal `authority` and original `amount` are stored in transaction metadata.
-// - Idempotency check now tries to reconstruct payment URL if authority exists.
-// - Error handling for Zarinpal API calls is added.
-// - The description for Zarinpal is generic initially; the detailed description is in our local transaction record.
-// - Ensure `appConfig.baseUrl` correctly points to your application's public base URL.
-// - The Zarinpal SDK uses `axios` which returns `response.data`.
+// - The payment gateway is chosen by `PaymentGatewayService` from the currency and region (PAYMENT_GATEWAY_* settings).
+// - `amount` is in the currency's major unit; for IRR (Zarinpal) that is Rials.
+// - The gateway's session reference (e.g. the Zarinpal authority) and payment URL are stored in transaction metadata.
+// - Idempotency replays return the stored payment URL.
 // - Reverted to CommonJS module syntax (module.exports and require) for consistency with the project.
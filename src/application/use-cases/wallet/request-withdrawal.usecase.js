@@ -8,11 +8,13 @@ class RequestWithdrawalUseCase {
    * @param {object} walletRepository - Repository for wallet data.
    * @param {object} transactionRepository - Repository for transaction data.
    * @param {object} [notificationService] - Optional: for notifying finance team.
+   * @param {import('../../services/twoFactor.service')} [twoFactorService] - Optional: requires a two-factor code from users who enabled it.
    */
-  constructor(walletRepository, transactionRepository, notificationService = null) {
+  constructor(walletRepository, transactionRepository, notificationService = null, twoFactorService = null) {
     this.walletRepository = walletRepository;
     this.transactionRepository = transactionRepository;
     this.notificationService = notificationService;
+    this.twoFactorService = twoFactorService;
   }
 
   /**
@@ -22,13 +24,15 @@ class RequestWithdrawalUseCase {
    * @param {number} withdrawalData.amount - The amount to withdraw.
    * @param {string} withdrawalData.currency - The currency.
    * @param {object} withdrawalData.withdrawalMethodDetails - Specifics of the withdrawal method (e.g., bank details, PayPal email).
+   * @param {string} [withdrawalData.twoFactorCode] - Current two-factor code; required when the user has two-factor authentication.
    * @param {string|null} [idempotencyKey] - Optional key for idempotency.
    * @returns {Promise<{transaction: Transaction, message: string}>}
    * @throws {import('../../../utils/errors').BadRequestError}
    * @throws {import('../../../utils/errors').NotFoundError}
    * @throws {import('../../../utils/errors').ConflictError}
+   * @throws {import('../../../utils/errors').ForbiddenError} When the two-factor code is missing or wrong.
    */
-  async execute(userId, { amount, currency, withdrawalMethodDetails }, idempotencyKey = null) {
+  async execute(userId, { amount, currency, withdrawalMethodDetails, twoFactorCode }, idempotencyKey = null) {
     if (!userId || amount == null || !currency || !withdrawalMethodDetails) {
       throw new BadRequestError('User ID, amount, currency, and withdrawal method details are required.');
     }
@@ -37,6 +41,10 @@ class RequestWithdrawalUseCase {
     }
     // Add more validation for currency, withdrawalMethodDetails structure as needed.
 
+    if (this.twoFactorService) {
+      await this.twoFactorService.assertVerified(userId, twoFactorCode);
+    }
+
     // 1. Idempotency Check (if key provided)
     if (idempotencyKey) {
       const existingTransaction = await this.transactionRepository.findByIdempotencyKey(idempotencyKey);
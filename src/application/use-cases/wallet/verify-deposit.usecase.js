@@ -0,0 +1,143 @@
+const { BadRequestError, NotFoundError, InternalServerError } = require('../../../utils/errors');
+const { Transaction } = require('../../../domain/wallet/transaction.entity');
+const { sequelize } = require('../../../infrastructure/database/postgres.connector');
+const logger = require('../../../utils/logger');
+
+class VerifyDepositUseCase {
+  /**
+   * @param {import('../../../domain/wallet/wallet.repository.interface')} walletRepository
+   * @param {import('../../../domain/wallet/transaction.repository.interface')} transactionRepository
+   * @param {import('../../services/paymentGateway.service')} paymentGatewayService
+   */
+  constructor(walletRepository, transactionRepository, paymentGatewayService) {
+    this.walletRepository = walletRepository;
+    this.transactionRepository = transactionRepository;
+    this.paymentGatewayService = paymentGatewayService;
+  }
+
+  /**
+   * Verifies a PENDING deposit with its payment gateway and completes it, crediting the wallet, or fails it.
+   * Called from gateway callbacks and webhooks and by the reconciliation worker, so it is idempotent:
+   * deposits that are no longer PENDING are returned as they are, and deposits the gateway cannot
+   * answer for right now stay PENDING for the next attempt.
+   * @param {object} params
+   * @param {string} params.gateway - The gateway name stored on the deposit, e.g. 'zarinpal'.
+   * @param {string} params.reference - The gateway's session reference, e.g. a Zarinpal authority.
+   * @returns {Promise<Transaction>} The deposit after verification.
+   * @throws {BadRequestError} If no reference is given.
+   * @throws {NotFoundError} If no deposit has this reference.
+   */
+  async execute({ gateway, reference }) {
+    if (!gateway || !reference) {
+      throw new BadRequestError('Payment reference is required.');
+    }
+
+    const deposit = await this.transactionRepository.findByPaymentReference(gateway, reference);
+    if (!deposit || deposit.type !== 'DEPOSIT') {
+      throw new NotFoundError('Deposit not found.');
+    }
+    if (deposit.status !== Transaction.Status.PENDING) {
+      return deposit;
+    }
+
+    let verification;
+    try {
+      verification = await this.paymentGatewayService.get(gateway).verify({
+        reference,
+        amount: deposit.amount,
+        currency: deposit.metadata.requestedCurrency,
+      });
+    } catch (error) {
+      logger.warn(`[VerifyDeposit] Could not verify deposit ${deposit.id} with ${gateway}; it stays pending: ${error.message}`);
+      return deposit;
+    }
+
+    return this.settle(deposit.id, gateway, verification);
+  }
+
+  /**
+   * Verifies the deposit a gateway webhook is about, once its signature checks out. Webhooks about
+   * payments that are not deposits are acknowledged and ignored.
+   * @param {string} gateway - The gateway name from the webhook URL.
+   * @param {Buffer} rawBody - The webhook body as received.
+   * @param {object} headers - The webhook request headers.
+   * @returns {Promise<Transaction|null>} The deposit after verification, or null if there is none.
+   * @throws {NotFoundError} If the gateway is unknown.
+   * @throws {BadRequestError} If the gateway does not send webhooks.
+   * @throws {ForbiddenError} If the signature is invalid.
+   */
+  async handleWebhook(gateway, rawBody, headers) {
+    const { reference } = this.paymentGatewayService.get(gateway).parseWebhook(rawBody, headers);
+    try {
+      return await this.execute({ gateway, reference });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        logger.info(`[VerifyDeposit] Ignoring ${gateway} webhook for payment ${reference}, which is not a deposit.`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * Applies a verification result. The deposit row is locked and re-checked, so a callback and a
+   * reconciliation run verifying the same deposit credit the wallet once.
+   */
+  async settle(depositId, gateway, verification) {
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const deposit = await this.transactionRepository.findById(depositId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE,
+      });
+      if (deposit.status !== Transaction.Status.PENDING) {
+        await dbTransaction.commit();
+        return deposit;
+      }
+
+      let updatedDeposit;
+      if (verification.verified) {
+        const wallet = await this.walletRepository.findById(deposit.walletId, {
+          transaction: dbTransaction,
+          lock: dbTransaction.LOCK.UPDATE,
+        });
+        if (!wallet) {
+          throw new InternalServerError(`Wallet ${deposit.walletId} of deposit ${deposit.id} not found.`);
+        }
+        wallet.deposit(deposit.amount);
+        await this.walletRepository.update(wallet.id, { balance: wallet.balance }, { transaction: dbTransaction });
+
+        updatedDeposit = await this.transactionRepository.update(deposit.id, {
+          status: Transaction.Status.COMPLETED,
+          description: `${deposit.description} | Verified by ${gateway}. Gateway reference: ${verification.gatewayReference}.`,
+          metadata: {
+            ...deposit.metadata,
+            ...verification.details,
+            gatewayReference: verification.gatewayReference,
+            verifiedAt: new Date().toISOString(),
+          },
+          transactionDate: new Date(),
+        }, { transaction: dbTransaction });
+        logger.info(`[VerifyDeposit] Deposit ${deposit.id} completed. Gateway reference: ${verification.gatewayReference}.`);
+      } else {
+        updatedDeposit = await this.transactionRepository.update(deposit.id, {
+          status: Transaction.Status.FAILED,
+          description: `${deposit.description} | Payment not verified: ${verification.message}`,
+          metadata: { ...deposit.metadata, gatewayCode: verification.code, gatewayMessage: verification.message },
+        }, { transaction: dbTransaction });
+        logger.info(`[VerifyDeposit] Deposit ${deposit.id} failed: ${verification.message}`);
+      }
+
+      await dbTransaction.commit();
+      return updatedDeposit;
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = VerifyDepositUseCase;
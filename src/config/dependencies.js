@@ -8,6 +8,12 @@ const RefreshTokenUseCase = require('../application/use-cases/auth/refresh-token
 const LogoutUseCase = require('../application/use-cases/auth/logout.usecase.js');
 const SendVerificationEmailUseCase = require('../application/use-cases/auth/send-verification-email.usecase.js');
 const VerifyEmailUseCase = require('../application/use-cases/auth/verify-email.usecase.js');
+const RequestPasswordResetUseCase = require('../application/use-cases/auth/request-password-reset.usecase.js');
+const ResetPasswordUseCase = require('../application/use-cases/auth/reset-password.usecase.js');
+const EnrollTwoFactorUseCase = require('../application/use-cases/auth/enroll-two-factor.usecase.js');
+const ConfirmTwoFactorUseCase = require('../application/use-cases/auth/confirm-two-factor.usecase.js');
+const DisableTwoFactorUseCase = require('../application/use-cases/auth/disable-two-factor.usecase.js');
+const VerifyTwoFactorLoginUseCase = require('../application/use-cases/auth/verify-two-factor-login.usecase.js');
 
 // Game Use Cases
 const CreateGameUseCase = require('../application/use-cases/game/createGame.useCase.js');
@@ -32,12 +38,36 @@ const GetUserGameProfileForGameUseCase = require('../application/use-cases/user/
 const CreateTournamentUseCase = require('../application/use-cases/tournament/create-tournament.usecase.js');
 const ListTournamentsUseCase = require('../application/use-cases/tournament/list-tournaments.usecase.js');
 const RegisterForTournamentUseCase = require('../application/use-cases/tournament/registerForTournament.useCase.js');
+const UnregisterFromTournamentUseCase = require('../application/use-cases/tournament/unregister-from-tournament.usecase.js');
+const RegisterTeamForTournamentUseCase = require('../application/use-cases/team-dashboard/register-team-for-tournament.usecase.js');
 const GetTournamentUseCase = require('../application/use-cases/tournament/get-tournament.usecase.js');
+const GenerateBracketUseCase = require('../application/use-cases/tournament/generate-bracket.usecase.js');
+const GetBracketUseCase = require('../application/use-cases/tournament/get-bracket.usecase.js');
+const SetSeedingUseCase = require('../application/use-cases/tournament/set-seeding.usecase.js');
+const SetPayoutTableUseCase = require('../application/use-cases/tournament/set-payout-table.usecase.js');
+const ApprovePrizePayoutsUseCase = require('../application/use-cases/admin/approve-prize-payouts.usecase.js');
+const OpenTournamentRegistrationUseCase = require('../application/use-cases/tournament/open-tournament-registration.usecase.js');
+const StartTournamentUseCase = require('../application/use-cases/tournament/start-tournament.usecase.js');
+const OpenCheckInUseCase = require('../application/use-cases/tournament/open-check-in.usecase.js');
+const CheckInForTournamentUseCase = require('../application/use-cases/tournament/check-in-for-tournament.usecase.js');
+const JoinTournamentWaitlistUseCase = require('../application/use-cases/tournament/join-tournament-waitlist.usecase.js');
+const LeaveTournamentWaitlistUseCase = require('../application/use-cases/tournament/leave-tournament-waitlist.usecase.js');
 
 // Match Use Cases
 const GetMatchUseCase = require('../application/use-cases/match/get-match.usecase.js');
 const GetMatchUploadUrlUseCase = require('../application/use-cases/match/get-match-upload-url.usecase.js');
 const SubmitMatchResultUseCase = require('../application/use-cases/match/submit-match-result.usecase.js');
+const ConfirmMatchResultUseCase = require('../application/use-cases/match/confirm-match-result.usecase.js');
+const DisputeMatchResultUseCase = require('../application/use-cases/match/dispute-match-result.usecase.js');
+
+// Dispute Use Cases
+const ListMyDisputesUseCase = require('../application/use-cases/dispute/list-my-disputes.usecase.js');
+const GetDisputeUseCase = require('../application/use-cases/dispute/get-dispute.usecase.js');
+const GetDisputeEvidenceUploadUrlUseCase = require('../application/use-cases/dispute/get-dispute-evidence-upload-url.usecase.js');
+const AddDisputeEvidenceUseCase = require('../application/use-cases/dispute/add-dispute-evidence.usecase.js');
+const PostDisputeMessageUseCase = require('../application/use-cases/dispute/post-dispute-message.usecase.js');
+const ChangeDisputeStatusUseCase = require('../application/use-cases/dispute/change-dispute-status.usecase.js');
+const ResolveDisputeUseCase = require('../application/use-cases/admin/resolve-dispute.usecase.js');
 
 // Team Use Cases
 const CreateTeamUseCase = require('../application/use-cases/team/createTeam.usecase.js');
@@ -74,34 +104,78 @@ const ChatController = require('../presentation/controllers/chat.controller.js')
 const UploadController = require('../presentation/controllers/upload.controller.js');
 const AdminController = require('../presentation/controllers/admin.controller.js');
 const MatchController = require('../presentation/controllers/match.controller.js');
+const DisputeController = require('../presentation/controllers/dispute.controller.js');
+const NotificationController = require('../presentation/controllers/notification.controller.js');
 const LeaderboardController = require('../presentation/controllers/leaderboard.controller.js');
 const WalletController = require('../presentation/controllers/wallet.controller.js');
 const DashboardController = require('../presentation/controllers/dashboard.controller.js');
+const StorageController = require('../presentation/controllers/storage.controller.js');
 
 // Wallet Use Cases
 const GetWalletDetailsUseCase = require('../application/use-cases/wallet/get-wallet-details.usecase.js');
 const InitializeDepositUseCase = require('../application/use-cases/wallet/initialize-deposit.usecase.js');
+const VerifyDepositUseCase = require('../application/use-cases/wallet/verify-deposit.usecase.js');
 const GetTransactionHistoryUseCase = require('../application/use-cases/wallet/get-transaction-history.usecase.js');
 const RequestWithdrawalUseCase = require('../application/use-cases/wallet/request-withdrawal.usecase.js');
+const ApproveWithdrawalUseCase = require('../application/use-cases/admin/approve-withdrawal.usecase.js');
 
 // Dashboard Use Cases
 const GetDashboardDataUseCase = require('../application/use-cases/dashboard/get-dashboard-data.usecase.js');
 
 
+// Application Services
+const SeedingService = require('../application/services/seeding.service.js');
+const BracketAdvancementService = require('../application/services/bracketAdvancement.service.js');
+const DisputeAccessService = require('../application/services/disputeAccess.service.js');
+const EntryFeeRefundService = require('../application/services/entryFeeRefund.service.js');
+const EntryFeeChargeService = require('../application/services/entryFeeCharge.service.js');
+const PrizeDistributionService = require('../application/services/prizeDistribution.service.js');
+const WaitlistPromotionService = require('../application/services/waitlistPromotion.service.js');
+const TournamentBroadcastService = require('../application/services/tournamentBroadcast.service.js');
+const NotificationService = require('../application/services/notification.service.js');
+const TwoFactorService = require('../application/services/twoFactor.service.js');
+const { FileValidationService } = require('../application/services/fileValidation.service.js');
+const ImageProcessingService = require('../application/services/imageProcessing.service.js');
+
+// Notification Use Cases
+const ListNotificationsUseCase = require('../application/use-cases/notification/list-notifications.usecase.js');
+const MarkNotificationReadUseCase = require('../application/use-cases/notification/mark-notification-read.usecase.js');
+const GetNotificationPreferencesUseCase = require('../application/use-cases/notification/get-notification-preferences.usecase.js');
+const UpdateNotificationPreferencesUseCase = require('../application/use-cases/notification/update-notification-preferences.usecase.js');
+const SendNotificationDigestUseCase = require('../application/use-cases/notification/send-notification-digest.usecase.js');
+
 // Infrastructure
-const LocalFileUploader = require('../infrastructure/file-upload/local.file-uploader.js');
-const walletRepository = {}; // This is a mock, replace with actual implementation
+const LocalStorageService = require('../infrastructure/storage/local.storage.service.js');
+const { createStorageService } = require('../infrastructure/storage/storage.service.factory.js');
+const { createPaymentGatewayService } = require('../infrastructure/payment/payment.gateway.factory.js');
+const { createMalwareScanner } = require('../infrastructure/scanning/malware.scanner.factory.js');
+const SharpImageProcessor = require('../infrastructure/imaging/sharp.image.processor.js');
+const socketEmitter = require('../infrastructure/realtime/socket.emitter.js');
+const { createEmailService } = require('../infrastructure/email/email.service.factory.js');
+const logger = require('../utils/logger');
+const { appConfig } = require('../../config/config');
 
 function initializeDependencies(redisClient) {
     const repositories = initializeRepositories(redisClient);
+    const emailService = createEmailService(appConfig, logger);
+    const storageService = createStorageService(appConfig, logger);
+    const imageProcessingService = new ImageProcessingService(new SharpImageProcessor(), storageService);
+    const twoFactorService = new TwoFactorService(repositories.twoFactorCredentialRepository, repositories.userRepository);
+    const paymentGatewayService = createPaymentGatewayService(appConfig, logger);
 
     // Instantiate Use Cases
     const registerUserUseCase = new RegisterUserUseCase(repositories.userRepository);
-    const loginUseCase = new LoginUseCase(repositories.userRepository);
+    const loginUseCase = new LoginUseCase(repositories.userRepository, twoFactorService);
     const refreshTokenUseCase = new RefreshTokenUseCase(repositories.userRepository);
     const logoutUseCase = new LogoutUseCase(repositories.userRepository);
-    const sendVerificationEmailUseCase = new SendVerificationEmailUseCase(repositories.userRepository);
+    const sendVerificationEmailUseCase = new SendVerificationEmailUseCase(repositories.userRepository, emailService);
     const verifyEmailUseCase = new VerifyEmailUseCase(repositories.userRepository);
+    const requestPasswordResetUseCase = new RequestPasswordResetUseCase(repositories.userRepository, repositories.passwordResetTokenRepository, emailService);
+    const resetPasswordUseCase = new ResetPasswordUseCase(repositories.userRepository, repositories.passwordResetTokenRepository);
+    const enrollTwoFactorUseCase = new EnrollTwoFactorUseCase(repositories.userRepository, repositories.twoFactorCredentialRepository);
+    const confirmTwoFactorUseCase = new ConfirmTwoFactorUseCase(repositories.twoFactorCredentialRepository);
+    const disableTwoFactorUseCase = new DisableTwoFactorUseCase(repositories.userRepository, repositories.twoFactorCredentialRepository, twoFactorService);
+    const verifyTwoFactorLoginUseCase = new VerifyTwoFactorLoginUseCase(repositories.userRepository, twoFactorService, loginUseCase);
 
     const createGameUseCase = new CreateGameUseCase(repositories.gameRepository);
     const getGameByIdUseCase = new GetGameByIdUseCase(repositories.gameRepository);
@@ -124,17 +198,75 @@ function initializeDependencies(redisClient) {
     const createTournamentUseCase = new CreateTournamentUseCase(repositories.tournamentRepository, repositories.userRepository, repositories.gameRepository);
     const listTournamentsUseCase = new ListTournamentsUseCase(repositories.tournamentRepository);
     const getTournamentUseCase = new GetTournamentUseCase(repositories.tournamentRepository);
-    const registerForTournamentUseCase = new RegisterForTournamentUseCase(repositories.tournamentRepository, repositories.tournamentParticipantRepository, repositories.userGameProfileRepository, walletRepository);
+    const entryFeeChargeService = new EntryFeeChargeService(repositories.walletRepository, repositories.transactionRepository);
+    const entryFeeRefundService = new EntryFeeRefundService(repositories.walletRepository, repositories.transactionRepository);
+    const registerForTournamentUseCase = new RegisterForTournamentUseCase(repositories.tournamentRepository, repositories.tournamentParticipantRepository, repositories.userGameProfileRepository, entryFeeChargeService);
+    const waitlistPromotionService = new WaitlistPromotionService(repositories.tournamentWaitlistRepository, repositories.tournamentParticipantRepository, repositories.tournamentRepository, entryFeeChargeService, socketEmitter);
+    const unregisterFromTournamentUseCase = new UnregisterFromTournamentUseCase(repositories.tournamentRepository, repositories.tournamentParticipantRepository, entryFeeRefundService, waitlistPromotionService);
+    const joinTournamentWaitlistUseCase = new JoinTournamentWaitlistUseCase(repositories.tournamentRepository, repositories.tournamentParticipantRepository, repositories.tournamentWaitlistRepository, repositories.userGameProfileRepository);
+    const leaveTournamentWaitlistUseCase = new LeaveTournamentWaitlistUseCase(repositories.tournamentWaitlistRepository);
+    const registerTeamForTournamentUseCase = new RegisterTeamForTournamentUseCase({
+        teamRepository: repositories.teamRepository,
+        tournamentRepository: repositories.tournamentRepository,
+        tournamentParticipantRepository: repositories.tournamentParticipantRepository,
+        teamMemberRepository: repositories.teamMemberRepository,
+        entryFeeChargeService,
+    });
+    const tournamentBroadcastService = new TournamentBroadcastService(socketEmitter);
+    const notificationService = new NotificationService(repositories.notificationRepository, repositories.teamRepository, socketEmitter, repositories.notificationPreferenceRepository, repositories.userRepository, emailService);
+    const fileValidationService = new FileValidationService({
+        fileUploadRepository: repositories.fileUploadRepository,
+        storageService,
+        malwareScanner: createMalwareScanner(appConfig, logger),
+        imageProcessingService,
+        notificationService,
+        logger,
+    });
+    const seedingService = new SeedingService(repositories.userRepository, repositories.teamMemberRepository, repositories.leaderboardRepository, repositories.gameRepository);
+    const generateBracketUseCase = new GenerateBracketUseCase(repositories.tournamentRepository, repositories.matchRepository, seedingService, tournamentBroadcastService);
+    const getBracketUseCase = new GetBracketUseCase(repositories.tournamentRepository, repositories.matchRepository);
+    const setSeedingUseCase = new SetSeedingUseCase(repositories.tournamentRepository);
+    const setPayoutTableUseCase = new SetPayoutTableUseCase(repositories.tournamentRepository);
+    const prizeDistributionService = new PrizeDistributionService(repositories.matchRepository, repositories.tournamentRepository, repositories.teamMemberRepository, repositories.walletRepository, repositories.transactionRepository, notificationService);
+    const approvePrizePayoutsUseCase = new ApprovePrizePayoutsUseCase(repositories.tournamentRepository, prizeDistributionService, twoFactorService);
+    const openTournamentRegistrationUseCase = new OpenTournamentRegistrationUseCase(repositories.tournamentRepository, tournamentBroadcastService);
+    const openCheckInUseCase = new OpenCheckInUseCase(repositories.tournamentRepository, repositories.teamRepository, socketEmitter);
+    const checkInForTournamentUseCase = new CheckInForTournamentUseCase(repositories.tournamentRepository, repositories.tournamentParticipantRepository, repositories.teamRepository);
+    const startTournamentUseCase = new StartTournamentUseCase(repositories.tournamentRepository, repositories.matchRepository, generateBracketUseCase, entryFeeRefundService, repositories.tournamentParticipantRepository, tournamentBroadcastService, notificationService);
 
     const getMatchUseCase = new GetMatchUseCase(repositories.tournamentRepository, repositories.userGameProfileRepository, repositories.matchRepository);
-    const getMatchUploadUrlUseCase = new GetMatchUploadUrlUseCase(repositories.matchRepository);
-    const submitMatchResultUseCase = new SubmitMatchResultUseCase(repositories.matchRepository);
+    const getMatchUploadUrlUseCase = new GetMatchUploadUrlUseCase(repositories.matchRepository, storageService, fileValidationService);
+    const submitMatchResultUseCase = new SubmitMatchResultUseCase(repositories.matchRepository, fileValidationService, tournamentBroadcastService, notificationService, storageService);
+    const bracketAdvancementService = new BracketAdvancementService(repositories.matchRepository, repositories.tournamentRepository, prizeDistributionService);
+    const confirmMatchResultUseCase = new ConfirmMatchResultUseCase(repositories.matchRepository, bracketAdvancementService, tournamentBroadcastService, notificationService);
+    const disputeMatchResultUseCase = new DisputeMatchResultUseCase(repositories.matchRepository, repositories.disputeRepository, tournamentBroadcastService, notificationService);
 
     const matchController = new MatchController({
         getMatchUseCase,
         getMatchUploadUrlUseCase,
         submitMatchResultUseCase,
+        confirmMatchResultUseCase,
+        disputeMatchResultUseCase,
+    });
+
+    const disputeAccessService = new DisputeAccessService(repositories.disputeRepository, repositories.matchRepository);
+    const disputeController = new DisputeController({
+        listMyDisputesUseCase: new ListMyDisputesUseCase(repositories.disputeRepository),
+        getDisputeUseCase: new GetDisputeUseCase(repositories.disputeRepository, disputeAccessService),
+        getDisputeEvidenceUploadUrlUseCase: new GetDisputeEvidenceUploadUrlUseCase(disputeAccessService, storageService, fileValidationService),
+        addDisputeEvidenceUseCase: new AddDisputeEvidenceUseCase(repositories.disputeRepository, disputeAccessService, storageService, fileValidationService),
+        postDisputeMessageUseCase: new PostDisputeMessageUseCase(repositories.disputeRepository, disputeAccessService),
+        changeDisputeStatusUseCase: new ChangeDisputeStatusUseCase(repositories.disputeRepository, notificationService),
+    });
+
+    const markNotificationReadUseCase = new MarkNotificationReadUseCase(repositories.notificationRepository, notificationService);
+    const notificationController = new NotificationController({
+        listNotificationsUseCase: new ListNotificationsUseCase(repositories.notificationRepository),
+        markNotificationReadUseCase,
+        getNotificationPreferencesUseCase: new GetNotificationPreferencesUseCase(repositories.notificationPreferenceRepository),
+        updateNotificationPreferencesUseCase: new UpdateNotificationPreferencesUseCase(repositories.notificationPreferenceRepository),
     });
+    const sendNotificationDigestUseCase = new SendNotificationDigestUseCase(repositories.notificationRepository, repositories.userRepository, emailService);
 
     const createTeamUseCase = new CreateTeamUseCase({
         teamRepository: repositories.teamRepository,
@@ -145,7 +277,13 @@ function initializeDependencies(redisClient) {
     const getAllTeamsUseCase = new GetAllTeamsUseCase(repositories.teamRepository);
     const updateTeamUseCase = new UpdateTeamUseCase(repositories.teamRepository);
     const deleteTeamUseCase = new DeleteTeamUseCase(repositories.teamRepository);
-    const addTeamMemberUseCase = new AddTeamMemberUseCase(repositories.teamMemberRepository, repositories.teamRepository, repositories.userRepository);
+    const addTeamMemberUseCase = new AddTeamMemberUseCase({
+        teamRepository: repositories.teamRepository,
+        userRepository: repositories.userRepository,
+        teamMemberRepository: repositories.teamMemberRepository,
+        notificationService,
+        logger,
+    });
     const removeTeamMemberUseCase = new RemoveTeamMemberUseCase(repositories.teamMemberRepository, repositories.teamRepository);
 
     const getLeaderboardUseCase = new GetLeaderboardUseCase(repositories.leaderboardRepository);
@@ -158,8 +296,7 @@ function initializeDependencies(redisClient) {
     const editMessageUseCase = new EditMessageUseCase(repositories.chatRepository);
     const deleteMessageUseCase = new DeleteMessageUseCase(repositories.chatRepository);
 
-    const localFileUploader = new LocalFileUploader();
-    const uploadFileUseCase = new UploadFileUseCase(localFileUploader);
+    const uploadFileUseCase = new UploadFileUseCase(storageService, imageProcessingService);
 
     // Instantiate Controllers
     const authController = new AuthController({
@@ -169,6 +306,12 @@ function initializeDependencies(redisClient) {
         logout: logoutUseCase,
         sendVerificationEmail: sendVerificationEmailUseCase,
         verifyEmail: verifyEmailUseCase,
+        requestPasswordReset: requestPasswordResetUseCase,
+        resetPassword: resetPasswordUseCase,
+        verifyTwoFactorLogin: verifyTwoFactorLoginUseCase,
+        enrollTwoFactor: enrollTwoFactorUseCase,
+        confirmTwoFactor: confirmTwoFactorUseCase,
+        disableTwoFactor: disableTwoFactorUseCase,
     });
 
     const gameController = new GameController(
@@ -190,6 +333,16 @@ function initializeDependencies(redisClient) {
         listTournamentsUseCase,
         getTournamentUseCase,
         registerForTournamentUseCase,
+        unregisterFromTournamentUseCase,
+        registerTeamForTournamentUseCase,
+        checkInForTournamentUseCase,
+        joinTournamentWaitlistUseCase,
+        leaveTournamentWaitlistUseCase,
+        generateBracketUseCase,
+        getBracketUseCase,
+        setSeedingUseCase,
+        setPayoutTableUseCase,
+        approvePrizePayoutsUseCase,
     });
 
     const teamController = new TeamController({
@@ -214,8 +367,6 @@ function initializeDependencies(redisClient) {
         uploadFileUseCase,
     });
 
-    const adminController = require('../presentation/controllers/admin.controller.js');
-
     const userController = new UserController({
         getUserProfileUseCase,
         updateUserProfileUseCase,
@@ -232,13 +383,33 @@ function initializeDependencies(redisClient) {
     });
 
     const getWalletDetailsUseCase = new GetWalletDetailsUseCase(repositories.walletRepository);
-    const initializeDepositUseCase = new InitializeDepositUseCase(repositories.walletRepository);
+    const initializeDepositUseCase = new InitializeDepositUseCase(repositories.walletRepository, repositories.transactionRepository, paymentGatewayService);
+    const verifyDepositUseCase = new VerifyDepositUseCase(repositories.walletRepository, repositories.transactionRepository, paymentGatewayService);
     const getTransactionHistoryUseCase = new GetTransactionHistoryUseCase(repositories.transactionRepository);
-    const requestWithdrawalUseCase = new RequestWithdrawalUseCase(repositories.walletRepository);
+    const requestWithdrawalUseCase = new RequestWithdrawalUseCase(repositories.walletRepository, repositories.transactionRepository, null, twoFactorService);
+    const approveWithdrawalUseCase = new ApproveWithdrawalUseCase(
+        repositories.transactionRepository,
+        repositories.walletRepository,
+        paymentGatewayService,
+        notificationService,
+        twoFactorService,
+    );
+
+    const adminController = new AdminController({
+        approveWithdrawalUseCase,
+        resolveDisputeUseCase: new ResolveDisputeUseCase(
+            repositories.disputeRepository,
+            repositories.matchRepository,
+            bracketAdvancementService,
+            notificationService,
+            tournamentBroadcastService,
+        ),
+    });
 
     const walletController = new WalletController({
         getWalletDetailsUseCase,
         initializeDepositUseCase,
+        verifyDepositUseCase,
         getTransactionHistoryUseCase,
         requestWithdrawalUseCase,
     });
@@ -262,11 +433,32 @@ function initializeDependencies(redisClient) {
         chatController,
         uploadController,
         matchController,
+        disputeController,
+        notificationController,
         adminController,
         userController,
         leaderboardController,
         walletController,
         dashboardController,
+        storageController: storageService instanceof LocalStorageService
+            ? new StorageController({ localStorageService: storageService })
+            : null,
+        // Used by background workers
+        matchRepository: repositories.matchRepository,
+        confirmMatchResultUseCase,
+        tournamentRepository: repositories.tournamentRepository,
+        openTournamentRegistrationUseCase,
+        openCheckInUseCase,
+        startTournamentUseCase,
+        notificationRepository: repositories.notificationRepository,
+        sendNotificationDigestUseCase,
+        fileValidationService,
+        transactionRepository: repositories.transactionRepository,
+        verifyDepositUseCase,
+        // Used by socket handlers
+        getBracketUseCase,
+        notificationService,
+        markNotificationReadUseCase,
         //... export other dependencies if needed
     };
 }
@@ -5,11 +5,19 @@ const { PostgresTournamentRepository } = require('../infrastructure/database/rep
 const { PostgresMatchRepository } = require('../infrastructure/database/repositories/postgres.match.repository');
 const { PostgresUserRepository } = require('../infrastructure/database/repositories/postgres.user.repository');
 const { PostgresTournamentParticipantRepository } = require('../infrastructure/database/repositories/postgres.tournamentParticipant.repository');
+const { PostgresTournamentWaitlistRepository } = require('../infrastructure/database/repositories/postgres.tournamentWaitlist.repository');
 const { PostgresTeamRepository } = require('../infrastructure/database/repositories/postgres.team.repository');
 const { PostgresTeamMemberRepository } = require('../infrastructure/database/repositories/postgres.teamMember.repository');
 const PostgresChatRepository = require('../infrastructure/database/repositories/postgres.chat.repository');
 const LeaderboardRedisRepository = require('../infrastructure/database/repositories/leaderboard.redis.repository');
 const PostgresWalletRepository = require('../infrastructure/database/repositories/postgres.wallet.repository');
+const { PostgresTransactionRepository } = require('../infrastructure/database/repositories/postgres.transaction.repository');
+const { PostgresDisputeRepository } = require('../infrastructure/database/repositories/postgres.dispute.repository');
+const { PostgresNotificationRepository } = require('../infrastructure/database/repositories/postgres.notification.repository');
+const { PostgresNotificationPreferenceRepository } = require('../infrastructure/database/repositories/postgres.notificationPreference.repository');
+const { PostgresPasswordResetTokenRepository } = require('../infrastructure/database/repositories/postgres.passwordResetToken.repository');
+const { PostgresTwoFactorCredentialRepository } = require('../infrastructure/database/repositories/postgres.twoFactorCredential.repository');
+const { PostgresFileUploadRepository } = require('../infrastructure/database/repositories/postgres.fileUpload.repository');
 const GetDashboardDataUseCase = require('../application/use-cases/dashboard/get-dashboard-data.usecase');
 const MatchController = require('../presentation/controllers/match.controller');
 const GetMatchUseCase = require('../application/use-cases/match/get-match.usecase');
@@ -22,6 +30,7 @@ function initializeRepositories(redisClient) {
     const userRepository = new PostgresUserRepository({ UserModel: db.UserModel });
     const userGameProfileRepository = new UserGameProfileRepository({ UserGameProfileModel: db.UserGameProfileModel, GameModel: db.GameModel });
     const tournamentParticipantRepository = new PostgresTournamentParticipantRepository({ TournamentParticipantModel: db.TournamentParticipantModel, UserModel: db.UserModel, TournamentModel: db.TournamentModel });
+    const tournamentWaitlistRepository = new PostgresTournamentWaitlistRepository({ TournamentWaitlistEntryModel: db.TournamentWaitlistEntryModel });
     const tournamentRepository = new PostgresTournamentRepository({
         TournamentModel: db.TournamentModel,
         TournamentParticipantModel: db.TournamentParticipantModel,
@@ -51,6 +60,20 @@ function initializeRepositories(redisClient) {
     });
     const leaderboardRepository = new LeaderboardRedisRepository(redisClient);
     const walletRepository = new PostgresWalletRepository({ WalletModel: db.WalletModel });
+    const transactionRepository = new PostgresTransactionRepository({ TransactionModel: db.TransactionModel, WalletModel: db.WalletModel });
+    const disputeRepository = new PostgresDisputeRepository({
+        DisputeTicketModel: db.DisputeTicketModel,
+        UserModel: db.UserModel,
+        MatchModel: db.MatchModel,
+        DisputeMessageModel: db.DisputeMessageModel,
+        DisputeEvidenceModel: db.DisputeEvidenceModel,
+        DisputeStatusHistoryModel: db.DisputeStatusHistoryModel
+    });
+    const notificationRepository = new PostgresNotificationRepository({ NotificationModel: db.NotificationModel });
+    const notificationPreferenceRepository = new PostgresNotificationPreferenceRepository({ NotificationPreferenceModel: db.NotificationPreferenceModel });
+    const passwordResetTokenRepository = new PostgresPasswordResetTokenRepository({ PasswordResetTokenModel: db.PasswordResetTokenModel });
+    const twoFactorCredentialRepository = new PostgresTwoFactorCredentialRepository({ TwoFactorCredentialModel: db.TwoFactorCredentialModel });
+    const fileUploadRepository = new PostgresFileUploadRepository({ FileUploadModel: db.FileUploadModel });
 
     const getDashboardDataUseCase = new GetDashboardDataUseCase(
         userRepository,
@@ -59,15 +82,16 @@ function initializeRepositories(redisClient) {
     );
 
     const fileValidationService = new FileValidationService({
-        matchRepository,
-        s3Service: undefined,
+        fileUploadRepository,
+        storageService: undefined,
+        malwareScanner: undefined,
         notificationService: undefined,
         logger: console,
     });
 
     const getMatchUseCase = new GetMatchUseCase(tournamentRepository, userGameProfileRepository, matchRepository);
     const getMatchUploadUrlUseCase = new GetMatchUploadUrlUseCase(tournamentRepository);
-    const submitMatchResultUseCase = new SubmitMatchResultUseCase(tournamentRepository, fileValidationService);
+    const submitMatchResultUseCase = new SubmitMatchResultUseCase(matchRepository, fileValidationService);
 
     const matchController = new MatchController(
         getMatchUseCase,
@@ -80,6 +104,7 @@ function initializeRepositories(redisClient) {
         userRepository,
         userGameProfileRepository,
         tournamentParticipantRepository,
+        tournamentWaitlistRepository,
         tournamentRepository,
         matchRepository,
         teamRepository,
@@ -87,6 +112,13 @@ function initializeRepositories(redisClient) {
         chatRepository,
         leaderboardRepository,
         walletRepository,
+        transactionRepository,
+        disputeRepository,
+        notificationRepository,
+        notificationPreferenceRepository,
+        passwordResetTokenRepository,
+        twoFactorCredentialRepository,
+        fileUploadRepository,
         getDashboardDataUseCase,
         matchController,
     };
@@ -31,9 +31,35 @@ class DisputeTicket {
   static Status = Object.freeze({
     OPEN: 'OPEN',
     UNDER_REVIEW: 'UNDER_REVIEW',
+    AWAITING_PLAYER_RESPONSE: 'AWAITING_PLAYER_RESPONSE', // Moderator asked the players for more information
+    ESCALATED: 'ESCALATED', // Handed over to a senior moderator or admin
     RESOLVED: 'RESOLVED',
     CLOSED: 'CLOSED', // Could be same as RESOLVED or a separate final state
-    // Add other statuses as needed, e.g., ESCALATED, AWAITING_PLAYER_RESPONSE
+  });
+
+  /**
+   * Statuses a moderator may move a ticket to from each status. An undecided ticket is only
+   * finalized through dispute resolution (`Resolution.INVALID` to close it), which also decides the
+   * disputed match; closing it here would leave the match DISPUTED for good.
+   */
+  static AllowedTransitions = Object.freeze({
+    OPEN: ['UNDER_REVIEW', 'AWAITING_PLAYER_RESPONSE', 'ESCALATED'],
+    UNDER_REVIEW: ['AWAITING_PLAYER_RESPONSE', 'ESCALATED'],
+    AWAITING_PLAYER_RESPONSE: ['UNDER_REVIEW', 'ESCALATED'],
+    ESCALATED: ['UNDER_REVIEW', 'AWAITING_PLAYER_RESPONSE'],
+    RESOLVED: ['CLOSED'],
+    CLOSED: [],
+  });
+
+  /**
+   * Outcomes a moderator decides a dispute with. The first three resolve the ticket; an invalid
+   * dispute is closed and the reported result stands.
+   */
+  static Resolution = Object.freeze({
+    PARTICIPANT1_WIN: 'RESOLVED_PARTICIPANT1_WIN',
+    PARTICIPANT2_WIN: 'RESOLVED_PARTICIPANT2_WIN',
+    REPLAY: 'RESOLVED_REPLAY',
+    INVALID: 'CLOSED_INVALID',
   });
 
   static get validStatuses() {
@@ -63,6 +89,30 @@ class DisputeTicket {
     });
   }
 
+  /**
+   * Whether the ticket has been resolved or closed. Finalized tickets no longer accept messages or evidence.
+   * @returns {boolean}
+   */
+  isFinalized() {
+    return this.status === DisputeTicket.Status.RESOLVED || this.status === DisputeTicket.Status.CLOSED;
+  }
+
+  /**
+   * Moves the ticket to a new status following `DisputeTicket.AllowedTransitions`.
+   * @param {string} newStatus - The target status.
+   * @returns {{fromStatus: string, toStatus: string}} The recorded transition.
+   */
+  changeStatus(newStatus) {
+    const allowed = DisputeTicket.AllowedTransitions[this.status] || [];
+    if (!allowed.includes(newStatus)) {
+      throw new Error(`Dispute cannot move from ${this.status} to ${newStatus}.`);
+    }
+    const fromStatus = this.status;
+    this.status = newStatus;
+    this.updatedAt = new Date();
+    return { fromStatus, toStatus: newStatus };
+  }
+
   // Example domain methods (can be expanded)
   resolve(resolutionDetails, moderatorId) {
     if (this.status === DisputeTicket.Status.RESOLVED || this.status === DisputeTicket.Status.CLOSED) {
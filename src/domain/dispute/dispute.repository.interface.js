@@ -59,6 +59,77 @@ class DisputeRepositoryInterface {
   async findByMatchId(matchId, options = {}) {
     throw new Error('Method "findByMatchId" not implemented.');
   }
+
+  /**
+   * Lists the dispute tickets a user reported or that concern a match the user plays in.
+   * @param {string} userId - The ID of the user.
+   * @param {object} [listOptions] - Pagination and filters ({ page, limit, status }).
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<{disputes: Array<import('./dispute.entity').DisputeTicket>, total: number, page: number, limit: number}>}
+   */
+  async findByParticipantId(userId, listOptions = {}, options = {}) {
+    throw new Error('Method "findByParticipantId" not implemented.');
+  }
+
+  /**
+   * Appends an entry to the status history of a dispute ticket.
+   * @param {import('./dispute_status_history.entity').DisputeStatusHistory} historyEntry - The status change.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./dispute_status_history.entity').DisputeStatusHistory>}
+   */
+  async recordStatusChange(historyEntry, options = {}) {
+    throw new Error('Method "recordStatusChange" not implemented.');
+  }
+
+  /**
+   * Returns the status history of a dispute ticket, oldest first.
+   * @param {string} disputeId - The ID of the dispute ticket.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<Array<import('./dispute_status_history.entity').DisputeStatusHistory>>}
+   */
+  async findStatusHistory(disputeId, options = {}) {
+    throw new Error('Method "findStatusHistory" not implemented.');
+  }
+
+  /**
+   * Adds a message to the thread of a dispute ticket.
+   * @param {import('./dispute_message.entity').DisputeMessage} message - The message to persist.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./dispute_message.entity').DisputeMessage>}
+   */
+  async addMessage(message, options = {}) {
+    throw new Error('Method "addMessage" not implemented.');
+  }
+
+  /**
+   * Returns the message thread of a dispute ticket, oldest first.
+   * @param {string} disputeId - The ID of the dispute ticket.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<Array<import('./dispute_message.entity').DisputeMessage>>}
+   */
+  async findMessages(disputeId, options = {}) {
+    throw new Error('Method "findMessages" not implemented.');
+  }
+
+  /**
+   * Attaches an uploaded evidence file to a dispute ticket.
+   * @param {import('./dispute_evidence.entity').DisputeEvidence} evidence - The evidence to persist.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./dispute_evidence.entity').DisputeEvidence>}
+   */
+  async addEvidence(evidence, options = {}) {
+    throw new Error('Method "addEvidence" not implemented.');
+  }
+
+  /**
+   * Returns the evidence attached to a dispute ticket, oldest first.
+   * @param {string} disputeId - The ID of the dispute ticket.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<Array<import('./dispute_evidence.entity').DisputeEvidence>>}
+   */
+  async findEvidence(disputeId, options = {}) {
+    throw new Error('Method "findEvidence" not implemented.');
+  }
 }
 
 module.exports = DisputeRepositoryInterface;
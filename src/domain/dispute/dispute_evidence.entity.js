@@ -0,0 +1,62 @@
+// src/domain/dispute/dispute_evidence.entity.js
+
+class DisputeEvidence {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier of the evidence (UUID), set by persistence.
+   * @param {string} params.disputeId - ID of the dispute ticket the evidence is attached to.
+   * @param {string} params.uploadedBy - ID of the user who attached the evidence.
+   * @param {string} params.fileKey - Storage key returned by the evidence upload URL step.
+   * @param {string} params.fileUrl - URL the evidence can be viewed at.
+   * @param {string} params.contentType - MIME type of the file, one of `DisputeEvidence.AllowedContentTypes`.
+   * @param {string|null} [params.description] - Optional note from the uploader.
+   * @param {Date} [params.createdAt]
+   */
+  constructor({ id, disputeId, uploadedBy, fileKey, fileUrl, contentType, description = null, createdAt = new Date() }) {
+    if (!disputeId) throw new Error('Dispute ID is required for dispute evidence.');
+    if (!uploadedBy) throw new Error('Uploader ID is required for dispute evidence.');
+    if (!fileKey) throw new Error('File key is required for dispute evidence.');
+    if (!DisputeEvidence.AllowedContentTypes.includes(contentType)) {
+      throw new Error(`Unsupported evidence content type: ${contentType}.`);
+    }
+
+    this.id = id;
+    this.disputeId = disputeId;
+    this.uploadedBy = uploadedBy;
+    this.fileKey = fileKey;
+    this.fileUrl = fileUrl;
+    this.contentType = contentType;
+    this.description = description;
+    this.createdAt = createdAt;
+  }
+
+  /** Screenshots and short video clips are accepted as evidence. */
+  static AllowedContentTypes = Object.freeze([
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'video/mp4',
+    'video/webm',
+    'video/quicktime',
+  ]);
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {DisputeEvidence|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new DisputeEvidence({
+      id: persistenceObject.id,
+      disputeId: persistenceObject.disputeId,
+      uploadedBy: persistenceObject.uploadedBy,
+      fileKey: persistenceObject.fileKey,
+      fileUrl: persistenceObject.fileUrl,
+      contentType: persistenceObject.contentType,
+      description: persistenceObject.description,
+      createdAt: persistenceObject.createdAt,
+    });
+  }
+}
+
+module.exports = { DisputeEvidence };
@@ -0,0 +1,53 @@
+// src/domain/dispute/dispute_message.entity.js
+
+class DisputeMessage {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier of the message (UUID), set by persistence.
+   * @param {string} params.disputeId - ID of the dispute ticket the message belongs to.
+   * @param {string} params.senderId - ID of the user who sent the message.
+   * @param {string} params.senderRole - Whether the sender took part as a player or a moderator.
+   * @param {string} params.body - The message text.
+   * @param {Date} [params.createdAt]
+   */
+  constructor({ id, disputeId, senderId, senderRole, body, createdAt = new Date() }) {
+    if (!disputeId) throw new Error('Dispute ID is required for a dispute message.');
+    if (!senderId) throw new Error('Sender ID is required for a dispute message.');
+    if (!Object.values(DisputeMessage.SenderRole).includes(senderRole)) {
+      throw new Error(`Invalid sender role: ${senderRole}.`);
+    }
+    if (!body || body.trim() === '') {
+      throw new Error('Message body cannot be empty.');
+    }
+
+    this.id = id;
+    this.disputeId = disputeId;
+    this.senderId = senderId;
+    this.senderRole = senderRole;
+    this.body = body.trim();
+    this.createdAt = createdAt;
+  }
+
+  static SenderRole = Object.freeze({
+    PLAYER: 'PLAYER',
+    MODERATOR: 'MODERATOR',
+  });
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {DisputeMessage|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new DisputeMessage({
+      id: persistenceObject.id,
+      disputeId: persistenceObject.disputeId,
+      senderId: persistenceObject.senderId,
+      senderRole: persistenceObject.senderRole,
+      body: persistenceObject.body,
+      createdAt: persistenceObject.createdAt,
+    });
+  }
+}
+
+module.exports = { DisputeMessage };
@@ -0,0 +1,48 @@
+// src/domain/dispute/dispute_status_history.entity.js
+
+/**
+ * One status change of a dispute ticket. Entries are only ever appended.
+ */
+class DisputeStatusHistory {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier of the entry (UUID), set by persistence.
+   * @param {string} params.disputeId - ID of the dispute ticket.
+   * @param {string|null} params.fromStatus - The previous status, null when the ticket was opened.
+   * @param {string} params.toStatus - The new status.
+   * @param {string|null} params.changedBy - ID of the user who changed the status, null for system changes.
+   * @param {string|null} [params.note] - Optional explanation of the change.
+   * @param {Date} [params.createdAt]
+   */
+  constructor({ id, disputeId, fromStatus = null, toStatus, changedBy = null, note = null, createdAt = new Date() }) {
+    if (!disputeId) throw new Error('Dispute ID is required for a status history entry.');
+    if (!toStatus) throw new Error('New status is required for a status history entry.');
+
+    this.id = id;
+    this.disputeId = disputeId;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.changedBy = changedBy;
+    this.note = note;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {DisputeStatusHistory|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new DisputeStatusHistory({
+      id: persistenceObject.id,
+      disputeId: persistenceObject.disputeId,
+      fromStatus: persistenceObject.fromStatus,
+      toStatus: persistenceObject.toStatus,
+      changedBy: persistenceObject.changedBy,
+      note: persistenceObject.note,
+      createdAt: persistenceObject.createdAt,
+    });
+  }
+}
+
+module.exports = { DisputeStatusHistory };
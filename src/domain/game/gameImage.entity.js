@@ -1,18 +1,28 @@
 // src/domain/game/gameImage.entity.js
 
 class GameImage {
-  constructor({ id, gameId, type, url, createdAt, updatedAt }) {
+  /**
+   * @param {object} params
+   * @param {number|null} [params.width] - Width of the image in pixels.
+   * @param {number|null} [params.height] - Height of the image in pixels.
+   * @param {Object<string, {url: string, width: number, height: number}>|null} [params.variants] - Resized
+   *   WebP versions by name (thumbnail, small, medium), as returned by the upload endpoint.
+   */
+  constructor({ id, gameId, type, url, width = null, height = null, variants = null, createdAt, updatedAt }) {
     this.id = id;
     this.gameId = gameId;
     this.type = type;
     this.url = url;
+    this.width = width;
+    this.height = height;
+    this.variants = variants;
     this.createdAt = createdAt || new Date();
     this.updatedAt = updatedAt || new Date();
   }
 
   static fromPersistence(persistedData) {
-    const { id, gameId, type, url, createdAt, updatedAt } = persistedData;
-    return new GameImage({ id, gameId, type, url, createdAt, updatedAt });
+    const { id, gameId, type, url, width, height, variants, createdAt, updatedAt } = persistedData;
+    return new GameImage({ id, gameId, type, url, width, height, variants, createdAt, updatedAt });
   }
 
   toPlainObject() {
@@ -21,6 +31,9 @@ class GameImage {
       gameId: this.gameId,
       type: this.type,
       url: this.url,
+      width: this.width,
+      height: this.height,
+      variants: this.variants,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
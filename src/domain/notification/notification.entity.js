@@ -0,0 +1,123 @@
+// src/domain/notification/notification.entity.js
+
+/**
+ * A message for a user in their notification center, e.g. "your next match is ready".
+ * Notifications are stored so users who were offline still see them, and are read once.
+ */
+class Notification {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier of the notification (UUID), set by persistence.
+   * @param {string} params.userId - ID of the user the notification is for.
+   * @param {string} params.type - One of Notification.Type.
+   * @param {object} [params.payload] - Type-specific data, e.g. the tournament and match it is about.
+   * @param {string|null} [params.link] - Deep link to the page the notification is about, e.g. `/matches/<id>`.
+   * @param {Date|null} [params.readAt] - When the user read it; null while unread.
+   * @param {string} [params.emailStatus] - One of Notification.EmailStatus.
+   * @param {Date} [params.createdAt]
+   */
+  constructor({ id, userId, type, payload = {}, link = null, readAt = null, emailStatus = Notification.EmailStatus.NONE, createdAt = new Date() }) {
+    if (!userId) throw new Error('User ID is required for a notification.');
+    if (!Object.values(Notification.Type).includes(type)) {
+      throw new Error(`Invalid notification type: ${type}.`);
+    }
+
+    this.id = id;
+    this.userId = userId;
+    this.type = type;
+    this.payload = payload || {};
+    this.link = link;
+    this.readAt = readAt;
+    this.emailStatus = emailStatus;
+    this.createdAt = createdAt;
+  }
+
+  static Type = Object.freeze({
+    TEAM_INVITATION: 'TEAM_INVITATION',
+    MATCH_READY: 'MATCH_READY', // Both participants of a match are known and it is scheduled
+    MATCH_RESULT_SUBMITTED: 'MATCH_RESULT_SUBMITTED', // The opponent submitted a result to confirm or dispute
+    MATCH_RESULT_CONFIRMED: 'MATCH_RESULT_CONFIRMED',
+    MATCH_DISPUTED: 'MATCH_DISPUTED',
+    DISPUTE_STATUS_CHANGED: 'DISPUTE_STATUS_CHANGED',
+    PRIZE_PAID: 'PRIZE_PAID',
+    WITHDRAWAL_APPROVED: 'WITHDRAWAL_APPROVED',
+    FILE_REJECTED: 'FILE_REJECTED', // An uploaded file failed the malware scan or content validation
+    TOURNAMENT_START_FAILED: 'TOURNAMENT_START_FAILED', // Sent to managers: the bracket could not be generated, so it was canceled
+  });
+
+  /**
+   * Groups of types users set their notification preferences for.
+   */
+  static Category = Object.freeze({
+    MATCHES: 'MATCHES',
+    TEAMS: 'TEAMS',
+    DISPUTES: 'DISPUTES',
+    PAYMENTS: 'PAYMENTS',
+    UPLOADS: 'UPLOADS',
+  });
+
+  static TypeCategories = Object.freeze({
+    [Notification.Type.TEAM_INVITATION]: Notification.Category.TEAMS,
+    [Notification.Type.MATCH_READY]: Notification.Category.MATCHES,
+    [Notification.Type.MATCH_RESULT_SUBMITTED]: Notification.Category.MATCHES,
+    [Notification.Type.MATCH_RESULT_CONFIRMED]: Notification.Category.MATCHES,
+    [Notification.Type.MATCH_DISPUTED]: Notification.Category.DISPUTES,
+    [Notification.Type.DISPUTE_STATUS_CHANGED]: Notification.Category.DISPUTES,
+    [Notification.Type.PRIZE_PAID]: Notification.Category.PAYMENTS,
+    [Notification.Type.WITHDRAWAL_APPROVED]: Notification.Category.PAYMENTS,
+    [Notification.Type.FILE_REJECTED]: Notification.Category.UPLOADS,
+    [Notification.Type.TOURNAMENT_START_FAILED]: Notification.Category.MATCHES,
+  });
+
+  /**
+   * How the notification is (or will be) emailed, following the user's preference for its category.
+   */
+  static EmailStatus = Object.freeze({
+    NONE: 'NONE', // Not emailed
+    SENT: 'SENT', // Emailed on its own right away
+    FAILED: 'FAILED', // Emailing it right away failed
+    DIGEST_PENDING: 'DIGEST_PENDING', // Waiting for the user's next digest
+    DIGESTED: 'DIGESTED', // Included in a digest
+  });
+
+  /**
+   * @returns {string} One of Notification.Category.
+   */
+  getCategory() {
+    return Notification.TypeCategories[this.type];
+  }
+
+  isRead() {
+    return this.readAt !== null && this.readAt !== undefined;
+  }
+
+  /**
+   * Marks the notification as read. Reading it again keeps the first read time.
+   * @param {Date} [readAt]
+   */
+  markAsRead(readAt = new Date()) {
+    if (!this.isRead()) {
+      this.readAt = readAt;
+    }
+  }
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {Notification|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new Notification({
+      id: persistenceObject.id,
+      userId: persistenceObject.userId,
+      type: persistenceObject.type,
+      payload: persistenceObject.payload,
+      link: persistenceObject.link,
+      readAt: persistenceObject.readAt,
+      emailStatus: persistenceObject.emailStatus,
+      createdAt: persistenceObject.createdAt,
+    });
+  }
+}
+
+module.exports = { Notification };
@@ -0,0 +1,93 @@
+/**
+ * @interface NotificationRepositoryInterface
+ * Defines the contract for notification persistence operations.
+ */
+class NotificationRepositoryInterface {
+  /**
+   * Stores a new notification.
+   * @param {import('./notification.entity').Notification} notification - The notification to persist.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./notification.entity').Notification>} The created notification.
+   */
+  async create(notification, options = {}) {
+    throw new Error('Method "create" not implemented.');
+  }
+
+  /**
+   * Finds a notification of a user. Notifications of other users are not found.
+   * @param {string} id - The UUID of the notification.
+   * @param {string} userId - The ID of its owner.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./notification.entity').Notification|null>}
+   */
+  async findByIdForUser(id, userId, options = {}) {
+    throw new Error('Method "findByIdForUser" not implemented.');
+  }
+
+  /**
+   * Lists the notifications of a user, newest first.
+   * @param {string} userId - The ID of the user.
+   * @param {object} [listOptions]
+   * @param {number} [listOptions.page=1]
+   * @param {number} [listOptions.limit=20]
+   * @param {boolean} [listOptions.unreadOnly=false] - Only notifications that were not read yet.
+   * @returns {Promise<{notifications: Array<import('./notification.entity').Notification>, total: number, page: number, limit: number}>}
+   */
+  async findByUserId(userId, listOptions = {}) {
+    throw new Error('Method "findByUserId" not implemented.');
+  }
+
+  /**
+   * Counts the unread notifications of a user.
+   * @param {string} userId - The ID of the user.
+   * @returns {Promise<number>}
+   */
+  async countUnread(userId) {
+    throw new Error('Method "countUnread" not implemented.');
+  }
+
+  /**
+   * Sets the read time of a notification.
+   * @param {string} id - The UUID of the notification.
+   * @param {Date} readAt
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<void>}
+   */
+  async markAsRead(id, readAt, options = {}) {
+    throw new Error('Method "markAsRead" not implemented.');
+  }
+
+  /**
+   * Moves notifications to another email status.
+   * @param {string[]} ids - The UUIDs of the notifications.
+   * @param {string} emailStatus - One of Notification.EmailStatus.
+   * @param {object} [options]
+   * @param {string} [options.fromStatus] - Only notifications currently in this status are updated.
+   * @returns {Promise<string[]>} The IDs of the updated notifications.
+   */
+  async updateEmailStatus(ids, emailStatus, options = {}) {
+    throw new Error('Method "updateEmailStatus" not implemented.');
+  }
+
+  /**
+   * Users with a notification that has been waiting for a digest since before the given time.
+   * @param {object} params
+   * @param {Date} params.createdBefore
+   * @param {number} [params.limit]
+   * @returns {Promise<string[]>} User IDs.
+   */
+  async findUserIdsWithPendingDigest({ createdBefore, limit }) {
+    throw new Error('Method "findUserIdsWithPendingDigest" not implemented.');
+  }
+
+  /**
+   * The notifications of a user waiting for a digest, oldest first.
+   * @param {string} userId
+   * @returns {Promise<Array<import('./notification.entity').Notification>>}
+   */
+  async findPendingDigest(userId) {
+    throw new Error('Method "findPendingDigest" not implemented.');
+  }
+}
+
+module.exports = NotificationRepositoryInterface;
@@ -0,0 +1,98 @@
+// src/domain/notification/notificationPreference.entity.js
+const { Notification } = require('./notification.entity');
+
+/**
+ * How a user wants to receive the notifications of one category.
+ * Notifications are always kept in the notification center; `inApp` decides whether they are also
+ * pushed live to the user's sockets, and `email` whether they are emailed right away, batched into a
+ * daily digest, or not emailed at all.
+ */
+class NotificationPreference {
+  /**
+   * @param {object} params
+   * @param {string} [params.id]
+   * @param {string} params.userId
+   * @param {string} params.category - One of Notification.Category.
+   * @param {boolean} [params.inApp=true] - Push the notifications live to the user's sockets.
+   * @param {string} [params.email] - One of NotificationPreference.EmailMode.
+   * @param {Date} [params.createdAt]
+   * @param {Date} [params.updatedAt]
+   */
+  constructor({
+    id, userId, category, inApp = true, email = NotificationPreference.EmailMode.OFF, createdAt = new Date(), updatedAt = new Date(),
+  }) {
+    if (!userId) throw new Error('User ID is required for a notification preference.');
+    if (!Object.values(Notification.Category).includes(category)) {
+      throw new Error(`Invalid notification category: ${category}.`);
+    }
+    if (!Object.values(NotificationPreference.EmailMode).includes(email)) {
+      throw new Error(`Invalid email mode: ${email}.`);
+    }
+
+    this.id = id;
+    this.userId = userId;
+    this.category = category;
+    this.inApp = Boolean(inApp);
+    this.email = email;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  static EmailMode = Object.freeze({
+    OFF: 'OFF',
+    INSTANT: 'INSTANT', // One email per notification
+    DIGEST: 'DIGEST', // Unread notifications are batched into a daily email
+  });
+
+  /**
+   * What users get for a category they never configured.
+   */
+  static Defaults = Object.freeze({
+    [Notification.Category.MATCHES]: { inApp: true, email: NotificationPreference.EmailMode.DIGEST },
+    [Notification.Category.TEAMS]: { inApp: true, email: NotificationPreference.EmailMode.INSTANT },
+    [Notification.Category.DISPUTES]: { inApp: true, email: NotificationPreference.EmailMode.INSTANT },
+    [Notification.Category.PAYMENTS]: { inApp: true, email: NotificationPreference.EmailMode.INSTANT },
+    [Notification.Category.UPLOADS]: { inApp: true, email: NotificationPreference.EmailMode.OFF },
+  });
+
+  /**
+   * The default preference of a user for a category.
+   * @param {string} userId
+   * @param {string} category - One of Notification.Category.
+   * @returns {NotificationPreference}
+   */
+  static defaultFor(userId, category) {
+    return new NotificationPreference({ userId, category, ...NotificationPreference.Defaults[category] });
+  }
+
+  /**
+   * The preferences of a user for every category, the stored ones taking precedence over the defaults.
+   * @param {string} userId
+   * @param {NotificationPreference[]} stored
+   * @returns {NotificationPreference[]}
+   */
+  static completeFor(userId, stored = []) {
+    const byCategory = new Map(stored.map((preference) => [preference.category, preference]));
+    return Object.values(Notification.Category)
+      .map((category) => byCategory.get(category) || NotificationPreference.defaultFor(userId, category));
+  }
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {NotificationPreference|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new NotificationPreference({
+      id: persistenceObject.id,
+      userId: persistenceObject.userId,
+      category: persistenceObject.category,
+      inApp: persistenceObject.inApp,
+      email: persistenceObject.email,
+      createdAt: persistenceObject.createdAt,
+      updatedAt: persistenceObject.updatedAt,
+    });
+  }
+}
+
+module.exports = { NotificationPreference };
@@ -0,0 +1,39 @@
+/**
+ * @interface NotificationPreferenceRepositoryInterface
+ * Defines the contract for notification preference persistence operations.
+ * Only preferences a user changed are stored; other categories use `NotificationPreference.Defaults`.
+ */
+class NotificationPreferenceRepositoryInterface {
+  /**
+   * The stored preferences of a user.
+   * @param {string} userId - The ID of the user.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<Array<import('./notificationPreference.entity').NotificationPreference>>}
+   */
+  async findByUserId(userId, options = {}) {
+    throw new Error('Method "findByUserId" not implemented.');
+  }
+
+  /**
+   * The stored preference of a user for a category.
+   * @param {string} userId - The ID of the user.
+   * @param {string} category - One of Notification.Category.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./notificationPreference.entity').NotificationPreference|null>}
+   */
+  async findByUserIdAndCategory(userId, category, options = {}) {
+    throw new Error('Method "findByUserIdAndCategory" not implemented.');
+  }
+
+  /**
+   * Stores preferences, replacing what the users had for the same categories.
+   * @param {Array<import('./notificationPreference.entity').NotificationPreference>} preferences
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<void>}
+   */
+  async upsertMany(preferences, options = {}) {
+    throw new Error('Method "upsertMany" not implemented.');
+  }
+}
+
+module.exports = NotificationPreferenceRepositoryInterface;
@@ -3,7 +3,8 @@ const { Match } = require('./match.entity'); // Assuming Match entity is in the
 
 /**
  * @file bracket.logic.js
- * Implements logic for generating tournament brackets, specifically single elimination.
+ * Implements logic for generating tournament brackets (single match, single and double elimination)
+ * round robin schedules and Swiss system rounds.
  * This is pure domain logic, detached from persistence or specific services.
  * It would typically be used by an application service (e.g., GenerateBracketUseCase).
  */
@@ -13,8 +14,24 @@ class BracketLogic {
     SINGLE_ELIMINATION: 'SINGLE_ELIMINATION',
     DOUBLE_ELIMINATION: 'DOUBLE_ELIMINATION',
     ROUND_ROBIN: 'ROUND_ROBIN',
+    SWISS: 'SWISS',
   }
 
+  /**
+   * Opponents tried while searching a rematch-free Swiss pairing before falling back to allowing
+   * rematches. Without a cap the backtracking is exponential when no such pairing exists.
+   */
+  static SWISS_PAIRING_MAX_STEPS = 10000;
+
+  /**
+   * Sections of a multi-part bracket, stored in `match.metadata.bracket`.
+   */
+  static Sections = {
+    WINNERS: 'WINNERS',
+    LOSERS: 'LOSERS',
+    GRAND_FINAL: 'GRAND_FINAL',
+  };
+
   static generate(bracketType, tournamentId, participantIdsOrObjects, options = {}) {
     switch (bracketType) {
       case 'SINGLE_MATCH':
@@ -25,6 +42,8 @@ class BracketLogic {
         return this.generateDoubleElimination(tournamentId, participantIdsOrObjects, options);
       case this.Brackets.ROUND_ROBIN:
         return this.generateRoundRobin(tournamentId, participantIdsOrObjects, options);
+      case this.Brackets.SWISS:
+        return this.generateSwissRound(tournamentId, participantIdsOrObjects, [], options);
       default:
         throw new Error(`Unsupported bracket type: ${bracketType}`);
     }
@@ -67,16 +86,9 @@ class BracketLogic {
 
     const { shuffle = true, defaultMatchTime = new Date() } = options;
 
-    let participants = participantIdsOrObjects.map(p => (typeof p === 'string' ? { id: p } : p));
-
     // 1. Seed participants
-    // If seeds are provided, sort by seed. Otherwise, shuffle if enabled.
-    if (participants.every(p => p.seed != null)) {
-      participants.sort((a, b) => a.seed - b.seed);
-    } else if (shuffle) {
-      participants = this.shuffleArray(participants);
-    }
     // At this point, `participants` array is ordered by seed (explicit or implicit via shuffle/original order)
+    const participants = this.seedParticipants(participantIdsOrObjects, shuffle);
 
     // 2. Determine number of rounds and byes
     const numParticipants = participants.length;
@@ -201,6 +213,56 @@ class BracketLogic {
   }
 
 
+  /**
+   * Normalizes participants to `{ id, seed? }` objects and orders them by seed.
+   * If every participant has a seed, they are sorted by it. Otherwise they are shuffled when enabled.
+   * @param {Array<string|{id: string, seed?: number}>} participantIdsOrObjects - Participant IDs or objects.
+   * @param {boolean} [shuffle=true] - Whether to shuffle participants if no seeds are provided.
+   * @returns {Array<{id: string, seed?: number}>} Participants ordered from top seed to bottom seed.
+   */
+  static seedParticipants(participantIdsOrObjects, shuffle = true) {
+    const participants = participantIdsOrObjects.map(p => (typeof p === 'string' ? { id: p } : p));
+    if (participants.every(p => p.seed != null)) {
+      return participants.sort((a, b) => a.seed - b.seed);
+    }
+    return shuffle ? this.shuffleArray(participants) : participants;
+  }
+
+  /**
+   * Returns seed numbers in standard bracket order, e.g. [1, 4, 2, 3] for a bracket of 4.
+   * Consecutive pairs are first round matches, so the top seeds can only meet in later rounds.
+   * @param {number} bracketSize - A power of two.
+   * @returns {number[]} Seed numbers (1-based) in bracket position order.
+   */
+  static getSeedPositions(bracketSize) {
+    let positions = [1];
+    while (positions.length < bracketSize) {
+      const size = positions.length * 2;
+      positions = positions.flatMap(seed => [seed, size + 1 - seed]);
+    }
+    return positions;
+  }
+
+  /**
+   * Moves the winners of already completed matches (byes) into their next match.
+   * Uses `metadata.nextMatchSlot` when present, otherwise fills the first free participant slot.
+   * @param {Array<Match>} matches - The generated matches. Mutated in place.
+   * @returns {Array<Match>} The same array, for chaining.
+   */
+  static propagateByes(matches) {
+    const matchMap = new Map(matches.map(m => [m.id, m]));
+    for (const match of matches) {
+      if (match.status !== Match.Status.COMPLETED || !match.winnerId || !match.nextMatchId) continue;
+      const nextMatch = matchMap.get(match.nextMatchId);
+      if (!nextMatch || [nextMatch.participant1Id, nextMatch.participant2Id].includes(match.winnerId)) continue;
+
+      const slot = match.metadata.nextMatchSlot || (nextMatch.participant1Id ? 2 : 1);
+      nextMatch[`participant${slot}Id`] = match.winnerId;
+      nextMatch[`participant${slot}Type`] = match.winnerType;
+    }
+    return matches;
+  }
+
   /**
    * Shuffles an array in place (Fisher-Yates shuffle).
    * @param {Array<any>} array - The array to shuffle.
@@ -263,14 +325,544 @@ class BracketLogic {
     return true;
   }
 
+  /**
+   * Generates a double elimination bracket: a winners bracket, a losers bracket and a grand final,
+   * optionally followed by a bracket reset match.
+   *
+   * Each match carries `metadata.bracket` (one of `BracketLogic.Sections`) and `roundNumber` is local to
+   * that section. Winners advance through `nextMatchId` and losers drop through `nextMatchLoserId`; the
+   * target participant slot is stored in `metadata.nextMatchSlot` / `metadata.nextMatchLoserSlot`.
+   *
+   * Byes go to the top seeds in the first winners round and are completed immediately. Losers bracket
+   * matches that could only ever receive one participant because of a bye are not created; the
+   * participant is routed straight to the following losers match instead.
+   *
+   * The grand final puts the winners bracket champion in slot 1. When a reset is enabled, both of its
+   * links point to the reset match, which should only be played if the losers bracket champion wins.
+   *
+   * @param {string} tournamentId - The ID of the tournament.
+   * @param {Array<string|{id: string, seed?: number}>} participantIdsOrObjects - Participant IDs or objects with ID and seed.
+   * @param {object} [options={}] - Options for bracket generation.
+   * @param {boolean} [options.shuffle=true] - Whether to shuffle participants if no seeds are provided.
+   * @param {Date} [options.defaultMatchTime] - A default start time for the first round matches.
+   * @param {number} [options.timePerRound=3600000] - Milliseconds between consecutive rounds.
+   * @param {boolean} [options.bracketReset=true] - Whether to add a bracket reset match after the grand final.
+   * @returns {Array<Match>} An array of Match entities representing the bracket.
+   * @throws {Error} If participant list is too small.
+   */
   static generateDoubleElimination(tournamentId, participantIdsOrObjects, options = {}) {
-    // TODO: Implement double elimination bracket generation
-    throw new Error('Double elimination bracket generation is not yet implemented.');
+    if (!participantIdsOrObjects || participantIdsOrObjects.length < 2) {
+      throw new Error('At least two participants are required to generate a bracket.');
+    }
+
+    const { shuffle = true, defaultMatchTime = new Date(), timePerRound = 3600 * 1000, bracketReset = true } = options;
+    const participants = this.seedParticipants(participantIdsOrObjects, shuffle);
+    const numRounds = Math.ceil(Math.log2(participants.length));
+    const bracketSize = Math.pow(2, numRounds);
+    const matches = [];
+
+    const createMatch = (bracket, roundNumber, matchNumberInRound, timeOffset) => {
+      const match = new Match(
+        uuidv4(),
+        tournamentId,
+        roundNumber,
+        matchNumberInRound,
+        null,
+        null,
+        Match.Status.SCHEDULED,
+        new Date(defaultMatchTime.getTime() + timeOffset * timePerRound)
+      );
+      match.metadata = { bracket };
+      matches.push(match);
+      return match;
+    };
+
+    // A feed is where a participant entering a slot comes from: the winner or loser of an earlier match.
+    // A null feed means nobody will ever arrive (the slot is downstream of a bye).
+    const linkFeed = (feed, match, slot) => {
+      if (feed.outcome === 'winner') {
+        feed.match.nextMatchId = match.id;
+        feed.match.metadata.nextMatchSlot = slot;
+      } else {
+        feed.match.nextMatchLoserId = match.id;
+        feed.match.metadata.nextMatchLoserSlot = slot;
+      }
+    };
+
+    // --- Winners bracket ---
+    const seedPositions = this.getSeedPositions(bracketSize);
+    const winnersRounds = [];
+    for (let round = 1; round <= numRounds; round++) {
+      const roundMatches = [];
+      for (let i = 0; i < bracketSize / Math.pow(2, round); i++) {
+        const match = createMatch(this.Sections.WINNERS, round, i + 1, round - 1);
+        if (round === 1) {
+          // Seeds beyond the participant count are byes; the higher seed always takes slot 1.
+          const p1 = participants[seedPositions[2 * i] - 1];
+          const p2 = participants[seedPositions[2 * i + 1] - 1];
+          match.participant1Id = p1.id;
+          if (p2) {
+            match.participant2Id = p2.id;
+          } else {
+            match.status = Match.Status.COMPLETED;
+            match.actualStartTime = new Date();
+            match.actualEndTime = new Date();
+            match.winnerId = p1.id;
+            match.isConfirmed = true;
+            match.metadata.isBye = true;
+          }
+        } else {
+          linkFeed({ match: winnersRounds[round - 2][2 * i], outcome: 'winner' }, match, 1);
+          linkFeed({ match: winnersRounds[round - 2][2 * i + 1], outcome: 'winner' }, match, 2);
+        }
+        roundMatches.push(match);
+      }
+      winnersRounds.push(roundMatches);
+    }
+    const winnersFinal = winnersRounds[numRounds - 1][0];
+
+    // --- Losers bracket ---
+    const playLosersRound = (pairs, losersRound) =>
+      pairs.map(([feed1, feed2]) => {
+        if (!feed1 || !feed2) return feed1 || feed2; // Bye: pass the participant (if any) straight through.
+        const match = createMatch(this.Sections.LOSERS, losersRound, 0, losersRound);
+        linkFeed(feed1, match, 1);
+        linkFeed(feed2, match, 2);
+        return { match, outcome: 'winner' };
+      });
+    const pairUp = feeds => Array.from({ length: feeds.length / 2 }, (_, i) => [feeds[2 * i], feeds[2 * i + 1]]);
+
+    let losersChampion = { match: winnersFinal, outcome: 'loser' };
+    if (numRounds > 1) {
+      let losersRound = 1;
+      let survivors = playLosersRound(
+        pairUp(winnersRounds[0].map(m => (m.metadata.isBye ? null : { match: m, outcome: 'loser' }))),
+        losersRound
+      );
+      for (let round = 2; round <= numRounds; round++) {
+        // Drop-in round: losers bracket survivors face the losers of this winners round.
+        // Alternate the drop-in order to delay rematches from the winners bracket.
+        const dropIns = winnersRounds[round - 1].map(m => ({ match: m, outcome: 'loser' }));
+        if (round % 2 === 0) dropIns.reverse();
+        losersRound += 1;
+        survivors = playLosersRound(
+          survivors.map((feed, i) => [feed, dropIns[i]]),
+          losersRound
+        );
+        if (round < numRounds) {
+          losersRound += 1;
+          survivors = playLosersRound(pairUp(survivors), losersRound);
+        }
+      }
+      losersChampion = survivors[0];
+
+      // Compressed byes can leave gaps, so renumber losers rounds and matches contiguously.
+      const losersMatches = matches.filter(m => m.metadata.bracket === this.Sections.LOSERS);
+      const usedRounds = [...new Set(losersMatches.map(m => m.roundNumber))].sort((a, b) => a - b);
+      const counters = {};
+      for (const match of losersMatches) {
+        match.roundNumber = usedRounds.indexOf(match.roundNumber) + 1;
+        counters[match.roundNumber] = (counters[match.roundNumber] || 0) + 1;
+        match.matchNumberInRound = counters[match.roundNumber];
+      }
+    }
+
+    // --- Grand final ---
+    const grandFinalOffset = numRounds === 1 ? 1 : 2 * numRounds - 1;
+    const grandFinal = createMatch(this.Sections.GRAND_FINAL, 1, 1, grandFinalOffset);
+    linkFeed({ match: winnersFinal, outcome: 'winner' }, grandFinal, 1);
+    linkFeed(losersChampion, grandFinal, 2);
+
+    if (bracketReset) {
+      // Only played when the losers bracket champion (slot 2) wins the grand final. Slots are kept stable.
+      const resetMatch = createMatch(this.Sections.GRAND_FINAL, 2, 1, grandFinalOffset + 1);
+      resetMatch.metadata.isBracketReset = true;
+      linkFeed({ match: grandFinal, outcome: 'winner' }, resetMatch, 2);
+      linkFeed({ match: grandFinal, outcome: 'loser' }, resetMatch, 1);
+    }
+
+    return this.propagateByes(matches);
   }
 
+  /**
+   * Generates a round robin schedule using the circle method: every participant plays every other
+   * participant in its group once (or twice for a double round robin, with sides swapped in the second leg).
+   *
+   * Participants can be split into groups that each play their own round robin. Groups are filled in snake
+   * order by seed (A, B, B, A, ...) so each group gets a similar spread of seeds. Rounds are shared across
+   * groups, so round N of every group is scheduled at the same time.
+   *
+   * With an odd number of participants in a group, one participant sits out each round; no match is created for it.
+   * Each match carries `metadata.group` (e.g. 'A'), `metadata.round` and `metadata.leg` (1 or 2).
+   *
+   * @param {string} tournamentId - The ID of the tournament.
+   * @param {Array<string|{id: string, seed?: number}>} participantIdsOrObjects - Participant IDs or objects with ID and seed.
+   * @param {object} [options={}] - Options for schedule generation.
+   * @param {boolean} [options.shuffle=true] - Whether to shuffle participants if no seeds are provided.
+   * @param {Date} [options.defaultMatchTime] - A default start time for the first round matches.
+   * @param {number} [options.timePerRound=3600000] - Milliseconds between consecutive rounds.
+   * @param {boolean} [options.doubleRoundRobin=false] - Whether every pairing is played twice.
+   * @param {number} [options.groupCount=1] - Number of groups to split participants into.
+   * @returns {Array<Match>} An array of Match entities representing the schedule.
+   * @throws {Error} If there are too few participants for the requested number of groups.
+   */
   static generateRoundRobin(tournamentId, participantIdsOrObjects, options = {}) {
-    // TODO: Implement round robin bracket generation
-    throw new Error('Round robin bracket generation is not yet implemented.');
+    if (!participantIdsOrObjects || participantIdsOrObjects.length < 2) {
+      throw new Error('At least two participants are required to generate a bracket.');
+    }
+
+    const {
+      shuffle = true,
+      defaultMatchTime = new Date(),
+      timePerRound = 3600 * 1000,
+      doubleRoundRobin = false,
+      groupCount = 1,
+    } = options;
+
+    if (!Number.isInteger(groupCount) || groupCount < 1) {
+      throw new Error('Group count must be a positive integer.');
+    }
+    if (participantIdsOrObjects.length < groupCount * 2) {
+      throw new Error(`At least ${groupCount * 2} participants are required to create ${groupCount} groups.`);
+    }
+
+    const participants = this.seedParticipants(participantIdsOrObjects, shuffle);
+
+    const groups = Array.from({ length: groupCount }, () => []);
+    participants.forEach((participant, index) => {
+      const column = index % groupCount;
+      const isReversedRow = Math.floor(index / groupCount) % 2 === 1;
+      groups[isReversedRow ? groupCount - 1 - column : column].push(participant);
+    });
+
+    const groupSchedules = groups.map(group => this.buildRoundRobinRounds(group));
+    const roundsPerLeg = Math.max(...groupSchedules.map(rounds => rounds.length));
+    const legs = doubleRoundRobin ? 2 : 1;
+
+    const matches = [];
+    const matchCountByRound = {};
+    for (let leg = 1; leg <= legs; leg++) {
+      for (let roundIndex = 0; roundIndex < roundsPerLeg; roundIndex++) {
+        const roundNumber = (leg - 1) * roundsPerLeg + roundIndex + 1;
+        groupSchedules.forEach((rounds, groupIndex) => {
+          for (const [home, away] of rounds[roundIndex] || []) {
+            const [p1, p2] = leg === 1 ? [home, away] : [away, home];
+            matchCountByRound[roundNumber] = (matchCountByRound[roundNumber] || 0) + 1;
+            const match = new Match(
+              uuidv4(),
+              tournamentId,
+              roundNumber,
+              matchCountByRound[roundNumber],
+              p1.id,
+              p2.id,
+              Match.Status.SCHEDULED,
+              new Date(defaultMatchTime.getTime() + (roundNumber - 1) * timePerRound)
+            );
+            match.metadata = { group: String.fromCharCode(65 + groupIndex), round: roundNumber, leg };
+            matches.push(match);
+          }
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Builds the pairings of a single round robin using the circle method.
+   * The first participant stays fixed while the others rotate one position each round.
+   * @param {Array<{id: string}>} participants - Participants of one group.
+   * @returns {Array<Array<[object, object]>>} Rounds, each a list of [home, away] pairs.
+   */
+  static buildRoundRobinRounds(participants) {
+    const slots = [...participants];
+    if (slots.length % 2 === 1) slots.push(null); // null is the "sits out" slot
+    const rounds = [];
+
+    for (let round = 0; round < slots.length - 1; round++) {
+      const pairs = [];
+      for (let i = 0; i < slots.length / 2; i++) {
+        const home = slots[i];
+        const away = slots[slots.length - 1 - i];
+        if (!home || !away) continue;
+        // Alternate sides for the fixed participant so it is not always participant 1.
+        pairs.push(i === 0 && round % 2 === 1 ? [away, home] : [home, away]);
+      }
+      rounds.push(pairs);
+      slots.splice(1, 0, slots.pop());
+    }
+
+    return rounds;
+  }
+
+  /**
+   * Generates the next round of a Swiss system tournament from the matches played so far.
+   *
+   * Participants are ranked by score (win = 1, draw = 0.5, bye = 1) and then by seed. Pairing works down the
+   * ranking: each participant is matched with an opponent on the same score where possible, using the
+   * top-half vs bottom-half split of its score group, and never with someone it has already played.
+   * With an odd number of participants, the lowest-ranked participant without a previous bye gets one.
+   *
+   * Bye matches are returned COMPLETED with `metadata.isBye` set and the participant as winner.
+   *
+   * @param {string} tournamentId - The ID of the tournament.
+   * @param {Array<string|{id: string, seed?: number}>} participantIdsOrObjects - Participant IDs or objects with ID and seed.
+   * @param {Array<Match>} [previousMatches=[]] - All matches of earlier Swiss rounds.
+   * @param {object} [options={}] - Options for round generation.
+   * @param {boolean} [options.shuffle=true] - Whether to shuffle participants if no seeds are provided (first round only matters).
+   * @param {Date} [options.defaultMatchTime] - Start time for the generated round.
+   * @param {number} [options.totalRounds] - Maximum number of rounds. Defaults to ceil(log2(participants)).
+   * @returns {Array<Match>} The matches of the next round.
+   * @throws {Error} If the current round is not finished, all rounds were played, or no valid pairing exists.
+   */
+  static generateSwissRound(tournamentId, participantIdsOrObjects, previousMatches = [], options = {}) {
+    if (!participantIdsOrObjects || participantIdsOrObjects.length < 2) {
+      throw new Error('At least two participants are required to generate a bracket.');
+    }
+    if (previousMatches.some(m => m.status !== Match.Status.COMPLETED)) {
+      throw new Error('All matches in the current Swiss round must be COMPLETED before generating the next round.');
+    }
+
+    const { shuffle = true, defaultMatchTime = new Date() } = options;
+    const participants = this.seedParticipants(participantIdsOrObjects, shuffle);
+    const totalRounds = options.totalRounds || Math.ceil(Math.log2(participants.length));
+    const roundNumber = previousMatches.reduce((max, m) => Math.max(max, m.roundNumber), 0) + 1;
+    if (roundNumber > totalRounds) {
+      throw new Error(`All ${totalRounds} Swiss rounds have already been generated.`);
+    }
+
+    const standings = this.computeSwissStandings(participants, previousMatches);
+    // Pairing order is score first, then seed; tiebreakers only decide final placings.
+    const seedIndex = new Map(participants.map((p, i) => [p.id, i]));
+    const ranked = [...standings].sort(
+      (a, b) => b.score - a.score || seedIndex.get(a.participantId) - seedIndex.get(b.participantId)
+    );
+
+    const byeCandidates = ranked.length % 2 === 1 ? [...ranked].reverse() : [null];
+    let pairing = null;
+    let byeStanding = null;
+    for (const allowRematches of [false, true]) {
+      // One budget for all bye candidates, so an odd field does not multiply the search
+      const budget = { steps: this.SWISS_PAIRING_MAX_STEPS };
+      for (const candidate of byeCandidates) {
+        if (candidate && candidate.byes > 0 && !allowRematches) continue;
+        pairing = this.pairSwissStandings(ranked.filter(s => s !== candidate), allowRematches, budget);
+        if (pairing) {
+          byeStanding = candidate;
+          break;
+        }
+      }
+      if (pairing) break;
+    }
+    if (!pairing) {
+      throw new Error('Unable to find a valid Swiss pairing for the next round.');
+    }
+
+    const matches = pairing.map(([a, b], index) => {
+      const match = new Match(
+        uuidv4(),
+        tournamentId,
+        roundNumber,
+        index + 1,
+        a.participantId,
+        b.participantId,
+        Match.Status.SCHEDULED,
+        defaultMatchTime
+      );
+      match.metadata = { swissRound: roundNumber, totalRounds };
+      return match;
+    });
+
+    if (byeStanding) {
+      const byeMatch = new Match(
+        uuidv4(),
+        tournamentId,
+        roundNumber,
+        matches.length + 1,
+        byeStanding.participantId,
+        null,
+        Match.Status.COMPLETED,
+        defaultMatchTime,
+        new Date(),
+        new Date(),
+        byeStanding.participantId,
+        null,
+        null,
+        null,
+        null,
+        true
+      );
+      byeMatch.metadata = { swissRound: roundNumber, totalRounds, isBye: true };
+      matches.push(byeMatch);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Pairs ranked standings with backtracking so that no pair has met before (unless allowed).
+   * @param {Array<object>} ranked - Standings in pairing order. Must have an even length.
+   * @param {boolean} allowRematches - Whether previous opponents may be paired again.
+   * @param {{steps: number}} [budget] - Opponents left to try; shared across the recursion and used up by it.
+   * @returns {Array<[object, object]>|null} Pairs in ranking order, or null if no pairing exists or the
+   *   budget ran out before one was found.
+   */
+  static pairSwissStandings(ranked, allowRematches, budget = { steps: this.SWISS_PAIRING_MAX_STEPS }) {
+    if (ranked.length === 0) return [];
+
+    const [top, ...rest] = ranked;
+    // Prefer the opponent half a score group below (Dutch system), then the rest of the group, then lower groups.
+    const sameScore = rest.filter(s => s.score === top.score);
+    const preferredIndex = Math.max(Math.floor((sameScore.length + 1) / 2) - 1, 0);
+    const candidates = [
+      ...sameScore.slice(preferredIndex),
+      ...sameScore.slice(0, preferredIndex).reverse(),
+      ...rest.filter(s => s.score !== top.score),
+    ];
+
+    for (const opponent of candidates) {
+      if (!allowRematches && top.opponents.includes(opponent.participantId)) continue;
+      if (budget.steps <= 0) return null;
+      budget.steps -= 1;
+      const remainingPairs = this.pairSwissStandings(
+        rest.filter(s => s !== opponent),
+        allowRematches,
+        budget
+      );
+      if (remainingPairs) return [[top, opponent], ...remainingPairs];
+    }
+    return null;
+  }
+
+  /**
+   * Computes Swiss standings from completed matches.
+   * Buchholz is the sum of the opponents' scores. Sonneborn-Berger is the sum of the scores of defeated
+   * opponents plus half the scores of drawn opponents. Byes count as a win but add no opponent.
+   * @param {Array<string|{id: string}>} participantIdsOrObjects - Participant IDs or objects.
+   * @param {Array<Match>} matches - Matches played so far. Only COMPLETED matches are counted.
+   * @returns {Array<{participantId: string, score: number, buchholz: number, sonnebornBerger: number,
+   *   wins: number, draws: number, losses: number, byes: number, opponents: string[]}>}
+   *   Standings sorted by score, Buchholz, then Sonneborn-Berger.
+   */
+  static computeSwissStandings(participantIdsOrObjects, matches) {
+    const standingsById = new Map();
+    participantIdsOrObjects.forEach(p => {
+      const participantId = typeof p === 'string' ? p : p.id;
+      standingsById.set(participantId, {
+        participantId,
+        score: 0,
+        buchholz: 0,
+        sonnebornBerger: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        byes: 0,
+        opponents: [],
+        results: [], // [opponentId, points] pairs, used for tiebreakers
+      });
+    });
+
+    const completed = matches.filter(m => m.status === Match.Status.COMPLETED);
+    for (const match of completed) {
+      const s1 = standingsById.get(match.participant1Id);
+      const s2 = standingsById.get(match.participant2Id);
+      if (s1 && !match.participant2Id) {
+        s1.score += 1;
+        s1.byes += 1;
+        continue;
+      }
+      if (!s1 || !s2) continue;
+
+      const p1Points = !match.winnerId ? 0.5 : match.winnerId === match.participant1Id ? 1 : 0;
+      for (const [self, other, points] of [[s1, s2, p1Points], [s2, s1, 1 - p1Points]]) {
+        self.score += points;
+        self.opponents.push(other.participantId);
+        self.results.push([other.participantId, points]);
+        if (points === 1) self.wins += 1;
+        else if (points === 0) self.losses += 1;
+        else self.draws += 1;
+      }
+    }
+
+    const standings = [...standingsById.values()];
+    for (const standing of standings) {
+      for (const [opponentId, points] of standing.results) {
+        const opponentScore = standingsById.get(opponentId).score;
+        standing.buchholz += opponentScore;
+        standing.sonnebornBerger += opponentScore * points;
+      }
+      delete standing.results;
+    }
+
+    return standings.sort(
+      (a, b) => b.score - a.score || b.buchholz - a.buchholz || b.sonnebornBerger - a.sonnebornBerger
+    );
+  }
+
+  /**
+   * The bracket tree section a match belongs to.
+   * @param {Match} match
+   * @returns {string}
+   */
+  static getSectionName(match) {
+    const metadata = match.metadata || {};
+    return metadata.bracket || (metadata.group ? `GROUP_${metadata.group}` : 'MAIN');
+  }
+
+  /**
+   * The view of a single match used in bracket trees and live bracket updates.
+   * @param {Match} match
+   * @returns {object}
+   */
+  static toBracketNode(match) {
+    const metadata = match.metadata || {};
+    return {
+      id: match.id,
+      matchNumber: match.matchNumberInRound,
+      status: match.status,
+      participant1Id: match.participant1Id,
+      participant2Id: match.participant2Id,
+      participant1Score: match.participant1Score,
+      participant2Score: match.participant2Score,
+      winnerId: match.winnerId,
+      scheduledTime: match.scheduledTime,
+      nextMatchId: match.nextMatchId,
+      nextMatchLoserId: match.nextMatchLoserId,
+      isBye: Boolean(metadata.isBye) || (match.status === Match.Status.COMPLETED && !(match.participant1Id && match.participant2Id)),
+    };
+  }
+
+  /**
+   * Groups persisted matches into a tree a client can render: sections (winners/losers/grand final,
+   * round robin groups, or a single main section), each with ordered rounds of ordered matches.
+   * Links between matches are kept as IDs (`nextMatchId`, `nextMatchLoserId`).
+   * @param {Array<Match>} matches - All matches of a tournament.
+   * @returns {Array<{name: string, rounds: Array<{roundNumber: number, matches: Array<object>}>}>}
+   */
+  static buildBracketTree(matches) {
+    const sectionOrder = [this.Sections.WINNERS, this.Sections.LOSERS, this.Sections.GRAND_FINAL];
+    const sections = new Map();
+
+    for (const match of matches) {
+      const name = this.getSectionName(match);
+      if (!sections.has(name)) sections.set(name, new Map());
+      const rounds = sections.get(name);
+      if (!rounds.has(match.roundNumber)) rounds.set(match.roundNumber, []);
+      rounds.get(match.roundNumber).push(this.toBracketNode(match));
+    }
+
+    const rank = name => (sectionOrder.includes(name) ? sectionOrder.indexOf(name) : sectionOrder.length);
+    return [...sections.entries()]
+      .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+      .map(([name, rounds]) => ({
+        name,
+        rounds: [...rounds.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([roundNumber, roundMatches]) => ({
+            roundNumber,
+            matches: roundMatches.sort((a, b) => a.matchNumber - b.matchNumber),
+          })),
+      }));
   }
 }
 
@@ -165,8 +165,9 @@ class Match {
    * @param {number|null} scoreP2 - Score for participant 2.
    * @param {string|null} proofUrl1 - URL of the result proof for P1.
    * @param {string|null} [proofUrl2] - URL of the result proof for P2 (optional).
+   * @param {string|null} [submittedBy] - ID of the participant who submitted the result. Only their opponent may confirm it.
    */
-  recordResult(winningParticipantId, scoreP1, scoreP2, proofUrl1 = null, proofUrl2 = null) {
+  recordResult(winningParticipantId, scoreP1, scoreP2, proofUrl1 = null, proofUrl2 = null, submittedBy = null) {
     if (this.status !== Match.Status.IN_PROGRESS && this.status !== Match.Status.AWAITING_SCORES) {
       throw new Error(`Cannot record result for match with status: ${this.status}.`);
     }
@@ -189,6 +190,7 @@ class Match {
 
     this.actualEndTime = new Date();
     this.isConfirmed = false; // Result recorded, but needs confirmation
+    this.metadata = { ...this.metadata, resultSubmittedBy: submittedBy };
     this.updateStatus(Match.Status.AWAITING_CONFIRMATION);
   }
 
@@ -206,6 +208,14 @@ class Match {
     // Application service would then handle advancing winner to nextMatchId if it exists.
   }
 
+  /**
+   * Returns the ID of the participant who submitted the current result, if known.
+   * @returns {string|null}
+   */
+  getResultSubmitterId() {
+    return (this.metadata && this.metadata.resultSubmittedBy) || null;
+  }
+
   disputeResult(reporterId, reason) {
     if (this.status !== Match.Status.AWAITING_CONFIRMATION && this.status !== Match.Status.COMPLETED) {
       throw new Error(`Result cannot be disputed for match with status: ${this.status}.`);
@@ -230,7 +240,7 @@ class Match {
     // Scores might also be adjusted by admin and set here.
     // this.participant1Score = newP1Score;
     // this.participant2Score = newP2Score;
-    this.isConfirmed = true; // Admin resolution implies confirmation
+    this.isConfirmed = newStatus === Match.Status.COMPLETED; // Admin resolution confirms a result, a replay has none yet
     this.moderatorNotes = adminNotes; // Store admin notes if entity supports it
     this.updateStatus(newStatus); // Could be COMPLETED, CANCELED, or back to SCHEDULED for replay
     this.updatedAt = new Date();
@@ -29,7 +29,7 @@ class MatchRepositoryInterface {
   /**
    * Finds a match by its ID.
    * @param {string} matchId - The ID of the match.
-   * @param {object} [options] - Database transaction options.
+   * @param {object} [options] - Database transaction options (e.g., transaction, lock).
    * @returns {Promise<Match|null>} The match entity or null if not found.
    */
   async findById(matchId, options) {
@@ -57,6 +57,16 @@ class MatchRepositoryInterface {
     throw new Error('Method not implemented.');
   }
 
+  /**
+   * Deletes all matches of a tournament, e.g. before its bracket is regenerated.
+   * @param {string} tournamentId - The ID of the tournament.
+   * @param {object} [options] - Database transaction options.
+   * @returns {Promise<number>} The number of deleted matches.
+   */
+  async deleteByTournamentId(tournamentId, options) {
+    throw new Error('Method not implemented.');
+  }
+
   /**
    * Finds all matches for a given tournament.
    * @param {string} tournamentId - The ID of the tournament.
@@ -67,6 +77,18 @@ class MatchRepositoryInterface {
     throw new Error('Method not implemented.');
   }
 
+  /**
+   * Finds matches whose submitted result still awaits confirmation, oldest first.
+   * @param {object} [criteria]
+   * @param {Date} [criteria.endedBefore] - Only matches whose result was submitted at or before this time.
+   * @param {number} [criteria.limit] - Maximum number of matches to return.
+   * @param {object} [options] - Database transaction options.
+   * @returns {Promise<Match[]>} An array of match entities.
+   */
+  async findAwaitingConfirmation(criteria, options) {
+    throw new Error('Method not implemented.');
+  }
+
   /**
    * Finds matches involving a specific participant.
    * @param {string} participantId - The ID of the participant.
@@ -0,0 +1,183 @@
+const { BracketLogic } = require('./bracket.logic');
+const { Match } = require('./match.entity');
+const { Tournament } = require('./tournament.entity');
+
+/**
+ * @file prize.logic.js
+ * Turns a finished tournament into final placements and splits the prize pool over them
+ * according to the tournament's payout table (`settings.payoutTable`).
+ * This is pure domain logic; crediting wallets is done by the PrizeDistributionService.
+ *
+ * A payout table lists the amount of each placement, either as a percentage of the pool or as a
+ * fixed amount, e.g. `{ mode: 'PERCENTAGE', places: [{ from: 1, to: 1, value: 50 }, { from: 2, to: 2, value: 30 },
+ * { from: 3, to: 4, value: 10 }] }` pays 50% to 1st, 30% to 2nd and 10% each to 3rd and 4th.
+ */
+class PrizeLogic {
+  static Mode = {
+    PERCENTAGE: 'PERCENTAGE',
+    FIXED: 'FIXED',
+  };
+
+  /** Used when a tournament has no payout table: the winner takes the whole pool. */
+  static DEFAULT_PAYOUT_TABLE = Object.freeze({
+    mode: 'PERCENTAGE',
+    places: [{ from: 1, to: 1, value: 100 }],
+  });
+
+  /**
+   * Checks that a payout table is well formed and does not pay out more than the pool.
+   * @param {{mode: string, places: Array<{from: number, to: number, value: number}>}} table
+   * @param {number} [prizePool] - Checked against FIXED tables when given.
+   * @throws {Error} If the table is invalid.
+   */
+  static validatePayoutTable(table, prizePool = null) {
+    if (!table || !Object.values(this.Mode).includes(table.mode)) {
+      throw new Error(`Payout mode must be one of: ${Object.values(this.Mode).join(', ')}.`);
+    }
+    if (!Array.isArray(table.places) || table.places.length === 0) {
+      throw new Error('A payout table needs at least one placement.');
+    }
+
+    const sorted = [...table.places].sort((a, b) => a.from - b.from);
+    let total = 0;
+    let lastPlace = 0;
+    for (const entry of sorted) {
+      if (!Number.isInteger(entry.from) || !Number.isInteger(entry.to) || entry.from < 1 || entry.to < entry.from) {
+        throw new Error(`Invalid placement range ${entry.from}-${entry.to}.`);
+      }
+      if (entry.from <= lastPlace) {
+        throw new Error(`Placement ${entry.from} is listed more than once.`);
+      }
+      if (typeof entry.value !== 'number' || entry.value <= 0) {
+        throw new Error(`Payout for placement ${entry.from}-${entry.to} must be a positive number.`);
+      }
+      total += entry.value * (entry.to - entry.from + 1);
+      lastPlace = entry.to;
+    }
+
+    if (table.mode === this.Mode.PERCENTAGE && total > 100 + 1e-9) {
+      throw new Error(`Payout percentages add up to ${total}%, more than 100%.`);
+    }
+    if (table.mode === this.Mode.FIXED && prizePool != null && total > prizePool + 1e-9) {
+      throw new Error(`Fixed payouts add up to ${total}, more than the prize pool of ${prizePool}.`);
+    }
+  }
+
+  /**
+   * Computes the final placements of a completed tournament.
+   * Round robin and Swiss tournaments are ranked by their standings. In elimination formats the
+   * champion is first and everyone else is ranked by how far they got: participants knocked out
+   * in the same round share a placement (e.g. both semifinal losers are 3rd).
+   * @param {{bracketType: string, winnerId: string|null}} tournament
+   * @param {Array<Match>} matches - All matches of the tournament.
+   * @param {Array<{participantId: string, participantType: string}>} participants - Registered participants.
+   * @returns {Array<{place: number, participants: Array<{participantId: string, participantType: string}>}>}
+   *   Placement groups, best first. A group of n participants at place p occupies places p to p+n-1.
+   */
+  static computePlacements(tournament, matches, participants) {
+    const types = new Map(participants.map((p) => [p.participantId, p.participantType]));
+    const entry = (participantId) => ({ participantId, participantType: types.get(participantId) || null });
+
+    if (tournament.bracketType === Tournament.BracketType.SWISS || tournament.bracketType === Tournament.BracketType.ROUND_ROBIN) {
+      return BracketLogic.computeSwissStandings(participants.map((p) => p.participantId), matches)
+        .map((standing, index) => ({ place: index + 1, participants: [entry(standing.participantId)] }));
+    }
+
+    const played = matches.filter(
+      (m) => m.status === Match.Status.COMPLETED && m.participant1Id && m.participant2Id,
+    );
+
+    const lastMatchOf = new Map();
+    for (const match of played) {
+      for (const participantId of [match.participant1Id, match.participant2Id]) {
+        const current = lastMatchOf.get(participantId);
+        if (!current || this.eliminationDepth(match) > this.eliminationDepth(current)) {
+          lastMatchOf.set(participantId, match);
+        }
+      }
+    }
+
+    const eliminatedAt = new Map();
+    for (const [participantId, match] of lastMatchOf) {
+      if (participantId === tournament.winnerId || !match.winnerId || match.winnerId === participantId) continue;
+      const depth = this.eliminationDepth(match);
+      if (!eliminatedAt.has(depth)) eliminatedAt.set(depth, []);
+      eliminatedAt.get(depth).push(entry(participantId));
+    }
+
+    const placements = [];
+    let place = 1;
+    if (tournament.winnerId) {
+      placements.push({ place, participants: [entry(tournament.winnerId)] });
+      place += 1;
+    }
+    for (const depth of [...eliminatedAt.keys()].sort((a, b) => b - a)) {
+      const group = eliminatedAt.get(depth);
+      placements.push({ place, participants: group });
+      place += group.length;
+    }
+    return placements;
+  }
+
+  /**
+   * Splits the prize pool over the placements. Participants sharing a placement share the
+   * combined payout of the places they occupy. Amounts are rounded to cents without losing any.
+   * @param {{mode: string, places: Array<{from: number, to: number, value: number}>}} table
+   * @param {number} prizePool
+   * @param {Array<{place: number, participants: Array<{participantId: string, participantType: string}>}>} placements
+   * @returns {Array<{participantId: string, participantType: string, place: number, amount: number}>}
+   *   Payouts with a positive amount.
+   */
+  static allocate(table, prizePool, placements) {
+    const amountForPlace = (place) => {
+      const row = table.places.find((p) => place >= p.from && place <= p.to);
+      if (!row) return 0;
+      return table.mode === this.Mode.PERCENTAGE ? (prizePool * row.value) / 100 : row.value;
+    };
+
+    const payouts = [];
+    for (const { place, participants } of placements) {
+      let groupTotal = 0;
+      for (let p = place; p < place + participants.length; p += 1) {
+        groupTotal += amountForPlace(p);
+      }
+      this.splitEvenly(groupTotal, participants.length).forEach((amount, index) => {
+        if (amount > 0) {
+          payouts.push({ ...participants[index], place, amount });
+        }
+      });
+    }
+    return payouts;
+  }
+
+  /**
+   * Splits an amount into `count` parts that differ by at most one cent and add up to the amount.
+   * @param {number} amount
+   * @param {number} count
+   * @returns {number[]}
+   */
+  static splitEvenly(amount, count) {
+    const cents = Math.round(amount * 100);
+    const base = Math.floor(cents / count);
+    const remainder = cents - base * count;
+    return Array.from({ length: count }, (_, i) => (base + (i < remainder ? 1 : 0)) / 100);
+  }
+
+  /**
+   * How far into the bracket a match is: grand final (and its reset) beyond the losers bracket,
+   * beyond the winners/main bracket, later rounds beyond earlier ones.
+   * @private
+   */
+  static eliminationDepth(match) {
+    const metadata = match.metadata || {};
+    if (metadata.bracket === BracketLogic.Sections.GRAND_FINAL) {
+      return 3000000 + (metadata.isBracketReset ? 1 : 0);
+    }
+    if (metadata.bracket === BracketLogic.Sections.LOSERS) {
+      return 2000000 + match.roundNumber;
+    }
+    return 1000000 + match.roundNumber;
+  }
+}
+
+module.exports = { PrizeLogic };
@@ -28,6 +28,10 @@ class Tournament {
    * @param {string|null} bannerImageUrl - URL for the tournament banner.
    * @param {string} bracketType - Type of bracket for the tournament.
    * @param {object} settings - Additional settings for the tournament.
+   * @param {Array<object>} [images] - Images attached to the tournament.
+   * @param {object} [rankRestriction] - Rank requirements for registration.
+   * @param {string|null} [winnerId] - ID of the winning participant once the tournament is completed.
+   * @param {string|null} [winnerType] - Type of the winning participant ('user' or 'team').
    */
   constructor(
     id,
@@ -57,7 +61,9 @@ class Tournament {
     bracketType = Tournament.BracketType.SINGLE_ELIMINATION,
     settings = {},
     images = [],
-    rankRestriction = {}
+    rankRestriction = {},
+    winnerId = null,
+    winnerType = null
   ) {
     if (!id) throw new Error('Tournament ID is required.');
     if (!name) throw new Error('Tournament name is required.');
@@ -107,6 +113,8 @@ class Tournament {
     this.settings = settings;
     this.images = images;
     this.rankRestriction = rankRestriction;
+    this.winnerId = winnerId;
+    this.winnerType = winnerType;
 
     this.participants = []; // Initialized as empty, populated from persistence
     // this._matches = matches;           // Store as internal, manage via methods
@@ -141,7 +149,10 @@ class Tournament {
       data.bannerImageUrl,
       data.bracketType,
       data.settings,
-      data.images
+      data.images,
+      data.rankRestriction,
+      data.winnerId,
+      data.winnerType
     );
   }
 
@@ -166,6 +177,15 @@ class Tournament {
   };
   static validBracketTypes = Object.values(Tournament.BracketType);
 
+  // Stored in settings.seeding.strategy and applied when the bracket is generated.
+  static SeedingStrategy = {
+    RANDOM: 'RANDOM',
+    POINTS: 'POINTS', // User points (and therefore rank); team members are averaged
+    LEADERBOARD: 'LEADERBOARD', // Position on the leaderboard of the tournament's game
+    MANUAL: 'MANUAL', // Order posted by a manager in settings.seeding.manualOrder
+  };
+  static validSeedingStrategies = Object.values(Tournament.SeedingStrategy);
+
   static EntryFeeType = {
     FREE: 'FREE',
     PAID_CASH: 'PAID_CASH',
@@ -182,6 +202,32 @@ class Tournament {
   };
   static validPrizeTypes = Object.values(Tournament.PrizeType);
 
+  // Stored in settings.teamFeePayment: who pays the entry fee of a team registration.
+  static TeamFeePayment = {
+    CAPTAIN: 'CAPTAIN', // The captain pays the whole fee
+    SPLIT: 'SPLIT', // The fee is split evenly across the registered roster
+  };
+  static validTeamFeePayments = Object.values(Tournament.TeamFeePayment);
+
+  // How much of an entry fee is returned, e.g. settings.noShowRefundPolicy = { type: 'PARTIAL', percentage: 50 }.
+  static RefundPolicy = {
+    FULL: 'FULL',
+    PARTIAL: 'PARTIAL', // `percentage` of the fee
+    NONE: 'NONE',
+  };
+  static validRefundPolicies = Object.values(Tournament.RefundPolicy);
+
+  /**
+   * The percentage of an entry fee a refund policy returns. A missing policy refunds in full.
+   * @param {{type: string, percentage?: number}|undefined} policy
+   * @returns {number} 0 to 100.
+   */
+  static refundPercentage(policy) {
+    if (!policy || policy.type === Tournament.RefundPolicy.FULL) return 100;
+    if (policy.type === Tournament.RefundPolicy.PARTIAL) return policy.percentage;
+    return 0;
+  }
+
 
   // --- Status Management ---
   updateStatus(newStatus) {
@@ -217,11 +263,15 @@ class Tournament {
     this.updateStatus(Tournament.Status.ONGOING);
   }
 
-  completeTournament() {
+  completeTournament(winnerId = null, winnerType = null) {
     if (this.status !== Tournament.Status.ONGOING) {
       throw new Error('Tournament can only be completed if it is ONGOING.');
     }
     this.updateStatus(Tournament.Status.COMPLETED);
+    if (winnerId) {
+      this.winnerId = winnerId;
+      this.winnerType = winnerType;
+    }
     this.endDate = this.endDate || new Date(); // Set end date if not already set
   }
 
@@ -278,6 +328,45 @@ class Tournament {
     return this.currentParticipants >= this.maxParticipants;
   }
 
+  // --- Check-in ---
+  /**
+   * When the check-in window opens: `settings.checkInWindowMinutes` before the start date.
+   * @returns {Date|null} Null if the tournament does not require check-in.
+   */
+  getCheckInOpensAt() {
+    const windowMinutes = this.settings && this.settings.checkInWindowMinutes;
+    if (!windowMinutes || !this.startDate) return null;
+    return new Date(new Date(this.startDate).getTime() - windowMinutes * 60 * 1000);
+  }
+
+  requiresCheckIn() {
+    return this.getCheckInOpensAt() !== null;
+  }
+
+  isCheckInOpen(now = new Date()) {
+    const opensAt = this.getCheckInOpensAt();
+    if (!opensAt) return false;
+    if (this.status !== Tournament.Status.REGISTRATION_OPEN && this.status !== Tournament.Status.REGISTRATION_CLOSED) return false;
+    return opensAt <= now && now < new Date(this.startDate);
+  }
+
+  // --- Withdrawal ---
+  /**
+   * The last moment a participant can withdraw: `settings.withdrawalCutoffMinutes` before the start date,
+   * or the start date itself when no cutoff is set.
+   * @returns {Date|null} Null if the tournament has no start date.
+   */
+  getWithdrawalDeadline() {
+    if (!this.startDate) return null;
+    const cutoffMinutes = (this.settings && this.settings.withdrawalCutoffMinutes) || 0;
+    return new Date(new Date(this.startDate).getTime() - cutoffMinutes * 60 * 1000);
+  }
+
+  /** Share of the entry fee returned to a participant who withdraws, per `settings.withdrawalRefundPolicy`. */
+  getWithdrawalRefundPercentage() {
+    return Tournament.refundPercentage(this.settings && this.settings.withdrawalRefundPolicy);
+  }
+
   // --- Other Properties Update ---
   updateDetails(details) {
     if (this.status === Tournament.Status.ONGOING || this.status === Tournament.Status.COMPLETED || this.status === Tournament.Status.CANCELED) {
@@ -363,6 +452,9 @@ module.exports = {
   Tournament,
   TournamentStatus: Tournament.Status,
   BracketType: Tournament.BracketType,
+  SeedingStrategy: Tournament.SeedingStrategy,
   EntryFeeType: Tournament.EntryFeeType,
   PrizeType: Tournament.PrizeType,
+  TeamFeePayment: Tournament.TeamFeePayment,
+  RefundPolicy: Tournament.RefundPolicy,
 };
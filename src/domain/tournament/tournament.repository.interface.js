@@ -104,6 +104,43 @@ class TournamentRepositoryInterface {
     throw new Error('Method "findAllParticipants" not implemented.');
   }
 
+  /**
+   * Finds PENDING or UPCOMING tournaments whose `settings.registrationOpensAt` has passed and which have not started.
+   * @param {object} params
+   * @param {Date} params.now - The current time.
+   * @param {number} [params.limit=100]
+   * @param {object} [options] - Options such as `{ transaction }`.
+   * @returns {Promise<Array<Tournament>>}
+   */
+  async findDueForRegistrationOpening({ now, limit = 100 }, options = {}) {
+    throw new Error('Method "findDueForRegistrationOpening" not implemented.');
+  }
+
+  /**
+   * Finds tournaments with open or closed registration whose check-in window (`settings.checkInWindowMinutes`
+   * before the start date) has opened, which have not started and whose check-in was not opened yet.
+   * @param {object} params
+   * @param {Date} params.now - The current time.
+   * @param {number} [params.limit=100]
+   * @param {object} [options] - Options such as `{ transaction }`.
+   * @returns {Promise<Array<Tournament>>}
+   */
+  async findDueForCheckInOpening({ now, limit = 100 }, options = {}) {
+    throw new Error('Method "findDueForCheckInOpening" not implemented.');
+  }
+
+  /**
+   * Finds tournaments with open or closed registration whose start date has passed.
+   * @param {object} params
+   * @param {Date} params.now - The current time.
+   * @param {number} [params.limit=100]
+   * @param {object} [options] - Options such as `{ transaction }`.
+   * @returns {Promise<Array<Tournament>>}
+   */
+  async findDueToStart({ now, limit = 100 }, options = {}) {
+    throw new Error('Method "findDueToStart" not implemented.');
+  }
+
   /**
    * Increments the current participant count for a tournament.
    * @param {string} tournamentId - The ID of the tournament.
@@ -1,10 +1,20 @@
 const { v4: uuidv4 } = require('uuid');
 
 class TournamentImage {
-  constructor({ id, tournamentId, url, description, isPrimary, createdAt, updatedAt }) {
+  /**
+   * @param {object} params
+   * @param {number|null} [params.width] - Width of the image in pixels.
+   * @param {number|null} [params.height] - Height of the image in pixels.
+   * @param {Object<string, {url: string, width: number, height: number}>|null} [params.variants] - Resized
+   *   WebP versions by name (thumbnail, small, medium), as returned by the upload endpoint.
+   */
+  constructor({ id, tournamentId, url, description, isPrimary, width = null, height = null, variants = null, createdAt, updatedAt }) {
     this.id = id || uuidv4();
     this.tournamentId = tournamentId;
     this.url = url;
+    this.width = width;
+    this.height = height;
+    this.variants = variants;
     this.description = description;
     this.isPrimary = isPrimary || false;
     this.createdAt = createdAt || new Date();
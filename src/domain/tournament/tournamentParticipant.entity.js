@@ -11,6 +11,7 @@ class TournamentParticipant {
    * @param {number|null} seed - The participant's seed in the tournament.
    * @param {Date} [createdAt] - Timestamp of when the record was created (if different from registeredAt).
    * @param {Date} [updatedAt] - Timestamp of when the record was last updated.
+   * @param {string[]|null} [roster] - User IDs of the players a team registered with.
    */
   constructor(
     id,
@@ -21,7 +22,8 @@ class TournamentParticipant {
     checkInStatus = false,
     seed = null,
     createdAt = new Date(), // Defaulting, persistence layer might override
-    updatedAt = new Date()  // Defaulting, persistence layer might override
+    updatedAt = new Date(),  // Defaulting, persistence layer might override
+    roster = null
   ) {
     if (!id) throw new Error('TournamentParticipant ID is required.');
     if (!tournamentId) throw new Error('Tournament ID is required.');
@@ -38,6 +40,7 @@ class TournamentParticipant {
     this.seed = seed !== null ? parseInt(seed, 10) : null;
     this.createdAt = createdAt; // Usually managed by DB timestamps
     this.updatedAt = updatedAt; // Usually managed by DB timestamps
+    this.roster = roster;
   }
 
   static fromPersistence(data) {
@@ -51,7 +54,8 @@ class TournamentParticipant {
       data.checkInStatus,
       data.seed,
       data.createdAt,
-      data.updatedAt
+      data.updatedAt,
+      data.roster
     );
   }
 
@@ -0,0 +1,80 @@
+// src/domain/tournament/tournamentWaitlistEntry.entity.js
+
+/**
+ * A user's place in the waitlist of a full tournament. Entries are served first in, first out.
+ */
+class TournamentWaitlistEntry {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier of the entry (UUID), set by persistence.
+   * @param {string} params.tournamentId - ID of the tournament.
+   * @param {string} params.userId - ID of the waiting user.
+   * @param {string} [params.status] - One of TournamentWaitlistEntry.Status.
+   * @param {Date} [params.createdAt] - When the user joined the waitlist; decides the order.
+   * @param {Date} [params.updatedAt]
+   */
+  constructor({ id, tournamentId, userId, status = TournamentWaitlistEntry.Status.WAITING, createdAt = new Date(), updatedAt = new Date() }) {
+    if (!tournamentId) throw new Error('Tournament ID is required for a waitlist entry.');
+    if (!userId) throw new Error('User ID is required for a waitlist entry.');
+    if (!Object.values(TournamentWaitlistEntry.Status).includes(status)) {
+      throw new Error(`Invalid waitlist entry status: ${status}.`);
+    }
+
+    this.id = id;
+    this.tournamentId = tournamentId;
+    this.userId = userId;
+    this.status = status;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  static Status = {
+    WAITING: 'WAITING',
+    PROMOTED: 'PROMOTED', // Registered for the tournament when a spot freed up
+    SKIPPED: 'SKIPPED', // Could not pay the entry fee when promoted
+    LEFT: 'LEFT', // Left the waitlist
+  };
+
+  isWaiting() {
+    return this.status === TournamentWaitlistEntry.Status.WAITING;
+  }
+
+  promote() {
+    this.transitionTo(TournamentWaitlistEntry.Status.PROMOTED);
+  }
+
+  skip() {
+    this.transitionTo(TournamentWaitlistEntry.Status.SKIPPED);
+  }
+
+  leave() {
+    this.transitionTo(TournamentWaitlistEntry.Status.LEFT);
+  }
+
+  /** @private */
+  transitionTo(status) {
+    if (!this.isWaiting()) {
+      throw new Error(`Waitlist entry is already ${this.status}.`);
+    }
+    this.status = status;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {TournamentWaitlistEntry|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new TournamentWaitlistEntry({
+      id: persistenceObject.id,
+      tournamentId: persistenceObject.tournamentId,
+      userId: persistenceObject.userId,
+      status: persistenceObject.status,
+      createdAt: persistenceObject.createdAt,
+      updatedAt: persistenceObject.updatedAt,
+    });
+  }
+}
+
+module.exports = { TournamentWaitlistEntry };
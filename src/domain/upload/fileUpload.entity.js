@@ -0,0 +1,162 @@
+// src/domain/upload/fileUpload.entity.js
+
+/**
+ * A file a user uploads to storage, tracked from the moment an upload URL is issued until it was
+ * scanned for malware. Only CLEAN uploads may be attached to results or disputes.
+ */
+class FileUpload {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier (UUID), set by persistence.
+   * @param {string} params.fileKey - Storage key of the file.
+   * @param {string} params.uploaderId - ID of the uploading user.
+   * @param {string} params.purpose - One of FileUpload.Purpose.
+   * @param {string|null} [params.entityId] - ID of what the file is for, e.g. the match or dispute.
+   * @param {string|null} [params.contentType] - Content type the upload URL was issued for.
+   * @param {Date|null} [params.uploadExpiresAt] - When the upload URL stops working.
+   * @param {number|null} [params.size] - Size in bytes, known once the file was received.
+   * @param {number|null} [params.width] - Width in pixels, for images.
+   * @param {number|null} [params.height] - Height in pixels, for images.
+   * @param {Object<string, {key: string, width: number, height: number}>|null} [params.variants] - Resized versions of images, by name.
+   * @param {string} [params.status] - One of FileUpload.Status.
+   * @param {string|null} [params.rejectionReason] - Why the file is INFECTED or REJECTED, e.g. the malware signature.
+   * @param {string|null} [params.quarantineKey] - Where an infected file was moved to.
+   * @param {Date|null} [params.scannedAt]
+   * @param {Date} [params.createdAt]
+   * @param {Date} [params.updatedAt]
+   */
+  constructor({
+    id, fileKey, uploaderId, purpose, entityId = null, contentType = null, uploadExpiresAt = null, size = null, width = null, height = null, variants = null,
+    status = FileUpload.Status.PENDING_SCAN, rejectionReason = null, quarantineKey = null, scannedAt = null, createdAt = new Date(), updatedAt = new Date(),
+  }) {
+    if (!fileKey) throw new Error('File key is required for a file upload.');
+    if (!uploaderId) throw new Error('Uploader ID is required for a file upload.');
+    if (!Object.values(FileUpload.Purpose).includes(purpose)) {
+      throw new Error(`Invalid file upload purpose: ${purpose}.`);
+    }
+    if (!Object.values(FileUpload.Status).includes(status)) {
+      throw new Error(`Invalid file upload status: ${status}.`);
+    }
+
+    this.id = id;
+    this.fileKey = fileKey;
+    this.uploaderId = uploaderId;
+    this.purpose = purpose;
+    this.entityId = entityId;
+    this.contentType = contentType;
+    this.uploadExpiresAt = uploadExpiresAt;
+    this.size = size === null || size === undefined ? null : Number(size);
+    this.width = width;
+    this.height = height;
+    this.variants = variants;
+    this.status = status;
+    this.rejectionReason = rejectionReason;
+    this.quarantineKey = quarantineKey;
+    this.scannedAt = scannedAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  static Status = Object.freeze({
+    PENDING_SCAN: 'PENDING_SCAN', // Upload URL issued; waiting for the file or its scan
+    CLEAN: 'CLEAN', // Scanned and passed content checks
+    INFECTED: 'INFECTED', // Malware found; the file was quarantined
+    REJECTED: 'REJECTED', // Never uploaded, unscannable, or failed content checks
+  });
+
+  static Purpose = Object.freeze({
+    MATCH_RESULT: 'MATCH_RESULT',
+    DISPUTE_EVIDENCE: 'DISPUTE_EVIDENCE',
+  });
+
+  isPending() {
+    return this.status === FileUpload.Status.PENDING_SCAN;
+  }
+
+  isClean() {
+    return this.status === FileUpload.Status.CLEAN;
+  }
+
+  /**
+   * @param {object} file - The scanned file as it is stored now.
+   * @param {number} file.size - Size in bytes.
+   * @param {string} file.contentType - Its type as detected from its contents.
+   * @param {number} [file.width] - For images.
+   * @param {number} [file.height] - For images.
+   * @param {Object<string, {key: string, width: number, height: number}>} [file.variants] - For images.
+   * @param {Date} [now]
+   */
+  markClean({ size, contentType, width = null, height = null, variants = null }, now = new Date()) {
+    this.assertPending();
+    this.status = FileUpload.Status.CLEAN;
+    this.size = size;
+    this.contentType = contentType;
+    this.width = width;
+    this.height = height;
+    this.variants = variants;
+    this.scannedAt = now;
+    this.updatedAt = now;
+  }
+
+  /**
+   * @param {string} signature - Name of the malware found.
+   * @param {string|null} quarantineKey - Where the file was moved to.
+   * @param {Date} [now]
+   */
+  markInfected(signature, quarantineKey, now = new Date()) {
+    this.assertPending();
+    this.status = FileUpload.Status.INFECTED;
+    this.rejectionReason = signature;
+    this.quarantineKey = quarantineKey;
+    this.scannedAt = now;
+    this.updatedAt = now;
+  }
+
+  /**
+   * @param {string} reason - Why the file is not accepted, e.g. `NOT_UPLOADED` or `CONTENT_TYPE`.
+   * @param {Date} [now]
+   */
+  reject(reason, now = new Date()) {
+    this.assertPending();
+    this.status = FileUpload.Status.REJECTED;
+    this.rejectionReason = reason;
+    this.scannedAt = now;
+    this.updatedAt = now;
+  }
+
+  /** @private */
+  assertPending() {
+    if (!this.isPending()) {
+      throw new Error(`File upload ${this.fileKey} was already scanned (${this.status}).`);
+    }
+  }
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {FileUpload|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new FileUpload({
+      id: persistenceObject.id,
+      fileKey: persistenceObject.fileKey,
+      uploaderId: persistenceObject.uploaderId,
+      purpose: persistenceObject.purpose,
+      entityId: persistenceObject.entityId,
+      contentType: persistenceObject.contentType,
+      uploadExpiresAt: persistenceObject.uploadExpiresAt,
+      size: persistenceObject.size,
+      width: persistenceObject.width,
+      height: persistenceObject.height,
+      variants: persistenceObject.variants,
+      status: persistenceObject.status,
+      rejectionReason: persistenceObject.rejectionReason,
+      quarantineKey: persistenceObject.quarantineKey,
+      scannedAt: persistenceObject.scannedAt,
+      createdAt: persistenceObject.createdAt,
+      updatedAt: persistenceObject.updatedAt,
+    });
+  }
+}
+
+module.exports = { FileUpload };
@@ -0,0 +1,47 @@
+/**
+ * @interface FileUploadRepositoryInterface
+ * Defines the contract for file upload persistence operations.
+ */
+class FileUploadRepositoryInterface {
+  /**
+   * Stores a new file upload.
+   * @param {import('./fileUpload.entity').FileUpload} fileUpload
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./fileUpload.entity').FileUpload>}
+   */
+  async create(fileUpload, options = {}) {
+    throw new Error('Method "create" not implemented.');
+  }
+
+  /**
+   * @param {string} fileKey - The storage key.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./fileUpload.entity').FileUpload|null>}
+   */
+  async findByFileKey(fileKey, options = {}) {
+    throw new Error('Method "findByFileKey" not implemented.');
+  }
+
+  /**
+   * Uploads waiting for their scan, oldest first.
+   * @param {object} [params]
+   * @param {number} [params.limit]
+   * @returns {Promise<Array<import('./fileUpload.entity').FileUpload>>}
+   */
+  async findPendingScan({ limit } = {}) {
+    throw new Error('Method "findPendingScan" not implemented.');
+  }
+
+  /**
+   * Stores the scan outcome of an upload that is still pending. Does nothing if another scan
+   * finished first.
+   * @param {import('./fileUpload.entity').FileUpload} fileUpload - The upload with its new status.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<boolean>} Whether the upload was still pending and got updated.
+   */
+  async saveScanResult(fileUpload, options = {}) {
+    throw new Error('Method "saveScanResult" not implemented.');
+  }
+}
+
+module.exports = FileUploadRepositoryInterface;
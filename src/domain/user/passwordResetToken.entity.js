@@ -0,0 +1,76 @@
+// src/domain/user/passwordResetToken.entity.js
+const crypto = require('crypto');
+
+/**
+ * A password reset a user asked for. Only the SHA-256 hash of the token emailed to the user is kept,
+ * so a leaked database does not allow resetting passwords. A token works once and until it expires.
+ */
+class PasswordResetToken {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier of the token (UUID), set by persistence.
+   * @param {string} params.userId - ID of the user whose password it resets.
+   * @param {string} params.tokenHash - Hex SHA-256 hash of the emailed token.
+   * @param {Date} params.expiresAt
+   * @param {Date|null} [params.usedAt] - When the token was used or invalidated; null while usable.
+   * @param {Date} [params.createdAt]
+   */
+  constructor({ id, userId, tokenHash, expiresAt, usedAt = null, createdAt = new Date() }) {
+    if (!userId) throw new Error('User ID is required for a password reset token.');
+    if (!tokenHash) throw new Error('Token hash is required for a password reset token.');
+    if (!expiresAt) throw new Error('Expiry is required for a password reset token.');
+
+    this.id = id;
+    this.userId = userId;
+    this.tokenHash = tokenHash;
+    this.expiresAt = new Date(expiresAt);
+    this.usedAt = usedAt;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Generates a new random token to email; store only its hash.
+   * @returns {string}
+   */
+  static generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * @param {string} token - The token as emailed to the user.
+   * @returns {string} The hash stored for it.
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  isExpired(now = new Date()) {
+    return this.expiresAt.getTime() <= now.getTime();
+  }
+
+  /**
+   * @param {Date} [now]
+   * @returns {boolean} Whether the token can still reset the password.
+   */
+  isUsable(now = new Date()) {
+    return !this.usedAt && !this.isExpired(now);
+  }
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {PasswordResetToken|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new PasswordResetToken({
+      id: persistenceObject.id,
+      userId: persistenceObject.userId,
+      tokenHash: persistenceObject.tokenHash,
+      expiresAt: persistenceObject.expiresAt,
+      usedAt: persistenceObject.usedAt,
+      createdAt: persistenceObject.createdAt,
+    });
+  }
+}
+
+module.exports = { PasswordResetToken };
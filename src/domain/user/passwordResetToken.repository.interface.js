@@ -0,0 +1,49 @@
+/**
+ * @interface PasswordResetTokenRepositoryInterface
+ * Defines the contract for password reset token persistence operations.
+ */
+class PasswordResetTokenRepositoryInterface {
+  /**
+   * Stores a new password reset token.
+   * @param {import('./passwordResetToken.entity').PasswordResetToken} passwordResetToken
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./passwordResetToken.entity').PasswordResetToken>}
+   */
+  async create(passwordResetToken, options = {}) {
+    throw new Error('Method "create" not implemented.');
+  }
+
+  /**
+   * Finds a token by the hash of its value.
+   * @param {string} tokenHash
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./passwordResetToken.entity').PasswordResetToken|null>}
+   */
+  async findByTokenHash(tokenHash, options = {}) {
+    throw new Error('Method "findByTokenHash" not implemented.');
+  }
+
+  /**
+   * Marks a token as used, unless it already was. Used to consume a token exactly once.
+   * @param {string} id - The UUID of the token.
+   * @param {Date} usedAt
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<boolean>} False when the token was already used.
+   */
+  async markAsUsed(id, usedAt, options = {}) {
+    throw new Error('Method "markAsUsed" not implemented.');
+  }
+
+  /**
+   * Marks every unused token of a user as used, e.g. when a newer one is issued.
+   * @param {string} userId
+   * @param {Date} usedAt
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<number>} The number of tokens invalidated.
+   */
+  async invalidateAllForUser(userId, usedAt, options = {}) {
+    throw new Error('Method "invalidateAllForUser" not implemented.');
+  }
+}
+
+module.exports = PasswordResetTokenRepositoryInterface;
@@ -0,0 +1,168 @@
+// src/domain/user/twoFactorCredential.entity.js
+const crypto = require('crypto');
+
+/**
+ * A user's TOTP two-factor authentication. It is created when the user starts enrolling and
+ * enabled once they prove their authenticator app works by entering a code.
+ * Recovery codes are kept as SHA-256 hashes and each works once.
+ */
+class TwoFactorCredential {
+  /**
+   * @param {object} params
+   * @param {string} [params.id] - The unique identifier (UUID), set by persistence.
+   * @param {string} params.userId
+   * @param {string} params.secret - Base32 TOTP secret shared with the authenticator app.
+   * @param {Date|null} [params.enabledAt] - When enrollment was confirmed; null while pending.
+   * @param {string[]} [params.recoveryCodeHashes] - Hashes of the unused recovery codes.
+   * @param {number|null} [params.lastUsedStep] - Time step of the last accepted code, so a code cannot be replayed.
+   * @param {string|null} [params.challengeId] - ID of the open login challenge; only the latest one can be answered.
+   * @param {number} [params.challengeFailures] - Wrong codes entered for the open login challenge.
+   * @param {Date} [params.createdAt]
+   * @param {Date} [params.updatedAt]
+   */
+  constructor({
+    id, userId, secret, enabledAt = null, recoveryCodeHashes = [], lastUsedStep = null, challengeId = null, challengeFailures = 0,
+    createdAt = new Date(), updatedAt = new Date(),
+  }) {
+    if (!userId) throw new Error('User ID is required for a two-factor credential.');
+    if (!secret) throw new Error('Secret is required for a two-factor credential.');
+
+    this.id = id;
+    this.userId = userId;
+    this.secret = secret;
+    this.enabledAt = enabledAt;
+    this.recoveryCodeHashes = recoveryCodeHashes || [];
+    this.lastUsedStep = lastUsedStep === null || lastUsedStep === undefined ? null : Number(lastUsedStep);
+    this.challengeId = challengeId || null;
+    this.challengeFailures = challengeFailures || 0;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  static RECOVERY_CODE_COUNT = 10;
+
+  /** Wrong codes after which a login challenge is dropped and the password has to be entered again. */
+  static MAX_CHALLENGE_FAILURES = 5;
+
+  /**
+   * @param {string} code - A recovery code as shown to the user.
+   * @returns {string} The hash stored for it.
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * @returns {string[]} New recovery codes to show the user once, e.g. `3f9a-c2d1-7b44`.
+   */
+  static generateRecoveryCodes() {
+    return Array.from({ length: TwoFactorCredential.RECOVERY_CODE_COUNT }, () => crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-'));
+  }
+
+  isEnabled() {
+    return this.enabledAt !== null && this.enabledAt !== undefined;
+  }
+
+  /**
+   * Confirms enrollment and replaces the recovery codes.
+   * @param {string[]} recoveryCodes - The plain codes; only their hashes are kept.
+   * @param {Date} [now]
+   */
+  enable(recoveryCodes, now = new Date()) {
+    this.enabledAt = now;
+    this.recoveryCodeHashes = recoveryCodes.map((code) => TwoFactorCredential.hashRecoveryCode(code));
+    this.updatedAt = now;
+  }
+
+  /**
+   * Accepts a TOTP time step unless it is not newer than the last accepted one.
+   * @param {number} step
+   * @returns {boolean}
+   */
+  useStep(step) {
+    if (this.lastUsedStep !== null && step <= this.lastUsedStep) {
+      return false;
+    }
+    this.lastUsedStep = step;
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  /**
+   * Opens a login challenge, replacing any open one.
+   * @returns {string} The challenge ID to put in the challenge token.
+   */
+  startChallenge() {
+    this.challengeId = crypto.randomUUID();
+    this.challengeFailures = 0;
+    this.updatedAt = new Date();
+    return this.challengeId;
+  }
+
+  /**
+   * @param {string} challengeId
+   * @returns {boolean} Whether this is the open login challenge.
+   */
+  hasChallenge(challengeId) {
+    return Boolean(challengeId) && this.challengeId === challengeId;
+  }
+
+  /**
+   * Counts a wrong code for the open login challenge and drops the challenge after MAX_CHALLENGE_FAILURES.
+   */
+  recordChallengeFailure() {
+    this.challengeFailures += 1;
+    if (this.challengeFailures >= TwoFactorCredential.MAX_CHALLENGE_FAILURES) {
+      this.endChallenge();
+    }
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Closes the open login challenge, e.g. once it was answered.
+   */
+  endChallenge() {
+    this.challengeId = null;
+    this.challengeFailures = 0;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Uses up a recovery code.
+   * @param {string} code
+   * @returns {boolean} False when it is not one of the unused codes.
+   */
+  useRecoveryCode(code) {
+    const hash = TwoFactorCredential.hashRecoveryCode(code);
+    const index = this.recoveryCodeHashes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+    this.recoveryCodeHashes = this.recoveryCodeHashes.filter((_, i) => i !== index);
+    this.updatedAt = new Date();
+    return true;
+  }
+
+  /**
+   * @param {object} persistenceObject - The plain object from the database.
+   * @returns {TwoFactorCredential|null}
+   */
+  static fromPersistence(persistenceObject) {
+    if (!persistenceObject) return null;
+    return new TwoFactorCredential({
+      id: persistenceObject.id,
+      userId: persistenceObject.userId,
+      secret: persistenceObject.secret,
+      enabledAt: persistenceObject.enabledAt,
+      recoveryCodeHashes: persistenceObject.recoveryCodeHashes,
+      lastUsedStep: persistenceObject.lastUsedStep,
+      challengeId: persistenceObject.challengeId,
+      challengeFailures: persistenceObject.challengeFailures,
+      createdAt: persistenceObject.createdAt,
+      updatedAt: persistenceObject.updatedAt,
+    });
+  }
+}
+
+module.exports = { TwoFactorCredential };
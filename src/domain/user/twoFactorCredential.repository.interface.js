@@ -0,0 +1,36 @@
+/**
+ * @interface TwoFactorCredentialRepositoryInterface
+ * Defines the contract for two-factor credential persistence operations. A user has at most one.
+ */
+class TwoFactorCredentialRepositoryInterface {
+  /**
+   * @param {string} userId - The ID of the user.
+   * @param {object} [options] - Optional parameters, e.g., for transaction and lock.
+   * @returns {Promise<import('./twoFactorCredential.entity').TwoFactorCredential|null>}
+   */
+  async findByUserId(userId, options = {}) {
+    throw new Error('Method "findByUserId" not implemented.');
+  }
+
+  /**
+   * Stores the credential of a user, replacing a pending one they already had.
+   * @param {import('./twoFactorCredential.entity').TwoFactorCredential} credential
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<import('./twoFactorCredential.entity').TwoFactorCredential>}
+   */
+  async save(credential, options = {}) {
+    throw new Error('Method "save" not implemented.');
+  }
+
+  /**
+   * Removes the credential of a user, turning two-factor authentication off.
+   * @param {string} userId - The ID of the user.
+   * @param {object} [options] - Optional parameters, e.g., for transaction.
+   * @returns {Promise<boolean>} Whether there was one.
+   */
+  async deleteByUserId(userId, options = {}) {
+    throw new Error('Method "deleteByUserId" not implemented.');
+  }
+}
+
+module.exports = TwoFactorCredentialRepositoryInterface;
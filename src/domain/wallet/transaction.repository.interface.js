@@ -13,12 +13,13 @@ class TransactionRepositoryInterface {
   }
 
   /**
-   * Finds a transaction by its Zarinpal authority code.
-   * @param {string} authority - The Zarinpal authority code.
+   * Finds a transaction by the payment gateway and the gateway's session reference stored in its metadata.
+   * @param {string} paymentGateway - The gateway name, e.g. 'zarinpal'.
+   * @param {string} paymentReference - The gateway's reference, e.g. a Zarinpal authority.
    * @returns {Promise<Transaction|null>} The Transaction entity if found, otherwise null.
    */
-  async findByAuthority(authority) {
-    throw new Error('Method "findByAuthority" not implemented.');
+  async findByPaymentReference(paymentGateway, paymentReference) {
+    throw new Error('Method "findByPaymentReference" not implemented.');
   }
 
   /**
@@ -61,6 +62,42 @@ class TransactionRepositoryInterface {
     throw new Error('Method "findAll" not implemented.');
   }
 
+  /**
+   * Finds all transactions whose metadata contains the given keys, e.g. the entry fees of a tournament.
+   * @param {object} params
+   * @param {string} [params.type] - Only transactions of this type.
+   * @param {string} [params.status] - Only transactions with this status.
+   * @param {object} params.metadata - Key/value pairs the metadata must contain, e.g. `{ tournamentId }`.
+   * @param {object} [options] - Options such as `{ transaction }`.
+   * @returns {Promise<Transaction[]>} Matching transactions, oldest first.
+   */
+  async findByMetadata({ type, status, metadata }, options = {}) {
+    throw new Error('Method "findByMetadata" not implemented.');
+  }
+
+  /**
+   * Finds transactions that are still PENDING, e.g. deposits whose payment was never confirmed.
+   * @param {object} params
+   * @param {string} [params.type] - Only transactions of this type.
+   * @param {Date} params.createdBefore - Only transactions created before this time.
+   * @param {number} [params.limit=50] - The maximum number of transactions to return.
+   * @returns {Promise<Transaction[]>} Matching transactions, never reconciled ones first, then the least recently
+   *   reconciled, each oldest first.
+   */
+  async findPending({ type, createdBefore, limit = 50 }) {
+    throw new Error('Method "findPending" not implemented.');
+  }
+
+  /**
+   * Records that transactions were just reconciled, which moves them to the back of `findPending`.
+   * @param {string[]} ids - The IDs of the transactions.
+   * @param {Date} reconciledAt - When they were reconciled.
+   * @returns {Promise<void>}
+   */
+  async markReconciled(ids, reconciledAt) {
+    throw new Error('Method "markReconciled" not implemented.');
+  }
+
   /**
    * Creates a new transaction.
    * @param {Transaction|object} transactionData - The Transaction entity instance or data object to persist.
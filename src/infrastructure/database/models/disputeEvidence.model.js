@@ -0,0 +1,66 @@
+// src/infrastructure/database/models/disputeEvidence.model.js
+const { DataTypes, Model } = require('sequelize');
+const { DisputeEvidence } = require('../../../domain/dispute/dispute_evidence.entity');
+
+class DisputeEvidenceModel extends Model {
+  static toDomainEntity(modelInstance) {
+    if (!modelInstance) return null;
+    return DisputeEvidence.fromPersistence(modelInstance.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.DisputeTicketModel, {
+      foreignKey: 'disputeId',
+      as: 'dispute',
+    });
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'uploadedBy',
+      as: 'uploader',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  DisputeEvidenceModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    disputeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    uploadedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    fileKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true, // A file can only be attached once
+    },
+    fileUrl: {
+      type: DataTypes.STRING(1024),
+      allowNull: false,
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'DisputeEvidence',
+    tableName: 'DisputeEvidence',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['disputeId'] },
+    ],
+  });
+  return DisputeEvidenceModel;
+};
@@ -0,0 +1,60 @@
+// src/infrastructure/database/models/disputeMessage.model.js
+const { DataTypes, Model } = require('sequelize');
+const { DisputeMessage } = require('../../../domain/dispute/dispute_message.entity');
+
+class DisputeMessageModel extends Model {
+  static toDomainEntity(modelInstance) {
+    if (!modelInstance) return null;
+    return DisputeMessage.fromPersistence(modelInstance.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.DisputeTicketModel, {
+      foreignKey: 'disputeId',
+      as: 'dispute',
+    });
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'senderId',
+      as: 'sender',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  DisputeMessageModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    disputeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    senderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    senderRole: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [Object.values(DisputeMessage.SenderRole)],
+      },
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+  }, {
+    sequelize,
+    modelName: 'DisputeMessage',
+    tableName: 'DisputeMessages',
+    timestamps: true,
+    updatedAt: false, // Messages are never edited
+    indexes: [
+      { fields: ['disputeId', 'createdAt'] },
+    ],
+  });
+  return DisputeMessageModel;
+};
@@ -0,0 +1,61 @@
+// src/infrastructure/database/models/disputeStatusHistory.model.js
+const { DataTypes, Model } = require('sequelize');
+const { DisputeStatusHistory } = require('../../../domain/dispute/dispute_status_history.entity');
+
+class DisputeStatusHistoryModel extends Model {
+  static toDomainEntity(modelInstance) {
+    if (!modelInstance) return null;
+    return DisputeStatusHistory.fromPersistence(modelInstance.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.DisputeTicketModel, {
+      foreignKey: 'disputeId',
+      as: 'dispute',
+    });
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'changedBy',
+      as: 'changedByUser',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  DisputeStatusHistoryModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    disputeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    fromStatus: {
+      type: DataTypes.STRING,
+      allowNull: true, // Null for the entry written when the ticket is opened
+    },
+    toStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: true, // Null for changes made by the system
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'DisputeStatusHistory',
+    tableName: 'DisputeStatusHistory',
+    timestamps: true,
+    updatedAt: false, // History entries are append-only
+    indexes: [
+      { fields: ['disputeId', 'createdAt'] },
+    ],
+  });
+  return DisputeStatusHistoryModel;
+};
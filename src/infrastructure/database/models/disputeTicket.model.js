@@ -27,6 +27,11 @@ class DisputeTicketModel extends Model {
       foreignKey: 'moderatorId',
       as: 'moderator', // Alias for the moderator user
     });
+
+    // The message thread, evidence and status history of the ticket
+    this.hasMany(models.DisputeMessageModel, { foreignKey: 'disputeId', as: 'messages', onDelete: 'CASCADE' });
+    this.hasMany(models.DisputeEvidenceModel, { foreignKey: 'disputeId', as: 'evidence', onDelete: 'CASCADE' });
+    this.hasMany(models.DisputeStatusHistoryModel, { foreignKey: 'disputeId', as: 'statusHistory', onDelete: 'CASCADE' });
   }
 }
 
@@ -0,0 +1,94 @@
+// src/infrastructure/database/models/fileUpload.model.js
+const { DataTypes, Model } = require('sequelize');
+const { FileUpload } = require('../../../domain/upload/fileUpload.entity');
+
+class FileUploadModel extends Model {
+  toDomainEntity() {
+    return FileUpload.fromPersistence(this.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'uploaderId',
+      as: 'uploader',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  FileUploadModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    fileKey: {
+      type: DataTypes.STRING(512),
+      allowNull: false,
+      unique: true,
+    },
+    uploaderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    purpose: {
+      type: DataTypes.ENUM(...Object.values(FileUpload.Purpose)),
+      allowNull: false,
+    },
+    entityId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    contentType: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    uploadExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    size: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    variants: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM(...Object.values(FileUpload.Status)),
+      allowNull: false,
+      defaultValue: FileUpload.Status.PENDING_SCAN,
+    },
+    rejectionReason: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    quarantineKey: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+    },
+    scannedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'FileUpload',
+    tableName: 'FileUploads',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'createdAt'] },
+      { fields: ['uploaderId'] },
+    ],
+  });
+  return FileUploadModel;
+};
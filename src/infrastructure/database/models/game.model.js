@@ -13,6 +13,13 @@ const initGameModel = (sequelize) => {
      * The `models/index.js` file will call this method automatically.
      */
     static associate(models) { // 'models' here is the 'db' object from index.js
+      // A game has its banners, icons and other images, with their dimensions and variants.
+      this.hasMany(models.GameImageModel, {
+        foreignKey: 'gameId',
+        as: 'images',
+        onDelete: 'CASCADE',
+      });
+
       // A game can have many tournaments.
       this.hasMany(models.TournamentModel, { // Corrected: models.TournamentModel
         foreignKey: 'gameId',
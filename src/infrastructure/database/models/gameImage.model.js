@@ -0,0 +1,63 @@
+const { Model, DataTypes } = require('sequelize');
+const { GameImage, GameImageType } = require('../../../domain/game/gameImage.entity');
+
+module.exports = (sequelize) => {
+  class GameImageModel extends Model {
+    static associate(models) {
+      GameImageModel.belongsTo(models.GameModel, {
+        foreignKey: 'gameId',
+        as: 'game',
+      });
+    }
+
+    toDomainEntity() {
+      return GameImage.fromPersistence(this.get({ plain: true }));
+    }
+  }
+
+  GameImageModel.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      gameId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Games',
+          key: 'id',
+        },
+      },
+      type: {
+        type: DataTypes.ENUM(...Object.values(GameImageType)),
+        allowNull: false,
+      },
+      url: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      width: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      height: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      variants: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'GameImage',
+      tableName: 'GameImages',
+      timestamps: true,
+    }
+  );
+
+  return GameImageModel;
+};
@@ -1,17 +1,27 @@
 // src/infrastructure/database/models/index.js
 const { sequelize } = require('../postgres.connector'); // Your Sequelize instance
 const initGameModel = require('./game.model'); // Import Game model definer
+const defineGameImageModel = require('./gameImage.model');
 const defineTournamentModel = require('./tournament.model');
 const defineMatchModel = require('./match.model');
 const defineTournamentParticipantModel = require('./tournamentParticipant.model');
+const defineTournamentWaitlistEntryModel = require('./tournamentWaitlistEntry.model');
 const defineUserModel = require('./user.model'); // Import UserModel definer
 const initUserGameProfileModel = require('./userGameProfile.model'); // Import UserGameProfile model definer
 const defineWalletModel = require('./wallet.model'); // Import WalletModel definer
 const defineTransactionModel = require('./transaction.model'); // Import TransactionModel definer
 const defineDisputeTicketModel = require('./disputeTicket.model'); // Import DisputeTicketModel definer
+const defineDisputeMessageModel = require('./disputeMessage.model');
+const defineDisputeEvidenceModel = require('./disputeEvidence.model');
+const defineDisputeStatusHistoryModel = require('./disputeStatusHistory.model');
 const defineIdempotencyRequestModel = require('./idempotencyRequest.model'); // Import IdempotencyRequestModel definer
 const defineChatSessionModel = require('./chatSession.model');
 const defineChatMessageModel = require('./chatMessage.model');
+const defineNotificationModel = require('./notification.model');
+const defineNotificationPreferenceModel = require('./notificationPreference.model');
+const definePasswordResetTokenModel = require('./passwordResetToken.model');
+const defineTwoFactorCredentialModel = require('./twoFactorCredential.model');
+const defineFileUploadModel = require('./fileUpload.model');
 
 const db = {};
 
@@ -20,17 +30,27 @@ db.sequelize = sequelize; // Export configured instance
 
 // Initialize models
 db.GameModel = initGameModel(sequelize); // Initialize GameModel
+db.GameImageModel = defineGameImageModel(sequelize);
 db.TournamentModel = defineTournamentModel(sequelize);
 db.MatchModel = defineMatchModel(sequelize);
 db.TournamentParticipantModel = defineTournamentParticipantModel(sequelize);
+db.TournamentWaitlistEntryModel = defineTournamentWaitlistEntryModel(sequelize);
 db.UserModel = defineUserModel(sequelize); // Initialize UserModel
 db.UserGameProfileModel = initUserGameProfileModel(sequelize); // Initialize UserGameProfileModel
 db.WalletModel = defineWalletModel(sequelize); // Initialize WalletModel
 db.TransactionModel = defineTransactionModel(sequelize); // Initialize TransactionModel
 db.DisputeTicketModel = defineDisputeTicketModel(sequelize); // Initialize DisputeTicketModel
+db.DisputeMessageModel = defineDisputeMessageModel(sequelize);
+db.DisputeEvidenceModel = defineDisputeEvidenceModel(sequelize);
+db.DisputeStatusHistoryModel = defineDisputeStatusHistoryModel(sequelize);
 db.IdempotencyRequestModel = defineIdempotencyRequestModel(sequelize); // Initialize IdempotencyRequestModel
 db.ChatSessionModel = defineChatSessionModel(sequelize);
 db.ChatMessageModel = defineChatMessageModel(sequelize);
+db.NotificationModel = defineNotificationModel(sequelize);
+db.NotificationPreferenceModel = defineNotificationPreferenceModel(sequelize);
+db.PasswordResetTokenModel = definePasswordResetTokenModel(sequelize);
+db.TwoFactorCredentialModel = defineTwoFactorCredentialModel(sequelize);
+db.FileUploadModel = defineFileUploadModel(sequelize);
 
 // Define associations
 // Call associate method on each model if it exists
@@ -0,0 +1,68 @@
+// src/infrastructure/database/models/notification.model.js
+const { DataTypes, Model } = require('sequelize');
+const { Notification } = require('../../../domain/notification/notification.entity');
+
+class NotificationModel extends Model {
+  toDomainEntity() {
+    return Notification.fromPersistence(this.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  NotificationModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [Object.values(Notification.Type)],
+      },
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    link: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    emailStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: Notification.EmailStatus.NONE,
+      validate: {
+        isIn: [Object.values(Notification.EmailStatus)],
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'Notification',
+    tableName: 'Notifications',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId', 'readAt', 'createdAt'] },
+      { fields: ['emailStatus', 'createdAt'], where: { emailStatus: Notification.EmailStatus.DIGEST_PENDING } },
+    ],
+  });
+  return NotificationModel;
+};
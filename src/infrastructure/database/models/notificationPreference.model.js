@@ -0,0 +1,60 @@
+// src/infrastructure/database/models/notificationPreference.model.js
+const { DataTypes, Model } = require('sequelize');
+const { Notification } = require('../../../domain/notification/notification.entity');
+const { NotificationPreference } = require('../../../domain/notification/notificationPreference.entity');
+
+class NotificationPreferenceModel extends Model {
+  toDomainEntity() {
+    return NotificationPreference.fromPersistence(this.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  NotificationPreferenceModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [Object.values(Notification.Category)],
+      },
+    },
+    inApp: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: NotificationPreference.EmailMode.OFF,
+      validate: {
+        isIn: [Object.values(NotificationPreference.EmailMode)],
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'NotificationPreference',
+    tableName: 'NotificationPreferences',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['userId', 'category'] },
+    ],
+  });
+  return NotificationPreferenceModel;
+};
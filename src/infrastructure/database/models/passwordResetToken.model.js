@@ -0,0 +1,53 @@
+// src/infrastructure/database/models/passwordResetToken.model.js
+const { DataTypes, Model } = require('sequelize');
+const { PasswordResetToken } = require('../../../domain/user/passwordResetToken.entity');
+
+class PasswordResetTokenModel extends Model {
+  toDomainEntity() {
+    return PasswordResetToken.fromPersistence(this.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  PasswordResetTokenModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'PasswordResetToken',
+    tableName: 'PasswordResetTokens',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['userId'] },
+    ],
+  });
+  return PasswordResetTokenModel;
+};
@@ -131,6 +131,14 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       allowNull: true,
     },
+    winnerId: { // User or team ID depending on winnerType, so no foreign key
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    winnerType: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
   }, {
     sequelize,
     modelName: 'Tournament',
@@ -38,6 +38,18 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: false,
       },
+      width: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      height: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      variants: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
     },
     {
       sequelize,
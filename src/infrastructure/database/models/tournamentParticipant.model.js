@@ -30,6 +30,7 @@ module.exports = (sequelize) => {
     registeredAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     checkInStatus: { type: DataTypes.BOOLEAN, defaultValue: false },
     seed: { type: DataTypes.INTEGER },
+    roster: { type: DataTypes.ARRAY(DataTypes.UUID), allowNull: true }, // User IDs a team registered with
   }, { sequelize, modelName: 'TournamentParticipant', tableName: 'TournamentParticipants', timestamps: true });
   return TournamentParticipantModel;
 };
@@ -0,0 +1,53 @@
+// src/infrastructure/database/models/tournamentWaitlistEntry.model.js
+const { DataTypes, Model } = require('sequelize');
+const { TournamentWaitlistEntry } = require('../../../domain/tournament/tournamentWaitlistEntry.entity');
+
+class TournamentWaitlistEntryModel extends Model {
+  toDomainEntity() {
+    return TournamentWaitlistEntry.fromPersistence(this.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.TournamentModel, {
+      foreignKey: 'tournamentId',
+      as: 'tournament',
+    });
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  TournamentWaitlistEntryModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    tournamentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: TournamentWaitlistEntry.Status.WAITING,
+    },
+  }, {
+    sequelize,
+    modelName: 'TournamentWaitlistEntry',
+    tableName: 'TournamentWaitlistEntries',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['tournamentId', 'userId'], where: { status: TournamentWaitlistEntry.Status.WAITING } },
+      { fields: ['tournamentId', 'status', 'createdAt'] },
+    ],
+  });
+  return TournamentWaitlistEntryModel;
+};
@@ -76,6 +76,10 @@ module.exports = (sequelize) => { // sequelize instance is passed here
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW, // Corrected default value
     },
+    lastReconciledAt: { // When the reconciliation worker last re-verified this pending transaction
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   }, {
     sequelize,
     modelName: 'Transaction',
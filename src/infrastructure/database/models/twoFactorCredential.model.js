@@ -0,0 +1,63 @@
+// src/infrastructure/database/models/twoFactorCredential.model.js
+const { DataTypes, Model } = require('sequelize');
+const { TwoFactorCredential } = require('../../../domain/user/twoFactorCredential.entity');
+
+class TwoFactorCredentialModel extends Model {
+  toDomainEntity() {
+    return TwoFactorCredential.fromPersistence(this.get({ plain: true }));
+  }
+
+  static associate(models) {
+    this.belongsTo(models.UserModel, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  }
+}
+
+module.exports = (sequelize) => {
+  TwoFactorCredentialModel.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+    },
+    secret: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    enabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    recoveryCodeHashes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    lastUsedStep: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+    },
+    challengeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    challengeFailures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  }, {
+    sequelize,
+    modelName: 'TwoFactorCredential',
+    tableName: 'TwoFactorCredentials',
+    timestamps: true,
+  });
+  return TwoFactorCredentialModel;
+};
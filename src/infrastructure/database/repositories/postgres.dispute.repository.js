@@ -1,5 +1,6 @@
 // const { sequelize, DataTypes, Op } = require('../postgres.connector'); // No longer needed
 // const { DisputeTicket } = require('../../../domain/dispute/dispute.entity'); // For static values like Status
+const { Op } = require('sequelize');
 const DisputeRepositoryInterface = require('../../../domain/dispute/dispute.repository.interface');
 const ApiError = require('../../../utils/ApiError');
 const httpStatus = require('http-status');
@@ -11,6 +12,9 @@ class PostgresDisputeRepository extends DisputeRepositoryInterface {
    * @param {import('sequelize').ModelCtor<import('sequelize').Model> & { toDomainEntity: Function }} models.DisputeTicketModel
    * @param {import('sequelize').ModelCtor<import('sequelize').Model>} [models.UserModel]
    * @param {import('sequelize').ModelCtor<import('sequelize').Model>} [models.MatchModel]
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model> & { toDomainEntity: Function }} [models.DisputeMessageModel]
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model> & { toDomainEntity: Function }} [models.DisputeEvidenceModel]
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model> & { toDomainEntity: Function }} [models.DisputeStatusHistoryModel]
    */
   constructor(models) {
     super();
@@ -20,8 +24,11 @@ class PostgresDisputeRepository extends DisputeRepositoryInterface {
     this.DisputeTicketModel = models.DisputeTicketModel;
     this.UserModel = models.UserModel; // For includes
     this.MatchModel = models.MatchModel; // For includes
+    this.DisputeMessageModel = models.DisputeMessageModel;
+    this.DisputeEvidenceModel = models.DisputeEvidenceModel;
+    this.DisputeStatusHistoryModel = models.DisputeStatusHistoryModel;
     this.sequelize = models.DisputeTicketModel.sequelize;
-    this.Op = this.sequelize.Op;
+    this.Op = Op;
   }
 
   // _toDomainEntity is now a static method on the injected DisputeTicketModel
@@ -44,7 +51,7 @@ class PostgresDisputeRepository extends DisputeRepositoryInterface {
 
   async findById(id, options = {}) {
     try {
-      const queryOptions = { transaction: options.transaction };
+      const queryOptions = { transaction: options.transaction, lock: options.lock };
       // if (options.includeReporter && this.UserModel) queryOptions.include = [{ model: this.UserModel, as: 'reporter' }];
       // if (options.includeModerator && this.UserModel) queryOptions.include.push({ model: this.UserModel, as: 'moderator' });
       // if (options.includeMatch && this.MatchModel) queryOptions.include.push({ model: this.MatchModel, as: 'match' });
@@ -169,6 +176,125 @@ class PostgresDisputeRepository extends DisputeRepositoryInterface {
         throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding all disputes: ${error.message}`);
     }
   }
+
+  async findByParticipantId(userId, { page = 1, limit = 10, status } = {}, dbOptions = {}) {
+    const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+    const whereClause = {
+      [Op.or]: [
+        { reporterId: userId },
+        { '$match.participant1Id$': userId },
+        { '$match.participant2Id$': userId },
+      ],
+    };
+    if (status) whereClause.status = status;
+
+    try {
+      const { count, rows } = await this.DisputeTicketModel.findAndCountAll({
+        where: whereClause,
+        include: [{ model: this.MatchModel, as: 'match', attributes: [] }],
+        limit: parseInt(limit, 10),
+        offset,
+        order: [['updatedAt', 'DESC']],
+        subQuery: false,
+        transaction: dbOptions.transaction,
+      });
+      return {
+        disputes: rows.map(model => this.DisputeTicketModel.toDomainEntity(model)),
+        total: count,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+      };
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding disputes of participant: ${error.message}`);
+    }
+  }
+
+  async recordStatusChange(historyEntry, options = {}) {
+    try {
+      const modelInstance = await this.DisputeStatusHistoryModel.create({
+        disputeId: historyEntry.disputeId,
+        fromStatus: historyEntry.fromStatus,
+        toStatus: historyEntry.toStatus,
+        changedBy: historyEntry.changedBy,
+        note: historyEntry.note,
+      }, { transaction: options.transaction });
+      return this.DisputeStatusHistoryModel.toDomainEntity(modelInstance);
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Error recording dispute status change: ${error.message}`);
+    }
+  }
+
+  async findStatusHistory(disputeId, options = {}) {
+    try {
+      const rows = await this.DisputeStatusHistoryModel.findAll({
+        where: { disputeId },
+        order: [['createdAt', 'ASC']],
+        transaction: options.transaction,
+      });
+      return rows.map(model => this.DisputeStatusHistoryModel.toDomainEntity(model));
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding dispute status history: ${error.message}`);
+    }
+  }
+
+  async addMessage(message, options = {}) {
+    try {
+      const modelInstance = await this.DisputeMessageModel.create({
+        disputeId: message.disputeId,
+        senderId: message.senderId,
+        senderRole: message.senderRole,
+        body: message.body,
+      }, { transaction: options.transaction });
+      return this.DisputeMessageModel.toDomainEntity(modelInstance);
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Error adding dispute message: ${error.message}`);
+    }
+  }
+
+  async findMessages(disputeId, options = {}) {
+    try {
+      const rows = await this.DisputeMessageModel.findAll({
+        where: { disputeId },
+        order: [['createdAt', 'ASC']],
+        transaction: options.transaction,
+      });
+      return rows.map(model => this.DisputeMessageModel.toDomainEntity(model));
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding dispute messages: ${error.message}`);
+    }
+  }
+
+  async addEvidence(evidence, options = {}) {
+    try {
+      const modelInstance = await this.DisputeEvidenceModel.create({
+        disputeId: evidence.disputeId,
+        uploadedBy: evidence.uploadedBy,
+        fileKey: evidence.fileKey,
+        fileUrl: evidence.fileUrl,
+        contentType: evidence.contentType,
+        description: evidence.description,
+      }, { transaction: options.transaction });
+      return this.DisputeEvidenceModel.toDomainEntity(modelInstance);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new ApiError(httpStatus.CONFLICT, 'This file has already been attached as evidence.');
+      }
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Error adding dispute evidence: ${error.message}`);
+    }
+  }
+
+  async findEvidence(disputeId, options = {}) {
+    try {
+      const rows = await this.DisputeEvidenceModel.findAll({
+        where: { disputeId },
+        order: [['createdAt', 'ASC']],
+        transaction: options.transaction,
+      });
+      return rows.map(model => this.DisputeEvidenceModel.toDomainEntity(model));
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding dispute evidence: ${error.message}`);
+    }
+  }
 }
 
 module.exports = { PostgresDisputeRepository };
@@ -0,0 +1,82 @@
+// src/infrastructure/database/repositories/postgres.fileUpload.repository.js
+const ApiError = require('../../../utils/ApiError');
+const httpStatus = require('http-status');
+const FileUploadRepositoryInterface = require('../../../domain/upload/fileUpload.repository.interface');
+const { FileUpload } = require('../../../domain/upload/fileUpload.entity');
+
+/**
+ * Uploaded files and their scan status (the FileUploads table).
+ */
+class PostgresFileUploadRepository extends FileUploadRepositoryInterface {
+  /**
+   * @param {object} models - An object containing the Sequelize models.
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.FileUploadModel
+   */
+  constructor(models) {
+    super();
+    if (!models || !models.FileUploadModel) {
+      throw new Error('Required model (FileUploadModel) not provided.');
+    }
+    this.FileUploadModel = models.FileUploadModel;
+  }
+
+  async create(fileUpload, options = {}) {
+    try {
+      const created = await this.FileUploadModel.create(
+        {
+          fileKey: fileUpload.fileKey,
+          uploaderId: fileUpload.uploaderId,
+          purpose: fileUpload.purpose,
+          entityId: fileUpload.entityId,
+          contentType: fileUpload.contentType,
+          uploadExpiresAt: fileUpload.uploadExpiresAt,
+          size: fileUpload.size,
+          status: fileUpload.status,
+        },
+        { transaction: options.transaction },
+      );
+      return created.toDomainEntity();
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error creating file upload: ${error.message}`);
+    }
+  }
+
+  async findByFileKey(fileKey, options = {}) {
+    const upload = await this.FileUploadModel.findOne({
+      where: { fileKey },
+      transaction: options.transaction,
+    });
+    return upload ? upload.toDomainEntity() : null;
+  }
+
+  async findPendingScan({ limit = 50 } = {}) {
+    const uploads = await this.FileUploadModel.findAll({
+      where: { status: FileUpload.Status.PENDING_SCAN },
+      order: [['createdAt', 'ASC']],
+      limit,
+    });
+    return uploads.map((upload) => upload.toDomainEntity());
+  }
+
+  async saveScanResult(fileUpload, options = {}) {
+    const [affectedRows] = await this.FileUploadModel.update(
+      {
+        status: fileUpload.status,
+        size: fileUpload.size,
+        contentType: fileUpload.contentType,
+        width: fileUpload.width,
+        height: fileUpload.height,
+        variants: fileUpload.variants,
+        rejectionReason: fileUpload.rejectionReason,
+        quarantineKey: fileUpload.quarantineKey,
+        scannedAt: fileUpload.scannedAt,
+      },
+      { where: { id: fileUpload.id, status: FileUpload.Status.PENDING_SCAN }, transaction: options.transaction },
+    );
+    return affectedRows > 0;
+  }
+}
+
+module.exports = {
+  PostgresFileUploadRepository,
+};
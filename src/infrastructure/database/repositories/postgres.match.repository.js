@@ -2,6 +2,7 @@
 const MatchRepositoryInterface = require('../../../domain/tournament/match.repository.interface');
 // Match entity and MatchStatus might be needed for domain logic or type hints if not solely relying on model's toDomainEntity
 // const { Match, MatchStatus } = require('../../../domain/tournament/match.entity');
+const { Op } = require('sequelize');
 const ApiError = require('../../../utils/ApiError');
 const httpStatus = require('http-status');
 // Models will be injected or imported from a central place.
@@ -26,7 +27,7 @@ class PostgresMatchRepository extends MatchRepositoryInterface {
     this.TournamentModel = models.TournamentModel; // Store TournamentModel
     this.GameModel = models.GameModel;         // Store GameModel
     this.sequelize = models.MatchModel.sequelize;
-    this.Op = this.sequelize.Op;
+    this.Op = Op;
     }
 
     async create(matchEntity, options = {}) {
@@ -67,6 +68,7 @@ class PostgresMatchRepository extends MatchRepositoryInterface {
         try {
       const queryOptions = {
                 transaction: options.transaction,
+        lock: options.lock,
         include: [],
       };
 
@@ -129,6 +131,17 @@ class PostgresMatchRepository extends MatchRepositoryInterface {
         }
     }
 
+    async deleteByTournamentId(tournamentId, options = {}) {
+        try {
+            return await this.MatchModel.destroy({
+                where: { tournamentId },
+                transaction: options.transaction,
+            });
+        } catch (error) {
+            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error deleting matches by tournament ID: ${error.message}`);
+        }
+    }
+
     async findByTournamentId(tournamentId, options = {}) {
         try {
             const whereClause = { tournamentId };
@@ -147,6 +160,23 @@ class PostgresMatchRepository extends MatchRepositoryInterface {
         }
     }
 
+    async findAwaitingConfirmation({ endedBefore, limit } = {}, options = {}) {
+        const whereClause = { status: 'AWAITING_CONFIRMATION' };
+        if (endedBefore) whereClause.actualEndTime = { [Op.lte]: endedBefore };
+
+        try {
+            const matches = await this.MatchModel.findAll({
+                where: whereClause,
+                order: [['actualEndTime', 'ASC']],
+                limit,
+                transaction: options.transaction,
+            });
+            return matches.map(model => model.toDomainEntity());
+        } catch (error) {
+            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding matches awaiting confirmation: ${error.message}`);
+        }
+    }
+
     async findByParticipantId(participantId, options = {}) {
         const whereClause = {
             [this.Op.or]: [ // Use this.Op
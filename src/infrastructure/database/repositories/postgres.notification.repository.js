@@ -0,0 +1,121 @@
+// src/infrastructure/database/repositories/postgres.notification.repository.js
+const { Op } = require('sequelize');
+const ApiError = require('../../../utils/ApiError');
+const httpStatus = require('http-status');
+const NotificationRepositoryInterface = require('../../../domain/notification/notification.repository.interface');
+const { Notification } = require('../../../domain/notification/notification.entity');
+
+/**
+ * Notifications of users (the Notifications table).
+ */
+class PostgresNotificationRepository extends NotificationRepositoryInterface {
+  /**
+   * @param {object} models - An object containing the Sequelize models.
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.NotificationModel
+   */
+  constructor(models) {
+    super();
+    if (!models || !models.NotificationModel) {
+      throw new Error('Required model (NotificationModel) not provided.');
+    }
+    this.NotificationModel = models.NotificationModel;
+  }
+
+  async create(notification, options = {}) {
+    try {
+      const created = await this.NotificationModel.create(
+        {
+          userId: notification.userId,
+          type: notification.type,
+          payload: notification.payload,
+          link: notification.link,
+          readAt: notification.readAt,
+          emailStatus: notification.emailStatus,
+        },
+        { transaction: options.transaction },
+      );
+      return created.toDomainEntity();
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error creating notification: ${error.message}`);
+    }
+  }
+
+  async findByIdForUser(id, userId, options = {}) {
+    const notification = await this.NotificationModel.findOne({
+      where: { id, userId },
+      transaction: options.transaction,
+    });
+    return notification ? notification.toDomainEntity() : null;
+  }
+
+  async findByUserId(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const where = { userId };
+    if (unreadOnly) {
+      where.readAt = null;
+    }
+
+    const { count, rows } = await this.NotificationModel.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      notifications: rows.map((row) => row.toDomainEntity()),
+      total: count,
+      page,
+      limit,
+    };
+  }
+
+  async countUnread(userId) {
+    return this.NotificationModel.count({ where: { userId, readAt: null } });
+  }
+
+  async markAsRead(id, readAt, options = {}) {
+    // Only unread rows are touched, so the first read time is kept.
+    await this.NotificationModel.update(
+      { readAt },
+      { where: { id, readAt: null }, transaction: options.transaction },
+    );
+  }
+
+  async updateEmailStatus(ids, emailStatus, options = {}) {
+    if (ids.length === 0) {
+      return [];
+    }
+    const where = { id: { [Op.in]: ids } };
+    if (options.fromStatus) {
+      where.emailStatus = options.fromStatus;
+    }
+    const [, rows] = await this.NotificationModel.update(
+      { emailStatus },
+      { where, returning: ['id'], transaction: options.transaction },
+    );
+    return rows.map((row) => row.id);
+  }
+
+  async findUserIdsWithPendingDigest({ createdBefore, limit = 100 }) {
+    const rows = await this.NotificationModel.findAll({
+      attributes: ['userId'],
+      where: { emailStatus: Notification.EmailStatus.DIGEST_PENDING, createdAt: { [Op.lte]: createdBefore } },
+      group: ['userId'],
+      limit,
+      raw: true,
+    });
+    return rows.map((row) => row.userId);
+  }
+
+  async findPendingDigest(userId) {
+    const rows = await this.NotificationModel.findAll({
+      where: { userId, emailStatus: Notification.EmailStatus.DIGEST_PENDING },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    });
+    return rows.map((row) => row.toDomainEntity());
+  }
+}
+
+module.exports = {
+  PostgresNotificationRepository,
+};
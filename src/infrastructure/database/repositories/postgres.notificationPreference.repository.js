@@ -0,0 +1,81 @@
+// src/infrastructure/database/repositories/postgres.notificationPreference.repository.js
+const ApiError = require('../../../utils/ApiError');
+const httpStatus = require('http-status');
+const NotificationPreferenceRepositoryInterface = require('../../../domain/notification/notificationPreference.repository.interface');
+
+/**
+ * Notification preferences of users (the NotificationPreferences table), one row per user and category.
+ * Categories without a row use `NotificationPreference.Defaults`.
+ */
+class PostgresNotificationPreferenceRepository extends NotificationPreferenceRepositoryInterface {
+  /**
+   * @param {object} models - An object containing the Sequelize models.
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.NotificationPreferenceModel
+   */
+  constructor(models) {
+    super();
+    if (!models || !models.NotificationPreferenceModel) {
+      throw new Error('Required model (NotificationPreferenceModel) not provided.');
+    }
+    this.NotificationPreferenceModel = models.NotificationPreferenceModel;
+  }
+
+  /**
+   * The stored preferences of a user.
+   * @param {string} userId
+   * @param {object} [options]
+   * @returns {Promise<Array<import('../../../domain/notification/notificationPreference.entity').NotificationPreference>>}
+   */
+  async findByUserId(userId, options = {}) {
+    const rows = await this.NotificationPreferenceModel.findAll({
+      where: { userId },
+      transaction: options.transaction,
+    });
+    return rows.map((row) => row.toDomainEntity());
+  }
+
+  /**
+   * The stored preference of a user for a category.
+   * @param {string} userId
+   * @param {string} category
+   * @param {object} [options]
+   * @returns {Promise<import('../../../domain/notification/notificationPreference.entity').NotificationPreference|null>}
+   */
+  async findByUserIdAndCategory(userId, category, options = {}) {
+    const row = await this.NotificationPreferenceModel.findOne({
+      where: { userId, category },
+      transaction: options.transaction,
+    });
+    return row ? row.toDomainEntity() : null;
+  }
+
+  /**
+   * Stores preferences, replacing what the users had for the same categories.
+   * @param {Array<import('../../../domain/notification/notificationPreference.entity').NotificationPreference>} preferences
+   * @param {object} [options]
+   * @returns {Promise<void>}
+   */
+  async upsertMany(preferences, options = {}) {
+    try {
+      await this.NotificationPreferenceModel.bulkCreate(
+        preferences.map((preference) => ({
+          userId: preference.userId,
+          category: preference.category,
+          inApp: preference.inApp,
+          email: preference.email,
+        })),
+        {
+          updateOnDuplicate: ['inApp', 'email', 'updatedAt'],
+          conflictAttributes: ['userId', 'category'],
+          transaction: options.transaction,
+        },
+      );
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error saving notification preferences: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  PostgresNotificationPreferenceRepository,
+};
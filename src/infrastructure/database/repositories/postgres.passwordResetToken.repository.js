@@ -0,0 +1,66 @@
+// src/infrastructure/database/repositories/postgres.passwordResetToken.repository.js
+const ApiError = require('../../../utils/ApiError');
+const httpStatus = require('http-status');
+const PasswordResetTokenRepositoryInterface = require('../../../domain/user/passwordResetToken.repository.interface');
+
+/**
+ * Password reset tokens (the PasswordResetTokens table). Only token hashes are stored.
+ */
+class PostgresPasswordResetTokenRepository extends PasswordResetTokenRepositoryInterface {
+  /**
+   * @param {object} models - An object containing the Sequelize models.
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.PasswordResetTokenModel
+   */
+  constructor(models) {
+    super();
+    if (!models || !models.PasswordResetTokenModel) {
+      throw new Error('Required model (PasswordResetTokenModel) not provided.');
+    }
+    this.PasswordResetTokenModel = models.PasswordResetTokenModel;
+  }
+
+  async create(passwordResetToken, options = {}) {
+    try {
+      const created = await this.PasswordResetTokenModel.create(
+        {
+          userId: passwordResetToken.userId,
+          tokenHash: passwordResetToken.tokenHash,
+          expiresAt: passwordResetToken.expiresAt,
+          usedAt: passwordResetToken.usedAt,
+        },
+        { transaction: options.transaction },
+      );
+      return created.toDomainEntity();
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error creating password reset token: ${error.message}`);
+    }
+  }
+
+  async findByTokenHash(tokenHash, options = {}) {
+    const token = await this.PasswordResetTokenModel.findOne({
+      where: { tokenHash },
+      transaction: options.transaction,
+    });
+    return token ? token.toDomainEntity() : null;
+  }
+
+  async markAsUsed(id, usedAt, options = {}) {
+    const [affectedRows] = await this.PasswordResetTokenModel.update(
+      { usedAt },
+      { where: { id, usedAt: null }, transaction: options.transaction },
+    );
+    return affectedRows > 0;
+  }
+
+  async invalidateAllForUser(userId, usedAt, options = {}) {
+    const [affectedRows] = await this.PasswordResetTokenModel.update(
+      { usedAt },
+      { where: { userId, usedAt: null }, transaction: options.transaction },
+    );
+    return affectedRows;
+  }
+}
+
+module.exports = {
+  PostgresPasswordResetTokenRepository,
+};
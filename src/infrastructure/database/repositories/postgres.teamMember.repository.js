@@ -116,11 +116,12 @@ class PostgresTeamMemberRepository extends ITeamMemberRepository {
   }
 
   async findAllByTeamId(teamId, options = {}) {
-    const { limit, offset, status, role, includeUserDetails = true, page, pageSize } = options;
+    const { limit, offset, status, role, includeUserDetails = true, page, pageSize, transaction } = options;
     const queryOptions = {
       where: { teamId },
       include: [],
       distinct: true,
+      transaction,
     };
 
     if (status) queryOptions.where.status = status;
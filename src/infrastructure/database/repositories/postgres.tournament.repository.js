@@ -3,6 +3,7 @@ const TournamentRepositoryInterface = require('../../../domain/tournament/tourna
 const { TournamentStatus } = require('../../../domain/tournament/tournament.entity'); // For status checks
 const ApiError = require('../../../utils/ApiError');
 const httpStatus = require('http-status');
+const { Op } = require('sequelize');
 // Removed direct model definitions and sequelize imports from here
 // Models will be injected or imported from a central place.
 
@@ -27,7 +28,7 @@ class PostgresTournamentRepository extends TournamentRepositoryInterface {
     this.UserModel = models.UserModel;
     this.GameModel = models.GameModel; // Store GameModel
     this.sequelize = models.TournamentModel.sequelize;
-    this.Op = this.sequelize.Op;
+    this.Op = Op;
   }
 
   async create(tournamentEntity, options = {}) {
@@ -63,6 +64,7 @@ class PostgresTournamentRepository extends TournamentRepositoryInterface {
     try {
       const queryOptions = {
         transaction: options.transaction,
+        lock: options.lock,
         include: [],
       };
 
@@ -189,6 +191,95 @@ class PostgresTournamentRepository extends TournamentRepositoryInterface {
     }
   }
 
+  /**
+   * Finds PENDING or UPCOMING tournaments whose `settings.registrationOpensAt` has passed
+   * and which have not started yet.
+   * @param {object} params
+   * @param {Date} params.now - The current time.
+   * @param {number} [params.limit=100]
+   * @param {object} [options] - Options such as `{ transaction }`.
+   * @returns {Promise<Array<import('../../../domain/tournament/tournament.entity').Tournament>>}
+   */
+  async findDueForRegistrationOpening({ now, limit = 100 }, options = {}) {
+    try {
+      const opensAt = this.sequelize.cast(this.sequelize.json('settings.registrationOpensAt'), 'timestamptz');
+      const tournaments = await this.TournamentModel.findAll({
+        where: {
+          [this.Op.and]: [
+            { status: { [this.Op.in]: [TournamentStatus.PENDING, TournamentStatus.UPCOMING] } },
+            { startDate: { [this.Op.gt]: now } },
+            this.sequelize.where(opensAt, this.Op.lte, now),
+          ],
+        },
+        order: [['startDate', 'ASC']],
+        limit,
+        transaction: options.transaction,
+      });
+      return tournaments.map(model => model.toDomainEntity());
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding tournaments due for registration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds tournaments with open or closed registration whose check-in window has opened, which have not
+   * started yet and whose check-in was not opened (`settings.checkInOpenedAt` is unset).
+   * @param {object} params
+   * @param {Date} params.now - The current time.
+   * @param {number} [params.limit=100]
+   * @param {object} [options] - Options such as `{ transaction }`.
+   * @returns {Promise<Array<import('../../../domain/tournament/tournament.entity').Tournament>>}
+   */
+  async findDueForCheckInOpening({ now, limit = 100 }, options = {}) {
+    try {
+      const checkInOpensAt = this.sequelize.literal(
+        '"startDate" - ("settings"->>\'checkInWindowMinutes\')::integer * INTERVAL \'1 minute\''
+      );
+      const tournaments = await this.TournamentModel.findAll({
+        where: {
+          [this.Op.and]: [
+            { status: { [this.Op.in]: [TournamentStatus.REGISTRATION_OPEN, TournamentStatus.REGISTRATION_CLOSED] } },
+            { startDate: { [this.Op.gt]: now } },
+            this.sequelize.where(this.sequelize.json('settings.checkInWindowMinutes'), this.Op.ne, null),
+            this.sequelize.where(this.sequelize.json('settings.checkInOpenedAt'), this.Op.is, null),
+            this.sequelize.where(checkInOpensAt, this.Op.lte, now),
+          ],
+        },
+        order: [['startDate', 'ASC']],
+        limit,
+        transaction: options.transaction,
+      });
+      return tournaments.map(model => model.toDomainEntity());
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding tournaments due for check-in: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds tournaments with open or closed registration whose start date has passed.
+   * @param {object} params
+   * @param {Date} params.now - The current time.
+   * @param {number} [params.limit=100]
+   * @param {object} [options] - Options such as `{ transaction }`.
+   * @returns {Promise<Array<import('../../../domain/tournament/tournament.entity').Tournament>>}
+   */
+  async findDueToStart({ now, limit = 100 }, options = {}) {
+    try {
+      const tournaments = await this.TournamentModel.findAll({
+        where: {
+          status: { [this.Op.in]: [TournamentStatus.REGISTRATION_OPEN, TournamentStatus.REGISTRATION_CLOSED] },
+          startDate: { [this.Op.lte]: now },
+        },
+        order: [['startDate', 'ASC']],
+        limit,
+        transaction: options.transaction,
+      });
+      return tournaments.map(model => model.toDomainEntity());
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding tournaments due to start: ${error.message}`);
+    }
+  }
+
   async addParticipant(tournamentId, participantId, participantType, options = {}) {
     const manageTransaction = !options.transaction;
     let t = options.transaction;
@@ -233,7 +324,7 @@ class PostgresTournamentRepository extends TournamentRepositoryInterface {
       await this.TournamentModel.increment('currentParticipants', { by: 1, where: { id: tournamentId }, transaction: t });
 
       if (manageTransaction && t) await t.commit();
-      return this.TournamentParticipantModel.toDomainEntity(participantRecord);
+      return participantRecord ? participantRecord.toDomainEntity() : null;
     } catch (error) {
       if (manageTransaction && t && !t.finished) { // Check if t exists and not already finished
           await t.rollback();
@@ -253,7 +344,7 @@ class PostgresTournamentRepository extends TournamentRepositoryInterface {
         where: { tournamentId, participantId, participantType },
         transaction: options.transaction,
       });
-      return this.TournamentParticipantModel.toDomainEntity(participantRecord);
+      return participantRecord ? participantRecord.toDomainEntity() : null;
     } catch (error) {
         // console.error(`Error in PostgresTournamentRepository.findParticipant: ${error.message}`, error);
         throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding participant: ${error.message}`);
@@ -297,7 +388,7 @@ class PostgresTournamentRepository extends TournamentRepositoryInterface {
           order: [['seed', 'ASC'], ['registeredAt', 'ASC']],
           transaction: options.transaction,
       });
-      return participants.map(p => this.TournamentParticipantModel.toDomainEntity(p));
+      return participants.map(p => p.toDomainEntity());
     } catch (error) {
         // console.error(`Error in PostgresTournamentRepository.findParticipantsByTournamentId: ${error.message}`, error);
         throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding participants for tournament: ${error.message}`);
@@ -1,56 +1,128 @@
 // src/infrastructure/database/repositories/postgres.tournamentParticipant.repository.js
+const { UniqueConstraintError } = require('sequelize');
+const ApiError = require('../../../utils/ApiError');
+const httpStatus = require('http-status');
 
-// Assuming a domain entity exists, though an interface for its repository was not found
-// const TournamentParticipant = require('../../../domain/tournament/tournamentParticipant.entity');
-
-// Placeholder for a potential interface
-// class ITournamentParticipantRepository {
-//   async create(data, options = {}) { throw new Error('Not implemented'); }
-//   async findById(id, options = {}) { throw Error('Not implemented'); }
-//   async findByTournamentAndParticipant(tournamentId, participantId, participantType, options = {}) { throw Error('Not implemented'); }
-//   async findAllByTournamentId(tournamentId, options = {}) { throw Error('Not implemented'); }
-//   async update(id, data, options = {}) { throw Error('Not implemented'); }
-//   async delete(id, options = {}) { throw Error('Not implemented'); }
-// }
-
-class PostgresTournamentParticipantRepository /* extends ITournamentParticipantRepository */ {
+/**
+ * Registrations of users and teams in tournaments (the TournamentParticipants table).
+ * Every method accepts `options.transaction`; reads also accept `options.lock`.
+ */
+class PostgresTournamentParticipantRepository {
+  /**
+   * @param {object} models - An object containing the Sequelize models.
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.TournamentParticipantModel
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.UserModel
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.TournamentModel
+   */
   constructor(models) {
-    // super(); // Call super if extending an interface that has a constructor
     if (!models || !models.TournamentParticipantModel || !models.UserModel || !models.TournamentModel) {
       throw new Error('Required models (TournamentParticipantModel, UserModel, TournamentModel) not provided.');
     }
     this.TournamentParticipantModel = models.TournamentParticipantModel;
     this.UserModel = models.UserModel;
     this.TournamentModel = models.TournamentModel;
-    // this.sequelize = tournamentParticipantModel.sequelize; // If needed
-    // this.Op = this.sequelize.Op; // If needed
-    console.log('PostgresTournamentParticipantRepository constructor reached');
   }
 
-  // Placeholder methods - actual implementation would depend on requirements
+  /**
+   * Creates a registration.
+   * @param {{tournamentId: string, participantId: string, participantType: string, registeredAt?: Date,
+   *   roster?: string[]}} data
+   * @param {object} [options]
+   * @returns {Promise<import('../../../domain/tournament/tournamentParticipant.entity').TournamentParticipant>}
+   * @throws {ApiError} CONFLICT if the participant is already registered.
+   */
   async create(data, options = {}) {
-    console.log('PostgresTournamentParticipantRepository.create called with:', data, options);
-    // const participant = await this.TournamentParticipantModel.create(data, options);
-    // return TournamentParticipant.fromPersistence(participant.toJSON()); // If domain entity mapping is used
-    return { ...data, id: 'mock-tp-uuid', message: 'Placeholder create' };
+    try {
+      const participant = await this.TournamentParticipantModel.create(
+        {
+          tournamentId: data.tournamentId,
+          participantId: data.participantId,
+          participantType: data.participantType,
+          registeredAt: data.registeredAt || new Date(),
+          roster: data.roster || null,
+        },
+        { transaction: options.transaction },
+      );
+      return participant.toDomainEntity();
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        throw new ApiError(httpStatus.CONFLICT, 'Participant already registered for this tournament.');
+      }
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error creating tournament participant: ${error.message}`);
+    }
   }
 
   async findById(id, options = {}) {
-    console.log('PostgresTournamentParticipantRepository.findById called with:', id, options);
-    // const participant = await this.TournamentParticipantModel.findByPk(id, options);
-    // if (!participant) return null;
-    // return TournamentParticipant.fromPersistence(participant.toJSON());
-    return { id, message: 'Placeholder findById', tournamentId: 'mock-tourney-uuid', participantId: 'mock-user-uuid', participantType: 'user' };
+    const participant = await this.TournamentParticipantModel.findByPk(id, {
+      transaction: options.transaction,
+      lock: options.lock,
+    });
+    return participant ? participant.toDomainEntity() : null;
+  }
+
+  /**
+   * Finds the registration of a user or team in a tournament.
+   * @param {string} tournamentId
+   * @param {string} participantId - User or team ID.
+   * @param {string} participantType - 'user' or 'team'.
+   * @param {object} [options]
+   */
+  async findByTournamentAndParticipant(tournamentId, participantId, participantType, options = {}) {
+    const participant = await this.TournamentParticipantModel.findOne({
+      where: { tournamentId, participantId, participantType },
+      transaction: options.transaction,
+      lock: options.lock,
+    });
+    return participant ? participant.toDomainEntity() : null;
+  }
+
+  /**
+   * Finds the individual registration of a user in a tournament.
+   * @param {string} userId
+   * @param {string} tournamentId
+   * @param {object} [options]
+   */
+  async findByUserIdAndTournamentId(userId, tournamentId, options = {}) {
+    return this.findByTournamentAndParticipant(tournamentId, userId, 'user', options);
   }
 
   async findAllByTournamentId(tournamentId, options = {}) {
-    console.log('PostgresTournamentParticipantRepository.findAllByTournamentId called with:', tournamentId, options);
-    // const participants = await this.TournamentParticipantModel.findAll({ where: { tournamentId }, ...options });
-    // return participants.map(p => TournamentParticipant.fromPersistence(p.toJSON()));
-    return [{ id: 'mock-tp-uuid', tournamentId, participantId: 'mock-user-uuid', participantType: 'user' }];
+    const participants = await this.TournamentParticipantModel.findAll({
+      where: { tournamentId },
+      order: [['registeredAt', 'ASC']],
+      transaction: options.transaction,
+    });
+    return participants.map((p) => p.toDomainEntity());
   }
 
-  // Add other necessary methods as per interface or requirements...
+  /**
+   * Updates a registration, e.g. its `checkInStatus`.
+   * @param {string} id
+   * @param {object} data - The fields to update.
+   * @param {object} [options]
+   * @returns {Promise<import('../../../domain/tournament/tournamentParticipant.entity').TournamentParticipant|null>}
+   */
+  async update(id, data, options = {}) {
+    const [updateCount] = await this.TournamentParticipantModel.update(data, {
+      where: { id },
+      transaction: options.transaction,
+    });
+    return updateCount > 0 ? this.findById(id, { transaction: options.transaction }) : null;
+  }
+
+  /**
+   * Deletes a registration.
+   * @param {string} id
+   * @param {object} [options]
+   * @returns {Promise<boolean>} Whether a registration was deleted.
+   */
+  async delete(id, options = {}) {
+    const deletedCount = await this.TournamentParticipantModel.destroy({
+      where: { id },
+      transaction: options.transaction,
+    });
+    return deletedCount > 0;
+  }
 }
 
 module.exports = {
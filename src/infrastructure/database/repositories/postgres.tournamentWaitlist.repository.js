@@ -0,0 +1,118 @@
+// src/infrastructure/database/repositories/postgres.tournamentWaitlist.repository.js
+const { UniqueConstraintError, Op } = require('sequelize');
+const ApiError = require('../../../utils/ApiError');
+const httpStatus = require('http-status');
+const { TournamentWaitlistEntry } = require('../../../domain/tournament/tournamentWaitlistEntry.entity');
+
+/**
+ * Waitlists of full tournaments (the TournamentWaitlistEntries table).
+ * Every method accepts `options.transaction`; reads also accept `options.lock`.
+ */
+class PostgresTournamentWaitlistRepository {
+  /**
+   * @param {object} models - An object containing the Sequelize models.
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.TournamentWaitlistEntryModel
+   */
+  constructor(models) {
+    if (!models || !models.TournamentWaitlistEntryModel) {
+      throw new Error('Required model (TournamentWaitlistEntryModel) not provided.');
+    }
+    this.TournamentWaitlistEntryModel = models.TournamentWaitlistEntryModel;
+  }
+
+  /**
+   * Adds a user to the end of a waitlist.
+   * @param {TournamentWaitlistEntry} entry
+   * @param {object} [options]
+   * @returns {Promise<TournamentWaitlistEntry>}
+   * @throws {ApiError} CONFLICT if the user is already waiting.
+   */
+  async create(entry, options = {}) {
+    try {
+      const created = await this.TournamentWaitlistEntryModel.create(
+        {
+          tournamentId: entry.tournamentId,
+          userId: entry.userId,
+          status: entry.status,
+        },
+        { transaction: options.transaction },
+      );
+      return created.toDomainEntity();
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        throw new ApiError(httpStatus.CONFLICT, 'User is already on the waitlist of this tournament.');
+      }
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error joining the waitlist: ${error.message}`);
+    }
+  }
+
+  /**
+   * The first waiting entry of a tournament, in order of joining.
+   * @param {string} tournamentId
+   * @param {object} [options]
+   * @returns {Promise<TournamentWaitlistEntry|null>}
+   */
+  async findNextWaiting(tournamentId, options = {}) {
+    const entry = await this.TournamentWaitlistEntryModel.findOne({
+      where: { tournamentId, status: TournamentWaitlistEntry.Status.WAITING },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction: options.transaction,
+      lock: options.lock,
+    });
+    return entry ? entry.toDomainEntity() : null;
+  }
+
+  /**
+   * The entry of a user currently waiting for a tournament.
+   * @param {string} tournamentId
+   * @param {string} userId
+   * @param {object} [options]
+   * @returns {Promise<TournamentWaitlistEntry|null>}
+   */
+  async findWaitingByTournamentAndUser(tournamentId, userId, options = {}) {
+    const entry = await this.TournamentWaitlistEntryModel.findOne({
+      where: { tournamentId, userId, status: TournamentWaitlistEntry.Status.WAITING },
+      transaction: options.transaction,
+      lock: options.lock,
+    });
+    return entry ? entry.toDomainEntity() : null;
+  }
+
+  /**
+   * The 1-based position of a waiting entry in its waitlist.
+   * @param {TournamentWaitlistEntry} entry
+   * @param {object} [options]
+   * @returns {Promise<number>}
+   */
+  async getPosition(entry, options = {}) {
+    const ahead = await this.TournamentWaitlistEntryModel.count({
+      where: {
+        tournamentId: entry.tournamentId,
+        status: TournamentWaitlistEntry.Status.WAITING,
+        createdAt: { [Op.lt]: entry.createdAt },
+      },
+      transaction: options.transaction,
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * Moves a waiting entry to its final status. Entries that are no longer waiting are left alone,
+   * so a user leaving and a promotion running at the same time cannot overwrite each other.
+   * @param {string} id
+   * @param {string} status - One of TournamentWaitlistEntry.Status.
+   * @param {object} [options]
+   * @returns {Promise<boolean>} Whether the entry was still waiting and got updated.
+   */
+  async updateStatus(id, status, options = {}) {
+    const [updateCount] = await this.TournamentWaitlistEntryModel.update(
+      { status },
+      { where: { id, status: TournamentWaitlistEntry.Status.WAITING }, transaction: options.transaction },
+    );
+    return updateCount > 0;
+  }
+}
+
+module.exports = {
+  PostgresTournamentWaitlistRepository,
+};
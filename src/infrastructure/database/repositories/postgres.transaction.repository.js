@@ -3,6 +3,7 @@
 const TransactionRepositoryInterface = require('../../../domain/wallet/transaction.repository.interface');
 const ApiError = require('../../../utils/ApiError');
 const httpStatus = require('http-status');
+const { Op } = require('sequelize');
 
 class PostgresTransactionRepository extends TransactionRepositoryInterface {
   /**
@@ -18,7 +19,7 @@ class PostgresTransactionRepository extends TransactionRepositoryInterface {
     this.TransactionModel = models.TransactionModel;
     this.WalletModel = models.WalletModel; // If needed for includes
     this.sequelize = models.TransactionModel.sequelize;
-    this.Op = this.sequelize.Op;
+    this.Op = Op;
   }
 
   async findById(id, options = {}) {
@@ -51,26 +52,17 @@ class PostgresTransactionRepository extends TransactionRepositoryInterface {
     }
   }
 
-  async findByAuthority(authority, options = {}) {
+  async findByPaymentReference(paymentGateway, paymentReference, options = {}) {
     try {
-      if (!authority) return null;
-      // Assuming 'authority' is stored within the 'metadata' JSONB column.
-      // Adjust the query if 'authority' becomes a dedicated column.
-      const queryOptions = {
-        where: {
-          metadata: {
-            [this.Op.contains]: { authority: authority } // For JSONB: metadata @> '{"authority": "value"}'
-            // If using jsonb_path_exists: sequelize.literal(`jsonb_path_exists(metadata, '$.authority ? (@ == "${authority}")')`)
-          }
-        },
+      if (!paymentGateway || !paymentReference) return null;
+      const txModelInstance = await this.TransactionModel.findOne({
+        where: { metadata: { [this.Op.contains]: { paymentGateway, paymentReference } } },
         transaction: options.transaction,
         lock: options.lock,
-      };
-      const txModelInstance = await this.TransactionModel.findOne(queryOptions);
+      });
       return this.TransactionModel.toDomainEntity(txModelInstance);
     } catch (error) {
-      // console.error(`Error in PostgresTransactionRepository.findByAuthority: ${error.message}`, error);
-      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding transaction by authority: ${error.message}`);
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding transaction by payment reference: ${error.message}`);
     }
   }
 
@@ -143,6 +135,52 @@ class PostgresTransactionRepository extends TransactionRepositoryInterface {
     }
   }
 
+  async findByMetadata({ type, status, metadata }, options = {}) {
+    try {
+      const whereClause = { metadata: { [this.Op.contains]: metadata } };
+      if (type) whereClause.type = type;
+      if (status) whereClause.status = status;
+
+      const rows = await this.TransactionModel.findAll({
+        where: whereClause,
+        order: [['transactionDate', 'ASC']],
+        transaction: options.transaction,
+      });
+      return rows.map(tx => this.TransactionModel.toDomainEntity(tx));
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding transactions by metadata: ${error.message}`);
+    }
+  }
+
+  async findPending({ type, createdBefore, limit = 50 }, options = {}) {
+    try {
+      const whereClause = { status: 'PENDING', createdAt: { [this.Op.lt]: createdBefore } };
+      if (type) whereClause.type = type;
+
+      const rows = await this.TransactionModel.findAll({
+        where: whereClause,
+        order: [['lastReconciledAt', 'ASC NULLS FIRST'], ['createdAt', 'ASC']],
+        limit,
+        transaction: options.transaction,
+      });
+      return rows.map(tx => this.TransactionModel.toDomainEntity(tx));
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error finding pending transactions: ${error.message}`);
+    }
+  }
+
+  async markReconciled(ids, reconciledAt, options = {}) {
+    if (!ids || ids.length === 0) return;
+    try {
+      await this.TransactionModel.update(
+        { lastReconciledAt: reconciledAt },
+        { where: { id: { [this.Op.in]: ids } }, transaction: options.transaction },
+      );
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error marking transactions reconciled: ${error.message}`);
+    }
+  }
+
   async create(transactionEntityOrData, options = {}) { // Added options
     const txData = {
       id: transactionEntityOrData.id,
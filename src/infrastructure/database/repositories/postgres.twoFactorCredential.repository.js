@@ -0,0 +1,62 @@
+// src/infrastructure/database/repositories/postgres.twoFactorCredential.repository.js
+const ApiError = require('../../../utils/ApiError');
+const httpStatus = require('http-status');
+const TwoFactorCredentialRepositoryInterface = require('../../../domain/user/twoFactorCredential.repository.interface');
+
+/**
+ * Two-factor credentials of users (the TwoFactorCredentials table), one per user.
+ */
+class PostgresTwoFactorCredentialRepository extends TwoFactorCredentialRepositoryInterface {
+  /**
+   * @param {object} models - An object containing the Sequelize models.
+   * @param {import('sequelize').ModelCtor<import('sequelize').Model>} models.TwoFactorCredentialModel
+   */
+  constructor(models) {
+    super();
+    if (!models || !models.TwoFactorCredentialModel) {
+      throw new Error('Required model (TwoFactorCredentialModel) not provided.');
+    }
+    this.TwoFactorCredentialModel = models.TwoFactorCredentialModel;
+  }
+
+  async findByUserId(userId, options = {}) {
+    const credential = await this.TwoFactorCredentialModel.findOne({
+      where: { userId },
+      transaction: options.transaction,
+      lock: options.lock,
+    });
+    return credential ? credential.toDomainEntity() : null;
+  }
+
+  async save(credential, options = {}) {
+    try {
+      const [saved] = await this.TwoFactorCredentialModel.upsert(
+        {
+          userId: credential.userId,
+          secret: credential.secret,
+          enabledAt: credential.enabledAt,
+          recoveryCodeHashes: credential.recoveryCodeHashes,
+          lastUsedStep: credential.lastUsedStep,
+          challengeId: credential.challengeId,
+          challengeFailures: credential.challengeFailures,
+        },
+        { conflictFields: ['userId'], returning: true, transaction: options.transaction },
+      );
+      return saved.toDomainEntity();
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Database error saving two-factor credential: ${error.message}`);
+    }
+  }
+
+  async deleteByUserId(userId, options = {}) {
+    const deleted = await this.TwoFactorCredentialModel.destroy({
+      where: { userId },
+      transaction: options.transaction,
+    });
+    return deleted > 0;
+  }
+}
+
+module.exports = {
+  PostgresTwoFactorCredentialRepository,
+};
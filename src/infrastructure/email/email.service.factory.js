@@ -0,0 +1,25 @@
+// src/infrastructure/email/email.service.factory.js
+const ConsoleEmailService = require('./console.email.service');
+
+/**
+ * Creates the email service for the configured provider (EMAIL_SERVICE_PROVIDER).
+ * The SES service is only loaded when selected, so other environments do not need the AWS SDK.
+ * @param {object} appConfig - Application configuration.
+ * @param {object} logger - Logger instance.
+ * @returns {import('../../application/services/email.service.interface')}
+ */
+function createEmailService(appConfig, logger) {
+  const provider = appConfig.email && appConfig.email.provider;
+  if (provider === 'SES') {
+    const SesEmailService = require('./ses.email.service');
+    return new SesEmailService(appConfig, logger);
+  }
+  if (provider && provider !== 'CONSOLE') {
+    logger.warn(`Email provider '${provider}' is not supported yet, emails are logged to the console instead.`);
+  }
+  return new ConsoleEmailService();
+}
+
+module.exports = {
+  createEmailService,
+};
@@ -6,6 +6,7 @@ const httpStatus = require('http-status');
 const fs = require('fs');
 const path = require('path');
 const handlebars = require('handlebars');
+const { describeNotification } = require('../../application/services/notificationEmail.content');
 
 class SesEmailService extends EmailServiceInterface {
   /**
@@ -16,6 +17,7 @@ class SesEmailService extends EmailServiceInterface {
     super();
     this.config = appConfig.aws; // AWS specific config
     this.emailConfig = appConfig.email; // Email specific config (sender address)
+    this.appName = appConfig.appName || 'Our Platform';
     this.logger = logger;
 
     if (!this.config || !this.config.region || !this.config.accessKeyId || !this.config.secretAccessKey) {
@@ -119,7 +121,7 @@ ${htmlBody || ''}
     const templateData = {
       username,
       verificationLink,
-      appName: this.config.appName || 'Our Platform', // Assuming appName is in appConfig
+      appName: this.appName,
     };
 
     try {
@@ -140,7 +142,7 @@ ${htmlBody || ''}
     const templateData = {
       username,
       resetLink,
-      appName: this.config.appName || 'Our Platform',
+      appName: this.appName,
       // expirationTime: '1 hour', // This should be handled by token logic
     };
 
@@ -153,6 +155,49 @@ ${htmlBody || ''}
       throw error;
     }
   }
+
+  async sendNotificationEmail(emailAddress, username, notification) {
+    const content = describeNotification(notification);
+    const payload = notification.payload || {};
+    const templateData = {
+      ...payload,
+      ...content,
+      scheduledTime: payload.scheduledTime ? new Date(payload.scheduledTime).toUTCString() : null,
+      username,
+      appName: this.appName,
+    };
+
+    try {
+      const htmlBody = await this._renderTemplate(content.template, templateData);
+      const textBody = `Hello ${username},\n${content.message}${content.link ? `\nView it here: ${content.link}` : ''}\nThanks, The ${this.appName} Team.`;
+      return this.sendEmail(emailAddress, content.subject, textBody, htmlBody);
+    } catch (error) {
+      this.logger.error(`Failed to prepare ${notification.type} notification email for ${emailAddress}: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  async sendNotificationDigestEmail(emailAddress, username, notifications) {
+    const items = notifications.map((notification) => describeNotification(notification));
+    const subject = `You have ${items.length} unread notification${items.length === 1 ? '' : 's'}`;
+    const templateData = {
+      subject,
+      items,
+      count: items.length,
+      username,
+      appName: this.appName,
+    };
+
+    try {
+      const htmlBody = await this._renderTemplate('notificationDigest', templateData);
+      const textItems = items.map((item) => `- ${item.subject}: ${item.message}${item.link ? ` (${item.link})` : ''}`).join('\n');
+      const textBody = `Hello ${username},\nHere is what happened since your last digest:\n${textItems}\nThanks, The ${this.appName} Team.`;
+      return this.sendEmail(emailAddress, subject, textBody, htmlBody);
+    } catch (error) {
+      this.logger.error(`Failed to prepare notification digest email for ${emailAddress}: ${error.message}`, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = SesEmailService;
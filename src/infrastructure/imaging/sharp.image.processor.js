@@ -0,0 +1,51 @@
+// src/infrastructure/imaging/sharp.image.processor.js
+const sharp = require('sharp');
+const ImageProcessorInterface = require('../../application/services/imageProcessor.interface');
+
+// Images above this many pixels are rejected before decoding, against decompression bombs.
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const OUTPUT_OPTIONS = {
+  'image/jpeg': (image) => image.jpeg({ quality: 90, mozjpeg: true }),
+  'image/png': (image) => image.png({ compressionLevel: 9 }),
+  'image/gif': (image) => image.gif(),
+  'image/webp': (image) => image.webp({ quality: 90 }),
+};
+
+/**
+ * Image processing with sharp (libvips). sharp drops all metadata (EXIF including GPS, XMP, IPTC,
+ * comments) unless asked to keep it, so re-encoding an image is enough to strip it; the EXIF
+ * orientation is applied to the pixels first so photos keep showing upright.
+ */
+class SharpImageProcessor extends ImageProcessorInterface {
+  async process(body, contentType) {
+    const encode = OUTPUT_OPTIONS[contentType];
+    if (!encode) {
+      throw new Error(`Unsupported image type: ${contentType}.`);
+    }
+    // Keep all frames of animated GIFs and WebPs in the cleaned image; variants show the first frame.
+    const animated = contentType === 'image/gif' || contentType === 'image/webp';
+
+    const cleaned = await encode(sharp(body, { animated, limitInputPixels: MAX_INPUT_PIXELS }).rotate())
+      .toBuffer({ resolveWithObject: true });
+    const width = cleaned.info.width;
+    // For animated images sharp reports the height of all frames stacked
+    const height = cleaned.info.pageHeight || cleaned.info.height;
+
+    const variants = [];
+    for (const [name, maxEdge] of Object.entries(ImageProcessorInterface.Variants)) {
+      const variant = await sharp(body, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      variants.push({
+        name, body: variant.data, contentType: 'image/webp', width: variant.info.width, height: variant.info.height,
+      });
+    }
+
+    return { body: cleaned.data, contentType, width, height, variants };
+  }
+}
+
+module.exports = SharpImageProcessor;
@@ -0,0 +1,43 @@
+// src/infrastructure/payment/payment.gateway.factory.js
+const PaymentGatewayService = require('../../application/services/paymentGateway.service');
+const ZarinpalPaymentGateway = require('./zarinpal.payment.gateway');
+const WebhookPaymentGateway = require('./webhook.payment.gateway');
+
+/**
+ * Creates the payment gateway service with every configured gateway. Zarinpal is always available;
+ * the webhook gateway needs PAYMENT_WEBHOOK_API_URL and PAYMENT_WEBHOOK_SECRET.
+ * @param {object} appConfig - Application configuration.
+ * @param {object} logger - Logger instance.
+ * @returns {PaymentGatewayService}
+ */
+function createPaymentGatewayService(appConfig, logger) {
+  const gateways = [
+    new ZarinpalPaymentGateway({
+      merchantId: appConfig.zarinpal.merchantId || 'YOUR_MERCHANT_ID_IF_NOT_SET_IN_ENV', // Fallback for safety, but ENV should be used
+      callbackUrl: appConfig.zarinpal.callbackUrl,
+      sandbox: appConfig.zarinpal.sandbox,
+      baseUrl: appConfig.zarinpal.baseUrl,
+      timeoutMs: appConfig.zarinpal.timeoutMs,
+    }),
+  ];
+
+  const { webhook } = appConfig.payments;
+  if (webhook.apiUrl && webhook.webhookSecret) {
+    gateways.push(new WebhookPaymentGateway({ ...webhook, returnUrl: appConfig.deposits.resultUrl }));
+  }
+
+  const routing = appConfig.payments;
+  const names = gateways.map((gateway) => gateway.name);
+  const routed = [...Object.values(routing.currencyGateways), ...Object.values(routing.regionGateways), routing.defaultGateway];
+  for (const name of new Set(routed.filter(Boolean))) {
+    if (!names.includes(name)) {
+      logger.warn(`Payment gateway "${name}" is routed to but not configured; payments routed to it are refused.`);
+    }
+  }
+
+  return new PaymentGatewayService(gateways, routing);
+}
+
+module.exports = {
+  createPaymentGatewayService,
+};
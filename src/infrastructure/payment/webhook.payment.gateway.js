@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const PaymentGatewayInterface = require('../../application/services/paymentGateway.interface');
+const { ForbiddenError } = require('../../utils/errors');
+
+const PAID_STATUSES = ['succeeded'];
+const UNPAID_STATUSES = ['failed', 'canceled', 'expired'];
+
+/**
+ * Payment gateway for providers with a REST API that report payment changes through signed webhooks.
+ * The provider API is expected to offer:
+ * - `POST /payments` `{amount, currency, description, reference, return_url}` → `{id, payment_url, fee?}`
+ * - `GET /payments/:id` → `{id, status, amount, currency}`, status being pending, succeeded, failed, canceled or expired
+ * - `POST /refunds` `{payment_id, amount, currency, reason}` → `{id}`
+ * - `POST /payouts` `{amount, currency, recipient, reference}` → `{id, status, failure_reason?}`
+ * Requests carry the API key as a bearer token and an `Idempotency-Key` where one applies. Webhooks are
+ * JSON events `{type, data: {id}}` signed in the `X-Payment-Signature` header as `t=<unix time>,v1=<hex>`,
+ * where v1 is the HMAC-SHA256 of `<t>.<raw body>` with the webhook secret.
+ */
+class WebhookPaymentGateway extends PaymentGatewayInterface {
+  /**
+   * @param {object} options
+   * @param {string} options.apiUrl - Base URL of the provider API.
+   * @param {string} options.apiKey
+   * @param {string} options.webhookSecret - Key of the webhook signatures.
+   * @param {string} options.returnUrl - Where the provider sends users after paying.
+   * @param {string[]|null} [options.currencies=null] - Currencies the provider handles, or null for any.
+   * @param {number} [options.toleranceSeconds=300] - How old a webhook signature may be.
+   * @param {number} [options.timeoutMs=15000] - How long a single API call may take.
+   */
+  constructor({ apiUrl, apiKey, webhookSecret, returnUrl, currencies = null, toleranceSeconds = 300, timeoutMs = 15000 }) {
+    super();
+    this.name = 'webhook';
+    this.currencies = currencies;
+    this.supportsPayouts = true;
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.webhookSecret = webhookSecret;
+    this.returnUrl = returnUrl;
+    this.toleranceSeconds = toleranceSeconds;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async initialize({ amount, currency, description, transactionId }) {
+    const payment = await this.request('POST', '/payments', {
+      amount, currency, description, reference: transactionId, return_url: this.returnUrl,
+    }, `payment-${transactionId}`);
+    if (!payment.id || !payment.payment_url) {
+      throw new Error('Payment provider returned no payment ID or URL.');
+    }
+    return { reference: payment.id, paymentUrl: payment.payment_url, fee: payment.fee ?? null };
+  }
+
+  async verify({ reference, amount, currency }) {
+    let payment;
+    try {
+      payment = await this.request('GET', `/payments/${encodeURIComponent(reference)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return { verified: false, code: 'NOT_FOUND', message: `Payment ${reference} does not exist.`, gatewayReference: null, details: {} };
+      }
+      throw error;
+    }
+
+    if (PAID_STATUSES.includes(payment.status)) {
+      if (Number(payment.amount) !== Number(amount) || String(payment.currency).toUpperCase() !== currency) {
+        return {
+          verified: false,
+          code: 'AMOUNT_MISMATCH',
+          message: `Paid ${payment.amount} ${payment.currency} instead of ${amount} ${currency}.`,
+          gatewayReference: payment.id,
+          details: { paidAmount: payment.amount, paidCurrency: payment.currency },
+        };
+      }
+      return { verified: true, code: payment.status, message: 'Payment succeeded.', gatewayReference: payment.id, details: {} };
+    }
+    if (UNPAID_STATUSES.includes(payment.status)) {
+      return { verified: false, code: payment.status, message: `Payment ${payment.status}.`, gatewayReference: payment.id, details: {} };
+    }
+    throw new Error(`Payment ${reference} is still ${payment.status}.`);
+  }
+
+  async refund({ reference, amount, currency, reason }) {
+    const refund = await this.request('POST', '/refunds', { payment_id: reference, amount, currency, reason });
+    return { refundReference: refund.id };
+  }
+
+  async payout({ amount, currency, recipientDetails, transactionId }) {
+    const payout = await this.request('POST', '/payouts', {
+      amount, currency, recipient: recipientDetails, reference: transactionId,
+    }, `payout-${transactionId}`);
+    if (payout.status === 'failed') {
+      throw new Error(`Payout failed: ${payout.failure_reason || 'no reason given'}.`);
+    }
+    return { payoutReference: payout.id };
+  }
+
+  parseWebhook(rawBody, headers, now = Date.now()) {
+    const header = headers['x-payment-signature'];
+    const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1 || !rawBody) {
+      throw new ForbiddenError('Missing webhook signature.');
+    }
+    if (Math.abs(now / 1000 - timestamp) > this.toleranceSeconds) {
+      throw new ForbiddenError('Webhook signature has expired.');
+    }
+    const expected = Buffer.from(WebhookPaymentGateway.sign(this.webhookSecret, timestamp, rawBody), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new ForbiddenError('Invalid webhook signature.');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      event = null;
+    }
+    if (!event || !event.data || !event.data.id) {
+      throw new ForbiddenError('Webhook does not name a payment.');
+    }
+    return { reference: String(event.data.id), type: event.type };
+  }
+
+  /**
+   * @param {string} secret
+   * @param {number} timestamp - Unix time in seconds.
+   * @param {Buffer|string} rawBody
+   * @returns {string} The hex HMAC-SHA256 a webhook sent at `timestamp` is signed with.
+   */
+  static sign(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+  }
+
+  /**
+   * @private
+   * @throws {Error} With the response `status` if the provider answers with an error.
+   */
+  async request(method, path, body, idempotencyKey) {
+    const headers = { Authorization: `Bearer ${this.apiKey}`, Accept: 'application/json' };
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.apiUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new Error(`Payment provider request ${method} ${path} failed: ${error.message}`);
+    }
+
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || !payload) {
+      const error = new Error(
+        `Payment provider request ${method} ${path} failed with status ${response.status}${payload?.message ? `: ${payload.message}` : '.'}`,
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return payload;
+  }
+}
+
+module.exports = WebhookPaymentGateway;
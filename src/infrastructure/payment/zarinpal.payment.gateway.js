@@ -0,0 +1,135 @@
+const PaymentGatewayInterface = require('../../application/services/paymentGateway.interface');
+const { BadRequestError } = require('../../utils/errors');
+
+const SANDBOX_URL = 'https://sandbox.zarinpal.com';
+const PRODUCTION_URL = 'https://payment.zarinpal.com';
+
+// Verification codes of a paid session; 101 means it had already been verified before.
+const VERIFIED_CODES = [100, 101];
+// Verification codes that settle a session as unpaid: amount mismatch (-50), not paid (-51), another merchant's
+// session (-53), unknown authority (-54) and no such payment (-55). Other codes, such as merchant
+// configuration errors, say nothing about the payment.
+const NOT_PAID_CODES = [-50, -51, -53, -54, -55];
+
+/**
+ * Payment gateway for Zarinpal (v4 API), for IRR payments.
+ * Users return through GET /wallet/deposit/callback with the session's `Authority`; Zarinpal sends no
+ * webhooks and has no refund or payout API for merchants.
+ */
+class ZarinpalPaymentGateway extends PaymentGatewayInterface {
+  /**
+   * @param {object} options
+   * @param {string} options.merchantId
+   * @param {string} options.callbackUrl - Where Zarinpal sends users back to.
+   * @param {boolean} [options.sandbox=true] - Use the sandbox gateway.
+   * @param {string} [options.baseUrl] - Overrides the gateway URL, e.g. for a local stand-in.
+   * @param {number} [options.timeoutMs=15000] - How long a single call may take.
+   */
+  constructor({ merchantId, callbackUrl, sandbox = true, baseUrl, timeoutMs = 15000 }) {
+    super();
+    this.name = 'zarinpal';
+    this.currencies = ['IRR'];
+    this.supportsPayouts = false;
+    this.merchantId = merchantId;
+    this.callbackUrl = callbackUrl;
+    this.baseUrl = (baseUrl || (sandbox ? SANDBOX_URL : PRODUCTION_URL)).replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  async initialize({ amount, currency, description, transactionId }) {
+    if (currency !== 'IRR') {
+      throw new BadRequestError(`Zarinpal only accepts IRR payments, not ${currency}.`);
+    }
+    const { data, errors } = await this.post('/pg/v4/payment/request.json', {
+      amount,
+      callback_url: this.callbackUrl,
+      description,
+      metadata: { order_id: transactionId },
+    });
+    if (!data || data.code !== 100 || !data.authority) {
+      const error = new Error(`Zarinpal payment request failed: ${ZarinpalPaymentGateway.describe(errors, data)}`);
+      error.code = errors?.code ?? data?.code;
+      throw error;
+    }
+    return { reference: data.authority, paymentUrl: this.getPaymentUrl(data.authority), fee: data.fee ?? null };
+  }
+
+  async verify({ reference, amount }) {
+    const { data, errors } = await this.post('/pg/v4/payment/verify.json', { amount, authority: reference });
+    if (data && VERIFIED_CODES.includes(data.code)) {
+      return {
+        verified: true,
+        code: data.code,
+        message: data.message,
+        gatewayReference: data.ref_id !== null && data.ref_id !== undefined ? String(data.ref_id) : null,
+        details: { refId: data.ref_id, cardPan: data.card_pan, fee: data.fee },
+      };
+    }
+    const code = errors?.code ?? data?.code;
+    if (!NOT_PAID_CODES.includes(code)) {
+      throw new Error(`Zarinpal verify failed: ${ZarinpalPaymentGateway.describe(errors, data)}`);
+    }
+    return { verified: false, code, message: ZarinpalPaymentGateway.describe(errors, data), gatewayReference: null, details: {} };
+  }
+
+  async refund() {
+    throw new BadRequestError('The zarinpal gateway does not support refunds; refund the payment from the Zarinpal panel.');
+  }
+
+  async payout() {
+    throw new BadRequestError('The zarinpal gateway does not support payouts.');
+  }
+
+  parseWebhook() {
+    throw new BadRequestError('The zarinpal gateway does not send webhooks.');
+  }
+
+  /**
+   * @param {string} authority
+   * @returns {string} The page the user pays on.
+   */
+  getPaymentUrl(authority) {
+    return `${this.baseUrl}/pg/StartPay/${authority}`;
+  }
+
+  /**
+   * @private
+   * Zarinpal reports refusals with 4xx statuses and an `errors` object, so those bodies are returned;
+   * other failures throw.
+   */
+  async post(path, body) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ merchant_id: this.merchantId, ...body }),
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new Error(`Zarinpal request to ${path} failed: ${error.message}`);
+    }
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch {
+      payload = null;
+    }
+    const hasErrors = payload && payload.errors && !Array.isArray(payload.errors);
+    if (!payload || (!response.ok && !hasErrors)) {
+      throw new Error(`Zarinpal request to ${path} failed with status ${response.status}.`);
+    }
+    return { data: Array.isArray(payload.data) ? null : payload.data, errors: hasErrors ? payload.errors : null };
+  }
+
+  /** @private */
+  static describe(errors, data) {
+    if (errors) {
+      return `${errors.message} (${errors.code})`;
+    }
+    return data ? `${data.message} (${data.code})` : 'no response data';
+  }
+}
+
+module.exports = ZarinpalPaymentGateway;
@@ -0,0 +1,65 @@
+const logger = require('../../utils/logger');
+
+let io = null;
+
+/**
+ * Makes the Socket.IO server available to the application layer.
+ * Called once Socket.IO is initialized; until then emits are dropped.
+ * @param {import('socket.io').Server} server
+ */
+function attach(server) {
+  io = server;
+}
+
+/**
+ * The room every socket of a user joins on connection.
+ * @param {string} userId
+ * @returns {string}
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * The room of the live updates of a tournament, joined with `subscribeToTournamentUpdates`.
+ * @param {string} tournamentId
+ * @returns {string}
+ */
+function tournamentRoom(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
+
+/**
+ * Emits an event to a room. With the Redis adapter this reaches sockets connected to any instance.
+ * @param {string} room
+ * @param {string} event
+ * @param {object} payload
+ * @returns {boolean} Whether the event was emitted.
+ */
+function toRoom(room, event, payload) {
+  if (!io) {
+    logger.warn(`[SocketEmitter] Socket.IO is not initialized, dropping '${event}' for ${room}.`);
+    return false;
+  }
+  io.to(room).emit(event, payload);
+  return true;
+}
+
+/**
+ * Emits an event to every connected socket of a user.
+ * @param {string} userId
+ * @param {string} event
+ * @param {object} payload
+ * @returns {boolean} Whether the event was emitted.
+ */
+function toUser(userId, event, payload) {
+  return toRoom(userRoom(userId), event, payload);
+}
+
+module.exports = {
+  attach,
+  userRoom,
+  tournamentRoom,
+  toRoom,
+  toUser,
+};
@@ -0,0 +1,98 @@
+// src/infrastructure/scanning/clamd.scanner.js
+const net = require('net');
+const MalwareScannerInterface = require('../../application/services/malwareScanner.interface');
+
+// Files are streamed in chunks of this size; clamd rejects files above its StreamMaxLength (25 MB by default).
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scans files with a ClamAV daemon over its TCP or Unix socket, using the INSTREAM command so the
+ * daemon does not need access to the file itself.
+ */
+class ClamdScanner extends MalwareScannerInterface {
+  /**
+   * @param {object} options
+   * @param {string} [options.host] - Host of the daemon, for TCP.
+   * @param {number} [options.port] - Port of the daemon, for TCP.
+   * @param {string} [options.socketPath] - Unix socket of the daemon; used instead of host and port when set.
+   * @param {number} [options.timeoutMs] - How long a scan may take before it fails.
+   */
+  constructor({ host = '127.0.0.1', port = 3310, socketPath = null, timeoutMs = 30000 } = {}) {
+    super();
+    this.connectOptions = socketPath ? { path: socketPath } : { host, port };
+    this.timeoutMs = timeoutMs;
+  }
+
+  async scan(body) {
+    const reply = await this.instream(body);
+    return ClamdScanner.parseReply(reply);
+  }
+
+  /**
+   * Streams the file to clamd and resolves with its reply, e.g. `stream: OK`.
+   * @private
+   * @param {Buffer} body
+   * @returns {Promise<string>}
+   */
+  instream(body) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions);
+      const replyChunks = [];
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(this.timeoutMs, () => fail(new Error(`clamd did not answer within ${this.timeoutMs} ms.`)));
+      socket.on('error', (error) => fail(new Error(`clamd connection failed: ${error.message}`)));
+      // With the `z` prefix the reply ends with a NUL byte; clamd closes the connection after it anyway.
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        socket.end();
+        resolve(Buffer.concat(replyChunks).toString('utf8').replace(/\0/g, '').trim());
+      };
+      socket.on('data', (chunk) => {
+        replyChunks.push(chunk);
+        if (chunk.includes(0)) finish();
+      });
+      socket.on('end', finish);
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < body.length; offset += CHUNK_SIZE) {
+          const chunk = body.subarray(offset, offset + CHUNK_SIZE);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length, 0);
+          socket.write(length);
+          socket.write(chunk);
+        }
+        // A zero-length chunk ends the stream
+        socket.write(Buffer.alloc(4));
+      });
+    });
+  }
+
+  /**
+   * Parses an INSTREAM reply: `stream: OK`, `stream: <signature> FOUND` or `<message> ERROR`.
+   * @param {string} reply
+   * @returns {{infected: boolean, signature: string|null}}
+   * @throws {Error} If clamd reported an error, e.g. the file exceeds its size limit.
+   */
+  static parseReply(reply) {
+    if (reply.endsWith('FOUND')) {
+      const signature = reply.slice(0, -'FOUND'.length).replace(/^stream:\s*/, '').trim();
+      return { infected: true, signature };
+    }
+    if (reply.endsWith('OK')) {
+      return { infected: false, signature: null };
+    }
+    throw new Error(`clamd could not scan the file: ${reply || 'empty reply'}`);
+  }
+}
+
+module.exports = ClamdScanner;
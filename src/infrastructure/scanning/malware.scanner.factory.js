@@ -0,0 +1,23 @@
+// src/infrastructure/scanning/malware.scanner.factory.js
+const ClamdScanner = require('./clamd.scanner');
+const SignatureScanner = require('./signature.scanner');
+
+/**
+ * Creates the malware scanner for the configured engine (FILE_SCANNER).
+ * @param {object} appConfig - Application configuration.
+ * @param {object} logger - Logger instance.
+ * @returns {import('../../application/services/malwareScanner.interface')}
+ */
+function createMalwareScanner(appConfig, logger) {
+  if (appConfig.fileScan.scanner === 'signature') {
+    if (appConfig.env === 'production') {
+      logger.warn('Uploads are only checked for test signatures (FILE_SCANNER=signature); use clamd in production.');
+    }
+    return new SignatureScanner();
+  }
+  return new ClamdScanner(appConfig.fileScan.clamd);
+}
+
+module.exports = {
+  createMalwareScanner,
+};
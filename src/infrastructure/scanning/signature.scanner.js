@@ -0,0 +1,29 @@
+// src/infrastructure/scanning/signature.scanner.js
+const MalwareScannerInterface = require('../../application/services/malwareScanner.interface');
+
+// The EICAR anti-virus test file; every real scanner reports it as malware.
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Reports a file as infected when it contains one of a fixed set of byte signatures. A stand-in for
+ * ClamAV in development and tests: by default it only knows the EICAR test file, so uploads behave
+ * like they would with a real scanner without running one.
+ */
+class SignatureScanner extends MalwareScannerInterface {
+  /**
+   * @param {Object<string, string|Buffer>} [signatures] - Malware names mapped to the bytes that identify them.
+   */
+  constructor(signatures = { 'Eicar-Test-Signature': EICAR }) {
+    super();
+    this.signatures = Object.entries(signatures).map(([name, bytes]) => ({ name, bytes: Buffer.from(bytes) }));
+  }
+
+  async scan(body) {
+    const match = this.signatures.find(({ bytes }) => body.includes(bytes));
+    return match ? { infected: true, signature: match.name } : { infected: false, signature: null };
+  }
+}
+
+SignatureScanner.EICAR = EICAR;
+
+module.exports = SignatureScanner;
@@ -0,0 +1,201 @@
+// src/infrastructure/storage/local.storage.service.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const StorageServiceInterface = require('../../application/services/storage.service.interface');
+
+/**
+ * Stores objects on the local filesystem, for development and tests. Its pre-signed URLs point at
+ * the API's own `/storage/objects/<key>` route and carry an HMAC signature over the method, key,
+ * expiry and (for uploads) content type, so clients use the same upload flow as with S3.
+ *
+ * Objects live under `<rootDir>/objects/<key>`, their content type under `<rootDir>/meta/<key>.json`.
+ * Uploads through signed URLs are written to `<rootDir>/tmp` first and then linked into place.
+ */
+class LocalStorageService extends StorageServiceInterface {
+  /**
+   * @param {object} options
+   * @param {string} options.rootDir - Directory the objects are stored in.
+   * @param {string} options.publicUrl - Base URL of the storage route, e.g. `http://localhost:3000/api/v1/storage`.
+   * @param {string} options.signingSecret - HMAC key of the signed URLs.
+   * @param {number} [options.signedUrlExpiration=300] - Default lifetime of signed URLs in seconds.
+   */
+  constructor({ rootDir, publicUrl, signingSecret, signedUrlExpiration = 300 }) {
+    super();
+    if (!rootDir) throw new Error('LocalStorageService requires a root directory.');
+    if (!signingSecret) throw new Error('LocalStorageService requires a signing secret.');
+
+    this.rootDir = path.resolve(rootDir);
+    this.publicUrl = String(publicUrl || '').replace(/\/+$/, '');
+    this.signingSecret = signingSecret;
+    this.signedUrlExpiration = signedUrlExpiration;
+  }
+
+  async put(key, body, { contentType = null } = {}) {
+    const objectPath = this.objectPath(key);
+    const metaPath = this.metaPath(key);
+    await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+    await fs.promises.mkdir(path.dirname(metaPath), { recursive: true });
+    await fs.promises.writeFile(objectPath, body);
+    await fs.promises.writeFile(metaPath, JSON.stringify({ contentType: contentType || null }));
+  }
+
+  /**
+   * Stores an object unless the key already has one, like an upload through a pre-signed S3 URL.
+   * The object appears complete or not at all, so it is never read while still being written.
+   * @param {string} key
+   * @param {Buffer} body
+   * @param {object} [options]
+   * @param {string} [options.contentType]
+   * @returns {Promise<boolean>} False if the key already has an object.
+   */
+  async create(key, body, { contentType = null } = {}) {
+    const objectPath = this.objectPath(key);
+    const tmpDir = path.join(this.rootDir, 'tmp');
+    const tmpPath = path.join(tmpDir, crypto.randomUUID());
+    await fs.promises.mkdir(tmpDir, { recursive: true });
+    await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, body);
+    try {
+      await fs.promises.link(tmpPath, objectPath);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    } finally {
+      await fs.promises.rm(tmpPath, { force: true });
+    }
+    const metaPath = this.metaPath(key);
+    await fs.promises.mkdir(path.dirname(metaPath), { recursive: true });
+    await fs.promises.writeFile(metaPath, JSON.stringify({ contentType: contentType || null }));
+    return true;
+  }
+
+  async get(key) {
+    const head = await this.head(key);
+    if (!head) {
+      return null;
+    }
+    const body = await fs.promises.readFile(this.objectPath(key));
+    return { body, contentType: head.contentType, size: body.length };
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.objectPath(key), { force: true });
+    await fs.promises.rm(this.metaPath(key), { force: true });
+  }
+
+  async head(key) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.objectPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    if (!stats.isFile()) {
+      return null;
+    }
+
+    let contentType = null;
+    try {
+      ({ contentType } = JSON.parse(await fs.promises.readFile(this.metaPath(key), 'utf8')));
+    } catch (error) {
+      // Objects written without metadata have no content type
+    }
+    return { size: stats.size, contentType, lastModified: stats.mtime };
+  }
+
+  async getPresignedUploadUrl(key, { contentType = null, expiresIn } = {}) {
+    this.objectPath(key); // Rejects invalid keys before handing out a URL
+    const expiresAt = this.expiryFrom(expiresIn);
+    const url = this.signedUrl('PUT', key, expiresAt, contentType);
+    return {
+      url,
+      method: 'PUT',
+      headers: contentType ? { 'Content-Type': contentType } : {},
+      expiresAt,
+    };
+  }
+
+  async getPresignedDownloadUrl(key, { expiresIn } = {}) {
+    this.objectPath(key);
+    return this.signedUrl('GET', key, this.expiryFrom(expiresIn));
+  }
+
+  getObjectUrl(key) {
+    return `${this.publicUrl}/objects/${StorageServiceInterface.encodeKey(key)}`;
+  }
+
+  /**
+   * Checks a request to the storage route against its signature.
+   * @param {object} params
+   * @param {string} params.method - 'GET' or 'PUT'.
+   * @param {string} params.key
+   * @param {string|number} params.expires - Unix time in seconds, from the URL.
+   * @param {string} params.signature - Hex HMAC, from the URL.
+   * @param {string|null} [params.contentType] - Content-Type of an upload.
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  verifySignature({ method, key, expires, signature, contentType = null }, now = new Date()) {
+    const expiresAtSeconds = Number(expires);
+    if (!Number.isInteger(expiresAtSeconds) || expiresAtSeconds * 1000 < now.getTime()) {
+      return false;
+    }
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+      return false;
+    }
+    const expected = this.sign(method, key, expiresAtSeconds, method === 'PUT' ? contentType : null);
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(signature, 'hex'));
+  }
+
+  /** @private */
+  signedUrl(method, key, expiresAt, contentType = null) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    const query = new URLSearchParams({ expires: String(expires), signature: this.sign(method, key, expires, contentType) });
+    return `${this.getObjectUrl(key)}?${query.toString()}`;
+  }
+
+  /** @private */
+  sign(method, key, expires, contentType) {
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update([method, key, expires, contentType || ''].join('\n'))
+      .digest('hex');
+  }
+
+  /** @private */
+  expiryFrom(expiresIn) {
+    return new Date(Date.now() + (expiresIn || this.signedUrlExpiration) * 1000);
+  }
+
+  /**
+   * Resolves a key to its file, refusing keys that would leave the storage directory.
+   * @private
+   */
+  objectPath(key) {
+    return this.resolveUnder(path.join(this.rootDir, 'objects'), key);
+  }
+
+  /** @private */
+  metaPath(key) {
+    return `${this.resolveUnder(path.join(this.rootDir, 'meta'), key)}.json`;
+  }
+
+  /** @private */
+  resolveUnder(baseDir, key) {
+    if (typeof key !== 'string' || !key || key.includes('\0') || key.startsWith('/') || key.split('/').some((segment) => segment === '..' || segment === '.' || segment === '')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    const resolved = path.resolve(baseDir, key);
+    if (!resolved.startsWith(`${baseDir}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  }
+}
+
+module.exports = LocalStorageService;
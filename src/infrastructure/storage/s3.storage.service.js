@@ -0,0 +1,113 @@
+// src/infrastructure/storage/s3.storage.service.js
+const {
+  S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageServiceInterface = require('../../application/services/storage.service.interface');
+
+/**
+ * Stores objects in an S3 bucket, or in an S3-compatible service (e.g. MinIO) when an endpoint is configured.
+ */
+class S3StorageService extends StorageServiceInterface {
+  /**
+   * @param {object} awsConfig - `appConfig.aws`.
+   * @param {object} [client] - An S3Client to use instead of creating one.
+   */
+  constructor(awsConfig, client = null) {
+    super();
+    if (!awsConfig || !awsConfig.s3 || !awsConfig.s3.bucketName) {
+      throw new Error('S3 storage selected, but AWS_S3_BUCKET_NAME is not set.');
+    }
+
+    this.bucket = awsConfig.s3.bucketName;
+    this.region = awsConfig.region;
+    this.endpoint = awsConfig.s3.endpoint ? awsConfig.s3.endpoint.replace(/\/+$/, '') : null;
+    this.forcePathStyle = Boolean(awsConfig.s3.forcePathStyle);
+    this.signedUrlExpiration = awsConfig.s3.signedUrlExpiration || 300;
+    this.client = client || new S3Client({
+      region: this.region,
+      endpoint: this.endpoint || undefined,
+      forcePathStyle: this.forcePathStyle,
+      credentials: awsConfig.accessKeyId && awsConfig.secretAccessKey
+        ? { accessKeyId: awsConfig.accessKeyId, secretAccessKey: awsConfig.secretAccessKey }
+        : undefined, // Falls back to the default provider chain (instance role, env, ...)
+    });
+  }
+
+  async put(key, body, { contentType = null } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket, Key: key, Body: body, ContentType: contentType || undefined,
+    }));
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      const body = Buffer.from(await response.Body.transformToByteArray());
+      return { body, contentType: response.ContentType || null, size: body.length };
+    } catch (error) {
+      if (S3StorageService.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType || null,
+        lastModified: response.LastModified,
+      };
+    } catch (error) {
+      if (S3StorageService.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getPresignedUploadUrl(key, { contentType = null, expiresIn } = {}) {
+    const seconds = expiresIn || this.signedUrlExpiration;
+    // A conditional write; the signed If-None-Match header makes S3 refuse to replace an existing object
+    const command = new PutObjectCommand({
+      Bucket: this.bucket, Key: key, ContentType: contentType || undefined, IfNoneMatch: '*',
+    });
+    const url = await getSignedUrl(this.client, command, { expiresIn: seconds });
+    return {
+      url,
+      method: 'PUT',
+      headers: { ...(contentType ? { 'Content-Type': contentType } : {}), 'If-None-Match': '*' },
+      expiresAt: new Date(Date.now() + seconds * 1000),
+    };
+  }
+
+  async getPresignedDownloadUrl(key, { expiresIn } = {}) {
+    const command = new GetObjectCommand({ Bucket: this.bucket, Key: key });
+    return getSignedUrl(this.client, command, { expiresIn: expiresIn || this.signedUrlExpiration });
+  }
+
+  getObjectUrl(key) {
+    const encodedKey = StorageServiceInterface.encodeKey(key);
+    if (this.endpoint) {
+      return this.forcePathStyle
+        ? `${this.endpoint}/${this.bucket}/${encodedKey}`
+        : this.endpoint.replace('://', `://${this.bucket}.`) + `/${encodedKey}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`;
+  }
+
+  /** @private */
+  static isNotFound(error) {
+    return error && (error.name === 'NotFound' || error.name === 'NoSuchKey'
+      || (error.$metadata && error.$metadata.httpStatusCode === 404));
+  }
+}
+
+module.exports = S3StorageService;
@@ -0,0 +1,26 @@
+// src/infrastructure/storage/storage.service.factory.js
+const LocalStorageService = require('./local.storage.service');
+
+/**
+ * Creates the storage service for the configured driver (STORAGE_DRIVER).
+ * The S3 service is only loaded when selected, so other environments do not need the AWS SDK.
+ * @param {object} appConfig - Application configuration.
+ * @param {object} logger - Logger instance.
+ * @returns {import('../../application/services/storage.service.interface')}
+ */
+function createStorageService(appConfig, logger) {
+  if (appConfig.storage.driver === 's3') {
+    const S3StorageService = require('./s3.storage.service');
+    return new S3StorageService(appConfig.aws);
+  }
+
+  const { local } = appConfig.storage;
+  if (appConfig.env === 'production') {
+    logger.warn('Files are stored on the local filesystem (STORAGE_DRIVER=local); use S3 in production.');
+  }
+  return new LocalStorageService(local);
+}
+
+module.exports = {
+  createStorageService,
+};
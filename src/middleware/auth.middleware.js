@@ -18,6 +18,10 @@ const authenticateToken = (userRepository) => async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, appConfig.jwt.secret);
+    if (decoded.purpose) {
+      // Tokens for a single purpose (e.g. the two-factor login challenge) are not access tokens.
+      return next(new ApiError(httpStatusCodes.UNAUTHORIZED, 'Invalid access token.'));
+    }
 
     const user = await userRepository.findById(decoded.sub);
     if (!user) {
@@ -82,7 +86,7 @@ const authenticateSocketToken = (userRepository) => async (socket, next) => {
     const decoded = jwt.verify(token, appConfig.jwt.secret);
 
     const userRecord = await userRepository.findById(decoded.sub);
-    if (!userRecord || (decoded.tokenVersion && userRecord.tokenVersion !== decoded.tokenVersion)) {
+    if (decoded.purpose || !userRecord || userRecord.tokenVersion !== decoded.tokenVersion) {
       return next(new Error('Authentication error: Invalid token or session.'));
     }
 
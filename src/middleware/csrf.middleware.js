@@ -1,12 +1,22 @@
 const { csrfSync } = require('csrf-sync');
 
-const { csrfSynchronisedProtection } = csrfSync({
+const { csrfSynchronisedProtection: csrfProtection } = csrfSync({
   secret: process.env.CSRF_SECRET,
   getTokenFromRequest: (req) => {
     return req.headers['x-csrf-token'];
   },
 });
 
+// Requests authorized by a signature rather than by cookies, e.g. uploads to signed storage URLs and gateway webhooks
+const CSRF_EXEMPT_PATHS = [/^\/api\/v1\/storage\/objects\//, /^\/api\/v1\/wallet\/deposit\/webhook\//];
+
+const csrfSynchronisedProtection = (req, res, next) => {
+  if (CSRF_EXEMPT_PATHS.some((pattern) => pattern.test(req.path))) {
+    return next();
+  }
+  return csrfProtection(req, res, next);
+};
+
 module.exports = {
   csrfSynchronisedProtection
-};
\ No newline at end of file
+};
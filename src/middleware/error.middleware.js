@@ -2,6 +2,7 @@ const logger = require('../utils/logger'); // Assuming logger is in utils
 const ApiError = require('../utils/ApiError');
 const { NODE_ENV } = process.env;
 const { BaseError, ValidationError, UniqueConstraintError } = require('sequelize');
+const { MulterError } = require('multer');
 
 
 const errorHandler = (err, req, res, next) => {
@@ -16,6 +17,9 @@ const errorHandler = (err, req, res, next) => {
     } else if (err instanceof BaseError) {
         // Handle other generic Sequelize errors
         error = new ApiError(500, `Database Error: ${err.message}`);
+    } else if (err instanceof MulterError) {
+        // Rejected multipart uploads, e.g. a file over the size limit
+        error = new ApiError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.message);
     }
 
 
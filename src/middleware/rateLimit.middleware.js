@@ -0,0 +1,29 @@
+const rateLimit = require('express-rate-limit');
+const httpStatusCodes = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { appConfig } = require('../../config/config');
+
+/**
+ * Limits forgot-password requests per email address (falling back to the IP when none is given),
+ * so nobody can flood a user's inbox with reset emails. The limit applies to every address alike,
+ * which keeps it from revealing whether an account exists.
+ * Must come after the body parser.
+ */
+const passwordResetRateLimiter = rateLimit({
+    windowMs: appConfig.passwordReset.rateLimitWindowMs,
+    max: appConfig.passwordReset.rateLimitMax,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => {
+        const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        return email ? `password-reset:${email}` : `password-reset-ip:${req.ip}`;
+    },
+    handler: (req, res, next) => next(new ApiError(
+        httpStatusCodes.TOO_MANY_REQUESTS,
+        'Too many password reset requests. Please try again later.',
+    )),
+});
+
+module.exports = {
+    passwordResetRateLimiter,
+};
@@ -1,4 +1,3 @@
-const router = require('express').Router();
 const { authenticateToken, authorizeRole } = require('../../middleware/auth.middleware');
 const { UserRoles } = require('../../domain/user/user.entity');
 const validate = require('../../middleware/validation.middleware');
@@ -16,6 +15,8 @@ const {
 // --- Routes ---
 
 module.exports = ({ adminController }) => {
+    const router = require('express').Router();
+
     // --- Dispute Management ---
     router.get('/disputes', authenticateToken, authorizeRole([UserRoles.ADMIN, UserRoles.DISPUTE_MODERATOR]), validate(listDisputesSchema), adminController.listDisputes);
     /*  #swagger.tags = ['Admin']
@@ -41,7 +42,7 @@ module.exports = ({ adminController }) => {
 router.post('/disputes/:id/resolve', authenticateToken, authorizeRole([UserRoles.ADMIN, UserRoles.DISPUTE_MODERATOR]), validate(disputeIdParamSchema), validate(resolveDisputeSchema), adminController.resolveDispute);
 /*  #swagger.tags = ['Admin']
     #swagger.summary = 'Resolve a dispute ticket (Admin/Moderator)'
-    #swagger.description = 'Allows an Admin or Dispute Moderator to resolve a dispute ticket and update the related match if necessary.'
+    #swagger.description = 'Allows an Admin or Dispute Moderator to resolve a dispute ticket and decide its match. A winner completes the match and advances the bracket, `RESOLVED_REPLAY` schedules the match again, and `CLOSED_INVALID` closes the ticket and keeps the reported result.'
     #swagger.security = [{ "bearerAuth": [] }]
     #swagger.parameters['id'] = { $ref: '#/components/parameters/DisputeIdPath' }
     #swagger.requestBody = {
@@ -87,7 +88,7 @@ router.get('/withdrawals', authenticateToken, authorizeRole([UserRoles.ADMIN, Us
 router.post('/withdrawals/:id/approve', authenticateToken, authorizeRole([UserRoles.ADMIN, UserRoles.FINANCE_MANAGER]), validate(withdrawalIdParamSchema), validate(approveWithdrawalSchema), adminController.approveWithdrawal);
 /*  #swagger.tags = ['Admin']
     #swagger.summary = 'Approve a withdrawal request (Admin/Finance Manager)'
-    #swagger.description = 'Marks a withdrawal request as approved.'
+    #swagger.description = 'Pays out the withdrawal through the payment gateway of its currency and debits the wallet. Admins with two-factor authentication, or whose role requires it, must send their current code as `twoFactorCode`; without it the request is refused with 403.'
     #swagger.security = [{ "bearerAuth": [] }]
     #swagger.parameters['id'] = { $ref: '#/components/parameters/WithdrawalIdPath' }
     #swagger.requestBody = {
@@ -1,7 +1,10 @@
 const router = require('express').Router();
 const { authenticateToken } = require('../../middleware/auth.middleware');
 const validate = require('../../middleware/validation.middleware');
-const { registerSchema, loginSchema, verifyEmailSchema } = require('../validators/auth.validator');
+const { passwordResetRateLimiter } = require('../../middleware/rateLimit.middleware');
+const {
+    registerSchema, loginSchema, verifyEmailSchema, forgotPasswordSchema, resetPasswordSchema, twoFactorCodeSchema, twoFactorLoginSchema,
+} = require('../validators/auth.validator');
 
 
 module.exports = ({ authController }) => {
@@ -37,7 +40,7 @@ module.exports = ({ authController }) => {
     router.post('/login', validate(loginSchema), authController.login);
     /*  #swagger.tags = ['Auth']
         #swagger.summary = 'Log in an existing user'
-        #swagger.description = 'Logs in an existing user, provides an access token in the response body, and sets a refresh token in an HttpOnly cookie.'
+        #swagger.description = 'Logs in an existing user, provides an access token in the response body, and sets a refresh token in an HttpOnly cookie. Users with two-factor authentication instead get `{ twoFactorRequired: true, challengeToken }` and finish with POST /auth/login/2fa. Users whose role requires two-factor authentication but who have not enabled it get `twoFactorEnrollmentRequired: true`.'
         #swagger.requestBody = {
             required: true,
             content: {
@@ -61,6 +64,72 @@ module.exports = ({ authController }) => {
         #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
     */
 
+    router.post('/login/2fa', validate(twoFactorLoginSchema), authController.verifyTwoFactorLogin);
+    /*  #swagger.tags = ['Auth']
+        #swagger.summary = 'Finish logging in with a two-factor code'
+        #swagger.description = 'Second login step for users with two-factor authentication. Exchanges the challenge token from POST /auth/login and a code from the authenticator app (or an unused recovery code) for a session. Only the latest challenge of a user can be answered, and it is dropped after 5 wrong codes; the user then has to log in with their password again.'
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TwoFactorLoginRequest" } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Login successful.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/AuthResponse" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    router.post('/2fa/enroll', authenticateToken, authController.enrollTwoFactor);
+    /*  #swagger.tags = ['Auth']
+        #swagger.summary = 'Start enrolling in two-factor authentication'
+        #swagger.description = 'Creates a new TOTP secret. Add it to an authenticator app (the otpauth URI is usually shown as a QR code), then confirm with POST /auth/2fa/confirm. Starting again replaces a pending secret.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.responses[200] = {
+            description: 'Enrollment started.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TwoFactorEnrollmentResponse" } } }
+        }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[409] = { $ref: '#/components/responses/ConflictError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    router.post('/2fa/confirm', authenticateToken, validate(twoFactorCodeSchema), authController.confirmTwoFactor);
+    /*  #swagger.tags = ['Auth']
+        #swagger.summary = 'Enable two-factor authentication'
+        #swagger.description = 'Enables two-factor authentication with a code from the authenticator app and returns recovery codes. The recovery codes are shown only once; each can be used instead of a code one time.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TwoFactorCodeRequest" } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Two-factor authentication enabled.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TwoFactorRecoveryCodesResponse" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[409] = { $ref: '#/components/responses/ConflictError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    router.post('/2fa/disable', authenticateToken, validate(twoFactorCodeSchema), authController.disableTwoFactor);
+    /*  #swagger.tags = ['Auth']
+        #swagger.summary = 'Disable two-factor authentication'
+        #swagger.description = 'Turns two-factor authentication off after checking a current code or a recovery code. Not allowed for roles that require two-factor authentication.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TwoFactorCodeRequest" } } }
+        }
+        #swagger.responses[200] = { description: 'Two-factor authentication disabled.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
     router.post('/refresh', authController.refresh);
     /*  #swagger.tags = ['Auth']
         #swagger.summary = 'Refresh an access token'
@@ -127,5 +196,38 @@ module.exports = ({ authController }) => {
         #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
     */
 
+    router.post('/forgot-password', passwordResetRateLimiter, validate(forgotPasswordSchema), authController.forgotPassword);
+    /*  #swagger.tags = ['Auth']
+        #swagger.summary = 'Request a password reset link'
+        #swagger.description = 'Emails a single-use link to reset the password, valid for a limited time; earlier links stop working. The response is the same whether or not an account exists for the email. Requests are rate limited per email address.'
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ForgotPasswordRequest" } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Reset link sent if the account exists.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ForgotPasswordResponse" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[429] = { description: 'Too many password reset requests for this email.' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    router.post('/reset-password', validate(resetPasswordSchema), authController.resetPassword);
+    /*  #swagger.tags = ['Auth']
+        #swagger.summary = 'Reset the password with a reset token'
+        #swagger.description = 'Sets a new password using the token from the reset link. The token works once. All existing sessions of the user are logged out.'
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ResetPasswordRequest" } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Password reset.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ResetPasswordResponse" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
     return router;
 };
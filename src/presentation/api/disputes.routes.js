@@ -0,0 +1,140 @@
+const router = require('express').Router();
+const { authenticateToken, authorizeRole } = require('../../middleware/auth.middleware');
+const { UserRoles } = require('../../domain/user/user.entity');
+const validate = require('../../middleware/validation.middleware');
+const {
+    disputeIdParamSchema,
+    listMyDisputesSchema,
+    evidenceUploadUrlSchema,
+    addEvidenceSchema,
+    postMessageSchema,
+    changeStatusSchema,
+} = require('../validators/dispute.validator');
+
+module.exports = ({ disputeController }) => {
+    // List the disputes of the current user's matches
+    router.get('/', authenticateToken, validate(listMyDisputesSchema), disputeController.listMyDisputes);
+    /*  #swagger.tags = ['Disputes']
+        #swagger.summary = 'List my disputes'
+        #swagger.description = 'Lists the dispute tickets of matches the authenticated user played in or reported.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['page'] = { in: 'query', type: 'integer', description: 'Page number.' }
+        #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Items per page.' }
+        #swagger.parameters['status'] = { in: 'query', type: 'string', description: 'Filter by dispute status.' }
+        #swagger.responses[200] = {
+            description: 'Disputes retrieved successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/PaginatedDisputesResponse" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Get a dispute with its evidence, messages and status history
+    router.get('/:id', authenticateToken, validate(disputeIdParamSchema), disputeController.getDispute);
+    /*  #swagger.tags = ['Disputes']
+        #swagger.summary = 'Get dispute details'
+        #swagger.description = 'Retrieves a dispute ticket with its evidence, message thread and status history. Available to the match players and staff.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', format: 'uuid', description: 'Dispute ID.' }
+        #swagger.responses[200] = {
+            description: 'Dispute retrieved successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/DisputeDetails" } } }
+        }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Get an upload URL for a dispute evidence file
+    router.post('/:id/evidence/upload-url', authenticateToken, validate(disputeIdParamSchema), validate(evidenceUploadUrlSchema), disputeController.getEvidenceUploadUrl);
+    /*  #swagger.tags = ['Disputes']
+        #swagger.summary = 'Get upload URL for dispute evidence'
+        #swagger.description = 'Generates an upload URL for a screenshot or video to attach to the dispute. PUT the file to `uploadUrl` with the returned headers, then add it as evidence with `fileKey` once it was scanned, usually within a minute. The URL uploads once; it cannot replace the file.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', format: 'uuid', description: 'Dispute ID.' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/DisputeEvidenceUploadUrlRequest" } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Upload URL generated successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/UploadUrlResponse" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Attach an uploaded file to a dispute
+    router.post('/:id/evidence', authenticateToken, validate(disputeIdParamSchema), validate(addEvidenceSchema), disputeController.addEvidence);
+    /*  #swagger.tags = ['Disputes']
+        #swagger.summary = 'Add dispute evidence'
+        #swagger.description = 'Attaches a previously uploaded screenshot or video to the dispute.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', format: 'uuid', description: 'Dispute ID.' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/AddDisputeEvidenceRequest" } } }
+        }
+        #swagger.responses[201] = {
+            description: 'Evidence added successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/DisputeEvidence" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[409] = { $ref: '#/components/responses/ConflictError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Post a message to the dispute thread
+    router.post('/:id/messages', authenticateToken, validate(disputeIdParamSchema), validate(postMessageSchema), disputeController.postMessage);
+    /*  #swagger.tags = ['Disputes']
+        #swagger.summary = 'Post dispute message'
+        #swagger.description = 'Adds a message to the thread between the players and the moderator. A player reply to a dispute awaiting their response puts it back under review.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', format: 'uuid', description: 'Dispute ID.' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/PostDisputeMessageRequest" } } }
+        }
+        #swagger.responses[201] = {
+            description: 'Message posted successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/DisputeMessage" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Move a dispute to another status (staff only)
+    router.post('/:id/status', authenticateToken, authorizeRole([UserRoles.ADMIN, UserRoles.MODERATOR]), validate(disputeIdParamSchema), validate(changeStatusSchema), disputeController.changeStatus);
+    /*  #swagger.tags = ['Disputes']
+        #swagger.summary = 'Change dispute status'
+        #swagger.description = 'Moves the dispute to another status, e.g. UNDER_REVIEW, AWAITING_PLAYER_RESPONSE or ESCALATED. The change is recorded in the status history. Undecided disputes are closed through dispute resolution with `CLOSED_INVALID`, which also decides the match.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', format: 'uuid', description: 'Dispute ID.' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ChangeDisputeStatusRequest" } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Dispute status updated successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/DisputeTicket" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    return router;
+};
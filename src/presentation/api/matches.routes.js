@@ -1,7 +1,7 @@
 const router = require('express').Router();
 const { authenticateToken } = require('../../middleware/auth.middleware');
 const validate = require('../../middleware/validation.middleware');
-const { matchIdParamSchema, uploadUrlRequestSchema, submitResultSchema } = require('../validators/match.validator');
+const { matchIdParamSchema, uploadUrlRequestSchema, submitResultSchema, disputeResultSchema } = require('../validators/match.validator');
 
 module.exports = ({ matchController }) => {
     // Get match details by ID
@@ -24,7 +24,7 @@ module.exports = ({ matchController }) => {
     router.post('/:id/results/upload-url', authenticateToken, validate(matchIdParamSchema), validate(uploadUrlRequestSchema), matchController.getUploadUrl);
     /*  #swagger.tags = ['Matches']
         #swagger.summary = 'Get pre-signed URL for match result screenshot'
-        #swagger.description = 'Generates a pre-signed S3 URL for uploading a match result screenshot.'
+        #swagger.description = 'Generates a pre-signed URL for uploading a match result screenshot. PUT the file to `uploadUrl` with the returned headers, then submit the result with `fileKey` once it was scanned, usually within a minute. The URL uploads once; it cannot replace the file. With STORAGE_DRIVER=local the URL points at this API\'s /storage route.'
         #swagger.security = [{ "bearerAuth": [] }]
         #swagger.parameters['id'] = { $ref: '#/components/parameters/MatchIdPath' }
         #swagger.requestBody = {
@@ -64,5 +64,43 @@ module.exports = ({ matchController }) => {
         #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
     */
 
+    // Confirm the result submitted by the opponent
+    router.post('/:id/confirm', authenticateToken, validate(matchIdParamSchema), matchController.confirmResult);
+    /*  #swagger.tags = ['Matches']
+        #swagger.summary = 'Confirm match result'
+        #swagger.description = 'Confirms a result awaiting confirmation. Only the opponent of the submitter (or an admin, moderator or tournament manager) may confirm. The winner is advanced through the bracket. Results that are not confirmed or disputed in time are auto-confirmed.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/MatchIdPath' }
+        #swagger.responses[200] = {
+            description: 'Match result confirmed successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Match" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // If the match is not awaiting confirmation
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' } // If user is not the opponent of the submitter
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Dispute the result submitted by the opponent
+    router.post('/:id/dispute', authenticateToken, validate(matchIdParamSchema), validate(disputeResultSchema), matchController.disputeResult);
+    /*  #swagger.tags = ['Matches']
+        #swagger.summary = 'Dispute match result'
+        #swagger.description = 'Disputes a submitted or completed result and opens a dispute ticket for moderators.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/MatchIdPath' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { type: "object", required: ["reason"], properties: { reason: { type: "string", minLength: 10, maxLength: 1000 } } } } }
+        }
+        #swagger.responses[201] = { description: 'Dispute ticket created and match marked as disputed.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' } // If user is not a participant or submitted the result
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[409] = { description: 'A dispute already exists for this match.' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
     return router;
 };
@@ -0,0 +1,80 @@
+const router = require('express').Router();
+const { authenticateToken } = require('../../middleware/auth.middleware');
+const validate = require('../../middleware/validation.middleware');
+const {
+    notificationIdParamSchema,
+    listNotificationsSchema,
+    updateNotificationPreferencesSchema,
+} = require('../validators/notification.validator');
+
+module.exports = ({ notificationController }) => {
+    // List the notifications of the current user
+    router.get('/', authenticateToken, validate(listNotificationsSchema), notificationController.listNotifications);
+    /*  #swagger.tags = ['Notifications']
+        #swagger.summary = 'List my notifications'
+        #swagger.description = 'Lists the notifications of the authenticated user, newest first, with the number of unread ones. New notifications are also pushed live as the `notification` Socket.IO event.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['page'] = { in: 'query', type: 'integer', description: 'Page number.' }
+        #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Items per page.' }
+        #swagger.parameters['unreadOnly'] = { in: 'query', type: 'boolean', description: 'Only notifications that were not read yet.' }
+        #swagger.responses[200] = {
+            description: 'Notifications retrieved successfully.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/PaginatedNotificationsResponse" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Get the notification preferences of the current user
+    router.get('/preferences', authenticateToken, notificationController.getPreferences);
+    /*  #swagger.tags = ['Notifications']
+        #swagger.summary = 'Get my notification preferences'
+        #swagger.description = 'Lists for every notification category whether notifications are pushed live (`inApp`) and whether they are emailed right away (`INSTANT`), in a daily digest (`DIGEST`) or not at all (`OFF`). Categories never changed show their defaults.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.responses[200] = {
+            description: 'Notification preferences retrieved successfully.',
+            content: { "application/json": { schema: { type: 'array', items: { $ref: "#/components/schemas/NotificationPreference" } } } }
+        }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Update the notification preferences of the current user
+    router.put('/preferences', authenticateToken, validate(updateNotificationPreferencesSchema), notificationController.updatePreferences);
+    /*  #swagger.tags = ['Notifications']
+        #swagger.summary = 'Update my notification preferences'
+        #swagger.description = 'Changes the preferences of the given categories; other categories and omitted fields keep their values. Notifications are always kept in the notification center.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/UpdateNotificationPreferencesRequest" } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Notification preferences updated successfully.',
+            content: { "application/json": { schema: { type: 'array', items: { $ref: "#/components/schemas/NotificationPreference" } } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    // Mark a notification as read
+    router.post('/:id/read', authenticateToken, validate(notificationIdParamSchema), notificationController.markAsRead);
+    /*  #swagger.tags = ['Notifications']
+        #swagger.summary = 'Mark a notification as read'
+        #swagger.description = 'Marks a notification of the authenticated user as read and pushes the new unread count to all of their sockets. Marking it again keeps the first read time.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { in: 'path', required: true, type: 'string', format: 'uuid', description: 'Notification ID.' }
+        #swagger.responses[200] = {
+            description: 'Notification marked as read.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Notification" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[500] = { $ref: '#/components/responses/InternalServerError' }
+    */
+
+    return router;
+};
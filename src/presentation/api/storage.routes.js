@@ -0,0 +1,33 @@
+const express = require('express');
+const { appConfig } = require('../../../config/config');
+
+module.exports = ({ storageController }) => {
+    const router = express.Router();
+
+    // Upload through a signed URL issued by the local storage driver
+    router.put('/objects/*', express.raw({ type: () => true, limit: appConfig.storage.local.maxUploadBytes }), storageController.putObject);
+    /*  #swagger.tags = ['Storage']
+        #swagger.summary = 'Upload to a signed storage URL (local driver)'
+        #swagger.description = 'Only mounted when STORAGE_DRIVER=local. Stores the request body under the key in the path. The URL comes from an upload URL endpoint (e.g. POST /matches/{id}/results/upload-url) and is valid until it expires; the Content-Type header must match the one the URL was issued for. A key can only be uploaded to once. No bearer token is needed.'
+        #swagger.parameters['expires'] = { in: 'query', required: true, type: 'integer', description: 'Unix time the URL expires at.' }
+        #swagger.parameters['signature'] = { in: 'query', required: true, type: 'string', description: 'HMAC signature of the URL.' }
+        #swagger.responses[200] = { description: 'Stored.' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[409] = { $ref: '#/components/responses/ConflictError' }
+        #swagger.responses[413] = { description: 'The file is larger than STORAGE_LOCAL_MAX_UPLOAD_BYTES.' }
+    */
+
+    // Download through a signed URL issued by the local storage driver
+    router.get('/objects/*', storageController.getObject);
+    /*  #swagger.tags = ['Storage']
+        #swagger.summary = 'Download from a signed storage URL (local driver)'
+        #swagger.description = 'Only mounted when STORAGE_DRIVER=local. Returns the stored object while the signed URL is valid. Images uploaded through POST /upload (keys under `uploads/`) are public and need no signature.'
+        #swagger.parameters['expires'] = { in: 'query', required: false, type: 'integer', description: 'Unix time the URL expires at; required unless the object is public.' }
+        #swagger.parameters['signature'] = { in: 'query', required: false, type: 'string', description: 'HMAC signature of the URL; required unless the object is public.' }
+        #swagger.responses[200] = { description: 'The object.' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+    */
+
+    return router;
+};
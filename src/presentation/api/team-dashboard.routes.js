@@ -7,6 +7,6 @@ const { TeamRole } = require('../../domain/team/teamRole.enums');
 router.get('/:teamId', authenticateToken, authorizeRole([TeamRole.OWNER, TeamRole.LEADER]), teamDashboardController.getTeamDashboardData);
 router.post('/:teamId/invitations', authenticateToken, authorizeRole([TeamRole.OWNER, TeamRole.LEADER]), teamDashboardController.inviteUserToTeam);
 router.put('/:teamId/invitations/:invitationId', authenticateToken, teamDashboardController.respondToInvitation);
-router.post('/:teamId/tournaments/:tournamentId/register', authenticateToken, authorizeRole([TeamRole.OWNER, TeamRole.LEADER]), teamDashboardController.registerTeamForTournament);
+// Teams register for tournaments through POST /tournaments/:id/register-team.
 
 module.exports = router;
@@ -7,6 +7,9 @@ const {
   listTournamentsSchema,
   tournamentIdParamSchema,
   getTournamentSchema,
+  setSeedingSchema,
+  setPayoutTableSchema,
+  registerTeamSchema,
 } = require('../validators/tournament.validator');
 
 
@@ -72,7 +75,7 @@ module.exports = ({ tournamentController }) => {
     router.post('/:id/register', authenticateToken, validate(tournamentIdParamSchema), tournamentController.registerForTournament);
     /*  #swagger.tags = ['Tournaments']
         #swagger.summary = 'Register for a tournament'
-        #swagger.description = 'Allows an authenticated user to register for an open tournament.'
+        #swagger.description = 'Allows an authenticated user to register for an open tournament. A paid entry fee is debited from their wallet as a TOURNAMENT_FEE transaction in the same database transaction as the registration.'
         #swagger.security = [{ "bearerAuth": [] }]
         #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
         #swagger.responses[200] = {
@@ -85,5 +88,191 @@ module.exports = ({ tournamentController }) => {
         #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
     */
 
+    // Register a team with a roster of its members (team captain)
+    router.post('/:id/register-team', authenticateToken, validate(registerTeamSchema), tournamentController.registerTeamForTournament);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Register a team for a tournament'
+        #swagger.description = 'The team captain registers the team with a roster of its active members. The roster must have exactly settings.teamSize players when the tournament sets one. The entry fee is debited from the captain (settings.teamFeePayment CAPTAIN, the default) or split evenly across the roster (SPLIT), all in one database transaction with the registration.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: {
+                type: 'object',
+                required: ['teamId', 'memberIds'],
+                properties: {
+                    teamId: { type: 'string', format: 'uuid' },
+                    memberIds: { type: 'array', items: { type: 'string', format: 'uuid' } }
+                }
+            } } }
+        }
+        #swagger.responses[201] = { description: 'Team registered. Returns the team participant record with its roster.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., wrong roster size, player not an active member
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' } // e.g., not the captain, registration closed, insufficient funds
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[409] = { description: 'The team or one of its players is already registered.', schema: { $ref: '#/components/schemas/ErrorResponse' } }
+    */
+
+    // Withdraw from a tournament before it starts
+    router.delete('/:id/register', authenticateToken, validate(tournamentIdParamSchema), tournamentController.unregisterFromTournament);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Withdraw from a tournament'
+        #swagger.description = 'Removes the registration of the authenticated user until settings.withdrawalCutoffMinutes before the start (until the start when unset) and refunds the entry fee to their wallet as a REFUND transaction according to settings.withdrawalRefundPolicy: FULL (the default), PARTIAL with a percentage, or NONE.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.responses[200] = { description: 'Withdrawn. Returns the tournament ID, the refunded percentage and the REFUND transactions.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., withdrawal deadline passed, tournament already started
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' } // e.g., not registered
+    */
+
+    // Join the waitlist of a full tournament
+    router.post('/:id/waitlist', authenticateToken, validate(tournamentIdParamSchema), tournamentController.joinWaitlist);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Join the waitlist of a full tournament'
+        #swagger.description = 'Queues the authenticated user for a full tournament with open registration. When a participant withdraws or is removed, the first user in line is registered automatically, charged the entry fee and notified with a waitlistPromoted socket event. Users who cannot pay are skipped (waitlistPromotionFailed) and the next one is tried.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.responses[201] = { description: 'On the waitlist. Returns the entry and its 1-based position.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., tournament not full, registration not open
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[409] = { description: 'Already registered or already on the waitlist.', schema: { $ref: '#/components/schemas/ErrorResponse' } }
+    */
+
+    // Leave the waitlist
+    router.delete('/:id/waitlist', authenticateToken, validate(tournamentIdParamSchema), tournamentController.leaveWaitlist);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Leave the waitlist of a tournament'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.responses[200] = { description: 'Left the waitlist. Returns the entry with status LEFT.' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' } // not on the waitlist
+    */
+
+    // Check in during the check-in window (registered user or team captain)
+    router.post('/:id/check-in', authenticateToken, validate(tournamentIdParamSchema), tournamentController.checkIn);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Check in for a tournament'
+        #swagger.description = 'Confirms attendance during the check-in window, which opens settings.checkInWindowMinutes before the start date. Registered users check themselves in; team captains check in their team. Participants who have not checked in when the tournament starts are dropped before the bracket is generated and refunded according to settings.noShowRefundPolicy.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.responses[200] = { description: 'Checked in. Returns the registration with checkInStatus true.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., check-in not open, no check-in required
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' } // e.g., not registered
+    */
+
+    // Choose the seeding strategy, or post a manual seed order (Admin or tournament manager)
+    router.post('/:id/seeding', authenticateToken, authorizeRole([UserRoles.ADMIN, UserRoles.TOURNAMENT_MANAGER]), validate(setSeedingSchema), tournamentController.setSeeding);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Set the seeding strategy (Admin/Manager)'
+        #swagger.description = 'Stores the seeding strategy in the tournament settings. It is applied when the bracket is generated. RANDOM shuffles participants, POINTS orders them by user points, LEADERBOARD by their position on the leaderboard of the tournament game, and MANUAL uses manualOrder (participant IDs from the top seed down).'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: {
+                type: 'object',
+                required: ['strategy'],
+                properties: {
+                    strategy: { type: 'string', enum: ['RANDOM', 'POINTS', 'LEADERBOARD', 'MANUAL'] },
+                    manualOrder: { type: 'array', items: { type: 'string', format: 'uuid' } },
+                    metric: { type: 'string', enum: ['wins', 'score', 'rating', 'earnings'] },
+                    period: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'all_time'] }
+                }
+            } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Seeding strategy saved.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TournamentResponseFull" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., unknown participant in manualOrder
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+    */
+
+    // Set how the prize pool is split by placement (Admin or tournament manager)
+    router.put('/:id/payout-table', authenticateToken, authorizeRole([UserRoles.ADMIN, UserRoles.TOURNAMENT_MANAGER]), validate(setPayoutTableSchema), tournamentController.setPayoutTable);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Set the payout table (Admin/Manager)'
+        #swagger.description = 'Stores the payout table in the tournament settings. When the tournament completes, each placement receives its value as a percentage of the prize pool (PERCENTAGE) or as a fixed amount (FIXED), credited to the winners\' wallets as PRIZE_PAYOUT transactions. A range such as from 3 to 4 pays the value to each of those places; participants tied on a placement share the payouts of the places they occupy, and team prizes are split across the active roster. Without a payout table the winner takes the whole pool.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.requestBody = {
+            required: true,
+            content: { "application/json": { schema: {
+                type: 'object',
+                required: ['mode', 'places'],
+                properties: {
+                    mode: { type: 'string', enum: ['PERCENTAGE', 'FIXED'] },
+                    places: { type: 'array', items: {
+                        type: 'object',
+                        required: ['from', 'to', 'value'],
+                        properties: {
+                            from: { type: 'integer', minimum: 1 },
+                            to: { type: 'integer', minimum: 1 },
+                            value: { type: 'number', description: 'Percentage of the pool or fixed amount paid to each place in the range.' }
+                        }
+                    } }
+                }
+            } } }
+        }
+        #swagger.responses[200] = {
+            description: 'Payout table saved.',
+            content: { "application/json": { schema: { $ref: "#/components/schemas/TournamentResponseFull" } } }
+        }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., overlapping places, payouts exceed the pool
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+    */
+
+    // Approve the prize payouts of a completed tournament with a large pool (Admin only)
+    router.post('/:id/payouts/approve', authenticateToken, authorizeRole([UserRoles.ADMIN]), validate(tournamentIdParamSchema), tournamentController.approvePrizePayouts);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Approve prize payouts (Admin only)'
+        #swagger.description = 'Prize pools at or above the configured approval threshold are recorded as PRIZE_PAYOUT transactions with status REQUIRES_APPROVAL when the tournament completes. Approving credits all of them to the winners\' wallets in one transaction. Admins with two-factor authentication must include a current `twoFactorCode`.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.requestBody = {
+            required: false,
+            content: { "application/json": { schema: { type: "object", properties: { twoFactorCode: { type: "string", example: "123456" } } } } }
+        }
+        #swagger.responses[200] = { description: 'Payouts approved. Returns the tournament ID and the completed PRIZE_PAYOUT transactions.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., tournament not completed, nothing awaiting approval
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+    */
+
+    // Generate (or regenerate) the bracket from registered participants (Admin or tournament manager)
+    router.post('/:id/bracket', authenticateToken, authorizeRole([UserRoles.ADMIN, UserRoles.TOURNAMENT_MANAGER]), validate(tournamentIdParamSchema), tournamentController.generateBracket);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Generate the tournament bracket (Admin/Manager)'
+        #swagger.description = 'Creates the matches of the tournament from its registered participants according to its bracket type and closes registration. An existing bracket is replaced only if none of its matches has started.'
+        #swagger.security = [{ "bearerAuth": [] }]
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.responses[201] = { description: 'Bracket generated. Returns the tournament and the created matches.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' } // e.g., not enough participants, tournament already completed
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+        #swagger.responses[409] = { description: 'A match has already started, so the bracket cannot be regenerated.', schema: { $ref: '#/components/schemas/ErrorResponse' } }
+    */
+
+    // Get the bracket tree of a tournament (Public)
+    router.get('/:id/bracket', validate(tournamentIdParamSchema), tournamentController.getBracket);
+    /*  #swagger.tags = ['Tournaments']
+        #swagger.summary = 'Get the tournament bracket'
+        #swagger.description = 'Returns the matches grouped into sections (e.g. WINNERS, LOSERS, GRAND_FINAL, GROUP_A or MAIN), each with ordered rounds. Matches reference their successors through nextMatchId and nextMatchLoserId.'
+        #swagger.parameters['id'] = { $ref: '#/components/parameters/TournamentIdPath' }
+        #swagger.responses[200] = { description: 'The bracket of the tournament.' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+    */
+
     return router;
 };
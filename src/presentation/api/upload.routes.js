@@ -1,8 +1,28 @@
 const router = require('express').Router();
+const multer = require('multer');
 const { authenticateToken } = require('../../middleware/auth.middleware');
+const { appConfig } = require('../../../config/config');
+
+// Kept in memory: the image is re-encoded before anything is stored
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: appConfig.uploads.maxImageBytes, files: 1 },
+});
 
 module.exports = ({ uploadController }) => {
-    router.post('/', authenticateToken, uploadController.uploadFile);
+    router.post('/', authenticateToken, imageUpload.single('file'), uploadController.uploadFile);
+    /*  #swagger.tags = ['Uploads']
+        #swagger.summary = 'Upload an image'
+        #swagger.description = 'For avatars and game or tournament images. Send a multipart form with the image in the `file` field. The type is detected from the contents (JPEG, PNG, GIF or WebP). The image is stored without EXIF/GPS metadata, together with resized WebP variants (thumbnail, small, medium); use the dimensions and variants to load the size you display.'
+        #swagger.requestBody = {
+            required: true,
+            content: { 'multipart/form-data': { schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } }, required: ['file'] } } }
+        }
+        #swagger.responses[200] = { description: 'The stored image.', content: { 'application/json': { schema: { $ref: '#/components/schemas/UploadedImage' } } } }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[401] = { $ref: '#/components/responses/UnauthorizedError' }
+        #swagger.responses[413] = { description: 'The image is larger than IMAGE_UPLOAD_MAX_BYTES.' }
+    */
 
     return router;
 };
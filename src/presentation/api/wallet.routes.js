@@ -3,6 +3,8 @@ const { authenticateToken } = require('../../middleware/auth.middleware');
 const validate = require('../../middleware/validation.middleware');
 const {
   initializeDepositSchema,
+  depositCallbackSchema,
+  depositWebhookSchema,
   getTransactionHistorySchema,
   requestWithdrawalSchema,
 } = require('../validators/wallet.validator');
@@ -69,7 +71,7 @@ module.exports = ({ walletController }) => {
     router.post('/withdrawals', authenticateToken, validate(requestWithdrawalSchema), walletController.requestWithdrawal);
     /*  #swagger.tags = ['Wallet']
         #swagger.summary = 'Request a withdrawal'
-        #swagger.description = 'Submits a withdrawal request from the user\'s wallet. Requires an idempotency key.'
+        #swagger.description = 'Submits a withdrawal request from the user\'s wallet. Requires an idempotency key. Users with two-factor authentication must include a current `twoFactorCode`.'
         #swagger.security = [{ "bearerAuth": [] }]
         #swagger.parameters['X-Idempotency-Key'] = { $ref: '#/components/parameters/IdempotencyKeyHeader' }
         #swagger.requestBody = {
@@ -92,8 +94,31 @@ module.exports = ({ walletController }) => {
         #swagger.responses[409] = { description: 'Idempotency key conflict.', schema: { $ref: '#/components/schemas/ErrorResponse' } }
     */
 
-    // Note: The payment gateway callback is not included in the user-facing API documentation
-    // as it's called by an external service. It would be documented separately for the gateway provider.
+    // Payment gateway callback. Zarinpal redirects the user's browser here after payment, so no token is sent;
+    // the payment is verified with Zarinpal by its authority before the deposit is completed.
+    router.get('/deposit/callback', validate(depositCallbackSchema), walletController.depositCallback);
+    /*  #swagger.tags = ['Wallet']
+        #swagger.summary = 'Zarinpal deposit callback'
+        #swagger.description = 'Zarinpal returns users here after payment. The deposit with this authority is verified with Zarinpal and completed or failed; deposits that were already settled are left as they are. The user is redirected to the web client result page with `status` and `transactionId` query parameters. A deposit Zarinpal cannot verify right now stays `PENDING` and is re-verified later.'
+        #swagger.parameters['Authority'] = { in: 'query', required: true, schema: { type: 'string' }, description: 'Zarinpal payment authority.' }
+        #swagger.parameters['Status'] = { in: 'query', schema: { type: 'string', enum: ['OK', 'NOK'] }, description: 'Informational status from Zarinpal; the payment is always verified.' }
+        #swagger.responses[303] = { description: 'Redirect to the web client deposit result page.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+    */
+
+    // Payment gateway webhook, for gateways that notify us of payments (PAYMENT_WEBHOOK_*). Authenticated by its signature.
+    router.post('/deposit/webhook/:gateway', validate(depositWebhookSchema), walletController.depositWebhook);
+    /*  #swagger.tags = ['Wallet']
+        #swagger.summary = 'Payment gateway webhook'
+        #swagger.description = 'Called by webhook-based payment gateways when a payment changes. The `X-Payment-Signature` header (`t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`) must match PAYMENT_WEBHOOK_SECRET. The deposit the event names is then verified with the gateway and completed or failed. Events about unknown payments are acknowledged and ignored.'
+        #swagger.parameters['gateway'] = { in: 'path', required: true, schema: { type: 'string', example: 'webhook' }, description: 'Name of the gateway.' }
+        #swagger.parameters['X-Payment-Signature'] = { in: 'header', required: true, schema: { type: 'string' } }
+        #swagger.responses[200] = { description: 'Webhook received.' }
+        #swagger.responses[400] = { $ref: '#/components/responses/BadRequestError' }
+        #swagger.responses[403] = { $ref: '#/components/responses/ForbiddenError' }
+        #swagger.responses[404] = { $ref: '#/components/responses/NotFoundError' }
+    */
 
     return router;
 };
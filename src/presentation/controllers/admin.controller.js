@@ -1,30 +1,38 @@
 const ApiResponse = require('../../utils/ApiResponse');
 const httpStatusCodes = require('http-status-codes');
+const catchAsync = require('../../utils/catchAsync');
 
-const listDisputes = (req, res, next) => {
-  res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, [], 'Disputes fetched successfully.'));
-};
+class AdminController {
+  constructor(useCases) {
+    this.useCases = useCases;
+  }
 
-const resolveDispute = (req, res, next) => {
-  res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, {}, 'Dispute resolved successfully.'));
-};
+  listDisputes = (req, res, next) => {
+    res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, [], 'Disputes fetched successfully.'));
+  };
 
-const listWithdrawals = (req, res, next) => {
-  res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, [], 'Withdrawals fetched successfully.'));
-};
+  resolveDispute = catchAsync(async (req, res, next) => {
+    const result = await this.useCases.resolveDisputeUseCase.execute(req.params.id, req.user.id, req.body);
+    res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, result, 'Dispute resolved successfully.'));
+  });
 
-const approveWithdrawal = (req, res, next) => {
-  res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, {}, 'Withdrawal approved successfully.'));
-};
+  listWithdrawals = (req, res, next) => {
+    res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, [], 'Withdrawals fetched successfully.'));
+  };
 
-const rejectWithdrawal = (req, res, next) => {
-  res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, {}, 'Withdrawal rejected successfully.'));
-};
+  approveWithdrawal = catchAsync(async (req, res, next) => {
+    const withdrawal = await this.useCases.approveWithdrawalUseCase.execute(
+      req.params.id,
+      req.user.id,
+      req.body.notes,
+      req.body.twoFactorCode,
+    );
+    res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, withdrawal, 'Withdrawal approved successfully.'));
+  });
 
-module.exports = {
-  listDisputes,
-  resolveDispute,
-  listWithdrawals,
-  approveWithdrawal,
-  rejectWithdrawal,
-};
+  rejectWithdrawal = (req, res, next) => {
+    res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, {}, 'Withdrawal rejected successfully.'));
+  };
+}
+
+module.exports = AdminController;
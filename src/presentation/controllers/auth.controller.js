@@ -27,7 +27,30 @@ class AuthController {
   async login(req, res, next) {
     try {
       const { email, password } = req.body;
-      const { user, accessToken, refreshToken } = await this.useCases.login.execute(email, password);
+      const result = await this.useCases.login.execute(email, password);
+      if (result.twoFactorRequired) {
+        res.status(httpStatusCodes.OK).json({ twoFactorRequired: true, challengeToken: result.challengeToken });
+        return;
+      }
+      const { user, accessToken, refreshToken, twoFactorEnrollmentRequired } = result;
+
+      res.cookie('jid', refreshToken, {
+        httpOnly: true,
+        secure: appConfig.env === 'production',
+        sameSite: 'strict',
+        path: '/api/v1/auth',
+      });
+
+      res.status(httpStatusCodes.OK).json({ user, accessToken, ...(twoFactorEnrollmentRequired ? { twoFactorEnrollmentRequired } : {}) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async verifyTwoFactorLogin(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+      const { user, accessToken, refreshToken } = await this.useCases.verifyTwoFactorLogin.execute({ challengeToken, code });
 
       res.cookie('jid', refreshToken, {
         httpOnly: true,
@@ -42,6 +65,33 @@ class AuthController {
     }
   }
 
+  async enrollTwoFactor(req, res, next) {
+    try {
+      const enrollment = await this.useCases.enrollTwoFactor.execute({ userId: req.user.id });
+      res.status(httpStatusCodes.OK).json(enrollment);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async confirmTwoFactor(req, res, next) {
+    try {
+      const { recoveryCodes } = await this.useCases.confirmTwoFactor.execute({ userId: req.user.id, code: req.body.code });
+      res.status(httpStatusCodes.OK).json({ message: 'Two-factor authentication enabled.', recoveryCodes });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async disableTwoFactor(req, res, next) {
+    try {
+      await this.useCases.disableTwoFactor.execute({ userId: req.user.id, code: req.body.code });
+      res.status(httpStatusCodes.OK).json({ message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async refresh(req, res, next) {
     try {
       const refreshToken = req.cookies.jid;
@@ -82,6 +132,27 @@ class AuthController {
       next(error);
     }
   }
+
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+      const { message } = await this.useCases.requestPasswordReset.execute(email);
+      res.status(httpStatusCodes.OK).json({ message });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+      const { message } = await this.useCases.resetPassword.execute({ token, password });
+      res.clearCookie('jid', { path: '/api/v1/auth' });
+      res.status(httpStatusCodes.OK).json({ message });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = AuthController;
@@ -0,0 +1,81 @@
+const catchAsync = require('../../utils/catchAsync');
+const httpStatusCodes = require('http-status-codes');
+const ApiResponse = require('../../utils/ApiResponse');
+
+class DisputeController {
+    constructor({
+        listMyDisputesUseCase,
+        getDisputeUseCase,
+        getDisputeEvidenceUploadUrlUseCase,
+        addDisputeEvidenceUseCase,
+        postDisputeMessageUseCase,
+        changeDisputeStatusUseCase,
+    }) {
+        this.listMyDisputesUseCase = listMyDisputesUseCase;
+        this.getDisputeUseCase = getDisputeUseCase;
+        this.getDisputeEvidenceUploadUrlUseCase = getDisputeEvidenceUploadUrlUseCase;
+        this.addDisputeEvidenceUseCase = addDisputeEvidenceUseCase;
+        this.postDisputeMessageUseCase = postDisputeMessageUseCase;
+        this.changeDisputeStatusUseCase = changeDisputeStatusUseCase;
+    }
+
+    listMyDisputes = catchAsync(async (req, res) => {
+        const { page, limit, status } = req.query;
+        const result = await this.listMyDisputesUseCase.execute({
+            userId: req.user.id,
+            page: page ? parseInt(page, 10) : undefined,
+            limit: limit ? parseInt(limit, 10) : undefined,
+            status,
+        });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Disputes retrieved successfully.', result);
+    });
+
+    getDispute = catchAsync(async (req, res) => {
+        const result = await this.getDisputeUseCase.execute({ disputeId: req.params.id, user: req.user });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Dispute retrieved successfully.', result);
+    });
+
+    getEvidenceUploadUrl = catchAsync(async (req, res) => {
+        const { filename, contentType } = req.body;
+        const result = await this.getDisputeEvidenceUploadUrlUseCase.execute({
+            disputeId: req.params.id,
+            user: req.user,
+            filename,
+            contentType,
+        });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Upload URL generated successfully.', result);
+    });
+
+    addEvidence = catchAsync(async (req, res) => {
+        const { fileKey, contentType, description } = req.body;
+        const evidence = await this.addDisputeEvidenceUseCase.execute({
+            disputeId: req.params.id,
+            user: req.user,
+            fileKey,
+            contentType,
+            description,
+        });
+        ApiResponse.success(res, httpStatusCodes.CREATED, 'Evidence added successfully.', evidence);
+    });
+
+    postMessage = catchAsync(async (req, res) => {
+        const message = await this.postDisputeMessageUseCase.execute({
+            disputeId: req.params.id,
+            user: req.user,
+            body: req.body.body,
+        });
+        ApiResponse.success(res, httpStatusCodes.CREATED, 'Message posted successfully.', message);
+    });
+
+    changeStatus = catchAsync(async (req, res) => {
+        const dispute = await this.changeDisputeStatusUseCase.execute({
+            disputeId: req.params.id,
+            moderatorId: req.user.id,
+            status: req.body.status,
+            note: req.body.note,
+        });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Dispute status updated successfully.', dispute);
+    });
+}
+
+module.exports = DisputeController;
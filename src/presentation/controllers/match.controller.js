@@ -1,29 +1,46 @@
 const catchAsync = require('../../utils/catchAsync');
-const { CreatedResponse, SuccessResponse } = require('../../utils/ApiResponse');
+const httpStatusCodes = require('http-status-codes');
+const ApiResponse = require('../../utils/ApiResponse');
 
 class MatchController {
-    constructor({ getMatchUseCase, getMatchUploadUrlUseCase, submitMatchResultUseCase }) {
+    constructor({ getMatchUseCase, getMatchUploadUrlUseCase, submitMatchResultUseCase, confirmMatchResultUseCase, disputeMatchResultUseCase }) {
         this.getMatchUseCase = getMatchUseCase;
         this.getMatchUploadUrlUseCase = getMatchUploadUrlUseCase;
         this.submitMatchResultUseCase = submitMatchResultUseCase;
+        this.confirmMatchResultUseCase = confirmMatchResultUseCase;
+        this.disputeMatchResultUseCase = disputeMatchResultUseCase;
     }
 
     getMatchById = catchAsync(async (req, res) => {
         const match = await this.getMatchUseCase.execute(req.params.id, req.user.id);
-        new SuccessResponse('Match retrieved successfully.', match).send(res);
+        ApiResponse.success(res, httpStatusCodes.OK, 'Match retrieved successfully.', match);
     });
 
     getUploadUrl = catchAsync(async (req, res) => {
         const { id: matchId } = req.params;
         const { filename, contentType } = req.body;
         const result = await this.getMatchUploadUrlUseCase.execute(req.user.id, req.body.tournamentId, matchId, { filename, contentType });
-        new SuccessResponse('Upload URL generated successfully.', result).send(res);
+        ApiResponse.success(res, httpStatusCodes.OK, 'Upload URL generated successfully.', result);
     });
 
     submitResult = catchAsync(async (req, res) => {
         const { id: matchId } = req.params;
         const result = await this.submitMatchResultUseCase.execute(req.user.id, req.body.tournamentId, matchId, req.body);
-        new SuccessResponse('Match result submitted successfully.', result).send(res);
+        ApiResponse.success(res, httpStatusCodes.OK, 'Match result submitted successfully.', result);
+    });
+
+    confirmResult = catchAsync(async (req, res) => {
+        const match = await this.confirmMatchResultUseCase.execute({ matchId: req.params.id, user: req.user });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Match result confirmed successfully.', match);
+    });
+
+    disputeResult = catchAsync(async (req, res) => {
+        const result = await this.disputeMatchResultUseCase.execute({
+            matchId: req.params.id,
+            user: req.user,
+            reason: req.body.reason,
+        });
+        ApiResponse.success(res, httpStatusCodes.CREATED, 'Match result disputed. A moderator will review it.', result);
     });
 }
 
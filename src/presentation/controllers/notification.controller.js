@@ -0,0 +1,48 @@
+const catchAsync = require('../../utils/catchAsync');
+const httpStatusCodes = require('http-status-codes');
+const ApiResponse = require('../../utils/ApiResponse');
+
+class NotificationController {
+    constructor({
+        listNotificationsUseCase, markNotificationReadUseCase, getNotificationPreferencesUseCase, updateNotificationPreferencesUseCase,
+    }) {
+        this.listNotificationsUseCase = listNotificationsUseCase;
+        this.markNotificationReadUseCase = markNotificationReadUseCase;
+        this.getNotificationPreferencesUseCase = getNotificationPreferencesUseCase;
+        this.updateNotificationPreferencesUseCase = updateNotificationPreferencesUseCase;
+    }
+
+    listNotifications = catchAsync(async (req, res) => {
+        const { page, limit, unreadOnly } = req.query;
+        const result = await this.listNotificationsUseCase.execute({
+            userId: req.user.id,
+            page: page ? parseInt(page, 10) : undefined,
+            limit: limit ? parseInt(limit, 10) : undefined,
+            unreadOnly: unreadOnly === true || unreadOnly === 'true',
+        });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Notifications retrieved successfully.', result);
+    });
+
+    markAsRead = catchAsync(async (req, res) => {
+        const notification = await this.markNotificationReadUseCase.execute({
+            notificationId: req.params.id,
+            userId: req.user.id,
+        });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Notification marked as read.', notification);
+    });
+
+    getPreferences = catchAsync(async (req, res) => {
+        const preferences = await this.getNotificationPreferencesUseCase.execute({ userId: req.user.id });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Notification preferences retrieved successfully.', preferences);
+    });
+
+    updatePreferences = catchAsync(async (req, res) => {
+        const preferences = await this.updateNotificationPreferencesUseCase.execute({
+            userId: req.user.id,
+            preferences: req.body.preferences,
+        });
+        ApiResponse.success(res, httpStatusCodes.OK, 'Notification preferences updated successfully.', preferences);
+    });
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,66 @@
+const catchAsync = require('../../utils/catchAsync');
+const httpStatusCodes = require('http-status-codes');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+const StorageServiceInterface = require('../../application/services/storage.service.interface');
+
+/**
+ * Serves the signed URLs of the local storage driver. Requests are authorized by the URL
+ * signature alone, like pre-signed S3 URLs. Public objects (see `StorageServiceInterface.PUBLIC_PREFIX`)
+ * can also be downloaded without one. Uploads never replace an object, like the conditional writes of
+ * the S3 upload URLs.
+ */
+class StorageController {
+  /**
+   * @param {object} deps
+   * @param {import('../../infrastructure/storage/local.storage.service')} deps.localStorageService
+   */
+  constructor({ localStorageService }) {
+    this.localStorageService = localStorageService;
+  }
+
+  putObject = catchAsync(async (req, res) => {
+    const key = req.params[0];
+    const contentType = req.headers['content-type'] || null;
+    this.assertSigned(req, 'PUT', key, contentType);
+    if (!Buffer.isBuffer(req.body)) {
+      throw new BadRequestError('The upload has no body.');
+    }
+
+    if (!(await this.localStorageService.create(key, req.body, { contentType }))) {
+      throw new ConflictError('A file was already uploaded to this URL.');
+    }
+    res.status(httpStatusCodes.OK).end();
+  });
+
+  getObject = catchAsync(async (req, res) => {
+    const key = req.params[0];
+    if (!StorageServiceInterface.isPublicKey(key)) {
+      this.assertSigned(req, 'GET', key);
+    }
+
+    const object = await this.localStorageService.get(key);
+    if (!object) {
+      throw new NotFoundError('The object does not exist.');
+    }
+    res.set('Content-Type', object.contentType || 'application/octet-stream');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.status(httpStatusCodes.OK).send(object.body);
+  });
+
+  /** @private */
+  assertSigned(req, method, key, contentType = null) {
+    let valid;
+    try {
+      valid = this.localStorageService.verifySignature({
+        method, key, expires: req.query.expires, signature: req.query.signature, contentType,
+      });
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new ForbiddenError('The storage URL is invalid or has expired.');
+    }
+  }
+}
+
+module.exports = StorageController;
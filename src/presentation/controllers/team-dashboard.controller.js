@@ -3,7 +3,6 @@ const ApiResponse = require('../../utils/ApiResponse');
 const getTeamDashboardDataUseCase = require('../../application/use-cases/team-dashboard/get-team-dashboard-data.usecase');
 const inviteUserToTeamUseCase = require('../../application/use-cases/team-dashboard/invite-user-to-team.usecase');
 const respondToInvitationUseCase = require('../../application/use-cases/team-dashboard/respond-to-invitation.usecase');
-const registerTeamForTournamentUseCase = require('../../application/use-cases/team-dashboard/register-team-for-tournament.usecase');
 
 const getTeamDashboardData = async (req, res, next) => {
   try {
@@ -40,21 +39,8 @@ const respondToInvitation = async (req, res, next) => {
   }
 };
 
-const registerTeamForTournament = async (req, res, next) => {
-  try {
-    const { teamId, tournamentId } = req.params;
-    const { memberIds } = req.body;
-    await registerTeamForTournamentUseCase.execute({ teamId, tournamentId, memberIds, leaderId: req.user.id });
-    const response = new ApiResponse(httpStatusCodes.OK, 'Team registered for tournament successfully.');
-    res.status(httpStatusCodes.OK).json(response);
-  } catch (error) {
-    next(error);
-  }
-};
-
 module.exports = {
   getTeamDashboardData,
   inviteUserToTeam,
   respondToInvitation,
-  registerTeamForTournament,
 };
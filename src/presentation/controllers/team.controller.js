@@ -78,7 +78,7 @@ class TeamController {
         try {
             const { id: teamId } = req.params;
             const { userId, role } = req.body;
-            const updatedTeam = await this.addTeamMemberUseCase.execute({ teamId, userId, role });
+            const updatedTeam = await this.addTeamMemberUseCase.execute(teamId, userId, role, req.user.id);
             return res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, updatedTeam, 'Member added successfully.'));
         } catch (error) {
             next(error);
@@ -3,13 +3,48 @@ const CreateTournamentUseCase = require('../../application/use-cases/tournament/
 const ListTournamentsUseCase = require('../../application/use-cases/tournament/list-tournaments.usecase');
 const GetTournamentUseCase = require('../../application/use-cases/tournament/get-tournament.usecase');
 const RegisterForTournamentUseCase = require('../../application/use-cases/tournament/registerForTournament.useCase');
+const UnregisterFromTournamentUseCase = require('../../application/use-cases/tournament/unregister-from-tournament.usecase');
+const RegisterTeamForTournamentUseCase = require('../../application/use-cases/team-dashboard/register-team-for-tournament.usecase');
+const CheckInForTournamentUseCase = require('../../application/use-cases/tournament/check-in-for-tournament.usecase');
+const JoinTournamentWaitlistUseCase = require('../../application/use-cases/tournament/join-tournament-waitlist.usecase');
+const LeaveTournamentWaitlistUseCase = require('../../application/use-cases/tournament/leave-tournament-waitlist.usecase');
+const GenerateBracketUseCase = require('../../application/use-cases/tournament/generate-bracket.usecase');
+const GetBracketUseCase = require('../../application/use-cases/tournament/get-bracket.usecase');
+const SetSeedingUseCase = require('../../application/use-cases/tournament/set-seeding.usecase');
+const SetPayoutTableUseCase = require('../../application/use-cases/tournament/set-payout-table.usecase');
+const ApprovePrizePayoutsUseCase = require('../../application/use-cases/admin/approve-prize-payouts.usecase');
 
 class TournamentController {
-  constructor({ createTournamentUseCase, listTournamentsUseCase, getTournamentUseCase, registerForTournamentUseCase }) {
+  constructor({
+    createTournamentUseCase,
+    listTournamentsUseCase,
+    getTournamentUseCase,
+    registerForTournamentUseCase,
+    unregisterFromTournamentUseCase,
+    registerTeamForTournamentUseCase,
+    checkInForTournamentUseCase,
+    joinTournamentWaitlistUseCase,
+    leaveTournamentWaitlistUseCase,
+    generateBracketUseCase,
+    getBracketUseCase,
+    setSeedingUseCase,
+    setPayoutTableUseCase,
+    approvePrizePayoutsUseCase,
+  }) {
     this.createTournamentUseCase = createTournamentUseCase;
     this.listTournamentsUseCase = listTournamentsUseCase;
     this.getTournamentUseCase = getTournamentUseCase;
     this.registerForTournamentUseCase = registerForTournamentUseCase;
+    this.unregisterFromTournamentUseCase = unregisterFromTournamentUseCase;
+    this.registerTeamForTournamentUseCase = registerTeamForTournamentUseCase;
+    this.checkInForTournamentUseCase = checkInForTournamentUseCase;
+    this.joinTournamentWaitlistUseCase = joinTournamentWaitlistUseCase;
+    this.leaveTournamentWaitlistUseCase = leaveTournamentWaitlistUseCase;
+    this.generateBracketUseCase = generateBracketUseCase;
+    this.getBracketUseCase = getBracketUseCase;
+    this.setSeedingUseCase = setSeedingUseCase;
+    this.setPayoutTableUseCase = setPayoutTableUseCase;
+    this.approvePrizePayoutsUseCase = approvePrizePayoutsUseCase;
   }
 
   createTournament = async (req, res, next) => {
@@ -57,6 +92,111 @@ class TournamentController {
       next(error);
     }
   };
+
+  registerTeamForTournament = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const { teamId, memberIds } = req.body;
+      const result = await this.registerTeamForTournamentUseCase.execute({ tournamentId, teamId, memberIds, leaderId: req.user.id });
+      res.status(httpStatusCodes.CREATED).json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  unregisterFromTournament = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const result = await this.unregisterFromTournamentUseCase.execute({ tournamentId, userId: req.user.id });
+      res.status(httpStatusCodes.OK).json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  checkIn = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const registration = await this.checkInForTournamentUseCase.execute({ tournamentId, userId: req.user.id });
+      res.status(httpStatusCodes.OK).json(registration);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  joinWaitlist = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const result = await this.joinTournamentWaitlistUseCase.execute({ tournamentId, userId: req.user.id });
+      res.status(httpStatusCodes.CREATED).json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  leaveWaitlist = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const entry = await this.leaveTournamentWaitlistUseCase.execute({ tournamentId, userId: req.user.id });
+      res.status(httpStatusCodes.OK).json(entry);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  generateBracket = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const { tournament, matches } = await this.generateBracketUseCase.execute({ tournamentId, user: req.user });
+      res.status(httpStatusCodes.CREATED).json({ tournament, matches });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  getBracket = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const bracket = await this.getBracketUseCase.execute(tournamentId);
+      res.status(httpStatusCodes.OK).json(bracket);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  setSeeding = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const tournament = await this.setSeedingUseCase.execute({ tournamentId, user: req.user, seeding: req.body });
+      res.status(httpStatusCodes.OK).json(tournament);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  setPayoutTable = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const tournament = await this.setPayoutTableUseCase.execute({ tournamentId, user: req.user, payoutTable: req.body });
+      res.status(httpStatusCodes.OK).json(tournament);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  approvePrizePayouts = async (req, res, next) => {
+    try {
+      const { id: tournamentId } = req.params;
+      const result = await this.approvePrizePayoutsUseCase.execute({
+        tournamentId,
+        adminUserId: req.user.id,
+        twoFactorCode: req.body && req.body.twoFactorCode,
+      });
+      res.status(httpStatusCodes.OK).json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
 }
 
 module.exports = TournamentController;
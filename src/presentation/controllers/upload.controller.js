@@ -10,9 +10,9 @@ class UploadController {
       const { file } = req;
       const { id: userId } = req.user;
 
-      const fileUrl = await this.uploadFileUseCase.execute({ file, userId });
+      const image = await this.uploadFileUseCase.execute({ file, userId });
 
-      res.status(httpStatusCodes.OK).json({ fileUrl });
+      res.status(httpStatusCodes.OK).json(image);
     } catch (error) {
       next(error);
     }
@@ -1,6 +1,7 @@
 const ApiResponse = require('../../utils/ApiResponse');
 const httpStatusCodes = require('http-status-codes');
 const catchAsync = require('../../utils/catchAsync');
+const { appConfig } = require('../../../config/config');
 
 class WalletController {
   constructor(useCases) {
@@ -13,19 +14,44 @@ class WalletController {
   });
 
   initializeDeposit = catchAsync(async (req, res, next) => {
-    const { amount, currency } = req.body;
-    const depositInfo = await this.useCases.initializeDepositUseCase.execute(req.user.id, amount, currency);
+    const { amount, currency, region } = req.body;
+    const depositInfo = await this.useCases.initializeDepositUseCase.execute(
+      req.user.id,
+      amount,
+      currency,
+      req.headers['x-idempotency-key'] || null,
+      region || null,
+    );
     res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, depositInfo, 'Deposit initialized successfully.'));
   });
 
+  // Zarinpal redirects the user's browser here, so the outcome is passed on to the web client's result page.
+  depositCallback = catchAsync(async (req, res, next) => {
+    const deposit = await this.useCases.verifyDepositUseCase.execute({ gateway: 'zarinpal', reference: req.query.Authority });
+    const resultUrl = new URL(appConfig.deposits.resultUrl);
+    resultUrl.searchParams.set('status', deposit.status);
+    resultUrl.searchParams.set('transactionId', deposit.id);
+    res.redirect(httpStatusCodes.SEE_OTHER, resultUrl.toString());
+  });
+
+  // Signed payment notifications from webhook-based gateways; `req.rawBody` is kept by the JSON parser for the signature.
+  depositWebhook = catchAsync(async (req, res, next) => {
+    await this.useCases.verifyDepositUseCase.handleWebhook(req.params.gateway, req.rawBody, req.headers);
+    res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, { received: true }, 'Webhook received.'));
+  });
+
   getTransactionHistory = catchAsync(async (req, res, next) => {
     const transactions = await this.useCases.getTransactionHistoryUseCase.execute(req.user.id);
     res.status(httpStatusCodes.OK).json(new ApiResponse(httpStatusCodes.OK, transactions, 'Transaction history fetched successfully.'));
   });
 
   requestWithdrawal = catchAsync(async (req, res, next) => {
-    const { amount, currency, details } = req.body;
-    await this.useCases.requestWithdrawalUseCase.execute(req.user.id, amount, currency, details);
+    const { amount, currency, withdrawalMethodDetails, twoFactorCode } = req.body;
+    await this.useCases.requestWithdrawalUseCase.execute(
+      req.user.id,
+      { amount, currency, withdrawalMethodDetails, twoFactorCode },
+      req.headers['x-idempotency-key'] || null,
+    );
     res.status(httpStatusCodes.ACCEPTED).json(new ApiResponse(httpStatusCodes.ACCEPTED, {}, 'Withdrawal request accepted.'));
   });
 }
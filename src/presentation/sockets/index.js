@@ -4,14 +4,18 @@ const { createAdapter } = require('@socket.io/redis-adapter');
 const { appConfig } = require('../../../config/config');
 const logger = require('../../utils/logger');
 const chatHandler = require('./handlers/chat.handler');
+const tournamentHandler = require('./handlers/tournament.handler');
+const notificationHandler = require('./handlers/notification.handler');
 const redisAdapter = require('../../infrastructure/cache/redis.adapter');
+const socketEmitter = require('../../infrastructure/realtime/socket.emitter');
 
 /**
  * Initializes Socket.IO and sets up event handlers.
  * @param {http.Server} httpServer - The HTTP server instance to attach Socket.IO to.
+ * @param {object} [dependencies] - The application dependencies (use cases used by the handlers).
  * @returns {SocketIO.Server} The Socket.IO server instance.
  */
-function initializeSocketIO(httpServer) {
+function initializeSocketIO(httpServer, dependencies = {}) {
   const io = new Server(httpServer, {
     cors: {
       origin: appConfig.cors.origin.split(','),
@@ -23,6 +27,8 @@ function initializeSocketIO(httpServer) {
   const subClient = pubClient.duplicate();
   io.adapter(createAdapter(pubClient, subClient));
 
+  socketEmitter.attach(io);
+
   logger.info('Socket.IO server initialized with Redis adapter.');
 
   io.use(async (socket, next) => {
@@ -35,6 +41,10 @@ function initializeSocketIO(httpServer) {
 
     try {
       const decoded = jwt.verify(token, appConfig.jwt.secret);
+      if (decoded.purpose) {
+        // e.g. a two-factor login challenge, which is not an access token
+        return next(new Error('Authentication error: Invalid token.'));
+      }
       socket.user = {
         id: decoded.sub,
         email: decoded.email,
@@ -60,8 +70,15 @@ function initializeSocketIO(httpServer) {
       rooms: [],
     };
     await redisAdapter.setJSON(`socket:${socket.id}`, socketData, { EX: 86400 }); // 24-hour expiry
+    // Server-initiated events for this user (e.g. check-in reminders) are sent to this room
+    await socket.join(socketEmitter.userRoom(socket.user.id));
 
     chatHandler(io, socket, {}); // Pass empty object for activeSockets
+    tournamentHandler(io, socket, { getBracketUseCase: dependencies.getBracketUseCase });
+    await notificationHandler(io, socket, {
+      notificationService: dependencies.notificationService,
+      markNotificationReadUseCase: dependencies.markNotificationReadUseCase,
+    });
 
     socket.on('disconnect', async (reason) => {
       logger.info(`User ${socket.user.id} disconnected from socket: ${socket.id}. Reason: ${reason}`);
@@ -102,5 +119,8 @@ module.exports = initializeSocketIO;
 // - The blueprint specifies `connection` (Handshake) where "Authentication with an Access Token is performed". This is implemented by `io.use`.
 // - The other Socket.IO events (`joinRoom`, `sendMessage`, `newMessage`, `notification`, `bracketUpdate`)
 //   will be handled within their respective handlers (e.g., `chat.handler.js` for chat events).
-//   `bracketUpdate` would likely be in a `tournament.handler.js` or similar.
+//   Tournament subscriptions (`tournament:<id>` rooms) are handled in `tournament.handler.js`; the updates
+//   themselves are pushed from the application layer by `TournamentBroadcastService`.
+//   Notifications are pushed to the `user:<id>` room by `NotificationService`; `notification.handler.js`
+//   sends the unread count on connect and handles read receipts.
 // - This `index.js` provides the core Socket.IO setup and authentication layer.
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { DisputeTicket } = require('../../domain/dispute/dispute.entity');
 
 const assignRoleSchema = Joi.object({
   body: Joi.object({
@@ -44,7 +45,7 @@ const disputeIdParamSchema = Joi.object({
 
 const resolveDisputeSchema = Joi.object({
     body: Joi.object({
-        resolutionStatus: Joi.string().valid('RESOLVED_PARTICIPANT1_WIN', 'RESOLVED_PARTICIPANT2_WIN', 'RESOLVED_REPLAY', 'CLOSED_INVALID').required(),
+        resolutionStatus: Joi.string().valid(...Object.values(DisputeTicket.Resolution)).required(),
         resolutionDetails: Joi.string().min(10).max(1000).required(),
         winningParticipantId: Joi.string().uuid().optional().allow(null), // If applicable
     }),
@@ -69,6 +70,7 @@ const withdrawalIdParamSchema = Joi.object({
 const approveWithdrawalSchema = Joi.object({
     body: Joi.object({
         notes: Joi.string().max(500).optional().allow('', null),
+        twoFactorCode: Joi.string().trim().max(32).optional(),
     }),
 });
 
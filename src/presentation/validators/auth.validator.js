@@ -21,8 +21,38 @@ const verifyEmailSchema = Joi.object({
   }),
 });
 
+const forgotPasswordSchema = Joi.object({
+  body: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  body: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(8).max(128).required(),
+  }),
+});
+
+const twoFactorCodeSchema = Joi.object({
+  body: Joi.object({
+    code: Joi.string().trim().max(32).required(),
+  }),
+});
+
+const twoFactorLoginSchema = Joi.object({
+  body: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().trim().max(32).required(),
+  }),
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
   verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
 };
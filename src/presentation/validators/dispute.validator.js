@@ -0,0 +1,57 @@
+const Joi = require('joi');
+const { DisputeTicket } = require('../../domain/dispute/dispute.entity');
+const { DisputeEvidence } = require('../../domain/dispute/dispute_evidence.entity');
+
+const disputeIdParamSchema = Joi.object({
+    params: Joi.object({
+        id: Joi.string().uuid().required(),
+    }),
+});
+
+const listMyDisputesSchema = Joi.object({
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(10),
+        status: Joi.string().valid(...Object.values(DisputeTicket.Status)).optional(),
+    }),
+});
+
+const evidenceUploadUrlSchema = Joi.object({
+    body: Joi.object({
+        filename: Joi.string().pattern(new RegExp('^[^/\\0]+\\.(png|jpe?g|gif|mp4|webm|mov)$')).required()
+            .messages({
+                'string.pattern.base': 'Filename must be valid and have a .png, .jpg, .jpeg, .gif, .mp4, .webm or .mov extension.',
+            }),
+        contentType: Joi.string().valid(...DisputeEvidence.AllowedContentTypes).required(),
+    }),
+});
+
+const addEvidenceSchema = Joi.object({
+    body: Joi.object({
+        fileKey: Joi.string().required(), // Key from the upload URL step
+        contentType: Joi.string().valid(...DisputeEvidence.AllowedContentTypes).required(),
+        description: Joi.string().trim().max(500).optional().allow('', null),
+    }),
+});
+
+const postMessageSchema = Joi.object({
+    body: Joi.object({
+        body: Joi.string().trim().min(1).max(2000).required(),
+    }),
+});
+
+const changeStatusSchema = Joi.object({
+    body: Joi.object({
+        status: Joi.string().valid(...Object.values(DisputeTicket.Status)).required(),
+        note: Joi.string().trim().max(1000).optional().allow('', null),
+    }),
+});
+
+module.exports = {
+  disputeIdParamSchema,
+  listMyDisputesSchema,
+  evidenceUploadUrlSchema,
+  addEvidenceSchema,
+  postMessageSchema,
+  changeStatusSchema,
+};
@@ -20,6 +20,14 @@ const gamePayloadSchema = Joi.object({
         images: Joi.array().items(Joi.object({
             type: Joi.string().required(),
             url: Joi.string().uri().required(),
+            // Dimensions and variants as returned by POST /upload
+            width: Joi.number().integer().min(1).optional().allow(null),
+            height: Joi.number().integer().min(1).optional().allow(null),
+            variants: Joi.object().pattern(Joi.string(), Joi.object({
+                url: Joi.string().uri().required(),
+                width: Joi.number().integer().min(1).required(),
+                height: Joi.number().integer().min(1).required(),
+            })).optional().allow(null),
         })).optional(),
     }),
 });
@@ -26,8 +26,15 @@ const submitResultSchema = Joi.object({
     }),
 });
 
+const disputeResultSchema = Joi.object({
+    body: Joi.object({
+        reason: Joi.string().trim().min(10).max(1000).required(),
+    }),
+});
+
 module.exports = {
   matchIdParamSchema,
   uploadUrlRequestSchema,
   submitResultSchema,
+  disputeResultSchema,
 };
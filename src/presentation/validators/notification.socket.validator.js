@@ -0,0 +1,9 @@
+const Joi = require('joi');
+
+const markNotificationReadSchema = Joi.object({
+  notificationId: Joi.string().uuid().required(),
+});
+
+module.exports = {
+  markNotificationReadSchema,
+};
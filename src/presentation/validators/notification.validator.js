@@ -0,0 +1,33 @@
+const Joi = require('joi');
+const { Notification } = require('../../domain/notification/notification.entity');
+const { NotificationPreference } = require('../../domain/notification/notificationPreference.entity');
+
+const notificationIdParamSchema = Joi.object({
+    params: Joi.object({
+        id: Joi.string().uuid().required(),
+    }),
+});
+
+const listNotificationsSchema = Joi.object({
+    query: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        unreadOnly: Joi.boolean().default(false),
+    }),
+});
+
+const updateNotificationPreferencesSchema = Joi.object({
+    body: Joi.object({
+        preferences: Joi.array().items(Joi.object({
+            category: Joi.string().valid(...Object.values(Notification.Category)).required(),
+            inApp: Joi.boolean(),
+            email: Joi.string().valid(...Object.values(NotificationPreference.EmailMode)),
+        }).or('inApp', 'email')).min(1).unique('category').required(),
+    }),
+});
+
+module.exports = {
+  notificationIdParamSchema,
+  listNotificationsSchema,
+  updateNotificationPreferencesSchema,
+};
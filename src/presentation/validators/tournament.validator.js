@@ -1,5 +1,38 @@
 const Joi = require('joi');
 
+const seedingSchema = Joi.object({
+    strategy: Joi.string().valid('RANDOM', 'POINTS', 'LEADERBOARD', 'MANUAL').required(),
+    // Participant IDs from the top seed down; only used (and required) for MANUAL seeding.
+    manualOrder: Joi.array().items(Joi.string().uuid()).unique().min(1).when('strategy', {
+        is: 'MANUAL',
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+    }),
+    metric: Joi.string().valid('wins', 'score', 'rating', 'earnings').optional(),
+    period: Joi.string().valid('daily', 'weekly', 'monthly', 'all_time').optional(),
+});
+
+// Prize split by placement, e.g. { mode: 'PERCENTAGE', places: [{ from: 1, to: 1, value: 50 }, { from: 3, to: 4, value: 10 }] }.
+// `value` is paid to each place in the range; totals are checked against the prize pool by the use case.
+const payoutTableSchema = Joi.object({
+    mode: Joi.string().valid('PERCENTAGE', 'FIXED').required(),
+    places: Joi.array().items(Joi.object({
+        from: Joi.number().integer().min(1).required(),
+        to: Joi.number().integer().min(Joi.ref('from')).required(),
+        value: Joi.number().positive().required(),
+    })).min(1).required(),
+});
+
+// Share of an entry fee that is returned, e.g. { type: 'PARTIAL', percentage: 50 }.
+const refundPolicySchema = Joi.object({
+    type: Joi.string().valid('FULL', 'PARTIAL', 'NONE').required(),
+    percentage: Joi.number().greater(0).less(100).when('type', {
+        is: 'PARTIAL',
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+    }),
+});
+
 const createTournamentSchema = Joi.object({
     body: Joi.object({
         name: Joi.string().min(3).max(100).required(),
@@ -20,7 +53,29 @@ const createTournamentSchema = Joi.object({
         prizeDetails: Joi.string().optional().allow('', null),
         managed_by: Joi.array().items(Joi.string().uuid()).optional().allow(null),
         supported_by: Joi.array().items(Joi.string().uuid()).optional().allow(null),
-        entryConditions: Joi.object().optional().allow(null) // Define more specific structure if needed
+        entryConditions: Joi.object().optional().allow(null), // Define more specific structure if needed
+        bracketType: Joi.string().valid('SINGLE_MATCH', 'SINGLE_ELIMINATION', 'DOUBLE_ELIMINATION', 'ROUND_ROBIN', 'SWISS').optional(),
+        settings: Joi.object({
+            groupCount: Joi.number().integer().min(1).optional(),
+            doubleRoundRobin: Joi.boolean().optional(),
+            seeding: seedingSchema.optional(),
+            // Registration is opened by the tournament worker at this time; it closes at startDate.
+            registrationOpensAt: Joi.date().iso().less(Joi.ref('...startDate')).optional(),
+            // Below this count at startDate the tournament is canceled and entry fees are refunded.
+            minParticipants: Joi.number().integer().min(2).max(Joi.ref('...maxParticipants')).optional(),
+            payoutTable: payoutTableSchema.optional(),
+            // Team tournaments: players per registered roster, and who pays the entry fee.
+            teamSize: Joi.number().integer().min(1).optional(),
+            teamFeePayment: Joi.string().valid('CAPTAIN', 'SPLIT').optional(),
+            // Participants check in during the last `checkInWindowMinutes` before startDate; no-shows are
+            // dropped at the start and refunded according to noShowRefundPolicy (in full by default).
+            checkInWindowMinutes: Joi.number().integer().min(1).max(10080).optional(),
+            noShowRefundPolicy: refundPolicySchema.optional(),
+            // Participants can withdraw until `withdrawalCutoffMinutes` before startDate (until the start by
+            // default) and get their entry fee back according to withdrawalRefundPolicy (in full by default).
+            withdrawalCutoffMinutes: Joi.number().integer().min(0).max(10080).optional(),
+            withdrawalRefundPolicy: refundPolicySchema.optional(),
+        }).unknown(true).optional().allow(null),
     }),
 });
 
@@ -41,6 +96,30 @@ const tournamentIdParamSchema = Joi.object({
     }),
 });
 
+const setSeedingSchema = Joi.object({
+    params: Joi.object({
+        id: Joi.string().uuid().required(),
+    }),
+    body: seedingSchema.required(),
+});
+
+const setPayoutTableSchema = Joi.object({
+    params: Joi.object({
+        id: Joi.string().uuid().required(),
+    }),
+    body: payoutTableSchema.required(),
+});
+
+const registerTeamSchema = Joi.object({
+    params: Joi.object({
+        id: Joi.string().uuid().required(),
+    }),
+    body: Joi.object({
+        teamId: Joi.string().uuid().required(),
+        memberIds: Joi.array().items(Joi.string().uuid()).unique().min(1).required(),
+    }).required(),
+});
+
 const getTournamentSchema = Joi.object({
     params: Joi.object({
         id: Joi.string().uuid().required(),
@@ -55,4 +134,8 @@ module.exports = {
   listTournamentsSchema,
   tournamentIdParamSchema,
   getTournamentSchema,
+  setSeedingSchema,
+  setPayoutTableSchema,
+  registerTeamSchema,
+  refundPolicySchema,
 };
@@ -5,6 +5,21 @@ const initializeDepositSchema = Joi.object({
     body: Joi.object({
         amount: Joi.number().positive().precision(2).required(),
         currency: Joi.string().length(3).uppercase().default('IRR'), // Example default
+        region: Joi.string().length(2).uppercase().optional(), // ISO 3166 country code; selects the payment gateway with the currency
+    }),
+});
+
+// Zarinpal sends users back with ?Authority=...&Status=OK|NOK; only the authority is trusted, via verification.
+const depositCallbackSchema = Joi.object({
+    query: Joi.object({
+        Authority: Joi.string().trim().max(64).required(),
+        Status: Joi.string().valid('OK', 'NOK'),
+    }),
+});
+
+const depositWebhookSchema = Joi.object({
+    params: Joi.object({
+        gateway: Joi.string().max(32).required(),
     }),
 });
 
@@ -31,12 +46,15 @@ const requestWithdrawalSchema = Joi.object({
             routingNumber: Joi.string().when('type', { is: 'BANK_TRANSFER', then: Joi.required() }),
             bankName: Joi.string().when('type', { is: 'BANK_TRANSFER', then: Joi.optional() }),
         }).required(),
+        twoFactorCode: Joi.string().trim().max(32).optional(),
     }),
 });
 
 
 module.exports = {
   initializeDepositSchema,
+  depositCallbackSchema,
+  depositWebhookSchema,
   getTransactionHistorySchema,
   requestWithdrawalSchema,
 };
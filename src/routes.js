@@ -7,6 +7,8 @@ module.exports = (dependencies) => {
     const gamesRoutes = require('./presentation/api/games.routes');
     const leaderboardsRoutes = require('./presentation/api/leaderboards.routes');
     const matchesRoutes = require('./presentation/api/matches.routes');
+    const disputesRoutes = require('./presentation/api/disputes.routes');
+    const notificationsRoutes = require('./presentation/api/notifications.routes');
     const teamsRoutes = require('./presentation/api/teams.routes');
     const tournamentsRoutes = require('./presentation/api/tournaments.routes');
     const walletRoutes = require('./presentation/api/wallet.routes');
@@ -14,6 +16,7 @@ module.exports = (dependencies) => {
     const uploadRoutes = require('./presentation/api/upload.routes');
     const userGameProfilesRoutes = require('./presentation/api/userGameProfiles.routes');
     const dashboardRoutes = require('./presentation/api/dashboard.routes');
+    const storageRoutes = require('./presentation/api/storage.routes');
 
 
     router.use('/admin', adminRoutes({ adminController: dependencies.adminController }));
@@ -22,6 +25,8 @@ module.exports = (dependencies) => {
     router.use('/games', gamesRoutes({ gameController: dependencies.gameController }));
     router.use('/leaderboards', leaderboardsRoutes({ leaderboardController: dependencies.leaderboardController }));
     router.use('/matches', matchesRoutes({ matchController: dependencies.matchController }));
+    router.use('/disputes', disputesRoutes({ disputeController: dependencies.disputeController }));
+    router.use('/notifications', notificationsRoutes({ notificationController: dependencies.notificationController }));
     router.use('/teams', teamsRoutes({ teamController: dependencies.teamController, teamMemberController: dependencies.teamMemberController }));
     router.use('/tournaments', tournamentsRoutes({ tournamentController: dependencies.tournamentController }));
     router.use('/wallet', walletRoutes({ walletController: dependencies.walletController }));
@@ -29,6 +34,9 @@ module.exports = (dependencies) => {
     router.use('/upload', uploadRoutes({ uploadController: dependencies.uploadController }));
     router.use('/user-game-profiles', userGameProfilesRoutes({ userGameProfileController: dependencies.userGameProfileController }));
     router.use('/dashboard', dashboardRoutes({ dashboardController: dependencies.dashboardController }));
+    if (dependencies.storageController) { // Only the local storage driver serves its own signed URLs
+        router.use('/storage', storageRoutes({ storageController: dependencies.storageController }));
+    }
 
 
     return router;
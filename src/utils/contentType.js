@@ -0,0 +1,46 @@
+/**
+ * Detects the type of uploaded files from their first bytes ("magic numbers") instead of trusting the
+ * Content-Type header or file name the client sent. Only the types uploads may have are recognized.
+ */
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+  && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  { contentType: 'image/jpeg', matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { contentType: 'image/png', matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { contentType: 'image/gif', matches: (buffer) => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')) },
+  { contentType: 'image/webp', matches: (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8) },
+  // ISO base media files have an `ftyp` box at offset 4; QuickTime files use the `qt  ` brand
+  { contentType: 'video/quicktime', matches: (buffer) => startsWith(buffer, ascii('ftypqt  '), 4) },
+  { contentType: 'video/mp4', matches: (buffer) => startsWith(buffer, ascii('ftyp'), 4) },
+  { contentType: 'video/webm', matches: (buffer) => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) },
+];
+
+const IMAGE_CONTENT_TYPES = Object.freeze(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+/**
+ * @param {Buffer} buffer - The file contents, or at least their first 16 bytes.
+ * @returns {string|null} The detected MIME type, or null if the file is none of the known types.
+ */
+function sniffContentType(buffer) {
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? signature.contentType : null;
+}
+
+/**
+ * @param {string|null} contentType
+ * @returns {boolean} Whether the type is an image the image processor can handle.
+ */
+function isImage(contentType) {
+  return IMAGE_CONTENT_TYPES.includes(contentType);
+}
+
+module.exports = {
+  sniffContentType,
+  isImage,
+  IMAGE_CONTENT_TYPES,
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30 second steps, secrets exchanged in base32.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  const cleaned = encoded.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @returns {string} A new random 160-bit secret, base32 encoded.
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * @param {Date} [now]
+ * @returns {number} The time step `now` falls in.
+ */
+function timeStep(now = new Date()) {
+  return Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * @param {string} secret - Base32 secret.
+ * @param {number} step - Time step, see `timeStep`.
+ * @returns {string} The code for that step, zero-padded.
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current time step and `window` steps either side, to allow for clock drift.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.window=1]
+ * @returns {number|null} The matching time step, or null when the code is wrong.
+ */
+function verifyCode(secret, code, { now = new Date(), window = 1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+  const currentStep = timeStep(now);
+  for (let step = currentStep - window; step <= currentStep + window; step += 1) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * The URI authenticator apps read (usually from a QR code) to add an account.
+ * @param {object} params
+ * @param {string} params.secret - Base32 secret.
+ * @param {string} params.accountName - Shown in the app, e.g. the user's email.
+ * @param {string} params.issuer - Shown in the app, e.g. the platform name.
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
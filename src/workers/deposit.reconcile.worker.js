@@ -0,0 +1,59 @@
+const logger = require('../utils/logger');
+const { appConfig } = require('../../config/config');
+const { createIntervalWorker } = require('./intervalWorker');
+const { Transaction } = require('../domain/wallet/transaction.entity');
+
+const BATCH_SIZE = 50;
+
+/**
+ * Re-verifies deposits that are still PENDING after `deposits.reconcileAfterMinutes`, e.g. because the
+ * user never came back through the gateway callback or the gateway could not be reached then.
+ * Deposits are taken least recently reconciled first, so deposits that keep failing rotate to the back
+ * instead of filling every batch.
+ * @param {object} dependencies
+ * @param {import('../domain/wallet/transaction.repository.interface')} dependencies.transactionRepository
+ * @param {import('../application/use-cases/wallet/verify-deposit.usecase')} dependencies.verifyDepositUseCase
+ * @param {Date} [now] - The current time, for testing.
+ * @returns {Promise<{completed: number, failed: number, pending: number}>} What happened to the deposits.
+ */
+async function runOnce({ transactionRepository, verifyDepositUseCase }, now = new Date()) {
+  const createdBefore = new Date(now.getTime() - appConfig.deposits.reconcileAfterMinutes * 60 * 1000);
+  const deposits = await transactionRepository.findPending({ type: 'DEPOSIT', createdBefore, limit: BATCH_SIZE });
+  await transactionRepository.markReconciled(deposits.map((deposit) => deposit.id), now);
+
+  const summary = { completed: 0, failed: 0, pending: 0 };
+  for (const deposit of deposits) {
+    try {
+      const { status } = await verifyDepositUseCase.execute({
+        gateway: deposit.metadata.paymentGateway,
+        reference: deposit.metadata.paymentReference,
+      });
+      if (status === Transaction.Status.COMPLETED) {
+        summary.completed += 1;
+      } else if (status === Transaction.Status.FAILED) {
+        summary.failed += 1;
+      } else {
+        summary.pending += 1;
+      }
+    } catch (error) {
+      summary.pending += 1;
+      logger.error(`[DepositReconcileWorker] Failed to reconcile deposit ${deposit.id}:`, error);
+    }
+  }
+  if (deposits.length > 0) {
+    logger.info(`[DepositReconcileWorker] Reconciled ${deposits.length} deposits: ${JSON.stringify(summary)}.`);
+  }
+  return summary;
+}
+
+const { start, stop } = createIntervalWorker({
+  name: 'DepositReconcileWorker',
+  runOnce,
+  getIntervalMs: () => appConfig.deposits.reconcileIntervalMs,
+});
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,51 @@
+const logger = require('../utils/logger');
+
+/**
+ * Creates the `start`/`stop` pair of a worker that calls `runOnce` at a fixed interval.
+ * Runs never overlap; a tick is skipped while the previous run is still going. A failed run is logged
+ * and the next tick runs as usual.
+ * @param {object} options
+ * @param {string} options.name - Prefix of the worker's log lines, e.g. 'TournamentWorker'.
+ * @param {(dependencies: object) => Promise<*>} options.runOnce - One run of the worker.
+ * @param {() => number} options.getIntervalMs - Reads the interval from the configuration when the worker starts.
+ * @returns {{start: (dependencies: object) => void, stop: () => void}}
+ */
+function createIntervalWorker({ name, runOnce, getIntervalMs }) {
+  let intervalHandle = null;
+  let isRunning = false;
+
+  function start(dependencies) {
+    if (intervalHandle) {
+      return;
+    }
+    const intervalMs = getIntervalMs();
+    logger.info(`[${name}] Starting, running every ${intervalMs} ms.`);
+    intervalHandle = setInterval(async () => {
+      if (isRunning) {
+        return;
+      }
+      isRunning = true;
+      try {
+        await runOnce(dependencies);
+      } catch (error) {
+        logger.error(`[${name}] Run failed:`, error);
+      } finally {
+        isRunning = false;
+      }
+    }, intervalMs);
+  }
+
+  function stop() {
+    if (intervalHandle) {
+      clearInterval(intervalHandle);
+      intervalHandle = null;
+      logger.info(`[${name}] Stopped.`);
+    }
+  }
+
+  return { start, stop };
+}
+
+module.exports = {
+  createIntervalWorker,
+};
@@ -0,0 +1,46 @@
+const logger = require('../utils/logger');
+const { appConfig } = require('../../config/config');
+const { createIntervalWorker } = require('./intervalWorker');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Auto-confirms every result whose confirmation window has passed without a response from the opponent.
+ * Each match is confirmed in its own transaction, so one failure does not hold back the others.
+ * @param {object} dependencies
+ * @param {import('../domain/tournament/match.repository.interface')} dependencies.matchRepository
+ * @param {import('../application/use-cases/match/confirm-match-result.usecase')} dependencies.confirmMatchResultUseCase
+ * @param {Date} [now] - The current time, for testing.
+ * @returns {Promise<number>} The number of confirmed matches.
+ */
+async function runOnce({ matchRepository, confirmMatchResultUseCase }, now = new Date()) {
+  const timeoutMs = appConfig.matches.resultConfirmationTimeoutMinutes * 60 * 1000;
+  const endedBefore = new Date(now.getTime() - timeoutMs);
+  const matches = await matchRepository.findAwaitingConfirmation({ endedBefore, limit: BATCH_SIZE });
+
+  let confirmedCount = 0;
+  for (const match of matches) {
+    try {
+      const confirmedMatch = await confirmMatchResultUseCase.autoConfirm(match.id, endedBefore);
+      if (confirmedMatch) {
+        confirmedCount += 1;
+        logger.info(`[MatchAutoConfirmWorker] Auto-confirmed result of match ${match.id}.`);
+      }
+    } catch (error) {
+      logger.error(`[MatchAutoConfirmWorker] Failed to auto-confirm match ${match.id}:`, error);
+    }
+  }
+  return confirmedCount;
+}
+
+const { start, stop } = createIntervalWorker({
+  name: 'MatchAutoConfirmWorker',
+  runOnce,
+  getIntervalMs: () => appConfig.matches.autoConfirmIntervalMs,
+});
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,50 @@
+const logger = require('../utils/logger');
+const { appConfig } = require('../../config/config');
+const { createIntervalWorker } = require('./intervalWorker');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Sends the notification digests that are due. A user is due once their oldest notification waiting
+ * for a digest is older than the digest period, so everyone gets at most about one digest per period
+ * and it batches everything that arrived in between.
+ * @param {object} dependencies
+ * @param {import('../domain/notification/notification.repository.interface')} dependencies.notificationRepository
+ * @param {import('../application/use-cases/notification/send-notification-digest.usecase')} dependencies.sendNotificationDigestUseCase
+ * @param {Date} [now] - The current time, for testing.
+ * @returns {Promise<{sent: number, notifications: number}>} Digests sent and the notifications they contained.
+ */
+async function runOnce({ notificationRepository, sendNotificationDigestUseCase }, now = new Date()) {
+  const summary = { sent: 0, notifications: 0 };
+  const createdBefore = new Date(now.getTime() - appConfig.notifications.digestPeriodHours * 60 * 60 * 1000);
+
+  const userIds = await notificationRepository.findUserIdsWithPendingDigest({ createdBefore, limit: BATCH_SIZE });
+  for (const userId of userIds) {
+    try {
+      const result = await sendNotificationDigestUseCase.execute({ userId });
+      if (result.sent > 0) {
+        summary.sent += 1;
+        summary.notifications += result.sent;
+      }
+    } catch (error) {
+      logger.error(`[NotificationDigestWorker] Failed to send the digest of user ${userId}:`, error);
+    }
+  }
+
+  if (summary.sent > 0) {
+    logger.info(`[NotificationDigestWorker] Sent ${summary.sent} digests with ${summary.notifications} notifications.`);
+  }
+  return summary;
+}
+
+const { start, stop } = createIntervalWorker({
+  name: 'NotificationDigestWorker',
+  runOnce,
+  getIntervalMs: () => appConfig.notifications.digestIntervalMs,
+});
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -1,42 +1,81 @@
-const cron = require('node-cron');
-const { TournamentService } = require('../application/tournament/tournament.service');
-const { WalletService } = require('../application/wallet/wallet.service');
-const { TournamentRepository } = require('../infrastructure/database/repositories/tournament.repository');
-const { UserRepository } = require('../infrastructure/database/repositories/user.repository');
-const { WalletRepository } = require('../infrastructure/database/repositories/wallet.repository');
-const { a } = require('../infrastructure/database/repositories/wallet.repository');
-
-const tournamentRepository = new TournamentRepository();
-const userRepository = new UserRepository();
-const walletRepository = new WalletRepository();
-
-const tournamentService = new TournamentService(tournamentRepository, userRepository);
-const walletService = new WalletService(walletRepository);
-
-// Schedule a task to run every minute to check for tournaments to start or cancel
-cron.schedule('* * * * *', async () => {
-  console.log('Running tournament worker...');
-  const upcomingTournaments = await tournamentService.getUpcomingTournaments();
-
-  for (const tournament of upcomingTournaments) {
-    if (new Date() >= tournament.startDate) {
-      try {
-        if (tournament.currentParticipants >= tournament.minParticipants) {
-          await tournamentService.startTournament(tournament.id);
-          console.log(`Tournament ${tournament.name} has started.`);
-          // Here you would implement the logic to send the match ID and entry code to the participants
-        } else {
-          await tournamentService.cancelTournament(tournament.id);
-          console.log(`Tournament ${tournament.name} has been canceled due to lack of participants.`);
-          // Refund the entry fee to all participants
-          const participants = await tournamentService.getTournamentParticipants(tournament.id);
-          for (const participant of participants) {
-            await walletService.deposit(participant.userId, tournament.entryFee, 'Tournament refund');
-          }
-        }
-      } catch (error) {
-        console.error(`Error processing tournament ${tournament.id}:`, error);
+const logger = require('../utils/logger');
+const { appConfig } = require('../../config/config');
+const { createIntervalWorker } = require('./intervalWorker');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Opens registrations that are due, opens check-in windows (reminding participants), then starts
+ * (or cancels and refunds) tournaments whose start date has passed.
+ * Each tournament is handled in its own transaction on its locked row, so one failure does not hold back
+ * the others and several instances running at once act on a tournament only once.
+ * @param {object} dependencies
+ * @param {import('../domain/tournament/tournament.repository.interface')} dependencies.tournamentRepository
+ * @param {import('../application/use-cases/tournament/open-tournament-registration.usecase')} dependencies.openTournamentRegistrationUseCase
+ * @param {import('../application/use-cases/tournament/open-check-in.usecase')} dependencies.openCheckInUseCase
+ * @param {import('../application/use-cases/tournament/start-tournament.usecase')} dependencies.startTournamentUseCase
+ * @param {Date} [now] - The current time, for testing.
+ * @returns {Promise<{opened: number, checkInsOpened: number, started: number, canceled: number}>}
+ */
+async function runOnce({ tournamentRepository, openTournamentRegistrationUseCase, openCheckInUseCase, startTournamentUseCase }, now = new Date()) {
+  const summary = { opened: 0, checkInsOpened: 0, started: 0, canceled: 0 };
+
+  const dueForRegistration = await tournamentRepository.findDueForRegistrationOpening({ now, limit: BATCH_SIZE });
+  for (const tournament of dueForRegistration) {
+    try {
+      const opened = await openTournamentRegistrationUseCase.execute({ tournamentId: tournament.id, now });
+      if (opened) {
+        summary.opened += 1;
+        logger.info(`[TournamentWorker] Opened registration of tournament ${tournament.id}.`);
+      }
+    } catch (error) {
+      logger.error(`[TournamentWorker] Failed to open registration of tournament ${tournament.id}:`, error);
+    }
+  }
+
+  const dueForCheckIn = await tournamentRepository.findDueForCheckInOpening({ now, limit: BATCH_SIZE });
+  for (const tournament of dueForCheckIn) {
+    try {
+      const result = await openCheckInUseCase.execute({ tournamentId: tournament.id, now });
+      if (result) {
+        summary.checkInsOpened += 1;
+        logger.info(`[TournamentWorker] Opened check-in of tournament ${tournament.id}, reminded ${result.remindedUserIds.length} users.`);
       }
+    } catch (error) {
+      logger.error(`[TournamentWorker] Failed to open check-in of tournament ${tournament.id}:`, error);
     }
   }
+
+  const dueToStart = await tournamentRepository.findDueToStart({ now, limit: BATCH_SIZE });
+  for (const tournament of dueToStart) {
+    try {
+      const result = await startTournamentUseCase.execute({ tournamentId: tournament.id, now });
+      if (!result) {
+        continue;
+      }
+      if (result.started) {
+        summary.started += 1;
+        logger.info(`[TournamentWorker] Started tournament ${tournament.id} with ${result.matches.length} matches, dropped ${result.dropped.length} no-shows.`);
+      } else {
+        summary.canceled += 1;
+        logger.info(`[TournamentWorker] Canceled tournament ${tournament.id}, issued ${result.refunds.length} refunds.`);
+      }
+    } catch (error) {
+      logger.error(`[TournamentWorker] Failed to start tournament ${tournament.id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+const { start, stop } = createIntervalWorker({
+  name: 'TournamentWorker',
+  runOnce,
+  getIntervalMs: () => appConfig.tournaments.schedulerIntervalMs,
 });
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -45,8 +45,11 @@ const doc = {
         { name: 'Games', description: 'Game management endpoints' },
         { name: 'Leaderboards', description: 'Leaderboard information' },
         { name: 'Matches', description: 'Match management and result submission' },
+        { name: 'Notifications', description: 'Notification center of the authenticated user' },
+        { name: 'Storage', description: 'Signed upload and download URLs of the local storage driver' },
         { name: 'Teams', description: 'Team creation, management, and membership' },
         { name: 'Tournaments', description: 'Tournament management, participation, and progression' },
+        { name: 'Uploads', description: 'Image uploads for avatars, games and tournaments' },
         { name: 'Users', description: 'User profile management (self-service)' },
         { name: 'User Game Profiles', description: 'Management of user profiles for specific games' },
         { name: 'Wallet', description: 'User wallet and transaction management' },
@@ -236,6 +239,64 @@ const doc = {
                 },
                 required: ["message", "userId"]
             },
+            TwoFactorLoginRequest: {
+                type: 'object',
+                properties: {
+                    challengeToken: { type: 'string', description: 'The challenge token returned by POST /auth/login.' },
+                    code: { type: 'string', description: '6-digit code from the authenticator app, or an unused recovery code.', example: '123456' }
+                },
+                required: ['challengeToken', 'code']
+            },
+            TwoFactorCodeRequest: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', description: '6-digit code from the authenticator app, or an unused recovery code where accepted.', example: '123456' }
+                },
+                required: ['code']
+            },
+            TwoFactorEnrollmentResponse: {
+                type: 'object',
+                properties: {
+                    secret: { type: 'string', description: 'Base32 TOTP secret, for entering manually.' },
+                    otpauthUri: { type: 'string', example: 'otpauth://totp/Tournament%20Platform%3Auser%40example.com?secret=...&issuer=Tournament+Platform' }
+                }
+            },
+            TwoFactorRecoveryCodesResponse: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    recoveryCodes: { type: 'array', items: { type: 'string', example: '3f9a-c2d1-7b44' } }
+                }
+            },
+            ForgotPasswordRequest: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string', format: 'email', description: 'Email address of the account.' }
+                },
+                required: ['email']
+            },
+            ForgotPasswordResponse: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string', example: 'If an account exists for this email, a password reset link has been sent.' }
+                },
+                required: ['message']
+            },
+            ResetPasswordRequest: {
+                type: 'object',
+                properties: {
+                    token: { type: 'string', description: 'The token from the password reset link (64 hex characters).' },
+                    password: { type: 'string', format: 'password', minLength: 8, maxLength: 128, description: 'The new password.' }
+                },
+                required: ['token', 'password']
+            },
+            ResetPasswordResponse: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string', example: 'Password has been reset. Please log in with your new password.' }
+                },
+                required: ['message']
+            },
 
             // --- User Schemas (as seen in users.routes.js) ---
             UpdateUserProfileRequest: {
@@ -557,11 +618,36 @@ const doc = {
                 },
                 required: ["filename", "contentType"]
             },
+            UploadedImage: {
+                type: 'object',
+                properties: {
+                    fileUrl: { type: 'string', format: 'url', description: 'Location of the image, stored without EXIF/GPS metadata.' },
+                    contentType: { type: 'string', enum: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'], description: 'Type detected from the file contents.' },
+                    width: { type: 'integer', example: 1920 },
+                    height: { type: 'integer', example: 1080 },
+                    variants: {
+                        type: 'object',
+                        description: 'Resized WebP versions by name (thumbnail: 256 px, small: 640 px, medium: 1280 px on the longest edge; never larger than the original).',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                url: { type: 'string', format: 'url' },
+                                width: { type: 'integer' },
+                                height: { type: 'integer' }
+                            }
+                        }
+                    }
+                },
+                required: ['fileUrl', 'contentType', 'width', 'height', 'variants']
+            },
             UploadUrlResponse: {
                 type: "object",
                 properties: {
                     uploadUrl: { type: "string", format: "url", description: "The pre-signed URL to upload the file to." },
-                    fileKey: { type: "string", description: "The S3 object key where the file will be stored. This key should be sent when submitting the match result." }
+                    method: { type: 'string', example: 'PUT', description: 'HTTP method of the upload.' },
+                    headers: { type: 'object', additionalProperties: { type: 'string' }, example: { 'Content-Type': 'image/png' }, description: 'Headers the upload must be sent with.' },
+                    expiresAt: { type: 'string', format: 'date-time', description: 'When the upload URL stops working.' },
+                    fileKey: { type: 'string', description: 'The storage key where the file will be stored. This key should be sent when submitting the match result.' }
                 },
                 required: ["uploadUrl", "fileKey"]
             },
@@ -706,7 +792,8 @@ const doc = {
                 type: "object",
                 properties: {
                     amount: { type: "number", format: "float", minimum: 0.01, description: "Amount to deposit (must be positive, max 2 decimal places)." },
-                    currency: { type: "string", length: 3, description: "Currency code (e.g., IRR, USD).", example: "IRR" }
+                    currency: { type: 'string', length: 3, description: 'Currency code (e.g., IRR, USD).', example: 'IRR' },
+                    region: { type: 'string', length: 2, description: 'ISO 3166 country code of the user. Together with the currency, selects the payment gateway.', example: 'IR' }
                 },
                 required: ["amount", "currency"]
             },
@@ -715,6 +802,7 @@ const doc = {
                 properties: {
                     paymentGatewayUrl: { type: "string", format: "url", description: "URL to redirect the user to for completing the payment." },
                     transactionId: { type: "string", format: "uuid", description: "Unique ID for this deposit transaction." },
+                    paymentGateway: { type: 'string', description: 'Name of the payment gateway handling the deposit.', example: 'zarinpal' },
                     status: { type: "string", nullable: true, description: "Status of the transaction if idempotency key caused a replay (e.g., PENDING, COMPLETED)." }
                 },
                 required: ["paymentGatewayUrl", "transactionId"]
@@ -775,7 +863,8 @@ const doc = {
                 properties: {
                     amount: { type: "number", format: "float", minimum: 0.01, description: "Amount to withdraw." },
                     currency: { type: "string", length: 3, description: "Currency code." },
-                    withdrawalMethodDetails: { $ref: "#/components/schemas/WithdrawalMethodDetails" }
+                    withdrawalMethodDetails: { $ref: '#/components/schemas/WithdrawalMethodDetails' },
+                    twoFactorCode: { type: 'string', description: 'Current two-factor code. Required when the user has two-factor authentication enabled.' }
                 },
                 required: ["amount", "currency", "withdrawalMethodDetails"]
             },
@@ -854,7 +943,8 @@ const doc = {
             ApproveWithdrawalRequest: { // Based on approveWithdrawalSchema
                 type: "object",
                 properties: {
-                    notes: { type: "string", maxLength: 500, nullable: true, description: "Optional notes by the admin approving the request." }
+                    notes: { type: 'string', maxLength: 500, nullable: true, description: 'Optional notes by the admin approving the request.' },
+                    twoFactorCode: { type: 'string', description: "The admin's current two-factor code. Required when the admin has two-factor authentication enabled." }
                 }
             },
             RejectWithdrawalRequest: { // Based on rejectWithdrawalSchema
@@ -863,6 +953,57 @@ const doc = {
                     reason: { type: "string", minLength:10, maxLength: 500, description: "Reason for rejecting the withdrawal request." }
                 },
                 required: ["reason"]
+            },
+            // --- Notification Schemas ---
+            Notification: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    userId: { type: 'string', format: 'uuid' },
+                    type: { type: 'string', enum: ['TEAM_INVITATION', 'MATCH_READY', 'MATCH_RESULT_SUBMITTED', 'MATCH_RESULT_CONFIRMED', 'MATCH_DISPUTED', 'DISPUTE_STATUS_CHANGED', 'PRIZE_PAID', 'WITHDRAWAL_APPROVED', 'FILE_REJECTED', 'TOURNAMENT_START_FAILED'] },
+                    payload: { type: 'object', description: 'Type-specific data, e.g. tournamentId and matchId.' },
+                    link: { type: 'string', nullable: true, description: 'Deep link to what the notification is about.', example: '/tournaments/1b2c.../matches/3d4e...' },
+                    readAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the notification was read; null while unread.' },
+                    emailStatus: { type: 'string', enum: ['NONE', 'SENT', 'FAILED', 'DIGEST_PENDING', 'DIGESTED'], description: 'Whether the notification was emailed, on its own or in a digest.' },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            PaginatedNotificationsResponse: {
+                type: 'object',
+                properties: {
+                    notifications: { type: 'array', items: { $ref: '#/components/schemas/Notification' } },
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    unreadCount: { type: 'integer', description: 'Number of unread notifications of the user.' }
+                }
+            },
+            NotificationPreference: {
+                type: 'object',
+                properties: {
+                    category: { type: 'string', enum: ['MATCHES', 'TEAMS', 'DISPUTES', 'PAYMENTS', 'UPLOADS'] },
+                    inApp: { type: 'boolean', description: 'Push notifications of this category live over Socket.IO.' },
+                    email: { type: 'string', enum: ['OFF', 'INSTANT', 'DIGEST'], description: 'Email each notification right away, batch them into a daily digest, or do not email them.' }
+                }
+            },
+            UpdateNotificationPreferencesRequest: {
+                type: 'object',
+                properties: {
+                    preferences: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                category: { type: 'string', enum: ['MATCHES', 'TEAMS', 'DISPUTES', 'PAYMENTS', 'UPLOADS'] },
+                                inApp: { type: 'boolean' },
+                                email: { type: 'string', enum: ['OFF', 'INSTANT', 'DIGEST'] }
+                            },
+                            required: ['category']
+                        }
+                    }
+                },
+                required: ['preferences']
             }
         },
         securitySchemes: {
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const express = require('express');
+const httpStatusCodes = require('http-status-codes');
+const AdminController = require('../../src/presentation/controllers/admin.controller');
+const ApproveWithdrawalUseCase = require('../../src/application/use-cases/admin/approve-withdrawal.usecase');
+const TwoFactorService = require('../../src/application/services/twoFactor.service');
+const { TwoFactorCredential } = require('../../src/domain/user/twoFactorCredential.entity');
+const { Transaction } = require('../../src/domain/wallet/transaction.entity');
+const { Wallet } = require('../../src/domain/wallet/wallet.entity');
+const { sequelize } = require('../../src/infrastructure/database/postgres.connector');
+const { errorHandler } = require('../../src/middleware/error.middleware');
+const totp = require('../../src/utils/totp');
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'admin-1', roles: ['ADMIN'] };
+    next();
+  },
+  authorizeRole: () => (req, res, next) => next(),
+}));
+jest.mock('../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const adminRoutes = require('../../src/presentation/api/admin.routes');
+
+describe('POST /api/v1/admin/withdrawals/:id/approve', () => {
+  // RFC 6238 test secret "12345678901234567890"
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const withdrawalId = '6f1c1f3e-4a5b-4c6d-8e9f-0a1b2c3d4e5f';
+  let credential;
+  let withdrawal;
+  let mockTransactionRepository;
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sequelize.transaction.mockImplementation(async () => {
+      const transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+      transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+      return transaction;
+    });
+
+    credential = new TwoFactorCredential({ userId: 'admin-1', secret, enabledAt: new Date('2025-01-01T00:00:00Z') });
+    const mockCredentialRepository = {
+      findByUserId: jest.fn().mockImplementation(async () => credential),
+      save: jest.fn().mockImplementation(async (c) => c),
+    };
+    const twoFactorService = new TwoFactorService(mockCredentialRepository, { findById: jest.fn() });
+
+    withdrawal = new Transaction(withdrawalId, 'wallet-1', 'WITHDRAWAL', 40, 'REQUIRES_APPROVAL', 'idem-1', 'Withdrawal request', {
+      requestedCurrency: 'IRR',
+    });
+    mockTransactionRepository = {
+      findById: jest.fn().mockImplementation(async () => withdrawal),
+      update: jest.fn().mockImplementation(async (id, data) => Object.assign(withdrawal, data)),
+    };
+    const mockWalletRepository = {
+      findById: jest.fn().mockResolvedValue(new Wallet('wallet-1', 'user-1', 100, 'IRR')),
+      update: jest.fn(),
+    };
+    const approveWithdrawalUseCase = new ApproveWithdrawalUseCase(
+      mockTransactionRepository, mockWalletRepository, null, null, twoFactorService,
+    );
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/admin', adminRoutes({ adminController: new AdminController({ approveWithdrawalUseCase }) }));
+    app.use(errorHandler);
+  });
+
+  it('should return 403 and leave the withdrawal untouched without a two-factor code', async () => {
+    const response = await request(app).post(`/api/v1/admin/withdrawals/${withdrawalId}/approve`).send({ notes: 'Looks good' });
+
+    expect(response.status).toBe(httpStatusCodes.FORBIDDEN);
+    expect(response.body.message).toBe('A two-factor authentication code is required for this action.');
+    expect(mockTransactionRepository.findById).not.toHaveBeenCalled();
+    expect(withdrawal.status).toBe('REQUIRES_APPROVAL');
+  });
+
+  it('should return 403 for a wrong two-factor code', async () => {
+    const response = await request(app)
+      .post(`/api/v1/admin/withdrawals/${withdrawalId}/approve`)
+      .send({ twoFactorCode: '000000' });
+
+    expect(response.status).toBe(httpStatusCodes.FORBIDDEN);
+    expect(withdrawal.status).toBe('REQUIRES_APPROVAL');
+  });
+
+  it('should approve the withdrawal with a valid two-factor code', async () => {
+    const response = await request(app)
+      .post(`/api/v1/admin/withdrawals/${withdrawalId}/approve`)
+      .send({ notes: 'Looks good', twoFactorCode: totp.generateCode(secret, totp.timeStep(new Date())) });
+
+    expect(response.status).toBe(httpStatusCodes.OK);
+    expect(withdrawal.status).toBe('COMPLETED');
+    expect(withdrawal.metadata).toMatchObject({ adminUserId: 'admin-1', adminNotes: 'Looks good' });
+  });
+});
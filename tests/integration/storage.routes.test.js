@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const httpStatusCodes = require('http-status-codes');
+const LocalStorageService = require('../../src/infrastructure/storage/local.storage.service');
+const StorageController = require('../../src/presentation/controllers/storage.controller');
+const storageRoutes = require('../../src/presentation/api/storage.routes');
+const { errorHandler } = require('../../src/middleware/error.middleware');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('GET /api/v1/storage/objects/*', () => {
+  const publicUrl = 'http://localhost:3000/api/v1/storage';
+  let rootDir;
+  let storage;
+  let app;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-routes-test-'));
+    storage = new LocalStorageService({ rootDir, publicUrl, signingSecret: 'test-secret' });
+
+    app = express();
+    app.use('/api/v1/storage', storageRoutes({ storageController: new StorageController({ localStorageService: storage }) }));
+    app.use(errorHandler);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const pathOf = (url) => url.slice('http://localhost:3000'.length);
+
+  it('should serve images uploaded to the API through their unsigned object URL', async () => {
+    const key = 'uploads/u-1/123-avatar_small.webp';
+    await storage.put(key, Buffer.from('webp-bytes'), { contentType: 'image/webp' });
+
+    const response = await request(app).get(pathOf(storage.getObjectUrl(key)));
+
+    expect(response.status).toBe(httpStatusCodes.OK);
+    expect(response.headers['content-type']).toBe('image/webp');
+  });
+
+  it('should only serve other objects through a signed URL', async () => {
+    const key = 'match-results/t-1/m-1/u-1/123-abc.png';
+    await storage.put(key, Buffer.from('png-bytes'), { contentType: 'image/png' });
+
+    const unsigned = await request(app).get(pathOf(storage.getObjectUrl(key)));
+    const signed = await request(app).get(pathOf(await storage.getPresignedDownloadUrl(key)));
+
+    expect(unsigned.status).toBe(httpStatusCodes.FORBIDDEN);
+    expect(signed.status).toBe(httpStatusCodes.OK);
+  });
+});
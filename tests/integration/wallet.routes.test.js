@@ -141,7 +141,7 @@ describe('Wallet Routes Integration Tests', () => {
 
       expect(response.status).toBe(httpStatusCodes.OK);
       expect(response.body.data).toEqual(expect.objectContaining({ transactionId: 'tx-1' }));
-      expect(mockInitializeDepositUseCaseExecute).toHaveBeenCalledWith('test-user-id', depositPayload.amount, depositPayload.currency, idempotencyKey);
+      expect(mockInitializeDepositUseCaseExecute).toHaveBeenCalledWith('test-user-id', depositPayload.amount, depositPayload.currency, idempotencyKey, null);
     });
 
     it('should return 400 Bad Request if X-Idempotency-Key header is missing', async () => {
@@ -0,0 +1,246 @@
+const BracketAdvancementService = require('../../../../src/application/services/bracketAdvancement.service');
+const { BracketLogic } = require('../../../../src/domain/tournament/bracket.logic');
+const { Match } = require('../../../../src/domain/tournament/match.entity');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../src/domain/tournament/tournament.entity');
+
+describe('BracketAdvancementService', () => {
+  const tournamentId = 'tournament-uuid';
+  const transaction = { id: 'tx', LOCK: { UPDATE: 'UPDATE' } };
+  const seeded = (count) => Array.from({ length: count }, (_, i) => ({ id: `p${i + 1}`, seed: i + 1 }));
+
+  let matchStore;
+  let tournament;
+  let mockMatchRepository;
+  let mockTournamentRepository;
+  let service;
+
+  const createTournament = (bracketType) => new Tournament(
+    tournamentId, 'Test Tournament', 'game-uuid', 'Description', 'Rules',
+    TournamentStatus.ONGOING, 0, EntryFeeType.FREE, 0, PrizeType.NONE, null,
+    8, 0, new Date(), null, 'organizer-uuid', [], [], {},
+    new Date(), new Date(), null, bracketType, {}
+  );
+
+  const setup = (bracketType, matches, participants = []) => {
+    matchStore = new Map(matches.map((m) => [m.id, m]));
+    tournament = createTournament(bracketType);
+    mockMatchRepository = {
+      findById: jest.fn(async (id) => matchStore.get(id) || null),
+      updateById: jest.fn(async (id, data) => Object.assign(matchStore.get(id), data)),
+      findByTournamentId: jest.fn(async () => [...matchStore.values()]),
+      createBulk: jest.fn(async (newMatches) => {
+        newMatches.forEach((m) => matchStore.set(m.id, m));
+        return newMatches;
+      }),
+    };
+    mockTournamentRepository = {
+      findById: jest.fn(async () => tournament),
+      updateById: jest.fn(async (id, data) => Object.assign(tournament, data)),
+      findParticipantsByTournamentId: jest.fn(async () => participants.map((p) => ({
+        participantId: p.id, participantType: 'user', seed: p.seed,
+      }))),
+    };
+    service = new BracketAdvancementService(mockMatchRepository, mockTournamentRepository);
+  };
+
+  const complete = (match, winnerId) => {
+    match.status = Match.Status.COMPLETED;
+    match.winnerId = winnerId;
+    match.isConfirmed = true;
+    return match;
+  };
+
+  const round = (bracket, roundNumber) => [...matchStore.values()].filter((m) => m.roundNumber === roundNumber
+    && (bracket ? m.metadata && m.metadata.bracket === bracket : true));
+
+  describe('single elimination', () => {
+    beforeEach(() => {
+      setup(BracketType.SINGLE_ELIMINATION, BracketLogic.generateSingleElimination(tournamentId, seeded(4), { shuffle: false }));
+    });
+
+    it('should do nothing for a match that is not completed', async () => {
+      const [first] = round(null, 1);
+      const result = await service.advance(first, { transaction });
+
+      expect(result.advancedTo).toBeNull();
+      expect(mockMatchRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    it('should move winners into the final and schedule it once both are known', async () => {
+      const [first, second] = round(null, 1);
+      const final = round(null, 2)[0];
+      final.status = Match.Status.PENDING;
+
+      await service.advance(complete(first, first.participant1Id), { transaction });
+      expect(final.participant1Id).toBe(first.participant1Id);
+      expect(final.status).toBe(Match.Status.PENDING);
+
+      await service.advance(complete(second, second.participant2Id), { transaction });
+      expect(final.participant2Id).toBe(second.participant2Id);
+      expect(final.status).toBe(Match.Status.SCHEDULED);
+      expect(mockMatchRepository.findById).toHaveBeenCalledWith(final.id, { transaction, lock: 'UPDATE' });
+      expect(mockMatchRepository.updateById).toHaveBeenCalledWith(final.id, expect.any(Object), { transaction });
+      expect(mockTournamentRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    it('should complete the tournament with the winner of the final', async () => {
+      const [first, second] = round(null, 1);
+      const final = round(null, 2)[0];
+      await service.advance(complete(first, first.participant1Id), { transaction });
+      await service.advance(complete(second, second.participant1Id), { transaction });
+
+      const result = await service.advance(complete(final, first.participant1Id), { transaction });
+
+      expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(tournamentId, expect.objectContaining({
+        status: TournamentStatus.COMPLETED,
+        winnerId: first.participant1Id,
+      }), { transaction });
+      expect(result.tournament.status).toBe(TournamentStatus.COMPLETED);
+    });
+
+    it('should complete a tournament whose bracket was played without starting it', async () => {
+      tournament.status = TournamentStatus.REGISTRATION_CLOSED;
+      const [first, second] = round(null, 1);
+      await service.advance(complete(first, first.participant1Id), { transaction });
+      await service.advance(complete(second, second.participant1Id), { transaction });
+
+      const result = await service.advance(complete(round(null, 2)[0], second.participant1Id), { transaction });
+
+      expect(result.tournament).toMatchObject({ status: TournamentStatus.COMPLETED, winnerId: second.participant1Id });
+    });
+
+    it('should distribute prizes in the transaction that completes the tournament', async () => {
+      const prizeDistributionService = { distribute: jest.fn().mockResolvedValue([]) };
+      service = new BracketAdvancementService(mockMatchRepository, mockTournamentRepository, prizeDistributionService);
+      const [first, second] = round(null, 1);
+      await service.advance(complete(first, first.participant1Id), { transaction });
+      await service.advance(complete(second, second.participant1Id), { transaction });
+      expect(prizeDistributionService.distribute).not.toHaveBeenCalled();
+
+      await service.advance(complete(round(null, 2)[0], first.participant1Id), { transaction });
+
+      expect(prizeDistributionService.distribute).toHaveBeenCalledWith(
+        expect.objectContaining({ id: tournamentId, status: TournamentStatus.COMPLETED }), { transaction }
+      );
+    });
+
+    it('should be idempotent when the same result is advanced twice', async () => {
+      const [first] = round(null, 1);
+      complete(first, first.participant1Id);
+      await service.advance(first, { transaction });
+      await service.advance(first, { transaction });
+
+      expect(mockMatchRepository.updateById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replace the previous winner when a result is overturned', async () => {
+      const [first] = round(null, 1);
+      const final = round(null, 2)[0];
+      await service.advance(complete(first, first.participant1Id), { transaction });
+      await service.advance(complete(first, first.participant2Id), { transaction });
+
+      expect(final.participant1Id).toBe(first.participant2Id);
+    });
+
+    it('should refuse to change the participants of a match that already started', async () => {
+      const [first] = round(null, 1);
+      const final = round(null, 2)[0];
+      await service.advance(complete(first, first.participant1Id), { transaction });
+      final.status = Match.Status.IN_PROGRESS;
+
+      await expect(service.advance(complete(first, first.participant2Id), { transaction }))
+        .rejects.toThrow('has already started');
+    });
+  });
+
+  describe('double elimination', () => {
+    const { WINNERS, LOSERS, GRAND_FINAL } = BracketLogic.Sections;
+
+    beforeEach(() => {
+      setup(BracketType.DOUBLE_ELIMINATION, BracketLogic.generateDoubleElimination(tournamentId, seeded(4), { shuffle: false }));
+    });
+
+    const playUntilGrandFinal = async () => {
+      const [w1, w2] = round(WINNERS, 1);
+      await service.advance(complete(w1, 'p1'), { transaction });
+      await service.advance(complete(w2, 'p2'), { transaction });
+      await service.advance(complete(round(WINNERS, 2)[0], 'p1'), { transaction });
+      await service.advance(complete(round(LOSERS, 1)[0], 'p3'), { transaction });
+      await service.advance(complete(round(LOSERS, 2)[0], 'p2'), { transaction });
+      return round(GRAND_FINAL, 1)[0];
+    };
+
+    it('should drop losers into the losers bracket', async () => {
+      const [w1, w2] = round(WINNERS, 1);
+      await service.advance(complete(w1, 'p1'), { transaction });
+      await service.advance(complete(w2, 'p2'), { transaction });
+
+      const losersRound1 = round(LOSERS, 1)[0];
+      expect([losersRound1.participant1Id, losersRound1.participant2Id].sort()).toEqual(['p3', 'p4']);
+      expect(losersRound1.status).toBe(Match.Status.SCHEDULED);
+    });
+
+    it('should seat the grand finalists in their slots', async () => {
+      const grandFinal = await playUntilGrandFinal();
+
+      expect(grandFinal.participant1Id).toBe('p1');
+      expect(grandFinal.participant2Id).toBe('p2');
+    });
+
+    it('should cancel the bracket reset and complete the tournament when the winners bracket champion wins', async () => {
+      const grandFinal = await playUntilGrandFinal();
+      const reset = round(GRAND_FINAL, 2)[0];
+
+      await service.advance(complete(grandFinal, 'p1'), { transaction });
+
+      expect(reset.status).toBe(Match.Status.CANCELED);
+      expect(tournament.status).toBe(TournamentStatus.COMPLETED);
+      expect(tournament.winnerId).toBe('p1');
+    });
+
+    it('should send both finalists to the bracket reset when the losers bracket champion wins', async () => {
+      const grandFinal = await playUntilGrandFinal();
+      const reset = round(GRAND_FINAL, 2)[0];
+
+      await service.advance(complete(grandFinal, 'p2'), { transaction });
+      expect(reset.participant1Id).toBe('p1');
+      expect(reset.participant2Id).toBe('p2');
+      expect(tournament.status).toBe(TournamentStatus.ONGOING);
+
+      await service.advance(complete(reset, 'p2'), { transaction });
+      expect(tournament.winnerId).toBe('p2');
+    });
+  });
+
+  describe('league formats', () => {
+    it('should generate the next Swiss round when the current one is finished', async () => {
+      const participants = seeded(4);
+      setup(BracketType.SWISS, BracketLogic.generateSwissRound(tournamentId, participants, [], { shuffle: false }), participants);
+      const [first, second] = round(null, 1);
+
+      await service.advance(complete(first, first.participant1Id), { transaction });
+      expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+      expect(mockMatchRepository.createBulk).not.toHaveBeenCalled();
+
+      const result = await service.advance(complete(second, second.participant1Id), { transaction });
+      expect(result.newMatches.length).toBe(2);
+      expect(result.newMatches.every((m) => m.roundNumber === 2)).toBe(true);
+      expect(mockMatchRepository.createBulk).toHaveBeenCalledWith(result.newMatches, { transaction });
+    });
+
+    it('should complete a round robin tournament with the standings leader', async () => {
+      const participants = seeded(3);
+      setup(BracketType.ROUND_ROBIN, BracketLogic.generateRoundRobin(tournamentId, participants, { shuffle: false }), participants);
+      const matches = [...matchStore.values()];
+      const winnerOf = (m) => ([m.participant1Id, m.participant2Id].includes('p2') ? 'p2' : m.participant1Id);
+
+      for (const match of matches) {
+        await service.advance(complete(match, winnerOf(match)), { transaction });
+      }
+
+      expect(mockTournamentRepository.updateById).toHaveBeenCalledTimes(1);
+      expect(tournament.status).toBe(TournamentStatus.COMPLETED);
+      expect(tournament.winnerId).toBe('p2');
+    });
+  });
+});
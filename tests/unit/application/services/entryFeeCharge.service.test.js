@@ -0,0 +1,52 @@
+const EntryFeeChargeService = require('../../../../src/application/services/entryFeeCharge.service');
+const { Transaction } = require('../../../../src/domain/wallet/transaction.entity');
+const { Wallet } = require('../../../../src/domain/wallet/wallet.entity');
+const { ForbiddenError, NotFoundError } = require('../../../../src/utils/errors');
+
+describe('EntryFeeChargeService', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  const registration = { id: 'registration-1', tournamentId: 'tournament-1', participantId: 'user-1', participantType: 'user' };
+  let wallet;
+  let mockWalletRepository;
+  let mockTransactionRepository;
+  let service;
+
+  beforeEach(() => {
+    wallet = new Wallet('wallet-1', 'user-1', 30, 'USD');
+    mockWalletRepository = {
+      findByUserId: jest.fn().mockImplementation(async () => wallet),
+      update: jest.fn().mockResolvedValue({}),
+    };
+    mockTransactionRepository = { create: jest.fn().mockImplementation(async (tx) => tx) };
+    service = new EntryFeeChargeService(mockWalletRepository, mockTransactionRepository);
+  });
+
+  it('should debit the locked wallet and record a completed TOURNAMENT_FEE', async () => {
+    const fee = await service.chargeFee({ userId: 'user-1', amount: 10, registration }, { transaction });
+
+    expect(mockWalletRepository.findByUserId).toHaveBeenCalledWith('user-1', { transaction, lock: 'UPDATE' });
+    expect(mockWalletRepository.update).toHaveBeenCalledWith('wallet-1', { balance: 20 }, { transaction });
+    expect(mockTransactionRepository.create).toHaveBeenCalledWith(expect.any(Transaction), { transaction });
+    expect(fee).toMatchObject({
+      walletId: 'wallet-1',
+      type: 'TOURNAMENT_FEE',
+      amount: 10,
+      status: Transaction.Status.COMPLETED,
+      idempotencyKey: 'fee:registration-1:user-1',
+      metadata: { tournamentId: 'tournament-1', registrationId: 'registration-1', participantId: 'user-1', participantType: 'user' },
+    });
+  });
+
+  it('should throw ForbiddenError without touching the wallet if the balance is too low', async () => {
+    await expect(service.chargeFee({ userId: 'user-1', amount: 50, registration }, { transaction }))
+      .rejects.toThrow(ForbiddenError);
+    expect(mockWalletRepository.update).not.toHaveBeenCalled();
+    expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should throw NotFoundError if the user has no wallet', async () => {
+    wallet = null;
+    await expect(service.chargeFee({ userId: 'user-1', amount: 10, registration }, { transaction }))
+      .rejects.toThrow(NotFoundError);
+  });
+});
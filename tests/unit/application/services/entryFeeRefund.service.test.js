@@ -0,0 +1,107 @@
+const EntryFeeRefundService = require('../../../../src/application/services/entryFeeRefund.service');
+const { Transaction } = require('../../../../src/domain/wallet/transaction.entity');
+const { Wallet } = require('../../../../src/domain/wallet/wallet.entity');
+const { NotFoundError } = require('../../../../src/utils/errors');
+
+describe('EntryFeeRefundService', () => {
+  const tournamentId = 'tournament-1';
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  let wallets;
+  let mockWalletRepository;
+  let mockTransactionRepository;
+  let service;
+
+  const fee = (id, walletId, amount) => new Transaction(
+    id, walletId, 'TOURNAMENT_FEE', amount, Transaction.Status.COMPLETED, null, 'Entry fee', { tournamentId, participantId: walletId }
+  );
+
+  beforeEach(() => {
+    wallets = {
+      'wallet-1': new Wallet('wallet-1', 'user-1', 5, 'USD'),
+      'wallet-2': new Wallet('wallet-2', 'user-2', 0, 'USD'),
+    };
+    mockWalletRepository = {
+      findById: jest.fn().mockImplementation(async (id) => wallets[id] || null),
+      update: jest.fn().mockImplementation(async (id) => wallets[id]),
+    };
+    mockTransactionRepository = {
+      findByIdempotencyKey: jest.fn().mockResolvedValue(null),
+      findByMetadata: jest.fn().mockResolvedValue([fee('fee-1', 'wallet-1', 10), fee('fee-2', 'wallet-2', 10)]),
+      create: jest.fn().mockImplementation(async (tx) => tx),
+    };
+    service = new EntryFeeRefundService(mockWalletRepository, mockTransactionRepository);
+  });
+
+  it('should credit the wallet and record a completed REFUND keyed by the fee', async () => {
+    const refund = await service.refundFee(fee('fee-1', 'wallet-1', 10), { reason: 'Canceled', transaction });
+
+    expect(mockWalletRepository.findById).toHaveBeenCalledWith('wallet-1', { transaction, lock: 'UPDATE' });
+    expect(mockWalletRepository.update).toHaveBeenCalledWith('wallet-1', { balance: 15 }, { transaction });
+    expect(refund).toMatchObject({
+      walletId: 'wallet-1',
+      type: 'REFUND',
+      amount: 10,
+      status: Transaction.Status.COMPLETED,
+      idempotencyKey: 'refund:fee-1',
+      metadata: { tournamentId, feeTransactionId: 'fee-1' },
+    });
+  });
+
+  it('should not refund a fee twice', async () => {
+    mockTransactionRepository.findByIdempotencyKey.mockResolvedValue({ id: 'refund-existing' });
+
+    const refund = await service.refundFee(fee('fee-1', 'wallet-1', 10), { reason: 'Canceled', transaction });
+
+    expect(refund).toBeNull();
+    expect(mockWalletRepository.update).not.toHaveBeenCalled();
+    expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should support partial refunds', async () => {
+    const refund = await service.refundFee(fee('fee-1', 'wallet-1', 10), { reason: 'Late withdrawal', amount: 5, transaction });
+    expect(refund.amount).toBe(5);
+    expect(mockWalletRepository.update).toHaveBeenCalledWith('wallet-1', { balance: 10 }, { transaction });
+  });
+
+  it('should throw NotFoundError if the wallet no longer exists', async () => {
+    await expect(service.refundFee(fee('fee-9', 'wallet-9', 10), { reason: 'Canceled', transaction }))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  it('should refund every completed entry fee of a tournament that was not refunded yet', async () => {
+    mockTransactionRepository.findByIdempotencyKey.mockImplementation(async (key) => (key === 'refund:fee-2' ? { id: 'r' } : null));
+
+    const refunds = await service.refundTournament(tournamentId, { reason: 'Canceled', transaction });
+
+    expect(mockTransactionRepository.findByMetadata).toHaveBeenCalledWith(
+      { type: 'TOURNAMENT_FEE', status: Transaction.Status.COMPLETED, metadata: { tournamentId } },
+      { transaction }
+    );
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0].walletId).toBe('wallet-1');
+  });
+
+  it('should refund the fees paid for a single registration', async () => {
+    mockTransactionRepository.findByMetadata.mockResolvedValue([fee('fee-1', 'wallet-1', 10)]);
+
+    const refunds = await service.refundRegistration('registration-1', { reason: 'Withdrew', transaction });
+
+    expect(mockTransactionRepository.findByMetadata).toHaveBeenCalledWith(
+      { type: 'TOURNAMENT_FEE', status: Transaction.Status.COMPLETED, metadata: { registrationId: 'registration-1' } },
+      { transaction }
+    );
+    expect(refunds.map((r) => r.idempotencyKey)).toEqual(['refund:fee-1']);
+  });
+
+  it('should refund a percentage of each fee of a registration, and nothing at 0%', async () => {
+    mockTransactionRepository.findByMetadata.mockResolvedValue([fee('fee-1', 'wallet-1', 10), fee('fee-2', 'wallet-2', 3.33)]);
+
+    const refunds = await service.refundRegistration('registration-1', { reason: 'No-show', percentage: 50, transaction });
+    expect(refunds.map((r) => r.amount)).toEqual([5, 1.67]);
+
+    mockTransactionRepository.create.mockClear();
+    await expect(service.refundRegistration('registration-1', { reason: 'No-show', percentage: 0, transaction }))
+      .resolves.toEqual([]);
+    expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+  });
+});
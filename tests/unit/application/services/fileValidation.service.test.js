@@ -0,0 +1,185 @@
+const { FileValidationService, REJECTION_REASONS } = require('../../../../src/application/services/fileValidation.service');
+const sharp = require('sharp');
+const ImageProcessingService = require('../../../../src/application/services/imageProcessing.service');
+const SharpImageProcessor = require('../../../../src/infrastructure/imaging/sharp.image.processor');
+const SignatureScanner = require('../../../../src/infrastructure/scanning/signature.scanner');
+const { FileUpload } = require('../../../../src/domain/upload/fileUpload.entity');
+const { Notification } = require('../../../../src/domain/notification/notification.entity');
+const { BadRequestError } = require('../../../../src/utils/errors');
+
+describe('FileValidationService', () => {
+  const fileKey = 'match-results/t-1/m-1/u-1/123-abc.png';
+  const createdAt = new Date('2025-07-28T10:00:00Z');
+  const uploadExpiresAt = new Date('2025-07-28T10:02:00Z');
+  const now = new Date('2025-07-28T10:05:00Z');
+  let objects;
+  let fileUpload;
+  let mockFileUploadRepository;
+  let mockStorageService;
+  let mockNotificationService;
+  let malwareScanner;
+  let service;
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } }).png().toBuffer();
+  });
+
+  const storeFile = (key, body, contentType = 'image/png') => objects.set(key, { body: Buffer.from(body), contentType });
+
+  beforeEach(() => {
+    objects = new Map();
+    fileUpload = new FileUpload({
+      id: 'upload-1', fileKey, uploaderId: 'u-1', purpose: FileUpload.Purpose.MATCH_RESULT, entityId: 'm-1', contentType: 'image/png', uploadExpiresAt, createdAt,
+    });
+    mockFileUploadRepository = {
+      create: jest.fn().mockImplementation(async (upload) => Object.assign(upload, { id: 'upload-1' })),
+      findByFileKey: jest.fn().mockImplementation(async () => fileUpload),
+      findPendingScan: jest.fn().mockImplementation(async () => [fileUpload]),
+      saveScanResult: jest.fn().mockResolvedValue(true),
+    };
+    mockStorageService = {
+      get: jest.fn().mockImplementation(async (key) => {
+        const object = objects.get(key);
+        return object ? { ...object, size: object.body.length } : null;
+      }),
+      put: jest.fn().mockImplementation(async (key, body, { contentType }) => { objects.set(key, { body, contentType }); }),
+      delete: jest.fn().mockImplementation(async (key) => { objects.delete(key); }),
+    };
+    mockNotificationService = { notify: jest.fn().mockResolvedValue({}) };
+    malwareScanner = new SignatureScanner();
+    service = new FileValidationService({
+      fileUploadRepository: mockFileUploadRepository,
+      storageService: mockStorageService,
+      malwareScanner,
+      imageProcessingService: new ImageProcessingService(new SharpImageProcessor(), mockStorageService),
+      notificationService: mockNotificationService,
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    });
+  });
+
+  describe('registerUpload', () => {
+    it('should record a pending upload', async () => {
+      const upload = await service.registerUpload({
+        fileKey, uploaderId: 'u-1', purpose: FileUpload.Purpose.MATCH_RESULT, entityId: 'm-1', contentType: 'image/png', uploadExpiresAt,
+      });
+
+      expect(mockFileUploadRepository.create).toHaveBeenCalledWith(expect.any(FileUpload));
+      expect(upload).toMatchObject({ fileKey, uploaderId: 'u-1', uploadExpiresAt, status: FileUpload.Status.PENDING_SCAN });
+    });
+  });
+
+  describe('scanPendingUploads', () => {
+    it('should mark clean images as CLEAN with their dimensions and variants', async () => {
+      storeFile(fileKey, png);
+
+      const summary = await service.scanPendingUploads({}, now);
+
+      expect(summary).toEqual({ clean: 1, infected: 0, rejected: 0, pending: 0 });
+      expect(mockFileUploadRepository.saveScanResult).toHaveBeenCalledWith(expect.objectContaining({
+        status: FileUpload.Status.CLEAN, contentType: 'image/png', width: 800, height: 600, scannedAt: now,
+      }));
+      expect(fileUpload.variants.thumbnail).toEqual({ key: 'match-results/t-1/m-1/u-1/123-abc_thumbnail.webp', width: 256, height: 192 });
+      expect(fileUpload.variants.medium).toMatchObject({ width: 800, height: 600 });
+      expect(objects.get(fileUpload.variants.small.key).contentType).toBe('image/webp');
+      expect(objects.has(fileKey)).toBe(true);
+      expect(mockNotificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('should detect the type from the contents rather than the upload header', async () => {
+      const jpeg = await sharp(png).jpeg().toBuffer();
+      storeFile(fileKey, jpeg, 'image/png');
+
+      await service.scanPendingUploads({}, now);
+
+      expect(fileUpload.status).toBe(FileUpload.Status.CLEAN);
+      expect(fileUpload.contentType).toBe('image/jpeg');
+      expect(objects.get(fileKey).contentType).toBe('image/jpeg');
+    });
+
+    it('should reject files that only claim to be images or cannot be decoded', async () => {
+      storeFile(fileKey, 'not an image', 'image/png');
+      await service.scanPendingUploads({}, now);
+      expect(fileUpload.rejectionReason).toBe(REJECTION_REASONS.CONTENT_TYPE);
+
+      fileUpload = new FileUpload({ ...fileUpload, status: FileUpload.Status.PENDING_SCAN, rejectionReason: null });
+      storeFile(fileKey, png.subarray(0, 64));
+      await service.scanPendingUploads({}, now);
+      expect(fileUpload.rejectionReason).toBe(REJECTION_REASONS.INVALID_IMAGE);
+    });
+
+    it('should quarantine infected files and notify the uploader', async () => {
+      storeFile(fileKey, `prefix ${SignatureScanner.EICAR} suffix`);
+
+      const summary = await service.scanPendingUploads({}, now);
+
+      expect(summary.infected).toBe(1);
+      expect(objects.has(fileKey)).toBe(false);
+      expect(objects.get(`quarantine/${fileKey}`).contentType).toBe('image/png');
+      expect(mockFileUploadRepository.saveScanResult).toHaveBeenCalledWith(expect.objectContaining({
+        status: FileUpload.Status.INFECTED, rejectionReason: 'Eicar-Test-Signature', quarantineKey: `quarantine/${fileKey}`,
+      }));
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('u-1', Notification.Type.FILE_REJECTED, {
+        payload: { fileKey, entityId: 'm-1', entityType: FileUpload.Purpose.MATCH_RESULT, reason: FileUpload.Status.INFECTED },
+      });
+    });
+
+    it('should reject clean files of a type the purpose does not allow', async () => {
+      storeFile(fileKey, await sharp(png).webp().toBuffer(), 'image/webp');
+
+      await service.scanPendingUploads({}, now);
+
+      expect(fileUpload.status).toBe(FileUpload.Status.REJECTED);
+      expect(fileUpload.rejectionReason).toBe(REJECTION_REASONS.CONTENT_TYPE);
+      expect(mockNotificationService.notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should scan a file as soon as it arrived, before its upload URL expired', async () => {
+      storeFile(fileKey, png);
+
+      const status = await service.scanUpload(fileUpload, new Date('2025-07-28T10:00:30Z'));
+
+      expect(status).toBe(FileUpload.Status.CLEAN);
+      expect(mockFileUploadRepository.saveScanResult).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for files that have not arrived yet, and reject them after the timeout', async () => {
+      await expect(service.scanPendingUploads({}, now)).resolves.toMatchObject({ pending: 1 });
+      expect(mockFileUploadRepository.saveScanResult).not.toHaveBeenCalled();
+
+      const later = new Date(createdAt.getTime() + 61 * 60 * 1000);
+      await expect(service.scanPendingUploads({}, later)).resolves.toMatchObject({ rejected: 1 });
+      expect(fileUpload.rejectionReason).toBe(REJECTION_REASONS.NOT_UPLOADED);
+      expect(mockNotificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('should keep files pending while the scanner fails', async () => {
+      storeFile(fileKey, png);
+      jest.spyOn(malwareScanner, 'scan').mockRejectedValue(new Error('clamd connection failed: ECONNREFUSED'));
+
+      await expect(service.scanPendingUploads({}, now)).resolves.toMatchObject({ pending: 1 });
+      expect(fileUpload.status).toBe(FileUpload.Status.PENDING_SCAN);
+      expect(objects.has(fileKey)).toBe(true);
+    });
+  });
+
+  describe('assertClean', () => {
+    it('should return clean uploads of the user', async () => {
+      fileUpload.markClean({ size: 9, contentType: 'image/png' }, now);
+      await expect(service.assertClean(fileKey, { uploaderId: 'u-1' })).resolves.toBe(fileUpload);
+    });
+
+    it('should reject unknown files and files of other users', async () => {
+      fileUpload.markClean({ size: 9, contentType: 'image/png' }, now);
+      await expect(service.assertClean(fileKey, { uploaderId: 'u-2' })).rejects.toThrow(BadRequestError);
+      mockFileUploadRepository.findByFileKey.mockResolvedValue(null);
+      await expect(service.assertClean(fileKey, { uploaderId: 'u-1' })).rejects.toThrow(BadRequestError);
+    });
+
+    it('should reject files that are pending, infected or rejected', async () => {
+      await expect(service.assertClean(fileKey, { uploaderId: 'u-1' })).rejects.toThrow('still being scanned');
+      fileUpload.markInfected('Eicar-Test-Signature', `quarantine/${fileKey}`, now);
+      await expect(service.assertClean(fileKey, { uploaderId: 'u-1' })).rejects.toThrow('failed the security scan');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const NotificationService = require('../../../../src/application/services/notification.service');
+const { Notification } = require('../../../../src/domain/notification/notification.entity');
+const { NotificationPreference } = require('../../../../src/domain/notification/notificationPreference.entity');
+const { Match } = require('../../../../src/domain/tournament/match.entity');
+
+describe('NotificationService', () => {
+  let mockNotificationRepository;
+  let mockTeamRepository;
+  let mockSocketEmitter;
+  let service;
+
+  beforeEach(() => {
+    mockNotificationRepository = {
+      create: jest.fn().mockImplementation(async (notification) => Object.assign(notification, { id: 'notification-1' })),
+      countUnread: jest.fn().mockResolvedValue(3),
+    };
+    mockTeamRepository = { findById: jest.fn().mockResolvedValue({ id: 'team-1', ownerId: 'owner-1' }) };
+    mockSocketEmitter = { toUser: jest.fn().mockReturnValue(true) };
+    service = new NotificationService(mockNotificationRepository, mockTeamRepository, mockSocketEmitter);
+  });
+
+  it('should store the notification and push it to all sockets of the user', async () => {
+    const result = await service.notify('user-1', Notification.Type.PRIZE_PAID, { payload: { amount: 50 }, link: '/wallet' });
+
+    expect(mockNotificationRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1', type: 'PRIZE_PAID', payload: { amount: 50 }, link: '/wallet', readAt: null,
+    }));
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-1', 'notification', result);
+    expect(result.id).toBe('notification-1');
+  });
+
+  it('should deliver only after the given transaction commits', async () => {
+    const transaction = { afterCommit: jest.fn() };
+
+    await service.notify('user-1', Notification.Type.PRIZE_PAID, {}, { transaction });
+    expect(mockNotificationRepository.create).not.toHaveBeenCalled();
+
+    await transaction.afterCommit.mock.calls[0][0]();
+    expect(mockNotificationRepository.create).toHaveBeenCalled();
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-1', 'notification', expect.any(Notification));
+  });
+
+  it('should not throw when storing fails', async () => {
+    mockNotificationRepository.create.mockRejectedValue(new Error('DB down'));
+
+    await expect(service.notify('user-1', Notification.Type.MATCH_READY)).resolves.toBeNull();
+    expect(mockSocketEmitter.toUser).not.toHaveBeenCalled();
+  });
+
+  it('should notify the owner of a team participant and skip the participant who acted', async () => {
+    const match = new Match('match-1', 'tournament-1', 1, 1, 'team-1', 'team-2', Match.Status.AWAITING_CONFIRMATION);
+    match.participant1Type = 'team';
+    match.participant2Type = 'team';
+
+    await service.notifyMatchParticipants(match, Notification.Type.MATCH_RESULT_SUBMITTED, {}, { exceptParticipantId: 'team-2' });
+
+    expect(mockTeamRepository.findById).toHaveBeenCalledTimes(1);
+    expect(mockTeamRepository.findById).toHaveBeenCalledWith('team-1');
+    expect(mockNotificationRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'owner-1',
+      payload: { tournamentId: 'tournament-1', matchId: 'match-1' },
+      link: '/tournaments/tournament-1/matches/match-1',
+    }));
+  });
+
+  it('should tell players only about scheduled matches with both participants', async () => {
+    const ready = new Match('match-1', 'tournament-1', 2, 1, 'p1', 'p2', Match.Status.SCHEDULED);
+    const waiting = new Match('match-2', 'tournament-1', 2, 2, 'p3', null, Match.Status.PENDING);
+
+    await service.notifyMatchesReady([ready, waiting, null]);
+
+    expect(mockNotificationRepository.create).toHaveBeenCalledTimes(2);
+    expect(mockNotificationRepository.create.mock.calls.map(([n]) => n.userId)).toEqual(['p1', 'p2']);
+    expect(mockNotificationRepository.create.mock.calls[0][0]).toMatchObject({
+      type: 'MATCH_READY', payload: { matchId: 'match-1', roundNumber: 2 },
+    });
+  });
+
+  it('should send the unread count to the user', async () => {
+    await expect(service.sendUnreadCount('user-1')).resolves.toBe(3);
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-1', 'unreadNotificationCount', { count: 3 });
+  });
+
+  describe('with notification preferences', () => {
+    let mockPreferenceRepository;
+    let mockUserRepository;
+    let mockEmailService;
+
+    beforeEach(() => {
+      mockNotificationRepository.updateEmailStatus = jest.fn().mockImplementation(async (ids) => ids);
+      mockPreferenceRepository = { findByUserIdAndCategory: jest.fn().mockResolvedValue(null) };
+      mockUserRepository = { findById: jest.fn().mockResolvedValue({ id: 'user-1', email: 'user@example.com', username: 'user1' }) };
+      mockEmailService = { sendNotificationEmail: jest.fn().mockResolvedValue() };
+      service = new NotificationService(
+        mockNotificationRepository, mockTeamRepository, mockSocketEmitter, mockPreferenceRepository, mockUserRepository, mockEmailService,
+      );
+    });
+
+    const preference = (category, inApp, email) => new NotificationPreference({ userId: 'user-1', category, inApp, email });
+
+    it('should store but not push a notification whose category is muted in-app', async () => {
+      mockPreferenceRepository.findByUserIdAndCategory.mockResolvedValue(preference(Notification.Category.UPLOADS, false, 'OFF'));
+
+      const result = await service.notify('user-1', Notification.Type.FILE_REJECTED);
+
+      expect(mockPreferenceRepository.findByUserIdAndCategory).toHaveBeenCalledWith('user-1', Notification.Category.UPLOADS);
+      expect(result.emailStatus).toBe(Notification.EmailStatus.NONE);
+      expect(mockSocketEmitter.toUser).not.toHaveBeenCalled();
+      expect(mockEmailService.sendNotificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should email right away by default for payments and record it was sent', async () => {
+      const result = await service.notify('user-1', Notification.Type.PRIZE_PAID, { payload: { amount: 50 } });
+
+      expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-1', 'notification', result);
+      expect(mockEmailService.sendNotificationEmail).toHaveBeenCalledWith('user@example.com', 'user1', result);
+      expect(mockNotificationRepository.updateEmailStatus).toHaveBeenCalledWith(['notification-1'], Notification.EmailStatus.SENT);
+      expect(result.emailStatus).toBe(Notification.EmailStatus.SENT);
+    });
+
+    it('should record a failed email without failing the notification', async () => {
+      mockEmailService.sendNotificationEmail.mockRejectedValue(new Error('SES down'));
+
+      const result = await service.notify('user-1', Notification.Type.TEAM_INVITATION);
+
+      expect(result).not.toBeNull();
+      expect(mockNotificationRepository.updateEmailStatus).toHaveBeenCalledWith(['notification-1'], Notification.EmailStatus.FAILED);
+    });
+
+    it('should leave digest notifications pending for the digest instead of emailing them', async () => {
+      mockPreferenceRepository.findByUserIdAndCategory.mockResolvedValue(preference(Notification.Category.DISPUTES, true, 'DIGEST'));
+
+      await service.notify('user-1', Notification.Type.MATCH_DISPUTED);
+
+      expect(mockNotificationRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        emailStatus: Notification.EmailStatus.DIGEST_PENDING,
+      }));
+      expect(mockEmailService.sendNotificationEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const PaymentGatewayService = require('../../../../src/application/services/paymentGateway.service');
+const { BadRequestError, NotFoundError } = require('../../../../src/utils/errors');
+
+describe('PaymentGatewayService', () => {
+  let zarinpal;
+  let webhook;
+  let service;
+
+  beforeEach(() => {
+    zarinpal = { name: 'zarinpal', currencies: ['IRR'], supportsPayouts: false, payout: jest.fn() };
+    webhook = { name: 'webhook', currencies: null, supportsPayouts: true, payout: jest.fn().mockResolvedValue({ payoutReference: 'po_1' }) };
+    service = new PaymentGatewayService([zarinpal, webhook], {
+      currencyGateways: { IRR: 'zarinpal', USD: 'webhook' },
+      regionGateways: { IR: 'zarinpal', TR: 'webhook' },
+      defaultGateway: 'webhook',
+    });
+  });
+
+  describe('get', () => {
+    it('should return gateways by name', () => {
+      expect(service.get('zarinpal')).toBe(zarinpal);
+      expect(() => service.get('paypal')).toThrow(NotFoundError);
+    });
+  });
+
+  describe('select', () => {
+    it('should prefer the gateway of the region, then of the currency, then the default', () => {
+      expect(service.select({ currency: 'IRR', region: 'ir' })).toBe(zarinpal);
+      expect(service.select({ currency: 'IRR', region: 'DE' })).toBe(zarinpal);
+      expect(service.select({ currency: 'TRY', region: 'TR' })).toBe(webhook);
+      expect(service.select({ currency: 'EUR' })).toBe(webhook);
+    });
+
+    it('should skip gateways that do not handle the currency', () => {
+      expect(service.select({ currency: 'USD', region: 'IR' })).toBe(webhook);
+    });
+
+    it('should throw BadRequestError if no gateway handles the currency', () => {
+      const zarinpalOnly = new PaymentGatewayService([zarinpal], { currencyGateways: { IRR: 'zarinpal' }, defaultGateway: 'webhook' });
+
+      expect(() => zarinpalOnly.select({ currency: 'USD', region: 'us' })).toThrow('No payment gateway is available for USD in US.');
+      expect(() => zarinpalOnly.select({ currency: 'USD' })).toThrow(BadRequestError);
+    });
+  });
+
+  describe('processPayout', () => {
+    it('should pay out through the selected gateway', async () => {
+      const params = { amount: 40, currency: 'USD', recipientDetails: { iban: 'DE89' }, transactionId: 'withdrawal-1' };
+
+      await expect(service.processPayout(params)).resolves.toEqual({ gatewayReferenceId: 'po_1', gateway: 'webhook' });
+      expect(webhook.payout).toHaveBeenCalledWith(params);
+      expect(zarinpal.payout).not.toHaveBeenCalled();
+    });
+
+    it('should skip gateways without payouts and return null if none is left', async () => {
+      const params = { amount: 400000, currency: 'IRR', recipientDetails: { iban: 'IR06' }, transactionId: 'withdrawal-1' };
+
+      await expect(service.processPayout(params)).resolves.toEqual({ gatewayReferenceId: 'po_1', gateway: 'webhook' });
+      expect(zarinpal.payout).not.toHaveBeenCalled();
+
+      const zarinpalOnly = new PaymentGatewayService([zarinpal], { currencyGateways: { IRR: 'zarinpal' } });
+      await expect(zarinpalOnly.processPayout(params)).resolves.toBeNull();
+      expect(zarinpal.payout).not.toHaveBeenCalled();
+    });
+
+    it('should pass on gateway failures', async () => {
+      webhook.payout.mockRejectedValue(new Error('Payout failed: Recipient account closed.'));
+
+      await expect(service.processPayout({ amount: 40, currency: 'USD', recipientDetails: {}, transactionId: 'withdrawal-1' }))
+        .rejects.toThrow('Recipient account closed');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const PrizeDistributionService = require('../../../../src/application/services/prizeDistribution.service');
+const { Tournament } = require('../../../../src/domain/tournament/tournament.entity');
+const { Match } = require('../../../../src/domain/tournament/match.entity');
+const { Transaction } = require('../../../../src/domain/wallet/transaction.entity');
+const { Wallet } = require('../../../../src/domain/wallet/wallet.entity');
+const { NotFoundError } = require('../../../../src/utils/errors');
+
+jest.mock('../../../../config/config', () => ({
+  appConfig: { prizes: { approvalThreshold: 5000 } },
+}));
+jest.mock('../../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('PrizeDistributionService', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  const payoutTable = { mode: 'PERCENTAGE', places: [{ from: 1, to: 1, value: 70 }, { from: 2, to: 2, value: 30 }] };
+  let tournament;
+  let wallets;
+  let mockMatchRepository;
+  let mockTournamentRepository;
+  let mockTeamMemberRepository;
+  let mockWalletRepository;
+  let mockTransactionRepository;
+  let service;
+
+  const final = () => {
+    const match = new Match('final', 'tournament-1', 1, 1, 'user-1', 'team-1', Match.Status.COMPLETED);
+    match.winnerId = 'user-1';
+    return match;
+  };
+
+  beforeEach(() => {
+    tournament = {
+      id: 'tournament-1',
+      name: 'Spring Cup',
+      status: Tournament.Status.COMPLETED,
+      bracketType: Tournament.BracketType.SINGLE_ELIMINATION,
+      prizeType: Tournament.PrizeType.CASH,
+      prizePool: 1000,
+      winnerId: 'user-1',
+      settings: { payoutTable },
+    };
+    wallets = {
+      'user-1': new Wallet('wallet-1', 'user-1', 0, 'USD'),
+      'user-2': new Wallet('wallet-2', 'user-2', 0, 'USD'),
+      'user-3': new Wallet('wallet-3', 'user-3', 0, 'USD'),
+    };
+    mockMatchRepository = { findByTournamentId: jest.fn().mockResolvedValue([final()]) };
+    mockTournamentRepository = {
+      findParticipantsByTournamentId: jest.fn().mockResolvedValue([
+        { participantId: 'user-1', participantType: 'user' },
+        { participantId: 'team-1', participantType: 'team' },
+      ]),
+    };
+    mockTeamMemberRepository = {
+      findAllByTeamId: jest.fn().mockResolvedValue([{ userId: 'user-2' }, { userId: 'user-3' }]),
+    };
+    mockWalletRepository = {
+      findByUserId: jest.fn().mockImplementation(async (userId) => wallets[userId] || null),
+      findById: jest.fn().mockImplementation(async (id) => Object.values(wallets).find((w) => w.id === id) || null),
+      update: jest.fn().mockResolvedValue({}),
+      create: jest.fn().mockImplementation(async ({ id, userId, balance }) => new Wallet(id, userId, balance, 'USD')),
+    };
+    mockTransactionRepository = {
+      findByMetadata: jest.fn().mockResolvedValue([]),
+      create: jest.fn().mockImplementation(async (tx) => tx),
+      update: jest.fn().mockImplementation(async (id, data) => ({ id, ...data })),
+    };
+    service = new PrizeDistributionService(
+      mockMatchRepository, mockTournamentRepository, mockTeamMemberRepository, mockWalletRepository, mockTransactionRepository
+    );
+  });
+
+  describe('distribute', () => {
+    it('should credit the winners and split team prizes across the active roster', async () => {
+      const payouts = await service.distribute(tournament, { transaction });
+
+      expect(mockTeamMemberRepository.findAllByTeamId).toHaveBeenCalledWith('team-1', expect.objectContaining({ status: 'active', transaction }));
+      expect(mockWalletRepository.findByUserId).toHaveBeenCalledWith('user-1', { transaction, lock: 'UPDATE' });
+      expect(payouts.map((p) => [p.walletId, p.amount, p.status])).toEqual([
+        ['wallet-1', 700, Transaction.Status.COMPLETED],
+        ['wallet-2', 150, Transaction.Status.COMPLETED],
+        ['wallet-3', 150, Transaction.Status.COMPLETED],
+      ]);
+      expect(payouts[0]).toMatchObject({
+        type: 'PRIZE_PAYOUT',
+        idempotencyKey: 'prize:tournament-1:user-1',
+        metadata: { tournamentId: 'tournament-1', place: 1, participantId: 'user-1' },
+      });
+      expect(wallets['user-1'].balance).toBe(700);
+      expect(mockWalletRepository.update).toHaveBeenCalledWith('wallet-2', { balance: 150 }, { transaction });
+    });
+
+    it('should pay a team prize to the roster the team registered with', async () => {
+      mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue([
+        { participantId: 'user-1', participantType: 'user' },
+        { participantId: 'team-1', participantType: 'team', roster: ['user-3'] },
+      ]);
+
+      const payouts = await service.distribute(tournament, { transaction });
+
+      expect(mockTeamMemberRepository.findAllByTeamId).not.toHaveBeenCalled();
+      expect(payouts.map((p) => [p.walletId, p.amount])).toEqual([['wallet-1', 700], ['wallet-3', 300]]);
+    });
+
+    it('should hold payouts of large pools for approval without crediting wallets', async () => {
+      tournament.prizePool = 5000;
+
+      const payouts = await service.distribute(tournament, { transaction });
+
+      expect(payouts.every((p) => p.status === Transaction.Status.REQUIRES_APPROVAL)).toBe(true);
+      expect(payouts[0].amount).toBe(3500);
+      expect(mockWalletRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should pay the whole pool to the winner without a payout table', async () => {
+      tournament.settings = {};
+
+      const payouts = await service.distribute(tournament, { transaction });
+
+      expect(payouts).toHaveLength(1);
+      expect(payouts[0]).toMatchObject({ walletId: 'wallet-1', amount: 1000 });
+    });
+
+    it('should do nothing if prizes were already distributed or there is no cash prize', async () => {
+      mockTransactionRepository.findByMetadata.mockResolvedValue([{ id: 'payout-1' }]);
+      await expect(service.distribute(tournament, { transaction })).resolves.toEqual([]);
+
+      tournament.prizeType = Tournament.PrizeType.PHYSICAL_ITEM;
+      await expect(service.distribute(tournament, { transaction })).resolves.toEqual([]);
+      expect(mockTransactionRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should hold the prize of a winner without a wallet for approval on a new wallet', async () => {
+      delete wallets['user-1'];
+
+      const payouts = await service.distribute(tournament, { transaction });
+
+      expect(mockWalletRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'user-1', balance: 0 }), { transaction }
+      );
+      const created = await mockWalletRepository.create.mock.results[0].value;
+      expect(payouts.map((p) => [p.walletId, p.amount, p.status])).toEqual([
+        [created.id, 700, Transaction.Status.REQUIRES_APPROVAL],
+        ['wallet-2', 150, Transaction.Status.COMPLETED],
+        ['wallet-3', 150, Transaction.Status.COMPLETED],
+      ]);
+      expect(mockWalletRepository.update).not.toHaveBeenCalledWith(created.id, expect.anything(), expect.anything());
+    });
+  });
+
+  describe('approve', () => {
+    it('should credit and complete the payouts awaiting approval', async () => {
+      mockTransactionRepository.findByMetadata.mockResolvedValue([
+        new Transaction('payout-1', 'wallet-1', 'PRIZE_PAYOUT', 3500, Transaction.Status.REQUIRES_APPROVAL, 'prize:tournament-1:user-1', null, { tournamentId: 'tournament-1', place: 1 }),
+      ]);
+
+      const approved = await service.approve('tournament-1', 'admin-1', { transaction });
+
+      expect(mockTransactionRepository.findByMetadata).toHaveBeenCalledWith(
+        { type: 'PRIZE_PAYOUT', status: Transaction.Status.REQUIRES_APPROVAL, metadata: { tournamentId: 'tournament-1' } },
+        { transaction }
+      );
+      expect(mockWalletRepository.findById).toHaveBeenCalledWith('wallet-1', { transaction, lock: 'UPDATE' });
+      expect(mockWalletRepository.update).toHaveBeenCalledWith('wallet-1', { balance: 3500 }, { transaction });
+      expect(approved[0]).toMatchObject({
+        status: Transaction.Status.COMPLETED,
+        metadata: { tournamentId: 'tournament-1', place: 1, approvedBy: 'admin-1' },
+      });
+    });
+
+    it('should throw NotFoundError if the wallet of a held payout no longer exists', async () => {
+      mockTransactionRepository.findByMetadata.mockResolvedValue([
+        new Transaction('payout-1', 'wallet-9', 'PRIZE_PAYOUT', 3500, Transaction.Status.REQUIRES_APPROVAL, 'prize:tournament-1:user-9', null, { tournamentId: 'tournament-1', place: 1 }),
+      ]);
+
+      await expect(service.approve('tournament-1', 'admin-1', { transaction })).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const SeedingService = require('../../../../src/application/services/seeding.service');
+const { Tournament, SeedingStrategy } = require('../../../../src/domain/tournament/tournament.entity');
+const { BadRequestError } = require('../../../../src/utils/errors');
+
+describe('SeedingService', () => {
+  let mockUserRepository;
+  let mockTeamMemberRepository;
+  let mockLeaderboardRepository;
+  let mockGameRepository;
+  let seedingService;
+
+  const participant = (participantId, participantType = 'user', seed = null) => ({ participantId, participantType, seed });
+  const tournamentWith = (seeding) => ({ gameId: 'game-uuid', settings: seeding ? { seeding } : {} });
+
+  beforeEach(() => {
+    const points = { u1: 100, u2: 300, u3: 200, m1: 500, m2: 100 };
+    mockUserRepository = {
+      findById: jest.fn(async (id) => (id in points ? { id, points: points[id] } : null)),
+    };
+    mockTeamMemberRepository = {
+      findAllByTeamId: jest.fn(async () => [{ userId: 'm1' }, { userId: 'm2' }]),
+    };
+    mockLeaderboardRepository = {
+      getUserRank: jest.fn(async (userId) => {
+        const scores = { u1: 1500, u3: 1800 };
+        return userId in scores
+          ? { rank: 1, score: scores[userId], userExists: true, surrounding: [] }
+          : { rank: -1, score: 0, userExists: false, surrounding: [] };
+      }),
+    };
+    mockGameRepository = { findById: jest.fn().mockResolvedValue({ id: 'game-uuid', name: 'Chess' }) };
+    seedingService = new SeedingService(mockUserRepository, mockTeamMemberRepository, mockLeaderboardRepository, mockGameRepository);
+  });
+
+  it('should keep stored seeds when no strategy is configured', async () => {
+    const result = await seedingService.seedParticipants(tournamentWith(null), [participant('u1', 'user', 2), participant('u2', 'user', 1)]);
+    expect(result).toEqual([{ id: 'u1', seed: 2 }, { id: 'u2', seed: 1 }]);
+  });
+
+  it('should drop seeds for RANDOM so the bracket is shuffled', async () => {
+    const result = await seedingService.seedParticipants(
+      tournamentWith({ strategy: SeedingStrategy.RANDOM }),
+      [participant('u1', 'user', 1), participant('u2', 'user', 2)]
+    );
+    expect(result).toEqual([{ id: 'u1' }, { id: 'u2' }]);
+  });
+
+  it('should seed by user points for POINTS', async () => {
+    const result = await seedingService.seedParticipants(
+      tournamentWith({ strategy: SeedingStrategy.POINTS }),
+      [participant('u1'), participant('u2'), participant('u3')]
+    );
+    expect(result).toEqual([{ id: 'u2', seed: 1 }, { id: 'u3', seed: 2 }, { id: 'u1', seed: 3 }]);
+  });
+
+  it('should rate teams by the average points of their active members', async () => {
+    const result = await seedingService.seedParticipants(
+      tournamentWith({ strategy: SeedingStrategy.POINTS }),
+      [participant('u2'), participant('team-1', 'team')]
+    );
+    expect(mockTeamMemberRepository.findAllByTeamId).toHaveBeenCalledWith('team-1', expect.objectContaining({ status: 'active' }));
+    expect(result.map((p) => p.id)).toEqual(['u2', 'team-1']); // 300 vs (500 + 100) / 2
+  });
+
+  it('should seed by leaderboard score of the tournament game and put unranked players last', async () => {
+    const result = await seedingService.seedParticipants(
+      tournamentWith({ strategy: SeedingStrategy.LEADERBOARD, metric: 'wins' }),
+      [participant('u2'), participant('u1'), participant('u3')]
+    );
+    expect(mockLeaderboardRepository.getUserRank).toHaveBeenCalledWith('u1', 'Chess', 'wins', 'all_time', 0);
+    expect(result).toEqual([{ id: 'u3', seed: 1 }, { id: 'u1', seed: 2 }, { id: 'u2', seed: 3 }]);
+  });
+
+  it('should reject leaderboard seeding when the tournament game no longer exists', async () => {
+    mockGameRepository.findById.mockResolvedValue(null);
+
+    await expect(seedingService.seedParticipants(
+      tournamentWith({ strategy: SeedingStrategy.LEADERBOARD }),
+      [participant('u1'), participant('u2')]
+    )).rejects.toThrow(BadRequestError);
+    expect(mockLeaderboardRepository.getUserRank).not.toHaveBeenCalled();
+  });
+
+  it('should follow the manual order and append unlisted participants in registration order', async () => {
+    const result = await seedingService.seedParticipants(
+      tournamentWith({ strategy: SeedingStrategy.MANUAL, manualOrder: ['u3', 'u1'] }),
+      [participant('u1'), participant('u2'), participant('u3'), participant('u4')]
+    );
+    expect(result.map((p) => p.id)).toEqual(['u3', 'u1', 'u2', 'u4']);
+    expect(result.map((p) => p.seed)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should expose the strategies on the Tournament entity', () => {
+    expect(Tournament.validSeedingStrategies).toEqual(['RANDOM', 'POINTS', 'LEADERBOARD', 'MANUAL']);
+  });
+});
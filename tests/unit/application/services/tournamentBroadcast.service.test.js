@@ -0,0 +1,67 @@
+const TournamentBroadcastService = require('../../../../src/application/services/tournamentBroadcast.service');
+const { Match } = require('../../../../src/domain/tournament/match.entity');
+
+describe('TournamentBroadcastService', () => {
+  const tournamentId = 'tournament-1';
+  let mockSocketEmitter;
+  let service;
+
+  beforeEach(() => {
+    mockSocketEmitter = {
+      tournamentRoom: jest.fn((id) => `tournament:${id}`),
+      toRoom: jest.fn().mockReturnValue(true),
+    };
+    service = new TournamentBroadcastService(mockSocketEmitter);
+  });
+
+  it('should send a changed match to the tournament room with its place in the bracket', () => {
+    const match = new Match('match-1', tournamentId, 2, 1, 'p1', 'p2', Match.Status.AWAITING_CONFIRMATION);
+
+    service.matchUpdated(match);
+
+    expect(mockSocketEmitter.toRoom).toHaveBeenCalledWith('tournament:tournament-1', 'matchUpdate', {
+      tournamentId,
+      match: expect.objectContaining({
+        id: 'match-1', section: 'MAIN', roundNumber: 2, status: Match.Status.AWAITING_CONFIRMATION,
+      }),
+    });
+  });
+
+  it('should send the matches an advancement filled, and nothing when none changed', () => {
+    const advancedTo = new Match('match-3', tournamentId, 2, 1, 'p1', 'p3', Match.Status.SCHEDULED);
+
+    service.bracketAdvanced(tournamentId, { advancedTo, droppedTo: null, newMatches: [] });
+    expect(mockSocketEmitter.toRoom).toHaveBeenCalledWith('tournament:tournament-1', 'bracketUpdate', {
+      tournamentId,
+      matches: [expect.objectContaining({ id: 'match-3', participant1Id: 'p1', participant2Id: 'p3' })],
+    });
+
+    mockSocketEmitter.toRoom.mockClear();
+    service.bracketAdvanced(tournamentId, { advancedTo: null, droppedTo: null, newMatches: [] });
+    expect(mockSocketEmitter.toRoom).not.toHaveBeenCalled();
+  });
+
+  it('should send the whole bracket when it is generated', () => {
+    const tournament = { id: tournamentId, bracketType: 'SINGLE_ELIMINATION', status: 'ONGOING' };
+    const matches = [new Match('match-1', tournamentId, 1, 1, 'p1', 'p2', Match.Status.SCHEDULED)];
+
+    service.bracketGenerated(tournament, matches);
+
+    const [, event, payload] = mockSocketEmitter.toRoom.mock.calls[0];
+    expect(event).toBe('tournamentState');
+    expect(payload).toMatchObject({ tournamentId, bracketType: 'SINGLE_ELIMINATION', status: 'ONGOING' });
+    expect(payload.sections[0].rounds[0].matches[0].id).toBe('match-1');
+  });
+
+  it('should send status changes with the winner of a completed tournament', () => {
+    service.statusChanged({ id: tournamentId, status: 'COMPLETED', winnerId: 'p1' });
+    expect(mockSocketEmitter.toRoom).toHaveBeenCalledWith('tournament:tournament-1', 'tournamentStatusUpdate', {
+      tournamentId, status: 'COMPLETED', winnerId: 'p1',
+    });
+  });
+
+  it('should not throw when emitting fails', () => {
+    mockSocketEmitter.toRoom.mockImplementation(() => { throw new Error('Redis down'); });
+    expect(() => service.statusChanged({ id: tournamentId, status: 'ONGOING' })).not.toThrow();
+  });
+});
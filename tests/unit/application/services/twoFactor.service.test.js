@@ -0,0 +1,124 @@
+const TwoFactorService = require('../../../../src/application/services/twoFactor.service');
+const { TwoFactorCredential } = require('../../../../src/domain/user/twoFactorCredential.entity');
+const { ForbiddenError, UnauthorizedError } = require('../../../../src/utils/errors');
+const { sequelize } = require('../../../../src/infrastructure/database/postgres.connector');
+const { appConfig } = require('../../../../config/config');
+const totp = require('../../../../src/utils/totp');
+
+jest.mock('../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('TwoFactorService', () => {
+  // RFC 6238 test secret "12345678901234567890"
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const now = new Date(1111111109 * 1000);
+  let credential;
+  let mockCredentialRepository;
+  let mockUserRepository;
+  let service;
+  let transaction;
+  let originalRequiredRoles;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    sequelize.transaction.mockResolvedValue(transaction);
+    credential = new TwoFactorCredential({
+      userId: 'user-1',
+      secret,
+      enabledAt: new Date('2025-01-01T00:00:00Z'),
+      recoveryCodeHashes: [TwoFactorCredential.hashRecoveryCode('aaaa-bbbb-cccc')],
+    });
+    mockCredentialRepository = {
+      findByUserId: jest.fn().mockImplementation(async () => credential),
+      save: jest.fn().mockImplementation(async (c) => c),
+    };
+    mockUserRepository = { findById: jest.fn().mockResolvedValue({ id: 'user-1', roles: ['PLAYER'] }) };
+    service = new TwoFactorService(mockCredentialRepository, mockUserRepository);
+    originalRequiredRoles = appConfig.twoFactor.requiredRoles;
+  });
+
+  afterEach(() => {
+    appConfig.twoFactor.requiredRoles = originalRequiredRoles;
+  });
+
+  it('should generate the RFC 6238 codes', () => {
+    expect(totp.generateCode(secret, 1)).toBe('287082');
+    expect(totp.generateCode(secret, totp.timeStep(now))).toBe('081804');
+  });
+
+  it('should accept a current code once', async () => {
+    await expect(service.verifyCode('user-1', '081804', now)).resolves.toBe(true);
+    expect(mockCredentialRepository.findByUserId).toHaveBeenCalledWith('user-1', { transaction, lock: 'UPDATE' });
+    expect(mockCredentialRepository.save).toHaveBeenCalledWith(expect.objectContaining({ lastUsedStep: totp.timeStep(now) }), { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+
+    await expect(service.verifyCode('user-1', '081804', now)).resolves.toBe(false);
+  });
+
+  it('should use up a recovery code', async () => {
+    await expect(service.verifyCode('user-1', 'AAAA-BBBB-CCCC', now)).resolves.toBe(true);
+    expect(credential.recoveryCodeHashes).toHaveLength(0);
+
+    await expect(service.verifyCode('user-1', 'aaaa-bbbb-cccc', now)).resolves.toBe(false);
+  });
+
+  it('should not accept codes while enrollment is pending', async () => {
+    credential.enabledAt = null;
+    await expect(service.verifyCode('user-1', '081804', now)).resolves.toBe(false);
+    expect(mockCredentialRepository.save).not.toHaveBeenCalled();
+  });
+
+  it('should roll back when the used code cannot be saved', async () => {
+    mockCredentialRepository.save.mockRejectedValue(new Error('connection lost'));
+
+    await expect(service.verifyCode('user-1', '081804', now)).rejects.toThrow('connection lost');
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  describe('login challenges', () => {
+    it('should accept a code for the open challenge once and close it', async () => {
+      const challengeId = await service.startLoginChallenge('user-1');
+
+      await expect(service.verifyLoginCode('user-1', challengeId, '081804', now)).resolves.toBe(true);
+      expect(credential.challengeId).toBeNull();
+      await expect(service.verifyLoginCode('user-1', challengeId, '081804', now)).rejects.toThrow(UnauthorizedError);
+    });
+
+    it('should only accept the latest challenge', async () => {
+      const firstChallengeId = await service.startLoginChallenge('user-1');
+      await service.startLoginChallenge('user-1');
+
+      await expect(service.verifyLoginCode('user-1', firstChallengeId, '081804', now)).rejects.toThrow(UnauthorizedError);
+      expect(credential.lastUsedStep).toBeNull();
+    });
+
+    it('should drop the challenge after five wrong codes', async () => {
+      const challengeId = await service.startLoginChallenge('user-1');
+
+      for (let attempt = 0; attempt < TwoFactorCredential.MAX_CHALLENGE_FAILURES; attempt += 1) {
+        await expect(service.verifyLoginCode('user-1', challengeId, '000000', now)).resolves.toBe(false);
+      }
+      expect(credential.challengeId).toBeNull();
+      await expect(service.verifyLoginCode('user-1', challengeId, '081804', now)).rejects.toThrow(UnauthorizedError);
+      expect(credential.lastUsedStep).toBeNull();
+    });
+  });
+
+  it('should require a code for sensitive actions of users with two-factor authentication', async () => {
+    await expect(service.assertVerified('user-1', undefined)).rejects.toThrow(ForbiddenError);
+    await expect(service.assertVerified('user-1', '000000')).rejects.toThrow(ForbiddenError);
+
+    const code = totp.generateCode(secret, totp.timeStep());
+    await expect(service.assertVerified('user-1', code)).resolves.toBeUndefined();
+  });
+
+  it('should let users without two-factor authentication through unless their role requires it', async () => {
+    mockCredentialRepository.findByUserId.mockResolvedValue(null);
+    await expect(service.assertVerified('user-1', undefined)).resolves.toBeUndefined();
+
+    appConfig.twoFactor.requiredRoles = ['ADMIN'];
+    mockUserRepository.findById.mockResolvedValue({ id: 'user-1', roles: ['ADMIN'] });
+    await expect(service.assertVerified('user-1', undefined)).rejects.toThrow(ForbiddenError);
+  });
+});
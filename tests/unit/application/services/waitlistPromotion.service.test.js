@@ -0,0 +1,107 @@
+const WaitlistPromotionService = require('../../../../src/application/services/waitlistPromotion.service');
+const { TournamentWaitlistEntry } = require('../../../../src/domain/tournament/tournamentWaitlistEntry.entity');
+const { ForbiddenError } = require('../../../../src/utils/errors');
+
+describe('WaitlistPromotionService', () => {
+  const tournament = { id: 'tournament-1', name: 'Spring Cup', entryFee: 10 };
+  let transaction;
+  let afterCommitCallbacks;
+  let queue;
+  let mockWaitlistRepository;
+  let mockTournamentParticipantRepository;
+  let mockTournamentRepository;
+  let mockEntryFeeChargeService;
+  let mockSocketEmitter;
+  let service;
+
+  const waiting = (userId) => new TournamentWaitlistEntry({ id: `entry-${userId}`, tournamentId: tournament.id, userId });
+
+  beforeEach(() => {
+    afterCommitCallbacks = [];
+    transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn((callback) => afterCommitCallbacks.push(callback)) };
+    queue = [waiting('user-1'), waiting('user-2')];
+    mockWaitlistRepository = {
+      findNextWaiting: jest.fn().mockImplementation(async () => queue.find((entry) => entry.isWaiting()) || null),
+      updateStatus: jest.fn().mockResolvedValue(true),
+    };
+    mockTournamentParticipantRepository = {
+      findByUserIdAndTournamentId: jest.fn().mockResolvedValue(null),
+      create: jest.fn().mockImplementation(async (data) => ({ id: `registration-${data.participantId}`, ...data })),
+      delete: jest.fn().mockResolvedValue(true),
+    };
+    mockTournamentRepository = { incrementParticipantCount: jest.fn().mockResolvedValue(true) };
+    mockEntryFeeChargeService = { chargeFee: jest.fn().mockResolvedValue({ id: 'fee-tx' }) };
+    mockSocketEmitter = { toUser: jest.fn().mockReturnValue(true) };
+    service = new WaitlistPromotionService(
+      mockWaitlistRepository, mockTournamentParticipantRepository, mockTournamentRepository, mockEntryFeeChargeService, mockSocketEmitter
+    );
+  });
+
+  it('should register and charge the first user in line and notify them after the commit', async () => {
+    const { promoted, skipped } = await service.promoteNext(tournament, { transaction });
+
+    expect(mockWaitlistRepository.findNextWaiting).toHaveBeenCalledWith(tournament.id, { transaction, lock: 'UPDATE' });
+    expect(mockTournamentParticipantRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ tournamentId: tournament.id, participantId: 'user-1', participantType: 'user' }),
+      { transaction }
+    );
+    expect(mockEntryFeeChargeService.chargeFee).toHaveBeenCalledWith(
+      { userId: 'user-1', amount: 10, registration: promoted.registration }, { transaction }
+    );
+    expect(mockWaitlistRepository.updateStatus).toHaveBeenCalledWith('entry-user-1', TournamentWaitlistEntry.Status.PROMOTED, { transaction });
+    expect(mockTournamentRepository.incrementParticipantCount).toHaveBeenCalledWith(tournament.id, { transaction });
+    expect(skipped).toEqual([]);
+
+    expect(mockSocketEmitter.toUser).not.toHaveBeenCalled();
+    afterCommitCallbacks.forEach((callback) => callback());
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-1', 'waitlistPromoted', expect.objectContaining({ tournamentId: tournament.id }));
+  });
+
+  it('should skip a user who cannot pay and promote the next one', async () => {
+    mockEntryFeeChargeService.chargeFee
+      .mockRejectedValueOnce(new ForbiddenError('Insufficient funds to pay the entry fee.'))
+      .mockResolvedValueOnce({ id: 'fee-tx' });
+
+    const { promoted, skipped } = await service.promoteNext(tournament, { transaction });
+
+    expect(mockTournamentParticipantRepository.delete).toHaveBeenCalledWith('registration-user-1', { transaction });
+    expect(mockWaitlistRepository.updateStatus).toHaveBeenCalledWith('entry-user-1', TournamentWaitlistEntry.Status.SKIPPED, { transaction });
+    expect(skipped.map((entry) => entry.userId)).toEqual(['user-1']);
+    expect(promoted.entry.userId).toBe('user-2');
+    expect(mockTournamentRepository.incrementParticipantCount).toHaveBeenCalledTimes(1);
+
+    afterCommitCallbacks.forEach((callback) => callback());
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-1', 'waitlistPromotionFailed', expect.any(Object));
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-2', 'waitlistPromoted', expect.any(Object));
+  });
+
+  it('should leave the spot open when nobody in line can pay', async () => {
+    mockEntryFeeChargeService.chargeFee.mockRejectedValue(new ForbiddenError('Insufficient funds to pay the entry fee.'));
+
+    const { promoted, skipped } = await service.promoteNext(tournament, { transaction });
+
+    expect(promoted).toBeNull();
+    expect(skipped).toHaveLength(2);
+    expect(mockTournamentRepository.incrementParticipantCount).not.toHaveBeenCalled();
+  });
+
+  it('should drop the stale entry of a user who is already registered', async () => {
+    mockTournamentParticipantRepository.findByUserIdAndTournamentId
+      .mockImplementation(async (userId) => (userId === 'user-1' ? { id: 'registration-x' } : null));
+
+    const { promoted } = await service.promoteNext(tournament, { transaction });
+
+    expect(mockWaitlistRepository.updateStatus).toHaveBeenCalledWith('entry-user-1', TournamentWaitlistEntry.Status.LEFT, { transaction });
+    expect(promoted.entry.userId).toBe('user-2');
+  });
+
+  it('should not charge anything for a free tournament', async () => {
+    await service.promoteNext({ ...tournament, entryFee: 0 }, { transaction });
+    expect(mockEntryFeeChargeService.chargeFee).not.toHaveBeenCalled();
+  });
+
+  it('should rethrow unexpected charge errors so the caller rolls back', async () => {
+    mockEntryFeeChargeService.chargeFee.mockRejectedValue(new Error('Connection lost'));
+    await expect(service.promoteNext(tournament, { transaction })).rejects.toThrow('Connection lost');
+  });
+});
@@ -0,0 +1,71 @@
+const ApprovePrizePayoutsUseCase = require('../../../../../src/application/use-cases/admin/approve-prize-payouts.usecase');
+const { Tournament } = require('../../../../../src/domain/tournament/tournament.entity');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('ApprovePrizePayoutsUseCase', () => {
+  const tournamentId = 'tournament-1';
+  let transaction;
+  let tournament;
+  let mockTournamentRepository;
+  let mockPrizeDistributionService;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = { id: tournamentId, status: Tournament.Status.COMPLETED };
+    mockTournamentRepository = { findById: jest.fn().mockImplementation(async () => tournament) };
+    mockPrizeDistributionService = { approve: jest.fn().mockResolvedValue([{ id: 'payout-1' }, { id: 'payout-2' }]) };
+    useCase = new ApprovePrizePayoutsUseCase(mockTournamentRepository, mockPrizeDistributionService);
+  });
+
+  it('should approve all pending payouts in one transaction', async () => {
+    const result = await useCase.execute({ tournamentId, adminUserId: 'admin-1' });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockPrizeDistributionService.approve).toHaveBeenCalledWith(tournamentId, 'admin-1', { transaction });
+    expect(result.payouts).toHaveLength(2);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if nothing awaits approval', async () => {
+    mockPrizeDistributionService.approve.mockResolvedValue([]);
+    await expect(useCase.execute({ tournamentId, adminUserId: 'admin-1' })).rejects.toThrow(BadRequestError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if the tournament is not completed', async () => {
+    tournament.status = Tournament.Status.ONGOING;
+    await expect(useCase.execute({ tournamentId, adminUserId: 'admin-1' })).rejects.toThrow(BadRequestError);
+    expect(mockPrizeDistributionService.approve).not.toHaveBeenCalled();
+  });
+
+  it('should throw NotFoundError if the tournament does not exist', async () => {
+    mockTournamentRepository.findById.mockResolvedValue(null);
+    await expect(useCase.execute({ tournamentId, adminUserId: 'admin-1' })).rejects.toThrow(NotFoundError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should roll back if crediting a wallet fails', async () => {
+    mockPrizeDistributionService.approve.mockRejectedValue(new NotFoundError('Wallet wallet-1 not found.'));
+    await expect(useCase.execute({ tournamentId, adminUserId: 'admin-1' })).rejects.toThrow(NotFoundError);
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+
+  it('should re-verify the admin\'s two-factor code before approving', async () => {
+    const mockTwoFactorService = { assertVerified: jest.fn().mockRejectedValue(new ForbiddenError('Invalid two-factor authentication code.')) };
+    useCase = new ApprovePrizePayoutsUseCase(mockTournamentRepository, mockPrizeDistributionService, mockTwoFactorService);
+
+    await expect(useCase.execute({ tournamentId, adminUserId: 'admin-1', twoFactorCode: '000000' })).rejects.toThrow(ForbiddenError);
+    expect(mockTwoFactorService.assertVerified).toHaveBeenCalledWith('admin-1', '000000');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
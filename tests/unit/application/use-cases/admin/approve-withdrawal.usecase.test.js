@@ -0,0 +1,121 @@
+const ApproveWithdrawalUseCase = require('../../../../../src/application/use-cases/admin/approve-withdrawal.usecase');
+const PaymentGatewayService = require('../../../../../src/application/services/paymentGateway.service');
+const WebhookPaymentGateway = require('../../../../../src/infrastructure/payment/webhook.payment.gateway');
+const ZarinpalPaymentGateway = require('../../../../../src/infrastructure/payment/zarinpal.payment.gateway');
+const { Transaction } = require('../../../../../src/domain/wallet/transaction.entity');
+const { Wallet } = require('../../../../../src/domain/wallet/wallet.entity');
+const { InternalServerError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+const PaymentProviderStandIn = require('../../../../utils/paymentProviderStandIn');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+jest.mock('../../../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('ApproveWithdrawalUseCase', () => {
+  const provider = new PaymentProviderStandIn();
+  let paymentGatewayService;
+  let transaction;
+  let wallet;
+  let withdrawal;
+  let mockWalletRepository;
+  let mockTransactionRepository;
+  let useCase;
+
+  beforeAll(async () => {
+    const webhook = new WebhookPaymentGateway({
+      apiUrl: await provider.start(), apiKey: provider.apiKey, webhookSecret: provider.webhookSecret, timeoutMs: 2000,
+    });
+    paymentGatewayService = new PaymentGatewayService([webhook], { currencyGateways: { USD: 'webhook' } });
+  });
+
+  afterAll(() => provider.stop());
+
+  beforeEach(() => {
+    provider.failPayouts = false;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    wallet = new Wallet('wallet-1', 'user-1', 100, 'USD');
+    withdrawal = new Transaction('withdrawal-1', wallet.id, 'WITHDRAWAL', 40, 'REQUIRES_APPROVAL', 'idem-1', 'Withdrawal request', {
+      requestedCurrency: 'USD', withdrawalMethodDetails: { iban: 'DE89370400440532013000' },
+    });
+
+    mockWalletRepository = {
+      findById: jest.fn().mockImplementation(async () => wallet),
+      update: jest.fn().mockImplementation(async (id, { balance }) => {
+        wallet = new Wallet(id, wallet.userId, balance, wallet.currency);
+        return wallet;
+      }),
+    };
+    mockTransactionRepository = {
+      findById: jest.fn().mockImplementation(async () => withdrawal),
+      update: jest.fn().mockImplementation(async (id, data) => {
+        withdrawal = Object.assign(Object.create(Transaction.prototype), withdrawal, data);
+        return withdrawal;
+      }),
+    };
+    useCase = new ApproveWithdrawalUseCase(mockTransactionRepository, mockWalletRepository, paymentGatewayService);
+  });
+
+  it('should pay out through the gateway of the currency and debit the wallet', async () => {
+    const approved = await useCase.execute('withdrawal-1', 'admin-1', 'Looks good');
+
+    expect(approved.status).toBe('COMPLETED');
+    expect(approved.metadata).toMatchObject({ paymentGateway: 'webhook', paymentGatewayReference: expect.stringMatching(/^po_/) });
+    expect(provider.payouts.get(approved.metadata.paymentGatewayReference)).toMatchObject({
+      amount: 40, currency: 'USD', recipient: { iban: 'DE89370400440532013000' },
+    });
+    expect(wallet.balance).toBe(60);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should lock the withdrawal before paying it out', async () => {
+    await useCase.execute('withdrawal-1', 'admin-1');
+
+    expect(mockTransactionRepository.findById).toHaveBeenCalledWith('withdrawal-1', { transaction, lock: 'UPDATE' });
+  });
+
+  it('should not pay out a withdrawal that a concurrent approval already completed', async () => {
+    await useCase.execute('withdrawal-1', 'admin-1');
+    const payoutCount = provider.payouts.size;
+
+    await expect(useCase.execute('withdrawal-1', 'admin-2')).rejects.toThrow(
+      'Withdrawal request cannot be approved from current status: COMPLETED.',
+    );
+    expect(provider.payouts.size).toBe(payoutCount);
+    expect(wallet.balance).toBe(60);
+  });
+
+  it('should record a failed payout without debiting the wallet', async () => {
+    provider.failPayouts = true;
+
+    await expect(useCase.execute('withdrawal-1', 'admin-1')).rejects.toThrow(InternalServerError);
+    expect(withdrawal.status).toBe('PAYMENT_FAILED');
+    expect(withdrawal.metadata.paymentError).toBe('Payout failed: Recipient account closed.');
+    expect(mockWalletRepository.update).not.toHaveBeenCalled();
+    expect(wallet.balance).toBe(100);
+  });
+
+  it('should complete a withdrawal no gateway can pay out for a manual payout', async () => {
+    const zarinpal = new ZarinpalPaymentGateway({ merchantId: 'merchant', callbackUrl: 'http://localhost/callback' });
+    useCase = new ApproveWithdrawalUseCase(
+      mockTransactionRepository,
+      mockWalletRepository,
+      new PaymentGatewayService([zarinpal], { currencyGateways: { IRR: 'zarinpal' } }),
+    );
+    withdrawal.metadata.requestedCurrency = 'IRR';
+    const payoutCount = provider.payouts.size;
+
+    const approved = await useCase.execute('withdrawal-1', 'admin-1');
+
+    expect(approved.status).toBe('COMPLETED');
+    expect(approved.metadata).toMatchObject({ paymentGateway: null, paymentGatewayReference: null });
+    expect(provider.payouts.size).toBe(payoutCount);
+    expect(wallet.balance).toBe(60);
+  });
+});
@@ -3,13 +3,26 @@ const RemoveTournamentParticipantUseCase = require('../../../../../src/applicati
 const { Tournament, TournamentStatus } = require('../../../../../src/domain/tournament/tournament.entity');
 const ApiError = require('../../../../../src/utils/ApiError');
 const httpStatusCodes = require('http-status-codes');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
 
 describe('RemoveTournamentParticipantUseCase', () => {
+  let transaction;
   let mockTournamentRepository;
   let mockUserRepository;
+  let mockWaitlistPromotionService;
+  let mockEntryFeeRefundService;
   let removeTournamentParticipantUseCase;
 
   beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
     mockTournamentRepository = {
       findById: jest.fn(),
       findParticipant: jest.fn(),
@@ -19,7 +32,11 @@ describe('RemoveTournamentParticipantUseCase', () => {
     mockUserRepository = {
       findById: jest.fn(),
     };
-    removeTournamentParticipantUseCase = new RemoveTournamentParticipantUseCase(mockTournamentRepository, mockUserRepository);
+    mockWaitlistPromotionService = { promoteNext: jest.fn().mockResolvedValue({ promoted: null, skipped: [] }) };
+    mockEntryFeeRefundService = { refundRegistration: jest.fn().mockResolvedValue([]) };
+    removeTournamentParticipantUseCase = new RemoveTournamentParticipantUseCase(
+      mockTournamentRepository, mockUserRepository, mockWaitlistPromotionService, mockEntryFeeRefundService
+    );
   });
 
   it('should remove a participant successfully', async () => {
@@ -42,10 +59,16 @@ describe('RemoveTournamentParticipantUseCase', () => {
 
     await expect(removeTournamentParticipantUseCase.execute(tournamentId, userIdToRemove)).resolves.toBeUndefined();
 
-    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId);
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
     expect(mockUserRepository.findById).toHaveBeenCalledWith(userIdToRemove);
-    expect(mockTournamentRepository.findParticipant).toHaveBeenCalledWith(tournamentId, userIdToRemove, 'user');
-    expect(mockTournamentRepository.removeParticipant).toHaveBeenCalledWith(tournamentId, participantEntryId);
+    expect(mockTournamentRepository.findParticipant).toHaveBeenCalledWith(tournamentId, userIdToRemove, 'user', { transaction });
+    expect(mockTournamentRepository.removeParticipant).toHaveBeenCalledWith(tournamentId, participantEntryId, { transaction });
+    expect(mockEntryFeeRefundService.refundRegistration).toHaveBeenCalledWith(participantEntryId, {
+      reason: 'Removed from Test Tour by an admin',
+      transaction,
+    });
+    expect(mockWaitlistPromotionService.promoteNext).toHaveBeenCalledWith(mockTournament, { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
     // The use case now assumes removeParticipant also handles decrementing count.
     // expect(mockTournamentRepository.decrementParticipantCount).toHaveBeenCalledWith(tournamentId);
   });
@@ -119,6 +142,8 @@ describe('RemoveTournamentParticipantUseCase', () => {
 
     await expect(removeTournamentParticipantUseCase.execute(tournamentId, userIdToRemove))
       .rejects.toThrow(new ApiError(httpStatusCodes.INTERNAL_SERVER_ERROR, 'Failed to remove participant from tournament.'));
+    expect(mockWaitlistPromotionService.promoteNext).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
   });
 
   // Add more tests for other edge cases
@@ -0,0 +1,144 @@
+const ResolveDisputeUseCase = require('../../../../../src/application/use-cases/admin/resolve-dispute.usecase');
+const { DisputeTicket } = require('../../../../../src/domain/dispute/dispute.entity');
+const { DisputeStatusHistory } = require('../../../../../src/domain/dispute/dispute_status_history.entity');
+const { Match } = require('../../../../../src/domain/tournament/match.entity');
+const { BadRequestError, NotFoundError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('ResolveDisputeUseCase', () => {
+  const disputeId = 'dispute-1';
+  const moderatorId = 'mod-1';
+  const resolutionDetails = 'Screenshots show player two won the deciding round.';
+  let transaction;
+  let dispute;
+  let match;
+  let mockDisputeRepository;
+  let mockMatchRepository;
+  let mockBracketAdvancementService;
+  let mockNotificationService;
+  let mockTournamentBroadcastService;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    dispute = new DisputeTicket({
+      id: disputeId, matchId: 'match-1', reporterId: 'p2', reason: 'Wrong score.', status: DisputeTicket.Status.UNDER_REVIEW,
+    });
+    match = new Match(
+      'match-1', 't1', 1, 1, 'p1', 'p2', Match.Status.DISPUTED, null, null, null, 'p1', 2, 1,
+      null, null, false, null, null, 'user', 'user', 'user',
+    );
+    mockDisputeRepository = {
+      findById: jest.fn().mockImplementation(async () => dispute),
+      update: jest.fn().mockImplementation(async (id, data) => Object.assign(dispute, data)),
+      recordStatusChange: jest.fn().mockImplementation(async (entry) => entry),
+    };
+    mockMatchRepository = {
+      findById: jest.fn().mockImplementation(async () => match),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(match, data)),
+    };
+    mockBracketAdvancementService = { advance: jest.fn() };
+    mockNotificationService = { notify: jest.fn(), notifyMatchesReady: jest.fn() };
+    mockTournamentBroadcastService = { matchUpdated: jest.fn(), bracketAdvanced: jest.fn(), statusChanged: jest.fn() };
+    useCase = new ResolveDisputeUseCase(mockDisputeRepository, mockMatchRepository, mockBracketAdvancementService);
+  });
+
+  it('should award the match, record the resolution and advance the bracket in one transaction', async () => {
+    const result = await useCase.execute(disputeId, moderatorId, {
+      resolutionStatus: DisputeTicket.Resolution.PARTICIPANT2_WIN, resolutionDetails,
+    });
+
+    expect(mockDisputeRepository.findById).toHaveBeenCalledWith(disputeId, { transaction, lock: 'UPDATE' });
+    expect(result.dispute).toMatchObject({ status: DisputeTicket.Status.RESOLVED, resolutionDetails, moderatorId });
+    expect(result.match).toMatchObject({ status: Match.Status.COMPLETED, winnerId: 'p2', winnerType: 'user', isConfirmed: true });
+    expect(mockDisputeRepository.recordStatusChange).toHaveBeenCalledWith(expect.any(DisputeStatusHistory), { transaction });
+    expect(mockDisputeRepository.recordStatusChange.mock.calls[0][0]).toMatchObject({
+      fromStatus: DisputeTicket.Status.UNDER_REVIEW, toStatus: DisputeTicket.Status.RESOLVED, changedBy: moderatorId,
+    });
+    expect(mockBracketAdvancementService.advance).toHaveBeenCalledWith(match, { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should schedule a replay without a result and without advancing the bracket', async () => {
+    const result = await useCase.execute(disputeId, moderatorId, {
+      resolutionStatus: DisputeTicket.Resolution.REPLAY, resolutionDetails,
+    });
+
+    expect(result.match).toMatchObject({
+      status: Match.Status.SCHEDULED, winnerId: null, participant1Score: null, participant2Score: null, isConfirmed: false,
+    });
+    expect(mockBracketAdvancementService.advance).not.toHaveBeenCalled();
+  });
+
+  it('should close an invalid dispute and let the reported result stand', async () => {
+    const result = await useCase.execute(disputeId, moderatorId, {
+      resolutionStatus: DisputeTicket.Resolution.INVALID, resolutionDetails,
+    });
+
+    expect(result.dispute.status).toBe(DisputeTicket.Status.CLOSED);
+    expect(result.match).toMatchObject({ status: Match.Status.COMPLETED, winnerId: 'p1' });
+    expect(mockBracketAdvancementService.advance).toHaveBeenCalled();
+  });
+
+  it('should reject a winner of an invalid dispute who did not play the match', async () => {
+    await expect(useCase.execute(disputeId, moderatorId, {
+      resolutionStatus: DisputeTicket.Resolution.INVALID, resolutionDetails, winningParticipantId: 'someone-else',
+    })).rejects.toThrow(BadRequestError);
+    expect(mockMatchRepository.updateById).not.toHaveBeenCalled();
+    expect(mockBracketAdvancementService.advance).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should broadcast the decided match and its advancement and notify the next matches after the commit', async () => {
+    const nextMatch = { id: 'match-2', status: Match.Status.SCHEDULED, participant1Id: 'p2', participant2Id: 'p3' };
+    const completedTournament = { id: 't1', status: 'COMPLETED' };
+    const advancement = { advancedTo: nextMatch, droppedTo: null, newMatches: [], tournament: completedTournament };
+    mockBracketAdvancementService.advance.mockResolvedValue(advancement);
+    mockTournamentBroadcastService.matchUpdated.mockImplementation(() => {
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+    useCase = new ResolveDisputeUseCase(
+      mockDisputeRepository, mockMatchRepository, mockBracketAdvancementService, mockNotificationService, mockTournamentBroadcastService,
+    );
+
+    await useCase.execute(disputeId, moderatorId, { resolutionStatus: DisputeTicket.Resolution.PARTICIPANT2_WIN, resolutionDetails });
+
+    expect(mockTournamentBroadcastService.matchUpdated).toHaveBeenCalledWith(match);
+    expect(mockTournamentBroadcastService.bracketAdvanced).toHaveBeenCalledWith('t1', advancement);
+    expect(mockTournamentBroadcastService.statusChanged).toHaveBeenCalledWith(completedTournament);
+    expect(mockNotificationService.notifyMatchesReady).toHaveBeenCalledWith([match, nextMatch, null]);
+  });
+
+  it('should reject an unknown resolution before opening a transaction', async () => {
+    await expect(useCase.execute(disputeId, moderatorId, { resolutionStatus: DisputeTicket.Status.RESOLVED, resolutionDetails }))
+      .rejects.toThrow(BadRequestError);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  it('should reject a dispute that is already resolved', async () => {
+    dispute.status = DisputeTicket.Status.RESOLVED;
+
+    await expect(useCase.execute(disputeId, moderatorId, {
+      resolutionStatus: DisputeTicket.Resolution.PARTICIPANT1_WIN, resolutionDetails,
+    })).rejects.toThrow(BadRequestError);
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(mockMatchRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('should roll back the resolution when advancing the bracket fails', async () => {
+    mockBracketAdvancementService.advance.mockRejectedValue(new NotFoundError('Next match not found.'));
+
+    await expect(useCase.execute(disputeId, moderatorId, {
+      resolutionStatus: DisputeTicket.Resolution.PARTICIPANT1_WIN, resolutionDetails,
+    })).rejects.toThrow(NotFoundError);
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+});
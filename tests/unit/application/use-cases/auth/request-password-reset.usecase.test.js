@@ -0,0 +1,80 @@
+const RequestPasswordResetUseCase = require('../../../../../src/application/use-cases/auth/request-password-reset.usecase');
+const { PasswordResetToken } = require('../../../../../src/domain/user/passwordResetToken.entity');
+
+jest.mock('../../../../../config/config', () => ({
+  appConfig: {
+    passwordReset: { urlBase: 'http://client.test/auth/reset-password', tokenTtlMinutes: 60 },
+  },
+}));
+
+jest.mock('../../../../../src/utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+describe('RequestPasswordResetUseCase', () => {
+  const user = { id: 'user-1', email: 'user@example.com', username: 'user1' };
+  let mockUserRepository;
+  let mockTokenRepository;
+  let mockEmailService;
+  let useCase;
+
+  // The link is issued in the background, after the request was answered
+  const flushBackgroundWork = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    mockUserRepository = { findByEmail: jest.fn().mockResolvedValue(user) };
+    mockTokenRepository = {
+      invalidateAllForUser: jest.fn().mockResolvedValue(1),
+      create: jest.fn().mockImplementation(async (token) => token),
+    };
+    mockEmailService = { sendPasswordResetEmail: jest.fn().mockResolvedValue() };
+    useCase = new RequestPasswordResetUseCase(mockUserRepository, mockTokenRepository, mockEmailService);
+  });
+
+  it('should store only the hash of a new expiring token, email the token and invalidate older ones', async () => {
+    const before = Date.now();
+    await useCase.execute('user@example.com');
+    await flushBackgroundWork();
+
+    const [, , token, urlBase] = mockEmailService.sendPasswordResetEmail.mock.calls[0];
+    const [stored] = mockTokenRepository.create.mock.calls[0];
+    expect(mockEmailService.sendPasswordResetEmail).toHaveBeenCalledWith('user@example.com', 'user1', token, urlBase);
+    expect(urlBase).toBe('http://client.test/auth/reset-password');
+    expect(stored.tokenHash).toBe(PasswordResetToken.hashToken(token));
+    expect(stored.tokenHash).not.toBe(token);
+    expect(stored.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 60 * 1000);
+    expect(mockTokenRepository.invalidateAllForUser).toHaveBeenCalledWith('user-1', expect.any(Date));
+  });
+
+  it('should answer the same for unknown emails and when emailing fails', async () => {
+    const known = await useCase.execute('user@example.com');
+
+    mockEmailService.sendPasswordResetEmail.mockRejectedValue(new Error('SES down'));
+    const failedEmail = await useCase.execute('user@example.com');
+
+    mockUserRepository.findByEmail.mockResolvedValue(null);
+    mockTokenRepository.create.mockClear();
+    const unknown = await useCase.execute('nobody@example.com');
+
+    expect(failedEmail).toEqual(known);
+    expect(unknown).toEqual(known);
+    expect(mockTokenRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should answer without waiting for the token writes and the email', async () => {
+    mockTokenRepository.invalidateAllForUser.mockReturnValue(new Promise(() => {}));
+
+    await expect(useCase.execute('user@example.com')).resolves.toEqual({ message: expect.any(String) });
+    expect(mockTokenRepository.create).not.toHaveBeenCalled();
+    expect(mockEmailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  it('should log instead of rejecting when issuing the link fails in the background', async () => {
+    const logger = require('../../../../../src/utils/logger');
+    mockTokenRepository.invalidateAllForUser.mockRejectedValue(new Error('connection reset'));
+
+    await useCase.execute('user@example.com');
+    await flushBackgroundWork();
+
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('user-1'), expect.any(Error));
+    expect(mockEmailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+const bcrypt = require('bcryptjs');
+const ResetPasswordUseCase = require('../../../../../src/application/use-cases/auth/reset-password.usecase');
+const { PasswordResetToken } = require('../../../../../src/domain/user/passwordResetToken.entity');
+const { User } = require('../../../../../src/domain/user/user.entity');
+const { BadRequestError } = require('../../../../../src/utils/errors');
+const { withTransaction } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  withTransaction: jest.fn(),
+}));
+
+describe('ResetPasswordUseCase', () => {
+  const token = 'a'.repeat(64);
+  let user;
+  let resetToken;
+  let mockUserRepository;
+  let mockTokenRepository;
+  let useCase;
+
+  beforeEach(() => {
+    withTransaction.mockImplementation((callback) => callback({}));
+    user = new User('user-1', 'user1', 'user@example.com', 'old-hash');
+    user.tokenVersion = 2;
+    resetToken = new PasswordResetToken({
+      id: 'token-1', userId: 'user-1', tokenHash: PasswordResetToken.hashToken(token), expiresAt: new Date(Date.now() + 60000),
+    });
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue(user),
+      update: jest.fn().mockResolvedValue(user),
+    };
+    mockTokenRepository = {
+      findByTokenHash: jest.fn().mockImplementation(async () => resetToken),
+      markAsUsed: jest.fn().mockResolvedValue(true),
+      invalidateAllForUser: jest.fn().mockResolvedValue(0),
+    };
+    useCase = new ResetPasswordUseCase(mockUserRepository, mockTokenRepository);
+  });
+
+  it('should set the new password, consume the token and end existing sessions', async () => {
+    await useCase.execute({ token, password: 'new-password' });
+
+    expect(mockTokenRepository.findByTokenHash).toHaveBeenCalledWith(PasswordResetToken.hashToken(token));
+    expect(mockTokenRepository.markAsUsed).toHaveBeenCalledWith('token-1', expect.any(Date), expect.any(Object));
+    const [userId, updateData] = mockUserRepository.update.mock.calls[0];
+    expect(userId).toBe('user-1');
+    expect(updateData).toMatchObject({ tokenVersion: 3, refreshToken: null });
+    await expect(bcrypt.compare('new-password', updateData.passwordHash)).resolves.toBe(true);
+  });
+
+  it('should reject expired and already used tokens', async () => {
+    resetToken.expiresAt = new Date(Date.now() - 1000);
+    await expect(useCase.execute({ token, password: 'new-password' })).rejects.toThrow(BadRequestError);
+
+    resetToken.expiresAt = new Date(Date.now() + 60000);
+    resetToken.usedAt = new Date();
+    await expect(useCase.execute({ token, password: 'new-password' })).rejects.toThrow(BadRequestError);
+    expect(mockUserRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should not change the password when another request consumed the token first', async () => {
+    mockTokenRepository.markAsUsed.mockResolvedValue(false);
+
+    await expect(useCase.execute({ token, password: 'new-password' })).rejects.toThrow('Invalid or expired password reset token.');
+    expect(mockUserRepository.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+const jwt = require('jsonwebtoken');
+const VerifyTwoFactorLoginUseCase = require('../../../../../src/application/use-cases/auth/verify-two-factor-login.usecase');
+const LoginUseCase = require('../../../../../src/application/use-cases/auth/login.usecase');
+const { UnauthorizedError } = require('../../../../../src/utils/errors');
+const { appConfig } = require('../../../../../config/config');
+
+jest.mock('bcryptjs', () => ({ compare: jest.fn() }));
+const bcrypt = require('bcryptjs');
+
+describe('Two-factor login', () => {
+  let user;
+  let mockUserRepository;
+  let mockTwoFactorService;
+  let loginUseCase;
+  let useCase;
+
+  beforeEach(() => {
+    user = {
+      id: 'user-1', email: 'player@example.com', username: 'player', roles: ['PLAYER'], passwordHash: 'hash', isVerified: true, tokenVersion: 0,
+    };
+    mockUserRepository = {
+      findByEmail: jest.fn().mockImplementation(async () => user),
+      findById: jest.fn().mockImplementation(async () => user),
+      update: jest.fn().mockResolvedValue(undefined),
+    };
+    mockTwoFactorService = {
+      isEnabled: jest.fn().mockResolvedValue(true),
+      isRequiredFor: jest.fn().mockReturnValue(false),
+      startLoginChallenge: jest.fn().mockResolvedValue('challenge-1'),
+      verifyLoginCode: jest.fn().mockResolvedValue(true),
+    };
+    bcrypt.compare.mockResolvedValue(true);
+    loginUseCase = new LoginUseCase(mockUserRepository, mockTwoFactorService);
+    useCase = new VerifyTwoFactorLoginUseCase(mockUserRepository, mockTwoFactorService, loginUseCase);
+  });
+
+  it('should return a challenge instead of a session when two-factor authentication is enabled', async () => {
+    const result = await loginUseCase.execute(user.email, 'password');
+
+    expect(result).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+    expect(mockTwoFactorService.startLoginChallenge).toHaveBeenCalledWith('user-1');
+    expect(jwt.decode(result.challengeToken).jti).toBe('challenge-1');
+    expect(mockUserRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should issue a session for a valid challenge and code', async () => {
+    const { challengeToken } = await loginUseCase.execute(user.email, 'password');
+
+    const result = await useCase.execute({ challengeToken, code: '123456' });
+
+    expect(mockTwoFactorService.verifyLoginCode).toHaveBeenCalledWith('user-1', 'challenge-1', '123456');
+    expect(result).toEqual(expect.objectContaining({ accessToken: expect.any(String), refreshToken: expect.any(String) }));
+    expect(jwt.decode(result.accessToken).purpose).toBeUndefined();
+    expect(mockUserRepository.update).toHaveBeenCalledWith('user-1', expect.objectContaining({ refreshToken: result.refreshToken }));
+  });
+
+  it('should reject a wrong code', async () => {
+    mockTwoFactorService.verifyLoginCode.mockResolvedValue(false);
+    const challengeToken = VerifyTwoFactorLoginUseCase.createChallengeToken(user, 'challenge-1');
+
+    await expect(useCase.execute({ challengeToken, code: '000000' })).rejects.toThrow(UnauthorizedError);
+    expect(mockUserRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject access tokens and challenges from before a password reset', async () => {
+    const accessToken = loginUseCase.generateAccessToken(user);
+    await expect(useCase.execute({ challengeToken: accessToken, code: '123456' })).rejects.toThrow(UnauthorizedError);
+
+    const challengeToken = VerifyTwoFactorLoginUseCase.createChallengeToken(user, 'challenge-1');
+    user.tokenVersion = 1;
+    await expect(useCase.execute({ challengeToken, code: '123456' })).rejects.toThrow(UnauthorizedError);
+    expect(mockTwoFactorService.verifyLoginCode).not.toHaveBeenCalled();
+  });
+
+  it('should reject a challenge that was dropped after too many wrong codes', async () => {
+    mockTwoFactorService.verifyLoginCode.mockRejectedValue(new UnauthorizedError('Login challenge is invalid or expired. Please log in again.'));
+    const challengeToken = VerifyTwoFactorLoginUseCase.createChallengeToken(user, 'challenge-1');
+
+    await expect(useCase.execute({ challengeToken, code: '123456' })).rejects.toThrow('Please log in again.');
+    expect(mockUserRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject an expired challenge', async () => {
+    const challengeToken = jwt.sign({ sub: user.id, purpose: 'two_factor_login', tokenVersion: 0 }, appConfig.jwt.secret, { expiresIn: -1 });
+    await expect(useCase.execute({ challengeToken, code: '123456' })).rejects.toThrow(UnauthorizedError);
+  });
+
+  it('should log in users whose role requires two-factor authentication but flag the missing enrollment', async () => {
+    mockTwoFactorService.isEnabled.mockResolvedValue(false);
+    mockTwoFactorService.isRequiredFor.mockReturnValue(true);
+
+    const result = await loginUseCase.execute(user.email, 'password');
+
+    expect(result.twoFactorEnrollmentRequired).toBe(true);
+    expect(result.accessToken).toEqual(expect.any(String));
+  });
+});
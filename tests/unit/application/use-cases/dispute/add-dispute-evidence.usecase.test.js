@@ -0,0 +1,73 @@
+const AddDisputeEvidenceUseCase = require('../../../../../src/application/use-cases/dispute/add-dispute-evidence.usecase');
+const { DisputeTicket } = require('../../../../../src/domain/dispute/dispute.entity');
+const { DisputeEvidence } = require('../../../../../src/domain/dispute/dispute_evidence.entity');
+const { BadRequestError } = require('../../../../../src/utils/errors');
+
+describe('AddDisputeEvidenceUseCase', () => {
+  const disputeId = 'dispute-1';
+  const player = { id: 'p2', roles: ['PLAYER'] };
+  const fileKey = `dispute-evidence/${disputeId}/${player.id}/123-abc.png`;
+  let dispute;
+  let mockDisputeRepository;
+  let mockDisputeAccessService;
+  let mockStorageService;
+  let mockFileValidationService;
+  let useCase;
+
+  beforeEach(() => {
+    dispute = new DisputeTicket({
+      id: disputeId, matchId: 'match-1', reporterId: 'p2', reason: 'Wrong score.', status: DisputeTicket.Status.OPEN,
+    });
+    mockDisputeRepository = {
+      addEvidence: jest.fn().mockImplementation(async (evidence) => Object.assign(evidence, { id: 'evidence-1' })),
+    };
+    mockDisputeAccessService = { loadForUser: jest.fn().mockResolvedValue({ dispute, match: null, isStaff: false }) };
+    mockStorageService = {
+      getObjectUrl: jest.fn((key) => `https://bucket.s3.eu-west-1.amazonaws.com/${key}`),
+    };
+    mockFileValidationService = { assertClean: jest.fn().mockResolvedValue({ fileKey, status: 'CLEAN' }) };
+    useCase = new AddDisputeEvidenceUseCase(mockDisputeRepository, mockDisputeAccessService, mockStorageService, mockFileValidationService);
+  });
+
+  it('should attach the uploaded file to the dispute', async () => {
+    const evidence = await useCase.execute({
+      disputeId, user: player, fileKey, contentType: 'image/png', description: 'Final scoreboard',
+    });
+
+    expect(mockDisputeRepository.addEvidence).toHaveBeenCalledWith(expect.any(DisputeEvidence));
+    expect(evidence).toMatchObject({
+      id: 'evidence-1', disputeId, uploadedBy: player.id, fileKey, contentType: 'image/png', description: 'Final scoreboard',
+    });
+    expect(evidence.fileUrl).toBe(`https://bucket.s3.eu-west-1.amazonaws.com/${fileKey}`);
+  });
+
+  it('should reject files that were not scanned clean', async () => {
+    mockFileValidationService.assertClean.mockRejectedValue(new BadRequestError('The file failed the security scan.'));
+    await expect(useCase.execute({ disputeId, user: player, fileKey, contentType: 'image/png' }))
+      .rejects.toThrow('The file failed the security scan.');
+    expect(mockFileValidationService.assertClean).toHaveBeenCalledWith(fileKey, { uploaderId: player.id });
+    expect(mockDisputeRepository.addEvidence).not.toHaveBeenCalled();
+  });
+
+  it('should reject files uploaded for another dispute or by another user', async () => {
+    await expect(useCase.execute({
+      disputeId, user: player, fileKey: `dispute-evidence/other/${player.id}/x.png`, contentType: 'image/png',
+    })).rejects.toThrow(BadRequestError);
+    await expect(useCase.execute({
+      disputeId, user: player, fileKey: `dispute-evidence/${disputeId}/p1/x.png`, contentType: 'image/png',
+    })).rejects.toThrow(BadRequestError);
+    expect(mockDisputeRepository.addEvidence).not.toHaveBeenCalled();
+  });
+
+  it('should reject unsupported content types', async () => {
+    await expect(useCase.execute({ disputeId, user: player, fileKey, contentType: 'application/pdf' }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  it('should reject evidence for finalized disputes', async () => {
+    dispute.status = DisputeTicket.Status.RESOLVED;
+    await expect(useCase.execute({ disputeId, user: player, fileKey, contentType: 'image/png' }))
+      .rejects.toThrow(BadRequestError);
+    expect(mockDisputeRepository.addEvidence).not.toHaveBeenCalled();
+  });
+});
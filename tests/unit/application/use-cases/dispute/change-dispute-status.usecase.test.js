@@ -0,0 +1,95 @@
+const ChangeDisputeStatusUseCase = require('../../../../../src/application/use-cases/dispute/change-dispute-status.usecase');
+const { DisputeTicket } = require('../../../../../src/domain/dispute/dispute.entity');
+const { DisputeStatusHistory } = require('../../../../../src/domain/dispute/dispute_status_history.entity');
+const { BadRequestError, NotFoundError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('ChangeDisputeStatusUseCase', () => {
+  const disputeId = 'dispute-1';
+  const moderatorId = 'mod-1';
+  let transaction;
+  let dispute;
+  let mockDisputeRepository;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    dispute = new DisputeTicket({
+      id: disputeId, matchId: 'match-1', reporterId: 'p2', reason: 'Wrong score.', status: DisputeTicket.Status.OPEN,
+    });
+    mockDisputeRepository = {
+      findById: jest.fn().mockImplementation(async () => dispute),
+      update: jest.fn().mockImplementation(async (id, data) => Object.assign(dispute, data)),
+      recordStatusChange: jest.fn().mockImplementation(async (entry) => entry),
+    };
+    useCase = new ChangeDisputeStatusUseCase(mockDisputeRepository);
+  });
+
+  it('should change the status, assign the moderator and record the history in one transaction', async () => {
+    const result = await useCase.execute({
+      disputeId, moderatorId, status: DisputeTicket.Status.AWAITING_PLAYER_RESPONSE, note: 'Need a screenshot.',
+    });
+
+    expect(mockDisputeRepository.findById).toHaveBeenCalledWith(disputeId, { transaction, lock: 'UPDATE' });
+    expect(mockDisputeRepository.update).toHaveBeenCalledWith(
+      disputeId, { status: DisputeTicket.Status.AWAITING_PLAYER_RESPONSE, moderatorId }, { transaction }
+    );
+    expect(mockDisputeRepository.recordStatusChange).toHaveBeenCalledWith(expect.any(DisputeStatusHistory), { transaction });
+    expect(mockDisputeRepository.recordStatusChange.mock.calls[0][0]).toMatchObject({
+      disputeId,
+      fromStatus: DisputeTicket.Status.OPEN,
+      toStatus: DisputeTicket.Status.AWAITING_PLAYER_RESPONSE,
+      changedBy: moderatorId,
+      note: 'Need a screenshot.',
+    });
+    expect(result.status).toBe(DisputeTicket.Status.AWAITING_PLAYER_RESPONSE);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should notify the reporter of the new status after the commit', async () => {
+    const mockNotificationService = { notify: jest.fn(async () => expect(transaction.commit).toHaveBeenCalled()) };
+    useCase = new ChangeDisputeStatusUseCase(mockDisputeRepository, mockNotificationService);
+
+    await useCase.execute({ disputeId, moderatorId, status: DisputeTicket.Status.UNDER_REVIEW });
+
+    expect(mockNotificationService.notify).toHaveBeenCalledWith('p2', 'DISPUTE_STATUS_CHANGED', {
+      payload: { disputeId, matchId: 'match-1', status: DisputeTicket.Status.UNDER_REVIEW, note: null },
+      link: `/disputes/${disputeId}`,
+    });
+  });
+
+  it('should keep the moderator already handling the dispute', async () => {
+    dispute.moderatorId = 'mod-0';
+    await useCase.execute({ disputeId, moderatorId, status: DisputeTicket.Status.ESCALATED });
+    expect(mockDisputeRepository.update).toHaveBeenCalledWith(
+      disputeId, { status: DisputeTicket.Status.ESCALATED }, { transaction }
+    );
+  });
+
+  it('should throw BadRequestError for a transition that is not allowed', async () => {
+    dispute.status = DisputeTicket.Status.CLOSED;
+    await expect(useCase.execute({ disputeId, moderatorId, status: DisputeTicket.Status.UNDER_REVIEW }))
+      .rejects.toThrow(BadRequestError);
+    expect(mockDisputeRepository.update).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw NotFoundError if the dispute does not exist', async () => {
+    mockDisputeRepository.findById.mockResolvedValue(null);
+    await expect(useCase.execute({ disputeId, moderatorId, status: DisputeTicket.Status.UNDER_REVIEW }))
+      .rejects.toThrow(NotFoundError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError without a status', async () => {
+    await expect(useCase.execute({ disputeId, moderatorId })).rejects.toThrow(BadRequestError);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
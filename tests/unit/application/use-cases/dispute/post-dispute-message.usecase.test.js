@@ -0,0 +1,99 @@
+const PostDisputeMessageUseCase = require('../../../../../src/application/use-cases/dispute/post-dispute-message.usecase');
+const { DisputeTicket } = require('../../../../../src/domain/dispute/dispute.entity');
+const { DisputeMessage } = require('../../../../../src/domain/dispute/dispute_message.entity');
+const { BadRequestError, ForbiddenError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('PostDisputeMessageUseCase', () => {
+  const disputeId = 'dispute-1';
+  const player = { id: 'p2', roles: ['PLAYER'] };
+  const moderator = { id: 'mod-1', roles: ['MODERATOR'] };
+  let transaction;
+  let dispute;
+  let mockDisputeRepository;
+  let mockDisputeAccessService;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    dispute = new DisputeTicket({
+      id: disputeId, matchId: 'match-1', reporterId: 'p2', reason: 'Wrong score.', status: DisputeTicket.Status.UNDER_REVIEW,
+    });
+    mockDisputeRepository = {
+      addMessage: jest.fn().mockImplementation(async (message) => Object.assign(message, { id: 'message-1' })),
+      update: jest.fn().mockResolvedValue(dispute),
+      recordStatusChange: jest.fn().mockImplementation(async (entry) => entry),
+    };
+    mockDisputeAccessService = {
+      loadForUser: jest.fn().mockImplementation(async (id, user) => ({
+        dispute, match: null, isStaff: user.roles.includes('MODERATOR'),
+      })),
+    };
+    useCase = new PostDisputeMessageUseCase(mockDisputeRepository, mockDisputeAccessService);
+  });
+
+  it('should add a player message to the thread', async () => {
+    const message = await useCase.execute({ disputeId, user: player, body: '  Here is my side.  ' });
+
+    expect(mockDisputeAccessService.loadForUser).toHaveBeenCalledWith(disputeId, player, { transaction, lock: 'UPDATE' });
+    expect(message).toMatchObject({
+      id: 'message-1', disputeId, senderId: player.id, senderRole: DisputeMessage.SenderRole.PLAYER, body: 'Here is my side.',
+    });
+    expect(mockDisputeRepository.update).not.toHaveBeenCalled();
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should mark staff messages as coming from the moderator', async () => {
+    const message = await useCase.execute({ disputeId, user: moderator, body: 'Please upload a screenshot.' });
+    expect(message.senderRole).toBe(DisputeMessage.SenderRole.MODERATOR);
+  });
+
+  it('should put the dispute back under review when a player responds', async () => {
+    dispute.status = DisputeTicket.Status.AWAITING_PLAYER_RESPONSE;
+
+    await useCase.execute({ disputeId, user: player, body: 'Screenshot uploaded.' });
+
+    expect(mockDisputeRepository.update).toHaveBeenCalledWith(
+      disputeId, { status: DisputeTicket.Status.UNDER_REVIEW }, { transaction }
+    );
+    expect(mockDisputeRepository.recordStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        fromStatus: DisputeTicket.Status.AWAITING_PLAYER_RESPONSE,
+        toStatus: DisputeTicket.Status.UNDER_REVIEW,
+        changedBy: player.id,
+      }),
+      { transaction }
+    );
+  });
+
+  it('should not change the status when a moderator posts while awaiting the players', async () => {
+    dispute.status = DisputeTicket.Status.AWAITING_PLAYER_RESPONSE;
+    await useCase.execute({ disputeId, user: moderator, body: 'Reminder: we need the screenshot.' });
+    expect(mockDisputeRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject messages on finalized disputes', async () => {
+    dispute.status = DisputeTicket.Status.CLOSED;
+    await expect(useCase.execute({ disputeId, user: player, body: 'Hello?' })).rejects.toThrow(BadRequestError);
+    expect(mockDisputeRepository.addMessage).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should pass on access errors and roll back', async () => {
+    mockDisputeAccessService.loadForUser.mockRejectedValue(new ForbiddenError('You do not have access to this dispute.'));
+    await expect(useCase.execute({ disputeId, user: { id: 'p9', roles: ['PLAYER'] }, body: 'Hi' })).rejects.toThrow(ForbiddenError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError for an empty message', async () => {
+    await expect(useCase.execute({ disputeId, user: player, body: '   ' })).rejects.toThrow(BadRequestError);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
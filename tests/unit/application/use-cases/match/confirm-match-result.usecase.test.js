@@ -0,0 +1,149 @@
+const ConfirmMatchResultUseCase = require('../../../../../src/application/use-cases/match/confirm-match-result.usecase');
+const { Match } = require('../../../../../src/domain/tournament/match.entity');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('ConfirmMatchResultUseCase', () => {
+  const matchId = 'match-uuid-1';
+  const submitter = { id: 'p1', roles: ['PLAYER'] };
+  const opponent = { id: 'p2', roles: ['PLAYER'] };
+  let transaction;
+  let match;
+  let mockMatchRepository;
+  let mockBracketAdvancementService;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    match = new Match(matchId, 'tournament-1', 1, 1, 'p1', 'p2', Match.Status.IN_PROGRESS);
+    match.recordResult('p1', 2, 1, 'proof.png', null, submitter.id);
+
+    mockMatchRepository = {
+      findById: jest.fn().mockImplementation(async () => match),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(match, data)),
+    };
+    mockBracketAdvancementService = { advance: jest.fn().mockResolvedValue({}) };
+    useCase = new ConfirmMatchResultUseCase(mockMatchRepository, mockBracketAdvancementService);
+  });
+
+  describe('execute', () => {
+    it('should confirm the result for the opponent and advance the bracket in one transaction', async () => {
+      const result = await useCase.execute({ matchId, user: opponent });
+
+      expect(mockMatchRepository.findById).toHaveBeenCalledWith(matchId, { transaction, lock: 'UPDATE' });
+      expect(mockMatchRepository.updateById).toHaveBeenCalledWith(
+        matchId, { status: Match.Status.COMPLETED, isConfirmed: true }, { transaction }
+      );
+      expect(mockBracketAdvancementService.advance).toHaveBeenCalledWith(match, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(result.status).toBe(Match.Status.COMPLETED);
+    });
+
+    it('should push the confirmed match, the advancement and a completed tournament to subscribers after the commit', async () => {
+      const mockBroadcastService = {
+        matchUpdated: jest.fn(() => expect(transaction.commit).toHaveBeenCalled()),
+        bracketAdvanced: jest.fn(),
+        statusChanged: jest.fn(),
+      };
+      const advancement = { advancedTo: null, droppedTo: null, newMatches: [], tournament: { id: 'tournament-1', status: 'COMPLETED' } };
+      mockBracketAdvancementService.advance.mockResolvedValue(advancement);
+      useCase = new ConfirmMatchResultUseCase(mockMatchRepository, mockBracketAdvancementService, mockBroadcastService);
+
+      await useCase.execute({ matchId, user: opponent });
+
+      expect(mockBroadcastService.matchUpdated).toHaveBeenCalledWith(match);
+      expect(mockBroadcastService.bracketAdvanced).toHaveBeenCalledWith('tournament-1', advancement);
+      expect(mockBroadcastService.statusChanged).toHaveBeenCalledWith(advancement.tournament);
+    });
+
+    it('should notify both participants of the result and the players of matches it made ready', async () => {
+      const mockNotificationService = {
+        notifyMatchParticipants: jest.fn().mockResolvedValue(),
+        notifyMatchesReady: jest.fn().mockResolvedValue(),
+      };
+      const advancedTo = new Match('match-2', 'tournament-1', 2, 1, 'p1', 'p3', Match.Status.SCHEDULED);
+      mockBracketAdvancementService.advance.mockResolvedValue({ advancedTo, droppedTo: null, newMatches: [] });
+      useCase = new ConfirmMatchResultUseCase(mockMatchRepository, mockBracketAdvancementService, null, mockNotificationService);
+
+      await useCase.execute({ matchId, user: opponent });
+
+      expect(mockNotificationService.notifyMatchParticipants).toHaveBeenCalledWith(
+        match, 'MATCH_RESULT_CONFIRMED', { payload: { winnerId: 'p1' } }
+      );
+      expect(mockNotificationService.notifyMatchesReady).toHaveBeenCalledWith([advancedTo, null]);
+    });
+
+    it('should not let the submitter confirm their own result', async () => {
+      await expect(useCase.execute({ matchId, user: submitter })).rejects.toThrow(ForbiddenError);
+      expect(mockMatchRepository.updateById).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should reject users who are not participants', async () => {
+      const stranger = { id: 'p3', roles: ['PLAYER'] };
+      await expect(useCase.execute({ matchId, user: stranger })).rejects.toThrow(ForbiddenError);
+    });
+
+    it('should let an admin confirm any result awaiting confirmation', async () => {
+      const admin = { id: 'admin-1', roles: ['ADMIN'] };
+      await expect(useCase.execute({ matchId, user: admin })).resolves.toBeDefined();
+    });
+
+    it('should throw BadRequestError if the match is not awaiting confirmation', async () => {
+      match.status = Match.Status.DISPUTED;
+      await expect(useCase.execute({ matchId, user: opponent })).rejects.toThrow(BadRequestError);
+    });
+
+    it('should throw NotFoundError if the match does not exist', async () => {
+      mockMatchRepository.findById.mockResolvedValue(null);
+      await expect(useCase.execute({ matchId, user: opponent })).rejects.toThrow(NotFoundError);
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should roll back the confirmation if advancing the bracket fails', async () => {
+      mockBracketAdvancementService.advance.mockRejectedValue(new Error('Next match already started'));
+      await expect(useCase.execute({ matchId, user: opponent })).rejects.toThrow('Next match already started');
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('autoConfirm', () => {
+    it('should confirm a result whose confirmation window has passed', async () => {
+      const cutoff = new Date(match.actualEndTime.getTime() + 1000);
+
+      const result = await useCase.autoConfirm(matchId, cutoff);
+
+      expect(result.status).toBe(Match.Status.COMPLETED);
+      expect(mockBracketAdvancementService.advance).toHaveBeenCalled();
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('should skip a result submitted after the cutoff', async () => {
+      const cutoff = new Date(match.actualEndTime.getTime() - 1000);
+
+      const result = await useCase.autoConfirm(matchId, cutoff);
+
+      expect(result).toBeNull();
+      expect(mockMatchRepository.updateById).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should skip a match that was disputed in the meantime', async () => {
+      match.status = Match.Status.DISPUTED;
+
+      const result = await useCase.autoConfirm(matchId, new Date(Date.now() + 1000));
+
+      expect(result).toBeNull();
+      expect(mockBracketAdvancementService.advance).not.toHaveBeenCalled();
+    });
+  });
+});
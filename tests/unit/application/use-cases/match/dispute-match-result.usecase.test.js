@@ -0,0 +1,97 @@
+const DisputeMatchResultUseCase = require('../../../../../src/application/use-cases/match/dispute-match-result.usecase');
+const { Match } = require('../../../../../src/domain/tournament/match.entity');
+const { DisputeTicket } = require('../../../../../src/domain/dispute/dispute.entity');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('DisputeMatchResultUseCase', () => {
+  const matchId = 'match-uuid-1';
+  const submitter = { id: 'p1', roles: ['PLAYER'] };
+  const opponent = { id: 'p2', roles: ['PLAYER'] };
+  const reason = 'The reported score is wrong, I won 2-1.';
+  let transaction;
+  let match;
+  let mockMatchRepository;
+  let mockDisputeRepository;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    match = new Match(matchId, 'tournament-1', 1, 1, 'p1', 'p2', Match.Status.IN_PROGRESS);
+    match.recordResult('p1', 2, 1, 'proof.png', null, submitter.id);
+
+    mockMatchRepository = {
+      findById: jest.fn().mockImplementation(async () => match),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(match, data)),
+    };
+    mockDisputeRepository = {
+      findByMatchId: jest.fn().mockResolvedValue(null),
+      create: jest.fn().mockImplementation(async (dispute) => Object.assign(dispute, { id: 'dispute-1' })),
+      recordStatusChange: jest.fn().mockImplementation(async (entry) => entry),
+    };
+    useCase = new DisputeMatchResultUseCase(mockMatchRepository, mockDisputeRepository);
+  });
+
+  it('should mark the match as disputed and open a dispute ticket in one transaction', async () => {
+    const result = await useCase.execute({ matchId, user: opponent, reason });
+
+    expect(mockMatchRepository.updateById).toHaveBeenCalledWith(
+      matchId, { status: Match.Status.DISPUTED, isConfirmed: false }, { transaction }
+    );
+    expect(mockDisputeRepository.create).toHaveBeenCalledWith(expect.any(DisputeTicket), { transaction });
+    expect(result.dispute).toMatchObject({
+      matchId, reporterId: opponent.id, reason, status: DisputeTicket.Status.OPEN,
+    });
+    expect(mockDisputeRepository.recordStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        disputeId: 'dispute-1', fromStatus: null, toStatus: DisputeTicket.Status.OPEN, changedBy: opponent.id,
+      }),
+      { transaction }
+    );
+    expect(result.match.status).toBe(Match.Status.DISPUTED);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should let either participant dispute a completed result', async () => {
+    match.confirmResult(opponent.id);
+    await expect(useCase.execute({ matchId, user: submitter, reason })).resolves.toBeDefined();
+  });
+
+  it('should not let the submitter dispute their own pending result', async () => {
+    await expect(useCase.execute({ matchId, user: submitter, reason })).rejects.toThrow(ForbiddenError);
+    expect(mockDisputeRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject users who are not participants', async () => {
+    await expect(useCase.execute({ matchId, user: { id: 'p3' }, reason })).rejects.toThrow(ForbiddenError);
+  });
+
+  it('should throw ConflictError if the match already has a dispute', async () => {
+    mockDisputeRepository.findByMatchId.mockResolvedValue({ id: 'dispute-0' });
+    await expect(useCase.execute({ matchId, user: opponent, reason })).rejects.toThrow(ConflictError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if the match has no result to dispute', async () => {
+    match.status = Match.Status.SCHEDULED;
+    await expect(useCase.execute({ matchId, user: opponent, reason })).rejects.toThrow(BadRequestError);
+    expect(mockMatchRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError without a reason', async () => {
+    await expect(useCase.execute({ matchId, user: opponent, reason: '  ' })).rejects.toThrow(BadRequestError);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  it('should throw NotFoundError if the match does not exist', async () => {
+    mockMatchRepository.findById.mockResolvedValue(null);
+    await expect(useCase.execute({ matchId, user: opponent, reason })).rejects.toThrow(NotFoundError);
+  });
+});
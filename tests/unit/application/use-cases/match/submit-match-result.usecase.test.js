@@ -0,0 +1,53 @@
+const SubmitMatchResultUseCase = require('../../../../../src/application/use-cases/match/submit-match-result.usecase');
+const { Match } = require('../../../../../src/domain/tournament/match.entity');
+const { BadRequestError } = require('../../../../../src/utils/errors');
+
+describe('SubmitMatchResultUseCase', () => {
+  const tournamentId = 'tournament-1';
+  const matchId = 'match-uuid-1';
+  const fileKey = `match-results/${tournamentId}/${matchId}/p1/123-abc.png`;
+  let match;
+  let mockMatchRepository;
+  let mockFileValidationService;
+  let mockStorageService;
+  let useCase;
+
+  beforeEach(() => {
+    match = new Match(matchId, tournamentId, 1, 1, 'p1', 'p2', Match.Status.IN_PROGRESS);
+    mockMatchRepository = {
+      findById: jest.fn().mockImplementation(async () => match),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(match, data)),
+    };
+    mockFileValidationService = { assertClean: jest.fn().mockResolvedValue({ fileKey, status: 'CLEAN' }) };
+    mockStorageService = { getObjectUrl: jest.fn((key) => `https://files.example.com/${key}`) };
+    useCase = new SubmitMatchResultUseCase(mockMatchRepository, mockFileValidationService, null, null, mockStorageService);
+  });
+
+  const resultData = { winningParticipantId: 'p1', scoreParticipant1: 2, scoreParticipant2: 1, resultScreenshotFileKey: fileKey };
+
+  it('should record the result with a screenshot that was scanned clean', async () => {
+    const { match: updatedMatch } = await useCase.execute('p1', tournamentId, matchId, resultData);
+
+    expect(mockFileValidationService.assertClean).toHaveBeenCalledWith(fileKey, { uploaderId: 'p1' });
+    expect(mockMatchRepository.updateById).toHaveBeenCalledWith(matchId, expect.objectContaining({
+      winnerId: 'p1', resultProofUrlP1: `https://files.example.com/${fileKey}`,
+    }));
+    expect(updatedMatch.status).toBe(Match.Status.AWAITING_CONFIRMATION);
+  });
+
+  it('should reject screenshots that have not been scanned clean', async () => {
+    mockFileValidationService.assertClean.mockRejectedValue(
+      new BadRequestError('The file is still being scanned. Please try again shortly.'),
+    );
+
+    await expect(useCase.execute('p1', tournamentId, matchId, resultData)).rejects.toThrow('still being scanned');
+    expect(mockMatchRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('should reject screenshots uploaded for another match or by the opponent', async () => {
+    await expect(useCase.execute('p1', tournamentId, matchId, {
+      ...resultData, resultScreenshotFileKey: `match-results/${tournamentId}/${matchId}/p2/123-abc.png`,
+    })).rejects.toThrow(BadRequestError);
+    expect(mockFileValidationService.assertClean).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+const ListNotificationsUseCase = require('../../../../../src/application/use-cases/notification/list-notifications.usecase');
+const { BadRequestError } = require('../../../../../src/utils/errors');
+
+describe('ListNotificationsUseCase', () => {
+  let mockNotificationRepository;
+  let useCase;
+
+  beforeEach(() => {
+    mockNotificationRepository = {
+      findByUserId: jest.fn().mockResolvedValue({ notifications: [], total: 0, page: 2, limit: 5 }),
+      countUnread: jest.fn().mockResolvedValue(4),
+    };
+    useCase = new ListNotificationsUseCase(mockNotificationRepository);
+  });
+
+  it('should list the notifications of the user with the unread count', async () => {
+    const result = await useCase.execute({ userId: 'user-1', page: 2, limit: 5, unreadOnly: true });
+
+    expect(mockNotificationRepository.findByUserId).toHaveBeenCalledWith('user-1', { page: 2, limit: 5, unreadOnly: true });
+    expect(result).toEqual({ notifications: [], total: 0, page: 2, limit: 5, unreadCount: 4 });
+  });
+
+  it('should throw BadRequestError without a user', async () => {
+    await expect(useCase.execute({})).rejects.toThrow(BadRequestError);
+  });
+});
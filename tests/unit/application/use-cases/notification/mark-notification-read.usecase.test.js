@@ -0,0 +1,45 @@
+const MarkNotificationReadUseCase = require('../../../../../src/application/use-cases/notification/mark-notification-read.usecase');
+const { Notification } = require('../../../../../src/domain/notification/notification.entity');
+const { NotFoundError } = require('../../../../../src/utils/errors');
+
+describe('MarkNotificationReadUseCase', () => {
+  let notification;
+  let mockNotificationRepository;
+  let mockNotificationService;
+  let useCase;
+
+  beforeEach(() => {
+    notification = new Notification({ id: 'notification-1', userId: 'user-1', type: Notification.Type.MATCH_READY });
+    mockNotificationRepository = {
+      findByIdForUser: jest.fn().mockImplementation(async () => notification),
+      markAsRead: jest.fn().mockResolvedValue(),
+    };
+    mockNotificationService = { sendUnreadCount: jest.fn().mockResolvedValue(0) };
+    useCase = new MarkNotificationReadUseCase(mockNotificationRepository, mockNotificationService);
+  });
+
+  it('should mark the notification as read and push the new unread count', async () => {
+    const result = await useCase.execute({ notificationId: 'notification-1', userId: 'user-1' });
+
+    expect(mockNotificationRepository.findByIdForUser).toHaveBeenCalledWith('notification-1', 'user-1');
+    expect(mockNotificationRepository.markAsRead).toHaveBeenCalledWith('notification-1', expect.any(Date));
+    expect(result.isRead()).toBe(true);
+    expect(mockNotificationService.sendUnreadCount).toHaveBeenCalledWith('user-1');
+  });
+
+  it('should keep the first read time when read again', async () => {
+    const readAt = new Date('2025-01-01T00:00:00Z');
+    notification.readAt = readAt;
+
+    const result = await useCase.execute({ notificationId: 'notification-1', userId: 'user-1' });
+
+    expect(result.readAt).toBe(readAt);
+    expect(mockNotificationRepository.markAsRead).not.toHaveBeenCalled();
+    expect(mockNotificationService.sendUnreadCount).not.toHaveBeenCalled();
+  });
+
+  it('should throw NotFoundError for a notification of another user', async () => {
+    mockNotificationRepository.findByIdForUser.mockResolvedValue(null);
+    await expect(useCase.execute({ notificationId: 'notification-1', userId: 'user-2' })).rejects.toThrow(NotFoundError);
+  });
+});
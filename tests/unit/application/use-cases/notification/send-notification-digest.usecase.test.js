@@ -0,0 +1,47 @@
+const SendNotificationDigestUseCase = require('../../../../../src/application/use-cases/notification/send-notification-digest.usecase');
+const { Notification } = require('../../../../../src/domain/notification/notification.entity');
+
+describe('SendNotificationDigestUseCase', () => {
+  const pending = (id, readAt = null) => new Notification({
+    id, userId: 'user-1', type: Notification.Type.MATCH_READY, readAt, emailStatus: Notification.EmailStatus.DIGEST_PENDING,
+  });
+  let mockNotificationRepository;
+  let mockUserRepository;
+  let mockEmailService;
+  let useCase;
+
+  beforeEach(() => {
+    mockNotificationRepository = {
+      findPendingDigest: jest.fn().mockResolvedValue([pending('n-1'), pending('n-2', new Date()), pending('n-3')]),
+      updateEmailStatus: jest.fn().mockImplementation(async (ids) => ids),
+    };
+    mockUserRepository = { findById: jest.fn().mockResolvedValue({ id: 'user-1', email: 'user@example.com', username: 'user1' }) };
+    mockEmailService = { sendNotificationDigestEmail: jest.fn().mockResolvedValue() };
+    useCase = new SendNotificationDigestUseCase(mockNotificationRepository, mockUserRepository, mockEmailService);
+  });
+
+  it('should email the unread notifications in one digest and leave out the read ones', async () => {
+    const result = await useCase.execute({ userId: 'user-1' });
+
+    expect(mockNotificationRepository.updateEmailStatus).toHaveBeenCalledWith(['n-2'], 'NONE', { fromStatus: 'DIGEST_PENDING' });
+    expect(mockNotificationRepository.updateEmailStatus).toHaveBeenCalledWith(['n-1', 'n-3'], 'DIGESTED', { fromStatus: 'DIGEST_PENDING' });
+    const [email, username, notifications] = mockEmailService.sendNotificationDigestEmail.mock.calls[0];
+    expect([email, username]).toEqual(['user@example.com', 'user1']);
+    expect(notifications.map((n) => n.id)).toEqual(['n-1', 'n-3']);
+    expect(result).toEqual({ sent: 2 });
+  });
+
+  it('should only email notifications it claimed, so concurrent runs do not send them twice', async () => {
+    mockNotificationRepository.updateEmailStatus.mockImplementation(async (ids, status) => (status === 'DIGESTED' ? [] : ids));
+
+    await expect(useCase.execute({ userId: 'user-1' })).resolves.toEqual({ sent: 0 });
+    expect(mockEmailService.sendNotificationDigestEmail).not.toHaveBeenCalled();
+  });
+
+  it('should put the notifications back for the next digest when sending fails', async () => {
+    mockEmailService.sendNotificationDigestEmail.mockRejectedValue(new Error('SES down'));
+
+    await expect(useCase.execute({ userId: 'user-1' })).rejects.toThrow('SES down');
+    expect(mockNotificationRepository.updateEmailStatus).toHaveBeenLastCalledWith(['n-1', 'n-3'], 'DIGEST_PENDING', { fromStatus: 'DIGESTED' });
+  });
+});
@@ -0,0 +1,45 @@
+const UpdateNotificationPreferencesUseCase = require('../../../../../src/application/use-cases/notification/update-notification-preferences.usecase');
+const { NotificationPreference } = require('../../../../../src/domain/notification/notificationPreference.entity');
+const { Notification } = require('../../../../../src/domain/notification/notification.entity');
+const { BadRequestError } = require('../../../../../src/utils/errors');
+
+describe('UpdateNotificationPreferencesUseCase', () => {
+  let mockPreferenceRepository;
+  let useCase;
+
+  beforeEach(() => {
+    mockPreferenceRepository = {
+      findByUserId: jest.fn().mockResolvedValue([
+        new NotificationPreference({ userId: 'user-1', category: Notification.Category.TEAMS, inApp: false, email: 'OFF' }),
+      ]),
+      upsertMany: jest.fn().mockResolvedValue(),
+    };
+    useCase = new UpdateNotificationPreferencesUseCase(mockPreferenceRepository);
+  });
+
+  it('should store the changed categories, keeping omitted fields, and return every category', async () => {
+    const result = await useCase.execute({
+      userId: 'user-1',
+      preferences: [
+        { category: Notification.Category.TEAMS, email: 'DIGEST' },
+        { category: Notification.Category.MATCHES, inApp: false },
+      ],
+    });
+
+    const [stored] = mockPreferenceRepository.upsertMany.mock.calls[0];
+    expect(stored).toEqual([
+      expect.objectContaining({ category: 'TEAMS', inApp: false, email: 'DIGEST' }),
+      expect.objectContaining({ category: 'MATCHES', inApp: false, email: 'DIGEST' }),
+    ]);
+    expect(result).toHaveLength(Object.keys(Notification.Category).length);
+    expect(result.find((p) => p.category === 'PAYMENTS')).toMatchObject({ inApp: true, email: 'INSTANT' });
+  });
+
+  it('should reject unknown email modes and repeated categories', async () => {
+    await expect(useCase.execute({ userId: 'user-1', preferences: [{ category: 'TEAMS', email: 'SMS' }] }))
+      .rejects.toThrow(BadRequestError);
+    await expect(useCase.execute({ userId: 'user-1', preferences: [{ category: 'TEAMS' }, { category: 'TEAMS' }] }))
+      .rejects.toThrow(BadRequestError);
+    expect(mockPreferenceRepository.upsertMany).not.toHaveBeenCalled();
+  });
+});
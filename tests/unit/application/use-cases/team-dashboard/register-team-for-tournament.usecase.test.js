@@ -0,0 +1,132 @@
+const RegisterTeamForTournamentUseCase = require('../../../../../src/application/use-cases/team-dashboard/register-team-for-tournament.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { BadRequestError, ForbiddenError, ConflictError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('RegisterTeamForTournamentUseCase', () => {
+  const tournamentId = 'tournament-uuid-456';
+  const teamId = 'team-uuid-1';
+  const captainId = 'captain-uuid';
+  const memberIds = [captainId, 'member-uuid-2', 'member-uuid-3'];
+  const registration = { id: 'registration-1', tournamentId, participantId: teamId, participantType: 'team', roster: memberIds };
+  let transaction;
+  let tournament;
+  let mockTeamRepository;
+  let mockTournamentRepository;
+  let mockTournamentParticipantRepository;
+  let mockTeamMemberRepository;
+  let mockEntryFeeChargeService;
+  let useCase;
+
+  const buildTournament = (entryFee, settings) => new Tournament(
+    tournamentId, 'Team Cup', 'game-uuid', 'Description', 'Rules',
+    TournamentStatus.REGISTRATION_OPEN, entryFee, EntryFeeType.PAID_CASH, 0, PrizeType.NONE,
+    null, 8, 2, new Date('2025-07-02T10:00:00.000Z'), null, null, [], [], {},
+    new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, settings
+  );
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = buildTournament(30, { teamSize: 3 });
+    mockTeamRepository = { findById: jest.fn().mockResolvedValue({ id: teamId, ownerId: captainId }) };
+    mockTournamentRepository = {
+      findById: jest.fn().mockImplementation(async () => tournament),
+      incrementParticipantCount: jest.fn().mockResolvedValue(true),
+    };
+    mockTournamentParticipantRepository = {
+      findAllByTournamentId: jest.fn().mockResolvedValue([]),
+      create: jest.fn().mockResolvedValue(registration),
+    };
+    mockTeamMemberRepository = {
+      findAllByTeamId: jest.fn().mockResolvedValue(memberIds.map((userId) => ({ userId, status: 'active' }))),
+    };
+    mockEntryFeeChargeService = { chargeFee: jest.fn().mockResolvedValue({ id: 'fee-tx' }) };
+    useCase = new RegisterTeamForTournamentUseCase({
+      teamRepository: mockTeamRepository,
+      tournamentRepository: mockTournamentRepository,
+      tournamentParticipantRepository: mockTournamentParticipantRepository,
+      teamMemberRepository: mockTeamMemberRepository,
+      entryFeeChargeService: mockEntryFeeChargeService,
+    });
+  });
+
+  it('should create a team participant, charge the captain and increment the count in one transaction', async () => {
+    const result = await useCase.execute({ teamId, tournamentId, memberIds, leaderId: captainId });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockTournamentParticipantRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ tournamentId, participantId: teamId, participantType: 'team', roster: memberIds }),
+      { transaction }
+    );
+    expect(mockEntryFeeChargeService.chargeFee).toHaveBeenCalledTimes(1);
+    expect(mockEntryFeeChargeService.chargeFee).toHaveBeenCalledWith(
+      { userId: captainId, amount: 30, registration }, { transaction }
+    );
+    expect(mockTournamentRepository.incrementParticipantCount).toHaveBeenCalledWith(tournamentId, { transaction });
+    expect(result).toBe(registration);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should split the fee evenly across the roster when configured', async () => {
+    tournament = buildTournament(10, { teamSize: 3, teamFeePayment: Tournament.TeamFeePayment.SPLIT });
+
+    await useCase.execute({ teamId, tournamentId, memberIds, leaderId: captainId });
+
+    const charged = mockEntryFeeChargeService.chargeFee.mock.calls.map(([share]) => [share.userId, share.amount]);
+    expect(charged).toEqual([[captainId, 3.34], ['member-uuid-2', 3.33], ['member-uuid-3', 3.33]]);
+  });
+
+  it('should not charge anything for a free tournament', async () => {
+    tournament = buildTournament(0, { teamSize: 3 });
+    await useCase.execute({ teamId, tournamentId, memberIds, leaderId: captainId });
+    expect(mockEntryFeeChargeService.chargeFee).not.toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if the roster does not match the required team size', async () => {
+    await expect(useCase.execute({ teamId, tournamentId, memberIds: memberIds.slice(0, 2), leaderId: captainId }))
+      .rejects.toThrow(BadRequestError);
+    expect(mockTournamentParticipantRepository.create).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if a roster player is not an active team member', async () => {
+    mockTeamMemberRepository.findAllByTeamId.mockResolvedValue([{ userId: captainId }, { userId: 'member-uuid-2' }]);
+    await expect(useCase.execute({ teamId, tournamentId, memberIds, leaderId: captainId }))
+      .rejects.toThrow('Not active members of this team: member-uuid-3.');
+  });
+
+  it('should throw ForbiddenError if the registering user is not the captain', async () => {
+    await expect(useCase.execute({ teamId, tournamentId, memberIds, leaderId: 'member-uuid-2' }))
+      .rejects.toThrow(ForbiddenError);
+    expect(mockTournamentParticipantRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should throw ConflictError if a roster player is already registered', async () => {
+    mockTournamentParticipantRepository.findAllByTournamentId.mockResolvedValue([
+      { participantId: 'other-team', participantType: 'team', roster: ['member-uuid-3'] },
+    ]);
+    await expect(useCase.execute({ teamId, tournamentId, memberIds, leaderId: captainId }))
+      .rejects.toThrow(ConflictError);
+  });
+
+  it('should roll back every debit if a member cannot pay their share', async () => {
+    tournament = buildTournament(9, { teamSize: 3, teamFeePayment: Tournament.TeamFeePayment.SPLIT });
+    mockEntryFeeChargeService.chargeFee
+      .mockResolvedValueOnce({ id: 'fee-tx-1' })
+      .mockRejectedValueOnce(new ForbiddenError('Insufficient funds to pay the entry fee.'));
+
+    await expect(useCase.execute({ teamId, tournamentId, memberIds, leaderId: captainId }))
+      .rejects.toThrow('Member with ID member-uuid-2 has insufficient funds to pay 3 of the entry fee.');
+    expect(mockTournamentRepository.incrementParticipantCount).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+const CheckInForTournamentUseCase = require('../../../../../src/application/use-cases/tournament/check-in-for-tournament.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { TournamentParticipant } = require('../../../../../src/domain/tournament/tournamentParticipant.entity');
+const { BadRequestError, NotFoundError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('CheckInForTournamentUseCase', () => {
+  const tournamentId = 'tournament-uuid-1';
+  const userId = 'user-uuid-1';
+  const startDate = new Date('2025-08-01T18:00:00Z');
+  const now = new Date('2025-08-01T17:45:00Z');
+  let transaction;
+  let tournament;
+  let registration;
+  let mockTournamentRepository;
+  let mockTournamentParticipantRepository;
+  let mockTeamRepository;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = new Tournament(
+      tournamentId, 'Summer Cup', 'game-uuid', null, null,
+      TournamentStatus.REGISTRATION_CLOSED, 0, EntryFeeType.FREE, 0, PrizeType.NONE,
+      null, 8, 4, startDate, null, null, [], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, { checkInWindowMinutes: 30 }
+    );
+    registration = new TournamentParticipant('registration-1', tournamentId, userId, 'user', new Date());
+
+    mockTournamentRepository = { findById: jest.fn().mockImplementation(async () => tournament) };
+    mockTournamentParticipantRepository = {
+      findByUserIdAndTournamentId: jest.fn().mockImplementation(async () => registration),
+      findAllByTournamentId: jest.fn().mockResolvedValue([]),
+      update: jest.fn().mockImplementation(async (id, data) => Object.assign(registration, data)),
+    };
+    mockTeamRepository = { findById: jest.fn() };
+    useCase = new CheckInForTournamentUseCase(mockTournamentRepository, mockTournamentParticipantRepository, mockTeamRepository);
+  });
+
+  it('should check the user in on the locked tournament', async () => {
+    const result = await useCase.execute({ userId, tournamentId, now });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockTournamentParticipantRepository.update).toHaveBeenCalledWith('registration-1', { checkInStatus: true }, { transaction });
+    expect(result.checkInStatus).toBe(true);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should let a team captain check the team in', async () => {
+    const teamRegistration = new TournamentParticipant('registration-2', tournamentId, 'team-1', 'team', new Date());
+    mockTournamentParticipantRepository.findByUserIdAndTournamentId.mockResolvedValue(null);
+    mockTournamentParticipantRepository.findAllByTournamentId.mockResolvedValue([teamRegistration]);
+    mockTeamRepository.findById.mockResolvedValue({ id: 'team-1', ownerId: userId });
+
+    await useCase.execute({ userId, tournamentId, now });
+
+    expect(mockTournamentParticipantRepository.update).toHaveBeenCalledWith('registration-2', { checkInStatus: true }, { transaction });
+  });
+
+  it('should not update a registration that is already checked in', async () => {
+    registration.checkInStatus = true;
+    const result = await useCase.execute({ userId, tournamentId, now });
+    expect(mockTournamentParticipantRepository.update).not.toHaveBeenCalled();
+    expect(result).toBe(registration);
+  });
+
+  it('should throw BadRequestError outside the check-in window', async () => {
+    await expect(useCase.execute({ userId, tournamentId, now: new Date('2025-08-01T17:00:00Z') }))
+      .rejects.toThrow(BadRequestError);
+    await expect(useCase.execute({ userId, tournamentId, now: startDate })).rejects.toThrow(BadRequestError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if the tournament does not require check-in', async () => {
+    tournament.settings = {};
+    await expect(useCase.execute({ userId, tournamentId, now })).rejects.toThrow('This tournament does not require check-in.');
+  });
+
+  it('should throw NotFoundError if the user is neither registered nor a captain of a registered team', async () => {
+    mockTournamentParticipantRepository.findByUserIdAndTournamentId.mockResolvedValue(null);
+    mockTournamentParticipantRepository.findAllByTournamentId.mockResolvedValue([
+      new TournamentParticipant('registration-2', tournamentId, 'team-1', 'team', new Date()),
+    ]);
+    mockTeamRepository.findById.mockResolvedValue({ id: 'team-1', ownerId: 'someone-else' });
+
+    await expect(useCase.execute({ userId, tournamentId, now })).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,141 @@
+const GenerateBracketUseCase = require('../../../../../src/application/use-cases/tournament/generate-bracket.usecase');
+const SeedingService = require('../../../../../src/application/services/seeding.service');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { Match } = require('../../../../../src/domain/tournament/match.entity');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('GenerateBracketUseCase', () => {
+  const tournamentId = 'tournament-uuid-456';
+  const admin = { id: 'admin-uuid', roles: ['ADMIN'] };
+  const manager = { id: 'manager-uuid', roles: ['TOURNAMENT_MANAGER'] };
+  let mockTournamentRepository;
+  let mockMatchRepository;
+  let seedingService;
+  let transaction;
+  let tournament;
+  let useCase;
+
+  const participants = (count) => Array.from({ length: count }, (_, i) => ({
+    participantId: `p${i + 1}`, participantType: 'user', seed: i + 1,
+  }));
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = new Tournament(
+      tournamentId, 'Test Tournament', 'game-uuid', 'Description', 'Rules',
+      TournamentStatus.REGISTRATION_OPEN, 0, EntryFeeType.FREE, 0, PrizeType.NONE,
+      null, 8, 4, new Date(Date.now() + 100000), null, null, [manager.id], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, {}
+    );
+
+    mockTournamentRepository = {
+      findById: jest.fn().mockResolvedValue(tournament),
+      findParticipantsByTournamentId: jest.fn().mockResolvedValue(participants(4)),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(tournament, data)),
+    };
+    mockMatchRepository = {
+      findByTournamentId: jest.fn().mockResolvedValue([]),
+      deleteByTournamentId: jest.fn().mockResolvedValue(0),
+      createBulk: jest.fn().mockImplementation(async (matches) => matches),
+    };
+    seedingService = new SeedingService();
+    useCase = new GenerateBracketUseCase(mockTournamentRepository, mockMatchRepository, seedingService);
+  });
+
+  it('should generate, persist the bracket and close registration in one transaction', async () => {
+    const result = await useCase.execute({ tournamentId, user: admin });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockMatchRepository.createBulk).toHaveBeenCalledWith(expect.any(Array), { transaction });
+    expect(result.matches.length).toBe(3);
+    expect(result.matches.filter((m) => m.participant1Id).every((m) => m.participant1Type === 'user')).toBe(true);
+    expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(
+      tournamentId, { status: TournamentStatus.REGISTRATION_CLOSED }, { transaction }
+    );
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(mockMatchRepository.deleteByTournamentId).not.toHaveBeenCalled();
+  });
+
+  it('should use the bracket type and settings of the tournament', async () => {
+    tournament.bracketType = BracketType.ROUND_ROBIN;
+    tournament.settings = { doubleRoundRobin: true };
+
+    const result = await useCase.execute({ tournamentId, user: admin });
+
+    expect(result.matches.length).toBe(12);
+  });
+
+  it('should place participants by the seeds of the seeding strategy', async () => {
+    tournament.settings = { seeding: { strategy: 'MANUAL', manualOrder: ['p4', 'p3', 'p2', 'p1'] } };
+    const seedSpy = jest.spyOn(seedingService, 'seedParticipants');
+
+    const result = await useCase.execute({ tournamentId, user: admin });
+    const firstRound = result.matches.filter((m) => m.roundNumber === 1);
+
+    expect(seedSpy).toHaveBeenCalledWith(tournament, expect.any(Array));
+    expect([firstRound[0].participant1Id, firstRound[0].participant2Id]).toEqual(['p4', 'p1']);
+  });
+
+  it('should move the winners of byes into the next round', async () => {
+    mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue(participants(3));
+
+    const result = await useCase.execute({ tournamentId, user: admin });
+    const final = result.matches.find((m) => m.roundNumber === 2);
+
+    expect(final.participant1Id).toBe('p1');
+  });
+
+  it('should replace an existing bracket when no match has started', async () => {
+    const scheduled = new Match('m1', tournamentId, 1, 1, 'p1', 'p2', Match.Status.SCHEDULED);
+    const bye = new Match('m2', tournamentId, 1, 2, 'p3', null, Match.Status.COMPLETED, null, null, null, 'p3');
+    mockMatchRepository.findByTournamentId.mockResolvedValue([scheduled, bye]);
+
+    await useCase.execute({ tournamentId, user: admin });
+
+    expect(mockMatchRepository.deleteByTournamentId).toHaveBeenCalledWith(tournamentId, { transaction });
+    expect(mockMatchRepository.createBulk).toHaveBeenCalled();
+  });
+
+  it('should refuse to regenerate once a match has started', async () => {
+    const started = new Match('m1', tournamentId, 1, 1, 'p1', 'p2', Match.Status.IN_PROGRESS);
+    mockMatchRepository.findByTournamentId.mockResolvedValue([started]);
+
+    await expect(useCase.execute({ tournamentId, user: admin })).rejects.toThrow(ConflictError);
+    expect(mockMatchRepository.deleteByTournamentId).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should allow a manager of the tournament', async () => {
+    await expect(useCase.execute({ tournamentId, user: manager })).resolves.toBeDefined();
+  });
+
+  it('should reject a manager who does not manage the tournament', async () => {
+    const otherManager = { id: 'other-manager', roles: ['TOURNAMENT_MANAGER'] };
+    await expect(useCase.execute({ tournamentId, user: otherManager })).rejects.toThrow(ForbiddenError);
+  });
+
+  it('should throw NotFoundError if the tournament does not exist', async () => {
+    mockTournamentRepository.findById.mockResolvedValue(null);
+    await expect(useCase.execute({ tournamentId, user: admin })).rejects.toThrow(NotFoundError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError for a completed tournament', async () => {
+    tournament.status = TournamentStatus.COMPLETED;
+    await expect(useCase.execute({ tournamentId, user: admin })).rejects.toThrow(BadRequestError);
+  });
+
+  it('should throw BadRequestError with fewer than two participants', async () => {
+    mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue(participants(1));
+    await expect(useCase.execute({ tournamentId, user: admin })).rejects.toThrow(BadRequestError);
+    expect(mockMatchRepository.createBulk).not.toHaveBeenCalled();
+  });
+});
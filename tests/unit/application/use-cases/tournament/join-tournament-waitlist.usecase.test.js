@@ -0,0 +1,82 @@
+const JoinTournamentWaitlistUseCase = require('../../../../../src/application/use-cases/tournament/join-tournament-waitlist.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { TournamentWaitlistEntry } = require('../../../../../src/domain/tournament/tournamentWaitlistEntry.entity');
+const { BadRequestError, ConflictError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('JoinTournamentWaitlistUseCase', () => {
+  const tournamentId = 'tournament-uuid-1';
+  const userId = 'user-uuid-1';
+  let transaction;
+  let tournament;
+  let mockTournamentRepository;
+  let mockTournamentParticipantRepository;
+  let mockWaitlistRepository;
+  let mockUserGameProfileRepository;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = new Tournament(
+      tournamentId, 'Summer Cup', 'game-uuid', null, null,
+      TournamentStatus.REGISTRATION_OPEN, 10, EntryFeeType.PAID_CASH, 0, PrizeType.NONE,
+      null, 8, 8, new Date('2025-08-01T18:00:00Z'), null, null, [], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, {}
+    );
+    mockTournamentRepository = { findById: jest.fn().mockImplementation(async () => tournament) };
+    mockTournamentParticipantRepository = { findByUserIdAndTournamentId: jest.fn().mockResolvedValue(null) };
+    mockWaitlistRepository = {
+      findWaitingByTournamentAndUser: jest.fn().mockResolvedValue(null),
+      create: jest.fn().mockImplementation(async (entry) => Object.assign(entry, { id: 'entry-1' })),
+      getPosition: jest.fn().mockResolvedValue(3),
+    };
+    mockUserGameProfileRepository = { findByUserIdAndGameId: jest.fn().mockResolvedValue({ inGameName: 'Player1' }) };
+    useCase = new JoinTournamentWaitlistUseCase(
+      mockTournamentRepository, mockTournamentParticipantRepository, mockWaitlistRepository, mockUserGameProfileRepository
+    );
+  });
+
+  it('should add the user to the waitlist of a full tournament and return their position', async () => {
+    const result = await useCase.execute({ userId, tournamentId });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockWaitlistRepository.create).toHaveBeenCalledWith(expect.any(TournamentWaitlistEntry), { transaction });
+    expect(result.entry).toMatchObject({ tournamentId, userId, status: TournamentWaitlistEntry.Status.WAITING });
+    expect(result.position).toBe(3);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if the tournament still has free spots', async () => {
+    tournament.currentParticipants = 7;
+    await expect(useCase.execute({ userId, tournamentId })).rejects.toThrow('Tournament is not full. Register for it instead.');
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should throw BadRequestError if registration is not open', async () => {
+    tournament.status = TournamentStatus.REGISTRATION_CLOSED;
+    await expect(useCase.execute({ userId, tournamentId })).rejects.toThrow(BadRequestError);
+  });
+
+  it('should throw ConflictError if the user is registered or already waiting', async () => {
+    mockTournamentParticipantRepository.findByUserIdAndTournamentId.mockResolvedValueOnce({ id: 'registration-1' });
+    await expect(useCase.execute({ userId, tournamentId })).rejects.toThrow(ConflictError);
+
+    mockWaitlistRepository.findWaitingByTournamentAndUser.mockResolvedValueOnce({ id: 'entry-0' });
+    await expect(useCase.execute({ userId, tournamentId })).rejects.toThrow(ConflictError);
+    expect(mockWaitlistRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should require an in-game name, since promotion registers the user without asking again', async () => {
+    mockUserGameProfileRepository.findByUserIdAndGameId.mockResolvedValue(null);
+    await expect(useCase.execute({ userId, tournamentId })).rejects.toThrow(BadRequestError);
+    expect(mockWaitlistRepository.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,35 @@
+const LeaveTournamentWaitlistUseCase = require('../../../../../src/application/use-cases/tournament/leave-tournament-waitlist.usecase');
+const { TournamentWaitlistEntry } = require('../../../../../src/domain/tournament/tournamentWaitlistEntry.entity');
+const { NotFoundError } = require('../../../../../src/utils/errors');
+
+describe('LeaveTournamentWaitlistUseCase', () => {
+  const tournamentId = 'tournament-uuid-1';
+  const userId = 'user-uuid-1';
+  let mockWaitlistRepository;
+  let useCase;
+
+  beforeEach(() => {
+    mockWaitlistRepository = {
+      findWaitingByTournamentAndUser: jest.fn().mockResolvedValue(new TournamentWaitlistEntry({ id: 'entry-1', tournamentId, userId })),
+      updateStatus: jest.fn().mockResolvedValue(true),
+    };
+    useCase = new LeaveTournamentWaitlistUseCase(mockWaitlistRepository);
+  });
+
+  it('should mark the waiting entry as LEFT', async () => {
+    const entry = await useCase.execute({ userId, tournamentId });
+
+    expect(mockWaitlistRepository.updateStatus).toHaveBeenCalledWith('entry-1', TournamentWaitlistEntry.Status.LEFT);
+    expect(entry.status).toBe(TournamentWaitlistEntry.Status.LEFT);
+  });
+
+  it('should throw NotFoundError if the user is not waiting', async () => {
+    mockWaitlistRepository.findWaitingByTournamentAndUser.mockResolvedValue(null);
+    await expect(useCase.execute({ userId, tournamentId })).rejects.toThrow(NotFoundError);
+  });
+
+  it('should throw NotFoundError if the user was promoted in the meantime', async () => {
+    mockWaitlistRepository.updateStatus.mockResolvedValue(false);
+    await expect(useCase.execute({ userId, tournamentId })).rejects.toThrow(NotFoundError);
+  });
+});
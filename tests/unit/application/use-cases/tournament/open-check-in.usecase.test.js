@@ -0,0 +1,83 @@
+const OpenCheckInUseCase = require('../../../../../src/application/use-cases/tournament/open-check-in.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+jest.mock('../../../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('OpenCheckInUseCase', () => {
+  const tournamentId = 'tournament-uuid-1';
+  const startDate = new Date('2025-08-01T18:00:00Z');
+  const now = new Date('2025-08-01T17:30:10Z');
+  let transaction;
+  let tournament;
+  let mockTournamentRepository;
+  let mockTeamRepository;
+  let mockSocketEmitter;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = new Tournament(
+      tournamentId, 'Summer Cup', 'game-uuid', null, null,
+      TournamentStatus.REGISTRATION_OPEN, 0, EntryFeeType.FREE, 0, PrizeType.NONE,
+      null, 8, 2, startDate, null, null, [], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, { checkInWindowMinutes: 30 }
+    );
+    mockTournamentRepository = {
+      findById: jest.fn().mockImplementation(async () => tournament),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(tournament, data)),
+      findParticipantsByTournamentId: jest.fn().mockResolvedValue([
+        { participantId: 'user-1', participantType: 'user' },
+        { participantId: 'team-1', participantType: 'team' },
+      ]),
+    };
+    mockTeamRepository = { findById: jest.fn().mockResolvedValue({ id: 'team-1', ownerId: 'captain-1' }) };
+    mockSocketEmitter = { toUser: jest.fn().mockReturnValue(true) };
+    useCase = new OpenCheckInUseCase(mockTournamentRepository, mockTeamRepository, mockSocketEmitter);
+  });
+
+  it('should mark check-in as opened and remind users and team captains', async () => {
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(
+      tournamentId, { settings: { checkInWindowMinutes: 30, checkInOpenedAt: now.toISOString() } }, { transaction }
+    );
+    expect(transaction.commit).toHaveBeenCalled();
+    const payload = { tournamentId, tournamentName: 'Summer Cup', checkInClosesAt: startDate };
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('user-1', 'checkInReminder', payload);
+    expect(mockSocketEmitter.toUser).toHaveBeenCalledWith('captain-1', 'checkInReminder', payload);
+    expect(result.remindedUserIds).toEqual(['user-1', 'captain-1']);
+  });
+
+  it('should skip a tournament whose check-in was already opened', async () => {
+    tournament.settings.checkInOpenedAt = '2025-08-01T17:30:00.000Z';
+
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(result).toBeNull();
+    expect(mockTournamentRepository.updateById).not.toHaveBeenCalled();
+    expect(mockSocketEmitter.toUser).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should skip a tournament whose check-in window has not opened yet', async () => {
+    const result = await useCase.execute({ tournamentId, now: new Date('2025-08-01T17:00:00Z') });
+    expect(result).toBeNull();
+  });
+
+  it('should keep reminding the others if one reminder fails', async () => {
+    mockTeamRepository.findById.mockRejectedValue(new Error('Database unavailable'));
+
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(result.remindedUserIds).toEqual(['user-1']);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+const OpenTournamentRegistrationUseCase = require('../../../../../src/application/use-cases/tournament/open-tournament-registration.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('OpenTournamentRegistrationUseCase', () => {
+  const tournamentId = 'tournament-uuid-1';
+  const now = new Date('2025-08-01T12:00:00Z');
+  let transaction;
+  let tournament;
+  let mockTournamentRepository;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = new Tournament(
+      tournamentId, 'Summer Cup', 'game-uuid', null, null,
+      TournamentStatus.PENDING, 0, EntryFeeType.FREE, 0, PrizeType.NONE,
+      null, 8, 0, new Date('2025-08-01T18:00:00Z'), null, null, [], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION,
+      { registrationOpensAt: '2025-08-01T11:00:00.000Z' }
+    );
+    mockTournamentRepository = {
+      findById: jest.fn().mockImplementation(async () => tournament),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(tournament, data)),
+    };
+    useCase = new OpenTournamentRegistrationUseCase(mockTournamentRepository);
+  });
+
+  it('should open registration once the configured time has passed', async () => {
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(
+      tournamentId, { status: TournamentStatus.REGISTRATION_OPEN }, { transaction }
+    );
+    expect(result.status).toBe(TournamentStatus.REGISTRATION_OPEN);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should skip a tournament whose registration is already open', async () => {
+    tournament.status = TournamentStatus.REGISTRATION_OPEN;
+    await expect(useCase.execute({ tournamentId, now })).resolves.toBeNull();
+    expect(mockTournamentRepository.updateById).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should skip a tournament without a registration time or before it', async () => {
+    await expect(useCase.execute({ tournamentId, now: new Date('2025-08-01T10:59:00Z') })).resolves.toBeNull();
+    tournament.settings = {};
+    await expect(useCase.execute({ tournamentId, now })).resolves.toBeNull();
+    expect(mockTournamentRepository.updateById).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,11 @@
 const RegisterForTournamentUseCase = require('../../../../../src/application/use-cases/tournament/registerForTournament.useCase');
 const { Tournament, TournamentStatus, EntryFeeType, PrizeType } = require('../../../../../src/domain/tournament/tournament.entity');
 const { BadRequestError, NotFoundError, ForbiddenError, ConflictError, InternalServerError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
 
 // Mock Repositories
 const mockTournamentRepository = {
@@ -14,10 +19,9 @@ const mockTournamentParticipantRepository = {
 const mockUserGameProfileRepository = {
   findByUserIdAndGameId: jest.fn(),
 };
-const mockWalletRepository = {
-  findByUserId: jest.fn(),
-  debit: jest.fn(),
-}
+const mockEntryFeeChargeService = {
+  chargeFee: jest.fn(),
+};
 
 describe('RegisterForTournamentUseCase', () => {
   let registerForTournamentUseCase;
@@ -26,14 +30,20 @@ describe('RegisterForTournamentUseCase', () => {
   const gameId = 'game-uuid-789';
   let testTournamentEntity;
   let testUserGameProfile;
+  let transaction;
 
   beforeEach(() => {
     jest.clearAllMocks();
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
     registerForTournamentUseCase = new RegisterForTournamentUseCase(
       mockTournamentRepository,
       mockTournamentParticipantRepository,
       mockUserGameProfileRepository,
-      mockWalletRepository
+      mockEntryFeeChargeService
     );
 
     testTournamentEntity = new Tournament(
@@ -52,7 +62,7 @@ describe('RegisterForTournamentUseCase', () => {
     mockTournamentRepository.findById.mockResolvedValue(testTournamentEntity);
     mockTournamentParticipantRepository.findByUserIdAndTournamentId.mockResolvedValue(null);
     mockUserGameProfileRepository.findByUserIdAndGameId.mockResolvedValue(testUserGameProfile);
-    mockTournamentParticipantRepository.create.mockResolvedValue({ userId, tournamentId, registeredAt: new Date() });
+    mockTournamentParticipantRepository.create.mockResolvedValue({ id: 'registration-1', participantId: userId, participantType: 'user', tournamentId, registeredAt: new Date() });
     mockTournamentRepository.incrementParticipantCount.mockResolvedValue(true);
   });
 
@@ -61,17 +71,41 @@ describe('RegisterForTournamentUseCase', () => {
     mockTournamentRepository.findById.mockResolvedValue(testTournamentEntity);
     mockTournamentParticipantRepository.findByUserIdAndTournamentId.mockResolvedValue(null);
     mockUserGameProfileRepository.findByUserIdAndGameId.mockResolvedValue(testUserGameProfile);
-    mockTournamentParticipantRepository.create.mockResolvedValue({ userId, tournamentId, registeredAt: new Date() });
     mockTournamentRepository.incrementParticipantCount.mockResolvedValue(true);
 
     const result = await registerForTournamentUseCase.execute({ userId, tournamentId });
-    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId);
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
     expect(canRegisterSpy).toHaveBeenCalledTimes(1);
-    expect(mockTournamentParticipantRepository.findByUserIdAndTournamentId).toHaveBeenCalledWith(userId, tournamentId);
+    expect(mockTournamentParticipantRepository.findByUserIdAndTournamentId).toHaveBeenCalledWith(userId, tournamentId, { transaction });
     expect(mockUserGameProfileRepository.findByUserIdAndGameId).toHaveBeenCalledWith(userId, gameId);
-    expect(mockTournamentParticipantRepository.create).toHaveBeenCalledWith(expect.objectContaining({ userId, tournamentId }));
-    expect(mockTournamentRepository.incrementParticipantCount).toHaveBeenCalledWith(tournamentId);
-    expect(result).toEqual(expect.objectContaining({ userId, tournamentId }));
+    expect(mockTournamentParticipantRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ participantId: userId, participantType: 'user', tournamentId }), { transaction }
+    );
+    expect(mockEntryFeeChargeService.chargeFee).not.toHaveBeenCalled();
+    expect(mockTournamentRepository.incrementParticipantCount).toHaveBeenCalledWith(tournamentId, { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ participantId: userId, tournamentId }));
+  });
+
+  it('should charge the entry fee within the registration transaction', async () => {
+    testTournamentEntity.entryFee = 25;
+
+    const result = await registerForTournamentUseCase.execute({ userId, tournamentId });
+
+    expect(mockEntryFeeChargeService.chargeFee).toHaveBeenCalledWith(
+      { userId, amount: 25, registration: result }, { transaction }
+    );
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should roll back the registration if the entry fee cannot be paid', async () => {
+    testTournamentEntity.entryFee = 25;
+    mockEntryFeeChargeService.chargeFee.mockRejectedValueOnce(new ForbiddenError('Insufficient funds to pay the entry fee.'));
+
+    await expect(registerForTournamentUseCase.execute({ userId, tournamentId })).rejects.toThrow(ForbiddenError);
+    expect(mockTournamentRepository.incrementParticipantCount).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
   });
 
   it('should throw ApiError if userId or tournamentId is missing', async () => {
@@ -100,7 +134,7 @@ describe('RegisterForTournamentUseCase', () => {
     mockTournamentRepository.findById.mockResolvedValue(testTournamentEntity);
 
     await expect(registerForTournamentUseCase.execute({ userId, tournamentId }))
-      .rejects.toThrow(new ForbiddenError('Cannot register for tournament: Tournament is full.'));
+      .rejects.toThrow(new ForbiddenError('Cannot register for tournament: Tournament is full. Join the waitlist to be registered when a spot frees up.'));
   });
 
   it('should throw ApiError if user is already registered', async () => {
@@ -150,6 +184,7 @@ describe('RegisterForTournamentUseCase', () => {
     mockTournamentRepository.incrementParticipantCount.mockRejectedValue(new Error('DB count error'));
     await expect(registerForTournamentUseCase.execute({ userId, tournamentId }))
         .rejects.toThrow('DB count error');
+    expect(transaction.rollback).toHaveBeenCalled();
   });
 
 });
@@ -0,0 +1,69 @@
+const SetPayoutTableUseCase = require('../../../../../src/application/use-cases/tournament/set-payout-table.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../../src/utils/errors');
+
+describe('SetPayoutTableUseCase', () => {
+  const tournamentId = 'tournament-uuid-456';
+  const admin = { id: 'admin-uuid', roles: ['ADMIN'] };
+  const payoutTable = {
+    mode: 'PERCENTAGE',
+    places: [{ from: 3, to: 4, value: 10 }, { from: 1, to: 1, value: 50 }, { from: 2, to: 2, value: 30 }],
+  };
+  let mockTournamentRepository;
+  let tournament;
+  let useCase;
+
+  beforeEach(() => {
+    tournament = new Tournament(
+      tournamentId, 'Test Tournament', 'game-uuid', 'Description', 'Rules',
+      TournamentStatus.REGISTRATION_OPEN, 10, EntryFeeType.PAID_CASH, 1000, PrizeType.CASH,
+      null, 8, 2, new Date(Date.now() + 100000), null, null, ['manager-uuid'], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, { groupCount: 2 }
+    );
+    mockTournamentRepository = {
+      findById: jest.fn().mockResolvedValue(tournament),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(tournament, data)),
+    };
+    useCase = new SetPayoutTableUseCase(mockTournamentRepository);
+  });
+
+  it('should store the payout table sorted by placement without dropping other settings', async () => {
+    await useCase.execute({ tournamentId, user: admin, payoutTable });
+
+    expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(tournamentId, {
+      settings: {
+        groupCount: 2,
+        payoutTable: {
+          mode: 'PERCENTAGE',
+          places: [{ from: 1, to: 1, value: 50 }, { from: 2, to: 2, value: 30 }, { from: 3, to: 4, value: 10 }],
+        },
+      },
+    });
+  });
+
+  it('should reject fixed payouts exceeding the prize pool', async () => {
+    const fixed = { mode: 'FIXED', places: [{ from: 1, to: 1, value: 1200 }] };
+    await expect(useCase.execute({ tournamentId, user: admin, payoutTable: fixed })).rejects.toThrow(BadRequestError);
+    expect(mockTournamentRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('should let a manager of the tournament set the payout table', async () => {
+    const manager = { id: 'manager-uuid', roles: ['TOURNAMENT_MANAGER'] };
+    await expect(useCase.execute({ tournamentId, user: manager, payoutTable })).resolves.toBeDefined();
+  });
+
+  it('should throw ForbiddenError for a manager of another tournament', async () => {
+    const otherManager = { id: 'other-uuid', roles: ['TOURNAMENT_MANAGER'] };
+    await expect(useCase.execute({ tournamentId, user: otherManager, payoutTable })).rejects.toThrow(ForbiddenError);
+  });
+
+  it('should throw BadRequestError once the tournament is completed', async () => {
+    tournament.status = TournamentStatus.COMPLETED;
+    await expect(useCase.execute({ tournamentId, user: admin, payoutTable })).rejects.toThrow(BadRequestError);
+  });
+
+  it('should throw NotFoundError if the tournament does not exist', async () => {
+    mockTournamentRepository.findById.mockResolvedValue(null);
+    await expect(useCase.execute({ tournamentId, user: admin, payoutTable })).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,66 @@
+const SetSeedingUseCase = require('../../../../../src/application/use-cases/tournament/set-seeding.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../../src/utils/errors');
+
+describe('SetSeedingUseCase', () => {
+  const tournamentId = 'tournament-uuid-456';
+  const admin = { id: 'admin-uuid', roles: ['ADMIN'] };
+  let mockTournamentRepository;
+  let tournament;
+  let useCase;
+
+  beforeEach(() => {
+    tournament = new Tournament(
+      tournamentId, 'Test Tournament', 'game-uuid', 'Description', 'Rules',
+      TournamentStatus.REGISTRATION_OPEN, 0, EntryFeeType.FREE, 0, PrizeType.NONE,
+      null, 8, 2, new Date(Date.now() + 100000), null, null, ['manager-uuid'], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, { groupCount: 2 }
+    );
+    mockTournamentRepository = {
+      findById: jest.fn().mockResolvedValue(tournament),
+      findParticipantsByTournamentId: jest.fn().mockResolvedValue([{ participantId: 'p1' }, { participantId: 'p2' }]),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(tournament, data)),
+    };
+    useCase = new SetSeedingUseCase(mockTournamentRepository);
+  });
+
+  it('should store the strategy in the tournament settings without dropping other settings', async () => {
+    await useCase.execute({ tournamentId, user: admin, seeding: { strategy: 'POINTS' } });
+
+    expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(tournamentId, {
+      settings: { groupCount: 2, seeding: { strategy: 'POINTS' } },
+    });
+  });
+
+  it('should store a manual order of registered participants', async () => {
+    await useCase.execute({ tournamentId, user: admin, seeding: { strategy: 'MANUAL', manualOrder: ['p2', 'p1'] } });
+
+    expect(tournament.settings.seeding).toEqual({ strategy: 'MANUAL', manualOrder: ['p2', 'p1'] });
+  });
+
+  it('should reject a manual order with unregistered participants', async () => {
+    await expect(useCase.execute({ tournamentId, user: admin, seeding: { strategy: 'MANUAL', manualOrder: ['p1', 'p9'] } }))
+      .rejects.toThrow(BadRequestError);
+    expect(mockTournamentRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  it('should reject an unknown strategy', async () => {
+    await expect(useCase.execute({ tournamentId, user: admin, seeding: { strategy: 'ELO' } })).rejects.toThrow(BadRequestError);
+  });
+
+  it('should reject a manager who does not manage the tournament', async () => {
+    const otherManager = { id: 'other-manager', roles: ['TOURNAMENT_MANAGER'] };
+    await expect(useCase.execute({ tournamentId, user: otherManager, seeding: { strategy: 'RANDOM' } }))
+      .rejects.toThrow(ForbiddenError);
+  });
+
+  it('should reject changes once the tournament is ongoing', async () => {
+    tournament.status = TournamentStatus.ONGOING;
+    await expect(useCase.execute({ tournamentId, user: admin, seeding: { strategy: 'RANDOM' } })).rejects.toThrow(BadRequestError);
+  });
+
+  it('should throw NotFoundError if the tournament does not exist', async () => {
+    mockTournamentRepository.findById.mockResolvedValue(null);
+    await expect(useCase.execute({ tournamentId, user: admin, seeding: { strategy: 'RANDOM' } })).rejects.toThrow(NotFoundError);
+  });
+});
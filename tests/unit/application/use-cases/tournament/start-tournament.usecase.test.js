@@ -0,0 +1,234 @@
+const StartTournamentUseCase = require('../../../../../src/application/use-cases/tournament/start-tournament.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { Notification } = require('../../../../../src/domain/notification/notification.entity');
+const { BadRequestError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('StartTournamentUseCase', () => {
+  const tournamentId = 'tournament-uuid-1';
+  const startDate = new Date('2025-08-01T18:00:00Z');
+  const now = new Date('2025-08-01T18:00:30Z');
+  let transaction;
+  let tournament;
+  let mockTournamentRepository;
+  let mockMatchRepository;
+  let mockGenerateBracketUseCase;
+  let mockEntryFeeRefundService;
+  let mockTournamentParticipantRepository;
+  let useCase;
+
+  const participants = (count) => Array.from({ length: count }, (_, i) => ({
+    participantId: `p${i + 1}`, participantType: 'user',
+  }));
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = new Tournament(
+      tournamentId, 'Summer Cup', 'game-uuid', null, null,
+      TournamentStatus.REGISTRATION_OPEN, 10, EntryFeeType.PAID_CASH, 0, PrizeType.NONE,
+      null, 8, 4, startDate, null, null, [], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, { minParticipants: 4 }
+    );
+
+    mockTournamentRepository = {
+      findById: jest.fn().mockImplementation(async () => tournament),
+      findParticipantsByTournamentId: jest.fn().mockResolvedValue(participants(4)),
+      updateById: jest.fn().mockImplementation(async (id, data) => Object.assign(tournament, data)),
+      decrementParticipantCount: jest.fn().mockResolvedValue(true),
+    };
+    mockMatchRepository = { findByTournamentId: jest.fn().mockResolvedValue([]) };
+    mockGenerateBracketUseCase = {
+      generateInTransaction: jest.fn().mockImplementation(async (t) => {
+        t.closeRegistration();
+        return { tournament: t, matches: [{ id: 'm1' }, { id: 'm2' }, { id: 'm3' }] };
+      }),
+    };
+    mockEntryFeeRefundService = {
+      refundTournament: jest.fn().mockResolvedValue([{ id: 'refund-1' }]),
+      refundRegistration: jest.fn().mockResolvedValue([{ id: 'no-show-refund' }]),
+    };
+    mockTournamentParticipantRepository = { delete: jest.fn().mockResolvedValue(true) };
+    useCase = new StartTournamentUseCase(
+      mockTournamentRepository, mockMatchRepository, mockGenerateBracketUseCase, mockEntryFeeRefundService,
+      mockTournamentParticipantRepository
+    );
+  });
+
+  it('should generate the bracket and start the tournament in one locked transaction', async () => {
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockGenerateBracketUseCase.generateInTransaction).toHaveBeenCalledWith(tournament, transaction);
+    expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(
+      tournamentId, { status: TournamentStatus.ONGOING }, { transaction }
+    );
+    expect(result.started).toBe(true);
+    expect(result.matches).toHaveLength(3);
+    expect(mockEntryFeeRefundService.refundTournament).not.toHaveBeenCalled();
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should keep a bracket a manager already generated', async () => {
+    tournament.status = TournamentStatus.REGISTRATION_CLOSED;
+    mockMatchRepository.findByTournamentId.mockResolvedValue([{ id: 'm1' }]);
+
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(mockGenerateBracketUseCase.generateInTransaction).not.toHaveBeenCalled();
+    expect(result.tournament.status).toBe(TournamentStatus.ONGOING);
+  });
+
+  it('should cancel the tournament and refund entry fees when there are too few participants', async () => {
+    mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue(participants(3));
+
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(
+      tournamentId,
+      { status: TournamentStatus.CANCELED, description: expect.stringContaining('Not enough participants (3 of 4 required).') },
+      { transaction }
+    );
+    expect(mockEntryFeeRefundService.refundTournament).toHaveBeenCalledWith(
+      tournamentId, { reason: expect.any(String), transaction }
+    );
+    expect(mockGenerateBracketUseCase.generateInTransaction).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ started: false, refunds: [{ id: 'refund-1' }] });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should push the bracket and the new status to subscribers once committed', async () => {
+    const mockBroadcastService = { bracketGenerated: jest.fn(), statusChanged: jest.fn() };
+    useCase = new StartTournamentUseCase(
+      mockTournamentRepository, mockMatchRepository, mockGenerateBracketUseCase, mockEntryFeeRefundService,
+      mockTournamentParticipantRepository, mockBroadcastService
+    );
+
+    await useCase.execute({ tournamentId, now });
+    expect(mockBroadcastService.bracketGenerated).toHaveBeenCalledWith(tournament, expect.arrayContaining([{ id: 'm1' }]));
+    expect(mockBroadcastService.statusChanged).toHaveBeenCalledWith(expect.objectContaining({ status: TournamentStatus.ONGOING }));
+
+    mockBroadcastService.bracketGenerated.mockClear();
+    tournament.status = TournamentStatus.REGISTRATION_OPEN;
+    mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue(participants(3));
+    await useCase.execute({ tournamentId, now });
+    expect(mockBroadcastService.bracketGenerated).not.toHaveBeenCalled();
+    expect(mockBroadcastService.statusChanged).toHaveBeenLastCalledWith(expect.objectContaining({ status: TournamentStatus.CANCELED }));
+  });
+
+  it('should skip a tournament another run already started or canceled', async () => {
+    tournament.status = TournamentStatus.ONGOING;
+
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(result).toBeNull();
+    expect(mockTournamentRepository.updateById).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should skip a tournament whose start date has not passed', async () => {
+    const result = await useCase.execute({ tournamentId, now: new Date(startDate.getTime() - 1000) });
+    expect(result).toBeNull();
+    expect(mockTournamentRepository.findParticipantsByTournamentId).not.toHaveBeenCalled();
+  });
+
+  it('should cancel with full refunds and tell the managers when the bracket cannot be generated', async () => {
+    const retryTransaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    sequelize.transaction.mockResolvedValueOnce(transaction).mockResolvedValueOnce(retryTransaction);
+    tournament.organizerId = 'organizer-1';
+    tournament.managed_by = ['manager-1', 'organizer-1'];
+    mockGenerateBracketUseCase.generateInTransaction.mockRejectedValue(
+      new BadRequestError('A single match requires exactly two participants.')
+    );
+    const mockNotificationService = { notify: jest.fn() };
+    useCase = new StartTournamentUseCase(
+      mockTournamentRepository, mockMatchRepository, mockGenerateBracketUseCase, mockEntryFeeRefundService,
+      mockTournamentParticipantRepository, null, mockNotificationService
+    );
+
+    const result = await useCase.execute({ tournamentId, now });
+
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(result.started).toBe(false);
+    expect(result.tournament.status).toBe(TournamentStatus.CANCELED);
+    expect(mockEntryFeeRefundService.refundTournament).toHaveBeenCalledWith(tournamentId, expect.objectContaining({
+      transaction: retryTransaction,
+    }));
+    expect(retryTransaction.commit).toHaveBeenCalled();
+    expect(mockNotificationService.notify.mock.calls.map(([userId]) => userId)).toEqual(['organizer-1', 'manager-1']);
+    expect(mockNotificationService.notify).toHaveBeenCalledWith('manager-1', Notification.Type.TOURNAMENT_START_FAILED, {
+      payload: { tournamentId, reason: 'The bracket could not be generated: A single match requires exactly two participants.' },
+      link: `/tournaments/${tournamentId}`,
+    });
+  });
+
+  it('should pass on other errors of the bracket generation', async () => {
+    mockGenerateBracketUseCase.generateInTransaction.mockRejectedValue(new Error('connection reset'));
+
+    await expect(useCase.execute({ tournamentId, now })).rejects.toThrow('connection reset');
+    expect(mockEntryFeeRefundService.refundTournament).not.toHaveBeenCalled();
+  });
+
+  it('should roll back the cancellation if a refund fails', async () => {
+    mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue([]);
+    mockEntryFeeRefundService.refundTournament.mockRejectedValue(new Error('Wallet not found'));
+
+    await expect(useCase.execute({ tournamentId, now })).rejects.toThrow('Wallet not found');
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+
+  describe('with check-in', () => {
+    const registrations = (checkedIn) => checkedIn.map((isCheckedIn, i) => ({
+      id: `registration-${i + 1}`, participantId: `p${i + 1}`, participantType: 'user', checkInStatus: isCheckedIn,
+    }));
+
+    beforeEach(() => {
+      tournament.settings = {
+        minParticipants: 2,
+        checkInWindowMinutes: 30,
+        noShowRefundPolicy: { type: Tournament.RefundPolicy.PARTIAL, percentage: 50 },
+      };
+    });
+
+    it('should drop and refund no-shows per policy before generating the bracket', async () => {
+      mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue(registrations([true, false, true]));
+      mockMatchRepository.findByTournamentId.mockResolvedValue([{ id: 'm1' }]);
+
+      const result = await useCase.execute({ tournamentId, now });
+
+      expect(mockTournamentParticipantRepository.delete).toHaveBeenCalledTimes(1);
+      expect(mockTournamentParticipantRepository.delete).toHaveBeenCalledWith('registration-2', { transaction });
+      expect(mockTournamentRepository.decrementParticipantCount).toHaveBeenCalledWith(tournamentId, { transaction });
+      expect(mockEntryFeeRefundService.refundRegistration).toHaveBeenCalledWith(
+        'registration-2', { reason: expect.any(String), percentage: 50, transaction }
+      );
+      // The bracket a manager generated still contains the no-show, so it is regenerated
+      expect(mockGenerateBracketUseCase.generateInTransaction).toHaveBeenCalledWith(tournament, transaction);
+      expect(result).toMatchObject({ started: true, refunds: [{ id: 'no-show-refund' }] });
+      expect(result.dropped.map((p) => p.id)).toEqual(['registration-2']);
+    });
+
+    it('should cancel with full refunds when too few participants checked in', async () => {
+      mockTournamentRepository.findParticipantsByTournamentId.mockResolvedValue(registrations([true, false, false]));
+
+      const result = await useCase.execute({ tournamentId, now });
+
+      expect(result.started).toBe(false);
+      expect(mockTournamentRepository.updateById).toHaveBeenCalledWith(
+        tournamentId,
+        { status: TournamentStatus.CANCELED, description: expect.stringContaining('Not enough checked-in participants (1 of 2 required).') },
+        { transaction }
+      );
+      expect(mockTournamentParticipantRepository.delete).not.toHaveBeenCalled();
+      expect(mockEntryFeeRefundService.refundRegistration).not.toHaveBeenCalled();
+    });
+  });
+});
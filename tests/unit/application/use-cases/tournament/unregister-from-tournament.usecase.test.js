@@ -0,0 +1,113 @@
+const UnregisterFromTournamentUseCase = require('../../../../../src/application/use-cases/tournament/unregister-from-tournament.usecase');
+const { Tournament, TournamentStatus, EntryFeeType, PrizeType, BracketType } = require('../../../../../src/domain/tournament/tournament.entity');
+const { BadRequestError, NotFoundError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+
+describe('UnregisterFromTournamentUseCase', () => {
+  const tournamentId = 'tournament-uuid-456';
+  const userId = 'user-uuid-123';
+  const now = new Date('2025-07-01T10:00:00.000Z');
+  const registration = { id: 'registration-1', tournamentId, participantId: userId, participantType: 'user' };
+  let transaction;
+  let tournament;
+  let mockTournamentRepository;
+  let mockTournamentParticipantRepository;
+  let mockEntryFeeRefundService;
+  let mockWaitlistPromotionService;
+  let useCase;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    tournament = new Tournament(
+      tournamentId, 'Test Tournament', 'game-uuid', 'Description', 'Rules',
+      TournamentStatus.REGISTRATION_OPEN, 10, EntryFeeType.PAID_CASH, 0, PrizeType.NONE,
+      null, 8, 2, new Date('2025-07-02T10:00:00.000Z'), null, null, [], [], {},
+      new Date(), new Date(), null, BracketType.SINGLE_ELIMINATION, {}
+    );
+    mockTournamentRepository = {
+      findById: jest.fn().mockImplementation(async () => tournament),
+      decrementParticipantCount: jest.fn().mockResolvedValue(true),
+    };
+    mockTournamentParticipantRepository = {
+      findByUserIdAndTournamentId: jest.fn().mockResolvedValue(registration),
+      delete: jest.fn().mockResolvedValue(true),
+    };
+    mockEntryFeeRefundService = { refundRegistration: jest.fn().mockResolvedValue([{ id: 'refund-1', amount: 10 }]) };
+    mockWaitlistPromotionService = { promoteNext: jest.fn().mockResolvedValue({ promoted: null, skipped: [] }) };
+    useCase = new UnregisterFromTournamentUseCase(
+      mockTournamentRepository, mockTournamentParticipantRepository, mockEntryFeeRefundService, mockWaitlistPromotionService
+    );
+  });
+
+  it('should delete the registration, decrement the count and refund the fee in one transaction', async () => {
+    const result = await useCase.execute({ userId, tournamentId, now });
+
+    expect(mockTournamentRepository.findById).toHaveBeenCalledWith(tournamentId, { transaction, lock: 'UPDATE' });
+    expect(mockTournamentParticipantRepository.delete).toHaveBeenCalledWith('registration-1', { transaction });
+    expect(mockTournamentRepository.decrementParticipantCount).toHaveBeenCalledWith(tournamentId, { transaction });
+    expect(mockEntryFeeRefundService.refundRegistration).toHaveBeenCalledWith(
+      'registration-1', expect.objectContaining({ percentage: 100, transaction })
+    );
+    expect(mockWaitlistPromotionService.promoteNext).toHaveBeenCalledWith(tournament, { transaction });
+    expect(result).toEqual({ tournamentId, refundPercentage: 100, refunds: [{ id: 'refund-1', amount: 10 }], promotedUserId: null });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('should give the freed spot to the waitlist', async () => {
+    mockWaitlistPromotionService.promoteNext.mockResolvedValue({ promoted: { entry: { userId: 'user-uuid-9' } }, skipped: [] });
+    const result = await useCase.execute({ userId, tournamentId, now });
+    expect(result.promotedUserId).toBe('user-uuid-9');
+  });
+
+  it('should throw BadRequestError once the tournament has started', async () => {
+    await expect(useCase.execute({ userId, tournamentId, now: new Date('2025-07-02T10:00:00.000Z') }))
+      .rejects.toThrow(BadRequestError);
+
+    tournament.status = TournamentStatus.ONGOING;
+    await expect(useCase.execute({ userId, tournamentId, now })).rejects.toThrow(BadRequestError);
+    expect(mockTournamentParticipantRepository.delete).not.toHaveBeenCalled();
+  });
+
+  it('should refund the share set by the withdrawal refund policy', async () => {
+    tournament.settings = { withdrawalRefundPolicy: { type: 'PARTIAL', percentage: 40 } };
+    const result = await useCase.execute({ userId, tournamentId, now });
+
+    expect(mockEntryFeeRefundService.refundRegistration).toHaveBeenCalledWith(
+      'registration-1', expect.objectContaining({ percentage: 40, transaction })
+    );
+    expect(result.refundPercentage).toBe(40);
+  });
+
+  it('should throw BadRequestError once the withdrawal cutoff has passed', async () => {
+    // The tournament starts 24 hours after `now`
+    tournament.settings = { withdrawalCutoffMinutes: 24 * 60 };
+    await expect(useCase.execute({ userId, tournamentId, now }))
+      .rejects.toThrow('The withdrawal deadline for this tournament has passed.');
+    expect(mockTournamentParticipantRepository.delete).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+
+    tournament.settings = { withdrawalCutoffMinutes: 24 * 60 - 1 };
+    await expect(useCase.execute({ userId, tournamentId, now })).resolves.toMatchObject({ tournamentId });
+  });
+
+  it('should throw NotFoundError if the user is not registered', async () => {
+    mockTournamentParticipantRepository.findByUserIdAndTournamentId.mockResolvedValue(null);
+    await expect(useCase.execute({ userId, tournamentId, now })).rejects.toThrow(NotFoundError);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('should roll back the withdrawal if the refund fails', async () => {
+    mockEntryFeeRefundService.refundRegistration.mockRejectedValue(new NotFoundError('Wallet wallet-1 not found.'));
+    await expect(useCase.execute({ userId, tournamentId, now })).rejects.toThrow(NotFoundError);
+    expect(transaction.commit).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+const sharp = require('sharp');
+const UploadFileUseCase = require('../../../../../src/application/use-cases/upload/upload-file.usecase');
+const ImageProcessingService = require('../../../../../src/application/services/imageProcessing.service');
+const SharpImageProcessor = require('../../../../../src/infrastructure/imaging/sharp.image.processor');
+const { BadRequestError } = require('../../../../../src/utils/errors');
+
+describe('UploadFileUseCase', () => {
+  let objects;
+  let mockStorageService;
+  let useCase;
+
+  beforeEach(() => {
+    objects = new Map();
+    mockStorageService = {
+      put: jest.fn().mockImplementation(async (key, body, { contentType }) => { objects.set(key, { body, contentType }); }),
+      getObjectUrl: jest.fn((key) => `https://files.example.com/${key}`),
+    };
+    useCase = new UploadFileUseCase(mockStorageService, new ImageProcessingService(new SharpImageProcessor(), mockStorageService));
+  });
+
+  it('should store the image with its dimensions and variants', async () => {
+    const png = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#123456' } }).png().toBuffer();
+
+    const result = await useCase.execute({ file: { originalname: 'my avatar.png', buffer: png }, userId: 'u-1' });
+
+    expect(result.fileUrl).toMatch(/^https:\/\/files\.example\.com\/uploads\/u-1\/\d+-my_avatar\.png$/);
+    expect(result).toMatchObject({ contentType: 'image/png', width: 300, height: 200 });
+    expect(result.variants.thumbnail).toEqual({
+      url: result.fileUrl.replace(/\.png$/, '_thumbnail.webp'), width: 256, height: 171,
+    });
+    expect(result.variants.small).toMatchObject({ width: 300, height: 200 });
+    expect(objects.size).toBe(4);
+  });
+
+  it('should trust the contents rather than the name or type the client sent', async () => {
+    const jpeg = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#fff' } }).jpeg().toBuffer();
+
+    const result = await useCase.execute({ file: { originalname: 'photo.png', mimetype: 'image/png', buffer: jpeg }, userId: 'u-1' });
+    expect(result.contentType).toBe('image/jpeg');
+
+    await expect(useCase.execute({
+      file: { originalname: 'page.png', mimetype: 'image/png', buffer: Buffer.from('<html><script></script></html>') }, userId: 'u-1',
+    })).rejects.toThrow(BadRequestError);
+  });
+
+  it('should reject missing files', async () => {
+    await expect(useCase.execute({ file: undefined, userId: 'u-1' })).rejects.toThrow(BadRequestError);
+    expect(mockStorageService.put).not.toHaveBeenCalled();
+  });
+});
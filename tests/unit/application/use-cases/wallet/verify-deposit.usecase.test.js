@@ -0,0 +1,176 @@
+const VerifyDepositUseCase = require('../../../../../src/application/use-cases/wallet/verify-deposit.usecase');
+const ZarinpalPaymentGateway = require('../../../../../src/infrastructure/payment/zarinpal.payment.gateway');
+const WebhookPaymentGateway = require('../../../../../src/infrastructure/payment/webhook.payment.gateway');
+const PaymentGatewayService = require('../../../../../src/application/services/paymentGateway.service');
+const { Transaction } = require('../../../../../src/domain/wallet/transaction.entity');
+const { Wallet } = require('../../../../../src/domain/wallet/wallet.entity');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../../src/utils/errors');
+const { sequelize } = require('../../../../../src/infrastructure/database/postgres.connector');
+const ZarinpalStandIn = require('../../../../utils/zarinpalStandIn');
+const PaymentProviderStandIn = require('../../../../utils/paymentProviderStandIn');
+
+jest.mock('../../../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+jest.mock('../../../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('VerifyDepositUseCase', () => {
+  const standIn = new ZarinpalStandIn();
+  const provider = new PaymentProviderStandIn();
+  let paymentGatewayService;
+  let wallet;
+  let deposit;
+  let transaction;
+  let mockWalletRepository;
+  let mockTransactionRepository;
+  let useCase;
+
+  beforeAll(async () => {
+    const zarinpal = new ZarinpalPaymentGateway({ merchantId: standIn.merchantId, baseUrl: await standIn.start(), timeoutMs: 2000 });
+    const webhook = new WebhookPaymentGateway({
+      apiUrl: await provider.start(), apiKey: provider.apiKey, webhookSecret: provider.webhookSecret, timeoutMs: 2000,
+    });
+    paymentGatewayService = new PaymentGatewayService([zarinpal, webhook], { currencyGateways: { IRR: 'zarinpal', USD: 'webhook' } });
+  });
+
+  afterAll(async () => {
+    await standIn.stop();
+    await provider.stop();
+  });
+
+  beforeEach(() => {
+    standIn.outage = false;
+    transaction = { commit: jest.fn(), rollback: jest.fn(), finished: undefined, LOCK: { UPDATE: 'UPDATE' } };
+    transaction.commit.mockImplementation(async () => { transaction.finished = 'commit'; });
+    transaction.rollback.mockImplementation(async () => { transaction.finished = 'rollback'; });
+    sequelize.transaction.mockResolvedValue(transaction);
+
+    wallet = new Wallet('wallet-1', 'user-1', 1000, 'IRR');
+    deposit = new Transaction('deposit-1', wallet.id, 'DEPOSIT', 50000, 'PENDING', 'idem-1', 'Wallet deposit via zarinpal', {
+      userId: 'user-1', requestedCurrency: 'IRR', paymentGateway: 'zarinpal', paymentReference: standIn.createPayment(50000),
+    });
+
+    mockWalletRepository = {
+      findById: jest.fn().mockImplementation(async () => wallet),
+      update: jest.fn().mockImplementation(async (id, { balance }) => {
+        wallet = new Wallet(id, wallet.userId, balance, wallet.currency);
+        return wallet;
+      }),
+    };
+    mockTransactionRepository = {
+      findByPaymentReference: jest.fn().mockImplementation(async (gateway, reference) => (
+        deposit.metadata.paymentGateway === gateway && deposit.metadata.paymentReference === reference ? deposit : null
+      )),
+      findById: jest.fn().mockImplementation(async () => deposit),
+      update: jest.fn().mockImplementation(async (id, data) => {
+        deposit = Object.assign(Object.create(Transaction.prototype), deposit, data);
+        return deposit;
+      }),
+    };
+    useCase = new VerifyDepositUseCase(mockWalletRepository, mockTransactionRepository, paymentGatewayService);
+  });
+
+  it('should complete paid deposits and credit the wallet once', async () => {
+    standIn.pay(deposit.metadata.paymentReference);
+
+    const completed = await useCase.execute({ gateway: 'zarinpal', reference: deposit.metadata.paymentReference });
+
+    expect(completed.status).toBe(Transaction.Status.COMPLETED);
+    expect(completed.metadata).toMatchObject({
+      paymentReference: deposit.metadata.paymentReference, gatewayReference: expect.any(String), cardPan: '502229******5995', refId: expect.any(Number),
+    });
+    expect(wallet.balance).toBe(51000);
+    expect(mockWalletRepository.findById).toHaveBeenCalledWith('wallet-1', { transaction, lock: 'UPDATE' });
+    expect(transaction.commit).toHaveBeenCalled();
+
+    await expect(useCase.execute({ gateway: 'zarinpal', reference: deposit.metadata.paymentReference })).resolves.toMatchObject({ status: Transaction.Status.COMPLETED });
+    expect(mockWalletRepository.update).toHaveBeenCalledTimes(1);
+    expect(standIn.requests.filter(({ path }) => path === '/pg/v4/payment/verify.json')).toHaveLength(1);
+  });
+
+  it('should not credit the wallet again when another verification completed the deposit first', async () => {
+    standIn.pay(deposit.metadata.paymentReference);
+    const completedMeanwhile = Object.assign(Object.create(Transaction.prototype), deposit, { status: Transaction.Status.COMPLETED });
+    mockTransactionRepository.findById.mockResolvedValue(completedMeanwhile);
+
+    await expect(useCase.execute({ gateway: 'zarinpal', reference: deposit.metadata.paymentReference })).resolves.toBe(completedMeanwhile);
+    expect(mockTransactionRepository.findById).toHaveBeenCalledWith('deposit-1', { transaction, lock: 'UPDATE' });
+    expect(mockWalletRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should fail deposits that were not paid', async () => {
+    const failed = await useCase.execute({ gateway: 'zarinpal', reference: deposit.metadata.paymentReference });
+
+    expect(failed.status).toBe(Transaction.Status.FAILED);
+    expect(failed.metadata.gatewayCode).toBe(-51);
+    expect(wallet.balance).toBe(1000);
+    expect(mockWalletRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should keep deposits pending while the gateway is unavailable', async () => {
+    standIn.pay(deposit.metadata.paymentReference);
+    standIn.outage = true;
+
+    await expect(useCase.execute({ gateway: 'zarinpal', reference: deposit.metadata.paymentReference })).resolves.toMatchObject({ status: Transaction.Status.PENDING });
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+
+    standIn.outage = false;
+    await expect(useCase.execute({ gateway: 'zarinpal', reference: deposit.metadata.paymentReference })).resolves.toMatchObject({ status: Transaction.Status.COMPLETED });
+  });
+
+  it('should roll back when the wallet cannot be credited', async () => {
+    standIn.pay(deposit.metadata.paymentReference);
+    mockWalletRepository.update.mockRejectedValue(new Error('connection lost'));
+
+    await expect(useCase.execute({ gateway: 'zarinpal', reference: deposit.metadata.paymentReference })).rejects.toThrow('connection lost');
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(deposit.status).toBe(Transaction.Status.PENDING);
+  });
+
+  it('should reject missing and unknown references', async () => {
+    await expect(useCase.execute({ gateway: 'zarinpal' })).rejects.toThrow(BadRequestError);
+    await expect(useCase.execute({ gateway: 'zarinpal', reference: `A${'7'.repeat(35)}` })).rejects.toThrow(NotFoundError);
+    await expect(useCase.execute({ gateway: 'webhook', reference: deposit.metadata.paymentReference })).rejects.toThrow(NotFoundError);
+  });
+
+  describe('handleWebhook', () => {
+    beforeEach(() => {
+      const reference = provider.createPayment(25, 'USD');
+      wallet = new Wallet('wallet-1', 'user-1', 10, 'USD');
+      deposit = new Transaction('deposit-2', wallet.id, 'DEPOSIT', 25, 'PENDING', 'idem-2', 'Wallet deposit via webhook', {
+        userId: 'user-1', requestedCurrency: 'USD', paymentGateway: 'webhook', paymentReference: reference,
+      });
+    });
+
+    it('should verify the deposit a signed webhook is about', async () => {
+      provider.setStatus(deposit.metadata.paymentReference, 'succeeded');
+      const { rawBody, headers } = provider.webhook(deposit.metadata.paymentReference);
+
+      await expect(useCase.handleWebhook('webhook', rawBody, headers)).resolves.toMatchObject({ status: Transaction.Status.COMPLETED });
+      expect(wallet.balance).toBe(35);
+    });
+
+    it('should reject webhooks with an invalid signature without touching the deposit', async () => {
+      provider.setStatus(deposit.metadata.paymentReference, 'succeeded');
+      const { rawBody } = provider.webhook(deposit.metadata.paymentReference);
+      const { headers } = provider.webhook(deposit.metadata.paymentReference, { secret: 'forged' });
+
+      await expect(useCase.handleWebhook('webhook', rawBody, headers)).rejects.toThrow(ForbiddenError);
+      expect(mockTransactionRepository.findByPaymentReference).not.toHaveBeenCalled();
+      expect(deposit.status).toBe(Transaction.Status.PENDING);
+    });
+
+    it('should ignore webhooks about payments that are not deposits', async () => {
+      const { rawBody, headers } = provider.webhook(provider.createPayment(99, 'USD'));
+
+      await expect(useCase.handleWebhook('webhook', rawBody, headers)).resolves.toBeNull();
+    });
+
+    it('should reject webhooks for unknown gateways and gateways without webhooks', async () => {
+      const { rawBody, headers } = provider.webhook(deposit.metadata.paymentReference);
+
+      await expect(useCase.handleWebhook('paypal', rawBody, headers)).rejects.toThrow(NotFoundError);
+      await expect(useCase.handleWebhook('zarinpal', rawBody, headers)).rejects.toThrow(BadRequestError);
+    });
+  });
+});
@@ -185,4 +185,54 @@ describe('DisputeTicket Entity', () => {
       expect(() => dispute.startReview(reviewingModeratorId)).toThrow('Dispute is not open for review.');
     });
   });
+  describe('changeStatus', () => {
+    let dispute;
+    beforeEach(() => {
+      dispute = new DisputeTicket(baseDisputeData);
+    });
+
+    it('should move to an allowed status and return the transition', () => {
+      const transition = dispute.changeStatus(DisputeTicket.Status.AWAITING_PLAYER_RESPONSE);
+      expect(transition).toEqual({
+        fromStatus: DisputeTicket.Status.OPEN,
+        toStatus: DisputeTicket.Status.AWAITING_PLAYER_RESPONSE,
+      });
+      expect(dispute.status).toBe(DisputeTicket.Status.AWAITING_PLAYER_RESPONSE);
+    });
+
+    it('should throw an error for a transition that is not allowed', () => {
+      dispute.status = DisputeTicket.Status.CLOSED;
+      expect(() => dispute.changeStatus(DisputeTicket.Status.UNDER_REVIEW))
+        .toThrow('Dispute cannot move from CLOSED to UNDER_REVIEW.');
+      expect(dispute.status).toBe(DisputeTicket.Status.CLOSED);
+    });
+
+    it('should not allow moving to RESOLVED, which requires a resolution', () => {
+      expect(() => dispute.changeStatus(DisputeTicket.Status.RESOLVED)).toThrow();
+    });
+
+    it('should only allow closing a resolved ticket, as closing an undecided one leaves its match disputed', () => {
+      for (const status of [DisputeTicket.Status.OPEN, DisputeTicket.Status.UNDER_REVIEW, DisputeTicket.Status.ESCALATED]) {
+        dispute.status = status;
+        expect(() => dispute.changeStatus(DisputeTicket.Status.CLOSED))
+          .toThrow(`Dispute cannot move from ${status} to CLOSED.`);
+      }
+
+      dispute.status = DisputeTicket.Status.RESOLVED;
+      expect(dispute.changeStatus(DisputeTicket.Status.CLOSED).toStatus).toBe(DisputeTicket.Status.CLOSED);
+    });
+  });
+
+  describe('isFinalized', () => {
+    it('should be true only for RESOLVED and CLOSED tickets', () => {
+      const dispute = new DisputeTicket(baseDisputeData);
+      expect(dispute.isFinalized()).toBe(false);
+      dispute.status = DisputeTicket.Status.ESCALATED;
+      expect(dispute.isFinalized()).toBe(false);
+      dispute.status = DisputeTicket.Status.RESOLVED;
+      expect(dispute.isFinalized()).toBe(true);
+      dispute.status = DisputeTicket.Status.CLOSED;
+      expect(dispute.isFinalized()).toBe(true);
+    });
+  });
 });
@@ -275,4 +275,391 @@ describe('BracketLogic', () => {
       expect(() => BracketLogic.generate('SINGLE_MATCH', tournamentId, ['p1', 'p2', 'p3'])).toThrow('Single match tournaments must have exactly 2 participants.');
     });
   });
+
+  describe('generateDoubleElimination', () => {
+    const tournamentId = uuidv4();
+    const defaultMatchTime = new Date('2024-01-01T10:00:00.000Z');
+    const options = { defaultMatchTime, shuffle: false };
+    const seeded = count => Array.from({ length: count }, (_, i) => ({ id: `p${i + 1}`, seed: i + 1 }));
+    const section = (matches, bracket) => matches.filter(m => m.metadata.bracket === bracket);
+
+    // Every match outside the first winners round must be fed by exactly two links, one per slot.
+    const checkFeeds = (matches) => {
+      for (const match of matches) {
+        if (match.metadata.bracket === BracketLogic.Sections.WINNERS && match.roundNumber === 1) continue;
+        const slots = [];
+        matches.forEach(m => {
+          if (m.nextMatchId === match.id) slots.push(m.metadata.nextMatchSlot);
+          if (m.nextMatchLoserId === match.id) slots.push(m.metadata.nextMatchLoserSlot);
+        });
+        expect(slots.sort()).toEqual([1, 2]);
+      }
+    };
+
+    it('should throw an error if less than two participants are provided', () => {
+      expect(() => BracketLogic.generateDoubleElimination(tournamentId, ['p1'])).toThrow('At least two participants are required to generate a bracket.');
+    });
+
+    it('should be reachable through generate()', () => {
+      const matches = BracketLogic.generate('DOUBLE_ELIMINATION', tournamentId, seeded(4), options);
+      expect(matches.length).toBe(7);
+    });
+
+    it('should generate winners, losers and grand final matches for 4 participants', () => {
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(4), options);
+      const winners = section(matches, BracketLogic.Sections.WINNERS);
+      const losers = section(matches, BracketLogic.Sections.LOSERS);
+      const grandFinals = section(matches, BracketLogic.Sections.GRAND_FINAL);
+
+      expect(winners.length).toBe(3);
+      expect(losers.length).toBe(2);
+      expect(grandFinals.length).toBe(2); // Grand final + bracket reset
+
+      const [w1, w2] = winners.filter(m => m.roundNumber === 1);
+      expect([w1.participant1Id, w1.participant2Id]).toEqual(['p1', 'p4']);
+      expect([w2.participant1Id, w2.participant2Id]).toEqual(['p2', 'p3']);
+
+      const losersRound1 = losers.find(m => m.roundNumber === 1);
+      const losersFinal = losers.find(m => m.roundNumber === 2);
+      expect(w1.nextMatchLoserId).toBe(losersRound1.id);
+      expect(w2.nextMatchLoserId).toBe(losersRound1.id);
+      expect(losersRound1.nextMatchId).toBe(losersFinal.id);
+
+      const winnersFinal = winners.find(m => m.roundNumber === 2);
+      const grandFinal = grandFinals.find(m => m.roundNumber === 1);
+      const reset = grandFinals.find(m => m.roundNumber === 2);
+      expect(winnersFinal.nextMatchLoserId).toBe(losersFinal.id);
+      expect(winnersFinal.nextMatchId).toBe(grandFinal.id);
+      expect(winnersFinal.metadata.nextMatchSlot).toBe(1);
+      expect(losersFinal.nextMatchId).toBe(grandFinal.id);
+      expect(losersFinal.metadata.nextMatchSlot).toBe(2);
+      expect(losersFinal.nextMatchLoserId).toBeNull();
+
+      expect(reset.metadata.isBracketReset).toBe(true);
+      expect(grandFinal.nextMatchId).toBe(reset.id);
+      expect(grandFinal.nextMatchLoserId).toBe(reset.id);
+      expect(reset.nextMatchId).toBeNull();
+      checkFeeds(matches);
+    });
+
+    it('should generate 2(n-1) losers rounds for 8 participants', () => {
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(8), options);
+      const losers = section(matches, BracketLogic.Sections.LOSERS);
+
+      expect(section(matches, BracketLogic.Sections.WINNERS).length).toBe(7);
+      expect(losers.length).toBe(6);
+      expect(Math.max(...losers.map(m => m.roundNumber))).toBe(4);
+      expect(matches.length).toBe(15);
+      checkFeeds(matches);
+    });
+
+    it('should omit the bracket reset when disabled', () => {
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(4), { ...options, bracketReset: false });
+      const grandFinals = section(matches, BracketLogic.Sections.GRAND_FINAL);
+      expect(grandFinals.length).toBe(1);
+      expect(grandFinals[0].nextMatchId).toBeNull();
+      expect(grandFinals[0].nextMatchLoserId).toBeNull();
+    });
+
+    it('should send the loser of the only winners match to the grand final for 2 participants', () => {
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(2), options);
+      const [winnersFinal] = section(matches, BracketLogic.Sections.WINNERS);
+      const grandFinal = section(matches, BracketLogic.Sections.GRAND_FINAL).find(m => m.roundNumber === 1);
+
+      expect(section(matches, BracketLogic.Sections.LOSERS).length).toBe(0);
+      expect(winnersFinal.nextMatchId).toBe(grandFinal.id);
+      expect(winnersFinal.nextMatchLoserId).toBe(grandFinal.id);
+      expect(winnersFinal.metadata.nextMatchLoserSlot).toBe(2);
+      checkFeeds(matches);
+    });
+
+    it('should give byes to the top seeds and advance them immediately for 3 participants', () => {
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(3), options);
+      const winners = section(matches, BracketLogic.Sections.WINNERS);
+      const losers = section(matches, BracketLogic.Sections.LOSERS);
+
+      const byeMatch = winners.find(m => m.metadata.isBye);
+      expect(byeMatch.participant1Id).toBe('p1');
+      expect(byeMatch.participant2Id).toBeNull();
+      expect(byeMatch.status).toBe('COMPLETED');
+      expect(byeMatch.winnerId).toBe('p1');
+      expect(byeMatch.nextMatchLoserId).toBeNull();
+
+      const winnersFinal = winners.find(m => m.roundNumber === 2);
+      expect(winnersFinal.participant1Id).toBe('p1');
+      expect(winnersFinal.participant2Id).toBeNull();
+
+      // The losers match that would only have received the p2/p3 loser is skipped entirely.
+      expect(losers.length).toBe(1);
+      expect(losers[0].roundNumber).toBe(1);
+      const playedMatch = winners.find(m => m.roundNumber === 1 && !m.metadata.isBye);
+      expect(playedMatch.nextMatchLoserId).toBe(losers[0].id);
+      expect(winnersFinal.nextMatchLoserId).toBe(losers[0].id);
+      checkFeeds(matches);
+    });
+
+    it('should never route a bye into the losers bracket for 5 participants', () => {
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(5), options);
+      const winnersRound1 = section(matches, BracketLogic.Sections.WINNERS).filter(m => m.roundNumber === 1);
+      const losers = section(matches, BracketLogic.Sections.LOSERS);
+
+      expect(winnersRound1.filter(m => m.metadata.isBye).map(m => m.participant1Id).sort()).toEqual(['p1', 'p2', 'p3']);
+      expect(losers.length).toBe(3);
+      expect(losers.map(m => m.roundNumber).sort()).toEqual([1, 2, 3]);
+      losers.forEach(m => expect(m.nextMatchId).not.toBeNull());
+      checkFeeds(matches);
+    });
+
+    it('should schedule later rounds using options.timePerRound', () => {
+      const timePerRound = 60 * 60 * 1000;
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(4), { ...options, timePerRound });
+      const grandFinal = section(matches, BracketLogic.Sections.GRAND_FINAL).find(m => m.roundNumber === 1);
+      const losersFinal = section(matches, BracketLogic.Sections.LOSERS).find(m => m.roundNumber === 2);
+
+      expect(losersFinal.scheduledTime.getTime()).toBe(defaultMatchTime.getTime() + 2 * timePerRound);
+      expect(grandFinal.scheduledTime.getTime()).toBe(defaultMatchTime.getTime() + 3 * timePerRound);
+    });
+  });
+
+  describe('generateRoundRobin', () => {
+    const tournamentId = uuidv4();
+    const defaultMatchTime = new Date('2024-01-01T10:00:00.000Z');
+    const options = { defaultMatchTime, shuffle: false };
+    const seeded = count => Array.from({ length: count }, (_, i) => ({ id: `p${i + 1}`, seed: i + 1 }));
+    const pairKey = m => [m.participant1Id, m.participant2Id].sort().join('-');
+
+    // No participant may appear twice in the same round.
+    const checkRounds = (matches) => {
+      const seenByRound = {};
+      matches.forEach(m => {
+        const seen = (seenByRound[m.roundNumber] = seenByRound[m.roundNumber] || new Set());
+        expect(seen.has(m.participant1Id)).toBe(false);
+        expect(seen.has(m.participant2Id)).toBe(false);
+        seen.add(m.participant1Id);
+        seen.add(m.participant2Id);
+      });
+    };
+
+    it('should throw an error if less than two participants are provided', () => {
+      expect(() => BracketLogic.generateRoundRobin(tournamentId, ['p1'])).toThrow('At least two participants are required to generate a bracket.');
+    });
+
+    it('should pair every participant with every other participant once for 4 participants', () => {
+      const matches = BracketLogic.generate('ROUND_ROBIN', tournamentId, seeded(4), options);
+
+      expect(matches.length).toBe(6);
+      expect(new Set(matches.map(pairKey)).size).toBe(6);
+      expect(new Set(matches.map(m => m.roundNumber))).toEqual(new Set([1, 2, 3]));
+      matches.forEach(m => {
+        expect(m).toBeInstanceOf(Match);
+        expect(m.status).toBe('SCHEDULED');
+        expect(m.nextMatchId).toBeNull();
+        expect(m.metadata).toEqual({ group: 'A', round: m.roundNumber, leg: 1 });
+      });
+      checkRounds(matches);
+    });
+
+    it('should let one participant sit out each round for an odd number of participants', () => {
+      const matches = BracketLogic.generateRoundRobin(tournamentId, seeded(5), options);
+
+      expect(matches.length).toBe(10);
+      expect(new Set(matches.map(pairKey)).size).toBe(10);
+      expect(Math.max(...matches.map(m => m.roundNumber))).toBe(5);
+      for (let round = 1; round <= 5; round++) {
+        expect(matches.filter(m => m.roundNumber === round).length).toBe(2);
+      }
+      checkRounds(matches);
+    });
+
+    it('should play every pairing twice with swapped sides for a double round robin', () => {
+      const matches = BracketLogic.generateRoundRobin(tournamentId, seeded(4), { ...options, doubleRoundRobin: true });
+      const firstLeg = matches.filter(m => m.metadata.leg === 1);
+      const secondLeg = matches.filter(m => m.metadata.leg === 2);
+
+      expect(matches.length).toBe(12);
+      expect(secondLeg.every(m => m.roundNumber > 3)).toBe(true);
+      firstLeg.forEach(m => {
+        const rematch = secondLeg.find(r => pairKey(r) === pairKey(m));
+        expect(rematch.participant1Id).toBe(m.participant2Id);
+        expect(rematch.participant2Id).toBe(m.participant1Id);
+      });
+      checkRounds(matches);
+    });
+
+    it('should split participants into snake-seeded groups that only play within their group', () => {
+      const matches = BracketLogic.generateRoundRobin(tournamentId, seeded(8), { ...options, groupCount: 2 });
+      const groupMembers = group => new Set(
+        matches.filter(m => m.metadata.group === group).flatMap(m => [m.participant1Id, m.participant2Id])
+      );
+
+      expect(matches.length).toBe(12);
+      expect(groupMembers('A')).toEqual(new Set(['p1', 'p4', 'p5', 'p8']));
+      expect(groupMembers('B')).toEqual(new Set(['p2', 'p3', 'p6', 'p7']));
+      // Round numbers are shared across groups and match numbers run across the whole round.
+      expect(matches.filter(m => m.roundNumber === 1).map(m => m.matchNumberInRound)).toEqual([1, 2, 3, 4]);
+      checkRounds(matches);
+    });
+
+    it('should throw an error if there are too few participants for the requested groups', () => {
+      expect(() => BracketLogic.generateRoundRobin(tournamentId, seeded(5), { ...options, groupCount: 3 }))
+        .toThrow('At least 6 participants are required to create 3 groups.');
+    });
+
+    it('should schedule rounds using options.timePerRound', () => {
+      const timePerRound = 24 * 60 * 60 * 1000;
+      const matches = BracketLogic.generateRoundRobin(tournamentId, seeded(4), { ...options, timePerRound });
+      matches.forEach(m => {
+        expect(m.scheduledTime.getTime()).toBe(defaultMatchTime.getTime() + (m.roundNumber - 1) * timePerRound);
+      });
+    });
+  });
+
+  describe('Swiss system', () => {
+    const tournamentId = uuidv4();
+    const options = { defaultMatchTime: new Date('2024-01-01T10:00:00.000Z'), shuffle: false };
+    const seeded = count => Array.from({ length: count }, (_, i) => ({ id: `p${i + 1}`, seed: i + 1 }));
+    const pairKey = m => [m.participant1Id, m.participant2Id].sort().join('-');
+    // Completes every match, letting participant 1 win unless a result is given as { 'p1-p2': winnerId|null }.
+    const complete = (matches, results = {}) => matches.map(m => {
+      const key = pairKey(m);
+      const winnerId = key in results ? results[key] : m.participant1Id;
+      return Object.assign(Object.create(Object.getPrototypeOf(m)), m, { status: 'COMPLETED', winnerId });
+    });
+
+    describe('generateSwissRound', () => {
+      it('should pair the top half against the bottom half in the first round', () => {
+        const matches = BracketLogic.generate('SWISS', tournamentId, seeded(8), options);
+
+        expect(matches.length).toBe(4);
+        expect(matches.map(m => [m.participant1Id, m.participant2Id])).toEqual([
+          ['p1', 'p5'], ['p2', 'p6'], ['p3', 'p7'], ['p4', 'p8'],
+        ]);
+        matches.forEach(m => {
+          expect(m.roundNumber).toBe(1);
+          expect(m.status).toBe('SCHEDULED');
+          expect(m.metadata).toEqual({ swissRound: 1, totalRounds: 3 });
+        });
+      });
+
+      it('should pair participants with equal scores and avoid rematches in the next round', () => {
+        const round1 = complete(BracketLogic.generateSwissRound(tournamentId, seeded(8), [], options));
+        const round2 = BracketLogic.generateSwissRound(tournamentId, seeded(8), round1, options);
+        const winners = new Set(round1.map(m => m.winnerId));
+
+        expect(round2.length).toBe(4);
+        round2.forEach(m => {
+          expect(m.roundNumber).toBe(2);
+          expect(winners.has(m.participant1Id)).toBe(winners.has(m.participant2Id));
+          expect(round1.map(pairKey)).not.toContain(pairKey(m));
+        });
+      });
+
+      it('should give the bye to the lowest-ranked participant who has not had one', () => {
+        const round1 = BracketLogic.generateSwissRound(tournamentId, seeded(5), [], options);
+        const bye1 = round1.find(m => m.metadata.isBye);
+
+        expect(round1.length).toBe(3);
+        expect(bye1.participant1Id).toBe('p5');
+        expect(bye1.participant2Id).toBeNull();
+        expect(bye1.status).toBe('COMPLETED');
+        expect(bye1.winnerId).toBe('p5');
+
+        const round2 = BracketLogic.generateSwissRound(tournamentId, seeded(5), complete(round1), options);
+        const bye2 = round2.find(m => m.metadata.isBye);
+        expect(bye2.participant1Id).not.toBe('p5');
+        expect(round2.filter(m => !m.metadata.isBye).map(m => m.participant1Id)).toContain('p5');
+      });
+
+      it('should not generate the next round until every match of the current round is COMPLETED', () => {
+        const round1 = complete(BracketLogic.generateSwissRound(tournamentId, seeded(4), [], options));
+        round1[0].status = 'AWAITING_CONFIRMATION';
+        expect(() => BracketLogic.generateSwissRound(tournamentId, seeded(4), round1, options))
+          .toThrow('All matches in the current Swiss round must be COMPLETED before generating the next round.');
+      });
+
+      it('should refuse to generate more than the configured number of rounds', () => {
+        const round1 = complete(BracketLogic.generateSwissRound(tournamentId, seeded(4), [], { ...options, totalRounds: 1 }));
+        expect(() => BracketLogic.generateSwissRound(tournamentId, seeded(4), round1, { ...options, totalRounds: 1 }))
+          .toThrow('All 1 Swiss rounds have already been generated.');
+      });
+
+      it('should fall back to a rematch quickly when no rematch-free pairing exists', () => {
+        // p24 has already met everyone, which the backtracking only finds out after pairing all others
+        const participants = seeded(24);
+        const previous = complete(participants.slice(0, 23).map((p, i) => (
+          new Match(uuidv4(), tournamentId, i + 1, 1, p.id, 'p24', 'SCHEDULED')
+        )));
+
+        const started = Date.now();
+        const round = BracketLogic.generateSwissRound(tournamentId, participants, previous, { ...options, totalRounds: 30 });
+
+        expect(Date.now() - started).toBeLessThan(2000);
+        expect(round.length).toBe(12);
+        expect(new Set(round.flatMap(m => [m.participant1Id, m.participant2Id])).size).toBe(24);
+      });
+    });
+
+    describe('computeSwissStandings', () => {
+      it('should compute scores, Buchholz and Sonneborn-Berger from completed matches', () => {
+        const participants = seeded(4);
+        const round1 = complete(BracketLogic.generateSwissRound(tournamentId, participants, [], options), {
+          'p1-p3': 'p1',
+          'p2-p4': null, // draw
+        });
+        const round2 = complete(BracketLogic.generateSwissRound(tournamentId, participants, round1, options), {
+          'p1-p2': 'p1',
+          'p3-p4': 'p4',
+        });
+        const standings = BracketLogic.computeSwissStandings(participants, [...round1, ...round2]);
+        const byId = Object.fromEntries(standings.map(s => [s.participantId, s]));
+
+        // p1: 2, p4: 1.5, p2: 0.5, p3: 0
+        expect(standings.map(s => s.participantId)).toEqual(['p1', 'p4', 'p2', 'p3']);
+        expect(byId.p1).toMatchObject({ score: 2, wins: 2, buchholz: 0.5, sonnebornBerger: 0.5 });
+        expect(byId.p4).toMatchObject({ score: 1.5, draws: 1, buchholz: 0.5, sonnebornBerger: 0.25 });
+        expect(byId.p2).toMatchObject({ score: 0.5, losses: 1, buchholz: 3.5, sonnebornBerger: 0.75 });
+        expect(byId.p3).toMatchObject({ score: 0, losses: 2, buchholz: 3.5, sonnebornBerger: 0 });
+      });
+
+      it('should count a bye as a win without adding an opponent and ignore unfinished matches', () => {
+        const round1 = BracketLogic.generateSwissRound(tournamentId, seeded(3), [], options);
+        const standings = BracketLogic.computeSwissStandings(seeded(3), round1);
+        const bye = standings.find(s => s.participantId === 'p3');
+
+        expect(bye).toMatchObject({ score: 1, byes: 1, buchholz: 0, opponents: [] });
+        expect(standings.find(s => s.participantId === 'p1').score).toBe(0);
+      });
+    });
+  });
+
+  describe('buildBracketTree', () => {
+    const tournamentId = uuidv4();
+    const seeded = count => Array.from({ length: count }, (_, i) => ({ id: `p${i + 1}`, seed: i + 1 }));
+
+    it('should order double elimination sections and their rounds', () => {
+      const matches = BracketLogic.generateDoubleElimination(tournamentId, seeded(4), { shuffle: false });
+      const tree = BracketLogic.buildBracketTree([...matches].reverse());
+
+      expect(tree.map(s => s.name)).toEqual(['WINNERS', 'LOSERS', 'GRAND_FINAL']);
+      expect(tree[0].rounds.map(r => r.roundNumber)).toEqual([1, 2]);
+      expect(tree[0].rounds[0].matches.map(m => m.matchNumber)).toEqual([1, 2]);
+      expect(tree[0].rounds[1].matches[0].nextMatchLoserId).toBe(tree[1].rounds[1].matches[0].id);
+    });
+
+    it('should put single elimination matches in a main section and flag byes', () => {
+      const matches = BracketLogic.generateSingleElimination(tournamentId, seeded(3), { shuffle: false });
+      const tree = BracketLogic.buildBracketTree(matches);
+
+      expect(tree.map(s => s.name)).toEqual(['MAIN']);
+      expect(tree[0].rounds[0].matches.filter(m => m.isBye).length).toBe(1);
+    });
+
+    it('should create one section per round robin group', () => {
+      const matches = BracketLogic.generateRoundRobin(tournamentId, seeded(8), { shuffle: false, groupCount: 2 });
+      const tree = BracketLogic.buildBracketTree(matches);
+
+      expect(tree.map(s => s.name)).toEqual(['GROUP_A', 'GROUP_B']);
+      expect(tree[0].rounds.length).toBe(3);
+    });
+  });
 });
@@ -215,6 +215,10 @@ describe('Match Entity', () => {
         expect(match.winnerId).toBeNull();
         expect(match.winnerType).toBeNull();
         expect(match.status).toBe(MatchStatus.AWAITING_CONFIRMATION);
+    });
+    it('should record who submitted the result', () => {
+        match.recordResult(p1Id, 2, 1, null, null, p1Id);
+        expect(match.getResultSubmitterId()).toBe(p1Id);
     });
      it('should handle null proof URLs', () => {
         match.recordResult(p1Id, 3, 0, null, null);
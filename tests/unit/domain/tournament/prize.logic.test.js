@@ -0,0 +1,133 @@
+const { PrizeLogic } = require('../../../../src/domain/tournament/prize.logic');
+const { BracketLogic } = require('../../../../src/domain/tournament/bracket.logic');
+const { Match } = require('../../../../src/domain/tournament/match.entity');
+const { Tournament } = require('../../../../src/domain/tournament/tournament.entity');
+
+const played = (id, round, p1, p2, winnerId, metadata = {}) => {
+  const match = new Match(id, 'tournament-1', round, 1, p1, p2, Match.Status.COMPLETED);
+  match.winnerId = winnerId;
+  match.metadata = metadata;
+  return match;
+};
+const users = (...ids) => ids.map((participantId) => ({ participantId, participantType: 'user' }));
+const ids = (placements) => placements.map(({ place, participants }) => [place, participants.map((p) => p.participantId)]);
+
+describe('PrizeLogic', () => {
+  const table = {
+    mode: PrizeLogic.Mode.PERCENTAGE,
+    places: [{ from: 1, to: 1, value: 50 }, { from: 2, to: 2, value: 30 }, { from: 3, to: 4, value: 10 }],
+  };
+
+  describe('validatePayoutTable', () => {
+    it('should accept a table paying out up to 100%', () => {
+      expect(() => PrizeLogic.validatePayoutTable(table, 1000)).not.toThrow();
+    });
+
+    it('should reject percentages above 100%', () => {
+      const tooMuch = { ...table, places: [...table.places, { from: 5, to: 5, value: 1 }] };
+      expect(() => PrizeLogic.validatePayoutTable(tooMuch)).toThrow('more than 100%');
+    });
+
+    it('should reject fixed payouts above the prize pool', () => {
+      const fixed = { mode: PrizeLogic.Mode.FIXED, places: [{ from: 1, to: 2, value: 600 }] };
+      expect(() => PrizeLogic.validatePayoutTable(fixed, 1000)).toThrow('more than the prize pool');
+    });
+
+    it('should reject overlapping placements and invalid ranges', () => {
+      const overlapping = { mode: PrizeLogic.Mode.PERCENTAGE, places: [{ from: 1, to: 2, value: 10 }, { from: 2, to: 3, value: 10 }] };
+      expect(() => PrizeLogic.validatePayoutTable(overlapping)).toThrow('listed more than once');
+      const reversed = { mode: PrizeLogic.Mode.PERCENTAGE, places: [{ from: 3, to: 2, value: 10 }] };
+      expect(() => PrizeLogic.validatePayoutTable(reversed)).toThrow('Invalid placement range');
+    });
+
+    it('should reject an unknown mode', () => {
+      expect(() => PrizeLogic.validatePayoutTable({ mode: 'SHARES', places: table.places })).toThrow('Payout mode');
+    });
+  });
+
+  describe('computePlacements', () => {
+    it('should rank single elimination participants by the round they were knocked out in', () => {
+      const tournament = { bracketType: Tournament.BracketType.SINGLE_ELIMINATION, winnerId: 'a' };
+      const matches = [
+        played('m1', 1, 'a', 'b', 'a'),
+        played('m2', 1, 'c', 'd', 'c'),
+        played('m3', 2, 'a', 'c', 'a'),
+      ];
+
+      const placements = PrizeLogic.computePlacements(tournament, matches, users('a', 'b', 'c', 'd'));
+
+      expect(ids(placements)).toEqual([[1, ['a']], [2, ['c']], [3, ['b', 'd']]]);
+    });
+
+    it('should rank double elimination participants by grand final, then losers bracket progress', () => {
+      const { WINNERS, LOSERS, GRAND_FINAL } = BracketLogic.Sections;
+      const tournament = { bracketType: Tournament.BracketType.DOUBLE_ELIMINATION, winnerId: 'c' };
+      const matches = [
+        played('w1', 1, 'a', 'b', 'a', { bracket: WINNERS }),
+        played('w2', 1, 'c', 'd', 'c', { bracket: WINNERS }),
+        played('w3', 2, 'a', 'c', 'a', { bracket: WINNERS }),
+        played('l1', 1, 'b', 'd', 'b', { bracket: LOSERS }),
+        played('l2', 2, 'c', 'b', 'c', { bracket: LOSERS }),
+        played('gf', 1, 'a', 'c', 'c', { bracket: GRAND_FINAL }),
+        played('gf2', 2, 'a', 'c', 'c', { bracket: GRAND_FINAL, isBracketReset: true }),
+      ];
+
+      const placements = PrizeLogic.computePlacements(tournament, matches, users('a', 'b', 'c', 'd'));
+
+      expect(ids(placements)).toEqual([[1, ['c']], [2, ['a']], [3, ['b']], [4, ['d']]]);
+    });
+
+    it('should rank round robin participants by their standings', () => {
+      const tournament = { bracketType: Tournament.BracketType.ROUND_ROBIN, winnerId: 'b' };
+      const matches = [
+        played('m1', 1, 'a', 'b', 'b'),
+        played('m2', 2, 'a', 'c', 'a'),
+        played('m3', 3, 'b', 'c', 'b'),
+      ];
+
+      const placements = PrizeLogic.computePlacements(tournament, matches, users('a', 'b', 'c'));
+
+      expect(ids(placements)).toEqual([[1, ['b']], [2, ['a']], [3, ['c']]]);
+    });
+  });
+
+  describe('allocate', () => {
+    it('should pay each placement its share of the pool', () => {
+      const placements = [
+        { place: 1, participants: users('a') },
+        { place: 2, participants: users('b') },
+        { place: 3, participants: users('c', 'd') },
+      ];
+
+      const payouts = PrizeLogic.allocate(table, 1000, placements);
+
+      expect(payouts.map((p) => [p.participantId, p.place, p.amount])).toEqual([
+        ['a', 1, 500], ['b', 2, 300], ['c', 3, 100], ['d', 3, 100],
+      ]);
+    });
+
+    it('should let tied participants share the payouts of the places they occupy', () => {
+      const placements = [{ place: 1, participants: users('a') }, { place: 2, participants: users('b', 'c') }];
+
+      const payouts = PrizeLogic.allocate(table, 1000, placements);
+
+      expect(payouts.map((p) => [p.participantId, p.amount])).toEqual([['a', 500], ['b', 200], ['c', 200]]);
+    });
+
+    it('should pay fixed amounts and skip unpaid placements', () => {
+      const fixed = { mode: PrizeLogic.Mode.FIXED, places: [{ from: 1, to: 1, value: 70 }] };
+      const placements = [{ place: 1, participants: users('a') }, { place: 2, participants: users('b') }];
+
+      expect(PrizeLogic.allocate(fixed, 100, placements)).toEqual([
+        { participantId: 'a', participantType: 'user', place: 1, amount: 70 },
+      ]);
+    });
+  });
+
+  describe('splitEvenly', () => {
+    it('should split without losing cents', () => {
+      expect(PrizeLogic.splitEvenly(100, 3)).toEqual([33.34, 33.33, 33.33]);
+      expect(PrizeLogic.splitEvenly(0.01, 2)).toEqual([0.01, 0]);
+    });
+  });
+});
@@ -222,6 +222,48 @@ describe('Tournament Entity', () => {
     });
   });
 
+  describe('Check-in', () => {
+    const startDate = new Date('2025-08-01T18:00:00Z');
+    const withSettings = (settings, status = TournamentStatus.REGISTRATION_OPEN) => createTournamentInstanceWithOverrides({
+      ...outerBaseTournamentData, status, startDate, settings,
+    });
+
+    it('should open the window checkInWindowMinutes before the start and close it at the start', () => {
+      const tournament = withSettings({ checkInWindowMinutes: 30 });
+      expect(tournament.getCheckInOpensAt()).toEqual(new Date('2025-08-01T17:30:00Z'));
+      expect(tournament.isCheckInOpen(new Date('2025-08-01T17:29:59Z'))).toBe(false);
+      expect(tournament.isCheckInOpen(new Date('2025-08-01T17:30:00Z'))).toBe(true);
+      expect(tournament.isCheckInOpen(startDate)).toBe(false);
+    });
+
+    it('should not require check-in without a window, nor keep it open once the tournament started', () => {
+      expect(withSettings({}).requiresCheckIn()).toBe(false);
+      expect(withSettings({ checkInWindowMinutes: 30 }, TournamentStatus.ONGOING)
+        .isCheckInOpen(new Date('2025-08-01T17:45:00Z'))).toBe(false);
+    });
+
+    it('should map refund policies to a percentage, refunding in full by default', () => {
+      expect(Tournament.refundPercentage(undefined)).toBe(100);
+      expect(Tournament.refundPercentage({ type: Tournament.RefundPolicy.PARTIAL, percentage: 25 })).toBe(25);
+      expect(Tournament.refundPercentage({ type: Tournament.RefundPolicy.NONE })).toBe(0);
+    });
+  });
+
+  describe('Withdrawal', () => {
+    const startDate = new Date('2025-08-01T18:00:00Z');
+    const withSettings = (settings) => createTournamentInstanceWithOverrides({ ...outerBaseTournamentData, startDate, settings });
+
+    it('should close withdrawals withdrawalCutoffMinutes before the start, or at the start by default', () => {
+      expect(withSettings({ withdrawalCutoffMinutes: 120 }).getWithdrawalDeadline()).toEqual(new Date('2025-08-01T16:00:00Z'));
+      expect(withSettings({}).getWithdrawalDeadline()).toEqual(startDate);
+    });
+
+    it('should refund withdrawals according to withdrawalRefundPolicy', () => {
+      expect(withSettings({}).getWithdrawalRefundPercentage()).toBe(100);
+      expect(withSettings({ withdrawalRefundPolicy: { type: 'PARTIAL', percentage: 50 } }).getWithdrawalRefundPercentage()).toBe(50);
+    });
+  });
+
   describe('updateDetails', () => {
     let tournament;
     beforeEach(async () => { // This beforeEach uses the dynamic outerNow, outerTomorrow
@@ -0,0 +1,62 @@
+const sharp = require('sharp');
+const SharpImageProcessor = require('../../../../src/infrastructure/imaging/sharp.image.processor');
+
+describe('SharpImageProcessor', () => {
+  const processor = new SharpImageProcessor();
+
+  // A 2000x1000 JPEG with camera and GPS EXIF data, stored rotated (orientation 6 = 90° clockwise)
+  const photoWithExif = () => sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#884422' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'PhoneMaker', Model: 'Phone 12' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '35/1 41/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '51/1 25/1 0/1' },
+    })
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+
+  it('should strip EXIF and GPS metadata and apply the orientation', async () => {
+    const original = await photoWithExif();
+    expect((await sharp(original).metadata()).exif).toBeDefined();
+
+    const image = await processor.process(original, 'image/jpeg');
+
+    const metadata = await sharp(image.body).metadata();
+    expect(metadata.format).toBe('jpeg');
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+    expect(image.body.includes(Buffer.from('PhoneMaker'))).toBe(false);
+    expect({ width: image.width, height: image.height }).toEqual({ width: 1000, height: 2000 });
+  });
+
+  it('should render WebP variants that fit their size without enlarging', async () => {
+    const image = await processor.process(await photoWithExif(), 'image/jpeg');
+
+    expect(image.variants.map(({ name, width, height, contentType }) => ({ name, width, height, contentType }))).toEqual([
+      { name: 'thumbnail', width: 128, height: 256, contentType: 'image/webp' },
+      { name: 'small', width: 320, height: 640, contentType: 'image/webp' },
+      { name: 'medium', width: 640, height: 1280, contentType: 'image/webp' },
+    ]);
+    const thumbnail = await sharp(image.variants[0].body).metadata();
+    expect(thumbnail.format).toBe('webp');
+    expect(thumbnail.exif).toBeUndefined();
+
+    const small = await processor.process(await sharp({ create: { width: 100, height: 50, channels: 4, background: '#fff' } }).png().toBuffer(), 'image/png');
+    expect(small.variants.every(({ width, height }) => width === 100 && height === 50)).toBe(true);
+  });
+
+  it('should keep the frames of animated GIFs', async () => {
+    const frame = (background) => sharp({ create: { width: 40, height: 90, channels: 4, background } }).png().toBuffer();
+    const animated = await sharp([await frame('#0f0'), await frame('#f00')], { join: { animated: true } }).gif().toBuffer();
+
+    const image = await processor.process(animated, 'image/gif');
+
+    expect(image.contentType).toBe('image/gif');
+    expect((await sharp(image.body).metadata()).pages).toBe(2);
+    expect({ width: image.width, height: image.height }).toEqual({ width: 40, height: 90 });
+  });
+
+  it('should fail for files that are not readable images', async () => {
+    await expect(processor.process(Buffer.from('not an image'), 'image/png')).rejects.toThrow();
+    await expect(processor.process(Buffer.from('x'), 'image/tiff')).rejects.toThrow('Unsupported image type');
+  });
+});
@@ -0,0 +1,107 @@
+const WebhookPaymentGateway = require('../../../../src/infrastructure/payment/webhook.payment.gateway');
+const { ForbiddenError } = require('../../../../src/utils/errors');
+const PaymentProviderStandIn = require('../../../utils/paymentProviderStandIn');
+
+describe('WebhookPaymentGateway', () => {
+  const provider = new PaymentProviderStandIn();
+  let gateway;
+
+  beforeAll(async () => {
+    gateway = new WebhookPaymentGateway({
+      apiUrl: `${await provider.start()}/`,
+      apiKey: provider.apiKey,
+      webhookSecret: provider.webhookSecret,
+      returnUrl: 'http://localhost:3001/wallet/deposit/result',
+      currencies: ['USD', 'EUR'],
+      timeoutMs: 2000,
+    });
+  });
+
+  afterAll(() => provider.stop());
+
+  beforeEach(() => {
+    provider.outage = false;
+    provider.failPayouts = false;
+  });
+
+  it('should create payments idempotently per transaction', async () => {
+    const { reference, paymentUrl, fee } = await gateway.initialize({
+      amount: 25, currency: 'USD', description: 'Deposit', transactionId: 'deposit-1',
+    });
+
+    expect(reference).toMatch(/^pay_\d+$/);
+    expect(paymentUrl).toBe(`https://pay.example.com/${reference}`);
+    expect(fee).toBe(30);
+    expect(provider.requests.at(-1)).toMatchObject({
+      method: 'POST',
+      path: '/payments',
+      idempotencyKey: 'payment-deposit-1',
+      body: { amount: 25, currency: 'USD', reference: 'deposit-1', return_url: 'http://localhost:3001/wallet/deposit/result' },
+    });
+  });
+
+  it('should verify succeeded payments of the expected amount', async () => {
+    const reference = provider.createPayment(25, 'USD');
+    provider.setStatus(reference, 'succeeded');
+
+    await expect(gateway.verify({ reference, amount: 25, currency: 'USD' }))
+      .resolves.toMatchObject({ verified: true, gatewayReference: reference });
+    await expect(gateway.verify({ reference, amount: 50, currency: 'USD' }))
+      .resolves.toMatchObject({ verified: false, code: 'AMOUNT_MISMATCH' });
+  });
+
+  it('should report failed and unknown payments as not verified', async () => {
+    const reference = provider.createPayment(25, 'USD');
+    provider.setStatus(reference, 'canceled');
+
+    await expect(gateway.verify({ reference, amount: 25, currency: 'USD' })).resolves.toMatchObject({ verified: false, code: 'canceled' });
+    await expect(gateway.verify({ reference: 'pay_unknown', amount: 25, currency: 'USD' }))
+      .resolves.toMatchObject({ verified: false, code: 'NOT_FOUND' });
+  });
+
+  it('should throw while a payment is unsettled or the provider is unavailable', async () => {
+    const reference = provider.createPayment(25, 'USD');
+
+    await expect(gateway.verify({ reference, amount: 25, currency: 'USD' })).rejects.toThrow('still pending');
+    provider.outage = true;
+    await expect(gateway.verify({ reference, amount: 25, currency: 'USD' })).rejects.toMatchObject({ status: 503 });
+  });
+
+  it('should refund payments and pay out withdrawals', async () => {
+    const reference = provider.createPayment(25, 'USD');
+
+    await expect(gateway.refund({ reference, amount: 25, currency: 'USD', reason: 'Tournament canceled' }))
+      .resolves.toEqual({ refundReference: expect.stringMatching(/^re_/) });
+
+    const { payoutReference } = await gateway.payout({
+      amount: 40, currency: 'EUR', recipientDetails: { iban: 'DE89370400440532013000' }, transactionId: 'withdrawal-1',
+    });
+    expect(provider.payouts.get(payoutReference)).toMatchObject({ amount: 40, currency: 'EUR', recipient: { iban: 'DE89370400440532013000' } });
+    expect(provider.requests.at(-1).idempotencyKey).toBe('payout-withdrawal-1');
+  });
+
+  it('should throw when the provider rejects a payout', async () => {
+    provider.failPayouts = true;
+
+    await expect(gateway.payout({ amount: 40, currency: 'EUR', recipientDetails: {}, transactionId: 'withdrawal-2' }))
+      .rejects.toThrow('Payout failed: Recipient account closed.');
+  });
+
+  describe('parseWebhook', () => {
+    it('should accept webhooks with a valid signature', () => {
+      const { rawBody, headers } = provider.webhook('pay_42');
+
+      expect(gateway.parseWebhook(rawBody, headers)).toEqual({ reference: 'pay_42', type: 'payment.updated' });
+    });
+
+    it('should reject webhooks that are unsigned, wrongly signed, altered or expired', () => {
+      const { rawBody, headers } = provider.webhook('pay_42');
+
+      expect(() => gateway.parseWebhook(rawBody, {})).toThrow(ForbiddenError);
+      expect(() => gateway.parseWebhook(undefined, headers)).toThrow(ForbiddenError);
+      expect(() => gateway.parseWebhook(rawBody, provider.webhook('pay_42', { secret: 'other-secret' }).headers)).toThrow('Invalid webhook signature.');
+      expect(() => gateway.parseWebhook(Buffer.from(rawBody.toString().replace('pay_42', 'pay_43')), headers)).toThrow('Invalid webhook signature.');
+      expect(() => gateway.parseWebhook(rawBody, headers, Date.now() + 301 * 1000)).toThrow('Webhook signature has expired.');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const ZarinpalPaymentGateway = require('../../../../src/infrastructure/payment/zarinpal.payment.gateway');
+const { BadRequestError } = require('../../../../src/utils/errors');
+const ZarinpalStandIn = require('../../../utils/zarinpalStandIn');
+
+describe('ZarinpalPaymentGateway', () => {
+  const standIn = new ZarinpalStandIn();
+  const callbackUrl = 'http://localhost:3000/api/v1/wallet/deposit/callback';
+  let gateway;
+
+  beforeAll(async () => {
+    const baseUrl = await standIn.start();
+    gateway = new ZarinpalPaymentGateway({ merchantId: standIn.merchantId, callbackUrl, baseUrl, timeoutMs: 2000 });
+  });
+
+  afterAll(() => standIn.stop());
+
+  beforeEach(() => {
+    standIn.outage = false;
+  });
+
+  it('should open payment sessions and return their payment URL', async () => {
+    const { reference, paymentUrl, fee } = await gateway.initialize({
+      amount: 50000, currency: 'IRR', description: 'Deposit', transactionId: 'deposit-1',
+    });
+
+    expect(reference).toMatch(/^A\d{35}$/);
+    expect(fee).toBe(2500);
+    expect(paymentUrl).toBe(`${gateway.baseUrl}/pg/StartPay/${reference}`);
+    expect(standIn.requests.at(-1).body).toMatchObject({
+      merchant_id: standIn.merchantId, amount: 50000, callback_url: callbackUrl, metadata: { order_id: 'deposit-1' },
+    });
+    expect(new ZarinpalPaymentGateway({ merchantId: 'm', sandbox: false }).getPaymentUrl('A1')).toBe('https://payment.zarinpal.com/pg/StartPay/A1');
+  });
+
+  it('should refuse currencies other than IRR', async () => {
+    await expect(gateway.initialize({ amount: 10, currency: 'USD', description: 'Deposit', transactionId: 'deposit-1' }))
+      .rejects.toThrow(BadRequestError);
+    expect(gateway.currencies).toEqual(['IRR']);
+  });
+
+  it('should throw when a payment session is refused', async () => {
+    await expect(gateway.initialize({ amount: 10, currency: 'IRR', description: 'Too small', transactionId: 'deposit-1' }))
+      .rejects.toMatchObject({ code: -9 });
+  });
+
+  it('should verify paid sessions, also when they were verified before', async () => {
+    const reference = standIn.createPayment(50000);
+    standIn.pay(reference);
+
+    await expect(gateway.verify({ reference, amount: 50000, currency: 'IRR' })).resolves.toMatchObject({
+      verified: true,
+      code: 100,
+      gatewayReference: expect.stringMatching(/^\d+$/),
+      details: { cardPan: '502229******5995', fee: 2500, refId: expect.any(Number) },
+    });
+    await expect(gateway.verify({ reference, amount: 50000, currency: 'IRR' })).resolves.toMatchObject({ verified: true, code: 101 });
+  });
+
+  it('should report sessions that were not paid, or not for this amount, as not verified', async () => {
+    const reference = standIn.createPayment(50000);
+
+    await expect(gateway.verify({ reference, amount: 50000, currency: 'IRR' })).resolves.toMatchObject({ verified: false, code: -51 });
+    standIn.pay(reference);
+    await expect(gateway.verify({ reference, amount: 1000, currency: 'IRR' })).resolves.toMatchObject({ verified: false, code: -50 });
+    await expect(gateway.verify({ reference: `A${'9'.repeat(35)}`, amount: 50000, currency: 'IRR' }))
+      .resolves.toMatchObject({ verified: false, code: -54 });
+  });
+
+  it('should throw when the gateway cannot say whether a session was paid', async () => {
+    const reference = standIn.createPayment(50000);
+
+    standIn.outage = true;
+    await expect(gateway.verify({ reference, amount: 50000, currency: 'IRR' })).rejects.toThrow('failed with status 503');
+    standIn.outage = false;
+
+    const misconfigured = new ZarinpalPaymentGateway({ merchantId: 'wrong', callbackUrl, baseUrl: gateway.baseUrl });
+    await expect(misconfigured.verify({ reference, amount: 50000, currency: 'IRR' })).rejects.toThrow('(-10)');
+
+    const unreachable = new ZarinpalPaymentGateway({ merchantId: standIn.merchantId, callbackUrl, baseUrl: 'http://127.0.0.1:1', timeoutMs: 1000 });
+    await expect(unreachable.verify({ reference, amount: 50000, currency: 'IRR' }))
+      .rejects.toThrow('Zarinpal request to /pg/v4/payment/verify.json failed');
+  });
+
+  it('should refuse refunds, payouts and webhooks, which Zarinpal does not offer', async () => {
+    await expect(gateway.refund({ reference: 'A1', amount: 1000, currency: 'IRR' })).rejects.toThrow(BadRequestError);
+    await expect(gateway.payout({ amount: 1000, currency: 'IRR', recipientDetails: {}, transactionId: 'w-1' })).rejects.toThrow(BadRequestError);
+    expect(() => gateway.parseWebhook(Buffer.from('{}'), {})).toThrow(BadRequestError);
+  });
+});
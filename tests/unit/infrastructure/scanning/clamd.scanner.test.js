@@ -0,0 +1,75 @@
+const net = require('net');
+const ClamdScanner = require('../../../../src/infrastructure/scanning/clamd.scanner');
+
+/**
+ * A stand-in for clamd that reads one INSTREAM request and answers like clamd does.
+ * @param {(body: Buffer) => string} reply - The reply for the streamed file, without the NUL terminator.
+ */
+function startFakeClamd(reply) {
+  const received = {};
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      const command = 'zINSTREAM\0';
+      if (buffer.length < command.length) return;
+      received.command = buffer.subarray(0, command.length).toString();
+
+      const chunks = [];
+      let offset = command.length;
+      while (offset + 4 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        if (length === 0) {
+          received.body = Buffer.concat(chunks);
+          socket.end(`${reply(received.body)}\0`);
+          return;
+        }
+        if (offset + 4 + length > buffer.length) return;
+        chunks.push(buffer.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+describe('ClamdScanner', () => {
+  let fake;
+
+  afterEach(async () => {
+    if (fake) {
+      await new Promise((resolve) => fake.server.close(resolve));
+      fake = null;
+    }
+  });
+
+  it('should stream the file in chunks and report clean files', async () => {
+    fake = await startFakeClamd(() => 'stream: OK');
+    const body = Buffer.alloc(150 * 1024, 'a');
+
+    const result = await new ClamdScanner({ port: fake.port }).scan(body);
+
+    expect(result).toEqual({ infected: false, signature: null });
+    expect(fake.received.command).toBe('zINSTREAM\0');
+    expect(fake.received.body.equals(body)).toBe(true);
+  });
+
+  it('should report the signature of infected files', async () => {
+    fake = await startFakeClamd(() => 'stream: Win.Test.EICAR_HDB-1 FOUND');
+
+    await expect(new ClamdScanner({ port: fake.port }).scan(Buffer.from('eicar')))
+      .resolves.toEqual({ infected: true, signature: 'Win.Test.EICAR_HDB-1' });
+  });
+
+  it('should fail when clamd reports an error or cannot be reached', async () => {
+    fake = await startFakeClamd(() => 'INSTREAM size limit exceeded. ERROR');
+    await expect(new ClamdScanner({ port: fake.port }).scan(Buffer.from('big'))).rejects.toThrow('size limit exceeded');
+
+    const { port } = fake;
+    await new Promise((resolve) => fake.server.close(resolve));
+    fake = null;
+    await expect(new ClamdScanner({ port, timeoutMs: 1000 }).scan(Buffer.from('x'))).rejects.toThrow('clamd connection failed');
+  });
+});
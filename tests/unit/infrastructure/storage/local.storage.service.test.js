@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorageService = require('../../../../src/infrastructure/storage/local.storage.service');
+
+describe('LocalStorageService', () => {
+  const key = 'match-results/t-1/m-1/u-1/123-abc.png';
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new LocalStorageService({
+      rootDir, publicUrl: 'http://localhost:3000/api/v1/storage/', signingSecret: 'test-secret', signedUrlExpiration: 60,
+    });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const queryOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+  it('should store, describe, read and delete objects', async () => {
+    await storage.put(key, Buffer.from('png-bytes'), { contentType: 'image/png' });
+
+    await expect(storage.head(key)).resolves.toMatchObject({ size: 9, contentType: 'image/png' });
+    const object = await storage.get(key);
+    expect(object.body.toString()).toBe('png-bytes');
+    expect(object.contentType).toBe('image/png');
+
+    await storage.delete(key);
+    await expect(storage.head(key)).resolves.toBeNull();
+    await expect(storage.get(key)).resolves.toBeNull();
+    await expect(storage.delete(key)).resolves.toBeUndefined();
+  });
+
+  it('should create objects only under keys that have none', async () => {
+    await expect(storage.create(key, Buffer.from('png-bytes'), { contentType: 'image/png' })).resolves.toBe(true);
+    await expect(storage.create(key, Buffer.from('replaced'), { contentType: 'image/png' })).resolves.toBe(false);
+
+    const object = await storage.get(key);
+    expect(object.body.toString()).toBe('png-bytes');
+    expect(object.contentType).toBe('image/png');
+    await expect(fs.promises.readdir(path.join(rootDir, 'tmp'))).resolves.toEqual([]);
+  });
+
+  it('should issue upload URLs signed for the key and content type', async () => {
+    const { url, method, headers } = await storage.getPresignedUploadUrl(key, { contentType: 'image/png' });
+
+    expect(method).toBe('PUT');
+    expect(headers).toEqual({ 'Content-Type': 'image/png' });
+    expect(url.startsWith(`http://localhost:3000/api/v1/storage/objects/${key}?`)).toBe(true);
+
+    const { expires, signature } = queryOf(url);
+    expect(storage.verifySignature({ method: 'PUT', key, expires, signature, contentType: 'image/png' })).toBe(true);
+    expect(storage.verifySignature({ method: 'PUT', key, expires, signature, contentType: 'text/html' })).toBe(false);
+    expect(storage.verifySignature({ method: 'PUT', key: `${key}x`, expires, signature, contentType: 'image/png' })).toBe(false);
+    expect(storage.verifySignature({ method: 'GET', key, expires, signature })).toBe(false);
+    expect(storage.verifySignature({ method: 'PUT', key, expires: Number(expires) + 1, signature, contentType: 'image/png' })).toBe(false);
+  });
+
+  it('should reject expired URLs', async () => {
+    const url = await storage.getPresignedDownloadUrl(key, { expiresIn: 30 });
+    const { expires, signature } = queryOf(url);
+
+    expect(storage.verifySignature({ method: 'GET', key, expires, signature })).toBe(true);
+    expect(storage.verifySignature({ method: 'GET', key, expires, signature }, new Date(Date.now() + 31 * 1000))).toBe(false);
+  });
+
+  it('should not reach outside its directory', async () => {
+    await expect(storage.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.head('a/../../escape.txt')).rejects.toThrow('Invalid storage key');
+    await expect(storage.getPresignedUploadUrl('/etc/passwd')).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should store files uploaded through the API under the uploader', async () => {
+    const url = await storage.upload({ originalname: 'my shot.png', buffer: Buffer.from('x'), mimetype: 'image/png' }, 'u-1');
+
+    expect(url).toMatch(/\/objects\/uploads\/u-1\/\d+-my_shot\.png$/);
+    const storedKey = decodeURIComponent(url.split('/objects/')[1]);
+    await expect(storage.head(storedKey)).resolves.toMatchObject({ contentType: 'image/png' });
+  });
+});
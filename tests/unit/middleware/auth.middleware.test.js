@@ -209,7 +209,7 @@ describe('Auth Middleware', () => {
     });
 
     it('should call next() and set socket.user if token in auth is valid', async () => {
-      const userPayload = { sub: 'socketuser1', email: 'socket@example.com', username: 'socketuser', roles: ['PLAYER'] };
+      const userPayload = { sub: 'socketuser1', email: 'socket@example.com', username: 'socketuser', roles: ['PLAYER'], tokenVersion: 0 };
       const token = jwt.sign(userPayload, appConfig.jwt.secret);
       mockSocket.handshake.auth.token = token;
 
@@ -235,7 +235,7 @@ describe('Auth Middleware', () => {
     });
 
     it('should call next() and set socket.user if token in headers is valid', async () => {
-      const userPayload = { sub: 'socketuser2', email: 'socket2@example.com', username: 'socketuser2', roles: ['PLAYER'] };
+      const userPayload = { sub: 'socketuser2', email: 'socket2@example.com', username: 'socketuser2', roles: ['PLAYER'], tokenVersion: 0 };
       const token = jwt.sign(userPayload, appConfig.jwt.secret);
       mockSocket.handshake.headers['x-access-token'] = token;
       const userRepository = {
@@ -262,7 +262,7 @@ describe('Auth Middleware', () => {
 
 
     it('should convert single role string from old socket token to roles array', async () => {
-        const userPayloadOldToken = { sub: 'socketuserOld', role: 'ADMIN' };
+        const userPayloadOldToken = { sub: 'socketuserOld', role: 'ADMIN', tokenVersion: 0 };
         const token = jwt.sign(userPayloadOldToken, appConfig.jwt.secret);
         mockSocket.handshake.auth.token = token;
         const userRepository = {
@@ -286,6 +286,18 @@ describe('Auth Middleware', () => {
         expect(mockSocket.user.roles).toEqual(['ADMIN']);
     });
 
+    it('should reject a socket token issued before the sessions were invalidated', async () => {
+      mockSocket.handshake.auth.token = jwt.sign({ sub: 'socketuser3', roles: ['PLAYER'], tokenVersion: 0 }, appConfig.jwt.secret);
+      const userRepository = {
+        findById: jest.fn().mockResolvedValue({ id: 'socketuser3', roles: ['PLAYER'], tokenVersion: 1, toPublicProfile: () => ({}) }),
+      };
+
+      await authenticateSocketToken(userRepository)(mockSocket, nextSpy);
+
+      expect(nextSpy.mock.calls[0][0].message).toBe('Authentication error: Invalid token or session.');
+      expect(mockSocket.user).toBeNull();
+    });
+
     it('should call next with Error if no token is provided for socket', async () => {
       await authenticateSocketToken({})(mockSocket, nextSpy);
       expect(nextSpy).toHaveBeenCalledWith(expect.any(Error));
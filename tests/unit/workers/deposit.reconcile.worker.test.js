@@ -0,0 +1,115 @@
+const { runOnce } = require('../../../src/workers/deposit.reconcile.worker');
+const VerifyDepositUseCase = require('../../../src/application/use-cases/wallet/verify-deposit.usecase');
+const ZarinpalPaymentGateway = require('../../../src/infrastructure/payment/zarinpal.payment.gateway');
+const PaymentGatewayService = require('../../../src/application/services/paymentGateway.service');
+const { Transaction } = require('../../../src/domain/wallet/transaction.entity');
+const { Wallet } = require('../../../src/domain/wallet/wallet.entity');
+const { sequelize } = require('../../../src/infrastructure/database/postgres.connector');
+const ZarinpalStandIn = require('../../utils/zarinpalStandIn');
+
+jest.mock('../../../src/infrastructure/database/postgres.connector', () => ({
+  sequelize: { transaction: jest.fn() },
+}));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('DepositReconcileWorker.runOnce', () => {
+  const now = new Date('2025-07-30T12:00:00Z');
+  const standIn = new ZarinpalStandIn();
+  let paymentGatewayService;
+  let wallet;
+  let deposits;
+  let reconciledAt;
+  let mockTransactionRepository;
+  let verifyDepositUseCase;
+
+  const createDeposit = (id, amount) => {
+    const deposit = new Transaction(id, wallet.id, 'DEPOSIT', amount, 'PENDING', `idem-${id}`, 'Wallet deposit via Zarinpal', {
+      paymentGateway: 'zarinpal', paymentReference: standIn.createPayment(amount), requestedCurrency: 'IRR',
+    });
+    deposits.set(id, deposit);
+    return deposit;
+  };
+
+  beforeAll(async () => {
+    const zarinpal = new ZarinpalPaymentGateway({ merchantId: standIn.merchantId, baseUrl: await standIn.start(), timeoutMs: 2000 });
+    paymentGatewayService = new PaymentGatewayService([zarinpal], { currencyGateways: { IRR: 'zarinpal' } });
+  });
+
+  afterAll(() => standIn.stop());
+
+  beforeEach(() => {
+    standIn.outage = false;
+    sequelize.transaction.mockImplementation(async () => ({
+      commit: jest.fn(), rollback: jest.fn(), finished: 'commit', LOCK: { UPDATE: 'UPDATE' },
+    }));
+
+    wallet = new Wallet('wallet-1', 'user-1', 0, 'IRR');
+    deposits = new Map();
+    reconciledAt = new Map();
+    mockTransactionRepository = {
+      findPending: jest.fn().mockImplementation(async ({ limit }) => [...deposits.values()]
+        .filter((d) => d.status === 'PENDING')
+        .sort((a, b) => (reconciledAt.get(a.id) || 0) - (reconciledAt.get(b.id) || 0))
+        .slice(0, limit)),
+      markReconciled: jest.fn().mockImplementation(async (ids, at) => ids.forEach((id) => reconciledAt.set(id, at))),
+      findByPaymentReference: jest.fn().mockImplementation(async (gateway, reference) => [...deposits.values()]
+        .find((d) => d.metadata.paymentGateway === gateway && d.metadata.paymentReference === reference)),
+      findById: jest.fn().mockImplementation(async (id) => deposits.get(id)),
+      update: jest.fn().mockImplementation(async (id, data) => {
+        deposits.set(id, Object.assign(Object.create(Transaction.prototype), deposits.get(id), data));
+        return deposits.get(id);
+      }),
+    };
+    const mockWalletRepository = {
+      findById: jest.fn().mockImplementation(async () => wallet),
+      update: jest.fn().mockImplementation(async (id, { balance }) => {
+        wallet = new Wallet(id, wallet.userId, balance, wallet.currency);
+        return wallet;
+      }),
+    };
+    verifyDepositUseCase = new VerifyDepositUseCase(mockWalletRepository, mockTransactionRepository, paymentGatewayService);
+  });
+
+  it('should complete paid and fail unpaid stale deposits', async () => {
+    const paid = createDeposit('deposit-paid', 20000);
+    createDeposit('deposit-abandoned', 30000);
+    standIn.pay(paid.metadata.paymentReference);
+
+    const summary = await runOnce({ transactionRepository: mockTransactionRepository, verifyDepositUseCase }, now);
+
+    expect(summary).toEqual({ completed: 1, failed: 1, pending: 0 });
+    expect(mockTransactionRepository.findPending).toHaveBeenCalledWith({
+      type: 'DEPOSIT', createdBefore: new Date('2025-07-30T11:30:00Z'), limit: 50,
+    });
+    expect(deposits.get('deposit-paid').status).toBe(Transaction.Status.COMPLETED);
+    expect(deposits.get('deposit-abandoned').status).toBe(Transaction.Status.FAILED);
+    expect(wallet.balance).toBe(20000);
+  });
+
+  it('should leave deposits pending while the gateway is unavailable', async () => {
+    standIn.pay(createDeposit('deposit-1', 20000).metadata.paymentReference);
+    standIn.outage = true;
+
+    await expect(runOnce({ transactionRepository: mockTransactionRepository, verifyDepositUseCase }, now))
+      .resolves.toEqual({ completed: 0, failed: 0, pending: 1 });
+    expect(deposits.get('deposit-1').status).toBe(Transaction.Status.PENDING);
+    expect(wallet.balance).toBe(0);
+  });
+
+  it('should reach newer deposits when a full batch of older ones keeps failing', async () => {
+    for (let i = 0; i < 50; i += 1) {
+      const stuck = createDeposit(`deposit-stuck-${i}`, 10000);
+      stuck.metadata.paymentGateway = 'unknown';
+    }
+    const paid = createDeposit('deposit-new', 20000);
+    standIn.pay(paid.metadata.paymentReference);
+
+    await expect(runOnce({ transactionRepository: mockTransactionRepository, verifyDepositUseCase }, now))
+      .resolves.toEqual({ completed: 0, failed: 0, pending: 50 });
+    const later = new Date(now.getTime() + 5 * 60 * 1000);
+    await expect(runOnce({ transactionRepository: mockTransactionRepository, verifyDepositUseCase }, later))
+      .resolves.toMatchObject({ completed: 1 });
+    expect(mockTransactionRepository.markReconciled).toHaveBeenLastCalledWith(expect.arrayContaining(['deposit-new']), later);
+    expect(deposits.get('deposit-new').status).toBe(Transaction.Status.COMPLETED);
+  });
+});
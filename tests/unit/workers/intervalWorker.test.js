@@ -0,0 +1,57 @@
+const { createIntervalWorker } = require('../../../src/workers/intervalWorker');
+const logger = require('../../../src/utils/logger');
+
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('createIntervalWorker', () => {
+  const dependencies = { repository: {} };
+  let runOnce;
+  let worker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    runOnce = jest.fn().mockResolvedValue(undefined);
+    worker = createIntervalWorker({ name: 'TestWorker', runOnce, getIntervalMs: () => 1000 });
+  });
+
+  afterEach(() => {
+    worker.stop();
+    jest.useRealTimers();
+  });
+
+  it('should run with the dependencies on every tick until stopped', async () => {
+    worker.start(dependencies);
+    worker.start(dependencies);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(runOnce).toHaveBeenCalledTimes(2);
+    expect(runOnce).toHaveBeenCalledWith(dependencies);
+
+    worker.stop();
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(runOnce).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip ticks while the previous run is still going', async () => {
+    let finishRun;
+    runOnce.mockImplementationOnce(() => new Promise((resolve) => { finishRun = resolve; }));
+    worker.start(dependencies);
+
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(runOnce).toHaveBeenCalledTimes(1);
+
+    finishRun();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(runOnce).toHaveBeenCalledTimes(2);
+  });
+
+  it('should log a failed run and keep running', async () => {
+    runOnce.mockRejectedValueOnce(new Error('database unavailable'));
+    worker.start(dependencies);
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(logger.error).toHaveBeenCalledWith('[TestWorker] Run failed:', expect.any(Error));
+    expect(runOnce).toHaveBeenCalledTimes(2);
+  });
+});
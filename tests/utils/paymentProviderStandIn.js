@@ -0,0 +1,102 @@
+const http = require('http');
+const WebhookPaymentGateway = require('../../src/infrastructure/payment/webhook.payment.gateway');
+
+/**
+ * A local stand-in for a provider behind the webhook payment gateway (payments, refunds and payouts), so
+ * the gateway can be tested over HTTP. Payments are settled with `setStatus(id, status)`, and
+ * `webhook(id)` builds the signed notification the provider would send about them. `outage = true`
+ * makes every call fail with a 503.
+ */
+class PaymentProviderStandIn {
+  constructor({ apiKey = 'test-api-key', webhookSecret = 'test-webhook-secret' } = {}) {
+    this.apiKey = apiKey;
+    this.webhookSecret = webhookSecret;
+    this.payments = new Map();
+    this.payouts = new Map();
+    this.outage = false;
+    this.failPayouts = false;
+    this.requests = [];
+    this.nextId = 1;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /** @returns {Promise<string>} The base URL to pass as the gateway's `apiUrl`. */
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /** Creates a payment directly, as if `POST /payments` had been called. */
+  createPayment(amount, currency) {
+    const id = `pay_${this.nextId++}`;
+    this.payments.set(id, { id, amount, currency, status: 'pending' });
+    return id;
+  }
+
+  /** Moves a payment to `succeeded`, `failed`, `canceled` or `expired`. */
+  setStatus(id, status) {
+    this.payments.get(id).status = status;
+  }
+
+  /**
+   * @returns {{rawBody: Buffer, headers: object}} A signed `payment.updated` notification about the payment.
+   */
+  webhook(id, { secret = this.webhookSecret, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const rawBody = Buffer.from(JSON.stringify({ type: 'payment.updated', data: { id } }));
+    const signature = WebhookPaymentGateway.sign(secret, timestamp, rawBody);
+    return { rawBody, headers: { 'x-payment-signature': `t=${timestamp},v1=${signature}` } };
+  }
+
+  /** @private */
+  handle(req, res) {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      this.requests.push({ method: req.method, path: req.url, body, idempotencyKey: req.headers['idempotency-key'] });
+
+      if (this.outage) {
+        res.writeHead(503, { 'Content-Type': 'text/html' });
+        return res.end('<html>Service Unavailable</html>');
+      }
+      if (req.headers.authorization !== `Bearer ${this.apiKey}`) {
+        return this.reply(res, 401, { message: 'Invalid API key.' });
+      }
+      if (req.method === 'POST' && req.url === '/payments') {
+        const id = this.createPayment(body.amount, body.currency);
+        return this.reply(res, 201, { id, payment_url: `https://pay.example.com/${id}`, fee: 30 });
+      }
+      const paymentMatch = req.url.match(/^\/payments\/([^/]+)$/);
+      if (req.method === 'GET' && paymentMatch) {
+        const payment = this.payments.get(decodeURIComponent(paymentMatch[1]));
+        return payment ? this.reply(res, 200, payment) : this.reply(res, 404, { message: 'No such payment.' });
+      }
+      if (req.method === 'POST' && req.url === '/refunds') {
+        return this.payments.has(body.payment_id)
+          ? this.reply(res, 201, { id: `re_${this.nextId++}` })
+          : this.reply(res, 404, { message: 'No such payment.' });
+      }
+      if (req.method === 'POST' && req.url === '/payouts') {
+        const id = `po_${this.nextId++}`;
+        const payout = this.failPayouts
+          ? { id, status: 'failed', failure_reason: 'Recipient account closed' }
+          : { id, status: 'pending' };
+        this.payouts.set(id, { ...payout, amount: body.amount, currency: body.currency, recipient: body.recipient });
+        return this.reply(res, 201, payout);
+      }
+      return this.reply(res, 404, { message: 'Not found.' });
+    });
+  }
+
+  /** @private */
+  reply(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+module.exports = PaymentProviderStandIn;
@@ -0,0 +1,100 @@
+const http = require('http');
+
+/**
+ * A local stand-in for the Zarinpal v4 payment API (request and verify), so payment code can be tested
+ * over HTTP without the sandbox. Sessions are paid with `pay(authority)`; `outage = true` makes every
+ * call fail with a 503.
+ */
+class ZarinpalStandIn {
+  constructor({ merchantId = 'test-merchant-0000-0000-000000000000' } = {}) {
+    this.merchantId = merchantId;
+    this.payments = new Map();
+    this.outage = false;
+    this.requests = [];
+    this.nextId = 1;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /** @returns {Promise<string>} The base URL to pass as the client's `baseUrl`. */
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /** Opens a session directly, as if `request.json` had been called. */
+  createPayment(amount) {
+    const authority = `A${String(this.nextId++).padStart(35, '0')}`;
+    this.payments.set(authority, { amount, paid: false, verified: false, refId: 100000 + this.nextId });
+    return authority;
+  }
+
+  /** Marks a session as paid by the user. */
+  pay(authority) {
+    this.payments.get(authority).paid = true;
+  }
+
+  /** @private */
+  handle(req, res) {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      this.requests.push({ path: req.url, body });
+
+      if (this.outage) {
+        res.writeHead(503, { 'Content-Type': 'text/html' });
+        return res.end('<html>Service Unavailable</html>');
+      }
+      if (body.merchant_id !== this.merchantId) {
+        return this.reply(res, 401, null, { code: -10, message: 'Terminal is not valid, please check merchant_id or ip address.' });
+      }
+      if (req.method === 'POST' && req.url === '/pg/v4/payment/request.json') {
+        return this.request(res, body);
+      }
+      if (req.method === 'POST' && req.url === '/pg/v4/payment/verify.json') {
+        return this.verify(res, body);
+      }
+      return this.reply(res, 404, null, { code: -9, message: 'Not found.' });
+    });
+  }
+
+  /** @private */
+  request(res, { amount, callback_url: callbackUrl }) {
+    if (!(amount >= 1000) || !callbackUrl) {
+      return this.reply(res, 422, null, { code: -9, message: 'The input params invalid, validation error.' });
+    }
+    const authority = this.createPayment(amount);
+    return this.reply(res, 200, { code: 100, message: 'Success', authority, fee_type: 'Merchant', fee: 2500 });
+  }
+
+  /** @private */
+  verify(res, { amount, authority }) {
+    const payment = this.payments.get(authority);
+    if (!payment) {
+      return this.reply(res, 404, null, { code: -54, message: 'Invalid authority.' });
+    }
+    if (payment.amount !== amount) {
+      return this.reply(res, 422, null, { code: -50, message: 'Session is not valid, amounts values is not the same.' });
+    }
+    if (!payment.paid) {
+      return this.reply(res, 422, null, { code: -51, message: 'Session is not valid, session is not active paid try.' });
+    }
+    const code = payment.verified ? 101 : 100;
+    payment.verified = true;
+    return this.reply(res, 200, {
+      code, message: code === 100 ? 'Paid' : 'Verified', card_pan: '502229******5995', ref_id: payment.refId, fee_type: 'Merchant', fee: 2500,
+    });
+  }
+
+  /** @private */
+  reply(res, status, data, errors = null) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: data || [], errors: errors || [] }));
+  }
+}
+
+module.exports = ZarinpalStandIn;